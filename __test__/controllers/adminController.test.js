@@ -18,6 +18,7 @@ describe("AdminController", () => {
       getAllAuditLogs: jest.fn(),
       getAllDocuments: jest.fn(),
       forceDeleteDocument: jest.fn(),
+      restoreDocument: jest.fn(),
     };
 
     adminController = createAdminController(mockAdminService);
@@ -25,6 +26,7 @@ describe("AdminController", () => {
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
+      set: jest.fn().mockReturnThis(),
     };
 
     next = jest.fn();
@@ -41,22 +43,26 @@ describe("AdminController", () => {
         { id: 1, name: "User A", email: "a@test.com" },
         { id: 2, name: "User B", email: "b@test.com" },
       ];
-      mockAdminService.getAllUsers.mockResolvedValue(mockUsers);
+      const meta = { total: 2, page: 1, limit: 20, totalPages: 1 };
+      mockAdminService.getAllUsers.mockResolvedValue({ data: mockUsers, meta });
 
       await adminController.getAllUsers(req, res, next);
 
-      expect(mockAdminService.getAllUsers).toHaveBeenCalled();
+      expect(mockAdminService.getAllUsers).toHaveBeenCalledWith({ page: 1, limit: 20, skip: 0, sortBy: "createdAt", sortOrder: "desc", filters: {} });
+      expect(res.set).toHaveBeenCalledWith({ "X-Total-Count": "2", "X-Page-Count": "1" });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 2,
         data: mockUsers,
+        pagination: meta,
       });
     });
 
     it("Harus mengembalikan count 0 jika tidak ada user", async () => {
       req = {};
-      mockAdminService.getAllUsers.mockResolvedValue([]);
+      const meta = { total: 0, page: 1, limit: 20, totalPages: 0 };
+      mockAdminService.getAllUsers.mockResolvedValue({ data: [], meta });
 
       await adminController.getAllUsers(req, res, next);
 
@@ -65,8 +71,27 @@ describe("AdminController", () => {
         success: true,
         count: 0,
         data: [],
+        pagination: meta,
       });
     });
+
+    it("Harus meneruskan filter status langganan dan sorting ke service", async () => {
+      req = { query: { page: "2", limit: "25", sortBy: "email", sortOrder: "asc", status: "PREMIUM" } };
+      mockAdminService.getAllUsers.mockResolvedValue({ data: [], meta: { total: 30, page: 2, limit: 25, totalPages: 2 } });
+
+      await adminController.getAllUsers(req, res, next);
+
+      expect(mockAdminService.getAllUsers).toHaveBeenCalledWith({ page: 2, limit: 25, skip: 25, sortBy: "email", sortOrder: "asc", filters: { status: "PREMIUM" } });
+    });
+
+    it("Harus meneruskan BadRequest ke next jika status tidak valid", async () => {
+      req = { query: { status: "GOLD" } };
+
+      await adminController.getAllUsers(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+      expect(mockAdminService.getAllUsers).not.toHaveBeenCalled();
+    });
   });
 
   describe("createUser", () => {
@@ -315,22 +340,26 @@ describe("AdminController", () => {
         { id: "doc-2", title: "Document 2", ownerId: "user-2" },
         { id: "doc-3", title: "Document 3", ownerId: "user-1" },
       ];
-      mockAdminService.getAllDocuments.mockResolvedValue(mockDocuments);
+      const meta = { total: 3, page: 1, limit: 20, totalPages: 1 };
+      mockAdminService.getAllDocuments.mockResolvedValue({ data: mockDocuments, meta });
 
       await adminController.getAllDocuments(req, res, next);
 
       expect(mockAdminService.getAllDocuments).toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith({ "X-Total-Count": "3", "X-Page-Count": "1" });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 3,
         data: mockDocuments,
+        pagination: meta,
       });
     });
 
     it("Harus mengembalikan count 0 jika tidak ada dokumen", async () => {
       req = {};
-      mockAdminService.getAllDocuments.mockResolvedValue([]);
+      const meta = { total: 0, page: 1, limit: 20, totalPages: 0 };
+      mockAdminService.getAllDocuments.mockResolvedValue({ data: [], meta });
 
       await adminController.getAllDocuments(req, res, next);
 
@@ -338,8 +367,22 @@ describe("AdminController", () => {
         success: true,
         count: 0,
         data: [],
+        pagination: meta,
       });
     });
+
+    it("Harus meneruskan filter status, tipe, grup, dan tanggal ke service", async () => {
+      req = { query: { status: "pending", type: "Invoice", groupId: "7", dateTo: "2025-03-31" } };
+      mockAdminService.getAllDocuments.mockResolvedValue({ data: [], meta: { total: 0, page: 1, limit: 20, totalPages: 0 } });
+
+      await adminController.getAllDocuments(req, res, next);
+
+      expect(mockAdminService.getAllDocuments).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filters: { status: "pending", type: "Invoice", groupId: 7, dateTo: new Date("2025-03-31T23:59:59.999Z") },
+        })
+      );
+    });
   });
 
   describe("forceDeleteDocument", () => {
@@ -376,6 +419,23 @@ describe("AdminController", () => {
     });
   });
 
+  describe("restoreDocument", () => {
+    it("Harus memulihkan dokumen dan return 200", async () => {
+      req = { params: { documentId: "doc-123" }, user: { id: "admin-456" } };
+      mockAdminService.restoreDocument.mockResolvedValue({ id: "doc-123" });
+
+      await adminController.restoreDocument(req, res, next);
+
+      expect(mockAdminService.restoreDocument).toHaveBeenCalledWith("admin-456", "doc-123", req);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: "Dokumen berhasil dipulihkan dari tempat sampah.",
+        data: { id: "doc-123" },
+      });
+    });
+  });
+
   describe("triggerPremiumExpiryCheck", () => {
     it.todo("Harus menjalankan cron job premium expiry dan return hasil");
     it.todo("Harus mencetak log dengan admin ID yang benar");
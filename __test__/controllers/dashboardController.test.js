@@ -50,7 +50,7 @@ describe("DashboardController", () => {
 
       // ASSERT
       // 1. Pastikan Service dipanggil dengan ID yang benar
-      expect(mockDashboardService.getDashboardSummary).toHaveBeenCalledWith("user-123");
+      expect(mockDashboardService.getDashboardSummary).toHaveBeenCalledWith("user-123", {});
 
       // 2. Pastikan Response Status 200
       expect(res.status).toHaveBeenCalledWith(200);
@@ -66,6 +66,28 @@ describe("DashboardController", () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    test("should pass folder & tag filters from query to service", async () => {
+      req.query = { folderId: "root", tagId: "3f0c1c9e-8a53-4d8e-9d5b-1f7b2e6c9a10" };
+      mockDashboardService.getDashboardSummary.mockResolvedValue({ counts: {}, actions: [], activities: [] });
+
+      await controller.getSummary(req, res, next);
+
+      expect(mockDashboardService.getDashboardSummary).toHaveBeenCalledWith("user-123", {
+        folderId: null,
+        tagIds: ["3f0c1c9e-8a53-4d8e-9d5b-1f7b2e6c9a10"],
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should call next(error) with BadRequest if folderId is invalid", async () => {
+      req.query = { folderId: "bukan-uuid" };
+
+      await controller.getSummary(req, res, next);
+
+      expect(mockDashboardService.getDashboardSummary).not.toHaveBeenCalled();
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+    });
+
     test("should call next(error) with Unauthorized if req.user is missing", async () => {
       // ARRANGE
       req.user = undefined; // Simulasi user belum login / token invalid
@@ -97,7 +119,7 @@ describe("DashboardController", () => {
 
       // ASSERT
       // 1. Service tetap dipanggil
-      expect(mockDashboardService.getDashboardSummary).toHaveBeenCalledWith("user-123");
+      expect(mockDashboardService.getDashboardSummary).toHaveBeenCalledWith("user-123", {});
 
       // 2. Response sukses TIDAK boleh dikirim
       expect(res.status).not.toHaveBeenCalled();
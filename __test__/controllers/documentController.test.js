@@ -1,6 +1,7 @@
 import { jest } from "@jest/globals";
 import { createDocumentController } from "../../src/controllers/documentController.js";
 import CommonError from "../../src/errors/CommonError.js";
+import DocumentError from "../../src/errors/DocumentError.js";
 
 // Mock aiService sebelum import controller
 jest.mock("../../src/services/aiService.js", () => ({
@@ -33,11 +34,18 @@ describe("DocumentController", () => {
       getDocumentById: jest.fn(),
       updateDocument: jest.fn(),
       deleteDocument: jest.fn(),
+      archiveDocument: jest.fn(),
+      unarchiveDocument: jest.fn(),
       getDocumentHistory: jest.fn(),
       useOldVersion: jest.fn(),
       deleteVersion: jest.fn(),
       getDocumentFileUrl: jest.fn(),
       getVersionFileUrl: jest.fn(),
+      getPagePreview: jest.fn(),
+      applyPageOperations: jest.fn(),
+      uploadNewVersion: jest.fn(),
+      compareVersions: jest.fn(),
+      splitDocument: jest.fn(),
     };
 
     mockSignatureRepository = {};
@@ -57,6 +65,7 @@ describe("DocumentController", () => {
     mockRes = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
     };
 
     mockNext = jest.fn();
@@ -125,40 +134,77 @@ describe("DocumentController", () => {
   });
 
   describe("getAllDocuments", () => {
+    const defaultListOptions = { page: 1, limit: 20, skip: 0, sortBy: "createdAt", sortOrder: "desc", filters: {} };
+
     it("Harus mengembalikan semua dokumen user", async () => {
       const mockDocuments = [
         { id: "doc-1", title: "Doc 1" },
         { id: "doc-2", title: "Doc 2" },
       ];
-      mockDocumentService.getAllDocuments.mockResolvedValue(mockDocuments);
+      const meta = { total: 2, page: 1, limit: 20, totalPages: 1 };
+      mockDocumentService.getAllDocuments.mockResolvedValue({ data: mockDocuments, meta });
 
       await runController(documentController.getAllDocuments);
 
-      expect(mockDocumentService.getAllDocuments).toHaveBeenCalledWith("user-123", "");
+      expect(mockDocumentService.getAllDocuments).toHaveBeenCalledWith("user-123", "", defaultListOptions);
+      expect(mockRes.set).toHaveBeenCalledWith({ "X-Total-Count": "2", "X-Page-Count": "1" });
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
         data: mockDocuments,
+        pagination: meta,
       });
     });
 
-    it("Harus mendukung parameter search", async () => {
+    it("Harus mendukung parameter search dan default sort relevansi", async () => {
       mockReq.query.search = "kontrak";
-      mockDocumentService.getAllDocuments.mockResolvedValue([]);
+      mockDocumentService.getAllDocuments.mockResolvedValue({ data: [], meta: { total: 0, page: 1, limit: 20, totalPages: 0 } });
 
       await runController(documentController.getAllDocuments);
 
-      expect(mockDocumentService.getAllDocuments).toHaveBeenCalledWith("user-123", "kontrak");
+      expect(mockDocumentService.getAllDocuments).toHaveBeenCalledWith("user-123", "kontrak", { ...defaultListOptions, sortBy: "relevance" });
+    });
+
+    it("Harus meneruskan pagination, sorting, dan filter ke service", async () => {
+      mockReq.query = { page: "2", limit: "50", sortBy: "title", sortOrder: "asc", status: "completed", type: "Kontrak", groupId: "personal", dateFrom: "2025-01-01" };
+      mockDocumentService.getAllDocuments.mockResolvedValue({ data: [], meta: { total: 60, page: 2, limit: 50, totalPages: 2 } });
+
+      await runController(documentController.getAllDocuments);
+
+      expect(mockDocumentService.getAllDocuments).toHaveBeenCalledWith("user-123", "", {
+        page: 2,
+        limit: 50,
+        skip: 50,
+        sortBy: "title",
+        sortOrder: "asc",
+        filters: { status: "completed", type: "Kontrak", groupId: null, dateFrom: new Date("2025-01-01") },
+      });
+      expect(mockRes.set).toHaveBeenCalledWith({ "X-Total-Count": "60", "X-Page-Count": "2" });
+    });
+
+    it("Harus menolak parameter pagination yang tidak valid", async () => {
+      mockReq.query = { limit: "500" };
+      await expect(runController(documentController.getAllDocuments)).rejects.toMatchObject({ statusCode: 400 });
+
+      mockReq.query = { status: "deleted" };
+      await expect(runController(documentController.getAllDocuments)).rejects.toMatchObject({ statusCode: 400 });
+
+      mockReq.query = { dateFrom: "2025-02-01", dateTo: "2025-01-01" };
+      await expect(runController(documentController.getAllDocuments)).rejects.toMatchObject({ statusCode: 400 });
+
+      expect(mockDocumentService.getAllDocuments).not.toHaveBeenCalled();
     });
 
     it("Harus mengembalikan array kosong jika tidak ada dokumen", async () => {
-      mockDocumentService.getAllDocuments.mockResolvedValue([]);
+      const meta = { total: 0, page: 1, limit: 20, totalPages: 0 };
+      mockDocumentService.getAllDocuments.mockResolvedValue({ data: [], meta });
 
       await runController(documentController.getAllDocuments);
 
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
         data: [],
+        pagination: meta,
       });
     });
   });
@@ -241,7 +287,7 @@ describe("DocumentController", () => {
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
-        message: "Dokumen dan semua riwayatnya berhasil dihapus.",
+        message: "Dokumen berhasil dipindahkan ke tempat sampah.",
       });
     });
 
@@ -254,6 +300,30 @@ describe("DocumentController", () => {
     });
   });
 
+  describe("archiveDocument & unarchiveDocument", () => {
+    it("Harus mengarsipkan dokumen", async () => {
+      mockReq.params.documentId = "doc-123";
+      mockDocumentService.archiveDocument.mockResolvedValue({ id: "doc-123", status: "archived" });
+
+      await runController(documentController.archiveDocument);
+
+      expect(mockDocumentService.archiveDocument).toHaveBeenCalledWith("doc-123", "user-123");
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Dokumen berhasil diarsipkan.",
+        data: { id: "doc-123", status: "archived" },
+      });
+    });
+
+    it("Harus meneruskan error jika dokumen tidak sedang diarsipkan", async () => {
+      mockReq.params.documentId = "doc-123";
+      mockDocumentService.unarchiveDocument.mockRejectedValue(DocumentError.InvalidArchiveState("Dokumen tidak sedang diarsipkan."));
+
+      await expect(runController(documentController.unarchiveDocument)).rejects.toMatchObject({ code: "INVALID_ARCHIVE_STATE" });
+    });
+  });
+
   describe("getDocumentHistory", () => {
     it("Harus mengembalikan riwayat versi dokumen", async () => {
       mockReq.params.documentId = "doc-123";
@@ -325,7 +395,7 @@ describe("DocumentController", () => {
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
-        message: "Versi dokumen berhasil dihapus.",
+        message: "Versi dokumen berhasil dipindahkan ke tempat sampah.",
       });
     });
 
@@ -411,6 +481,167 @@ describe("DocumentController", () => {
     });
   });
 
+  describe("getPagePreview", () => {
+    beforeEach(() => {
+      mockReq.params = { documentId: "doc-123", versionId: "ver-1", page: "2" };
+      mockRes.set = jest.fn().mockReturnThis();
+      mockRes.send = jest.fn().mockReturnThis();
+    });
+
+    it("Harus mengirim gambar preview dengan header cache", async () => {
+      const image = Buffer.from("webp-bytes");
+      mockReq.query = { size: "thumbnail" };
+      mockDocumentService.getPagePreview.mockResolvedValue({ buffer: image, contentType: "image/webp", cached: true, pageNumber: 2, size: "thumbnail", format: "webp" });
+
+      await documentController.getPagePreview(mockReq, mockRes, mockNext);
+
+      expect(mockDocumentService.getPagePreview).toHaveBeenCalledWith("doc-123", "ver-1", "user-123", "2", { size: "thumbnail", format: undefined });
+      expect(mockRes.set).toHaveBeenCalledWith({
+        "Content-Type": "image/webp",
+        "Cache-Control": "private, max-age=86400, immutable",
+        "X-Preview-Cache": "HIT",
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.send).toHaveBeenCalledWith(image);
+    });
+
+    it("Harus meneruskan error ke next jika halaman tidak ditemukan", async () => {
+      const error = DocumentError.PageNotFound(2, 1);
+      mockDocumentService.getPagePreview.mockRejectedValue(error);
+
+      await documentController.getPagePreview(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+      expect(mockRes.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("compareVersions", () => {
+    beforeEach(() => {
+      mockReq.params = { documentId: "doc-123" };
+    });
+
+    it("Harus return 200 dengan hasil perbandingan dan meneruskan opsi visual", async () => {
+      const comparison = { fromVersionId: "ver-1", toVersionId: "ver-2", summary: { changedPages: [2] }, pages: [] };
+      mockReq.query = { from: "ver-1", to: "ver-2", visual: "true", size: "medium", pages: "1, 2" };
+      mockDocumentService.compareVersions.mockResolvedValue(comparison);
+
+      await runController(documentController.compareVersions);
+
+      expect(mockDocumentService.compareVersions).toHaveBeenCalledWith("doc-123", "user-123", "ver-1", "ver-2", { visual: true, size: "medium", pages: ["1", "2"] });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({ status: "success", data: comparison });
+    });
+
+    it("Harus menonaktifkan diff visual secara default", async () => {
+      mockReq.query = { from: "ver-1", to: "ver-2" };
+      mockDocumentService.compareVersions.mockResolvedValue({});
+
+      await runController(documentController.compareVersions);
+
+      expect(mockDocumentService.compareVersions).toHaveBeenCalledWith("doc-123", "user-123", "ver-1", "ver-2", { visual: false, size: undefined, pages: undefined });
+    });
+  });
+
+  describe("uploadNewVersion", () => {
+    beforeEach(() => {
+      mockReq.params.documentId = "doc-123";
+      mockReq.file = { originalname: "revisi.pdf", mimetype: "application/pdf", buffer: Buffer.from("%PDF") };
+      mockReq.body = { description: "Perbaikan pasal 3" };
+    });
+
+    it("Harus return 201 dengan dokumen versi baru", async () => {
+      const updatedDoc = { id: "doc-123", groupId: null, currentVersionId: "ver-2" };
+      mockDocumentService.uploadNewVersion.mockResolvedValue(updatedDoc);
+
+      await runController(documentController.uploadNewVersion);
+
+      expect(mockDocumentService.uploadNewVersion).toHaveBeenCalledWith("doc-123", "user-123", mockReq.file, "Perbaikan pasal 3");
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Revisi dokumen berhasil diunggah sebagai versi baru.",
+        data: updatedDoc,
+      });
+    });
+
+    it("Harus mengirim event new_version ke room grup untuk dokumen grup", async () => {
+      const mockEmit = jest.fn();
+      const mockIo = { to: jest.fn(() => ({ emit: mockEmit })) };
+      documentController = createDocumentController(mockDocumentService, mockSignatureRepository, mockFileStorage, mockIo);
+      mockDocumentService.uploadNewVersion.mockResolvedValue({ id: "doc-123", groupId: 3 });
+
+      await runController(documentController.uploadNewVersion);
+
+      expect(mockIo.to).toHaveBeenCalledWith("group_3");
+      expect(mockEmit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "new_version", documentId: "doc-123" }));
+    });
+  });
+
+  describe("applyPageOperations", () => {
+    const operations = [{ type: "delete", pages: [1] }];
+
+    beforeEach(() => {
+      mockReq.params.documentId = "doc-123";
+      mockReq.body = { operations, description: "Hapus cover" };
+    });
+
+    it("Harus return 201 dengan dokumen versi baru", async () => {
+      const updatedDoc = { id: "doc-123", groupId: null, currentVersionId: "ver-2" };
+      mockDocumentService.applyPageOperations.mockResolvedValue(updatedDoc);
+
+      await runController(documentController.applyPageOperations);
+
+      expect(mockDocumentService.applyPageOperations).toHaveBeenCalledWith("doc-123", "user-123", operations, "Hapus cover");
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Halaman dokumen berhasil diperbarui sebagai versi baru.",
+        data: updatedDoc,
+      });
+    });
+
+    it("Harus mengirim event socket ke room grup untuk dokumen grup", async () => {
+      const mockEmit = jest.fn();
+      const mockIo = { to: jest.fn(() => ({ emit: mockEmit })) };
+      documentController = createDocumentController(mockDocumentService, mockSignatureRepository, mockFileStorage, mockIo);
+      mockDocumentService.applyPageOperations.mockResolvedValue({ id: "doc-123", groupId: 7 });
+
+      await runController(documentController.applyPageOperations);
+
+      expect(mockIo.to).toHaveBeenCalledWith("group_7");
+      expect(mockEmit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "update_pages", documentId: "doc-123", actorId: "user-123" }));
+    });
+
+    it("Harus meneruskan error jika dokumen sudah ditandatangani", async () => {
+      mockDocumentService.applyPageOperations.mockRejectedValue(DocumentError.PagesLocked());
+
+      await expect(runController(documentController.applyPageOperations)).rejects.toMatchObject({ code: "DOCUMENT_PAGES_LOCKED" });
+    });
+  });
+
+  describe("splitDocument", () => {
+    it("Harus return 201 dengan daftar dokumen baru", async () => {
+      const parts = [
+        { fromPage: 1, toPage: 2 },
+        { fromPage: 3, toPage: 3 },
+      ];
+      mockReq.params.documentId = "doc-123";
+      mockReq.body = { parts };
+      mockDocumentService.splitDocument.mockResolvedValue([{ id: "doc-a" }, { id: "doc-b" }]);
+
+      await runController(documentController.splitDocument);
+
+      expect(mockDocumentService.splitDocument).toHaveBeenCalledWith("doc-123", "user-123", parts);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Dokumen berhasil dipecah menjadi 2 dokumen.",
+        data: [{ id: "doc-a" }, { id: "doc-b" }],
+      });
+    });
+  });
+
   describe("analyzeDocument", () => {
     beforeEach(() => {
       mockReq.params.documentId = "doc-123";
@@ -549,7 +780,7 @@ describe("DocumentController", () => {
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
-        message: "Dokumen dan semua riwayatnya berhasil dihapus.",
+        message: "Dokumen berhasil dipindahkan ke tempat sampah.",
       });
     });
   });
@@ -608,7 +839,7 @@ describe("DocumentController", () => {
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
-        message: "Versi dokumen berhasil dihapus.",
+        message: "Versi dokumen berhasil dipindahkan ke tempat sampah.",
       });
     });
   });
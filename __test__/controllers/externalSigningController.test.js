@@ -0,0 +1,200 @@
+import { jest } from "@jest/globals";
+import { createExternalSigningController } from "../../src/controllers/externalSigningController.js";
+
+describe("ExternalSigningController", () => {
+  let controller;
+  let mockExternalSigningService;
+  let mockGroupService;
+  let mockIo;
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockExternalSigningService = {
+      inviteExternalSigner: jest.fn(),
+      resendSigningLink: jest.fn(),
+      removeExternalSigner: jest.fn(),
+      openSession: jest.fn(),
+      requestOtp: jest.fn(),
+      verifyOtp: jest.fn(),
+      getSigningDocument: jest.fn(),
+      signDocument: jest.fn(),
+    };
+
+    mockGroupService = {
+      scheduleAutoFinalize: jest.fn().mockResolvedValue(false),
+    };
+
+    mockIo = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+
+    controller = createExternalSigningController(mockExternalSigningService, mockGroupService, mockIo);
+
+    mockReq = {
+      user: { id: "admin-1" },
+      params: {},
+      body: {},
+      headers: {
+        "x-forwarded-for": "192.168.1.1",
+        "user-agent": "Mozilla/5.0 Test Browser",
+      },
+      ip: "127.0.0.1",
+      connection: { remoteAddress: "127.0.0.1" },
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("inviteExternalSigner", () => {
+    it("Harus mengundang penanda tangan eksternal dan return 201", async () => {
+      mockReq.params = { groupId: "1", documentId: "doc-1" };
+      mockReq.body = { name: "Rina", email: "rina@partner.com" };
+      const result = { signer: { id: "ext-1" }, signingLink: "http://localhost:5173/external-sign/abc", delivered: true };
+      mockExternalSigningService.inviteExternalSigner.mockResolvedValue(result);
+
+      await controller.inviteExternalSigner(mockReq, mockRes, mockNext);
+
+      expect(mockExternalSigningService.inviteExternalSigner).toHaveBeenCalledWith(1, "doc-1", "admin-1", { name: "Rina", email: "rina@partner.com", phoneNumber: undefined, deadline: undefined }, mockReq);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Penanda tangan eksternal diundang. Link tanda tangan telah dikirim.",
+        data: result,
+      });
+    });
+
+    it("Harus memberi tahu jika link gagal dikirim otomatis", async () => {
+      mockReq.params = { groupId: "1", documentId: "doc-1" };
+      mockReq.body = { name: "Rina", phoneNumber: "081234567890" };
+      mockExternalSigningService.inviteExternalSigner.mockResolvedValue({ delivered: false });
+
+      await controller.inviteExternalSigner(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining("bagikan link secara manual") }));
+    });
+  });
+
+  describe("removeExternalSigner", () => {
+    it("Harus menghapus penanda tangan eksternal dan return 200", async () => {
+      mockReq.params = { groupId: "1", documentId: "doc-1", signerId: "ext-1" };
+      mockExternalSigningService.removeExternalSigner.mockResolvedValue({ id: "doc-1" });
+
+      await controller.removeExternalSigner(mockReq, mockRes, mockNext);
+
+      expect(mockExternalSigningService.removeExternalSigner).toHaveBeenCalledWith(1, "doc-1", "ext-1", "admin-1");
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("openSession", () => {
+    it("Harus membuka sesi dengan IP dan user agent lalu return 201", async () => {
+      mockReq.body = { token: "link-token" };
+      mockExternalSigningService.openSession.mockResolvedValue({ sessionToken: "session-token", otpChannel: "whatsapp", otpDelivered: true });
+
+      await controller.openSession(mockReq, mockRes, mockNext);
+
+      expect(mockExternalSigningService.openSession).toHaveBeenCalledWith("link-token", { ipAddress: "192.168.1.1", userAgent: "Mozilla/5.0 Test Browser" });
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it("Harus memberi tahu jika OTP gagal dikirim saat sesi dibuka", async () => {
+      mockReq.body = { token: "link-token" };
+      mockExternalSigningService.openSession.mockResolvedValue({ sessionToken: "session-token", otpChannel: "whatsapp", otpDelivered: false });
+
+      await controller.openSession(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining("minta kode OTP baru"), data: expect.objectContaining({ otpDelivered: false }) }));
+    });
+
+    it("Harus meneruskan error service ke next", async () => {
+      mockReq.body = { token: "link-token" };
+      const error = new Error("Link tanda tangan sudah dipakai.");
+      mockExternalSigningService.openSession.mockRejectedValue(error);
+
+      await controller.openSession(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe("verifyOtp", () => {
+    it("Harus memakai token sesi dari header X-Signing-Session", async () => {
+      mockReq.headers["x-signing-session"] = "session-token";
+      mockReq.body = { code: "123456" };
+      mockExternalSigningService.verifyOtp.mockResolvedValue({ verified: true });
+
+      await controller.verifyOtp(mockReq, mockRes, mockNext);
+
+      expect(mockExternalSigningService.verifyOtp).toHaveBeenCalledWith("session-token", "123456");
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("signDocument", () => {
+    beforeEach(() => {
+      mockReq.headers["x-signing-session"] = "session-token";
+    });
+
+    it("Harus return 400 jika gambar tanda tangan tidak ada", async () => {
+      mockReq.body = { positionX: 0.1 };
+
+      await controller.signDocument(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockExternalSigningService.signDocument).not.toHaveBeenCalled();
+    });
+
+    it("Harus menandatangani dokumen, memberi tahu grup dan menjadwalkan finalisasi otomatis", async () => {
+      const fields = [{ type: "date", pageNumber: 1, positionX: 0.1, positionY: 0.5, width: 0.2, height: 0.05 }];
+      mockReq.body = { signatureImageUrl: "data:image/png;base64,abc", positionX: 0.1, positionY: 0.2, pageNumber: 1, fields };
+      mockExternalSigningService.signDocument.mockResolvedValue({ documentId: "doc-1", groupId: 1, signerName: "Rina", message: "Dokumen berhasil ditandatangani.", readyToFinalize: true, remainingSigners: 0 });
+      mockGroupService.scheduleAutoFinalize.mockResolvedValue(true);
+
+      await controller.signDocument(mockReq, mockRes, mockNext);
+
+      expect(mockExternalSigningService.signDocument).toHaveBeenCalledWith(
+        "session-token",
+        expect.objectContaining({ signatureImageUrl: "data:image/png;base64,abc", pageNumber: 1, fields }),
+        { ipAddress: "192.168.1.1", userAgent: "Mozilla/5.0 Test Browser" },
+        mockReq
+      );
+      expect(mockIo.to).toHaveBeenCalledWith("group_1");
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "signature_added", documentId: "doc-1", actorId: null }));
+      expect(mockGroupService.scheduleAutoFinalize).toHaveBeenCalledWith("doc-1");
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Dokumen berhasil ditandatangani.",
+        data: { remainingSigners: 0, readyToFinalize: true, autoFinalizing: true },
+      });
+    });
+
+    it("Harus emit signing_turn jika tahap berikutnya dimulai", async () => {
+      mockReq.body = { signatureImageUrl: "data:image/png;base64,abc" };
+      mockExternalSigningService.signDocument.mockResolvedValue({ documentId: "doc-1", groupId: 1, signerName: "Rina", readyToFinalize: false, remainingSigners: 1, nextStage: { order: 2, signerIds: ["user-3"] } });
+
+      await controller.signDocument(mockReq, mockRes, mockNext);
+
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "signing_turn", documentId: "doc-1", order: 2, signerIds: ["user-3"] }));
+    });
+
+    it("Harus tidak menjadwalkan finalisasi jika masih ada signer lain", async () => {
+      mockReq.body = { signatureImageUrl: "data:image/png;base64,abc" };
+      mockExternalSigningService.signDocument.mockResolvedValue({ documentId: "doc-1", groupId: 1, signerName: "Rina", readyToFinalize: false, remainingSigners: 2 });
+
+      await controller.signDocument(mockReq, mockRes, mockNext);
+
+      expect(mockGroupService.scheduleAutoFinalize).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ data: { remainingSigners: 2, readyToFinalize: false, autoFinalizing: false } }));
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for FolderController
+ *
+ * @file folderController.test.js
+ * @description Tests for FolderController methods: getFolders, createFolder, updateFolder, deleteFolder, moveDocuments
+ */
+
+import { jest } from "@jest/globals";
+import { createFolderController } from "../../src/controllers/folderController.js";
+import FolderError from "../../src/errors/FolderError.js";
+
+describe("FolderController", () => {
+  let controller;
+  let mockFolderService;
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockFolderService = {
+      listFolders: jest.fn(),
+      createFolder: jest.fn(),
+      updateFolder: jest.fn(),
+      deleteFolder: jest.fn(),
+      moveDocuments: jest.fn(),
+    };
+
+    controller = createFolderController(mockFolderService);
+
+    mockReq = {
+      user: { id: "user-123" },
+      params: {},
+      body: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getFolders", () => {
+    it("Harus mengambil folder personal jika groupId tidak diisi", async () => {
+      mockFolderService.listFolders.mockResolvedValue([{ id: "f-1", children: [] }]);
+
+      await controller.getFolders(mockReq, mockRes, mockNext);
+
+      expect(mockFolderService.listFolders).toHaveBeenCalledWith("user-123", null);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({ status: "success", data: [{ id: "f-1", children: [] }] });
+    });
+
+    it("Harus mengubah query groupId menjadi angka", async () => {
+      mockReq.query.groupId = "7";
+      mockFolderService.listFolders.mockResolvedValue([]);
+
+      await controller.getFolders(mockReq, mockRes, mockNext);
+
+      expect(mockFolderService.listFolders).toHaveBeenCalledWith("user-123", 7);
+    });
+  });
+
+  describe("createFolder", () => {
+    it("Harus membuat folder dan mengembalikan 201", async () => {
+      mockReq.body = { name: "Kontrak", groupId: 7 };
+      mockFolderService.createFolder.mockResolvedValue({ id: "f-1", name: "Kontrak" });
+
+      await controller.createFolder(mockReq, mockRes, mockNext);
+
+      expect(mockFolderService.createFolder).toHaveBeenCalledWith("user-123", { name: "Kontrak", parentId: null, groupId: 7 });
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it("Harus meneruskan error service ke next", async () => {
+      const error = FolderError.DuplicateName("Kontrak");
+      mockReq.body = { name: "Kontrak" };
+      mockFolderService.createFolder.mockRejectedValue(error);
+
+      await controller.createFolder(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe("updateFolder & deleteFolder", () => {
+    it("Harus memperbarui folder sesuai body", async () => {
+      mockReq.params.folderId = "f-1";
+      mockReq.body = { parentId: null };
+      mockFolderService.updateFolder.mockResolvedValue({ id: "f-1", parentId: null });
+
+      await controller.updateFolder(mockReq, mockRes, mockNext);
+
+      expect(mockFolderService.updateFolder).toHaveBeenCalledWith("user-123", "f-1", { name: undefined, parentId: null });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it("Harus menghapus folder", async () => {
+      mockReq.params.folderId = "f-1";
+      mockFolderService.deleteFolder.mockResolvedValue({ id: "f-1", movedToFolderId: null });
+
+      await controller.deleteFolder(mockReq, mockRes, mockNext);
+
+      expect(mockFolderService.deleteFolder).toHaveBeenCalledWith("user-123", "f-1");
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ data: { id: "f-1", movedToFolderId: null } }));
+    });
+  });
+
+  describe("moveDocuments", () => {
+    it("Harus memindahkan dokumen dan menyebut jumlahnya di pesan", async () => {
+      mockReq.body = { documentIds: ["doc-1", "doc-2"], folderId: "f-1" };
+      mockFolderService.moveDocuments.mockResolvedValue({ folderId: "f-1", movedCount: 2 });
+
+      await controller.moveDocuments(mockReq, mockRes, mockNext);
+
+      expect(mockFolderService.moveDocuments).toHaveBeenCalledWith("user-123", { documentIds: ["doc-1", "doc-2"], folderId: "f-1", groupId: null });
+      expect(mockRes.json).toHaveBeenCalledWith({ status: "success", message: "2 dokumen berhasil dipindahkan.", data: { folderId: "f-1", movedCount: 2 } });
+    });
+  });
+});
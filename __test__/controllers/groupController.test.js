@@ -24,9 +24,14 @@ describe("GroupController", () => {
       assignDocumentToGroup: jest.fn(),
       unassignDocumentFromGroup: jest.fn(),
       uploadGroupDocument: jest.fn(),
+      uploadGroupDocumentVersion: jest.fn(),
       updateGroupDocumentSigners: jest.fn(),
       deleteGroupDocument: jest.fn(),
       finalizeGroupDocument: jest.fn(),
+      cancelSigningRound: jest.fn(),
+      updateSigningDeadline: jest.fn(),
+      updateGroupAutoFinalize: jest.fn(),
+      updateDocumentAutoFinalize: jest.fn(),
     };
 
     groupController = createGroupController(mockGroupService);
@@ -42,6 +47,7 @@ describe("GroupController", () => {
     mockRes = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
     };
 
     mockNext = jest.fn();
@@ -99,28 +105,49 @@ describe("GroupController", () => {
         { id: 1, name: "Grup A" },
         { id: 2, name: "Grup B" },
       ];
-      mockGroupService.getAllUserGroups.mockResolvedValue(mockGroups);
+      const meta = { total: 2, page: 1, limit: 20, totalPages: 1 };
+      mockGroupService.getAllUserGroups.mockResolvedValue({ data: mockGroups, meta });
 
       await runController(groupController.getAllUserGroups);
 
-      expect(mockGroupService.getAllUserGroups).toHaveBeenCalledWith("user-123");
+      expect(mockGroupService.getAllUserGroups).toHaveBeenCalledWith("user-123", { page: 1, limit: 20, skip: 0, sortBy: "createdAt", sortOrder: "desc", filters: {} });
+      expect(mockRes.set).toHaveBeenCalledWith({ "X-Total-Count": "2", "X-Page-Count": "1" });
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
         data: mockGroups,
+        pagination: meta,
       });
     });
 
     it("Harus mengembalikan array kosong jika tidak ada grup", async () => {
-      mockGroupService.getAllUserGroups.mockResolvedValue([]);
+      const meta = { total: 0, page: 1, limit: 20, totalPages: 0 };
+      mockGroupService.getAllUserGroups.mockResolvedValue({ data: [], meta });
 
       await runController(groupController.getAllUserGroups);
 
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
         data: [],
+        pagination: meta,
       });
     });
+
+    it("Harus meneruskan sorting berdasarkan nama grup ke service", async () => {
+      mockReq.query = { page: "3", limit: "5", sortBy: "name", sortOrder: "asc" };
+      mockGroupService.getAllUserGroups.mockResolvedValue({ data: [], meta: { total: 11, page: 3, limit: 5, totalPages: 3 } });
+
+      await runController(groupController.getAllUserGroups);
+
+      expect(mockGroupService.getAllUserGroups).toHaveBeenCalledWith("user-123", { page: 3, limit: 5, skip: 10, sortBy: "name", sortOrder: "asc", filters: {} });
+    });
+
+    it("Harus menolak sortBy yang tidak didukung", async () => {
+      mockReq.query = { sortBy: "adminId" };
+
+      await expect(runController(groupController.getAllUserGroups)).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockGroupService.getAllUserGroups).not.toHaveBeenCalled();
+    });
   });
 
   describe("getGroupById", () => {
@@ -399,6 +426,34 @@ describe("GroupController", () => {
     });
   });
 
+  describe("uploadDocumentVersion", () => {
+    it("Harus berhasil upload revisi dokumen grup", async () => {
+      mockReq.params = { groupId: "1", documentId: "doc-123" };
+      mockReq.file = { buffer: Buffer.from("pdf"), originalname: "revisi.pdf" };
+      mockReq.body = { description: "Perbaikan pasal 3" };
+      const updatedDoc = { id: "doc-123", currentVersionId: "ver-2" };
+      mockGroupService.uploadGroupDocumentVersion.mockResolvedValue(updatedDoc);
+
+      await runController(groupController.uploadDocumentVersion);
+
+      expect(mockGroupService.uploadGroupDocumentVersion).toHaveBeenCalledWith(1, "doc-123", "user-123", mockReq.file, "Perbaikan pasal 3");
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Revisi dokumen grup berhasil diunggah sebagai versi baru.",
+        data: updatedDoc,
+      });
+    });
+
+    it("Harus throw BadRequest jika file tidak ada", async () => {
+      mockReq.params = { groupId: "1", documentId: "doc-123" };
+      mockReq.body = { description: "Revisi" };
+
+      await expect(runController(groupController.uploadDocumentVersion)).rejects.toThrow(GroupError.BadRequest("File revisi wajib diunggah."));
+      expect(mockGroupService.uploadGroupDocumentVersion).not.toHaveBeenCalled();
+    });
+  });
+
   describe("updateDocumentSigners", () => {
     it("Harus berhasil update daftar penanda tangan", async () => {
       mockReq.params.groupId = "1";
@@ -417,6 +472,37 @@ describe("GroupController", () => {
         data: updatedDoc,
       });
     });
+
+    it("Harus menjadikan urutan array sebagai tahap jika sequential true", async () => {
+      mockReq.params.groupId = "1";
+      mockReq.params.documentId = "doc-123";
+      mockReq.body = { signerUserIds: ["staff", "manager", "director"], sequential: true };
+      mockGroupService.updateGroupDocumentSigners.mockResolvedValue({ id: "doc-123" });
+
+      await runController(groupController.updateDocumentSigners);
+
+      expect(mockGroupService.updateGroupDocumentSigners).toHaveBeenCalledWith(1, "doc-123", "user-123", [
+        { userId: "staff", order: 1 },
+        { userId: "manager", order: 2 },
+        { userId: "director", order: 3 },
+      ]);
+    });
+
+    it("Harus meneruskan tahap paralel dari properti signers", async () => {
+      mockReq.params.groupId = "1";
+      mockReq.params.documentId = "doc-123";
+      const signers = [
+        { userId: "staff", order: 1 },
+        { userId: "manager-a", order: 2 },
+        { userId: "manager-b", order: 2 },
+      ];
+      mockReq.body = { signers };
+      mockGroupService.updateGroupDocumentSigners.mockResolvedValue({ id: "doc-123" });
+
+      await runController(groupController.updateDocumentSigners);
+
+      expect(mockGroupService.updateGroupDocumentSigners).toHaveBeenCalledWith(1, "doc-123", "user-123", signers);
+    });
   });
 
   describe("deleteGroupDocument", () => {
@@ -436,6 +522,74 @@ describe("GroupController", () => {
     });
   });
 
+  describe("cancelSigningRound", () => {
+    it("Harus membatalkan putaran tanda tangan dokumen grup", async () => {
+      mockReq.params.groupId = "1";
+      mockReq.params.documentId = "doc-123";
+      mockGroupService.cancelSigningRound.mockResolvedValue({ id: "doc-123", status: "draft" });
+
+      await runController(groupController.cancelSigningRound);
+
+      expect(mockGroupService.cancelSigningRound).toHaveBeenCalledWith(1, "doc-123", "user-123");
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Putaran tanda tangan dibatalkan. Dokumen kembali menjadi draft.",
+        data: { id: "doc-123", status: "draft" },
+      });
+    });
+  });
+
+  describe("updateSigningDeadline", () => {
+    it("Harus mengatur batas waktu tanda tangan dokumen grup", async () => {
+      mockReq.params.groupId = "1";
+      mockReq.params.documentId = "doc-123";
+      mockReq.body = { deadline: "2030-01-01T00:00:00.000Z", signerDeadlines: [{ userId: "user-2", deadline: null }] };
+      mockGroupService.updateSigningDeadline.mockResolvedValue({ id: "doc-123" });
+
+      await runController(groupController.updateSigningDeadline);
+
+      expect(mockGroupService.updateSigningDeadline).toHaveBeenCalledWith(1, "doc-123", "user-123", mockReq.body);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Batas waktu tanda tangan berhasil diperbarui.",
+        data: { id: "doc-123" },
+      });
+    });
+  });
+
+  describe("updateGroupAutoFinalize", () => {
+    it("Harus mengaktifkan finalisasi otomatis grup", async () => {
+      mockReq.params.groupId = "1";
+      mockReq.body = { autoFinalize: true };
+      mockGroupService.updateGroupAutoFinalize.mockResolvedValue({ id: 1, autoFinalize: true });
+
+      await runController(groupController.updateGroupAutoFinalize);
+
+      expect(mockGroupService.updateGroupAutoFinalize).toHaveBeenCalledWith(1, "user-123", true);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Finalisasi otomatis grup diaktifkan.",
+        data: { id: 1, autoFinalize: true },
+      });
+    });
+  });
+
+  describe("updateDocumentAutoFinalize", () => {
+    it("Harus mengembalikan dokumen ke pengaturan grup jika autoFinalize tidak dikirim", async () => {
+      mockReq.params.groupId = "1";
+      mockReq.params.documentId = "doc-123";
+      mockGroupService.updateDocumentAutoFinalize.mockResolvedValue({ id: "doc-123", autoFinalize: null });
+
+      await runController(groupController.updateDocumentAutoFinalize);
+
+      expect(mockGroupService.updateDocumentAutoFinalize).toHaveBeenCalledWith(1, "doc-123", "user-123", null);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
   describe("finalizeDocument", () => {
     it("Harus berhasil finalisasi dokumen", async () => {
       mockReq.params.groupId = "1";
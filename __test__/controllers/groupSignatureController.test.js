@@ -16,11 +16,14 @@ describe("GroupSignatureController", () => {
       saveDraft: jest.fn(),
       updateDraftPosition: jest.fn(),
       deleteDraft: jest.fn(),
+      declineDocument: jest.fn(),
+      delegateSignature: jest.fn(),
     };
 
     // Mock groupService untuk finalizeGroupDocument
     mockGroupService = {
       finalizeGroupDocument: jest.fn(),
+      scheduleAutoFinalize: jest.fn().mockResolvedValue(false),
     };
 
     // Create controller instance
@@ -84,6 +87,23 @@ describe("GroupSignatureController", () => {
       });
     });
 
+    it("Harus meneruskan typedText/typedFont tanpa signatureImageUrl untuk method typed", async () => {
+      mockReq.params = { documentId: "doc-123" };
+      mockReq.body = { method: "typed", typedText: "Budi", typedFont: "caveat", positionX: 100, positionY: 200, pageNumber: 1 };
+      mockGroupSignatureService.signDocument.mockResolvedValue({ message: "Tanda tangan disimpan.", isComplete: false, remainingSigners: 1, readyToFinalize: false });
+
+      await controller.signDocument(mockReq, mockRes, mockNext);
+
+      expect(mockGroupSignatureService.signDocument).toHaveBeenCalledWith(
+        "user-123",
+        "doc-123",
+        expect.objectContaining({ method: "typed", typedText: "Budi", typedFont: "caveat" }),
+        expect.any(Object),
+        mockReq
+      );
+      expect(mockRes.json).not.toHaveBeenCalledWith(expect.objectContaining({ message: "Data gambar tanda tangan wajib diisi." }));
+    });
+
     it("Harus berhasil sign document dan return 200", async () => {
       mockReq.params = { documentId: "doc-123" };
       mockReq.body = {
@@ -134,10 +154,52 @@ describe("GroupSignatureController", () => {
           isComplete: false,
           remainingSigners: 2,
           readyToFinalize: false,
+          autoFinalizing: false,
         },
       });
     });
 
+    it("Harus memulai finalisasi otomatis jika signer terakhir sudah tanda tangan", async () => {
+      mockReq.params = { documentId: "doc-123" };
+      mockReq.body = { signatureImageUrl: "data:image/png;base64,...", positionX: 100, positionY: 200, pageNumber: 1 };
+      mockGroupSignatureService.documentRepository = { findByIdSimple: jest.fn().mockResolvedValue(null) };
+      mockGroupSignatureService.signDocument.mockResolvedValue({ message: "Tanda tangan berhasil. Menunggu finalisasi Admin.", isComplete: false, remainingSigners: 0, readyToFinalize: true });
+      mockGroupService.scheduleAutoFinalize.mockResolvedValue(true);
+
+      await controller.signDocument(mockReq, mockRes, mockNext);
+
+      expect(mockGroupService.scheduleAutoFinalize).toHaveBeenCalledWith("doc-123");
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "success",
+        message: "Tanda tangan berhasil. Dokumen sedang difinalisasi otomatis.",
+        data: { isComplete: false, remainingSigners: 0, readyToFinalize: true, autoFinalizing: true },
+      });
+    });
+
+    it("Harus emit signing_turn ke grup saat tahap urutan berikutnya dimulai", async () => {
+      const mockIo = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+      const controllerWithIo = createGroupSignatureController(mockGroupSignatureService, mockGroupService, mockIo);
+      mockReq.params = { documentId: "doc-123" };
+      mockReq.body = { signatureImageUrl: "data:image/png;base64,...", positionX: 100, positionY: 200, pageNumber: 1 };
+      mockGroupSignatureService.documentRepository = { findByIdSimple: jest.fn().mockResolvedValue({ id: "doc-123", groupId: 7 }) };
+      mockGroupSignatureService.signDocument.mockResolvedValue({
+        message: "Tanda tangan disimpan.",
+        isComplete: false,
+        remainingSigners: 2,
+        readyToFinalize: false,
+        nextStage: { order: 2, signerIds: ["manager-a", "manager-b"] },
+      });
+
+      await controllerWithIo.signDocument(mockReq, mockRes, mockNext);
+
+      expect(mockIo.to).toHaveBeenCalledWith("group_7");
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "signature_added" }));
+      expect(mockIo.emit).toHaveBeenCalledWith(
+        "group_document_update",
+        expect.objectContaining({ action: "signing_turn", documentId: "doc-123", order: 2, signerIds: ["manager-a", "manager-b"] })
+      );
+    });
+
     it("Harus menggunakan documentId dari body jika tidak ada di params", async () => {
       mockReq.params = {};
       mockReq.body = {
@@ -227,6 +289,70 @@ describe("GroupSignatureController", () => {
     });
   });
 
+  // ==========================================================================
+  // DECLINE DOCUMENT
+  // ==========================================================================
+  describe("declineDocument", () => {
+    it("Harus return 400 jika alasan penolakan kosong", async () => {
+      mockReq.params = { documentId: "doc-123" };
+      mockReq.body = { reason: "  " };
+
+      await controller.declineDocument(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockGroupSignatureService.declineDocument).not.toHaveBeenCalled();
+    });
+
+    it("Harus menyimpan penolakan dan memberi tahu room grup", async () => {
+      const mockIo = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+      const controllerWithIo = createGroupSignatureController(mockGroupSignatureService, mockGroupService, mockIo);
+      mockReq.params = { documentId: "doc-123" };
+      mockReq.body = { reason: "Nilai kontrak salah" };
+      mockReq.user.name = "Budi";
+      const result = { documentId: "doc-123", groupId: 7, title: "Kontrak", reason: "Nilai kontrak salah" };
+      mockGroupSignatureService.declineDocument.mockResolvedValue(result);
+
+      await controllerWithIo.declineDocument(mockReq, mockRes, mockNext);
+
+      expect(mockGroupSignatureService.declineDocument).toHaveBeenCalledWith("user-123", "doc-123", "Nilai kontrak salah", mockReq);
+      expect(mockIo.to).toHaveBeenCalledWith("group_7");
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "signature_declined", documentId: "doc-123", reason: "Nilai kontrak salah" }));
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ status: "success", data: result }));
+    });
+  });
+
+  // ==========================================================================
+  // DELEGATE SIGNATURE
+  // ==========================================================================
+  describe("delegateSignature", () => {
+    it("Harus return 400 jika penerima delegasi kosong", async () => {
+      mockReq.params = { documentId: "doc-123" };
+      mockReq.body = { reason: "Cuti" };
+
+      await controller.delegateSignature(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockGroupSignatureService.delegateSignature).not.toHaveBeenCalled();
+    });
+
+    it("Harus mendelegasikan slot dan memberi tahu room grup", async () => {
+      const mockIo = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+      const controllerWithIo = createGroupSignatureController(mockGroupSignatureService, mockGroupService, mockIo);
+      mockReq.params = { documentId: "doc-123" };
+      mockReq.body = { toUserId: "user-3", reason: "Cuti" };
+      const result = { documentId: "doc-123", groupId: 7, title: "Kontrak", fromUserId: "user-123", toUserId: "user-3", onBehalfOfId: "user-123", reason: "Cuti" };
+      mockGroupSignatureService.delegateSignature.mockResolvedValue(result);
+
+      await controllerWithIo.delegateSignature(mockReq, mockRes, mockNext);
+
+      expect(mockGroupSignatureService.delegateSignature).toHaveBeenCalledWith("user-123", "doc-123", { fromUserId: undefined, toUserId: "user-3", reason: "Cuti" }, mockReq);
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "signature_delegated", toUserId: "user-3" }));
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ status: "success", data: result }));
+    });
+  });
+
   // ==========================================================================
   // SAVE DRAFT
   // ==========================================================================
@@ -4,7 +4,7 @@
  * @file historyController.test.js
  * @description Tests for HistoryController methods:
  *  - createHistoryController: Factory function validation
- *  - getMyHistory: Get user signing history
+ *  - getMyHistory: Get user signing history (paginated)
  */
 
 import { jest } from "@jest/globals";
@@ -38,6 +38,7 @@ describe("HistoryController", () => {
     mockRes = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
     };
 
     // Mock next function
@@ -73,16 +74,20 @@ describe("HistoryController", () => {
   // GET MY HISTORY
   // ==========================================================================
   describe("getMyHistory", () => {
+    const emptyMeta = { total: 0, page: 1, limit: 20, totalPages: 0 };
+    const defaultListOptions = { page: 1, limit: 20, skip: 0, sortBy: "signedAt", sortOrder: "desc", filters: {} };
     it("Harus return 200 dengan data history kosong", async () => {
-      mockHistoryService.getUserSigningHistory.mockResolvedValue([]);
+      mockHistoryService.getUserSigningHistory.mockResolvedValue({ data: [], meta: emptyMeta });
 
       await controller.getMyHistory(mockReq, mockRes, mockNext);
 
-      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith("user-123");
+      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith("user-123", defaultListOptions);
+      expect(mockRes.set).toHaveBeenCalledWith({ "X-Total-Count": "0", "X-Page-Count": "0" });
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
         data: [],
+        pagination: emptyMeta,
       });
     });
 
@@ -111,38 +116,66 @@ describe("HistoryController", () => {
         },
       ];
 
-      mockHistoryService.getUserSigningHistory.mockResolvedValue(mockHistory);
+      const meta = { total: 3, page: 1, limit: 20, totalPages: 1 };
+      mockHistoryService.getUserSigningHistory.mockResolvedValue({ data: mockHistory, meta });
 
       await controller.getMyHistory(mockReq, mockRes, mockNext);
 
-      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith("user-123");
+      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith("user-123", defaultListOptions);
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
         data: mockHistory,
+        pagination: meta,
       });
     });
 
     it("Harus handle user tanpa id dengan memanggil service dengan undefined", async () => {
       mockReq.user = {};
-      mockHistoryService.getUserSigningHistory.mockResolvedValue([]);
+      mockHistoryService.getUserSigningHistory.mockResolvedValue({ data: [], meta: emptyMeta });
 
       await controller.getMyHistory(mockReq, mockRes, mockNext);
 
-      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith(undefined);
+      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith(undefined, defaultListOptions);
       expect(mockRes.status).toHaveBeenCalledWith(200);
     });
 
     it("Harus handle req.user null dengan memanggil service dengan undefined", async () => {
       mockReq.user = null;
-      mockHistoryService.getUserSigningHistory.mockResolvedValue([]);
+      mockHistoryService.getUserSigningHistory.mockResolvedValue({ data: [], meta: emptyMeta });
 
       await controller.getMyHistory(mockReq, mockRes, mockNext);
 
-      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith(undefined);
+      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith(undefined, defaultListOptions);
       expect(mockRes.status).toHaveBeenCalledWith(200);
     });
 
+    it("Harus meneruskan query pagination dan filter yang sudah divalidasi ke service", async () => {
+      mockReq.query = { page: "2", limit: "10", sortOrder: "asc", type: "PACKAGE", dateFrom: "2025-01-01", dateTo: "2025-01-31" };
+      mockHistoryService.getUserSigningHistory.mockResolvedValue({ data: [], meta: { total: 12, page: 2, limit: 10, totalPages: 2 } });
+
+      await controller.getMyHistory(mockReq, mockRes, mockNext);
+
+      expect(mockHistoryService.getUserSigningHistory).toHaveBeenCalledWith("user-123", {
+        page: 2,
+        limit: 10,
+        skip: 10,
+        sortBy: "signedAt",
+        sortOrder: "asc",
+        filters: { type: "PACKAGE", dateFrom: new Date("2025-01-01T00:00:00.000Z"), dateTo: new Date("2025-01-31T23:59:59.999Z") },
+      });
+      expect(mockRes.set).toHaveBeenCalledWith({ "X-Total-Count": "12", "X-Page-Count": "2" });
+    });
+
+    it("Harus menolak type history yang tidak dikenal dengan BadRequest", async () => {
+      mockReq.query = { type: "UNKNOWN" };
+
+      await controller.getMyHistory(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+      expect(mockHistoryService.getUserSigningHistory).not.toHaveBeenCalled();
+    });
+
     it("Harus propagate error ke asyncHandler jika service gagal", async () => {
       const serviceError = new Error("Database connection failed");
       mockHistoryService.getUserSigningHistory.mockRejectedValue(serviceError);
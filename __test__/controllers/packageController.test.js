@@ -5,6 +5,7 @@
  * @description Tests for PackageController methods:
  *  - createPackage: Create signature package with multiple documents
  *  - getPackageDetails: Get full package information
+ *  - getAllPackages: Paginated list of user packages
  *  - signPackage: Sign all documents in a package
  */
 
@@ -26,6 +27,7 @@ describe("PackageController", () => {
     mockPackageService = {
       createPackage: jest.fn(),
       getPackageDetails: jest.fn(),
+      getAllPackages: jest.fn(),
       signPackage: jest.fn(),
     };
 
@@ -45,6 +47,7 @@ describe("PackageController", () => {
     mockRes = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
     };
 
     mockNext = jest.fn();
@@ -223,6 +226,44 @@ describe("PackageController", () => {
     });
   });
 
+  describe("getAllPackages", () => {
+    it("Harus mengembalikan daftar paket beserta pagination dan header count", async () => {
+      const packages = [{ id: "pkg-1", title: "Paket A" }];
+      const meta = { total: 1, page: 1, limit: 20, totalPages: 1 };
+      mockPackageService.getAllPackages.mockResolvedValue({ data: packages, meta });
+
+      await runController(packageController.getAllPackages);
+
+      expect(mockPackageService.getAllPackages).toHaveBeenCalledWith("user-123", { page: 1, limit: 20, skip: 0, sortBy: "createdAt", sortOrder: "desc", filters: {} });
+      expect(mockRes.set).toHaveBeenCalledWith({ "X-Total-Count": "1", "X-Page-Count": "1" });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({ status: "success", data: packages, pagination: meta });
+    });
+
+    it("Harus meneruskan filter status dan rentang tanggal ke service", async () => {
+      mockReq.query = { status: "completed", dateFrom: "2025-01-01", sortBy: "status", sortOrder: "asc" };
+      mockPackageService.getAllPackages.mockResolvedValue({ data: [], meta: { total: 0, page: 1, limit: 20, totalPages: 0 } });
+
+      await runController(packageController.getAllPackages);
+
+      expect(mockPackageService.getAllPackages).toHaveBeenCalledWith("user-123", {
+        page: 1,
+        limit: 20,
+        skip: 0,
+        sortBy: "status",
+        sortOrder: "asc",
+        filters: { status: "completed", dateFrom: new Date("2025-01-01") },
+      });
+    });
+
+    it("Harus menolak sortBy yang tidak didukung", async () => {
+      mockReq.query = { sortBy: "updatedAt" };
+
+      await expect(runController(packageController.getAllPackages)).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockPackageService.getAllPackages).not.toHaveBeenCalled();
+    });
+  });
+
   describe("signPackage", () => {
     beforeEach(() => {
       mockReq.params = { packageId: "pkg-123" };
@@ -256,7 +297,7 @@ describe("PackageController", () => {
 
       await runController(packageController.signPackage);
 
-      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "192.168.1.1", mockReq);
+      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "192.168.1.1", mockReq, { fields: undefined, repeatInitials: undefined });
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: "success",
@@ -265,6 +306,19 @@ describe("PackageController", () => {
       });
     });
 
+    it("Harus meneruskan field non-tanda tangan dan paraf berulang dari body ke service", async () => {
+      mockReq.body.fields = [{ packageDocId: "pkg-doc-1", type: "date", pageNumber: 1, positionX: 0.1, positionY: 0.1, width: 0.2, height: 0.05 }];
+      mockReq.body.repeatInitials = { value: "JD", anchor: "bottom-left" };
+      mockPackageService.signPackage.mockResolvedValue({ packageId: "pkg-123" });
+
+      await runController(packageController.signPackage);
+
+      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "192.168.1.1", mockReq, {
+        fields: mockReq.body.fields,
+        repeatInitials: mockReq.body.repeatInitials,
+      });
+    });
+
     it("Harus return 400 ketika signatures tidak diisi", async () => {
       mockReq.body = { signatures: null };
 
@@ -320,7 +374,8 @@ describe("PackageController", () => {
         "user-123",
         mockReq.body.signatures,
         "203.0.113.45", // First IP dari x-forwarded-for
-        mockReq
+        mockReq,
+        { fields: undefined, repeatInitials: undefined }
       );
     });
 
@@ -336,7 +391,7 @@ describe("PackageController", () => {
 
       await runController(packageController.signPackage);
 
-      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "10.0.0.1", mockReq);
+      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "10.0.0.1", mockReq, { fields: undefined, repeatInitials: undefined });
     });
 
     it("Harus fallback ke connection.remoteAddress jika ip undefined", async () => {
@@ -352,7 +407,7 @@ describe("PackageController", () => {
 
       await runController(packageController.signPackage);
 
-      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "::ffff:127.0.0.1", mockReq);
+      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "::ffff:127.0.0.1", mockReq, { fields: undefined, repeatInitials: undefined });
     });
 
     it("Harus handle single signature dalam array", async () => {
@@ -395,7 +450,7 @@ describe("PackageController", () => {
       await runController(packageController.signPackage);
 
       // Harus trim leading whitespace dari first IP
-      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "203.0.113.45", mockReq);
+      expect(mockPackageService.signPackage).toHaveBeenCalledWith("pkg-123", "user-123", mockReq.body.signatures, "203.0.113.45", mockReq, { fields: undefined, repeatInitials: undefined });
     });
   });
 
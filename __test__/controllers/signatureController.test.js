@@ -251,6 +251,44 @@ describe("SignatureController", () => {
     });
   });
 
+  // ==========================================================================
+  // GET TYPED SIGNATURE FONTS
+  // ==========================================================================
+  describe("getTypedSignatureFonts", () => {
+    it("Harus return daftar font tanpa preview jika query text tidak ada", async () => {
+      mockReq.query = {};
+
+      await controller.getTypedSignatureFonts(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.map((font) => font.key)).toEqual(["dancing-script", "great-vibes", "caveat", "sacramento"]);
+      expect(data.find((font) => font.isDefault).key).toBe("dancing-script");
+      expect(data[0].previewUrl).toBeUndefined();
+    });
+
+    it("Harus menyertakan preview PNG untuk setiap font jika query text dikirim", async () => {
+      mockReq.query = { text: "Budi" };
+
+      await controller.getTypedSignatureFonts(mockReq, mockRes, mockNext);
+
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.every((font) => font.previewUrl.startsWith("data:image/png;base64,"))).toBe(true);
+    });
+  });
+
+  describe("getAppearanceTemplates", () => {
+    it("Harus return daftar template tampilan dengan image-only sebagai default", async () => {
+      await controller.getAppearanceTemplates(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.map((template) => template.key)).toEqual(["image-only", "standard", "detailed"]);
+      expect(data.find((template) => template.isDefault).key).toBe("image-only");
+      expect(data.find((template) => template.key === "detailed").fields).toContain("reason");
+    });
+  });
+
   // ==========================================================================
   // GET SIGNATURE VERIFICATION
   // ==========================================================================
@@ -720,6 +758,63 @@ describe("SignatureController", () => {
         }),
       });
     });
+
+    describe("dengan signatureValidationService", () => {
+      let mockSignatureValidationService;
+
+      beforeEach(() => {
+        mockSignatureValidationService = {
+          validatePdf: jest.fn(),
+        };
+        controller = createSignatureController(mockDocumentService, mockSignatureService, mockPackageService, mockGroupSignatureService, mockSignatureValidationService);
+        mockReq.body = { signatureId: "sig-123" };
+        mockReq.file = { buffer: Buffer.from("pdf") };
+      });
+
+      it("Harus menyertakan hasil validasi per revisi jika hash cocok", async () => {
+        const validation = { status: "VALID", message: "Seluruh tanda tangan digital utuh dan dipercaya.", signatureCount: 1, revisions: [{ revision: 1, isIntact: true }] };
+        mockSignatureValidationService.validatePdf.mockReturnValue(validation);
+        mockSignatureService.verifyUploadedFile.mockResolvedValue({ isHashMatch: true, documentTitle: "Test Doc" });
+
+        await controller.verifyUploadedSignature(mockReq, mockRes, mockNext);
+
+        expect(mockSignatureValidationService.validatePdf).toHaveBeenCalledWith(mockReq.file.buffer);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          status: "success",
+          message: "Verifikasi Berhasil.",
+          data: { isHashMatch: true, documentTitle: "Test Doc", signatureValidation: validation },
+        });
+      });
+
+      it("Harus menyertakan alasan INVALID dari hasil validasi", async () => {
+        const validation = { status: "MODIFIED", message: "Seluruh tanda tangan utuh, tetapi dokumen diubah setelah tanda tangan terakhir.", signatureCount: 1, revisions: [{ revision: 1, modifiedAfterSigning: true }] };
+        mockSignatureValidationService.validatePdf.mockReturnValue(validation);
+        mockSignatureService.verifyUploadedFile.mockResolvedValue({ isHashMatch: false, documentTitle: "Test Doc" });
+
+        await controller.verifyUploadedSignature(mockReq, mockRes, mockNext);
+
+        expect(mockRes.json).toHaveBeenCalledWith({
+          status: "success",
+          data: {
+            isValid: false,
+            verificationStatus: "INVALID (Hash Mismatch)",
+            message: "Dokumen berbeda dengan arsip sistem.",
+            documentTitle: "Test Doc",
+            reason: validation.message,
+            signatureValidation: validation,
+          },
+        });
+      });
+
+      it("Tidak boleh memvalidasi PDF jika verifikasi masih terkunci PIN", async () => {
+        mockSignatureService.verifyUploadedFile.mockResolvedValue({ isLocked: true, documentTitle: "Test Doc" });
+
+        await controller.verifyUploadedSignature(mockReq, mockRes, mockNext);
+
+        expect(mockSignatureValidationService.validatePdf).not.toHaveBeenCalled();
+        expect(mockRes.json).toHaveBeenCalledWith({ status: "success", data: { isLocked: true, documentTitle: "Test Doc" } });
+      });
+    });
   });
 
   // ==========================================================================
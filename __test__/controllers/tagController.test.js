@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for TagController
+ *
+ * @file tagController.test.js
+ * @description Tests for TagController methods: getTags, createTag, updateTag, deleteTag, assignTags, unassignTags
+ */
+
+import { jest } from "@jest/globals";
+import { createTagController } from "../../src/controllers/tagController.js";
+import TagError from "../../src/errors/TagError.js";
+
+describe("TagController", () => {
+  let controller;
+  let mockTagService;
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockTagService = {
+      listTags: jest.fn(),
+      createTag: jest.fn(),
+      updateTag: jest.fn(),
+      deleteTag: jest.fn(),
+      assignTags: jest.fn(),
+      unassignTags: jest.fn(),
+    };
+
+    controller = createTagController(mockTagService);
+
+    mockReq = {
+      user: { id: "user-123" },
+      params: {},
+      body: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getTags", () => {
+    it("Harus mengambil tag grup jika groupId diisi", async () => {
+      mockReq.query.groupId = "7";
+      mockTagService.listTags.mockResolvedValue([{ id: "tag-1" }]);
+
+      await controller.getTags(mockReq, mockRes, mockNext);
+
+      expect(mockTagService.listTags).toHaveBeenCalledWith("user-123", 7);
+      expect(mockRes.json).toHaveBeenCalledWith({ status: "success", data: [{ id: "tag-1" }] });
+    });
+  });
+
+  describe("createTag", () => {
+    it("Harus membuat tag dan mengembalikan 201", async () => {
+      mockReq.body = { name: "Urgent", color: "#E53935" };
+      mockTagService.createTag.mockResolvedValue({ id: "tag-1", name: "Urgent" });
+
+      await controller.createTag(mockReq, mockRes, mockNext);
+
+      expect(mockTagService.createTag).toHaveBeenCalledWith("user-123", { name: "Urgent", color: "#E53935", groupId: null });
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe("updateTag & deleteTag", () => {
+    it("Harus memperbarui tag", async () => {
+      mockReq.params.tagId = "tag-1";
+      mockReq.body = { color: "#000000" };
+      mockTagService.updateTag.mockResolvedValue({ id: "tag-1", color: "#000000" });
+
+      await controller.updateTag(mockReq, mockRes, mockNext);
+
+      expect(mockTagService.updateTag).toHaveBeenCalledWith("user-123", "tag-1", { name: undefined, color: "#000000" });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it("Harus meneruskan error NotFound ke next", async () => {
+      const error = TagError.NotFound("tag-x");
+      mockReq.params.tagId = "tag-x";
+      mockTagService.deleteTag.mockRejectedValue(error);
+
+      await controller.deleteTag(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("assignTags & unassignTags", () => {
+    it("Harus memasang tag secara bulk", async () => {
+      mockReq.body = { documentIds: ["doc-1"], tagIds: ["tag-1"] };
+      mockTagService.assignTags.mockResolvedValue({ documentCount: 1, tagCount: 1, affected: 1 });
+
+      await controller.assignTags(mockReq, mockRes, mockNext);
+
+      expect(mockTagService.assignTags).toHaveBeenCalledWith("user-123", { documentIds: ["doc-1"], tagIds: ["tag-1"] });
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ data: { documentCount: 1, tagCount: 1, affected: 1 } }));
+    });
+
+    it("Harus melepas tag secara bulk", async () => {
+      mockReq.body = { documentIds: ["doc-1"], tagIds: ["tag-1"] };
+      mockTagService.unassignTags.mockResolvedValue({ documentCount: 1, tagCount: 1, affected: 0 });
+
+      await controller.unassignTags(mockReq, mockRes, mockNext);
+
+      expect(mockTagService.unassignTags).toHaveBeenCalledWith("user-123", { documentIds: ["doc-1"], tagIds: ["tag-1"] });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for TrashController
+ *
+ * @file trashController.test.js
+ * @description Tests for TrashController methods: getTrash, getTrashedVersions, restoreDocument, restoreVersion, purgeDocument
+ */
+
+import { jest } from "@jest/globals";
+import { createTrashController } from "../../src/controllers/trashController.js";
+import DocumentError from "../../src/errors/DocumentError.js";
+
+describe("TrashController", () => {
+  let controller;
+  let mockTrashService;
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockTrashService = {
+      listTrash: jest.fn(),
+      listTrashedVersions: jest.fn(),
+      restoreDocument: jest.fn(),
+      restoreVersion: jest.fn(),
+      purgeDocument: jest.fn(),
+    };
+
+    controller = createTrashController(mockTrashService);
+
+    mockReq = {
+      user: { id: "user-123" },
+      params: {},
+      body: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+    };
+
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getTrash", () => {
+    it("Harus mengembalikan daftar tempat sampah beserta header pagination", async () => {
+      const meta = { page: 2, limit: 10, total: 12, totalPages: 2 };
+      mockReq.query = { page: "2", limit: "10" };
+      mockTrashService.listTrash.mockResolvedValue({ data: [{ id: "doc-1" }], meta });
+
+      await controller.getTrash(mockReq, mockRes, mockNext);
+
+      expect(mockTrashService.listTrash).toHaveBeenCalledWith("user-123", { page: 2, limit: 10 });
+      expect(mockRes.set).toHaveBeenCalledWith({ "X-Total-Count": "12", "X-Page-Count": "2" });
+      expect(mockRes.json).toHaveBeenCalledWith({ status: "success", data: [{ id: "doc-1" }], pagination: meta });
+    });
+
+    it("Harus meneruskan error jika limit melebihi batas", async () => {
+      mockReq.query = { limit: "500" };
+
+      await controller.getTrash(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 400 }));
+      expect(mockTrashService.listTrash).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getTrashedVersions", () => {
+    it("Harus mengembalikan versi dokumen di tempat sampah", async () => {
+      mockReq.params = { documentId: "doc-1" };
+      mockTrashService.listTrashedVersions.mockResolvedValue([{ id: "ver-1" }]);
+
+      await controller.getTrashedVersions(mockReq, mockRes, mockNext);
+
+      expect(mockTrashService.listTrashedVersions).toHaveBeenCalledWith("doc-1", "user-123");
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("restoreDocument", () => {
+    it("Harus memulihkan dokumen", async () => {
+      mockReq.params = { documentId: "doc-1" };
+      mockTrashService.restoreDocument.mockResolvedValue({ id: "doc-1" });
+
+      await controller.restoreDocument(mockReq, mockRes, mockNext);
+
+      expect(mockTrashService.restoreDocument).toHaveBeenCalledWith("doc-1", "user-123", mockReq);
+      expect(mockRes.json).toHaveBeenCalledWith({ status: "success", message: "Dokumen berhasil dipulihkan.", data: { id: "doc-1" } });
+    });
+
+    it("Harus meneruskan error dari service", async () => {
+      const error = DocumentError.Forbidden("Dokumen ini dihapus oleh admin.");
+      mockReq.params = { documentId: "doc-1" };
+      mockTrashService.restoreDocument.mockRejectedValue(error);
+
+      await controller.restoreDocument(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe("restoreVersion", () => {
+    it("Harus memulihkan versi dokumen", async () => {
+      mockReq.params = { documentId: "doc-1", versionId: "ver-2" };
+      mockTrashService.restoreVersion.mockResolvedValue({ id: "ver-2" });
+
+      await controller.restoreVersion(mockReq, mockRes, mockNext);
+
+      expect(mockTrashService.restoreVersion).toHaveBeenCalledWith("doc-1", "ver-2", "user-123");
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe("purgeDocument", () => {
+    it("Harus menghapus permanen dokumen", async () => {
+      mockReq.params = { documentId: "doc-1" };
+      mockTrashService.purgeDocument.mockResolvedValue({ id: "doc-1" });
+
+      await controller.purgeDocument(mockReq, mockRes, mockNext);
+
+      expect(mockTrashService.purgeDocument).toHaveBeenCalledWith("doc-1", "user-123", mockReq);
+      expect(mockRes.json).toHaveBeenCalledWith({ status: "success", message: "Dokumen berhasil dihapus permanen." });
+    });
+  });
+});
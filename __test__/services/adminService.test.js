@@ -17,6 +17,7 @@ describe("AdminService", () => {
       getTrafficStats: jest.fn(),
       findAllDocuments: jest.fn(),
       forceDeleteDocument: jest.fn(),
+      restoreDocument: jest.fn(),
     };
 
     mockAuditService = {
@@ -37,20 +38,30 @@ describe("AdminService", () => {
         { id: 1, name: "User A", email: "a@test.com" },
         { id: 2, name: "User B", email: "b@test.com" },
       ];
-      mockAdminRepository.findAllUsers.mockResolvedValue(mockUsers);
+      mockAdminRepository.findAllUsers.mockResolvedValue({ data: mockUsers, total: 2 });
 
       const result = await adminService.getAllUsers();
 
-      expect(mockAdminRepository.findAllUsers).toHaveBeenCalled();
-      expect(result).toEqual(mockUsers);
+      expect(mockAdminRepository.findAllUsers).toHaveBeenCalledWith({ filters: undefined, sortBy: undefined, sortOrder: undefined, skip: 0, take: 20 });
+      expect(result).toEqual({ data: mockUsers, meta: { total: 2, page: 1, limit: 20, totalPages: 1 } });
     });
 
     it("Harus mengembalikan array kosong jika tidak ada user", async () => {
-      mockAdminRepository.findAllUsers.mockResolvedValue([]);
+      mockAdminRepository.findAllUsers.mockResolvedValue({ data: [], total: 0 });
 
       const result = await adminService.getAllUsers();
 
-      expect(result).toEqual([]);
+      expect(result).toEqual({ data: [], meta: { total: 0, page: 1, limit: 20, totalPages: 0 } });
+    });
+
+    it("Harus meneruskan pagination, sorting, dan filter ke repository", async () => {
+      const filters = { status: "PREMIUM" };
+      mockAdminRepository.findAllUsers.mockResolvedValue({ data: [{ id: 1 }], total: 25 });
+
+      const result = await adminService.getAllUsers({ page: 3, limit: 10, sortBy: "name", sortOrder: "asc", filters });
+
+      expect(mockAdminRepository.findAllUsers).toHaveBeenCalledWith({ filters, sortBy: "name", sortOrder: "asc", skip: 20, take: 10 });
+      expect(result.meta).toEqual({ total: 25, page: 3, limit: 10, totalPages: 3 });
     });
   });
 
@@ -259,20 +270,30 @@ describe("AdminService", () => {
         { id: "doc-1", title: "Document 1", ownerId: "user-1" },
         { id: "doc-2", title: "Document 2", ownerId: "user-2" },
       ];
-      mockAdminRepository.findAllDocuments.mockResolvedValue(mockDocuments);
+      mockAdminRepository.findAllDocuments.mockResolvedValue({ data: mockDocuments, total: 2 });
 
       const result = await adminService.getAllDocuments();
 
-      expect(mockAdminRepository.findAllDocuments).toHaveBeenCalled();
-      expect(result).toEqual(mockDocuments);
+      expect(mockAdminRepository.findAllDocuments).toHaveBeenCalledWith(expect.objectContaining({ skip: 0, take: 20 }));
+      expect(result).toEqual({ data: mockDocuments, meta: { total: 2, page: 1, limit: 20, totalPages: 1 } });
     });
 
     it("Harus mengembalikan array kosong jika tidak ada dokumen", async () => {
-      mockAdminRepository.findAllDocuments.mockResolvedValue([]);
+      mockAdminRepository.findAllDocuments.mockResolvedValue({ data: [], total: 0 });
 
       const result = await adminService.getAllDocuments();
 
-      expect(result).toEqual([]);
+      expect(result).toEqual({ data: [], meta: { total: 0, page: 1, limit: 20, totalPages: 0 } });
+    });
+
+    it("Harus meneruskan filter status, tipe, dan grup ke repository", async () => {
+      const filters = { status: "completed", type: "Kontrak", groupId: null };
+      mockAdminRepository.findAllDocuments.mockResolvedValue({ data: [], total: 41 });
+
+      const result = await adminService.getAllDocuments({ page: 2, limit: 20, sortBy: "title", sortOrder: "asc", filters });
+
+      expect(mockAdminRepository.findAllDocuments).toHaveBeenCalledWith({ filters, sortBy: "title", sortOrder: "asc", skip: 20, take: 20 });
+      expect(result.meta.totalPages).toBe(3);
     });
   });
 
@@ -317,7 +338,7 @@ describe("AdminService", () => {
 
       await adminService.forceDeleteDocument(adminId, documentId, reason, mockReq);
 
-      expect(mockAdminRepository.forceDeleteDocument).toHaveBeenCalledWith(documentId);
+      expect(mockAdminRepository.forceDeleteDocument).toHaveBeenCalledWith(documentId, adminId);
     });
 
     it("Harus mencatat audit log dengan alasan penghapusan", async () => {
@@ -362,4 +383,25 @@ describe("AdminService", () => {
       expect(result).toEqual(deleteResult);
     });
   });
+
+  describe("restoreDocument", () => {
+    const mockReq = { ip: "10.0.0.1", headers: { "user-agent": "admin-browser" } };
+
+    it("Harus memulihkan dokumen dan mencatat audit log", async () => {
+      mockAdminRepository.restoreDocument.mockResolvedValue({ id: "doc-123" });
+
+      const result = await adminService.restoreDocument("admin-1", "doc-123", mockReq);
+
+      expect(mockAdminRepository.restoreDocument).toHaveBeenCalledWith("doc-123");
+      expect(mockAuditService.log).toHaveBeenCalledWith("RESTORE_DOCUMENT", "admin-1", "doc-123", "Admin memulihkan dokumen dari tempat sampah.", mockReq);
+      expect(result).toEqual({ id: "doc-123" });
+    });
+
+    it("Harus tidak mencatat audit log jika pemulihan gagal", async () => {
+      mockAdminRepository.restoreDocument.mockRejectedValue(new Error("Dokumen tidak ditemukan di tempat sampah."));
+
+      await expect(adminService.restoreDocument("admin-1", "doc-x", mockReq)).rejects.toThrow("Dokumen tidak ditemukan di tempat sampah.");
+      expect(mockAuditService.log).not.toHaveBeenCalled();
+    });
+  });
 });
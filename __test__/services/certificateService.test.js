@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import forge from "node-forge";
+import { CertificateService, loadSystemP12 } from "../../src/services/certificateService.js";
+import CommonError from "../../src/errors/CommonError.js";
+
+/**
+ * Membuat P12 CA sistem (self-signed) untuk kebutuhan test.
+ */
+const createSystemP12 = (passphrase) => {
+  const { privateKey: privateKeyPem, publicKey: publicKeyPem } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  });
+  const privateKey = forge.pki.privateKeyFromPem(privateKeyPem);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+  cert.serialNumber = "01";
+  cert.validity.notBefore = new Date(Date.now() - 1000);
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const attrs = [{ name: "commonName", value: "Signify System" }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.setExtensions([{ name: "basicConstraints", cA: true }]);
+  cert.sign(privateKey, forge.md.sha256.create());
+
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(privateKey, [cert], passphrase, { algorithm: "3des" });
+  return { p12Buffer: Buffer.from(forge.asn1.toDer(p12Asn1).getBytes(), "binary"), cert };
+};
+
+describe("CertificateService", () => {
+  let certificateService;
+  let systemP12;
+
+  beforeAll(() => {
+    systemP12 = createSystemP12("secret");
+  });
+
+  beforeEach(() => {
+    certificateService = new CertificateService();
+  });
+
+  describe("parseP12", () => {
+    it("Harus mengembalikan private key, sertifikat, dan rantai sertifikat", () => {
+      const result = certificateService.parseP12(systemP12.p12Buffer, "secret");
+
+      expect(result.privateKey).toBeDefined();
+      expect(result.certificate.subject.getField("CN").value).toBe("Signify System");
+      expect(result.chain).toHaveLength(1);
+    });
+
+    it("Harus throw InternalServerError jika password salah", () => {
+      expect(() => certificateService.parseP12(systemP12.p12Buffer, "wrong")).toThrow(CommonError);
+    });
+
+    it("Harus throw InternalServerError jika buffer bukan P12", () => {
+      expect(() => certificateService.parseP12(Buffer.from("bukan-p12"), "secret")).toThrow("Gagal membaca sertifikat P12");
+    });
+  });
+
+  describe("issueSignerCertificate", () => {
+    it("Harus menerbitkan sertifikat atas nama signer yang ditandatangani oleh CA sistem", () => {
+      const result = certificateService.issueSignerCertificate(systemP12.p12Buffer, "secret", { name: "Budi", email: "budi@mail.com" });
+
+      const cert = forge.pki.certificateFromPem(result.certificate);
+      expect(cert.subject.getField("CN").value).toBe("Budi");
+      expect(cert.subject.getField("E").value).toBe("budi@mail.com");
+      expect(cert.issuer.getField("CN").value).toBe("Signify System");
+      expect(systemP12.cert.verify(cert)).toBe(true);
+
+      // Public key yang dikembalikan sama dengan public key di sertifikat
+      expect(forge.pki.publicKeyToPem(cert.publicKey).replace(/\r/g, "")).toBe(result.publicKey);
+      expect(result.passphrase).toBe("secret");
+    });
+
+    it("Harus menghasilkan P12 yang bisa dibaca kembali beserta rantai sertifikat sistem", () => {
+      const result = certificateService.issueSignerCertificate(systemP12.p12Buffer, "secret", { name: "Budi", email: "budi@mail.com" });
+
+      const parsed = certificateService.parseP12(result.p12Buffer, "secret");
+      expect(parsed.certificate.subject.getField("CN").value).toBe("Budi");
+      expect(parsed.chain).toHaveLength(2);
+    });
+
+    it("Harus membuat key pair berbeda untuk setiap signer", () => {
+      const a = certificateService.issueSignerCertificate(systemP12.p12Buffer, "secret", { name: "A" });
+      const b = certificateService.issueSignerCertificate(systemP12.p12Buffer, "secret", { name: "B" });
+
+      expect(a.publicKey).not.toBe(b.publicKey);
+    });
+
+    it("Harus mengabaikan email placeholder '-' dan nama kosong", () => {
+      const result = certificateService.issueSignerCertificate(systemP12.p12Buffer, "secret", { name: "", email: "-" });
+
+      const cert = forge.pki.certificateFromPem(result.certificate);
+      expect(cert.subject.getField("CN").value).toBe("Unknown Signer");
+      expect(cert.subject.getField("E")).toBeNull();
+    });
+  });
+
+  describe("issueTimestampCertificate", () => {
+    it("Harus menerbitkan sertifikat TSA dengan extKeyUsage timeStamping (critical)", () => {
+      const result = certificateService.issueTimestampCertificate(systemP12.p12Buffer, "secret");
+
+      const eku = result.certificate.getExtension("extKeyUsage");
+      expect(result.certificate.subject.getField("CN").value).toBe("Signify Local TSA");
+      expect(eku.timeStamping).toBe(true);
+      expect(eku.critical).toBe(true);
+      expect(systemP12.cert.verify(result.certificate)).toBe(true);
+      expect(result.chain).toHaveLength(2);
+      expect(result.privateKeyPem).toContain("PRIVATE KEY");
+    });
+  });
+
+  describe("createCrl", () => {
+    it("Harus membuat CRL kosong yang ditandatangani CA sistem", () => {
+      const crlDer = certificateService.createCrl(systemP12.p12Buffer, "secret");
+
+      const crl = forge.asn1.fromDer(forge.util.createBuffer(crlDer.toString("binary")));
+      const [tbsCertList, , signatureValue] = crl.value;
+      const issuer = forge.pki.certificateFromAsn1(forge.pki.certificateToAsn1(systemP12.cert));
+
+      // Hanya ada version, algoritma, issuer, thisUpdate, nextUpdate, extensions (tanpa revokedCertificates)
+      expect(tbsCertList.value).toHaveLength(6);
+      const tbsDer = Buffer.from(forge.asn1.toDer(tbsCertList).getBytes(), "binary");
+      const signature = Buffer.from(signatureValue.value, "binary").subarray(1); // buang byte "unused bits"
+      expect(crypto.verify("sha256", tbsDer, forge.pki.publicKeyToPem(issuer.publicKey), signature)).toBe(true);
+    });
+  });
+
+  describe("loadSystemP12", () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it("Harus memakai CERT_BASE64 jika file CERT_FILE_PATH tidak ada", () => {
+      process.env.CERT_FILE_PATH = "./tidak-ada.p12";
+      process.env.CERT_BASE64 = systemP12.p12Buffer.toString("base64");
+
+      expect(loadSystemP12().equals(systemP12.p12Buffer)).toBe(true);
+    });
+
+    it("Harus throw InternalServerError jika sertifikat tidak ditemukan", () => {
+      process.env.CERT_FILE_PATH = "./tidak-ada.p12";
+      delete process.env.CERT_BASE64;
+
+      expect(() => loadSystemP12()).toThrow("Sertifikat Digital (P12) tidak ditemukan");
+    });
+  });
+});
@@ -10,6 +10,7 @@ const mockDashboardRepository = {
   findRecentSignatures: jest.fn(),
   findRecentGroupSignatures: jest.fn(),
   findRecentPackageSignatures: jest.fn(),
+  findOverdueGroupDocuments: jest.fn().mockResolvedValue([]),
 };
 
 const mockGroupDocumentSignerRepository = {
@@ -100,6 +101,28 @@ describe("DashboardService", () => {
       expect(result.activities).toHaveLength(1);
     });
 
+    test("should pass folder & tag filters as document filter to every query", async () => {
+      mockDashboardRepository.countAllStatuses.mockResolvedValue({});
+      mockDashboardRepository.findPendingSignatures.mockResolvedValue([]);
+      mockDashboardRepository.findActionRequiredDocuments.mockResolvedValue([]);
+      mockGroupDocumentSignerRepository.findPendingByUser.mockResolvedValue([]);
+      mockDashboardRepository.findRecentUpdatedDocuments.mockResolvedValue([]);
+      mockDashboardRepository.findRecentSignatures.mockResolvedValue([]);
+      mockDashboardRepository.findRecentGroupSignatures.mockResolvedValue([]);
+      mockDashboardRepository.findRecentPackageSignatures.mockResolvedValue([]);
+
+      await service.getDashboardSummary("user123", { folderId: "folder-1", tagIds: ["tag-1", "tag-2"] });
+
+      const documentFilter = {
+        folderId: "folder-1",
+        AND: [{ tags: { some: { tagId: "tag-1" } } }, { tags: { some: { tagId: "tag-2" } } }],
+      };
+      expect(mockDashboardRepository.countAllStatuses).toHaveBeenCalledWith("user123", documentFilter);
+      expect(mockDashboardRepository.findPendingSignatures).toHaveBeenCalledWith("user123", 5, documentFilter);
+      expect(mockGroupDocumentSignerRepository.findPendingByUser).toHaveBeenCalledWith("user123", documentFilter);
+      expect(mockDashboardRepository.findRecentPackageSignatures).toHaveBeenCalledWith("user123", 5, documentFilter);
+    });
+
     test("should handle missing userId validation", async () => {
       await expect(service.getDashboardSummary("")).rejects.toThrow(CommonError);
       await expect(service.getDashboardSummary(null)).rejects.toThrow(CommonError);
@@ -226,6 +249,38 @@ describe("DashboardService", () => {
       expect(result[0].title).toBe("Personal Request");
     });
 
+    test("should show group documents with expired signer requests as SIGNING_OVERDUE", async () => {
+      const updatedAt = new Date("2024-03-01");
+
+      mockDashboardRepository.findPendingSignatures.mockResolvedValue([]);
+      mockDashboardRepository.findActionRequiredDocuments.mockResolvedValue([{ id: "doc-g", title: "Kontrak Grup", status: "pending", updatedAt }]);
+      mockGroupDocumentSignerRepository.findPendingByUser.mockResolvedValue([]);
+      mockDashboardRepository.findOverdueGroupDocuments.mockResolvedValueOnce([
+        { id: "doc-g", title: "Kontrak Grup", updatedAt, groupId: 7, group: { name: "Legal" }, _count: { signerRequests: 2 } },
+      ]);
+
+      const result = await service._getActionItems("user123");
+
+      expect(mockDashboardRepository.findOverdueGroupDocuments).toHaveBeenCalledWith("user123", 5, undefined);
+      expect(result).toEqual([
+        { id: "doc-g", title: "Kontrak Grup", ownerName: "Grup: Legal", status: "SIGNING_OVERDUE", type: "group", updatedAt, groupId: 7, overdueCount: 2 },
+      ]);
+    });
+
+    test("should include the effective signing deadline on group signature tasks", async () => {
+      const deadline = new Date("2024-04-01");
+
+      mockDashboardRepository.findPendingSignatures.mockResolvedValue([]);
+      mockDashboardRepository.findActionRequiredDocuments.mockResolvedValue([]);
+      mockGroupDocumentSignerRepository.findPendingByUser.mockResolvedValue([
+        { deadline: null, document: { id: "doc-g", title: "Kontrak", groupId: 7, updatedAt: new Date(), signingDeadline: deadline, group: { name: "Legal" } } },
+      ]);
+
+      const result = await service._getActionItems("user123");
+
+      expect(result[0]).toMatchObject({ status: "NEED_YOUR_SIGNATURE", deadline });
+    });
+
     test("should sort items by updatedAt descending", async () => {
       const dateNew = new Date("2024-02-01");
       const dateOld = new Date("2024-01-01");
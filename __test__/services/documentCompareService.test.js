@@ -0,0 +1,104 @@
+import { jest } from "@jest/globals";
+import { DocumentCompareService, MAX_VISUAL_DIFF_PAGES } from "../../src/services/documentCompareService.js";
+import { PREVIEW_SIZES } from "../../src/services/documentPreviewService.js";
+import DocumentError from "../../src/errors/DocumentError.js";
+
+describe("DocumentCompareService", () => {
+  let service;
+  let mockFileStorage;
+  let mockExtractText;
+  let mockRenderPage;
+  let mockCreateOverlay;
+  const fromVersion = { id: "ver-1", url: "documents/v1.pdf", hash: "hash-1" };
+  const toVersion = { id: "ver-2", url: "documents/v2.pdf", hash: "hash-2" };
+  const fromPdf = Buffer.from("%PDF-v1");
+  const toPdf = Buffer.from("%PDF-v2");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockFileStorage = {
+      downloadFileAsBuffer: jest.fn((url) => Promise.resolve(url === fromVersion.url ? fromPdf : toPdf)),
+    };
+    mockExtractText = jest.fn((buffer) => Promise.resolve(buffer === fromPdf ? ["Pasal 1 Harga Rp 100", "Penutup"] : ["Pasal 1 Harga Rp 150", "Penutup", "Lampiran baru"]));
+    mockRenderPage = jest.fn().mockResolvedValue({ image: Buffer.from("png"), pageCount: 2 });
+    mockCreateOverlay = jest.fn().mockResolvedValue({ image: Buffer.from("overlay"), changedPixelRatio: 0.012345 });
+
+    service = new DocumentCompareService(mockFileStorage, { extractText: mockExtractText, renderPage: mockRenderPage, createOverlay: mockCreateOverlay });
+  });
+
+  describe("constructor", () => {
+    it("Harus throw error jika file storage tidak disediakan", () => {
+      expect(() => new DocumentCompareService()).toThrow("File storage harus disediakan.");
+    });
+  });
+
+  describe("compareVersions", () => {
+    it("Harus mengembalikan diff teks per halaman beserta ringkasan", async () => {
+      const result = await service.compareVersions(fromVersion, toVersion);
+
+      expect(mockFileStorage.downloadFileAsBuffer).toHaveBeenCalledWith("documents/v1.pdf");
+      expect(mockFileStorage.downloadFileAsBuffer).toHaveBeenCalledWith("documents/v2.pdf");
+      expect(result.identical).toBe(false);
+      expect(result.summary).toEqual({ fromPageCount: 2, toPageCount: 3, changedPages: [1, 3], addedWords: 3, removedWords: 1 });
+
+      expect(result.pages[0]).toEqual({
+        pageNumber: 1,
+        status: "modified",
+        added: 1,
+        removed: 1,
+        segments: [
+          { type: "equal", value: "Pasal 1 Harga Rp" },
+          { type: "removed", value: "100" },
+          { type: "added", value: "150" },
+        ],
+      });
+      expect(result.pages[1]).toEqual({ pageNumber: 2, status: "unchanged", added: 0, removed: 0, segments: [] });
+      expect(result.pages[2]).toMatchObject({ pageNumber: 3, status: "added", added: 2 });
+      expect(mockRenderPage).not.toHaveBeenCalled();
+    });
+
+    it("Harus menandai halaman yang dihapus di versi baru", async () => {
+      mockExtractText.mockImplementation((buffer) => Promise.resolve(buffer === fromPdf ? ["A", "Halaman dua"] : ["A"]));
+
+      const result = await service.compareVersions(fromVersion, toVersion);
+
+      expect(result.pages[1]).toEqual({ pageNumber: 2, status: "removed", added: 0, removed: 2, segments: [{ type: "removed", value: "Halaman dua" }] });
+      expect(result.summary.changedPages).toEqual([2]);
+    });
+
+    it("Harus membuat overlay pixel-diff untuk halaman yang ada di kedua versi jika visual aktif", async () => {
+      const result = await service.compareVersions(fromVersion, toVersion, { visual: true, size: "medium" });
+
+      expect(mockRenderPage).toHaveBeenCalledTimes(4);
+      expect(mockRenderPage).toHaveBeenCalledWith(fromPdf, 1, PREVIEW_SIZES.medium);
+      expect(mockRenderPage).toHaveBeenCalledWith(toPdf, 2, PREVIEW_SIZES.medium);
+      expect(result.pages[0].visual).toEqual({ changedPixelRatio: 0.0123, image: `data:image/png;base64,${Buffer.from("overlay").toString("base64")}` });
+      expect(result.pages[2].visual).toBeUndefined();
+    });
+
+    it("Harus membatasi overlay pada halaman yang diminta", async () => {
+      const result = await service.compareVersions(fromVersion, toVersion, { visual: true, pages: ["2", "3"] });
+
+      expect(mockRenderPage).toHaveBeenCalledTimes(2);
+      expect(mockRenderPage).toHaveBeenCalledWith(fromPdf, 2, PREVIEW_SIZES.small);
+      expect(result.pages[0].visual).toBeUndefined();
+      expect(result.pages[1].visual).toBeDefined();
+    });
+
+    it("Harus throw InvalidCompareRequest untuk opsi tidak valid", async () => {
+      await expect(service.compareVersions(fromVersion, toVersion, { size: "huge" })).rejects.toMatchObject({ code: "INVALID_COMPARE_REQUEST", statusCode: 400 });
+      await expect(service.compareVersions(fromVersion, toVersion, { pages: ["0"] })).rejects.toMatchObject({ code: "INVALID_COMPARE_REQUEST" });
+
+      const tooMany = Array.from({ length: MAX_VISUAL_DIFF_PAGES + 1 }, (_, index) => index + 1);
+      await expect(service.compareVersions(fromVersion, toVersion, { pages: tooMany })).rejects.toThrow(DocumentError);
+      expect(mockFileStorage.downloadFileAsBuffer).not.toHaveBeenCalled();
+    });
+
+    it("Harus membungkus error ekstraksi teks sebagai CompareFailed", async () => {
+      mockExtractText.mockRejectedValue(new Error("Invalid PDF structure."));
+
+      await expect(service.compareVersions(fromVersion, toVersion)).rejects.toMatchObject({ code: "VERSION_COMPARE_FAILED", statusCode: 422 });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DocumentConversionService } from "../../src/services/documentConversionService.js";
+import DocumentError from "../../src/errors/DocumentError.js";
+
+const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+/**
+ * Membuat executable palsu pengganti `soffice` untuk kebutuhan test.
+ */
+const createFakeConverter = (dir, name, script) => {
+  const binaryPath = path.join(dir, name);
+  fs.writeFileSync(binaryPath, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+  return binaryPath;
+};
+
+describe("DocumentConversionService", () => {
+  let binDir;
+  const wordFile = { fieldname: "documentFile", originalname: "Kontrak Kerja.docx", mimetype: DOCX_MIME, buffer: Buffer.from("docx-content"), size: 12 };
+
+  beforeAll(() => {
+    binDir = fs.mkdtempSync(path.join(os.tmpdir(), "fake-soffice-"));
+  });
+
+  afterAll(() => {
+    fs.rmSync(binDir, { recursive: true, force: true });
+  });
+
+  describe("isConvertible", () => {
+    it("Harus true untuk .doc dan .docx, false untuk PDF", () => {
+      const service = new DocumentConversionService();
+
+      expect(service.isConvertible({ mimetype: DOCX_MIME })).toBe(true);
+      expect(service.isConvertible({ mimetype: "application/msword" })).toBe(true);
+      expect(service.isConvertible({ mimetype: "application/pdf" })).toBe(false);
+      expect(service.isConvertible(null)).toBe(false);
+    });
+  });
+
+  describe("convertToPdf", () => {
+    it("Harus menjalankan converter dan mengembalikan file PDF", async () => {
+      const binaryPath = createFakeConverter(
+        binDir,
+        "soffice-ok",
+        `while [ $# -gt 1 ]; do if [ "$1" = "--outdir" ]; then out="$2"; fi; shift; done
+printf '%%PDF-1.4\\n%%fake\\n' > "$out/source.pdf"`
+      );
+      const service = new DocumentConversionService({ binaryPath });
+
+      const result = await service.convertToPdf(wordFile);
+
+      expect(result.originalname).toBe("Kontrak Kerja.pdf");
+      expect(result.mimetype).toBe("application/pdf");
+      expect(result.buffer.toString("latin1")).toContain("%PDF-1.4");
+      expect(result.size).toBe(result.buffer.length);
+    });
+
+    it("Harus throw ConverterUnavailable jika binary tidak ditemukan", async () => {
+      const service = new DocumentConversionService({ binaryPath: path.join(binDir, "tidak-ada") });
+
+      const error = await service.convertToPdf(wordFile).catch((err) => err);
+
+      expect(error).toBeInstanceOf(DocumentError);
+      expect(error.statusCode).toBe(503);
+    });
+
+    it("Harus throw ConversionFailed berisi pesan converter jika proses gagal", async () => {
+      const binaryPath = createFakeConverter(binDir, "soffice-fail", `echo "Error: source file could not be loaded" >&2\nexit 1`);
+      const service = new DocumentConversionService({ binaryPath });
+
+      await expect(service.convertToPdf(wordFile)).rejects.toThrow("Gagal mengonversi dokumen ke PDF: Error: source file could not be loaded");
+    });
+
+    it("Harus throw ConversionFailed jika converter tidak menghasilkan PDF", async () => {
+      const binaryPath = createFakeConverter(binDir, "soffice-empty", "exit 0");
+      const service = new DocumentConversionService({ binaryPath });
+
+      await expect(service.convertToPdf(wordFile)).rejects.toThrow("Converter tidak menghasilkan file PDF");
+    });
+
+    it("Harus throw ConversionFailed jika melebihi batas waktu", async () => {
+      const binaryPath = createFakeConverter(binDir, "soffice-slow", "sleep 5");
+      const service = new DocumentConversionService({ binaryPath, timeoutMs: 200 });
+
+      await expect(service.convertToPdf(wordFile)).rejects.toThrow("Waktu konversi habis.");
+    });
+  });
+
+  describe("prepareUpload", () => {
+    it("Harus meneruskan file PDF tanpa konversi", async () => {
+      const service = new DocumentConversionService();
+      const pdfFile = { mimetype: "application/pdf", buffer: Buffer.from("%PDF") };
+      jest.spyOn(service, "convertToPdf");
+
+      await expect(service.prepareUpload(pdfFile)).resolves.toEqual({ file: pdfFile, sourceFile: null });
+      expect(service.convertToPdf).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengonversi file Word dan mengembalikan file asli sebagai sourceFile", async () => {
+      const service = new DocumentConversionService();
+      const converted = { mimetype: "application/pdf", buffer: Buffer.from("%PDF"), originalname: "Kontrak Kerja.pdf" };
+      jest.spyOn(service, "convertToPdf").mockResolvedValue(converted);
+      jest.spyOn(console, "log").mockImplementation(() => {});
+
+      await expect(service.prepareUpload(wordFile)).resolves.toEqual({ file: converted, sourceFile: wordFile });
+    });
+  });
+});
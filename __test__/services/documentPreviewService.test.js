@@ -0,0 +1,131 @@
+import { jest } from "@jest/globals";
+import sharp from "sharp";
+import { DocumentPreviewService, PREVIEW_SIZES } from "../../src/services/documentPreviewService.js";
+import DocumentError from "../../src/errors/DocumentError.js";
+import CommonError from "../../src/errors/CommonError.js";
+import { MAX_RENDER_HEIGHT, MAX_RENDER_PIXELS, resolveRenderScale } from "../../src/utils/pdfPageRenderer.js";
+
+describe("DocumentPreviewService", () => {
+  let service;
+  let mockFileStorage;
+  let mockRenderPage;
+  let pngBuffer;
+  const version = { id: "ver-1", documentId: "doc-1", url: "documents/user-1/file.pdf" };
+
+  beforeAll(async () => {
+    pngBuffer = await sharp({ create: { width: 20, height: 28, channels: 3, background: "#ffffff" } }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockFileStorage = {
+      downloadFileAsBuffer: jest.fn(),
+      uploadFile: jest.fn().mockResolvedValue("previews/ver-1/p1-small.webp"),
+    };
+    mockRenderPage = jest.fn().mockResolvedValue({ image: pngBuffer, pageCount: 3 });
+
+    service = new DocumentPreviewService(mockFileStorage, { renderPage: mockRenderPage });
+  });
+
+  describe("constructor", () => {
+    it("Harus throw error jika file storage tidak disediakan", () => {
+      expect(() => new DocumentPreviewService()).toThrow("File storage harus disediakan.");
+    });
+  });
+
+  describe("getPagePreview", () => {
+    it("Harus mengembalikan preview dari cache tanpa me-render ulang", async () => {
+      const cached = Buffer.from("cached-webp");
+      mockFileStorage.downloadFileAsBuffer.mockResolvedValueOnce(cached);
+
+      const result = await service.getPagePreview(version, "2", { size: "thumbnail" });
+
+      expect(mockFileStorage.downloadFileAsBuffer).toHaveBeenCalledWith("previews/ver-1/p2-thumbnail.webp");
+      expect(mockRenderPage).not.toHaveBeenCalled();
+      expect(mockFileStorage.uploadFile).not.toHaveBeenCalled();
+      expect(result).toEqual({ pageNumber: 2, size: "thumbnail", format: "webp", buffer: cached, contentType: "image/webp", cached: true });
+    });
+
+    it("Harus me-render halaman, mengonversi ke WebP, dan menyimpan cache jika belum ada", async () => {
+      const pdfBuffer = Buffer.from("%PDF-1.4");
+      mockFileStorage.downloadFileAsBuffer.mockRejectedValueOnce(CommonError.SupabaseError("Object not found")).mockResolvedValueOnce(pdfBuffer);
+
+      const result = await service.getPagePreview(version, 1);
+
+      expect(mockFileStorage.downloadFileAsBuffer).toHaveBeenNthCalledWith(2, "documents/user-1/file.pdf");
+      expect(mockRenderPage).toHaveBeenCalledWith(pdfBuffer, 1, PREVIEW_SIZES.small);
+      expect(result.cached).toBe(false);
+      expect(result.contentType).toBe("image/webp");
+      expect(result.buffer.subarray(8, 12).toString("latin1")).toBe("WEBP");
+      expect(mockFileStorage.uploadFile).toHaveBeenCalledWith("previews/ver-1/p1-small.webp", result.buffer, "image/webp");
+    });
+
+    it("Harus mengembalikan PNG hasil render apa adanya untuk format png", async () => {
+      mockFileStorage.downloadFileAsBuffer.mockRejectedValueOnce(new Error("not found")).mockResolvedValueOnce(Buffer.from("%PDF"));
+
+      const result = await service.getPagePreview(version, 1, { size: "large", format: "png" });
+
+      expect(mockRenderPage).toHaveBeenCalledWith(expect.any(Buffer), 1, PREVIEW_SIZES.large);
+      expect(result.buffer).toBe(pngBuffer);
+      expect(mockFileStorage.uploadFile).toHaveBeenCalledWith("previews/ver-1/p1-large.png", pngBuffer, "image/png");
+    });
+
+    it("Harus tetap mengembalikan preview walau cache gagal disimpan", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      mockFileStorage.downloadFileAsBuffer.mockRejectedValueOnce(new Error("not found")).mockResolvedValueOnce(Buffer.from("%PDF"));
+      mockFileStorage.uploadFile.mockRejectedValue(CommonError.SupabaseError("Gagal mengunggah file"));
+
+      const result = await service.getPagePreview(version, 1, { format: "png" });
+
+      expect(result.buffer).toBe(pngBuffer);
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it("Harus throw PageNotFound untuk nomor halaman tidak valid", async () => {
+      await expect(service.getPagePreview(version, "0")).rejects.toMatchObject({ code: "PAGE_NOT_FOUND", statusCode: 404 });
+      await expect(service.getPagePreview(version, "abc")).rejects.toThrow(DocumentError);
+      expect(mockFileStorage.downloadFileAsBuffer).not.toHaveBeenCalled();
+    });
+
+    it("Harus meneruskan PageNotFound dari renderer jika halaman melebihi jumlah halaman", async () => {
+      mockFileStorage.downloadFileAsBuffer.mockRejectedValueOnce(new Error("not found")).mockResolvedValueOnce(Buffer.from("%PDF"));
+      mockRenderPage.mockRejectedValue(DocumentError.PageNotFound(9, 3));
+
+      await expect(service.getPagePreview(version, 9)).rejects.toMatchObject({ code: "PAGE_NOT_FOUND", message: expect.stringContaining("3 halaman") });
+      expect(mockFileStorage.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw InvalidPreviewRequest untuk ukuran atau format tidak dikenal", async () => {
+      await expect(service.getPagePreview(version, 1, { size: "huge" })).rejects.toMatchObject({ code: "INVALID_PREVIEW_REQUEST", statusCode: 400 });
+      await expect(service.getPagePreview(version, 1, { format: "gif" })).rejects.toMatchObject({ code: "INVALID_PREVIEW_REQUEST" });
+    });
+
+    it("Harus membungkus error render sebagai PreviewFailed", async () => {
+      mockFileStorage.downloadFileAsBuffer.mockRejectedValueOnce(new Error("not found")).mockResolvedValueOnce(Buffer.from("corrupt"));
+      mockRenderPage.mockRejectedValue(new Error("Invalid PDF structure."));
+
+      await expect(service.getPagePreview(version, 1)).rejects.toMatchObject({ code: "PAGE_PREVIEW_FAILED", statusCode: 422 });
+    });
+  });
+
+  describe("resolveRenderScale", () => {
+    it("Harus memakai skala sesuai lebar target untuk halaman berukuran normal", () => {
+      expect(resolveRenderScale(612, 792, PREVIEW_SIZES.large)).toBeCloseTo(PREVIEW_SIZES.large / 612);
+    });
+
+    it("Harus memperkecil skala agar tinggi dan total pixel halaman sangat panjang tetap dalam batas", () => {
+      const scale = resolveRenderScale(100, 14400, PREVIEW_SIZES.large);
+
+      expect(14400 * scale).toBeLessThanOrEqual(MAX_RENDER_HEIGHT);
+      expect(100 * scale * 14400 * scale).toBeLessThanOrEqual(MAX_RENDER_PIXELS);
+    });
+
+    it("Harus throw PreviewFailed jika ukuran halaman tidak valid atau tidak dapat di-render dalam batas", () => {
+      expect(() => resolveRenderScale(0, 792, 480)).toThrow(DocumentError);
+      expect(() => resolveRenderScale(612, Infinity, 480)).toThrow(DocumentError);
+      expect(() => resolveRenderScale(1, 1e9, 480)).toThrow(expect.objectContaining({ code: "PAGE_PREVIEW_FAILED" }));
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from "@jest/globals";
+import { DocumentSearchService, HIGHLIGHT_START, HIGHLIGHT_END, MAX_INDEXED_TEXT_LENGTH, MAX_SEARCH_QUERY_LENGTH, toHighlightedHtml } from "../../src/services/documentSearchService.js";
+
+describe("DocumentSearchService", () => {
+  let service;
+  let mockVersionRepository;
+  let mockDocumentRepository;
+  let mockExtractText;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockVersionRepository = { updateSearchContent: jest.fn().mockResolvedValue() };
+    mockDocumentRepository = { searchByContent: jest.fn().mockResolvedValue([]) };
+    mockExtractText = jest.fn().mockResolvedValue(["Perjanjian kerja sama", "Vendor: PT Maju Jaya"]);
+
+    service = new DocumentSearchService(mockVersionRepository, mockDocumentRepository, { extractText: mockExtractText });
+  });
+
+  describe("constructor", () => {
+    it("Harus throw error jika repository tidak disediakan", () => {
+      expect(() => new DocumentSearchService()).toThrow("Version repository dan document repository harus disediakan.");
+    });
+  });
+
+  describe("indexVersion", () => {
+    it("Harus menyimpan teks semua halaman ke indeks pencarian", async () => {
+      const pdfBuffer = Buffer.from("%PDF");
+
+      const result = await service.indexVersion("ver-1", pdfBuffer);
+
+      expect(mockExtractText).toHaveBeenCalledWith(pdfBuffer);
+      expect(mockVersionRepository.updateSearchContent).toHaveBeenCalledWith("ver-1", "Perjanjian kerja sama\n\nVendor: PT Maju Jaya");
+      expect(result).toBe(true);
+    });
+
+    it("Harus membuang karakter NUL dan membatasi panjang teks", async () => {
+      mockExtractText.mockResolvedValue(["a\u0000b", "x".repeat(MAX_INDEXED_TEXT_LENGTH)]);
+
+      await service.indexVersion("ver-1", Buffer.from("%PDF"));
+
+      const [, text] = mockVersionRepository.updateSearchContent.mock.calls[0];
+      expect(text.startsWith("ab\n\n")).toBe(true);
+      expect(text).toHaveLength(MAX_INDEXED_TEXT_LENGTH);
+    });
+
+    it("Tidak melempar error jika ekstraksi atau penyimpanan gagal", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      mockExtractText.mockRejectedValue(new Error("Invalid PDF structure."));
+
+      await expect(service.indexVersion("ver-1", Buffer.from("rusak"))).resolves.toBe(false);
+      expect(mockVersionRepository.updateSearchContent).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it("Harus mengabaikan versi tanpa ID atau isi file", async () => {
+      await expect(service.indexVersion(undefined, Buffer.from("%PDF"))).resolves.toBe(false);
+      await expect(service.indexVersion("ver-1", Buffer.alloc(0))).resolves.toBe(false);
+      expect(mockExtractText).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("searchContent", () => {
+    it("Harus mengembalikan hasil dengan snippet HTML yang aman", async () => {
+      mockDocumentRepository.searchByContent.mockResolvedValue([{ documentId: "doc-1", versionId: "ver-1", rank: 0.52, snippet: `<b>Vendor</b> ${HIGHLIGHT_START}Maju${HIGHLIGHT_END} & co` }]);
+
+      const result = await service.searchContent("user-1", "  maju  ");
+
+      expect(mockDocumentRepository.searchByContent).toHaveBeenCalledWith("user-1", "maju", expect.objectContaining({ highlightStart: HIGHLIGHT_START, highlightEnd: HIGHLIGHT_END }));
+      expect(result).toEqual([{ documentId: "doc-1", versionId: "ver-1", rank: 0.52, snippet: "&lt;b&gt;Vendor&lt;/b&gt; <mark>Maju</mark> &amp; co" }]);
+    });
+
+    it("Harus membatasi panjang kata kunci dan mengabaikan kata kunci kosong", async () => {
+      await expect(service.searchContent("user-1", "   ")).resolves.toEqual([]);
+      expect(mockDocumentRepository.searchByContent).not.toHaveBeenCalled();
+
+      await service.searchContent("user-1", "a".repeat(MAX_SEARCH_QUERY_LENGTH + 50));
+      expect(mockDocumentRepository.searchByContent.mock.calls[0][1]).toHaveLength(MAX_SEARCH_QUERY_LENGTH);
+    });
+  });
+
+  describe("toHighlightedHtml", () => {
+    it("Harus mengembalikan null untuk snippet kosong", () => {
+      expect(toHighlightedHtml(null)).toBeNull();
+    });
+  });
+});
@@ -1,7 +1,9 @@
 import { jest } from "@jest/globals";
+import crypto from "crypto";
 import { DocumentService } from "../../src/services/documentService.js";
 import DocumentError from "../../src/errors/DocumentError.js";
 import CommonError from "../../src/errors/CommonError.js";
+import { PDFDocument, degrees } from "pdf-lib";
 
 describe("DocumentService", () => {
   let documentService;
@@ -22,10 +24,13 @@ describe("DocumentService", () => {
     mockDocumentRepository = {
       createWithFirstVersion: jest.fn(),
       findAllByUserId: jest.fn(),
+      countByUserId: jest.fn(),
       findById: jest.fn(),
       findByIdSimple: jest.fn(),
       update: jest.fn(),
       deleteById: jest.fn(),
+      softDeleteById: jest.fn(),
+      archiveCompletedBefore: jest.fn(),
     };
 
     mockVersionRepository = {
@@ -34,6 +39,7 @@ describe("DocumentService", () => {
       findAllByDocumentId: jest.fn(),
       countByDocumentId: jest.fn(),
       deleteById: jest.fn(),
+      softDeleteById: jest.fn(),
     };
 
     mockSignatureRepository = {
@@ -192,6 +198,80 @@ describe("DocumentService", () => {
 
       expect(mockDocumentRepository.createWithFirstVersion).toHaveBeenCalledWith("user-123", "Kontrak", "path/to/file.pdf", expect.any(String), "kontrak");
     });
+
+    describe("upload file Word", () => {
+      const wordFile = {
+        mimetype: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        buffer: Buffer.from("docx-content"),
+        size: 2048,
+        originalname: "Kontrak.docx",
+      };
+      const convertedFile = { mimetype: "application/pdf", buffer: Buffer.from("%PDF-converted"), size: 14, originalname: "Kontrak.pdf" };
+      let mockConversionService;
+
+      beforeEach(() => {
+        mockConversionService = {
+          prepareUpload: jest.fn().mockResolvedValue({ file: convertedFile, sourceFile: wordFile }),
+        };
+        mockDocumentRepository.createAttachment = jest.fn();
+        mockDocumentRepository.createGroupDocument = jest.fn().mockResolvedValue({ id: "doc-grp" });
+        mockDocumentRepository.findFirst = jest.fn().mockResolvedValue(null);
+        mockVersionRepository.findFirst = jest.fn().mockResolvedValue(null);
+        mockFileStorage.uploadAttachment = jest.fn().mockResolvedValue("attachments/user-123/source.docx");
+        documentService = new DocumentService(
+          mockDocumentRepository,
+          mockVersionRepository,
+          mockSignatureRepository,
+          mockFileStorage,
+          mockPdfService,
+          mockGroupMemberRepository,
+          mockGroupDocumentSignerRepository,
+          mockAiService,
+          mockGroupSignatureRepository,
+          mockUserService,
+          mockConversionService
+        );
+        mockUserService.isUserPremium.mockResolvedValue(false);
+      });
+
+      it("Harus menyimpan PDF hasil konversi sebagai versi dan file Word asli sebagai lampiran", async () => {
+        mockVersionRepository.findByUserAndHash.mockResolvedValue(null);
+        mockFileStorage.uploadDocument.mockResolvedValue("documents/user-123/converted.pdf");
+        mockDocumentRepository.createWithFirstVersion.mockResolvedValue({ id: "doc-123" });
+
+        await documentService.createDocument("user-123", wordFile, "Kontrak");
+
+        const pdfHash = crypto.createHash("sha256").update(convertedFile.buffer).digest("hex");
+        expect(mockConversionService.prepareUpload).toHaveBeenCalledWith(wordFile);
+        expect(mockFileStorage.uploadDocument).toHaveBeenCalledWith(convertedFile, "user-123");
+        expect(mockDocumentRepository.createWithFirstVersion).toHaveBeenCalledWith("user-123", "Kontrak", "documents/user-123/converted.pdf", pdfHash, "General");
+        expect(mockFileStorage.uploadAttachment).toHaveBeenCalledWith(wordFile, "user-123");
+        expect(mockDocumentRepository.createAttachment).toHaveBeenCalledWith("doc-123", {
+          url: "attachments/user-123/source.docx",
+          fileName: "Kontrak.docx",
+          mimeType: wordFile.mimetype,
+          size: 2048,
+          kind: "SOURCE",
+        });
+      });
+
+      it("Harus meneruskan DocumentError jika konversi gagal", async () => {
+        mockConversionService.prepareUpload.mockRejectedValue(DocumentError.ConversionFailed("file rusak"));
+
+        await expect(documentService.createDocument("user-123", wordFile, "Kontrak")).rejects.toThrow("Gagal mengonversi dokumen ke PDF: file rusak");
+        expect(mockFileStorage.uploadDocument).not.toHaveBeenCalled();
+        expect(mockDocumentRepository.createWithFirstVersion).not.toHaveBeenCalled();
+      });
+
+      it("Harus mengonversi file Word pada createGroupDocument", async () => {
+        mockFileStorage.uploadDocument.mockResolvedValue("documents/user-123/converted.pdf");
+
+        await documentService.createGroupDocument("user-123", 1, wordFile, "Kontrak", ["signer-1"]);
+
+        expect(mockFileStorage.uploadDocument).toHaveBeenCalledWith(convertedFile, "user-123");
+        expect(mockDocumentRepository.createAttachment).toHaveBeenCalledWith("doc-grp", expect.objectContaining({ kind: "SOURCE", fileName: "Kontrak.docx" }));
+      });
+    });
   });
 
   describe("checkVersionLimitOrLock", () => {
@@ -228,18 +308,123 @@ describe("DocumentService", () => {
     it("Harus mengembalikan dokumen milik user", async () => {
       const mockDocs = [{ id: "doc-1" }, { id: "doc-2" }];
       mockDocumentRepository.findAllByUserId.mockResolvedValue(mockDocs);
+      mockDocumentRepository.countByUserId.mockResolvedValue(2);
 
       const result = await documentService.getAllDocuments("user-123", "kontrak");
 
-      expect(mockDocumentRepository.findAllByUserId).toHaveBeenCalledWith("user-123", "kontrak");
-      expect(result).toEqual(mockDocs);
+      expect(mockDocumentRepository.findAllByUserId).toHaveBeenCalledWith("user-123", "kontrak", [], { filters: {}, sortBy: "createdAt", sortOrder: "desc", skip: 0, take: 20 });
+      expect(mockDocumentRepository.countByUserId).toHaveBeenCalledWith("user-123", "kontrak", [], {});
+      expect(result).toEqual({ data: mockDocs, meta: { total: 2, page: 1, limit: 20, totalPages: 1 } });
     });
 
     it("Harus mengembalikan array kosong jika tidak ada dokumen", async () => {
       mockDocumentRepository.findAllByUserId.mockResolvedValue([]);
+      mockDocumentRepository.countByUserId.mockResolvedValue(0);
 
       const result = await documentService.getAllDocuments("user-123");
-      expect(result).toEqual([]);
+      expect(result).toEqual({ data: [], meta: { total: 0, page: 1, limit: 20, totalPages: 0 } });
+    });
+
+    it("Harus meneruskan pagination, sorting, dan filter ke repository", async () => {
+      const filters = { status: "completed", groupId: null, dateFrom: new Date("2025-01-01") };
+      mockDocumentRepository.findAllByUserId.mockResolvedValue([{ id: "doc-21" }]);
+      mockDocumentRepository.countByUserId.mockResolvedValue(21);
+
+      const result = await documentService.getAllDocuments("user-123", "", { page: 2, limit: 10, sortBy: "title", sortOrder: "asc", filters });
+
+      expect(mockDocumentRepository.findAllByUserId).toHaveBeenCalledWith("user-123", "", [], { filters, sortBy: "title", sortOrder: "asc", skip: 10, take: 10 });
+      expect(mockDocumentRepository.countByUserId).toHaveBeenCalledWith("user-123", "", [], filters);
+      expect(result.meta).toEqual({ total: 21, page: 2, limit: 10, totalPages: 3 });
+    });
+
+    it("Harus fallback ke createdAt jika sort relevance diminta tanpa kata kunci", async () => {
+      mockDocumentRepository.findAllByUserId.mockResolvedValue([]);
+      mockDocumentRepository.countByUserId.mockResolvedValue(0);
+
+      await documentService.getAllDocuments("user-123", "", { sortBy: "relevance" });
+
+      expect(mockDocumentRepository.findAllByUserId).toHaveBeenCalledWith("user-123", "", [], expect.objectContaining({ sortBy: "createdAt" }));
+    });
+
+    describe("dengan full-text search isi dokumen", () => {
+      let mockSearchService;
+
+      beforeEach(() => {
+        mockSearchService = { searchContent: jest.fn(), indexVersion: jest.fn() };
+        documentService = new DocumentService(
+          mockDocumentRepository,
+          mockVersionRepository,
+          mockSignatureRepository,
+          mockFileStorage,
+          mockPdfService,
+          mockGroupMemberRepository,
+          mockGroupDocumentSignerRepository,
+          mockAiService,
+          mockGroupSignatureRepository,
+          mockUserService,
+          undefined,
+          null,
+          null,
+          mockSearchService
+        );
+      });
+
+      it("Harus menyertakan dokumen yang isinya cocok dan mengurutkan berdasarkan relevansi", async () => {
+        mockSearchService.searchContent.mockResolvedValue([
+          { documentId: "doc-2", versionId: "ver-2", rank: 0.4, snippet: "invoice <mark>INV-001</mark>" },
+          { documentId: "doc-3", versionId: "ver-3", rank: 0.7, snippet: "<mark>INV-001</mark> jatuh tempo" },
+        ]);
+        mockDocumentRepository.findAllByUserId.mockResolvedValue([
+          { id: "doc-1", title: "Tagihan INV-001", type: "General" },
+          { id: "doc-2", title: "Kontrak Vendor", type: "General" },
+          { id: "doc-3", title: "Perjanjian", type: "General" },
+        ]);
+
+        const result = await documentService.getAllDocuments("user-123", " INV-001 ", { sortBy: "relevance" });
+
+        expect(mockSearchService.searchContent).toHaveBeenCalledWith("user-123", "INV-001");
+        expect(mockDocumentRepository.findAllByUserId).toHaveBeenCalledWith("user-123", "INV-001", ["doc-2", "doc-3"], { filters: {} });
+        expect(mockDocumentRepository.countByUserId).not.toHaveBeenCalled();
+        expect(result.data.map((doc) => doc.id)).toEqual(["doc-1", "doc-3", "doc-2"]);
+        expect(result.data[0]).toMatchObject({ searchRank: 1, searchSnippet: null, matchedVersionId: null });
+        expect(result.data[1]).toMatchObject({ searchRank: 0.7, searchSnippet: "<mark>INV-001</mark> jatuh tempo", matchedVersionId: "ver-3" });
+        expect(result.meta.total).toBe(3);
+      });
+
+      it("Harus memotong hasil relevansi sesuai halaman", async () => {
+        mockSearchService.searchContent.mockResolvedValue([]);
+        mockDocumentRepository.findAllByUserId.mockResolvedValue([
+          { id: "doc-1", title: "INV A" },
+          { id: "doc-2", title: "INV B" },
+          { id: "doc-3", title: "INV C" },
+        ]);
+
+        const result = await documentService.getAllDocuments("user-123", "INV", { sortBy: "relevance", page: 2, limit: 2 });
+
+        expect(result.data.map((doc) => doc.id)).toEqual(["doc-3"]);
+        expect(result.meta).toEqual({ total: 3, page: 2, limit: 2, totalPages: 2 });
+      });
+
+      it("Harus tetap menyertakan info pencarian saat diurutkan berdasarkan field lain", async () => {
+        mockSearchService.searchContent.mockResolvedValue([{ documentId: "doc-2", versionId: "ver-2", rank: 0.4, snippet: "<mark>INV</mark>" }]);
+        mockDocumentRepository.findAllByUserId.mockResolvedValue([{ id: "doc-2", title: "Kontrak" }]);
+        mockDocumentRepository.countByUserId.mockResolvedValue(1);
+
+        const result = await documentService.getAllDocuments("user-123", "INV", { sortBy: "title", sortOrder: "asc" });
+
+        expect(mockDocumentRepository.findAllByUserId).toHaveBeenCalledWith("user-123", "INV", ["doc-2"], { filters: {}, sortBy: "title", sortOrder: "asc", skip: 0, take: 20 });
+        expect(result.data[0]).toMatchObject({ searchRank: 0.4, matchedVersionId: "ver-2" });
+      });
+
+      it("Tidak menjalankan pencarian isi jika kata kunci kosong", async () => {
+        mockDocumentRepository.findAllByUserId.mockResolvedValue([{ id: "doc-1" }]);
+        mockDocumentRepository.countByUserId.mockResolvedValue(1);
+
+        const result = await documentService.getAllDocuments("user-123", "   ");
+
+        expect(mockSearchService.searchContent).not.toHaveBeenCalled();
+        expect(result.data).toEqual([{ id: "doc-1" }]);
+      });
     });
   });
 
@@ -322,23 +507,18 @@ describe("DocumentService", () => {
       );
     });
 
-    it("Harus berhasil menghapus dokumen sebagai pemilik", async () => {
+    it("Harus memindahkan dokumen ke tempat sampah sebagai pemilik", async () => {
       mockDocumentRepository.findByIdSimple.mockResolvedValue({
         id: "doc-123",
         userId: "user-123",
       });
-      mockVersionRepository.findAllByDocumentId.mockResolvedValue([
-        { id: "ver-1", url: "path/to/v1.pdf" },
-        { id: "ver-2", url: "path/to/v2.pdf" },
-      ]);
-      mockFileStorage.deleteFile.mockResolvedValue(true);
-      mockDocumentRepository.deleteById.mockResolvedValue(true);
+      mockDocumentRepository.softDeleteById.mockResolvedValue({ id: "doc-123" });
 
       const result = await documentService.deleteDocument("doc-123", "user-123");
 
-      expect(mockFileStorage.deleteFile).toHaveBeenCalledTimes(2);
-      expect(mockDocumentRepository.deleteById).toHaveBeenCalledWith("doc-123");
-      expect(result.message).toBe("Dokumen dan semua riwayatnya berhasil dihapus.");
+      expect(mockDocumentRepository.softDeleteById).toHaveBeenCalledWith("doc-123", "user-123");
+      expect(mockDocumentRepository.deleteById).not.toHaveBeenCalled();
+      expect(result.message).toBe("Dokumen dipindahkan ke tempat sampah dan akan dihapus permanen setelah 30 hari.");
     });
 
     it("Harus berhasil menghapus dokumen sebagai admin grup", async () => {
@@ -348,24 +528,87 @@ describe("DocumentService", () => {
         groupId: "group-123",
       });
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
-      mockVersionRepository.findAllByDocumentId.mockResolvedValue([]);
-      mockDocumentRepository.deleteById.mockResolvedValue(true);
+      mockDocumentRepository.softDeleteById.mockResolvedValue({ id: "doc-123" });
 
-      const result = await documentService.deleteDocument("doc-123", "user-123");
-      expect(result.message).toBe("Dokumen dan semua riwayatnya berhasil dihapus.");
+      await documentService.deleteDocument("doc-123", "user-123");
+      expect(mockDocumentRepository.softDeleteById).toHaveBeenCalledWith("doc-123", "user-123");
     });
 
-    it("Harus tetap berhasil meskipun penghapusan file fisik gagal", async () => {
+    it("Harus tidak menghapus file fisik saat dokumen dipindah ke tempat sampah", async () => {
       mockDocumentRepository.findByIdSimple.mockResolvedValue({
         id: "doc-123",
         userId: "user-123",
       });
-      mockVersionRepository.findAllByDocumentId.mockResolvedValue([{ id: "ver-1", url: "path/to/file.pdf" }]);
-      mockFileStorage.deleteFile.mockRejectedValue(new Error("Storage error"));
-      mockDocumentRepository.deleteById.mockResolvedValue(true);
+      mockDocumentRepository.softDeleteById.mockResolvedValue({ id: "doc-123" });
 
-      const result = await documentService.deleteDocument("doc-123", "user-123");
-      expect(result.message).toBe("Dokumen dan semua riwayatnya berhasil dihapus.");
+      await documentService.deleteDocument("doc-123", "user-123");
+      expect(mockFileStorage.deleteFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("archiveDocument & unarchiveDocument", () => {
+    it("Harus mengarsipkan dokumen personal milik user dan menyimpan status sebelumnya", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", userId: "user-123", groupId: null, status: "completed" });
+      mockDocumentRepository.update.mockResolvedValue({ id: "doc-123", status: "archived" });
+
+      await documentService.archiveDocument("doc-123", "user-123");
+
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-123", { status: "archived", archivedAt: expect.any(Date), statusBeforeArchive: "completed" });
+    });
+
+    it("Harus menolak mengarsipkan dokumen yang masih menunggu tanda tangan", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", userId: "user-123", groupId: null, status: "pending" });
+
+      await expect(documentService.archiveDocument("doc-123", "user-123")).rejects.toMatchObject({ code: "INVALID_ARCHIVE_STATE", statusCode: 409 });
+      expect(mockDocumentRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak anggota grup selain Admin Grup mengarsipkan dokumen grup, termasuk pengunggahnya", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", userId: "user-123", groupId: 7, status: "completed" });
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(documentService.archiveDocument("doc-123", "user-123")).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it("Harus mengizinkan Admin Grup mengarsipkan dokumen grup", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", userId: "other-user", groupId: 7, status: "draft" });
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+
+      await documentService.archiveDocument("doc-123", "user-123");
+
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-123", expect.objectContaining({ status: "archived", statusBeforeArchive: "draft" }));
+    });
+
+    it("Harus mengembalikan status sebelum diarsipkan saat dokumen dikeluarkan dari arsip", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", userId: "user-123", groupId: null, status: "archived", statusBeforeArchive: "draft" });
+
+      await documentService.unarchiveDocument("doc-123", "user-123");
+
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-123", { status: "draft", archivedAt: null, statusBeforeArchive: null });
+    });
+
+    it("Harus throw InvalidArchiveState jika dokumen tidak sedang diarsipkan", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", userId: "user-123", groupId: null, status: "completed" });
+
+      await expect(documentService.unarchiveDocument("doc-123", "user-123")).rejects.toThrow(DocumentError);
+    });
+  });
+
+  describe("autoArchiveCompleted", () => {
+    it("Harus tidak melakukan apa pun jika auto-archive nonaktif", async () => {
+      const result = await documentService.autoArchiveCompleted(new Date(), 0);
+
+      expect(result).toEqual({ archived: 0 });
+      expect(mockDocumentRepository.archiveCompletedBefore).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengarsipkan dokumen selesai yang lebih lama dari N hari", async () => {
+      mockDocumentRepository.archiveCompletedBefore.mockResolvedValue(4);
+
+      const result = await documentService.autoArchiveCompleted(new Date("2025-03-31T00:00:00Z"), 30);
+
+      expect(mockDocumentRepository.archiveCompletedBefore).toHaveBeenCalledWith(new Date("2025-03-01T00:00:00Z"));
+      expect(result).toEqual({ archived: 4 });
     });
   });
 
@@ -533,6 +776,313 @@ describe("DocumentService", () => {
     });
   });
 
+  describe("getPagePreview", () => {
+    let mockPreviewService;
+
+    beforeEach(() => {
+      mockPreviewService = { getPagePreview: jest.fn() };
+      documentService = new DocumentService(
+        mockDocumentRepository,
+        mockVersionRepository,
+        mockSignatureRepository,
+        mockFileStorage,
+        mockPdfService,
+        mockGroupMemberRepository,
+        mockGroupDocumentSignerRepository,
+        mockAiService,
+        mockGroupSignatureRepository,
+        mockUserService,
+        undefined,
+        mockPreviewService
+      );
+    });
+
+    it("Harus mendelegasikan ke preview service setelah validasi akses dan versi", async () => {
+      const version = { id: "ver-1", documentId: "doc-123", url: "path/to/v1.pdf" };
+      const preview = { buffer: Buffer.from("img"), contentType: "image/webp", cached: false };
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", title: "Test" });
+      mockVersionRepository.findById.mockResolvedValue(version);
+      mockPreviewService.getPagePreview.mockResolvedValue(preview);
+
+      const result = await documentService.getPagePreview("doc-123", "ver-1", "user-123", "3", { size: "medium" });
+
+      expect(mockPreviewService.getPagePreview).toHaveBeenCalledWith(version, "3", { size: "medium" });
+      expect(result).toBe(preview);
+    });
+
+    it("Harus throw InvalidVersion jika versi bukan milik dokumen", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", title: "Test" });
+      mockVersionRepository.findById.mockResolvedValue({ id: "ver-1", documentId: "other-doc" });
+
+      await expect(documentService.getPagePreview("doc-123", "ver-1", "user-123", 1)).rejects.toThrow(DocumentError);
+      expect(mockPreviewService.getPagePreview).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw NotFound jika dokumen tidak dapat diakses user", async () => {
+      mockDocumentRepository.findById.mockResolvedValue(null);
+
+      await expect(documentService.getPagePreview("doc-123", "ver-1", "user-999", 1)).rejects.toThrow(DocumentError);
+      expect(mockVersionRepository.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("compareVersions", () => {
+    let mockCompareService;
+
+    beforeEach(() => {
+      mockCompareService = { compareVersions: jest.fn() };
+      documentService = new DocumentService(
+        mockDocumentRepository,
+        mockVersionRepository,
+        mockSignatureRepository,
+        mockFileStorage,
+        mockPdfService,
+        mockGroupMemberRepository,
+        mockGroupDocumentSignerRepository,
+        mockAiService,
+        mockGroupSignatureRepository,
+        mockUserService,
+        undefined,
+        null,
+        mockCompareService
+      );
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", title: "Test" });
+    });
+
+    it("Harus mendelegasikan ke compare service setelah validasi akses dan kedua versi", async () => {
+      const fromVersion = { id: "ver-1", documentId: "doc-123", url: "path/v1.pdf" };
+      const toVersion = { id: "ver-2", documentId: "doc-123", url: "path/v2.pdf" };
+      const comparison = { fromVersionId: "ver-1", toVersionId: "ver-2", pages: [] };
+      mockVersionRepository.findById.mockImplementation(async (id) => (id === "ver-1" ? fromVersion : toVersion));
+      mockCompareService.compareVersions.mockResolvedValue(comparison);
+
+      const result = await documentService.compareVersions("doc-123", "user-123", "ver-1", "ver-2", { visual: true });
+
+      expect(mockCompareService.compareVersions).toHaveBeenCalledWith(fromVersion, toVersion, { visual: true });
+      expect(result).toBe(comparison);
+    });
+
+    it("Harus throw InvalidVersion jika salah satu versi bukan milik dokumen", async () => {
+      mockVersionRepository.findById.mockImplementation(async (id) => ({ id, documentId: id === "ver-1" ? "doc-123" : "other-doc" }));
+
+      await expect(documentService.compareVersions("doc-123", "user-123", "ver-1", "ver-2")).rejects.toMatchObject({ code: "INVALID_VERSION_FOR_DOCUMENT" });
+      expect(mockCompareService.compareVersions).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak jika ID versi kosong atau sama", async () => {
+      await expect(documentService.compareVersions("doc-123", "user-123", undefined, "ver-2")).rejects.toMatchObject({ code: "INVALID_COMPARE_REQUEST", statusCode: 400 });
+      await expect(documentService.compareVersions("doc-123", "user-123", "ver-1", "ver-1")).rejects.toThrow("Versi yang dibandingkan harus berbeda.");
+      expect(mockDocumentRepository.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("uploadNewVersion", () => {
+    let revisionFile;
+    const document = { id: "doc-123", userId: "user-123", title: "Kontrak", status: "pending", groupId: null, currentVersionId: "ver-1" };
+
+    beforeEach(async () => {
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage();
+      const buffer = Buffer.from(await pdfDoc.save());
+      revisionFile = { originalname: "kontrak-revisi.pdf", mimetype: "application/pdf", buffer, size: buffer.length };
+
+      mockDocumentRepository.findById.mockResolvedValue(document);
+      mockVersionRepository.countByDocumentId.mockResolvedValue(1);
+      mockVersionRepository.findAllByDocumentId.mockResolvedValue([{ id: "ver-1", hash: "hash-lama" }]);
+      mockVersionRepository.create = jest.fn().mockResolvedValue({ id: "ver-2" });
+      mockUserService.isUserPremium.mockResolvedValue(false);
+      mockFileStorage.uploadDocument.mockResolvedValue("documents/user-123/revisi.pdf");
+      mockDocumentRepository.update.mockResolvedValue({ ...document, currentVersionId: "ver-2" });
+      mockGroupSignatureRepository.findAllByVersionId = jest.fn().mockResolvedValue([]);
+    });
+
+    it("Harus menyimpan file sebagai versi baru dengan keterangan perubahan", async () => {
+      const result = await documentService.uploadNewVersion("doc-123", "user-123", revisionFile, "  Perbaikan pasal 3  ");
+
+      const expectedHash = crypto.createHash("sha256").update(revisionFile.buffer).digest("hex");
+      expect(mockVersionRepository.create).toHaveBeenCalledWith({ documentId: "doc-123", userId: "user-123", url: "documents/user-123/revisi.pdf", hash: expectedHash, description: "Perbaikan pasal 3" });
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-123", { currentVersionId: "ver-2", signedFileUrl: null });
+      expect(mockGroupSignatureRepository.deleteBySignerAndVersion).not.toHaveBeenCalled();
+      expect(result.currentVersionId).toBe("ver-2");
+    });
+
+    it("Harus menghapus draft tanda tangan grup pada versi lama", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...document, groupId: 7 });
+      mockGroupSignatureRepository.findAllByVersionId.mockResolvedValue([{ id: "sig-1", status: "draft" }]);
+
+      await documentService.uploadNewVersion("doc-123", "user-123", revisionFile, "Revisi");
+
+      expect(mockGroupSignatureRepository.deleteBySignerAndVersion).toHaveBeenCalledWith(null, "ver-1");
+    });
+
+    it("Harus menolak revisi dokumen grup yang sudah ditandatangani anggota", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...document, groupId: 7 });
+      mockGroupSignatureRepository.findAllByVersionId.mockResolvedValue([{ id: "sig-1", status: "final" }]);
+
+      await expect(documentService.uploadNewVersion("doc-123", "user-123", revisionFile, "Revisi")).rejects.toThrow(CommonError);
+      expect(mockFileStorage.uploadDocument).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak file yang identik dengan versi yang sudah ada", async () => {
+      const hash = crypto.createHash("sha256").update(revisionFile.buffer).digest("hex");
+      mockVersionRepository.findAllByDocumentId.mockResolvedValue([{ id: "ver-1", hash }]);
+
+      await expect(documentService.uploadNewVersion("doc-123", "user-123", revisionFile, "Revisi")).rejects.toMatchObject({ code: "DOCUMENT_VERSION_EXISTS", statusCode: 409 });
+      expect(mockVersionRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus menghormati batas versi dokumen", async () => {
+      mockVersionRepository.countByDocumentId.mockResolvedValue(5);
+
+      await expect(documentService.uploadNewVersion("doc-123", "user-123", revisionFile, "Revisi")).rejects.toThrow("Batas revisi dokumen tercapai");
+      expect(mockFileStorage.uploadDocument).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak dokumen yang sudah selesai", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...document, status: "completed" });
+
+      await expect(documentService.uploadNewVersion("doc-123", "user-123", revisionFile, "Revisi")).rejects.toThrow("tidak dapat direvisi");
+    });
+
+    it("Harus throw BadRequest jika file atau keterangan tidak ada", async () => {
+      await expect(documentService.uploadNewVersion("doc-123", "user-123", null, "Revisi")).rejects.toThrow("File revisi wajib diunggah.");
+      await expect(documentService.uploadNewVersion("doc-123", "user-123", revisionFile, "   ")).rejects.toThrow("Keterangan perubahan wajib diisi");
+    });
+  });
+
+  describe("applyPageOperations", () => {
+    const createPdf = async (widths) => {
+      const pdfDoc = await PDFDocument.create();
+      widths.forEach((width) => pdfDoc.addPage([width, 500]));
+      return Buffer.from(await pdfDoc.save());
+    };
+    const uploadedPdf = () => PDFDocument.load(mockFileStorage.uploadDocument.mock.calls[0][0].buffer);
+
+    let currentPdf;
+    const document = { id: "doc-123", userId: "user-123", title: "Kontrak.pdf", groupId: null, currentVersionId: "ver-1", currentVersion: { id: "ver-1", url: "documents/user-123/kontrak.pdf" } };
+
+    beforeEach(async () => {
+      currentPdf = await createPdf([100, 200, 300]);
+      mockDocumentRepository.findById.mockResolvedValue(document);
+      mockVersionRepository.findAllByDocumentId.mockResolvedValue([{ id: "ver-1", signaturesPersonal: [], signaturesGroup: [], packages: [] }]);
+      mockVersionRepository.countByDocumentId.mockResolvedValue(1);
+      mockVersionRepository.create = jest.fn().mockResolvedValue({ id: "ver-2" });
+      mockUserService.isUserPremium.mockResolvedValue(false);
+      mockFileStorage.downloadFileAsBuffer = jest.fn().mockResolvedValue(currentPdf);
+      mockFileStorage.uploadDocument.mockResolvedValue("documents/user-123/new.pdf");
+      mockDocumentRepository.update.mockResolvedValue({ ...document, currentVersionId: "ver-2" });
+    });
+
+    it("Harus menerapkan operasi, membuat versi baru, dan menjadikannya versi aktif", async () => {
+      const result = await documentService.applyPageOperations("doc-123", "user-123", [
+        { type: "delete", pages: [1] },
+        { type: "rotate", pages: [2], angle: 90 },
+      ]);
+
+      const output = await uploadedPdf();
+      expect(output.getPages().map((page) => [page.getWidth(), page.getRotation().angle])).toEqual([
+        [200, 0],
+        [300, 90],
+      ]);
+      expect(mockVersionRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ documentId: "doc-123", userId: "user-123", url: "documents/user-123/new.pdf", description: "Operasi halaman: delete, rotate" })
+      );
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-123", { currentVersionId: "ver-2", signedFileUrl: null });
+      expect(result.currentVersionId).toBe("ver-2");
+    });
+
+    it("Harus menggabungkan dokumen lain milik user", async () => {
+      const annexPdf = await createPdf([900]);
+      mockDocumentRepository.findById.mockImplementation(async (id) =>
+        id === "doc-annex" ? { id: "doc-annex", userId: "user-123", currentVersion: { url: "documents/user-123/annex.pdf" } } : document
+      );
+      mockFileStorage.downloadFileAsBuffer.mockImplementation(async (path) => (path.endsWith("annex.pdf") ? annexPdf : currentPdf));
+
+      await documentService.applyPageOperations("doc-123", "user-123", [{ type: "merge", documentId: "doc-annex", insertAfter: 1 }], "Tambah lampiran");
+
+      const output = await uploadedPdf();
+      expect(output.getPages().map((page) => page.getWidth())).toEqual([100, 900, 200, 300]);
+      expect(mockVersionRepository.create).toHaveBeenCalledWith(expect.objectContaining({ description: "Tambah lampiran" }));
+    });
+
+    it("Harus menolak merge dokumen yang bukan milik user", async () => {
+      mockDocumentRepository.findById.mockImplementation(async (id) => (id === "doc-other" ? { id: "doc-other", userId: "user-999", currentVersion: { url: "x.pdf" } } : document));
+
+      await expect(documentService.applyPageOperations("doc-123", "user-123", [{ type: "merge", documentId: "doc-other" }])).rejects.toMatchObject({ code: "DOCUMENT_NOT_FOUND" });
+      expect(mockFileStorage.uploadDocument).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw PagesLocked jika dokumen sudah memiliki tanda tangan", async () => {
+      mockVersionRepository.findAllByDocumentId.mockResolvedValue([{ id: "ver-1", signaturesPersonal: [], signaturesGroup: [{ id: "sig-1", status: "draft" }], packages: [] }]);
+
+      await expect(documentService.applyPageOperations("doc-123", "user-123", [{ type: "delete", pages: [1] }])).rejects.toMatchObject({ code: "DOCUMENT_PAGES_LOCKED", statusCode: 409 });
+      expect(mockFileStorage.downloadFileAsBuffer).not.toHaveBeenCalled();
+    });
+
+    it("Harus menghormati batas versi dokumen", async () => {
+      mockVersionRepository.countByDocumentId.mockResolvedValue(5);
+
+      await expect(documentService.applyPageOperations("doc-123", "user-123", [{ type: "delete", pages: [1] }])).rejects.toThrow("Batas revisi dokumen tercapai");
+      expect(mockFileStorage.uploadDocument).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak user yang bukan pemilik atau Admin Grup", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...document, userId: "owner-1", groupId: 7 });
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(documentService.applyPageOperations("doc-123", "user-123", [{ type: "delete", pages: [1] }])).rejects.toMatchObject({ code: "DOCUMENT_FORBIDDEN" });
+    });
+
+    it("Harus throw InvalidPageOperation jika semua halaman dihapus", async () => {
+      await expect(documentService.applyPageOperations("doc-123", "user-123", [{ type: "delete", pages: [1, 2, 3] }])).rejects.toMatchObject({ code: "INVALID_PAGE_OPERATION" });
+      expect(mockVersionRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("splitDocument", () => {
+    let sourcePdf;
+
+    beforeEach(async () => {
+      const pdfDoc = await PDFDocument.create();
+      [100, 200, 300].forEach((width) => pdfDoc.addPage([width, 500]));
+      pdfDoc.getPage(2).setRotation(degrees(180));
+      sourcePdf = Buffer.from(await pdfDoc.save());
+
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", userId: "user-123", title: "Kontrak.pdf", type: "Kontrak", groupId: null, currentVersion: { url: "documents/user-123/kontrak.pdf" } });
+      mockDocumentRepository.findFirst = jest.fn().mockResolvedValue(null);
+      mockVersionRepository.findAllByDocumentId.mockResolvedValue([{ id: "ver-1", signaturesPersonal: [], signaturesGroup: [], packages: [] }]);
+      mockFileStorage.downloadFileAsBuffer = jest.fn().mockResolvedValue(sourcePdf);
+      mockFileStorage.uploadDocument.mockImplementation(async (file) => `documents/user-123/${file.originalname}`);
+      mockDocumentRepository.createWithFirstVersion.mockImplementation(async (userId, title) => ({ id: `new-${title}`, title }));
+    });
+
+    it("Harus membuat dokumen baru per rentang halaman", async () => {
+      const result = await documentService.splitDocument("doc-123", "user-123", [
+        { fromPage: 1, toPage: 2 },
+        { fromPage: 3, toPage: 3, title: "Lampiran" },
+      ]);
+
+      expect(result.map((doc) => doc.title)).toEqual(["Kontrak (hal. 1-2)", "Lampiran"]);
+      expect(mockDocumentRepository.createWithFirstVersion).toHaveBeenCalledWith("user-123", "Lampiran", "documents/user-123/Lampiran.pdf", expect.any(String), "Kontrak");
+
+      const lastPart = await PDFDocument.load(mockFileStorage.uploadDocument.mock.calls[1][0].buffer);
+      expect(lastPart.getPages().map((page) => [page.getWidth(), page.getRotation().angle])).toEqual([[300, 180]]);
+      expect(mockDocumentRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw DuplicateTitle jika judul sudah dipakai", async () => {
+      mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-lama" });
+
+      await expect(documentService.splitDocument("doc-123", "user-123", [{ fromPage: 1, toPage: 1, title: "Lampiran" }])).rejects.toMatchObject({ code: "DOCUMENT_TITLE_EXISTS" });
+      expect(mockFileStorage.uploadDocument).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw InvalidPageOperation untuk rentang di luar jumlah halaman", async () => {
+      await expect(documentService.splitDocument("doc-123", "user-123", [{ fromPage: 2, toPage: 5 }])).rejects.toMatchObject({ code: "INVALID_PAGE_OPERATION" });
+      await expect(documentService.splitDocument("doc-123", "user-123", [])).rejects.toMatchObject({ code: "INVALID_PAGE_OPERATION" });
+    });
+  });
+
   describe("getVersionFileUrl", () => {
     it("Harus throw InvalidVersion jika versi tidak ada", async () => {
       mockDocumentRepository.findById.mockResolvedValue({ id: "doc-123", title: "Test" });
@@ -636,17 +1186,17 @@ describe("DocumentService", () => {
       await expect(documentService.deleteVersion("doc-123", "ver-2", "user-123")).rejects.toThrow(DocumentError.Forbidden("Anda tidak memiliki izin untuk menghapus versi dokumen ini."));
     });
 
-    it("Harus berhasil menghapus versi sebagai pemilik", async () => {
-      mockDocumentRepository.findByIdSimple.mockResolvedValue({ id: "doc-123", userId: "user-123" });
-      mockVersionRepository.findById.mockResolvedValue({ id: "ver-2", url: "path/to/v2.pdf" });
-      mockVersionRepository.deleteById.mockResolvedValue(true);
-      mockFileStorage.deleteFile.mockResolvedValue(true);
+    it("Harus memindahkan versi ke tempat sampah sebagai pemilik", async () => {
+      mockDocumentRepository.findByIdSimple.mockResolvedValue({ id: "doc-123", userId: "user-123", currentVersionId: "ver-3" });
+      mockVersionRepository.findById.mockResolvedValue({ id: "ver-2", documentId: "doc-123", url: "path/to/v2.pdf" });
+      mockVersionRepository.softDeleteById.mockResolvedValue({ id: "ver-2" });
 
       const result = await documentService.deleteVersion("doc-123", "ver-2", "user-123");
 
-      expect(mockVersionRepository.deleteById).toHaveBeenCalledWith("ver-2");
-      expect(mockFileStorage.deleteFile).toHaveBeenCalledWith("path/to/v2.pdf");
-      expect(result.message).toBe("Versi dokumen berhasil dihapus.");
+      expect(mockVersionRepository.softDeleteById).toHaveBeenCalledWith("ver-2", "user-123");
+      expect(mockVersionRepository.deleteById).not.toHaveBeenCalled();
+      expect(mockFileStorage.deleteFile).not.toHaveBeenCalled();
+      expect(result.message).toBe("Versi dokumen dipindahkan ke tempat sampah dan akan dihapus permanen setelah 30 hari.");
     });
 
     it("Harus berhasil menghapus versi sebagai admin grup", async () => {
@@ -656,12 +1206,11 @@ describe("DocumentService", () => {
         groupId: "group-123",
       });
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
-      mockVersionRepository.findById.mockResolvedValue({ id: "ver-2", url: "path/to/v2.pdf" });
-      mockVersionRepository.deleteById.mockResolvedValue(true);
-      mockFileStorage.deleteFile.mockResolvedValue(true);
+      mockVersionRepository.findById.mockResolvedValue({ id: "ver-2", documentId: "doc-123", url: "path/to/v2.pdf" });
+      mockVersionRepository.softDeleteById.mockResolvedValue({ id: "ver-2" });
 
-      const result = await documentService.deleteVersion("doc-123", "ver-2", "user-123");
-      expect(result.message).toBe("Versi dokumen berhasil dihapus.");
+      await documentService.deleteVersion("doc-123", "ver-2", "user-123");
+      expect(mockVersionRepository.softDeleteById).toHaveBeenCalledWith("ver-2", "user-123");
     });
 
     it("Harus throw NotFound jika versi tidak ditemukan di repository", async () => {
@@ -671,14 +1220,19 @@ describe("DocumentService", () => {
       await expect(documentService.deleteVersion("doc-123", "ver-not-exist", "user-123")).rejects.toThrow(DocumentError);
     });
 
-    it("Harus tetap berhasil meskipun penghapusan file fisik gagal", async () => {
+    it("Harus throw DeleteActiveVersionFailed jika versi yang dihapus adalah versi aktif", async () => {
+      mockDocumentRepository.findByIdSimple.mockResolvedValue({ id: "doc-123", userId: "user-123", currentVersionId: "ver-2" });
+      mockVersionRepository.findById.mockResolvedValue({ id: "ver-2", documentId: "doc-123" });
+
+      await expect(documentService.deleteVersion("doc-123", "ver-2", "user-123")).rejects.toMatchObject({ code: "DELETE_ACTIVE_VERSION_FAILED" });
+      expect(mockVersionRepository.softDeleteById).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw InvalidVersion jika versi bukan milik dokumen tersebut", async () => {
       mockDocumentRepository.findByIdSimple.mockResolvedValue({ id: "doc-123", userId: "user-123" });
-      mockVersionRepository.findById.mockResolvedValue({ id: "ver-2", url: "path/to/v2.pdf" });
-      mockVersionRepository.deleteById.mockResolvedValue(true);
-      mockFileStorage.deleteFile.mockRejectedValue(new Error("Storage error"));
+      mockVersionRepository.findById.mockResolvedValue({ id: "ver-9", documentId: "other-doc" });
 
-      const result = await documentService.deleteVersion("doc-123", "ver-2", "user-123");
-      expect(result.message).toBe("Versi dokumen berhasil dihapus.");
+      await expect(documentService.deleteVersion("doc-123", "ver-9", "user-123")).rejects.toMatchObject({ code: "INVALID_VERSION_FOR_DOCUMENT" });
     });
   });
 });
@@ -0,0 +1,219 @@
+import { jest } from "@jest/globals";
+import { DocumentTrashService, TRASH_RETENTION_DAYS } from "../../src/services/documentTrashService.js";
+import DocumentError from "../../src/errors/DocumentError.js";
+
+describe("DocumentTrashService", () => {
+  let service;
+  let mockDocumentRepository;
+  let mockVersionRepository;
+  let mockFileStorage;
+  let mockGroupMemberRepository;
+  let mockAuditService;
+
+  const userId = "user-1";
+  const deletedAt = new Date("2025-01-01T00:00:00.000Z");
+  const trashedDocument = {
+    id: "doc-1",
+    title: "Kontrak",
+    userId,
+    groupId: null,
+    deletedAt,
+    deletedBy: userId,
+    trashedByAdmin: false,
+    versions: [
+      { id: "ver-1", url: "documents/v1.pdf" },
+      { id: "ver-2", url: "documents/v2.pdf" },
+    ],
+    attachments: [{ id: "att-1", url: "attachments/source.docx" }],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockDocumentRepository = {
+      findTrashed: jest.fn().mockResolvedValue([]),
+      countTrashed: jest.fn().mockResolvedValue(0),
+      findTrashedById: jest.fn().mockResolvedValue(trashedDocument),
+      findByIdSimple: jest.fn().mockResolvedValue({ id: "doc-1", userId, groupId: null }),
+      restoreById: jest.fn((id) => Promise.resolve({ id, deletedAt: null })),
+      deleteById: jest.fn().mockResolvedValue(),
+      findExpiredTrash: jest.fn().mockResolvedValue([]),
+    };
+    mockVersionRepository = {
+      findTrashedByDocumentId: jest.fn().mockResolvedValue([]),
+      restoreById: jest.fn((id) => Promise.resolve({ id })),
+      deleteById: jest.fn().mockResolvedValue(),
+      findExpiredTrash: jest.fn().mockResolvedValue([]),
+    };
+    mockFileStorage = {
+      deleteFile: jest.fn().mockResolvedValue(),
+      deleteFolder: jest.fn().mockResolvedValue(),
+    };
+    mockGroupMemberRepository = {
+      findByGroupAndUser: jest.fn(),
+    };
+    mockAuditService = {
+      log: jest.fn().mockResolvedValue(),
+    };
+
+    service = new DocumentTrashService(mockDocumentRepository, mockVersionRepository, mockFileStorage, mockGroupMemberRepository, mockAuditService);
+  });
+
+  describe("constructor", () => {
+    it("Harus throw error jika dependency tidak lengkap", () => {
+      expect(() => new DocumentTrashService(mockDocumentRepository)).toThrow("Document repository, version repository, file storage, dan group member repository harus disediakan.");
+    });
+  });
+
+  describe("listTrash", () => {
+    it("Harus mengembalikan dokumen beserta tanggal hapus permanen dan metadata pagination", async () => {
+      mockDocumentRepository.findTrashed.mockResolvedValue([{ id: "doc-1", deletedAt, trashedByAdmin: true, _count: { versions: 2 } }]);
+      mockDocumentRepository.countTrashed.mockResolvedValue(21);
+
+      const result = await service.listTrash(userId, { page: 2, limit: 20 });
+
+      expect(mockDocumentRepository.findTrashed).toHaveBeenCalledWith(userId, { skip: 20, take: 20 });
+      expect(result.data[0]).toEqual({
+        id: "doc-1",
+        deletedAt,
+        versionCount: 2,
+        removedByAdmin: true,
+        purgeAt: new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+      });
+      expect(result.meta).toMatchObject({ total: 21, page: 2, totalPages: 2 });
+    });
+  });
+
+  describe("restoreDocument", () => {
+    it("Harus memulihkan dokumen milik user dan mencatat audit log", async () => {
+      const req = { headers: {} };
+
+      await service.restoreDocument("doc-1", userId, req);
+
+      expect(mockDocumentRepository.restoreById).toHaveBeenCalledWith("doc-1");
+      expect(mockAuditService.log).toHaveBeenCalledWith("RESTORE_DOCUMENT", userId, "doc-1", 'Dokumen "Kontrak" dipulihkan dari tempat sampah.', req);
+    });
+
+    it("Harus throw NotFound jika dokumen tidak ada di tempat sampah", async () => {
+      mockDocumentRepository.findTrashedById.mockResolvedValue(null);
+
+      await expect(service.restoreDocument("doc-x", userId)).rejects.toMatchObject({ code: "DOCUMENT_NOT_FOUND" });
+    });
+
+    it("Harus menolak pemulihan dokumen yang dihapus paksa oleh admin", async () => {
+      mockDocumentRepository.findTrashedById.mockResolvedValue({ ...trashedDocument, trashedByAdmin: true });
+
+      await expect(service.restoreDocument("doc-1", userId)).rejects.toMatchObject({ statusCode: 403 });
+      expect(mockDocumentRepository.restoreById).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengizinkan admin grup memulihkan dokumen grup milik anggota lain", async () => {
+      mockDocumentRepository.findTrashedById.mockResolvedValue({ ...trashedDocument, userId: "user-2", groupId: 7 });
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+
+      await service.restoreDocument("doc-1", userId);
+
+      expect(mockDocumentRepository.restoreById).toHaveBeenCalledWith("doc-1");
+    });
+
+    it("Harus menolak signer memulihkan dokumen grup milik anggota lain", async () => {
+      mockDocumentRepository.findTrashedById.mockResolvedValue({ ...trashedDocument, userId: "user-2", groupId: 7 });
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(service.restoreDocument("doc-1", userId)).rejects.toThrow(DocumentError);
+    });
+  });
+
+  describe("restoreVersion", () => {
+    it("Harus memulihkan versi yang ada di tempat sampah", async () => {
+      mockVersionRepository.findTrashedByDocumentId.mockResolvedValue([{ id: "ver-2", deletedAt }]);
+
+      await service.restoreVersion("doc-1", "ver-2", userId);
+
+      expect(mockVersionRepository.restoreById).toHaveBeenCalledWith("ver-2");
+    });
+
+    it("Harus throw InvalidVersion jika versi tidak ada di tempat sampah dokumen tersebut", async () => {
+      await expect(service.restoreVersion("doc-1", "ver-9", userId)).rejects.toMatchObject({ code: "INVALID_VERSION_FOR_DOCUMENT" });
+      expect(mockVersionRepository.restoreById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("purgeDocument", () => {
+    it("Harus menghapus row, semua file versi & lampiran, lalu mencatat audit log", async () => {
+      const result = await service.purgeDocument("doc-1", userId);
+
+      expect(mockDocumentRepository.deleteById).toHaveBeenCalledWith("doc-1");
+      expect(mockFileStorage.deleteFile.mock.calls.map(([url]) => url)).toEqual(["documents/v1.pdf", "documents/v2.pdf", "attachments/source.docx"]);
+      expect(mockAuditService.log).toHaveBeenCalledWith("PURGE_DOCUMENT", userId, "doc-1", expect.any(String), null);
+      expect(result).toEqual({ id: "doc-1" });
+    });
+
+    it("Harus menghapus cache preview setiap versi dokumen", async () => {
+      await service.purgeDocument("doc-1", userId);
+
+      expect(mockFileStorage.deleteFolder.mock.calls.map(([folder]) => folder)).toEqual(["previews/ver-1", "previews/ver-2"]);
+    });
+
+    it("Harus tetap berhasil meskipun penghapusan file fisik gagal", async () => {
+      mockFileStorage.deleteFile.mockRejectedValue(new Error("Storage error"));
+
+      await expect(service.purgeDocument("doc-1", userId)).resolves.toEqual({ id: "doc-1" });
+    });
+  });
+
+  describe("purgeExpired", () => {
+    const now = new Date("2025-03-01T00:00:00.000Z");
+
+    it("Harus menghapus permanen dokumen dan versi yang melewati masa retensi", async () => {
+      mockDocumentRepository.findExpiredTrash.mockResolvedValue([{ ...trashedDocument, deletedBy: "admin-1", trashedByAdmin: true }]);
+      mockVersionRepository.findExpiredTrash.mockResolvedValue([{ id: "ver-5", url: "documents/v5.pdf", documentId: "doc-2", deletedBy: userId }]);
+
+      const result = await service.purgeExpired(now);
+
+      const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      expect(mockDocumentRepository.findExpiredTrash).toHaveBeenCalledWith(cutoff, 100, []);
+      expect(mockVersionRepository.findExpiredTrash).toHaveBeenCalledWith(cutoff, 100, []);
+      expect(mockVersionRepository.deleteById).toHaveBeenCalledWith("ver-5");
+      expect(mockFileStorage.deleteFile).toHaveBeenCalledWith("documents/v5.pdf");
+      expect(mockFileStorage.deleteFolder).toHaveBeenCalledWith("previews/ver-5");
+      expect(mockAuditService.log).toHaveBeenCalledWith("PURGE_DOCUMENT", null, "doc-1", expect.stringContaining(`${TRASH_RETENTION_DAYS} hari`), null);
+      expect(mockAuditService.log).toHaveBeenCalledWith("PURGE_DOCUMENT_VERSION", null, "doc-2", expect.any(String), null);
+      expect(result).toEqual({ purgedDocuments: 1, purgedVersions: 1, failed: 0 });
+    });
+
+    it("Harus tetap mencatat audit log sebagai aksi sistem meskipun item tidak punya deletedBy maupun pemilik", async () => {
+      mockDocumentRepository.findExpiredTrash.mockResolvedValue([{ ...trashedDocument, userId: null, deletedBy: null }]);
+
+      await service.purgeExpired(now);
+
+      expect(mockAuditService.log).toHaveBeenCalledWith("PURGE_DOCUMENT", null, "doc-1", expect.any(String), null);
+    });
+
+    it("Harus melanjutkan item lain jika satu item gagal dihapus", async () => {
+      mockDocumentRepository.findExpiredTrash.mockResolvedValue([trashedDocument, { ...trashedDocument, id: "doc-2" }]);
+      mockDocumentRepository.deleteById.mockRejectedValueOnce(new Error("DB Error"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const result = await service.purgeExpired(now);
+
+      expect(mockDocumentRepository.deleteById).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({ purgedDocuments: 1, purgedVersions: 0, failed: 1 });
+      console.error.mockRestore();
+    });
+
+    it("Harus terus mengambil batch berikutnya sampai batch yang diambil kurang dari ukuran batch", async () => {
+      const fullBatch = Array.from({ length: 100 }, (_, index) => ({ ...trashedDocument, id: `doc-${index}` }));
+      mockDocumentRepository.findExpiredTrash.mockResolvedValueOnce(fullBatch).mockResolvedValueOnce([{ ...trashedDocument, id: "doc-100" }]);
+      mockDocumentRepository.deleteById.mockRejectedValueOnce(new Error("DB Error"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const result = await service.purgeExpired(now);
+
+      expect(mockDocumentRepository.findExpiredTrash).toHaveBeenCalledTimes(2);
+      expect(mockDocumentRepository.findExpiredTrash).toHaveBeenLastCalledWith(expect.any(Date), 100, ["doc-0"]);
+      expect(result).toEqual({ purgedDocuments: 100, purgedVersions: 0, failed: 1 });
+      console.error.mockRestore();
+    });
+  });
+});
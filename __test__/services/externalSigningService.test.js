@@ -0,0 +1,473 @@
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+import { ExternalSigningService } from "../../src/services/externalSigningService.js";
+import CommonError from "../../src/errors/CommonError.js";
+import GroupError from "../../src/errors/GroupError.js";
+import SignatureError from "../../src/errors/SignatureError.js";
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+describe("ExternalSigningService", () => {
+  let service;
+  let mockSignerRepository;
+  let mockTokenRepository;
+  let mockGroupSignatureRepository;
+  let mockDocumentRepository;
+  let mockGroupMemberRepository;
+  let mockFileStorage;
+  let mockAuditService;
+  let mockSignatureFieldRepository;
+  let mockIo;
+  let mockWhatsapp;
+  let mockEmail;
+  let tokens;
+
+  const groupDocument = { id: "doc-1", groupId: 1, userId: "owner-1", title: "Kontrak Kerja Sama", status: "pending", group: { name: "Legal" }, signerRequests: [{ id: "gds-1", userId: "user-2", status: "PENDING" }] };
+
+  const buildSignerRequest = (overrides = {}) => ({
+    id: "ext-1",
+    userId: null,
+    status: "PENDING",
+    externalName: "Rina",
+    externalEmail: "rina@partner.com",
+    externalPhone: "081234567890",
+    deadline: null,
+    document: { id: "doc-1", title: "Kontrak Kerja Sama", status: "pending", groupId: 1, signingDeadline: null, deletedAt: null, currentVersionId: "ver-1", currentVersion: { id: "ver-1", url: "docs/kontrak.pdf" }, group: { name: "Legal" } },
+    ...overrides,
+  });
+
+  const addToken = (overrides = {}) => {
+    const record = { id: `tok-${tokens.length + 1}`, tokenHash: sha256("link-token"), expiresAt: new Date(Date.now() + 60 * 60 * 1000), usedAt: null, revokedAt: null, otpAttempts: 0, signerRequest: buildSignerRequest(), ...overrides };
+    tokens.push(record);
+    return record;
+  };
+
+  const lastOtp = () => mockWhatsapp.mock.calls.at(-1)[1].match(/: (\d{6})/)[1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokens = [];
+
+    mockSignerRepository = {
+      createExternalSigner: jest.fn((documentId, data) => Promise.resolve({ id: "ext-1", documentId, externalName: data.name, externalEmail: data.email, externalPhone: data.phoneNumber, status: "PENDING" })),
+      findExternalById: jest.fn(),
+      markAsSignedById: jest.fn().mockResolvedValue({ count: 1 }),
+      deleteUnsignedById: jest.fn().mockResolvedValue({ count: 1 }),
+      countPendingSigners: jest.fn().mockResolvedValue(0),
+      countRejectedSigners: jest.fn().mockResolvedValue(0),
+      countExpiredSigners: jest.fn().mockResolvedValue(0),
+      countPendingBeforeOrder: jest.fn().mockResolvedValue(0),
+      findActiveStage: jest.fn().mockResolvedValue(null),
+    };
+    mockTokenRepository = {
+      create: jest.fn((data) => Promise.resolve({ id: "tok-new", ...data })),
+      findByTokenHash: jest.fn((hash) => Promise.resolve(tokens.find((token) => token.tokenHash === hash) || null)),
+      findBySessionHash: jest.fn((hash) => Promise.resolve(tokens.find((token) => token.sessionTokenHash === hash) || null)),
+      markAsUsed: jest.fn((id, data) => {
+        const token = tokens.find((item) => item.id === id);
+        if (!token || token.usedAt || token.revokedAt) return Promise.resolve(false);
+        Object.assign(token, data, { usedAt: new Date() });
+        return Promise.resolve(true);
+      }),
+      update: jest.fn((id, data) => Promise.resolve(Object.assign(tokens.find((item) => item.id === id) || {}, data))),
+      revokeBySignerRequest: jest.fn().mockResolvedValue({ count: 1 }),
+    };
+    mockGroupSignatureRepository = {
+      create: jest.fn((data) => Promise.resolve({ id: "sig-ext-1", ...data })),
+      delete: jest.fn(),
+    };
+    mockDocumentRepository = {
+      findById: jest.fn().mockResolvedValue(groupDocument),
+      update: jest.fn(),
+    };
+    mockGroupMemberRepository = { findByGroupAndUser: jest.fn().mockResolvedValue({ role: "admin_group" }) };
+    mockFileStorage = { getSignedUrl: jest.fn().mockResolvedValue("https://storage.example.com/signed-url") };
+    mockAuditService = { log: jest.fn() };
+    mockSignatureFieldRepository = { replaceForExternalSigner: jest.fn().mockResolvedValue([]) };
+    mockIo = { to: jest.fn().mockReturnThis(), emit: jest.fn() };
+    mockWhatsapp = jest.fn().mockResolvedValue({ status: true });
+    mockEmail = jest.fn().mockResolvedValue({ id: "email-1" });
+
+    service = new ExternalSigningService(
+      mockSignerRepository,
+      mockTokenRepository,
+      mockGroupSignatureRepository,
+      mockDocumentRepository,
+      mockGroupMemberRepository,
+      mockFileStorage,
+      mockAuditService,
+      mockIo,
+      mockSignatureFieldRepository,
+      { whatsapp: mockWhatsapp, email: mockEmail }
+    );
+  });
+
+  describe("constructor", () => {
+    it("Harus throw error jika repository tidak disediakan", () => {
+      expect(() => new ExternalSigningService()).toThrow("Repository penanda tangan eksternal harus disediakan.");
+    });
+  });
+
+  describe("inviteExternalSigner", () => {
+    it("Harus membuat permintaan tanda tangan eksternal dan mengirim link sekali pakai lewat WhatsApp", async () => {
+      const result = await service.inviteExternalSigner(1, "doc-1", "admin-1", { name: " Rina ", email: "Rina@Partner.com", phoneNumber: "0812-3456-7890" });
+
+      expect(mockSignerRepository.createExternalSigner).toHaveBeenCalledWith("doc-1", { name: "Rina", email: "rina@partner.com", phoneNumber: "081234567890", deadline: null });
+
+      const [{ tokenHash, signerRequestId }] = mockTokenRepository.create.mock.calls[0];
+      const token = result.signingLink.split("/external-sign/")[1];
+      expect(signerRequestId).toBe("ext-1");
+      expect(tokenHash).toBe(sha256(token));
+      expect(tokenHash).not.toBe(token);
+
+      expect(mockWhatsapp).toHaveBeenCalledWith("081234567890", expect.stringContaining(result.signingLink));
+      expect(mockEmail).not.toHaveBeenCalled();
+      expect(result.delivered).toBe(true);
+      expect(mockAuditService.log).toHaveBeenCalledWith("INVITE_EXTERNAL_SIGNER", "admin-1", "doc-1", expect.stringContaining("Rina"), null);
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "signer_update", documentId: "doc-1" }));
+    });
+
+    it("Harus mengirim link lewat email jika tidak ada nomor HP dan mengaktifkan dokumen draft", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...groupDocument, status: "draft", signerRequests: [] });
+
+      await service.inviteExternalSigner(1, "doc-1", "owner-1", { name: "Rina", email: "rina@partner.com" });
+
+      expect(mockEmail).toHaveBeenCalledWith("rina@partner.com", "Permintaan tanda tangan: Kontrak Kerja Sama", expect.stringContaining("/external-sign/"));
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-1", { status: "pending" });
+    });
+
+    it("Harus tetap mengembalikan link jika pengiriman gagal", async () => {
+      mockWhatsapp.mockResolvedValue(null);
+
+      const result = await service.inviteExternalSigner(1, "doc-1", "admin-1", { name: "Rina", phoneNumber: "081234567890" });
+
+      expect(result.delivered).toBe(false);
+      expect(result.signingLink).toContain("/external-sign/");
+    });
+
+    it("Harus menganggap link tidak terkirim jika WhatsApp membalas status false", async () => {
+      mockWhatsapp.mockResolvedValue({ status: false, reason: "target invalid" });
+
+      const result = await service.inviteExternalSigner(1, "doc-1", "admin-1", { name: "Rina", phoneNumber: "081234567890" });
+
+      expect(result.delivered).toBe(false);
+    });
+
+    it("Harus menolak undangan tanpa email maupun nomor HP", async () => {
+      await expect(service.inviteExternalSigner(1, "doc-1", "admin-1", { name: "Rina" })).rejects.toThrow(CommonError);
+      expect(mockSignerRepository.createExternalSigner).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak penanda tangan eksternal yang sudah diundang", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...groupDocument, signerRequests: [{ id: "ext-1", userId: null, externalEmail: "rina@partner.com", status: "PENDING" }] });
+
+      await expect(service.inviteExternalSigner(1, "doc-1", "admin-1", { name: "Rina", email: "rina@partner.com" })).rejects.toThrow(/sudah diundang/);
+    });
+
+    it("Harus menolak anggota yang bukan admin atau pemilik dokumen", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(service.inviteExternalSigner(1, "doc-1", "user-2", { name: "Rina", email: "rina@partner.com" })).rejects.toThrow(GroupError);
+    });
+
+    it("Harus menolak dokumen yang sudah selesai", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...groupDocument, status: "completed" });
+
+      await expect(service.inviteExternalSigner(1, "doc-1", "admin-1", { name: "Rina", email: "rina@partner.com" })).rejects.toThrow(CommonError);
+    });
+  });
+
+  describe("resendSigningLink", () => {
+    it("Harus mencabut link lama dan membuat link baru", async () => {
+      mockSignerRepository.findExternalById.mockResolvedValue(buildSignerRequest());
+
+      const result = await service.resendSigningLink(1, "doc-1", "ext-1", "admin-1");
+
+      expect(mockTokenRepository.revokeBySignerRequest).toHaveBeenCalledWith("ext-1");
+      expect(mockTokenRepository.create).toHaveBeenCalled();
+      expect(result.signingLink).toContain("/external-sign/");
+    });
+
+    it("Harus menolak penanda tangan yang sudah tanda tangan", async () => {
+      mockSignerRepository.findExternalById.mockResolvedValue(buildSignerRequest({ status: "SIGNED" }));
+
+      await expect(service.resendSigningLink(1, "doc-1", "ext-1", "admin-1")).rejects.toThrow(/PENDING/);
+      expect(mockTokenRepository.revokeBySignerRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("removeExternalSigner", () => {
+    it("Harus menghapus penanda tangan eksternal dan mengembalikan dokumen ke draft jika tidak ada signer lain", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...groupDocument, signerRequests: [{ id: "ext-1", userId: null, status: "PENDING" }] });
+      mockSignerRepository.findExternalById.mockResolvedValue(buildSignerRequest());
+
+      await service.removeExternalSigner(1, "doc-1", "ext-1", "admin-1");
+
+      expect(mockSignerRepository.deleteUnsignedById).toHaveBeenCalledWith("ext-1");
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-1", { status: "draft" });
+    });
+
+    it("Harus menolak menghapus penanda tangan yang sudah tanda tangan", async () => {
+      mockSignerRepository.findExternalById.mockResolvedValue(buildSignerRequest({ status: "SIGNED" }));
+      mockSignerRepository.deleteUnsignedById.mockResolvedValue({ count: 0 });
+
+      await expect(service.removeExternalSigner(1, "doc-1", "ext-1", "admin-1")).rejects.toThrow(/sudah tanda tangan/);
+    });
+  });
+
+  describe("openSession", () => {
+    it("Harus menukar link menjadi sesi dan mengirim OTP ke WhatsApp", async () => {
+      addToken();
+
+      const result = await service.openSession("link-token", { ipAddress: "10.0.0.9", userAgent: "Mozilla/5.0" });
+
+      expect(result.sessionToken).toHaveLength(64);
+      expect(result.otpChannel).toBe("whatsapp");
+      expect(result.otpDestination).toBe("0812*****890");
+      expect(result.document).toEqual({ id: "doc-1", title: "Kontrak Kerja Sama", groupName: "Legal" });
+      expect(tokens[0]).toMatchObject({ sessionTokenHash: sha256(result.sessionToken), ipAddress: "10.0.0.9", otpChannel: "whatsapp" });
+      expect(tokens[0].otpHash).toBe(sha256(lastOtp()));
+    });
+
+    it("Harus mengirim OTP lewat email jika penanda tangan tidak punya nomor HP", async () => {
+      addToken({ signerRequest: buildSignerRequest({ externalPhone: null }) });
+
+      const result = await service.openSession("link-token");
+
+      expect(result.otpChannel).toBe("email");
+      expect(result.otpDestination).toBe("r***@partner.com");
+      expect(mockEmail).toHaveBeenCalledWith("rina@partner.com", "Kode OTP tanda tangan dokumen", expect.stringMatching(/\d{6}/));
+    });
+
+    it("Harus tetap mengembalikan sesi jika OTP gagal dikirim dan mengizinkan kirim ulang tanpa jeda", async () => {
+      addToken();
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      mockWhatsapp.mockRejectedValueOnce(new Error("Gateway WhatsApp tidak tersedia"));
+
+      const result = await service.openSession("link-token");
+
+      expect(result.sessionToken).toHaveLength(64);
+      expect(result.otpDelivered).toBe(false);
+      expect(tokens[0].usedAt).toBeInstanceOf(Date);
+      expect(tokens[0]).toMatchObject({ otpHash: null, otpSentAt: null });
+
+      const otp = await service.requestOtp(result.sessionToken);
+
+      expect(otp).toEqual({ otpChannel: "whatsapp", otpDestination: "0812*****890" });
+      expect(tokens[0].otpHash).toBe(sha256(lastOtp()));
+      await expect(service.verifyOtp(result.sessionToken, lastOtp())).resolves.toMatchObject({ verified: true });
+      console.error.mockRestore();
+    });
+
+    it("Harus menganggap OTP tidak terkirim jika WhatsApp membalas status false", async () => {
+      addToken();
+      mockWhatsapp.mockResolvedValueOnce({ status: false, reason: "target invalid" });
+
+      const result = await service.openSession("link-token");
+
+      expect(result.otpDelivered).toBe(false);
+      expect(tokens[0]).toMatchObject({ otpHash: null, otpSentAt: null });
+    });
+
+    it("Harus menolak link yang sudah dipakai (sekali pakai)", async () => {
+      addToken();
+      await service.openSession("link-token");
+
+      await expect(service.openSession("link-token")).rejects.toThrow(SignatureError);
+    });
+
+    it("Harus menolak link yang kedaluwarsa atau dicabut", async () => {
+      addToken({ expiresAt: new Date(Date.now() - 1000) });
+      await expect(service.openSession("link-token")).rejects.toMatchObject({ statusCode: 401 });
+
+      tokens = [];
+      addToken({ revokedAt: new Date() });
+      await expect(service.openSession("link-token")).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it("Harus menolak jika tenggat tanda tangan sudah lewat", async () => {
+      addToken({ signerRequest: buildSignerRequest({ deadline: new Date(Date.now() - 1000) }) });
+
+      await expect(service.openSession("link-token")).rejects.toThrow(/Batas waktu/);
+      expect(mockTokenRepository.markAsUsed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("verifyOtp", () => {
+    it("Harus memverifikasi kode OTP yang benar", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+
+      const result = await service.verifyOtp(sessionToken, lastOtp());
+
+      expect(result.verified).toBe(true);
+      expect(tokens[0].otpVerifiedAt).toBeInstanceOf(Date);
+      expect(tokens[0].otpHash).toBeNull();
+    });
+
+    it("Harus menghitung percobaan salah dan mencabut sesi setelah batas tercapai", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+      const wrongCode = lastOtp() === "000000" ? "111111" : "000000";
+
+      await expect(service.verifyOtp(sessionToken, wrongCode)).rejects.toThrow("Kode OTP salah. Sisa percobaan: 4 kali.");
+      tokens[0].otpAttempts = 4;
+
+      await expect(service.verifyOtp(sessionToken, wrongCode)).rejects.toMatchObject({ statusCode: 401 });
+      expect(tokens[0].revokedAt).toBeInstanceOf(Date);
+      await expect(service.verifyOtp(sessionToken, lastOtp())).rejects.toThrow(/Sesi tanda tangan sudah berakhir/);
+    });
+
+    it("Harus menolak kode OTP yang kedaluwarsa", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+      tokens[0].otpExpiresAt = new Date(Date.now() - 1000);
+
+      await expect(service.verifyOtp(sessionToken, lastOtp())).rejects.toThrow(/kedaluwarsa/);
+    });
+  });
+
+  describe("requestOtp", () => {
+    it("Harus menolak permintaan OTP baru sebelum jeda selesai", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+
+      await expect(service.requestOtp(sessionToken)).rejects.toThrow(/Tunggu/);
+    });
+
+    it("Harus throw ServiceUnavailable jika OTP baru gagal dikirim", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+      tokens[0].otpSentAt = new Date(Date.now() - 2 * 60 * 1000);
+      mockWhatsapp.mockResolvedValueOnce(null);
+
+      await expect(service.requestOtp(sessionToken)).rejects.toMatchObject({ statusCode: 503 });
+      expect(tokens[0].otpSentAt).toBeNull();
+    });
+
+    it("Harus mengirim OTP baru setelah jeda selesai", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+      tokens[0].otpSentAt = new Date(Date.now() - 2 * 60 * 1000);
+
+      await service.requestOtp(sessionToken);
+
+      expect(mockWhatsapp).toHaveBeenCalledTimes(2);
+      expect(tokens[0].otpHash).toBe(sha256(lastOtp()));
+    });
+  });
+
+  describe("getSigningDocument", () => {
+    it("Harus menolak akses dokumen sebelum OTP diverifikasi", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+
+      await expect(service.getSigningDocument(sessionToken)).rejects.toMatchObject({ code: "OTP_NOT_VERIFIED", statusCode: 403 });
+    });
+
+    it("Harus mengembalikan signed URL dokumen sesi setelah OTP diverifikasi", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+      await service.verifyOtp(sessionToken, lastOtp());
+
+      const result = await service.getSigningDocument(sessionToken);
+
+      expect(mockFileStorage.getSignedUrl).toHaveBeenCalledWith("docs/kontrak.pdf", 300);
+      expect(result).toMatchObject({ documentId: "doc-1", title: "Kontrak Kerja Sama", signerName: "Rina", fileUrl: "https://storage.example.com/signed-url" });
+    });
+  });
+
+  describe("signDocument", () => {
+    const signatureData = { signatureImageUrl: "data:image/png;base64,abc", positionX: 0.1, positionY: 0.2, pageNumber: 1, width: 0.2, height: 0.1 };
+
+    const openVerifiedSession = async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token", { ipAddress: "10.0.0.9", userAgent: "Mozilla/5.0" });
+      await service.verifyOtp(sessionToken, lastOtp());
+      return sessionToken;
+    };
+
+    it("Harus menyimpan tanda tangan dengan data audit & OTP lalu mengakhiri sesi", async () => {
+      const sessionToken = await openVerifiedSession();
+
+      const result = await service.signDocument(sessionToken, signatureData, { ipAddress: "10.0.0.10", userAgent: "Mozilla/5.0 (Macintosh)" });
+
+      expect(mockGroupSignatureRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: null,
+          documentVersionId: "ver-1",
+          status: "final",
+          ipAddress: "10.0.0.10",
+          userAgent: "Mozilla/5.0 (Macintosh)",
+          otpVerifiedAt: tokens[0].otpVerifiedAt,
+          otpChannel: "whatsapp",
+        })
+      );
+      expect(mockSignerRepository.markAsSignedById).toHaveBeenCalledWith("ext-1", "sig-ext-1");
+      expect(result).toMatchObject({ documentId: "doc-1", groupId: 1, signerName: "Rina", readyToFinalize: true, remainingSigners: 0 });
+      expect(mockAuditService.log).toHaveBeenCalledWith("SIGN_DOCUMENT_GROUP", null, "doc-1", expect.stringContaining("Rina (rina@partner.com)"), null);
+      expect(mockSignatureFieldRepository.replaceForExternalSigner).not.toHaveBeenCalled();
+
+      await expect(service.signDocument(sessionToken, signatureData)).rejects.toThrow(/Sesi tanda tangan sudah berakhir/);
+    });
+
+    it("Harus menyimpan field yang ditempatkan penanda tangan eksternal", async () => {
+      const sessionToken = await openVerifiedSession();
+      const fields = [{ type: "text", value: "Direktur", pageNumber: 1, positionX: 0.1, positionY: 0.5, width: 0.2, height: 0.05 }];
+
+      await service.signDocument(sessionToken, { ...signatureData, fields });
+
+      expect(mockSignatureFieldRepository.replaceForExternalSigner).toHaveBeenCalledWith("ext-1", "ver-1", [expect.objectContaining({ type: "text", value: "Direktur", pageNumber: 1 })]);
+    });
+
+    it("Harus menolak field dengan posisi di luar halaman sebelum tanda tangan disimpan", async () => {
+      const sessionToken = await openVerifiedSession();
+      const fields = [{ type: "text", value: "Direktur", pageNumber: 1, positionX: 0.9, positionY: 0.5, width: 0.2, height: 0.05 }];
+
+      await expect(service.signDocument(sessionToken, { ...signatureData, fields })).rejects.toThrow(SignatureError);
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak tanda tangan sebelum OTP diverifikasi", async () => {
+      addToken();
+      const { sessionToken } = await service.openSession("link-token");
+
+      await expect(service.signDocument(sessionToken, signatureData)).rejects.toMatchObject({ code: "OTP_NOT_VERIFIED" });
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus membatalkan tanda tangan jika permintaan sudah tidak PENDING", async () => {
+      const sessionToken = await openVerifiedSession();
+      mockSignerRepository.markAsSignedById.mockResolvedValue({ count: 0 });
+
+      await expect(service.signDocument(sessionToken, signatureData)).rejects.toThrow(CommonError);
+      expect(mockGroupSignatureRepository.delete).toHaveBeenCalledWith("sig-ext-1");
+    });
+
+    it("Harus menolak sesi tanpa token", async () => {
+      await expect(service.signDocument(undefined, signatureData)).rejects.toThrow("Sesi tanda tangan tidak ditemukan.");
+    });
+
+    it("Harus menolak penanda tangan eksternal yang belum gilirannya (urutan berurutan)", async () => {
+      addToken({ signerRequest: buildSignerRequest({ order: 2 }) });
+      const { sessionToken } = await service.openSession("link-token");
+      await service.verifyOtp(sessionToken, lastOtp());
+      mockSignerRepository.countPendingBeforeOrder.mockResolvedValue(1);
+
+      await expect(service.signDocument(sessionToken, signatureData)).rejects.toMatchObject({ code: "NOT_YOUR_TURN" });
+      expect(mockSignerRepository.countPendingBeforeOrder).toHaveBeenCalledWith("doc-1", 2);
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus memulai tahap berikutnya dan memberi tahu signer-nya setelah tahap penanda tangan eksternal selesai", async () => {
+      const sessionToken = await openVerifiedSession();
+      mockSignerRepository.countPendingSigners.mockResolvedValue(1);
+      mockSignerRepository.findActiveStage.mockResolvedValue({ order: 2, signers: [{ userId: "user-3", user: { name: "Dewi", phoneNumber: "081111111111" } }] });
+
+      const result = await service.signDocument(sessionToken, signatureData);
+
+      expect(result.nextStage).toEqual({ order: 2, signerIds: ["user-3"] });
+      expect(mockWhatsapp).toHaveBeenCalledWith("081111111111", expect.stringContaining("giliran Anda"));
+    });
+  });
+});
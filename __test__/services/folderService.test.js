@@ -0,0 +1,184 @@
+import { jest } from "@jest/globals";
+import { FolderService, MAX_FOLDER_DEPTH } from "../../src/services/folderService.js";
+import FolderError from "../../src/errors/FolderError.js";
+import GroupError from "../../src/errors/GroupError.js";
+import DocumentError from "../../src/errors/DocumentError.js";
+
+describe("FolderService", () => {
+  let service;
+  let mockFolderRepository;
+  let mockDocumentRepository;
+  let mockGroupMemberRepository;
+
+  const userId = "user-1";
+  const personalFolders = [
+    { id: "f-root", name: "Kontrak", parentId: null, groupId: null, userId, _count: { documents: 2 } },
+    { id: "f-child", name: "2025", parentId: "f-root", groupId: null, userId, _count: { documents: 1 } },
+    { id: "f-other", name: "Invoice", parentId: null, groupId: null, userId, _count: { documents: 0 } },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockFolderRepository = {
+      create: jest.fn((data) => Promise.resolve({ id: "f-new", ...data })),
+      findById: jest.fn((id) => Promise.resolve(personalFolders.find((folder) => folder.id === id) || null)),
+      findAllByScope: jest.fn().mockResolvedValue(personalFolders),
+      update: jest.fn((id, data) => Promise.resolve({ id, ...data })),
+      deleteAndReparent: jest.fn().mockResolvedValue(),
+      moveDocuments: jest.fn((ids) => Promise.resolve(ids.length)),
+    };
+    mockDocumentRepository = {
+      findManyByIds: jest.fn(),
+    };
+    mockGroupMemberRepository = {
+      findByGroupAndUser: jest.fn(),
+    };
+
+    service = new FolderService(mockFolderRepository, mockDocumentRepository, mockGroupMemberRepository);
+  });
+
+  describe("constructor", () => {
+    it("Harus throw error jika dependency tidak lengkap", () => {
+      expect(() => new FolderService(mockFolderRepository)).toThrow("Folder repository, document repository, dan group member repository harus disediakan.");
+    });
+  });
+
+  describe("listFolders", () => {
+    it("Harus mengembalikan folder personal dalam bentuk pohon", async () => {
+      const result = await service.listFolders(userId);
+
+      expect(mockFolderRepository.findAllByScope).toHaveBeenCalledWith({ userId, groupId: null });
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({ id: "f-root", documentCount: 2 });
+      expect(result[0].children).toEqual([expect.objectContaining({ id: "f-child", documentCount: 1, children: [] })]);
+    });
+
+    it("Harus menolak user yang bukan anggota grup", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue(null);
+
+      await expect(service.listFolders(userId, 7)).rejects.toThrow(GroupError);
+      expect(mockFolderRepository.findAllByScope).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengizinkan viewer melihat folder grup", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "viewer" });
+      mockFolderRepository.findAllByScope.mockResolvedValue([]);
+
+      await service.listFolders(userId, 7);
+
+      expect(mockFolderRepository.findAllByScope).toHaveBeenCalledWith({ userId, groupId: 7 });
+    });
+  });
+
+  describe("createFolder", () => {
+    it("Harus membuat sub-folder personal dengan nama yang sudah di-trim", async () => {
+      const result = await service.createFolder(userId, { name: "  Arsip  ", parentId: "f-root" });
+
+      expect(mockFolderRepository.create).toHaveBeenCalledWith({ name: "Arsip", userId, groupId: null, parentId: "f-root" });
+      expect(result.id).toBe("f-new");
+    });
+
+    it("Harus throw DuplicateName jika nama sama (case-insensitive) di parent yang sama", async () => {
+      await expect(service.createFolder(userId, { name: "kontrak" })).rejects.toMatchObject({ code: "FOLDER_NAME_EXISTS", statusCode: 409 });
+      expect(mockFolderRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus hanya mengizinkan admin_group membuat folder grup", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(service.createFolder(userId, { name: "Legal", groupId: 7 })).rejects.toMatchObject({ statusCode: 403 });
+
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockFolderRepository.findAllByScope.mockResolvedValue([]);
+      await service.createFolder(userId, { name: "Legal", groupId: 7 });
+
+      expect(mockFolderRepository.create).toHaveBeenCalledWith({ name: "Legal", userId, groupId: 7, parentId: null });
+    });
+
+    it("Harus menganggap folder personal milik user lain tidak ditemukan", async () => {
+      mockFolderRepository.findById.mockResolvedValue({ id: "f-x", groupId: null, userId: "user-2" });
+
+      await expect(service.createFolder(userId, { name: "A", parentId: "f-x" })).rejects.toMatchObject({ code: "FOLDER_NOT_FOUND" });
+    });
+
+    it("Harus menolak folder yang melebihi kedalaman maksimal", async () => {
+      const chain = Array.from({ length: MAX_FOLDER_DEPTH }, (_, index) => ({ id: `f-${index}`, name: `L${index}`, parentId: index === 0 ? null : `f-${index - 1}`, groupId: null, userId }));
+      mockFolderRepository.findAllByScope.mockResolvedValue(chain);
+      mockFolderRepository.findById.mockResolvedValue(chain[MAX_FOLDER_DEPTH - 1]);
+
+      await expect(service.createFolder(userId, { name: "Terlalu dalam", parentId: `f-${MAX_FOLDER_DEPTH - 1}` })).rejects.toMatchObject({ code: "INVALID_FOLDER_MOVE" });
+    });
+  });
+
+  describe("updateFolder", () => {
+    it("Harus mengganti nama folder", async () => {
+      await service.updateFolder(userId, "f-other", { name: "Tagihan" });
+
+      expect(mockFolderRepository.update).toHaveBeenCalledWith("f-other", { name: "Tagihan" });
+    });
+
+    it("Harus menolak pemindahan folder ke sub-foldernya sendiri", async () => {
+      await expect(service.updateFolder(userId, "f-root", { parentId: "f-child" })).rejects.toThrow(FolderError);
+      expect(mockFolderRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("Harus memindahkan folder ke root", async () => {
+      await service.updateFolder(userId, "f-child", { parentId: null });
+
+      expect(mockFolderRepository.update).toHaveBeenCalledWith("f-child", { parentId: null });
+    });
+
+    it("Harus throw NotFound jika parent tujuan tidak ada di cakupan yang sama", async () => {
+      await expect(service.updateFolder(userId, "f-other", { parentId: "f-unknown" })).rejects.toMatchObject({ code: "FOLDER_NOT_FOUND" });
+    });
+  });
+
+  describe("deleteFolder", () => {
+    it("Harus menghapus folder dan memindahkan isinya ke parent", async () => {
+      const result = await service.deleteFolder(userId, "f-child");
+
+      expect(mockFolderRepository.deleteAndReparent).toHaveBeenCalledWith(personalFolders[1]);
+      expect(result).toEqual({ id: "f-child", movedToFolderId: "f-root" });
+    });
+  });
+
+  describe("moveDocuments", () => {
+    it("Harus memindahkan dokumen personal ke folder personal", async () => {
+      mockDocumentRepository.findManyByIds.mockResolvedValue([
+        { id: "doc-1", userId, groupId: null },
+        { id: "doc-2", userId, groupId: null },
+      ]);
+
+      const result = await service.moveDocuments(userId, { documentIds: ["doc-1", "doc-2", "doc-1"], folderId: "f-root" });
+
+      expect(mockFolderRepository.moveDocuments).toHaveBeenCalledWith(["doc-1", "doc-2"], "f-root");
+      expect(result).toEqual({ folderId: "f-root", movedCount: 2 });
+    });
+
+    it("Harus menolak dokumen grup dipindah ke folder personal", async () => {
+      mockDocumentRepository.findManyByIds.mockResolvedValue([{ id: "doc-1", userId, groupId: 7 }]);
+
+      await expect(service.moveDocuments(userId, { documentIds: ["doc-1"], folderId: "f-root" })).rejects.toMatchObject({ code: "INVALID_FOLDER_MOVE" });
+      expect(mockFolderRepository.moveDocuments).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw NotFound jika ada dokumen yang tidak ditemukan", async () => {
+      mockDocumentRepository.findManyByIds.mockResolvedValue([]);
+
+      await expect(service.moveDocuments(userId, { documentIds: ["doc-x"], folderId: "f-root" })).rejects.toThrow(DocumentError);
+    });
+
+    it("Harus mengizinkan signer mengeluarkan dokumen grup dari folder, tetapi tidak viewer", async () => {
+      mockDocumentRepository.findManyByIds.mockResolvedValue([{ id: "doc-1", userId: "user-2", groupId: 7 }]);
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "viewer" });
+
+      await expect(service.moveDocuments(userId, { documentIds: ["doc-1"], folderId: null, groupId: 7 })).rejects.toMatchObject({ statusCode: 403 });
+
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+      await service.moveDocuments(userId, { documentIds: ["doc-1"], folderId: null, groupId: 7 });
+
+      expect(mockFolderRepository.moveDocuments).toHaveBeenCalledWith(["doc-1"], null);
+    });
+  });
+});
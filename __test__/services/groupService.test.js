@@ -1,5 +1,6 @@
 import { jest } from "@jest/globals";
-import { GroupService } from "../../src/services/groupService.js";
+import crypto from "crypto";
+import { GroupService, FINALIZATION_CLAIM_TIMEOUT_MINUTES } from "../../src/services/groupService.js";
 import GroupError from "../../src/errors/GroupError.js";
 import CommonError from "../../src/errors/CommonError.js";
 import DocumentError from "../../src/errors/DocumentError.js";
@@ -37,6 +38,7 @@ describe("GroupService", () => {
       createFromInvitation: jest.fn(),
       deleteById: jest.fn(),
       findAllByUserId: jest.fn(),
+      countByUserId: jest.fn(),
     };
 
     mockGroupInvitationRepository = {
@@ -51,6 +53,8 @@ describe("GroupService", () => {
       findFirst: jest.fn(),
       createGroupDocument: jest.fn(),
       deleteById: jest.fn(),
+      claimForFinalization: jest.fn().mockResolvedValue(true),
+      releaseFinalization: jest.fn().mockResolvedValue(true),
     };
 
     mockFileStorage = {
@@ -59,11 +63,17 @@ describe("GroupService", () => {
 
     mockGroupDocumentSignerRepository = {
       createSigners: jest.fn(),
+      updateSignerOrder: jest.fn(),
       deleteDrafts: jest.fn(),
       deletePendingSignersByGroupAndUser: jest.fn(),
       deleteSpecificSigner: jest.fn(),
       deleteByDocumentId: jest.fn(),
       countPendingSigners: jest.fn(),
+      countRejectedSigners: jest.fn().mockResolvedValue(0),
+      countExpiredSigners: jest.fn().mockResolvedValue(0),
+      reopenRejectedSigners: jest.fn(),
+      setSignerDeadline: jest.fn(),
+      resetDocumentDeadline: jest.fn(),
     };
 
     mockVersionRepository = {
@@ -77,6 +87,7 @@ describe("GroupService", () => {
 
     mockGroupSignatureRepository = {
       deleteDrafts: jest.fn(),
+      deleteBySignerAndVersion: jest.fn(),
       findAllByVersionId: jest.fn(),
       update: jest.fn(),
     };
@@ -676,6 +687,155 @@ describe("GroupService", () => {
       const result = await serviceNoIo.uploadGroupDocument("u1", 1, mockFile, "Title", []);
       expect(result).toEqual({ id: "new-doc" });
     });
+
+    it("Harus mengonversi file Word ke PDF dan menyimpan file asli sebagai lampiran", async () => {
+      const wordFile = { mimetype: "application/msword", size: 1000, buffer: Buffer.from("doc"), originalname: "Notulen.doc" };
+      const convertedFile = { mimetype: "application/pdf", size: 10, buffer: Buffer.from("%PDF-conv"), originalname: "Notulen.pdf" };
+      const mockConversionService = {
+        isConvertible: jest.fn().mockReturnValue(true),
+        prepareUpload: jest.fn().mockResolvedValue({ file: convertedFile, sourceFile: wordFile }),
+      };
+      const service = new GroupService(
+        mockGroupRepository,
+        mockGroupMemberRepository,
+        mockGroupInvitationRepository,
+        mockDocumentRepository,
+        mockFileStorage,
+        mockGroupDocumentSignerRepository,
+        mockVersionRepository,
+        mockPdfService,
+        mockGroupSignatureRepository,
+        null,
+        mockUserService,
+        mockConversionService
+      );
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ group: { name: "G" } });
+      mockUserService.isUserPremium.mockResolvedValue(true);
+      mockGroupRepository.findById.mockResolvedValue({ adminId: "owner" });
+      mockDocumentRepository.countByGroupId.mockResolvedValue(0);
+      mockFileStorage.uploadDocument.mockResolvedValue("path/to/pdf");
+      mockFileStorage.uploadAttachment = jest.fn().mockResolvedValue("attachments/u1/notulen.doc");
+      mockDocumentRepository.createGroupDocument.mockResolvedValue({ id: "new-doc" });
+      mockDocumentRepository.createAttachment = jest.fn();
+      mockGroupRepository.prisma = { documentVersion: { findFirst: jest.fn().mockResolvedValue(null) } };
+
+      await service.uploadGroupDocument("u1", 1, wordFile, "Notulen", []);
+
+      const pdfHash = crypto.createHash("sha256").update(convertedFile.buffer).digest("hex");
+      expect(mockGroupRepository.prisma.documentVersion.findFirst).toHaveBeenCalledWith(expect.objectContaining({ where: { hash: pdfHash, document: { groupId: 1 } } }));
+
+      expect(mockFileStorage.uploadDocument).toHaveBeenCalledWith(convertedFile, "u1");
+      expect(mockFileStorage.uploadAttachment).toHaveBeenCalledWith(wordFile, "u1");
+      expect(mockDocumentRepository.createAttachment).toHaveBeenCalledWith("new-doc", {
+        url: "attachments/u1/notulen.doc",
+        fileName: "Notulen.doc",
+        mimeType: "application/msword",
+        size: 1000,
+        kind: "SOURCE",
+      });
+    });
+
+    it("Harus meneruskan DocumentError jika konversi Word gagal", async () => {
+      const mockConversionService = {
+        isConvertible: jest.fn().mockReturnValue(true),
+        prepareUpload: jest.fn().mockRejectedValue(DocumentError.ConverterUnavailable()),
+      };
+      const service = new GroupService(
+        mockGroupRepository,
+        mockGroupMemberRepository,
+        mockGroupInvitationRepository,
+        mockDocumentRepository,
+        mockFileStorage,
+        mockGroupDocumentSignerRepository,
+        mockVersionRepository,
+        mockPdfService,
+        mockGroupSignatureRepository,
+        null,
+        mockUserService,
+        mockConversionService
+      );
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({});
+      mockUserService.isUserPremium.mockResolvedValue(false);
+      mockGroupRepository.findById.mockResolvedValue({ adminId: "owner" });
+      mockDocumentRepository.countByGroupId.mockResolvedValue(0);
+
+      await expect(service.uploadGroupDocument("u1", 1, { mimetype: "application/msword", size: 10 }, "T", [])).rejects.toThrow(DocumentError);
+      expect(mockFileStorage.uploadDocument).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("uploadGroupDocumentVersion", () => {
+    let mockDocumentService;
+    const file = { originalname: "revisi.pdf", mimetype: "application/pdf", buffer: Buffer.from("%PDF"), size: 4 };
+
+    beforeEach(() => {
+      mockDocumentService = { uploadNewVersion: jest.fn().mockResolvedValue({ id: "doc-1", groupId: 1, currentVersionId: "ver-2" }) };
+      groupService = new GroupService(
+        mockGroupRepository,
+        mockGroupMemberRepository,
+        mockGroupInvitationRepository,
+        mockDocumentRepository,
+        mockFileStorage,
+        mockGroupDocumentSignerRepository,
+        mockVersionRepository,
+        mockPdfService,
+        mockGroupSignatureRepository,
+        mockIo,
+        mockUserService,
+        undefined,
+        null,
+        mockDocumentService
+      );
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-1", groupId: 1, userId: "owner-1", title: "Kontrak" });
+    });
+
+    it("Harus menyimpan revisi lewat DocumentService dan memberi tahu anggota grup", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group", user: { name: "Admin" } });
+
+      const result = await groupService.uploadGroupDocumentVersion(1, "doc-1", "admin-1", file, "Perbaikan pasal 3");
+
+      expect(mockDocumentService.uploadNewVersion).toHaveBeenCalledWith("doc-1", "admin-1", file, "Perbaikan pasal 3");
+      expect(mockIo.to).toHaveBeenCalledWith("group_1");
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "new_version", documentId: "doc-1", actorId: "admin-1", uploaderName: "Admin" }));
+      expect(result.currentVersionId).toBe("ver-2");
+    });
+
+    it("Harus meminta signer yang menolak untuk meninjau ulang revisi", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+
+      await groupService.uploadGroupDocumentVersion(1, "doc-1", "admin-1", file, "Perbaikan pasal 3");
+
+      expect(mockGroupDocumentSignerRepository.reopenRejectedSigners).toHaveBeenCalledWith("doc-1");
+    });
+
+    it("Harus mengizinkan pemilik dokumen walau bukan admin", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await groupService.uploadGroupDocumentVersion(1, "doc-1", "owner-1", file, "Revisi");
+
+      expect(mockDocumentService.uploadNewVersion).toHaveBeenCalled();
+    });
+
+    it("Harus menolak anggota biasa yang bukan pemilik dokumen", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(groupService.uploadGroupDocumentVersion(1, "doc-1", "user-2", file, "Revisi")).rejects.toThrow(GroupError);
+      expect(mockDocumentService.uploadNewVersion).not.toHaveBeenCalled();
+      expect(mockIo.emit).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw NotFound jika dokumen bukan milik grup", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-1", groupId: 2, userId: "owner-1" });
+
+      await expect(groupService.uploadGroupDocumentVersion(1, "doc-1", "admin-1", file, "Revisi")).rejects.toThrow(GroupError);
+    });
+
+    it("Harus throw UnauthorizedAccess jika bukan anggota grup", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue(null);
+
+      await expect(groupService.uploadGroupDocumentVersion(1, "doc-1", "stranger", file, "Revisi")).rejects.toThrow("Anda bukan anggota grup ini.");
+    });
   });
 
   // ==========================================================================
@@ -717,6 +877,26 @@ describe("GroupService", () => {
       await expect(groupService.finalizeGroupDocument(1, "doc-1", "user-1")).rejects.toThrow(/belum tanda tangan/);
     });
 
+    it("Harus throw BadRequest jika ada signer yang menolak", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: {}, status: "pending" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(0);
+      mockGroupDocumentSignerRepository.countRejectedSigners.mockResolvedValue(1);
+
+      await expect(groupService.finalizeGroupDocument(1, "doc-1", "user-1")).rejects.toThrow(/menolak dokumen ini/);
+      expect(mockPdfService.generateSignedPdf).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw BadRequest jika ada permintaan tanda tangan yang kedaluwarsa", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: {}, status: "pending" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(0);
+      mockGroupDocumentSignerRepository.countExpiredSigners.mockResolvedValueOnce(2);
+
+      await expect(groupService.finalizeGroupDocument(1, "doc-1", "user-1")).rejects.toThrow(/melewati batas waktu/);
+      expect(mockPdfService.generateSignedPdf).not.toHaveBeenCalled();
+    });
+
     it("Harus throw BadRequest jika dokumen sudah completed", async () => {
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
       mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: {}, status: "completed" });
@@ -725,6 +905,39 @@ describe("GroupService", () => {
       await expect(groupService.finalizeGroupDocument(1, "doc-1", "user-1")).rejects.toThrow(CommonError);
     });
 
+    it("Harus menolak finalisasi jika dokumen sudah diklaim proses lain", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: { id: "v1" }, status: "finalizing" });
+      mockDocumentRepository.claimForFinalization.mockResolvedValue(false);
+
+      await expect(groupService.finalizeGroupDocument(1, "doc-1", "user-1")).rejects.toThrow(/sedang difinalisasi/);
+      expect(mockGroupDocumentSignerRepository.countPendingSigners).not.toHaveBeenCalled();
+      expect(mockPdfService.generateSignedPdf).not.toHaveBeenCalled();
+      expect(mockDocumentRepository.releaseFinalization).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengirim batas klaim kedaluwarsa agar dokumen yang macet di status finalizing dapat diklaim ulang", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: {}, status: "finalizing" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(1);
+
+      await expect(groupService.finalizeGroupDocument(1, "doc-1", "user-1")).rejects.toThrow(/belum tanda tangan/);
+
+      const [, staleBefore] = mockDocumentRepository.claimForFinalization.mock.calls[0];
+      expect(Date.now() - staleBefore.getTime()).toBeGreaterThanOrEqual(FINALIZATION_CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+      expect(Date.now() - staleBefore.getTime()).toBeLessThan((FINALIZATION_CLAIM_TIMEOUT_MINUTES + 1) * 60 * 1000);
+    });
+
+    it("Harus melepas klaim jika masih ada pending signers", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: {}, status: "pending" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(1);
+
+      await expect(groupService.finalizeGroupDocument(1, "doc-1", "user-1")).rejects.toThrow(/belum tanda tangan/);
+      expect(mockDocumentRepository.claimForFinalization).toHaveBeenCalledWith("doc-1", expect.any(Date));
+      expect(mockDocumentRepository.releaseFinalization).toHaveBeenCalledWith("doc-1");
+    });
+
     it("Harus throw Forbidden jika limit versi tercapai (FREE max 5)", async () => {
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
       mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: { id: "v1" }, status: "pending" });
@@ -746,6 +959,7 @@ describe("GroupService", () => {
       mockGroupSignatureRepository.findAllByVersionId.mockResolvedValue([]);
 
       await expect(groupService.finalizeGroupDocument(1, "doc-1", "user-1")).rejects.toThrow(/Tidak ada tanda tangan/);
+      expect(mockDocumentRepository.releaseFinalization).toHaveBeenCalledWith("doc-1");
     });
 
     it("Harus berhasil finalize: generate PDF, update version, update doc", async () => {
@@ -781,6 +995,82 @@ describe("GroupService", () => {
       expect(result.accessCode).toBe("123456");
     });
 
+    it("Harus meneruskan pengaturan tampilan tanda tangan yang tersimpan ke PDF", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: { id: "v1" }, status: "pending" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(0);
+      mockGroupRepository.findById.mockResolvedValue({ adminId: "owner" });
+      mockUserService.isUserPremium.mockResolvedValue(true);
+      mockVersionRepository.countByDocumentId.mockResolvedValue(1);
+      mockGroupSignatureRepository.findAllByVersionId.mockResolvedValue([
+        { id: "sig1", appearanceTemplate: "detailed", reason: "Setuju", location: "Bandung", timezone: "Asia/Jayapura", signer: { name: "Test", email: "test@test.com" } },
+      ]);
+      mockPdfService.generateSignedPdf.mockResolvedValue({ signedFileBuffer: Buffer.from("signed"), publicUrl: "http://pdf", accessCode: null });
+      mockVersionRepository.create.mockResolvedValue({ id: "v2" });
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-1", status: "completed" });
+
+      await groupService.finalizeGroupDocument(1, "doc-1", "user-1");
+
+      const [, signaturesPayload] = mockPdfService.generateSignedPdf.mock.calls[0];
+      expect(signaturesPayload[0]).toMatchObject({ appearanceTemplate: "detailed", reason: "Setuju", location: "Bandung", timezone: "Asia/Jayapura" });
+    });
+
+    it("Harus burn-in field non-tanda tangan dari semua signer saat finalisasi", async () => {
+      const storedFields = [{ id: "f1", type: "text", value: "Direktur", pageNumber: 1, positionX: 0.1, positionY: 0.1, width: 0.2, height: 0.05 }];
+      const mockSignatureFieldRepository = { findAllByVersionId: jest.fn().mockResolvedValue(storedFields) };
+      const service = new GroupService(
+        mockGroupRepository,
+        mockGroupMemberRepository,
+        mockGroupInvitationRepository,
+        mockDocumentRepository,
+        mockFileStorage,
+        mockGroupDocumentSignerRepository,
+        mockVersionRepository,
+        mockPdfService,
+        mockGroupSignatureRepository,
+        mockIo,
+        mockUserService,
+        undefined,
+        mockSignatureFieldRepository
+      );
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: { id: "v1" }, status: "pending" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(0);
+      mockGroupRepository.findById.mockResolvedValue({ adminId: "owner" });
+      mockUserService.isUserPremium.mockResolvedValue(true);
+      mockVersionRepository.countByDocumentId.mockResolvedValue(1);
+      mockGroupSignatureRepository.findAllByVersionId.mockResolvedValue([{ id: "sig1", signer: { name: "Test", email: "test@test.com" } }]);
+      mockPdfService.generateSignedPdf.mockResolvedValue({ signedFileBuffer: Buffer.from("signed"), publicUrl: "http://pdf", accessCode: null });
+      mockVersionRepository.create.mockResolvedValue({ id: "v2" });
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-1", status: "completed" });
+
+      await service.finalizeGroupDocument(1, "doc-1", "user-1");
+
+      expect(mockSignatureFieldRepository.findAllByVersionId).toHaveBeenCalledWith("v1");
+      expect(mockPdfService.generateSignedPdf).toHaveBeenCalledWith("v1", expect.any(Array), expect.objectContaining({ fields: storedFields }));
+    });
+
+    it("Harus meneruskan paraf di setiap halaman dari setiap signer saat finalisasi", async () => {
+      const initials = { value: "data:image/png;base64,abc", anchor: "bottom-right", margin: 24, width: 72, height: 36, fromPage: 1, toPage: null };
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ userId: "user-1", currentVersion: { id: "v1" }, status: "pending" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(0);
+      mockGroupRepository.findById.mockResolvedValue({ adminId: "owner" });
+      mockUserService.isUserPremium.mockResolvedValue(true);
+      mockVersionRepository.countByDocumentId.mockResolvedValue(1);
+      mockGroupSignatureRepository.findAllByVersionId.mockResolvedValue([
+        { id: "sig1", repeatInitials: initials, signer: { name: "A", email: "a@test.com" } },
+        { id: "sig2", repeatInitials: null, signer: { name: "B", email: "b@test.com" } },
+      ]);
+      mockPdfService.generateSignedPdf.mockResolvedValue({ signedFileBuffer: Buffer.from("signed"), publicUrl: "http://pdf", accessCode: null });
+      mockVersionRepository.create.mockResolvedValue({ id: "v2" });
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-1", status: "completed" });
+
+      await groupService.finalizeGroupDocument(1, "doc-1", "user-1");
+
+      expect(mockPdfService.generateSignedPdf).toHaveBeenCalledWith("v1", expect.any(Array), expect.objectContaining({ repeatInitials: [initials] }));
+    });
+
     it("Harus berhasil finalize tanpa accessCode", async () => {
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
       mockDocumentRepository.findFirst.mockResolvedValue({
@@ -870,6 +1160,190 @@ describe("GroupService", () => {
     });
   });
 
+  // ==========================================================================
+  // CANCEL SIGNING ROUND
+  // ==========================================================================
+  describe("cancelSigningRound", () => {
+    it("Harus menghapus tanda tangan & signer lalu mengembalikan dokumen ke draft", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-1", userId: "owner-1", title: "Kontrak", status: "pending", currentVersionId: "ver-1" });
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-1", status: "draft" });
+
+      const result = await groupService.cancelSigningRound(1, "doc-1", "admin-1");
+
+      expect(mockGroupSignatureRepository.deleteBySignerAndVersion).toHaveBeenCalledWith(null, "ver-1");
+      expect(mockGroupDocumentSignerRepository.deleteByDocumentId).toHaveBeenCalledWith("doc-1");
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-1", { status: "draft" });
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "signing_cancelled", documentId: "doc-1" }));
+      expect(result.status).toBe("draft");
+    });
+
+    it("Harus menolak anggota yang bukan admin atau pemilik dokumen", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-1", userId: "owner-1", status: "pending" });
+
+      await expect(groupService.cancelSigningRound(1, "doc-1", "user-2")).rejects.toThrow(GroupError);
+      expect(mockGroupDocumentSignerRepository.deleteByDocumentId).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw BadRequest jika dokumen tidak sedang menunggu tanda tangan", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-1", userId: "owner-1", status: "completed" });
+
+      await expect(groupService.cancelSigningRound(1, "doc-1", "admin-1")).rejects.toThrow(CommonError);
+    });
+  });
+
+  // ==========================================================================
+  // UPDATE SIGNING DEADLINE
+  // ==========================================================================
+  describe("updateSigningDeadline", () => {
+    const future = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+    const groupDocument = { id: "doc-1", groupId: 1, userId: "owner-1", title: "Kontrak", status: "pending", signerRequests: [{ userId: "user-2" }, { userId: "user-3" }] };
+
+    it("Harus mengatur tenggat dokumen dan tenggat per signer", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findById.mockResolvedValue(groupDocument);
+
+      await groupService.updateSigningDeadline(1, "doc-1", "admin-1", { deadline: future, signerDeadlines: [{ userId: "user-2", deadline: null }] });
+
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-1", { signingDeadline: new Date(future) });
+      expect(mockGroupDocumentSignerRepository.resetDocumentDeadline).toHaveBeenCalledWith("doc-1");
+      expect(mockGroupDocumentSignerRepository.setSignerDeadline).toHaveBeenCalledWith("doc-1", "user-2", null);
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "deadline_update", documentId: "doc-1" }));
+    });
+
+    it("Harus tidak mengubah tenggat dokumen jika hanya tenggat signer yang dikirim", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+      mockDocumentRepository.findById.mockResolvedValue(groupDocument);
+
+      await groupService.updateSigningDeadline(1, "doc-1", "owner-1", { signerDeadlines: [{ userId: "user-3", deadline: future }] });
+
+      expect(mockDocumentRepository.update).not.toHaveBeenCalled();
+      expect(mockGroupDocumentSignerRepository.setSignerDeadline).toHaveBeenCalledWith("doc-1", "user-3", new Date(future));
+    });
+
+    it("Harus menolak anggota yang bukan admin atau pemilik dokumen", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+      mockDocumentRepository.findById.mockResolvedValue(groupDocument);
+
+      await expect(groupService.updateSigningDeadline(1, "doc-1", "user-2", { deadline: future })).rejects.toThrow(GroupError);
+    });
+
+    it("Harus menolak tenggat di masa lalu", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findById.mockResolvedValue(groupDocument);
+
+      await expect(groupService.updateSigningDeadline(1, "doc-1", "admin-1", { deadline: "2020-01-01T00:00:00Z" })).rejects.toThrow(/masa depan/);
+      expect(mockDocumentRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak tenggat untuk user yang bukan penanda tangan", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findById.mockResolvedValue(groupDocument);
+
+      await expect(groupService.updateSigningDeadline(1, "doc-1", "admin-1", { signerDeadlines: [{ userId: "user-9", deadline: future }] })).rejects.toThrow(CommonError);
+      expect(mockGroupDocumentSignerRepository.setSignerDeadline).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("auto finalize", () => {
+    const pendingDocument = { id: "doc-1", groupId: 1, userId: "owner-1", title: "Kontrak", status: "pending", autoFinalize: null, group: { id: 1, adminId: "admin-1", autoFinalize: true } };
+
+    it("Harus mengaktifkan finalisasi otomatis grup oleh admin", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockGroupRepository.update.mockResolvedValue({ id: 1, autoFinalize: true });
+
+      const result = await groupService.updateGroupAutoFinalize(1, "admin-1", true);
+
+      expect(mockGroupRepository.update).toHaveBeenCalledWith(1, { autoFinalize: true });
+      expect(result.autoFinalize).toBe(true);
+      expect(mockIo.emit).toHaveBeenCalledWith("group_info_update", expect.objectContaining({ action: "update_info" }));
+    });
+
+    it("Harus menolak pengaturan grup oleh non-admin", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(groupService.updateGroupAutoFinalize(1, "user-2", true)).rejects.toThrow(GroupError);
+      expect(mockGroupRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengizinkan pemilik dokumen mengatur finalisasi otomatis dokumen", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+      mockDocumentRepository.findFirst.mockResolvedValue(pendingDocument);
+
+      await groupService.updateDocumentAutoFinalize(1, "doc-1", "owner-1", false);
+
+      expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-1", { autoFinalize: false });
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "auto_finalize_update", autoFinalize: false }));
+    });
+
+    it("Harus menolak pengaturan dokumen yang sudah selesai", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findFirst.mockResolvedValue({ ...pendingDocument, status: "completed" });
+
+      await expect(groupService.updateDocumentAutoFinalize(1, "doc-1", "admin-1", true)).rejects.toThrow(CommonError);
+      expect(mockDocumentRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("Harus tidak memulai finalisasi jika fitur tidak aktif", async () => {
+      mockDocumentRepository.findFirst.mockResolvedValue({ ...pendingDocument, group: { ...pendingDocument.group, autoFinalize: false } });
+      const finalizeSpy = jest.spyOn(groupService, "finalizeGroupDocument");
+
+      await expect(groupService.scheduleAutoFinalize("doc-1")).resolves.toBe(false);
+      expect(finalizeSpy).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengutamakan pengaturan dokumen di atas pengaturan grup", async () => {
+      mockDocumentRepository.findFirst.mockResolvedValue({ ...pendingDocument, autoFinalize: false });
+
+      await expect(groupService.scheduleAutoFinalize("doc-1")).resolves.toBe(false);
+    });
+
+    it("Harus memfinalisasi di background atas nama pemilik dan mengirim progres ke grup", async () => {
+      mockDocumentRepository.findFirst.mockResolvedValue(pendingDocument);
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+      const finalizeSpy = jest.spyOn(groupService, "finalizeGroupDocument").mockResolvedValue({ url: "https://signed.pdf", accessCode: "123456" });
+
+      await expect(groupService.scheduleAutoFinalize("doc-1")).resolves.toBe(true);
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "auto_finalize_started", documentId: "doc-1" }));
+
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(mockDocumentRepository.claimForFinalization).toHaveBeenCalledWith("doc-1", expect.any(Date));
+      expect(finalizeSpy).toHaveBeenCalledWith(1, "doc-1", "owner-1", { claimed: true });
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "auto_finalize_completed", signedFileUrl: "https://signed.pdf" }));
+      expect(mockDocumentRepository.releaseFinalization).not.toHaveBeenCalled();
+    });
+
+    it("Harus memakai admin grup jika pemilik sudah keluar dan melaporkan kegagalan", async () => {
+      mockDocumentRepository.findFirst.mockResolvedValue(pendingDocument);
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue(null);
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      const finalizeSpy = jest.spyOn(groupService, "finalizeGroupDocument").mockRejectedValue(new Error("Batas revisi tercapai."));
+
+      await groupService.scheduleAutoFinalize("doc-1");
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(finalizeSpy).toHaveBeenCalledWith(1, "doc-1", "admin-1", { claimed: true });
+      expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "auto_finalize_failed", documentId: "doc-1" }));
+      expect(mockDocumentRepository.releaseFinalization).toHaveBeenCalledWith("doc-1");
+      console.error.mockRestore();
+    });
+
+    it("Harus tidak menjalankan finalisasi ganda jika dokumen sudah diklaim proses lain", async () => {
+      mockDocumentRepository.findFirst.mockResolvedValue(pendingDocument);
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+      mockDocumentRepository.claimForFinalization.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+      const finalizeSpy = jest.spyOn(groupService, "finalizeGroupDocument").mockReturnValue(new Promise(() => {}));
+
+      await expect(groupService.scheduleAutoFinalize("doc-1")).resolves.toBe(true);
+      await expect(groupService.scheduleAutoFinalize("doc-1")).resolves.toBe(false);
+      expect(finalizeSpy).toHaveBeenCalledTimes(1);
+      expect(mockIo.emit).toHaveBeenCalledTimes(1);
+    });
+  });
+
   // ==========================================================================
   // DELETE GROUP DOCUMENT
   // ==========================================================================
@@ -898,54 +1372,22 @@ describe("GroupService", () => {
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
       mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-1", title: "Deleted Doc" });
 
-      // Mock method delete di repo
-      mockDocumentRepository.deleteById = jest.fn().mockResolvedValue(true);
+      mockDocumentRepository.softDeleteById = jest.fn().mockResolvedValue(true);
 
       await groupService.deleteGroupDocument(1, "doc-1", "admin-1");
 
-      expect(mockDocumentRepository.deleteById).toHaveBeenCalledWith("doc-1");
+      expect(mockDocumentRepository.softDeleteById).toHaveBeenCalledWith("doc-1", "admin-1");
       expect(mockIo.emit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "removed_document" }));
     });
 
     it("Harus berhasil menghapus dokumen jika user adalah Owner Dokumen", async () => {
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "member", user: { name: "Doc Owner" } });
       mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-1", title: "My Doc", userId: "owner-1" });
-      mockDocumentRepository.deleteById = jest.fn().mockResolvedValue(true);
+      mockDocumentRepository.softDeleteById = jest.fn().mockResolvedValue(true);
 
       await groupService.deleteGroupDocument(1, "doc-1", "owner-1");
 
-      expect(mockDocumentRepository.deleteById).toHaveBeenCalledWith("doc-1");
-    });
-
-    it("Harus menggunakan fallback delete jika deleteById tidak ada", async () => {
-      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
-      mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-1", title: "Deleted Doc" });
-
-      // Hapus deleteById agar fallback dijalankan
-      delete mockDocumentRepository.deleteById;
-      mockDocumentRepository.prisma = {
-        document: {
-          delete: jest.fn().mockResolvedValue(true),
-        },
-      };
-
-      await groupService.deleteGroupDocument(1, "doc-1", "admin-1");
-
-      expect(mockDocumentRepository.prisma.document.delete).toHaveBeenCalledWith({ where: { id: "doc-1" } });
-    });
-
-    it("Harus menggunakan fallback .delete() jika tidak ada prisma", async () => {
-      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
-      mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-1", title: "Deleted Doc" });
-
-      // Hapus deleteById dan prisma
-      delete mockDocumentRepository.deleteById;
-      delete mockDocumentRepository.prisma;
-      mockDocumentRepository.delete = jest.fn().mockResolvedValue(true);
-
-      await groupService.deleteGroupDocument(1, "doc-1", "admin-1");
-
-      expect(mockDocumentRepository.delete).toHaveBeenCalledWith("doc-1");
+      expect(mockDocumentRepository.softDeleteById).toHaveBeenCalledWith("doc-1", "owner-1");
     });
 
     it("Harus tetap berhasil tanpa socket jika io tidak ada", async () => {
@@ -966,11 +1408,11 @@ describe("GroupService", () => {
 
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
       mockDocumentRepository.findFirst.mockResolvedValue({ id: "doc-1", title: "Test" });
-      mockDocumentRepository.deleteById = jest.fn().mockResolvedValue(true);
+      mockDocumentRepository.softDeleteById = jest.fn().mockResolvedValue(true);
 
       await serviceNoIo.deleteGroupDocument(1, "doc-1", "admin-1");
 
-      expect(mockDocumentRepository.deleteById).toHaveBeenCalledWith("doc-1");
+      expect(mockDocumentRepository.softDeleteById).toHaveBeenCalledWith("doc-1", "admin-1");
     });
   });
 
@@ -1046,10 +1488,63 @@ describe("GroupService", () => {
       // Menambah u1, u2
       await groupService.updateGroupDocumentSigners(1, "doc-1", "admin", ["u1", "u2"]);
 
-      expect(mockGroupDocumentSignerRepository.createSigners).toHaveBeenCalledWith("doc-1", ["u1", "u2"]);
+      expect(mockGroupDocumentSignerRepository.createSigners).toHaveBeenCalledWith("doc-1", [
+        { userId: "u1", order: 1 },
+        { userId: "u2", order: 1 },
+      ]);
       expect(mockDocumentRepository.update).toHaveBeenCalledWith("doc-1", { status: "pending" }); // Draft -> Pending
     });
 
+    it("Harus menyimpan tahap urutan signer baru dan mengubah urutan signer yang sudah ada", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findById.mockResolvedValue({
+        id: "doc-1",
+        groupId: 1,
+        userId: "owner",
+        status: "pending",
+        signerRequests: [
+          { userId: "staff", status: "PENDING", order: 1 },
+          { userId: "director", status: "PENDING", order: 1 },
+        ],
+      });
+
+      await groupService.updateGroupDocumentSigners(1, "doc-1", "admin", [
+        { userId: "staff", order: 1 },
+        { userId: "manager-a", order: 2 },
+        { userId: "manager-b", order: "2" },
+        { userId: "director", order: 3 },
+      ]);
+
+      expect(mockGroupDocumentSignerRepository.createSigners).toHaveBeenCalledWith("doc-1", [
+        { userId: "manager-a", order: 2 },
+        { userId: "manager-b", order: 2 },
+      ]);
+      expect(mockGroupDocumentSignerRepository.updateSignerOrder).toHaveBeenCalledTimes(1);
+      expect(mockGroupDocumentSignerRepository.updateSignerOrder).toHaveBeenCalledWith("doc-1", "director", 3);
+      expect(mockGroupDocumentSignerRepository.deleteSpecificSigner).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak urutan yang bukan bilangan bulat positif", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-1", groupId: 1, userId: "owner", status: "draft", signerRequests: [] });
+
+      await expect(groupService.updateGroupDocumentSigners(1, "doc-1", "admin", [{ userId: "u1", order: 0 }])).rejects.toThrow("Urutan penanda tangan harus berupa bilangan bulat minimal 1.");
+      await expect(groupService.updateGroupDocumentSigners(1, "doc-1", "admin", [{ userId: "u1", order: 1.5 }])).rejects.toThrow(CommonError);
+      expect(mockGroupDocumentSignerRepository.createSigners).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak signer duplikat", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+      mockDocumentRepository.findById.mockResolvedValue({ id: "doc-1", groupId: 1, userId: "owner", status: "draft", signerRequests: [] });
+
+      await expect(
+        groupService.updateGroupDocumentSigners(1, "doc-1", "admin", [
+          { userId: "u1", order: 1 },
+          { userId: "u1", order: 2 },
+        ])
+      ).rejects.toThrow("Penanda tangan tidak boleh duplikat.");
+    });
+
     it("Harus berhasil update signers dan ubah status pending ke draft jika signer kosong", async () => {
       mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
       mockDocumentRepository.findById.mockResolvedValue({
@@ -1079,7 +1574,7 @@ describe("GroupService", () => {
 
       await groupService.updateGroupDocumentSigners(1, "doc-1", "owner-1", ["u1"]);
 
-      expect(mockGroupDocumentSignerRepository.createSigners).toHaveBeenCalledWith("doc-1", ["u1"]);
+      expect(mockGroupDocumentSignerRepository.createSigners).toHaveBeenCalledWith("doc-1", [{ userId: "u1", order: 1 }]);
     });
 
     it("Harus emit socket event setelah update signers", async () => {
@@ -1295,9 +1790,28 @@ describe("GroupService", () => {
     it("Harus mengembalikan array kosong jika user tidak punya grup", async () => {
       mockGroupMemberRepository.findAllByUserId.mockResolvedValue([]);
 
-      const result = await groupService.getAllUserGroups("user-1");
+      mockGroupMemberRepository.countByUserId.mockResolvedValue(0);
+
+      const { data: result, meta } = await groupService.getAllUserGroups("user-1");
 
       expect(result).toEqual([]);
+      expect(meta).toEqual({ total: 0, page: 1, limit: 20, totalPages: 0 });
+    });
+
+    it("Harus meneruskan pagination, sorting nama grup, dan filter tanggal ke repository", async () => {
+      const dateFrom = new Date("2025-01-01");
+      mockGroupMemberRepository.findAllByUserId.mockResolvedValue([]);
+      mockGroupMemberRepository.countByUserId.mockResolvedValue(45);
+
+      const { meta } = await groupService.getAllUserGroups("user-1", { page: 2, limit: 20, sortBy: "name", sortOrder: "asc", filters: { dateFrom } });
+
+      const where = { group: { createdAt: { gte: dateFrom } } };
+      expect(mockGroupMemberRepository.findAllByUserId).toHaveBeenCalledWith(
+        "user-1",
+        expect.objectContaining({ where, skip: 20, take: 20, orderBy: [{ group: { name: "asc" } }, { groupId: "asc" }] })
+      );
+      expect(mockGroupMemberRepository.countByUserId).toHaveBeenCalledWith("user-1", where);
+      expect(meta).toEqual({ total: 45, page: 2, limit: 20, totalPages: 3 });
     });
 
     it("Harus mengembalikan daftar grup dengan info lengkap", async () => {
@@ -1320,7 +1834,7 @@ describe("GroupService", () => {
         },
       ]);
 
-      const result = await groupService.getAllUserGroups("user-1");
+      const { data: result } = await groupService.getAllUserGroups("user-1");
 
       expect(result).toHaveLength(2);
       expect(result[0]).toEqual({
@@ -1352,7 +1866,7 @@ describe("GroupService", () => {
         },
       ]);
 
-      const result = await groupService.getAllUserGroups("user-1");
+      const { data: result } = await groupService.getAllUserGroups("user-1");
 
       expect(result).toHaveLength(1);
       expect(result[0].name).toBe("Valid Group");
@@ -1369,7 +1883,7 @@ describe("GroupService", () => {
         },
       ]);
 
-      const result = await groupService.getAllUserGroups("user-1");
+      const { data: result } = await groupService.getAllUserGroups("user-1");
 
       expect(result[0].docs_count).toBe(0);
       expect(result[0].members_count).toBe(0);
@@ -1386,7 +1900,7 @@ describe("GroupService", () => {
         },
       ]);
 
-      const result = await groupService.getAllUserGroups("user-1");
+      const { data: result } = await groupService.getAllUserGroups("user-1");
 
       expect(result[0].adminStatus).toBe("FREE");
     });
@@ -7,6 +7,9 @@
  *  - updateDraftPosition: Update posisi draft (drag/resize)
  *  - deleteDraft: Hapus draft
  *  - signDocument: User menandatangani dokumen group
+ *  - urutan tanda tangan: Tolak signer di luar giliran & mulai tahap berikutnya
+ *  - declineDocument: User menolak menandatangani dokumen group dengan alasan
+ *  - delegateSignature: Delegasi slot tanda tangan ke anggota grup lain
  *  - getVerificationDetails: Cek QR Code dengan PIN lock
  *  - unlockVerification: Buka kunci dengan PIN + rate limiting
  *  - verifyUploadedFile: Verifikasi file upload
@@ -14,6 +17,8 @@
 
 import { GroupSignatureService } from "../../src/services/groupSignatureService.js";
 import CommonError from "../../src/errors/CommonError.js";
+import GroupError from "../../src/errors/GroupError.js";
+import SignatureError from "../../src/errors/SignatureError.js";
 import crypto from "crypto";
 
 describe("GroupSignatureService", () => {
@@ -35,12 +40,20 @@ describe("GroupSignatureService", () => {
       create: jest.fn(),
       update: jest.fn(),
       delete: jest.fn(),
+      deleteDrafts: jest.fn(),
+      transferDrafts: jest.fn(),
     };
 
     mockGroupDocumentSignerRepository = {
       findPendingByUserAndDoc: jest.fn(),
       updateStatusToSigned: jest.fn(),
       countPendingSigners: jest.fn(),
+      countRejectedSigners: jest.fn().mockResolvedValue(0),
+      countExpiredSigners: jest.fn().mockResolvedValue(0),
+      markAsRejected: jest.fn(),
+      reassignSigner: jest.fn(),
+      countPendingBeforeOrder: jest.fn().mockResolvedValue(0),
+      findActiveStage: jest.fn().mockResolvedValue(null),
     };
 
     mockDocumentRepository = {
@@ -52,7 +65,9 @@ describe("GroupSignatureService", () => {
       findById: jest.fn(),
     };
 
-    mockGroupMemberRepository = {};
+    mockGroupMemberRepository = {
+      findByGroupAndUser: jest.fn(),
+    };
 
     mockPdfService = {
       generateSignedPdf: jest.fn(),
@@ -181,6 +196,28 @@ describe("GroupSignatureService", () => {
         })
       );
     });
+
+    it("Harus menyimpan template tampilan pada draft", async () => {
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+      mockGroupSignatureRepository.findById.mockResolvedValue(null);
+      mockGroupSignatureRepository.create.mockResolvedValue({ id: "sig-1" });
+
+      await groupSignatureService.saveDraft(userId, documentId, { ...signatureData, appearanceTemplate: "standard", location: "Bandung", timezone: "Asia/Jakarta" });
+
+      expect(mockGroupSignatureRepository.create).toHaveBeenCalledWith(expect.objectContaining({ appearanceTemplate: "standard", location: "Bandung", timezone: "Asia/Jakarta" }));
+    });
+
+    it("Harus me-render tanda tangan ketik (method 'typed') sebelum menyimpan draft", async () => {
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+      mockGroupSignatureRepository.findById.mockResolvedValue(null);
+      mockGroupSignatureRepository.create.mockResolvedValue({ id: "sig-1" });
+
+      await groupSignatureService.saveDraft(userId, documentId, { ...signatureData, method: "typed", signatureImageUrl: undefined, typedText: "Budi", typedFont: "caveat" });
+
+      const saved = mockGroupSignatureRepository.create.mock.calls[0][0];
+      expect(saved).toMatchObject({ method: "typed", typedText: "Budi", typedFont: "caveat", appearanceTemplate: "image-only" });
+      expect(saved.signatureImageUrl).toMatch(/^data:image\/png;base64,/);
+    });
   });
 
   // =====================================================
@@ -349,6 +386,45 @@ describe("GroupSignatureService", () => {
       expect(result.remainingSigners).toBe(0);
     });
 
+    it("Harus menyimpan field non-tanda tangan milik signer terpisah dari record tanda tangan", async () => {
+      const mockSignatureFieldRepository = { replaceForSigner: jest.fn().mockResolvedValue([]) };
+      const service = new GroupSignatureService(mockGroupSignatureRepository, mockGroupDocumentSignerRepository, mockDocumentRepository, mockVersionRepository, mockGroupMemberRepository, mockPdfService, mockAuditService, mockSignatureFieldRepository);
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1" });
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+      mockGroupSignatureRepository.findBySignerAndVersion.mockResolvedValue(null);
+      mockGroupSignatureRepository.create.mockResolvedValue({ id: "sig-1" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(1);
+
+      const fields = [{ type: "date", dateFormat: "short", pageNumber: 1, positionX: 0.1, positionY: 0.1, width: 0.2, height: 0.05 }];
+      await service.signDocument(userId, documentId, { ...signatureData, fields }, auditData, mockReq);
+
+      expect(mockGroupSignatureRepository.create.mock.calls[0][0]).not.toHaveProperty("fields");
+      expect(mockSignatureFieldRepository.replaceForSigner).toHaveBeenCalledWith(userId, "version-123", [expect.objectContaining({ type: "date", value: expect.stringMatching(/^\d{2}\/\d{2}\/\d{4}$/) })]);
+    });
+
+    it("Harus menyimpan konfigurasi paraf di setiap halaman bersama tanda tangan final", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1" });
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+      mockGroupSignatureRepository.findBySignerAndVersion.mockResolvedValue(null);
+      mockGroupSignatureRepository.create.mockResolvedValue({ id: "sig-1" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(1);
+
+      await groupSignatureService.signDocument(userId, documentId, { ...signatureData, repeatInitials: { value: "data:image/png;base64,abc", anchor: "bottom-left" } }, auditData, mockReq);
+
+      expect(mockGroupSignatureRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ repeatInitials: expect.objectContaining({ value: "data:image/png;base64,abc", anchor: "bottom-left", fromPage: 1, toPage: null }) })
+      );
+    });
+
+    it("Harus menolak field tidak valid sebelum menyimpan tanda tangan", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1" });
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+      mockGroupSignatureRepository.findBySignerAndVersion.mockResolvedValue(null);
+
+      await expect(groupSignatureService.signDocument(userId, documentId, { ...signatureData, fields: "bukan-array" }, auditData, mockReq)).rejects.toThrow("'fields' harus berupa array.");
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+    });
+
     it("Harus call auditService.log dengan parameter yang benar", async () => {
       mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1" });
       mockDocumentRepository.findById.mockResolvedValue(mockDocument);
@@ -387,6 +463,269 @@ describe("GroupSignatureService", () => {
       expect(result.id).toBe("sig-1");
       expect(result.readyToFinalize).toBe(true);
     });
+
+    it("Harus me-render tanda tangan ketik dan menolak font yang tidak dikenal", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1" });
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+      mockGroupSignatureRepository.findBySignerAndVersion.mockResolvedValue(null);
+      mockGroupSignatureRepository.create.mockResolvedValue({ id: "sig-1" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(0);
+
+      await groupSignatureService.signDocument(userId, documentId, { ...signatureData, method: "typed", typedText: "Budi", typedFont: "sacramento" }, auditData, mockReq);
+
+      const saved = mockGroupSignatureRepository.create.mock.calls[0][0];
+      expect(saved).toMatchObject({ method: "typed", typedText: "Budi", typedFont: "sacramento", status: "final" });
+      expect(saved.signatureImageUrl).not.toBe(signatureData.signatureImageUrl);
+
+      await expect(groupSignatureService.signDocument(userId, documentId, { ...signatureData, method: "typed", typedText: "Budi", typedFont: "arial" }, auditData, mockReq)).rejects.toThrow("tidak tersedia");
+    });
+
+    it("Harus menolak signer yang sudah menolak dokumen", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1", status: "REJECTED" });
+
+      await expect(groupSignatureService.signDocument(userId, documentId, signatureData, auditData, mockReq)).rejects.toThrow("Anda sudah menolak menandatangani dokumen ini.");
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak signer yang permintaannya sudah kedaluwarsa", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1", status: "EXPIRED" });
+
+      await expect(groupSignatureService.signDocument(userId, documentId, signatureData, auditData, mockReq)).rejects.toThrow(/Batas waktu tanda tangan sudah lewat/);
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak tanda tangan jika tenggat sudah lewat meskipun belum ditandai EXPIRED", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1", status: "PENDING", deadline: new Date(Date.now() - 60 * 1000) });
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+
+      await expect(groupSignatureService.signDocument(userId, documentId, signatureData, auditData, mockReq)).rejects.toThrow(/Batas waktu tanda tangan sudah lewat/);
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus tidak menandai siap finalisasi jika ada signer lain yang menolak", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1", status: "PENDING" });
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+      mockGroupSignatureRepository.findBySignerAndVersion.mockResolvedValue(null);
+      mockGroupSignatureRepository.create.mockResolvedValue({ id: "sig-1" });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(0);
+      mockGroupDocumentSignerRepository.countRejectedSigners.mockResolvedValue(1);
+
+      const result = await groupSignatureService.signDocument(userId, documentId, signatureData, auditData, mockReq);
+
+      expect(result.readyToFinalize).toBe(false);
+      expect(result.message).toBe("Tanda tangan disimpan.");
+    });
+  });
+
+  // =====================================================
+  // TEST: declineDocument
+  // =====================================================
+  describe("declineDocument", () => {
+    const userId = "user-123";
+    const documentId = "doc-123";
+    const mockReq = { headers: {} };
+
+    it("Harus throw BadRequest jika alasan kosong", async () => {
+      await expect(groupSignatureService.declineDocument(userId, documentId, "   ", mockReq)).rejects.toThrow(CommonError);
+      expect(mockGroupDocumentSignerRepository.markAsRejected).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw BadRequest jika user sudah tanda tangan", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1", status: "SIGNED" });
+
+      await expect(groupSignatureService.declineDocument(userId, documentId, "Tidak setuju", mockReq)).rejects.toThrow("Anda tidak memiliki akses, sudah tanda tangan, atau sudah menolak dokumen ini.");
+    });
+
+    it("Harus menandai signer REJECTED, menghapus draft, dan mencatat audit log", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "s1", status: "PENDING" });
+      mockDocumentRepository.findById.mockResolvedValue({ id: documentId, title: "Kontrak", groupId: 7, currentVersionId: "version-123" });
+
+      const result = await groupSignatureService.declineDocument(userId, documentId, "  Nilai kontrak salah  ", mockReq);
+
+      expect(mockGroupSignatureRepository.deleteDrafts).toHaveBeenCalledWith(documentId, userId);
+      expect(mockGroupDocumentSignerRepository.markAsRejected).toHaveBeenCalledWith(documentId, userId, "Nilai kontrak salah");
+      expect(mockAuditService.log).toHaveBeenCalledWith("DECLINE_DOCUMENT_GROUP", userId, documentId, expect.stringContaining("Nilai kontrak salah"), mockReq);
+      expect(result).toEqual({ documentId, groupId: 7, title: "Kontrak", reason: "Nilai kontrak salah" });
+    });
+  });
+
+  // =====================================================
+  // TEST: urutan tanda tangan
+  // =====================================================
+  describe("urutan tanda tangan", () => {
+    const documentId = "doc-123";
+    const signatureData = {
+      signatureImageUrl: "data:image/png;base64,abc",
+      positionX: 100,
+      positionY: 200,
+      pageNumber: 1,
+    };
+    const auditData = { ipAddress: "192.168.1.1", userAgent: "Mozilla/5.0" };
+    const mockDocument = {
+      id: documentId,
+      title: "Persetujuan Anggaran",
+      currentVersionId: "version-123",
+      currentVersion: { id: "version-123" },
+    };
+
+    beforeEach(() => {
+      mockDocumentRepository.findById.mockResolvedValue(mockDocument);
+      mockGroupSignatureRepository.findBySignerAndVersion.mockResolvedValue(null);
+      mockGroupSignatureRepository.create.mockResolvedValue({ id: "sig-1", status: "final" });
+      mockGroupDocumentSignerRepository.updateStatusToSigned.mockResolvedValue({});
+    });
+
+    it("Harus menolak signDocument jika tahap sebelumnya masih ada signer PENDING", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "req-manager", status: "PENDING", order: 2 });
+      mockGroupDocumentSignerRepository.countPendingBeforeOrder.mockResolvedValue(1);
+
+      const promise = groupSignatureService.signDocument("manager", documentId, signatureData, auditData);
+
+      await expect(promise).rejects.toThrow(SignatureError);
+      await expect(promise).rejects.toMatchObject({ code: "NOT_YOUR_TURN", statusCode: 403 });
+      expect(mockGroupDocumentSignerRepository.countPendingBeforeOrder).toHaveBeenCalledWith(documentId, 2);
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+      expect(mockGroupDocumentSignerRepository.updateStatusToSigned).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak saveDraft dari signer yang belum gilirannya", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "req-director", status: "PENDING", order: 3 });
+      mockGroupDocumentSignerRepository.countPendingBeforeOrder.mockResolvedValue(2);
+
+      await expect(groupSignatureService.saveDraft("director", documentId, { ...signatureData, id: "draft-1" })).rejects.toThrow("Menunggu 2 penanda tangan di tahap sebelumnya.");
+      expect(mockGroupSignatureRepository.create).not.toHaveBeenCalled();
+      expect(mockGroupSignatureRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengizinkan signer tahap 1 tanpa memeriksa tahap sebelumnya", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "req-staff", status: "PENDING", order: 1 });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(3);
+
+      await groupSignatureService.signDocument("staff", documentId, signatureData, auditData);
+
+      expect(mockGroupDocumentSignerRepository.countPendingBeforeOrder).not.toHaveBeenCalled();
+      expect(mockGroupDocumentSignerRepository.updateStatusToSigned).toHaveBeenCalledWith(documentId, "staff", "sig-1");
+    });
+
+    it("Harus memulai tahap berikutnya dan mengirim notifikasi saat tahap selesai", async () => {
+      const notifySpy = jest.spyOn(groupSignatureService, "_notifySigningTurn").mockResolvedValue();
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "req-staff", status: "PENDING", order: 1 });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(2);
+      const managerA = { id: "m-a", name: "Manajer A", phoneNumber: "0811" };
+      const managerB = { id: "m-b", name: "Manajer B", phoneNumber: "0812" };
+      mockGroupDocumentSignerRepository.findActiveStage.mockResolvedValue({
+        order: 2,
+        signers: [
+          { userId: "m-a", user: managerA },
+          { userId: "m-b", user: managerB },
+        ],
+      });
+
+      const result = await groupSignatureService.signDocument("staff", documentId, signatureData, auditData);
+
+      expect(result.nextStage).toEqual({ order: 2, signerIds: ["m-a", "m-b"] });
+      expect(notifySpy).toHaveBeenCalledWith(managerA, "Persetujuan Anggaran");
+      expect(notifySpy).toHaveBeenCalledWith(managerB, "Persetujuan Anggaran");
+    });
+
+    it("Harus tidak memulai tahap baru selama signer paralel di tahap yang sama belum selesai", async () => {
+      const notifySpy = jest.spyOn(groupSignatureService, "_notifySigningTurn").mockResolvedValue();
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "req-manager", status: "PENDING", order: 2 });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(2);
+      mockGroupDocumentSignerRepository.findActiveStage.mockResolvedValue({ order: 2, signers: [{ userId: "m-b", user: { id: "m-b" } }] });
+
+      const result = await groupSignatureService.signDocument("manager", documentId, signatureData, auditData);
+
+      expect(result.nextStage).toBeNull();
+      expect(notifySpy).not.toHaveBeenCalled();
+    });
+
+    it("Harus tidak mencari tahap berikutnya jika semua signer sudah selesai", async () => {
+      mockGroupDocumentSignerRepository.findPendingByUserAndDoc.mockResolvedValue({ id: "req-director", status: "PENDING", order: 3 });
+      mockGroupDocumentSignerRepository.countPendingSigners.mockResolvedValue(0);
+
+      const result = await groupSignatureService.signDocument("director", documentId, signatureData, auditData);
+
+      expect(result.nextStage).toBeNull();
+      expect(result.readyToFinalize).toBe(true);
+      expect(mockGroupDocumentSignerRepository.findActiveStage).not.toHaveBeenCalled();
+    });
+  });
+
+  // =====================================================
+  // TEST: delegateSignature
+  // =====================================================
+  describe("delegateSignature", () => {
+    const documentId = "doc-123";
+    const mockReq = { headers: {} };
+    const pendingDocument = {
+      id: documentId,
+      title: "Kontrak",
+      groupId: 7,
+      status: "pending",
+      currentVersionId: "version-123",
+      signerRequests: [
+        { id: "slot-1", userId: "user-1", status: "PENDING", delegatedFromId: null },
+        { id: "slot-2", userId: "user-2", status: "SIGNED", delegatedFromId: null },
+      ],
+    };
+    const members = { "user-1": { role: "signer" }, "user-2": { role: "signer" }, "admin-1": { role: "admin_group" }, "user-3": { role: "signer" }, "viewer-1": { role: "viewer" } };
+
+    beforeEach(() => {
+      mockDocumentRepository.findById.mockResolvedValue(pendingDocument);
+      mockGroupMemberRepository.findByGroupAndUser.mockImplementation((groupId, userId) => Promise.resolve(members[userId] || null));
+      mockGroupDocumentSignerRepository.reassignSigner.mockResolvedValue({ id: "slot-1", userId: "user-3", user: { id: "user-3", name: "Citra" } });
+    });
+
+    it("Harus memindahkan slot & draft ke penerima delegasi dan mencatat audit log", async () => {
+      const result = await groupSignatureService.delegateSignature("user-1", documentId, { toUserId: "user-3", reason: " Sedang cuti " }, mockReq);
+
+      expect(mockGroupSignatureRepository.transferDrafts).toHaveBeenCalledWith("version-123", "user-1", "user-3");
+      expect(mockGroupDocumentSignerRepository.reassignSigner).toHaveBeenCalledWith("slot-1", { userId: "user-3", delegatedFromId: "user-1", delegationReason: "Sedang cuti" });
+      expect(mockAuditService.log).toHaveBeenCalledWith("DELEGATE_SIGNATURE_GROUP", "user-1", documentId, expect.stringContaining("Sedang cuti"), mockReq);
+      expect(result).toEqual({ documentId, groupId: 7, title: "Kontrak", fromUserId: "user-1", toUserId: "user-3", onBehalfOfId: "user-1", reason: "Sedang cuti" });
+    });
+
+    it("Harus mengizinkan Admin Grup mendelegasikan slot signer lain", async () => {
+      await groupSignatureService.delegateSignature("admin-1", documentId, { fromUserId: "user-1", toUserId: "user-3", reason: "Cuti" }, mockReq);
+
+      expect(mockGroupDocumentSignerRepository.reassignSigner).toHaveBeenCalledWith("slot-1", expect.objectContaining({ userId: "user-3", delegatedFromId: "user-1" }));
+    });
+
+    it("Harus tetap mencatat signer asli pada delegasi berantai", async () => {
+      mockDocumentRepository.findById.mockResolvedValue({ ...pendingDocument, signerRequests: [{ id: "slot-1", userId: "user-3", status: "PENDING", delegatedFromId: "user-1" }] });
+
+      await groupSignatureService.delegateSignature("user-3", documentId, { toUserId: "admin-1", reason: "Dialihkan" }, mockReq);
+
+      expect(mockGroupDocumentSignerRepository.reassignSigner).toHaveBeenCalledWith("slot-1", expect.objectContaining({ userId: "admin-1", delegatedFromId: "user-1" }));
+    });
+
+    it("Harus tidak memindahkan draft jika slot berubah bersamaan (sudah tidak PENDING)", async () => {
+      mockGroupDocumentSignerRepository.reassignSigner.mockResolvedValue(null);
+
+      await expect(groupSignatureService.delegateSignature("user-1", documentId, { toUserId: "user-3", reason: "Sedang cuti" }, mockReq)).rejects.toThrow("Permintaan tanda tangan sudah tidak menunggu (PENDING).");
+      expect(mockGroupSignatureRepository.transferDrafts).not.toHaveBeenCalled();
+      expect(mockAuditService.log).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak signer yang mendelegasikan slot milik orang lain", async () => {
+      await expect(groupSignatureService.delegateSignature("user-3", documentId, { fromUserId: "user-1", toUserId: "admin-1", reason: "Cuti" }, mockReq)).rejects.toThrow(GroupError);
+      expect(mockGroupDocumentSignerRepository.reassignSigner).not.toHaveBeenCalled();
+    });
+
+    it("Harus menolak slot yang sudah ditandatangani", async () => {
+      await expect(groupSignatureService.delegateSignature("user-2", documentId, { toUserId: "user-3", reason: "Cuti" }, mockReq)).rejects.toThrow(/PENDING/);
+    });
+
+    it("Harus menolak penerima yang sudah menjadi penanda tangan atau hanya viewer", async () => {
+      await expect(groupSignatureService.delegateSignature("user-1", documentId, { toUserId: "user-2", reason: "Cuti" }, mockReq)).rejects.toThrow(/sudah menjadi penanda tangan/);
+      await expect(groupSignatureService.delegateSignature("user-1", documentId, { toUserId: "viewer-1", reason: "Cuti" }, mockReq)).rejects.toThrow(/role signer atau admin/);
+      expect(mockGroupSignatureRepository.transferDrafts).not.toHaveBeenCalled();
+    });
+
+    it("Harus throw BadRequest jika alasan kosong", async () => {
+      await expect(groupSignatureService.delegateSignature("user-1", documentId, { toUserId: "user-3", reason: " " }, mockReq)).rejects.toThrow(CommonError);
+    });
   });
 
   // =====================================================
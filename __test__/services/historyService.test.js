@@ -4,7 +4,7 @@
  * @file historyService.test.js
  * @description Tests for HistoryService methods:
  *  - constructor: Dependency injection validation
- *  - getUserSigningHistory: Get all signing history for a user
+ *  - getUserSigningHistory: Get paginated signing history for a user
  */
 
 import { jest } from "@jest/globals";
@@ -20,6 +20,7 @@ describe("HistoryService", () => {
       findPersonalSignatures: jest.fn(),
       findGroupSignatures: jest.fn(),
       findPackageSignatures: jest.fn(),
+      countSignatures: jest.fn().mockResolvedValue(0),
     };
 
     historyService = new HistoryService(mockHistoryRepository);
@@ -60,12 +61,14 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue([]);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue([]);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result, meta } = await historyService.getUserSigningHistory(userId);
 
-      expect(mockHistoryRepository.findPersonalSignatures).toHaveBeenCalledWith(userId);
-      expect(mockHistoryRepository.findGroupSignatures).toHaveBeenCalledWith(userId);
-      expect(mockHistoryRepository.findPackageSignatures).toHaveBeenCalledWith(userId);
+      const findOptions = { dateFrom: undefined, dateTo: undefined, sortOrder: "desc", take: 20 };
+      expect(mockHistoryRepository.findPersonalSignatures).toHaveBeenCalledWith(userId, findOptions);
+      expect(mockHistoryRepository.findGroupSignatures).toHaveBeenCalledWith(userId, findOptions);
+      expect(mockHistoryRepository.findPackageSignatures).toHaveBeenCalledWith(userId, findOptions);
       expect(result).toEqual([]);
+      expect(meta).toEqual({ total: 0, page: 1, limit: 20, totalPages: 0 });
     });
 
     it("Harus format dan return personal signatures dengan benar", async () => {
@@ -84,7 +87,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue([]);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue([]);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result).toHaveLength(1);
       expect(result[0]).toEqual({
@@ -112,7 +115,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue(groupSigs);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue([]);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result).toHaveLength(1);
       expect(result[0]).toEqual({
@@ -142,7 +145,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue([]);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue(packageSigs);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result).toHaveLength(1);
       expect(result[0]).toEqual({
@@ -184,7 +187,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue(groupSigs);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue(packageSigs);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result).toHaveLength(3);
       // Harus urut dari terbaru ke terlama
@@ -207,7 +210,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue([]);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue([]);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result[0].documentTitle).toBe("Unknown Document");
     });
@@ -226,7 +229,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue([]);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue([]);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result[0].documentTitle).toBe("Unknown Document");
     });
@@ -245,7 +248,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue(groupSigs);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue([]);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result[0].documentTitle).toBe("Unknown Document");
     });
@@ -264,7 +267,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue([]);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue(packageSigs);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result[0].documentTitle).toBe("Unknown Document");
     });
@@ -283,7 +286,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue([]);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue(packageSigs);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result[0].documentTitle).toBe("Unknown Document");
     });
@@ -330,7 +333,7 @@ describe("HistoryService", () => {
       mockHistoryRepository.findGroupSignatures.mockResolvedValue(groupSigs);
       mockHistoryRepository.findPackageSignatures.mockResolvedValue(packageSigs);
 
-      const result = await historyService.getUserSigningHistory(userId);
+      const { data: result } = await historyService.getUserSigningHistory(userId);
 
       expect(result).toHaveLength(5);
       // Verify sorted by date descending
@@ -353,5 +356,52 @@ describe("HistoryService", () => {
       expect(mockHistoryRepository.findGroupSignatures).toHaveBeenCalledTimes(1);
       expect(mockHistoryRepository.findPackageSignatures).toHaveBeenCalledTimes(1);
     });
+
+    it("Harus mengambil skip + limit data per sumber lalu memotong halaman yang diminta", async () => {
+      mockHistoryRepository.findPersonalSignatures.mockResolvedValue([
+        { id: "p2", signedAt: new Date("2025-01-04T00:00:00Z") },
+        { id: "p1", signedAt: new Date("2025-01-01T00:00:00Z") },
+      ]);
+      mockHistoryRepository.findGroupSignatures.mockResolvedValue([{ id: "g1", signedAt: new Date("2025-01-03T00:00:00Z") }]);
+      mockHistoryRepository.findPackageSignatures.mockResolvedValue([
+        { id: "pk2", createdAt: new Date("2025-01-05T00:00:00Z") },
+        { id: "pk1", createdAt: new Date("2025-01-02T00:00:00Z") },
+      ]);
+      mockHistoryRepository.countSignatures.mockResolvedValueOnce(4).mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+
+      const { data, meta } = await historyService.getUserSigningHistory(userId, { page: 2, limit: 2 });
+
+      expect(mockHistoryRepository.findPersonalSignatures).toHaveBeenCalledWith(userId, expect.objectContaining({ take: 4 }));
+      expect(data.map((item) => item.id)).toEqual(["g1", "pk1"]);
+      expect(meta).toEqual({ total: 7, page: 2, limit: 2, totalPages: 4 });
+    });
+
+    it("Harus hanya query sumber sesuai filter type dan rentang tanggal", async () => {
+      const dateFrom = new Date("2025-01-01T00:00:00Z");
+      const dateTo = new Date("2025-01-31T23:59:59.999Z");
+      mockHistoryRepository.findGroupSignatures.mockResolvedValue([{ id: "g1", signedAt: new Date("2025-01-03T00:00:00Z") }]);
+      mockHistoryRepository.countSignatures.mockResolvedValue(1);
+
+      const { data, meta } = await historyService.getUserSigningHistory(userId, { filters: { type: "GROUP", dateFrom, dateTo } });
+
+      expect(mockHistoryRepository.findPersonalSignatures).not.toHaveBeenCalled();
+      expect(mockHistoryRepository.findPackageSignatures).not.toHaveBeenCalled();
+      expect(mockHistoryRepository.findGroupSignatures).toHaveBeenCalledWith(userId, { dateFrom, dateTo, sortOrder: "desc", take: 20 });
+      expect(mockHistoryRepository.countSignatures).toHaveBeenCalledTimes(1);
+      expect(mockHistoryRepository.countSignatures).toHaveBeenCalledWith(userId, { type: "GROUP", dateFrom, dateTo });
+      expect(data.map((item) => item.type)).toEqual(["GROUP"]);
+      expect(meta.total).toBe(1);
+    });
+
+    it("Harus mengurutkan dari yang terlama jika sortOrder asc", async () => {
+      mockHistoryRepository.findPersonalSignatures.mockResolvedValue([{ id: "p1", signedAt: new Date("2025-01-01T00:00:00Z") }]);
+      mockHistoryRepository.findGroupSignatures.mockResolvedValue([{ id: "g1", signedAt: new Date("2025-01-03T00:00:00Z") }]);
+      mockHistoryRepository.findPackageSignatures.mockResolvedValue([{ id: "pk1", createdAt: new Date("2025-01-02T00:00:00Z") }]);
+
+      const { data } = await historyService.getUserSigningHistory(userId, { sortOrder: "asc" });
+
+      expect(mockHistoryRepository.findGroupSignatures).toHaveBeenCalledWith(userId, expect.objectContaining({ sortOrder: "asc" }));
+      expect(data.map((item) => item.id)).toEqual(["p1", "pk1", "g1"]);
+    });
   });
 });
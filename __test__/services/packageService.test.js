@@ -29,6 +29,7 @@ describe("PackageService", () => {
     mockPackageRepository = {
       createPackageWithDocuments: jest.fn(),
       findPackageById: jest.fn(),
+      findAllPackages: jest.fn(),
       createPackageSignatures: jest.fn(),
       updateSignature: jest.fn(),
       updatePackageDocumentVersion: jest.fn(),
@@ -226,6 +227,42 @@ describe("PackageService", () => {
     });
   });
 
+  // ==========================================================================
+  // GET ALL PACKAGES
+  // ==========================================================================
+  describe("getAllPackages", () => {
+    it("Harus memformat paket dan mengembalikan metadata pagination", async () => {
+      mockPackageRepository.findAllPackages.mockResolvedValue({
+        data: [
+          {
+            id: "pkg-1",
+            title: null,
+            status: "draft",
+            createdAt: new Date("2025-01-01T00:00:00Z"),
+            _count: { documents: 2 },
+            documents: [{ docVersion: { document: { title: "Kontrak A" } } }],
+          },
+        ],
+        total: 21,
+      });
+
+      const result = await service.getAllPackages("user-123", { page: 2, limit: 20, sortBy: "title", sortOrder: "asc", filters: { status: "draft" } });
+
+      expect(mockPackageRepository.findAllPackages).toHaveBeenCalledWith("user-123", { filters: { status: "draft" }, sortBy: "title", sortOrder: "asc", skip: 20, take: 20 });
+      expect(result.data).toEqual([{ id: "pkg-1", title: null, status: "draft", createdAt: new Date("2025-01-01T00:00:00Z"), documentCount: 2, previewDoc: "Kontrak A" }]);
+      expect(result.meta).toEqual({ total: 21, page: 2, limit: 20, totalPages: 2 });
+    });
+
+    it("Harus memakai halaman pertama secara default", async () => {
+      mockPackageRepository.findAllPackages.mockResolvedValue({ data: [], total: 0 });
+
+      const result = await service.getAllPackages("user-123");
+
+      expect(mockPackageRepository.findAllPackages).toHaveBeenCalledWith("user-123", expect.objectContaining({ skip: 0, take: 20 }));
+      expect(result).toEqual({ data: [], meta: { total: 0, page: 1, limit: 20, totalPages: 0 } });
+    });
+  });
+
   // ==========================================================================
   // SIGN PACKAGE
   // ==========================================================================
@@ -300,6 +337,52 @@ describe("PackageService", () => {
       expect(result.failed).toHaveLength(0);
     });
 
+    it("Harus me-render tanda tangan ketik dan menyimpan method, teks, serta font", async () => {
+      const typedPayload = [{ ...signaturesPayload[0], signatureImageUrl: undefined, method: "typed", typedText: "John Doe", typedFont: "great-vibes" }];
+
+      await service.signPackage(packageId, userId, typedPayload, userIpAddress);
+
+      const [saved] = mockPackageRepository.createPackageSignatures.mock.calls[0][0];
+      expect(saved).toMatchObject({ method: "typed", typedText: "John Doe", typedFont: "great-vibes" });
+      expect(saved.signatureImageUrl).toMatch(/^data:image\/png;base64,/);
+      expect(mockPdfService.generateSignedPdf.mock.calls[0][1][0].signatureImageUrl).toBe(saved.signatureImageUrl);
+    });
+
+    it("Harus menyimpan template tampilan per tanda tangan", async () => {
+      await service.signPackage(packageId, userId, [{ ...signaturesPayload[0], appearanceTemplate: "standard", timezone: "Asia/Jakarta" }], userIpAddress);
+
+      const [saved] = mockPackageRepository.createPackageSignatures.mock.calls[0][0];
+      expect(saved).toMatchObject({ appearanceTemplate: "standard", timezone: "Asia/Jakarta", reason: null, location: null });
+    });
+
+    it("Harus menolak tanda tangan ketik tidak valid sebelum memproses dokumen", async () => {
+      const typedPayload = [{ ...signaturesPayload[0], method: "typed", typedText: "" }];
+
+      await expect(service.signPackage(packageId, userId, typedPayload, userIpAddress)).rejects.toThrow("Teks tanda tangan wajib diisi");
+      expect(mockPackageRepository.createPackageSignatures).not.toHaveBeenCalled();
+    });
+
+    it("Harus burn-in dan menyimpan field non-tanda tangan per dokumen paket", async () => {
+      const mockSignatureFieldRepository = { createMany: jest.fn().mockResolvedValue([]) };
+      const svc = new PackageService(mockPackageRepository, mockDocumentRepository, mockVersionRepository, mockPdfService, mockAuditService, mockUserService, mockSignatureFieldRepository);
+      const box = { pageNumber: 1, positionX: 0.1, positionY: 0.1, width: 0.2, height: 0.05 };
+      const fields = [
+        { ...box, packageDocId: "pkg-doc-1", type: "text", value: "Direktur" },
+        { ...box, packageDocId: "pkg-doc-lain", type: "checkbox", value: true },
+      ];
+
+      await svc.signPackage(packageId, userId, signaturesPayload, userIpAddress, null, { fields });
+
+      const [, , pdfOptions] = mockPdfService.generateSignedPdf.mock.calls[0];
+      expect(pdfOptions.fields).toEqual([expect.objectContaining({ type: "text", value: "Direktur" })]);
+      expect(mockSignatureFieldRepository.createMany).toHaveBeenCalledWith([expect.objectContaining({ type: "text", signerId: userId, packageDocumentId: "pkg-doc-1", documentVersionId: "new-ver-1" })]);
+    });
+
+    it("Harus menolak field tidak valid sebelum memproses dokumen", async () => {
+      await expect(service.signPackage(packageId, userId, signaturesPayload, userIpAddress, null, { fields: [{ type: "date", pageNumber: 0 }] })).rejects.toThrow("pageNumber harus bilangan bulat");
+      expect(mockPackageRepository.createPackageSignatures).not.toHaveBeenCalled();
+    });
+
     it("Harus menyimpan accessCode ke DB jika ada", async () => {
       await service.signPackage(packageId, userId, signaturesPayload, userIpAddress);
 
@@ -41,6 +41,7 @@ describe("PDFService", () => {
   let mockVersionRepo;
   let mockSignatureRepo; // (Tidak terlalu dipakai di method ini, tapi tetap di-mock)
   let mockFileStorage;
+  let mockCertificateService;
   let mockPdfDoc;
   let mockPage;
 
@@ -67,6 +68,8 @@ describe("PDFService", () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    plainAddPlaceholder.mockReset();
+    signerPkg.default.sign.mockReset();
 
     // 1. Mock Repositories & Storage
     mockVersionRepo = {
@@ -78,6 +81,15 @@ describe("PDFService", () => {
       uploadFile: jest.fn(),
     };
 
+    mockCertificateService = {
+      issueSignerCertificate: jest.fn((p12, passphrase, signer) => ({
+        p12Buffer: Buffer.from(`p12-${signer.name}`),
+        passphrase,
+        publicKey: `PUBKEY-${signer.name}`,
+        certificate: `CERT-${signer.name}`,
+      })),
+    };
+
     // 2. Setup Environment Variables
     process.env.CERT_PASSWORD = "test-password";
     process.env.CERT_FILE_PATH = "./dummy.p12";
@@ -85,12 +97,16 @@ describe("PDFService", () => {
     // 3. Mock PDF-Lib Structures (Advanced Mocking untuk handle helper function)
     mockPage = {
       getSize: jest.fn().mockReturnValue({ width: 600, height: 800 }),
+      getCropBox: jest.fn().mockReturnValue({ x: 0, y: 0, width: 600, height: 800 }),
+      getRotation: jest.fn().mockReturnValue({ angle: 0 }),
       drawText: jest.fn().mockReturnValue(mockPage), // Add drawText method
       drawLine: jest.fn().mockReturnValue(mockPage),
       drawImage: jest.fn().mockReturnValue(mockPage),
+      drawRectangle: jest.fn(),
       node: {
         Annots: jest.fn().mockReturnValue([]), // Array untuk push annot
         set: jest.fn(),
+        get: jest.fn(),
       },
     };
 
@@ -119,7 +135,7 @@ describe("PDFService", () => {
     PDFDocument.load.mockResolvedValue(mockPdfDoc);
 
     // 4. Initialize Service
-    pdfService = new PDFService(mockVersionRepo, mockSignatureRepo, mockFileStorage);
+    pdfService = new PDFService(mockVersionRepo, mockSignatureRepo, mockFileStorage, mockCertificateService);
   });
 
   // =========================================================================
@@ -449,6 +465,161 @@ describe("PDFService", () => {
       verificationUrl: "https://verify.example.com/doc-123",
     });
     expect(result).toBeDefined();
+
+    // Log mengalir ke halaman lanjutan, header tabel diulang, footer + nomor halaman di setiap halaman
+    expect(mockPdfDoc.addPage).toHaveBeenCalledTimes(2);
+    const drawnTexts = mockPage.drawText.mock.calls.map(([text]) => text);
+    expect(drawnTexts.filter((t) => t === "RIWAYAT PENANDATANGANAN")).toHaveLength(2);
+    expect(drawnTexts).toContain("DIGITAL SIGNATURE AUDIT TRAIL (LANJUTAN)");
+    expect(drawnTexts).toContain("Halaman 1 dari 2");
+    expect(drawnTexts).toContain("Halaman 2 dari 2");
+    expect(drawnTexts.filter((t) => t.startsWith("Document ID: doc-1"))).toHaveLength(2);
+    expect(drawnTexts).toContain("Signer 19");
+  });
+
+  test("should add one signature revision per signer, named after the signer", async () => {
+    mockVersionRepo.findById.mockResolvedValue({
+      id: mockVersionId,
+      url: mockUrl,
+      userId: "u1",
+      document: { id: "doc-1", title: "contract.pdf" },
+    });
+    mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(Buffer.from("system-p12"));
+    plainAddPlaceholder.mockImplementation(({ pdfBuffer, name }) => Buffer.concat([pdfBuffer, Buffer.from(`|placeholder-${name}`)]));
+    signerPkg.default.sign.mockImplementation((pdf) => Buffer.concat([pdf, Buffer.from("|signed")]));
+
+    const signatures = [
+      { ...mockSignatures[0], id: "sig-a1", signerName: "Alice", signerEmail: "alice@mail.com" },
+      { ...mockSignatures[0], id: "sig-a2", signerName: "Alice", signerEmail: "alice@mail.com" },
+      { ...mockSignatures[0], id: "sig-b1", signerName: "Bob", signerEmail: "bob@mail.com" },
+    ];
+
+    const result = await pdfService.generateSignedPdf(mockVersionId, signatures);
+
+    expect(mockCertificateService.issueSignerCertificate).toHaveBeenCalledTimes(2);
+    expect(mockCertificateService.issueSignerCertificate).toHaveBeenCalledWith(Buffer.from("system-p12"), "test-password", { name: "Alice", email: "alice@mail.com" });
+    expect(plainAddPlaceholder).toHaveBeenCalledTimes(2);
+    expect(plainAddPlaceholder.mock.calls[0][0]).toMatchObject({ name: "Alice", contactInfo: "alice@mail.com" });
+    expect(plainAddPlaceholder.mock.calls[1][0]).toMatchObject({ name: "Bob", contactInfo: "bob@mail.com" });
+
+    // Revisi kedua dibangun di atas hasil revisi pertama (incremental, byte sebelumnya utuh)
+    const secondInput = plainAddPlaceholder.mock.calls[1][0].pdfBuffer.toString();
+    expect(secondInput).toContain("|placeholder-Alice|signed");
+    expect(signerPkg.default.sign).toHaveBeenNthCalledWith(2, expect.anything(), Buffer.from("p12-Bob"), { passphrase: "test-password" });
+    expect(result.signedFileBuffer.toString()).toMatch(/placeholder-Alice\|signed\|placeholder-Bob\|signed$/);
+
+    expect(result.signerCertificates).toEqual([
+      { signerName: "Alice", signerEmail: "alice@mail.com", signatureIds: ["sig-a1", "sig-a2"], publicKey: "PUBKEY-Alice", certificate: "CERT-Alice" },
+      { signerName: "Bob", signerEmail: "bob@mail.com", signatureIds: ["sig-b1"], publicKey: "PUBKEY-Bob", certificate: "CERT-Bob" },
+    ]);
+  });
+
+  test("should timestamp every signer revision and append DSS validation data when timestampService is configured", async () => {
+    mockVersionRepo.findById.mockResolvedValue({
+      id: mockVersionId,
+      url: mockUrl,
+      userId: "u1",
+      document: { id: "doc-1", title: "contract.pdf" },
+    });
+    mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(Buffer.from("system-p12"));
+    plainAddPlaceholder.mockImplementation(({ pdfBuffer }) => pdfBuffer);
+    signerPkg.default.sign.mockImplementation((pdf) => Buffer.concat([pdf, Buffer.from("|signed")]));
+    mockCertificateService.createCrl = jest.fn().mockReturnValue(Buffer.from("crl"));
+    const mockTimestampService = {
+      stampLatestSignature: jest.fn(async (pdf) => Buffer.concat([pdf, Buffer.from("|ts")])),
+      appendValidationData: jest.fn((pdf) => Buffer.concat([pdf, Buffer.from("|dss")])),
+    };
+    pdfService = new PDFService(mockVersionRepo, mockSignatureRepo, mockFileStorage, mockCertificateService, mockTimestampService);
+
+    const signatures = [
+      { ...mockSignatures[0], signerName: "Alice", signerEmail: "alice@mail.com" },
+      { ...mockSignatures[0], signerName: "Bob", signerEmail: "bob@mail.com" },
+    ];
+    const result = await pdfService.generateSignedPdf(mockVersionId, signatures);
+
+    expect(mockTimestampService.stampLatestSignature).toHaveBeenCalledTimes(2);
+    expect(mockCertificateService.createCrl).toHaveBeenCalledWith(Buffer.from("system-p12"), "test-password");
+    expect(mockTimestampService.appendValidationData).toHaveBeenCalledWith(expect.any(Buffer), { crls: [Buffer.from("crl")] });
+    expect(result.signedFileBuffer.toString()).toMatch(/\|signed\|ts\|signed\|ts\|dss$/);
+  });
+
+  test("should render single audit page with page number when signatures fit", async () => {
+    mockVersionRepo.findById.mockResolvedValue({
+      id: mockVersionId,
+      url: mockUrl,
+      userId: "u1",
+      document: { id: "doc-1", title: "contract.pdf" },
+    });
+    mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(Buffer.from("p12"));
+    signerPkg.default.sign.mockReturnValue(mockSignedPdfBuffer);
+    QRCode.toDataURL.mockResolvedValue("data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==");
+
+    await pdfService.generateSignedPdf(mockVersionId, [{ signerName: "Solo", signedAt: new Date() }], {
+      displayQrCode: true,
+      verificationUrl: "https://verify.example.com/doc-123",
+    });
+
+    expect(mockPdfDoc.addPage).toHaveBeenCalledTimes(1);
+    const drawnTexts = mockPage.drawText.mock.calls.map(([text]) => text);
+    expect(drawnTexts).toContain("Halaman 1 dari 1");
+    expect(drawnTexts).not.toContain("DIGITAL SIGNATURE AUDIT TRAIL (LANJUTAN)");
+  });
+
+  test("should show delegated signatures as signed on behalf of the original signer", async () => {
+    mockVersionRepo.findById.mockResolvedValue({
+      id: mockVersionId,
+      url: mockUrl,
+      userId: "u1",
+      document: { id: "doc-1", title: "contract.pdf" },
+    });
+    mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(Buffer.from("p12"));
+    signerPkg.default.sign.mockReturnValue(mockSignedPdfBuffer);
+    QRCode.toDataURL.mockResolvedValue("data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==");
+
+    await pdfService.generateSignedPdf(mockVersionId, [{ signerName: "Budi", signerEmail: "budi@mail.com", onBehalfOf: "Sari", signedAt: new Date() }], {
+      displayQrCode: true,
+      verificationUrl: "https://verify.example.com/doc-123",
+    });
+
+    const drawnTexts = mockPage.drawText.mock.calls.map(([text]) => text);
+    expect(drawnTexts).toContain("Budi on behalf of Sari");
+    expect(plainAddPlaceholder.mock.calls[0][0]).toMatchObject({ name: "Budi", reason: "Ditandatangani secara digital oleh Budi atas nama Sari" });
+  });
+
+  test("should show OTP verification and user agent for external signers", async () => {
+    mockVersionRepo.findById.mockResolvedValue({
+      id: mockVersionId,
+      url: mockUrl,
+      userId: "u1",
+      document: { id: "doc-1", title: "contract.pdf" },
+    });
+    mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+    fs.existsSync.mockReturnValue(true);
+    fs.readFileSync.mockReturnValue(Buffer.from("p12"));
+    signerPkg.default.sign.mockReturnValue(mockSignedPdfBuffer);
+    QRCode.toDataURL.mockResolvedValue("data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==");
+
+    const otpVerifiedAt = new Date("2026-10-19T03:00:00Z");
+    await pdfService.generateSignedPdf(
+      mockVersionId,
+      [
+        { signerName: "Rina (Mitra)", signerEmail: "rina@partner.com", ipAddress: "10.0.0.9", userAgent: "Mozilla/5.0 (Macintosh)", otpVerifiedAt, otpChannel: "email", signedAt: new Date() },
+        { signerName: "Budi", signerEmail: "budi@mail.com", signedAt: new Date() },
+      ],
+      { displayQrCode: true, verificationUrl: "https://verify.example.com/doc-123" }
+    );
+
+    const drawnTexts = mockPage.drawText.mock.calls.map(([text]) => text);
+    expect(drawnTexts).toContain(`Penanda tangan eksternal  •  OTP email terverifikasi ${otpVerifiedAt.toLocaleString("id-ID")}  •  Mozilla/5.0 (Macintosh)`);
+    expect(drawnTexts.filter((text) => String(text).startsWith("Penanda tangan eksternal"))).toHaveLength(1);
   });
 
   test("should handle signature data without optional fields in audit trail", async () => {
@@ -482,4 +653,330 @@ describe("PDFService", () => {
     });
     expect(result).toBeDefined();
   });
+
+  // =========================================================================
+  // SIGNATURE IMAGE FORMATS (PNG / JPEG / WebP / SVG)
+  // =========================================================================
+  describe("signature image formats", () => {
+    const signAt = (signatureImageUrl) => [{ signatureImageUrl, pageNumber: 1, width: 0.2, height: 0.1, positionX: 0.5, positionY: 0.5 }];
+
+    beforeEach(() => {
+      mockVersionRepo.findById.mockResolvedValue({ id: mockVersionId, url: mockUrl, userId: "u1", document: { title: "a.pdf" } });
+      mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+      signerPkg.default.sign.mockReturnValue(mockSignedPdfBuffer);
+      mockPdfDoc.embedJpg = jest.fn().mockResolvedValue({ ref: "jpg-ref", size: jest.fn().mockReturnValue({ width: 32, height: 16 }) });
+    });
+
+    test("should embed JPEG signatures natively", async () => {
+      // Header JPEG minimal: SOI + SOF0 (tinggi 16, lebar 32)
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x10, 0x00, 0x20, 0x03, 0x01, 0x22, 0x00]);
+
+      await pdfService.generateSignedPdf(mockVersionId, signAt(`data:image/jpeg;base64,${jpeg.toString("base64")}`));
+
+      expect(mockPdfDoc.embedJpg).toHaveBeenCalledWith(jpeg);
+      expect(mockPdfDoc.embedPng).not.toHaveBeenCalled();
+    });
+
+    test("should detect the format from magic bytes even if the data URL says PNG", async () => {
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x10, 0x00, 0x20, 0x03, 0x01, 0x22, 0x00]);
+
+      await pdfService.generateSignedPdf(mockVersionId, signAt(`data:image/png;base64,${jpeg.toString("base64")}`));
+
+      expect(mockPdfDoc.embedJpg).toHaveBeenCalled();
+    });
+
+    test("should rasterize SVG signatures to PNG", async () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="100"><path d="M10 50 L190 50" stroke="black" stroke-width="4"/></svg>';
+
+      await pdfService.generateSignedPdf(mockVersionId, signAt(`data:image/svg+xml;utf8,${encodeURIComponent(svg)}`));
+
+      const embedded = mockPdfDoc.embedPng.mock.calls[0][0];
+      expect(embedded.readUInt32BE(0)).toBe(0x89504e47);
+      expect(embedded.readUInt32BE(16)).toBe(1200); // di-fit ke MAX_SIGNATURE_IMAGE_DIMENSION
+      expect(embedded.readUInt32BE(20)).toBe(600);
+    });
+
+    test("should rasterize WebP signatures and downscale oversized images", async () => {
+      const sharp = (await import("sharp")).default;
+      const webp = await sharp({ create: { width: 2400, height: 600, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0.5 } } })
+        .webp()
+        .toBuffer();
+
+      await pdfService.generateSignedPdf(mockVersionId, signAt(`data:image/webp;base64,${webp.toString("base64")}`));
+
+      const embedded = mockPdfDoc.embedPng.mock.calls[0][0];
+      expect(embedded.readUInt32BE(16)).toBe(1200);
+      expect(embedded.readUInt32BE(20)).toBe(300);
+    });
+
+    test("should make the background of oversized JPEG scans transparent", async () => {
+      const sharp = (await import("sharp")).default;
+      const jpeg = await sharp({ create: { width: 1600, height: 800, channels: 3, background: "#ffffff" } })
+        .jpeg()
+        .toBuffer();
+
+      await pdfService.generateSignedPdf(mockVersionId, signAt(`data:image/jpeg;base64,${jpeg.toString("base64")}`));
+
+      expect(mockPdfDoc.embedJpg).not.toHaveBeenCalled();
+      const { data, info } = await sharp(mockPdfDoc.embedPng.mock.calls[0][0]).raw().toBuffer({ resolveWithObject: true });
+      expect(info).toMatchObject({ width: 1200, height: 600, channels: 4 });
+      expect(data[3]).toBe(0);
+    });
+
+    test("should throw SignatureError for unsupported image formats", async () => {
+      const gif = Buffer.from("GIF89a\x01\x00\x01\x00", "latin1");
+
+      await expect(pdfService.generateSignedPdf(mockVersionId, signAt(`data:image/gif;base64,${gif.toString("base64")}`))).rejects.toThrow(SignatureError);
+      await expect(pdfService.generateSignedPdf(mockVersionId, signAt(`data:image/gif;base64,${gif.toString("base64")}`))).rejects.toThrow("Format gambar tanda tangan 'image/gif' tidak didukung");
+      expect(signerPkg.default.sign).not.toHaveBeenCalled();
+    });
+
+    test("should throw SignatureError for corrupted images", async () => {
+      const brokenWebp = Buffer.concat([Buffer.from("RIFF\x00\x00\x00\x00WEBP", "latin1"), Buffer.alloc(16)]);
+
+      await expect(pdfService.generateSignedPdf(mockVersionId, signAt(`data:image/webp;base64,${brokenWebp.toString("base64")}`))).rejects.toThrow("Gambar tanda tangan (webp) rusak");
+    });
+
+    test("should throw SignatureError instead of URIError for malformed percent-encoding in text data URLs", async () => {
+      await expect(pdfService.generateSignedPdf(mockVersionId, signAt("data:image/svg+xml;utf8,<svg>%E0%A4%A</svg>"))).rejects.toMatchObject({ code: "UNSUPPORTED_SIGNATURE_IMAGE", statusCode: 400 });
+      expect(signerPkg.default.sign).not.toHaveBeenCalled();
+    });
+  });
+
+  // =========================================================================
+  // SIGNATURE APPEARANCE TEMPLATES
+  // =========================================================================
+  describe("signature appearance templates", () => {
+    const hex = (text) => `<${Buffer.from(text, "latin1").toString("hex").toUpperCase()}>`;
+    const createFakeFont = (ref) => ({
+      ref,
+      encodeText: jest.fn((text) => {
+        if ([...text].some((char) => char.charCodeAt(0) > 0xff)) throw new Error("WinAnsi cannot encode");
+        return { toString: () => hex(text) };
+      }),
+      widthOfTextAtSize: jest.fn((text, size) => text.length * 0.5 * size),
+    });
+    const signWith = (overrides) => pdfService.generateSignedPdf(mockVersionId, [{ ...mockSignatures[0], id: "3f2a9c1e-0000", signedAt: new Date("2026-10-19T11:13:00Z"), ...overrides }]);
+    const appearanceContent = () => mockPdfDoc.context.flateStream.mock.calls[0][0].toString();
+
+    beforeEach(() => {
+      mockVersionRepo.findById.mockResolvedValue({ id: mockVersionId, url: mockUrl, userId: "u1", document: { title: "a.pdf" } });
+      mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+      signerPkg.default.sign.mockReturnValue(mockSignedPdfBuffer);
+      mockPdfDoc.embedFont = jest.fn().mockResolvedValueOnce(createFakeFont("font-regular")).mockResolvedValueOnce(createFakeFont("font-bold"));
+    });
+
+    test("should keep the bare image stamp for the default image-only template", async () => {
+      await signWith({});
+
+      expect(appearanceContent()).not.toContain("BT");
+      expect(mockPdfDoc.embedFont).not.toHaveBeenCalled();
+    });
+
+    test("should compose name, signing time in the signer timezone and short ID for the standard template", async () => {
+      await signWith({ appearanceTemplate: "standard", timezone: "Asia/Makassar" });
+
+      const content = appearanceContent();
+      expect(content).toContain(`/F1`);
+      expect(content).toContain(`${hex("John Doe")} Tj`);
+      expect(content).toContain(`${hex("19 Okt 2026, 19.13 WITA")} Tj`);
+      expect(content).toContain(`${hex("ID: 3F2A9C1E")} Tj`);
+      expect(mockPdfDoc.context.obj).toHaveBeenCalledWith({ F0: "font-regular", F1: "font-bold" });
+
+      // Annotation menutupi seluruh kotak tanda tangan (0.2 x 0.1 dari halaman 600 x 800)
+      expect(mockPdfDoc.context.obj).toHaveBeenCalledWith([expect.objectContaining({ numberValue: 300 }), expect.objectContaining({ numberValue: 320 }), expect.objectContaining({ numberValue: 420 }), expect.objectContaining({ numberValue: 400 })]);
+    });
+
+    test("should include reason and location for the detailed template and use them in the PDF signature", async () => {
+      await signWith({ appearanceTemplate: "detailed", reason: "Menyetujui kontrak", location: "Makassar" });
+
+      const content = appearanceContent();
+      expect(content).toContain(hex("Alasan: Menyetujui kontrak"));
+      expect(content).toContain(hex("Lokasi: Makassar"));
+      expect(content).toContain(hex("19 Okt 2026, 18.13 WIB"));
+      expect(plainAddPlaceholder).toHaveBeenCalledWith(expect.objectContaining({ reason: "Menyetujui kontrak", location: "Makassar" }));
+    });
+
+    test("should replace characters the standard PDF font cannot encode", async () => {
+      await signWith({ appearanceTemplate: "standard", signerName: "李雷 Lee" });
+
+      expect(appearanceContent()).toContain(`${hex("?? Lee")} Tj`);
+    });
+  });
+
+  describe("non-signature fields", () => {
+    const fakeFont = {
+      encodeText: jest.fn((text) => ({ toString: () => text })),
+      widthOfTextAtSize: jest.fn((text, size) => text.length * 0.5 * size),
+    };
+    // Kotak 0.2 x 0.05 dari halaman 600 x 800 => 120 x 40 pt, pojok kiri bawah di (60, 680)
+    const box = { pageNumber: 1, positionX: 0.1, positionY: 0.1, width: 0.2, height: 0.05 };
+    const signWithFields = (fields) => pdfService.generateSignedPdf(mockVersionId, mockSignatures, { fields });
+
+    beforeEach(() => {
+      mockVersionRepo.findById.mockResolvedValue({ id: mockVersionId, url: mockUrl, userId: "u1", document: { title: "a.pdf" } });
+      mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+      signerPkg.default.sign.mockReturnValue(mockSignedPdfBuffer);
+      mockPdfDoc.embedFont = jest.fn().mockResolvedValue(fakeFont);
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(Buffer.from("p12-buffer"));
+    });
+
+    test("should burn text and date values into the page, sized to fit the box", async () => {
+      await signWithFields([
+        { ...box, type: "text", value: "Direktur" },
+        { ...box, positionY: 0.2, type: "date", value: "19 Oktober 2026" },
+      ]);
+
+      expect(mockPage.drawText).toHaveBeenCalledWith("Direktur", expect.objectContaining({ x: 60, size: 28, font: fakeFont }));
+      // 15 karakter x 0.5 => lebar 7.5 per pt, dibatasi lebar kotak 120 => ukuran 16
+      expect(mockPage.drawText).toHaveBeenCalledWith("19 Oktober 2026", expect.objectContaining({ x: 60, size: 16 }));
+    });
+
+    test("should draw a ticked box for a checked checkbox and an empty box otherwise", async () => {
+      await signWithFields([{ ...box, type: "checkbox", value: "true" }]);
+
+      expect(mockPage.drawRectangle).toHaveBeenCalledWith(expect.objectContaining({ x: 60, y: 680, width: 40, height: 40 }));
+      expect(mockPage.drawLine).toHaveBeenCalledWith(expect.objectContaining({ start: { x: 68, y: 700 } }));
+
+      mockPage.drawRectangle.mockClear();
+      mockPage.drawLine.mockClear();
+      await signWithFields([{ ...box, type: "checkbox", value: "false" }]);
+
+      expect(mockPage.drawRectangle).toHaveBeenCalledTimes(1);
+      expect(mockPage.drawLine).not.toHaveBeenCalledWith(expect.objectContaining({ start: { x: 68, y: 700 } }));
+    });
+
+    test("should embed initials as an image centered inside the box", async () => {
+      await signWithFields([{ ...box, type: "initials", value: mockSignatures[0].signatureImageUrl }]);
+
+      // Gambar 100 x 50 diskalakan 0.8 agar muat di kotak 120 x 40
+      expect(mockPage.drawImage).toHaveBeenCalledWith(expect.objectContaining({ ref: "img-ref" }), { x: 80, y: 680, width: 80, height: 40, rotate: expect.objectContaining({ angle: 0 }) });
+    });
+
+    test("should skip fields placed on pages the document does not have", async () => {
+      await signWithFields([{ ...box, pageNumber: 3, type: "text", value: "Direktur" }]);
+
+      expect(mockPdfDoc.getPage).not.toHaveBeenCalledWith(2);
+      expect(mockPage.drawText).not.toHaveBeenCalledWith("Direktur", expect.anything());
+    });
+  });
+
+  describe("repeated initials", () => {
+    // Halaman campuran: A4 portrait, A4 landscape, dan portrait yang disimpan dengan /Rotate 90 (tampil landscape)
+    const pages = [
+      { width: 595, height: 842, rotation: 0 },
+      { width: 842, height: 595, rotation: 0 },
+      { width: 600, height: 800, rotation: 90 },
+    ].map(({ width, height, rotation }) => ({
+      ...mockPage,
+      getSize: jest.fn().mockReturnValue({ width, height }),
+      getCropBox: jest.fn().mockReturnValue({ x: 0, y: 0, width, height }),
+      getRotation: jest.fn().mockReturnValue({ angle: rotation }),
+      drawImage: jest.fn(),
+    }));
+    const initials = { value: mockSignatures[0].signatureImageUrl, anchor: "bottom-right", margin: 24, width: 72, height: 36, fromPage: 1, toPage: null };
+    const signWithInitials = (repeatInitials) => pdfService.generateSignedPdf(mockVersionId, mockSignatures, { repeatInitials });
+    const initialsDraws = (page) => page.drawImage.mock.calls.filter(([, opts]) => opts.rotate).map(([, opts]) => opts);
+
+    beforeEach(() => {
+      mockVersionRepo.findById.mockResolvedValue({ id: mockVersionId, url: mockUrl, userId: "u1", document: { title: "a.pdf" } });
+      mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+      signerPkg.default.sign.mockReturnValue(mockSignedPdfBuffer);
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(Buffer.from("p12-buffer"));
+      pages.forEach((page) => {
+        page.node = { Annots: jest.fn().mockReturnValue([]), set: jest.fn(), get: jest.fn() };
+        page.drawImage.mockClear();
+      });
+      mockPdfDoc.getPageCount.mockReturnValue(pages.length);
+      mockPdfDoc.getPage.mockImplementation((index) => pages[index]);
+    });
+
+    test("should place initials at the same margin and size on every page across mixed sizes and rotations", async () => {
+      await signWithInitials([initials]);
+
+      // Gambar 100 x 50 diskalakan agar muat di kotak 72 x 36 pt
+      expect(initialsDraws(pages[0])).toEqual([{ x: 499, y: 24, width: 72, height: 36, rotate: expect.objectContaining({ angle: 0 }) }]);
+      expect(initialsDraws(pages[1])).toEqual([{ x: 746, y: 24, width: 72, height: 36, rotate: expect.objectContaining({ angle: 0 }) }]);
+      // Tampil 800 x 600: kotak di (704, 24) pada halaman tampil => (600 - 24, 704) di koordinat asli, diputar agar tegak
+      expect(initialsDraws(pages[2])).toEqual([{ x: 576, y: 704, width: 72, height: 36, rotate: expect.objectContaining({ angle: 90 }) }]);
+    });
+
+    test("should respect the page range and line up initials of several signers sharing an anchor", async () => {
+      await signWithInitials([
+        { ...initials, anchor: "top-left" },
+        { ...initials, anchor: "top-left", fromPage: 2, toPage: 10 },
+      ]);
+
+      expect(initialsDraws(pages[0])).toEqual([expect.objectContaining({ x: 24, y: 842 - 24 - 36 })]);
+      expect(initialsDraws(pages[1])).toEqual([expect.objectContaining({ x: 24, y: 595 - 24 - 36 }), expect.objectContaining({ x: 24 + 72 + 8 })]);
+      expect(initialsDraws(pages[2])).toHaveLength(2);
+    });
+  });
+
+  describe("page geometry mapping", () => {
+    const { PDFNumber } = pkg;
+    const makePage = ({ width = 600, height = 800, rotation = 0, cropBox = { x: 0, y: 0, width, height }, userUnit } = {}) => ({
+      ...mockPage,
+      getSize: jest.fn().mockReturnValue({ width, height }),
+      getCropBox: jest.fn().mockReturnValue(cropBox),
+      getRotation: jest.fn().mockReturnValue({ angle: rotation }),
+      drawImage: jest.fn(),
+      drawText: jest.fn(),
+      node: { Annots: jest.fn().mockReturnValue([]), set: jest.fn(), get: jest.fn().mockReturnValue(userUnit ? PDFNumber.of(userUnit) : undefined) },
+    });
+    const numbers = (...values) => values.map((value) => expect.objectContaining({ numberValue: value }));
+    const signOn = (page, options) => {
+      mockPdfDoc.getPage.mockReturnValue(page);
+      return pdfService.generateSignedPdf(mockVersionId, mockSignatures, options);
+    };
+
+    beforeEach(() => {
+      mockVersionRepo.findById.mockResolvedValue({ id: mockVersionId, url: mockUrl, userId: "u1", document: { title: "a.pdf" } });
+      mockFileStorage.downloadFileAsBuffer.mockResolvedValue(mockPdfBuffer);
+      signerPkg.default.sign.mockReturnValue(mockSignedPdfBuffer);
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(Buffer.from("p12-buffer"));
+    });
+
+    test("should map signatures on /Rotate 90 pages from the displayed landscape page and counter-rotate the appearance", async () => {
+      await signOn(makePage({ rotation: 90 }));
+
+      // Tampil 800 x 600: kotak (400, 240, 160 x 60), gambar 120 x 60 di (420, 240) => /Rect asli [300 420 360 540]
+      expect(mockPdfDoc.context.obj).toHaveBeenCalledWith(numbers(300, 420, 360, 540));
+      expect(mockPdfDoc.context.obj).toHaveBeenCalledWith(numbers(0, 1, -1, 0, 0, 0));
+      expect(mockPdfDoc.context.obj).toHaveBeenCalledWith(numbers(0, 0, 120, 60));
+    });
+
+    test("should offset signatures by the CropBox origin and scale them to the visible area", async () => {
+      await signOn(makePage({ width: 612, height: 792, cropBox: { x: 36, y: 36, width: 540, height: 720 } }));
+
+      // Area terlihat 540 x 720: kotak (270, 288, 108 x 72), gambar 108 x 54 di (270, 297)
+      expect(mockPdfDoc.context.obj).toHaveBeenCalledWith(numbers(306, 333, 414, 387));
+      expect(mockPdfDoc.context.obj).not.toHaveBeenCalledWith(expect.objectContaining({ Matrix: expect.anything() }));
+    });
+
+    test("should draw fields upright on rotated pages", async () => {
+      mockPdfDoc.embedFont = jest.fn().mockResolvedValue({ encodeText: jest.fn(), widthOfTextAtSize: jest.fn((text, size) => text.length * 0.5 * size) });
+      const page = makePage({ rotation: 270 });
+
+      await signOn(page, { fields: [{ type: "text", value: "Direktur", pageNumber: 1, positionX: 0.1, positionY: 0.1, width: 0.2, height: 0.05 }] });
+
+      // Tampil 800 x 600: kotak (80, 510, 160 x 30), ukuran font 21 => baseline tampil (80, 518.7) => asli (518.7, 720)
+      const [text, options] = page.drawText.mock.calls.find(([value]) => value === "Direktur");
+      expect(text).toBe("Direktur");
+      expect(options).toMatchObject({ x: expect.closeTo(518.7), y: 720, size: expect.closeTo(21), rotate: expect.objectContaining({ angle: 270 }) });
+    });
+
+    test("should convert repeated initials sizes from points using /UserUnit", async () => {
+      const page = makePage({ userUnit: 2 });
+      const initials = { value: mockSignatures[0].signatureImageUrl, anchor: "bottom-right", margin: 24, width: 72, height: 36, fromPage: 1, toPage: null };
+
+      await signOn(page, { repeatInitials: [initials] });
+
+      // 72 x 36 pt = 36 x 18 unit, margin 24 pt = 12 unit
+      expect(page.drawImage).toHaveBeenCalledWith(expect.anything(), { x: 600 - 12 - 36, y: 12, width: 36, height: 18, rotate: expect.objectContaining({ angle: 0 }) });
+    });
+  });
 });
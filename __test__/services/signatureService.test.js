@@ -232,6 +232,30 @@ describe("SignatureService", () => {
       expect(result).toBeDefined();
     });
 
+    it("Harus menyimpan signerPublicKey dari sertifikat signer ke setiap signature", async () => {
+      mockSignatureRepository.create.mockResolvedValueOnce({ id: "sig-1" }).mockResolvedValueOnce({ id: "sig-2" });
+      mockPdfService.generateSignedPdf.mockResolvedValue({
+        signedFileBuffer: Buffer.from("signed-pdf"),
+        publicUrl: "http://example.com/signed.pdf",
+        accessCode: null,
+        signerCertificates: [{ signerName: "Test User", publicKey: "-----BEGIN PUBLIC KEY-----abc" }],
+      });
+
+      await service.addPersonalSignature(userId, versionId, [signatureData, { ...signatureData, pageNumber: 2 }], auditData);
+
+      expect(mockSignatureRepository.update).toHaveBeenCalledWith("sig-1", { signerPublicKey: "-----BEGIN PUBLIC KEY-----abc" });
+      expect(mockSignatureRepository.update).toHaveBeenCalledWith("sig-2", { signerPublicKey: "-----BEGIN PUBLIC KEY-----abc" });
+    });
+
+    it("Harus mengindeks isi PDF bertanda tangan untuk full-text search", async () => {
+      const mockSearchService = { indexVersion: jest.fn().mockResolvedValue(true) };
+      const serviceWithSearch = new SignatureService(mockSignatureRepository, mockDocumentRepository, mockVersionRepository, mockPdfService, mockAuditService, mockUserService, null, mockSearchService);
+
+      await serviceWithSearch.addPersonalSignature(userId, versionId, signatureData, auditData);
+
+      expect(mockSearchService.indexVersion).toHaveBeenCalledWith("new-version-123", Buffer.from("signed-pdf"));
+    });
+
     it("Harus berhasil menambahkan signature dengan array", async () => {
       const signaturesArray = [signatureData, { ...signatureData, pageNumber: 2 }];
 
@@ -359,6 +383,112 @@ describe("SignatureService", () => {
 
       expect(mockSignatureRepository.create).toHaveBeenCalledWith(expect.objectContaining({ method: "canvas" }));
     });
+
+    it("Harus me-render tanda tangan ketik dan menyimpan teks serta font-nya", async () => {
+      const typedSignature = { ...signatureData, method: "typed", signatureImageUrl: undefined, typedText: "  John   Doe ", typedFont: "great-vibes" };
+
+      await service.addPersonalSignature(userId, versionId, typedSignature, auditData);
+
+      const saved = mockSignatureRepository.create.mock.calls[0][0];
+      expect(saved).toMatchObject({ method: "typed", typedText: "John Doe", typedFont: "great-vibes" });
+      expect(saved.signatureImageUrl).toMatch(/^data:image\/png;base64,/);
+      expect(Buffer.from(saved.signatureImageUrl.split(",")[1], "base64").readUInt32BE(0)).toBe(0x89504e47);
+
+      const [, signaturesForPdf] = mockPdfService.generateSignedPdf.mock.calls[0];
+      expect(signaturesForPdf[0].signatureImageUrl).toBe(saved.signatureImageUrl);
+    });
+
+    it("Harus gunakan font default jika typedFont tidak dikirim", async () => {
+      await service.addPersonalSignature(userId, versionId, { ...signatureData, method: "typed", typedText: "John Doe" }, auditData);
+
+      expect(mockSignatureRepository.create).toHaveBeenCalledWith(expect.objectContaining({ typedFont: "dancing-script" }));
+    });
+
+    it("Harus throw InvalidTypedSignature sebelum membuat versi jika teks kosong atau font tidak dikenal", async () => {
+      await expect(service.addPersonalSignature(userId, versionId, { ...signatureData, method: "typed", typedText: "   " }, auditData)).rejects.toThrow("Teks tanda tangan wajib diisi");
+      await expect(service.addPersonalSignature(userId, versionId, { ...signatureData, method: "typed", typedText: "John", typedFont: "comic-sans" }, auditData)).rejects.toThrow("Gaya tanda tangan 'comic-sans' tidak tersedia");
+
+      expect(mockVersionRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("Harus menyimpan template tampilan, alasan, lokasi, dan zona waktu signer", async () => {
+      await service.addPersonalSignature(userId, versionId, { ...signatureData, appearanceTemplate: "detailed", reason: "  Menyetujui  ", location: "Bandung", timezone: "Asia/Makassar" }, auditData);
+
+      expect(mockSignatureRepository.create).toHaveBeenCalledWith(expect.objectContaining({ appearanceTemplate: "detailed", reason: "Menyetujui", location: "Bandung", timezone: "Asia/Makassar" }));
+      expect(mockPdfService.generateSignedPdf.mock.calls[0][1][0]).toMatchObject({ appearanceTemplate: "detailed", timezone: "Asia/Makassar" });
+    });
+
+    it("Harus throw InvalidAppearance jika template atau zona waktu tidak dikenal", async () => {
+      await expect(service.addPersonalSignature(userId, versionId, { ...signatureData, appearanceTemplate: "fancy" }, auditData)).rejects.toThrow("Template tampilan 'fancy' tidak tersedia");
+      await expect(service.addPersonalSignature(userId, versionId, { ...signatureData, timezone: "Mars/Olympus" }, auditData)).rejects.toThrow("Zona waktu 'Mars/Olympus' tidak valid");
+      await expect(service.addPersonalSignature(userId, versionId, { ...signatureData, reason: "x".repeat(101) }, auditData)).rejects.toThrow("maksimal 100 karakter");
+
+      expect(mockVersionRepository.create).not.toHaveBeenCalled();
+    });
+
+    describe("field non-tanda tangan", () => {
+      const box = { pageNumber: 1, positionX: 0.1, positionY: 0.8, width: 0.2, height: 0.05 };
+      let mockSignatureFieldRepository;
+
+      beforeEach(() => {
+        mockSignatureFieldRepository = { createMany: jest.fn().mockResolvedValue([]) };
+        service = new SignatureService(mockSignatureRepository, mockDocumentRepository, mockVersionRepository, mockPdfService, mockAuditService, mockUserService, mockSignatureFieldRepository);
+      });
+
+      it("Harus mengisi tanggal otomatis, merender paraf teks, dan menyimpan field ke versi baru", async () => {
+        const fields = [
+          { ...box, type: "date", dateFormat: "iso" },
+          { ...box, type: "initials", value: "JD" },
+          { ...box, type: "text", value: " Direktur ", label: "Jabatan" },
+          { ...box, type: "checkbox", value: true },
+        ];
+
+        await service.addPersonalSignature(userId, versionId, { ...signatureData, timezone: "Asia/Jayapura" }, auditData, { displayQrCode: true, fields });
+
+        const [saved] = mockSignatureFieldRepository.createMany.mock.calls[0];
+        expect(saved).toHaveLength(4);
+        expect(saved[0]).toMatchObject({ type: "date", signerId: userId, documentVersionId: "new-version-123" });
+        expect(saved[0].value).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(saved[1].value).toMatch(/^data:image\/png;base64,/);
+        expect(saved[2]).toMatchObject({ value: "Direktur", label: "Jabatan" });
+        expect(saved[3].value).toBe("true");
+
+        const [, , pdfOptions] = mockPdfService.generateSignedPdf.mock.calls[0];
+        expect(pdfOptions.fields.map((field) => field.value)).toEqual(saved.map((field) => field.value));
+      });
+
+      it("Harus throw InvalidField sebelum membuat versi jika field tidak valid", async () => {
+        const sign = (field) => service.addPersonalSignature(userId, versionId, signatureData, auditData, { fields: [field] });
+
+        await expect(sign({ ...box, type: "stamp" })).rejects.toThrow("tipe field harus salah satu dari");
+        await expect(sign({ ...box, type: "text", positionX: 0.9 })).rejects.toThrow("berada di dalam halaman");
+        await expect(sign({ ...box, type: "text", value: "" })).rejects.toThrow("teks wajib diisi");
+        await expect(sign({ ...box, type: "checkbox", value: "yes" })).rejects.toThrow("nilai checkbox harus true atau false");
+        await expect(sign({ ...box, type: "initials", value: "Terlalu Panjang" })).rejects.toThrow("paraf harus berupa gambar");
+
+        expect(mockVersionRepository.create).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("paraf di setiap halaman", () => {
+      it("Harus merender paraf teks dan meneruskannya ke PDF dengan default anchor & ukuran", async () => {
+        await service.addPersonalSignature(userId, versionId, signatureData, auditData, { displayQrCode: true, repeatInitials: { value: "JD", toPage: 3 } });
+
+        const [, , pdfOptions] = mockPdfService.generateSignedPdf.mock.calls[0];
+        expect(pdfOptions.repeatInitials).toEqual([{ value: expect.stringMatching(/^data:image\/png;base64,/), anchor: "bottom-right", margin: 24, width: 72, height: 36, fromPage: 1, toPage: 3 }]);
+      });
+
+      it("Harus throw InvalidField sebelum membuat versi jika konfigurasi paraf tidak valid", async () => {
+        const sign = (repeatInitials) => service.addPersonalSignature(userId, versionId, signatureData, auditData, { repeatInitials });
+
+        await expect(sign({ value: "JD", anchor: "middle" })).rejects.toThrow("Posisi paraf berulang harus salah satu dari");
+        await expect(sign({ value: "JD", fromPage: 3, toPage: 2 })).rejects.toThrow("Rentang halaman paraf berulang tidak valid");
+        await expect(sign({ value: "JD", width: 1000 })).rejects.toThrow("Ukuran paraf berulang");
+        await expect(sign({})).rejects.toThrow("Paraf berulang harus berupa gambar");
+
+        expect(mockVersionRepository.create).not.toHaveBeenCalled();
+      });
+    });
   });
 
   // ==========================================================================
@@ -0,0 +1,257 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import forge from "node-forge";
+import { PDFDocument } from "pdf-lib";
+import { SignPdf } from "node-signpdf";
+import { plainAddPlaceholder } from "node-signpdf/dist/helpers/index.js";
+import { SignatureValidationService, loadTrustStore } from "../../src/services/signatureValidationService.js";
+import { CertificateService } from "../../src/services/certificateService.js";
+import { TimestampService, LocalTimestampAuthority } from "../../src/services/timestampService.js";
+import { findPdfSignatures, parseCms, replaceSignatureContents } from "../../src/utils/pdfSignatureHelper.js";
+
+const { asn1 } = forge;
+
+/**
+ * Membuat P12 CA sistem (self-signed) untuk kebutuhan test.
+ */
+const createSystemP12 = (passphrase, commonName = "Signify System") => {
+  const { privateKey: privateKeyPem, publicKey: publicKeyPem } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  });
+  const privateKey = forge.pki.privateKeyFromPem(privateKeyPem);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+  cert.serialNumber = "01";
+  cert.validity.notBefore = new Date(Date.now() - 1000);
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const attrs = [{ name: "commonName", value: commonName }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.setExtensions([{ name: "basicConstraints", cA: true }]);
+  cert.sign(privateKey, forge.md.sha256.create());
+
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(privateKey, [cert], passphrase, { algorithm: "3des" });
+  return { p12Buffer: Buffer.from(asn1.toDer(p12Asn1).getBytes(), "binary"), cert };
+};
+
+/** Menambahkan satu revisi tanda tangan atas nama signer. */
+const signAs = (certificateService, p12Buffer, pdfBuffer, name) => {
+  const issued = certificateService.issueSignerCertificate(p12Buffer, "secret", { name, email: `${name.toLowerCase()}@mail.com` });
+  const withPlaceholder = plainAddPlaceholder({ pdfBuffer, reason: "Test", name, location: "Bandung", signatureLength: 32768 });
+  return new SignPdf().sign(withPlaceholder, issued.p12Buffer, { passphrase: "secret" });
+};
+
+const createPdf = async () => {
+  const doc = await PDFDocument.create();
+  doc.addPage();
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+};
+
+/** Menambahkan incremental update (objek + xref + trailer) yang strukturnya valid. */
+const appendUpdate = (pdfBuffer, objects) => {
+  const text = pdfBuffer.toString("latin1");
+  const trailer = text.slice(text.lastIndexOf("trailer"));
+  const size = Number(/\/Size\s+(\d+)/.exec(trailer)[1]);
+  const root = /\/Root\s+(\d+\s+\d+\s+R)/.exec(trailer)[1];
+  const startXref = /startxref\s+(\d+)/.exec(text.slice(text.lastIndexOf("startxref")))[1];
+
+  let offset = pdfBuffer.length;
+  const rows = ["xref", "0 1", "0000000000 65535 f "];
+  const chunks = objects.map(([number, body]) => {
+    const chunk = `\n${number} 0 obj\n${body}\nendobj\n`;
+    rows.push(`${number} 1`, `${String(offset + 1).padStart(10, "0")} 00000 n `);
+    offset += chunk.length;
+    return chunk;
+  });
+  const newSize = Math.max(size, ...objects.map(([number]) => number + 1));
+
+  return Buffer.concat([pdfBuffer, Buffer.from(`${chunks.join("")}${rows.join("\n")}\ntrailer\n<< /Size ${newSize} /Root ${root} /Prev ${startXref} >>\nstartxref\n${offset}\n%%EOF`, "latin1")]);
+};
+
+describe("SignatureValidationService", () => {
+  let systemP12;
+  let certificateService;
+  let service;
+  let signedPdf;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    systemP12 = createSystemP12("secret");
+    certificateService = new CertificateService();
+    signedPdf = signAs(certificateService, systemP12.p12Buffer, await createPdf(), "Budi");
+  });
+
+  beforeEach(() => {
+    process.env.CERT_FILE_PATH = "./tidak-ada.p12";
+    process.env.CERT_BASE64 = systemP12.p12Buffer.toString("base64");
+    process.env.CERT_PASSWORD = "secret";
+    delete process.env.TRUST_STORE_PATH;
+
+    service = new SignatureValidationService([new crypto.X509Certificate(forge.pki.certificateToPem(systemP12.cert))]);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe("validatePdf", () => {
+    it("Harus return VALID untuk PDF yang ditandatangani sertifikat terpercaya", () => {
+      const result = service.validatePdf(signedPdf);
+
+      expect(result.status).toBe("VALID");
+      expect(result.signatureCount).toBe(1);
+
+      const [revision] = result.revisions;
+      expect(revision).toMatchObject({
+        revision: 1,
+        name: "Budi",
+        isDigestMatch: true,
+        isSignatureValid: true,
+        isIntact: true,
+        isTrusted: true,
+        isCertificateValidAtSigningTime: true,
+        coversWholeDocument: true,
+        appendedAfterSigning: false,
+        modifiedAfterSigning: false,
+        timestamp: null,
+        errors: [],
+      });
+      expect(revision.signer.subject).toContain("CN=Budi");
+      expect(revision.certificateChain).toHaveLength(2);
+      expect(revision.signingTime).toBeInstanceOf(Date);
+    });
+
+    it("Harus return UNSIGNED untuk PDF tanpa tanda tangan", async () => {
+      const result = service.validatePdf(await createPdf());
+
+      expect(result.status).toBe("UNSIGNED");
+      expect(result.revisions).toEqual([]);
+    });
+
+    it("Harus return BROKEN jika byte di dalam ByteRange diubah", () => {
+      const tampered = Buffer.from(signedPdf);
+      tampered[10] ^= 0xff; // komentar biner di header PDF
+
+      const result = service.validatePdf(tampered);
+
+      expect(result.status).toBe("BROKEN");
+      expect(result.message).toContain("revisi #1");
+      expect(result.revisions[0].isDigestMatch).toBe(false);
+      expect(result.revisions[0].isIntact).toBe(false);
+    });
+
+    it("Harus return BROKEN (bukan throw) jika CMS valid secara ASN.1 tetapi tidak memiliki SignerInfo", () => {
+      const [signature] = findPdfSignatures(signedPdf);
+      const { contentInfo, signedData } = parseCms(signature.cms);
+      signedData.value[signedData.value.length - 1].value = []; // SET signerInfos kosong
+      const malformedCms = Buffer.from(asn1.toDer(contentInfo).getBytes(), "binary");
+
+      const result = service.validatePdf(replaceSignatureContents(signedPdf, signature, malformedCms));
+
+      expect(result.status).toBe("BROKEN");
+      expect(result.revisions[0].isIntact).toBe(false);
+      expect(result.revisions[0].errors[0]).toContain("Struktur PKCS#7 tidak valid");
+    });
+
+    it("Harus return MODIFIED jika ada incremental update non-signature setelah penandatanganan", () => {
+      const appended = Buffer.concat([signedPdf, Buffer.from("\n99 0 obj\n<< /Type /Annot /Subtype /Text >>\nendobj\ntrailer\n<< >>\n%%EOF", "latin1")]);
+
+      const result = service.validatePdf(appended);
+
+      expect(result.status).toBe("MODIFIED");
+      expect(result.revisions[0]).toMatchObject({
+        isIntact: true,
+        coversWholeDocument: false,
+        appendedAfterSigning: true,
+        appendedUpdates: ["OTHER"],
+        modifiedAfterSigning: true,
+      });
+    });
+
+    it("Harus return MODIFIED jika update berisi DSS tetapi juga menulis ulang objek halaman", () => {
+      const text = signedPdf.toString("latin1");
+      const [, pageNumber, pageBody] = [...text.matchAll(/(\d+) 0 obj\s*(<<[^]*?\/Type \/Page\b[^]*?>>)\s*endobj/g)].pop();
+      const tampered = appendUpdate(signedPdf, [
+        [Number(pageNumber), pageBody.replace(/\/MediaBox\s*\[[^\]]*\]/, "/MediaBox [ 0 0 100 100 ]")],
+        [100, "<< /Type /DSS /Certs [] >>"],
+      ]);
+
+      const result = service.validatePdf(tampered);
+
+      expect(result.status).toBe("MODIFIED");
+      expect(result.revisions[0]).toMatchObject({ isIntact: true, appendedUpdates: ["OTHER"], modifiedAfterSigning: true });
+    });
+
+    it("Harus return UNTRUSTED jika CA penerbit tidak ada di trust store", () => {
+      const otherCa = createSystemP12("secret", "CA Lain");
+      service = new SignatureValidationService([new crypto.X509Certificate(forge.pki.certificateToPem(otherCa.cert))]);
+
+      const result = service.validatePdf(signedPdf);
+
+      expect(result.status).toBe("UNTRUSTED");
+      expect(result.revisions[0].isIntact).toBe(true);
+      expect(result.revisions[0].isTrusted).toBe(false);
+    });
+
+    it("Harus melaporkan setiap revisi pada dokumen multi-signer", () => {
+      const twoSigners = signAs(certificateService, systemP12.p12Buffer, signedPdf, "Siti");
+
+      const result = service.validatePdf(twoSigners);
+
+      expect(result.status).toBe("VALID");
+      expect(result.revisions.map((revision) => revision.name)).toEqual(["Budi", "Siti"]);
+      expect(result.revisions[0]).toMatchObject({ isIntact: true, coversWholeDocument: false, appendedUpdates: ["SIGNATURE"], modifiedAfterSigning: false });
+      expect(result.revisions[1]).toMatchObject({ isIntact: true, coversWholeDocument: true, appendedUpdates: [] });
+    });
+
+    it("Harus memverifikasi timestamp dan menganggap DSS sebagai data validasi", async () => {
+      const timestampService = new TimestampService(new LocalTimestampAuthority(certificateService));
+      const stamped = await timestampService.stampLatestSignature(signedPdf);
+      const withDss = timestampService.appendValidationData(stamped, { crls: [certificateService.createCrl(systemP12.p12Buffer, "secret")] });
+
+      const result = service.validatePdf(withDss);
+
+      expect(result.status).toBe("VALID");
+      expect(result.revisions[0].appendedUpdates).toEqual(["VALIDATION_DATA"]);
+      expect(result.revisions[0].timestamp).toMatchObject({ isValid: true, isTrusted: true, errors: [] });
+      expect(result.revisions[0].timestamp.authority).toContain("Signify Local TSA");
+      expect(result.revisions[0].timestamp.time).toBeInstanceOf(Date);
+    });
+  });
+
+  describe("loadTrustStore", () => {
+    it("Harus memuat sertifikat sistem dari P12", () => {
+      const anchors = loadTrustStore(certificateService);
+
+      expect(anchors).toHaveLength(1);
+      expect(anchors[0].subject).toContain("CN=Signify System");
+    });
+
+    it("Harus memuat sertifikat tambahan dari TRUST_STORE_PATH", () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "trust-store-"));
+      const otherCa = createSystemP12("secret", "CA Lain");
+      fs.writeFileSync(path.join(dir, "ca.pem"), forge.pki.certificateToPem(otherCa.cert));
+      fs.writeFileSync(path.join(dir, "readme.txt"), "bukan sertifikat");
+      process.env.TRUST_STORE_PATH = dir;
+
+      const anchors = loadTrustStore(certificateService);
+
+      expect(anchors.map((cert) => cert.subject)).toEqual([expect.stringContaining("CN=CA Lain"), expect.stringContaining("CN=Signify System")]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Harus tetap berjalan (warning) jika trust store tidak dapat dimuat", () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      process.env.TRUST_STORE_PATH = "./tidak-ada-trust-store";
+      delete process.env.CERT_BASE64;
+
+      expect(loadTrustStore(certificateService)).toEqual([]);
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      warnSpy.mockRestore();
+    });
+  });
+});
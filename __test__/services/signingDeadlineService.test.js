@@ -0,0 +1,155 @@
+import { jest } from "@jest/globals";
+import { SigningDeadlineService, parseReminderHours } from "../../src/services/signingDeadlineService.js";
+
+describe("SigningDeadlineService", () => {
+  let service;
+  let mockSignerRepository;
+  let mockIo;
+  let mockEmit;
+  let mockSendNotification;
+
+  const now = new Date("2025-06-10T08:00:00Z");
+  const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  const buildSigner = (overrides = {}) => ({
+    id: "gds-1",
+    userId: "user-1",
+    deadline: null,
+    remindersSent: 0,
+    user: { id: "user-1", name: "Budi", phoneNumber: "08123" },
+    document: { id: "doc-1", title: "Kontrak", groupId: 7, signingDeadline: hoursFromNow(30), group: { name: "Legal" } },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockSignerRepository = {
+      findPendingWithDeadline: jest.fn().mockResolvedValue([]),
+      markReminderSent: jest.fn().mockResolvedValue({}),
+      markAsExpired: jest.fn((ids) => Promise.resolve({ count: ids.length })),
+      countPendingBeforeOrder: jest.fn().mockResolvedValue(0),
+    };
+    mockEmit = jest.fn();
+    mockIo = { to: jest.fn(() => ({ emit: mockEmit })) };
+    mockSendNotification = jest.fn().mockResolvedValue();
+
+    service = new SigningDeadlineService(mockSignerRepository, mockIo, mockSendNotification, [48, 24]);
+  });
+
+  describe("constructor", () => {
+    it("Harus throw error jika repository tidak disediakan", () => {
+      expect(() => new SigningDeadlineService()).toThrow("Group document signer repository harus disediakan.");
+    });
+  });
+
+  describe("parseReminderHours", () => {
+    it("Harus mengabaikan nilai tidak valid dan mengurutkan dari jam terbesar", () => {
+      expect(parseReminderHours("2, 72,abc,24,-1,24")).toEqual([72, 24, 2]);
+    });
+  });
+
+  describe("processDeadlines", () => {
+    it("Harus hanya mengambil tenggat yang masuk jendela pengingat terjauh", async () => {
+      await service.processDeadlines(now);
+
+      expect(mockSignerRepository.findPendingWithDeadline).toHaveBeenCalledTimes(1);
+      expect(mockSignerRepository.findPendingWithDeadline).toHaveBeenCalledWith(hoursFromNow(48), { take: 500, afterId: null });
+    });
+
+    it("Harus memproses semua batch sampai habis", async () => {
+      const fullBatch = Array.from({ length: 500 }, (_, index) => buildSigner({ id: `gds-${String(index).padStart(3, "0")}`, remindersSent: 1 }));
+      const lastBatch = [buildSigner({ id: "gds-900", deadline: hoursFromNow(-1) })];
+      mockSignerRepository.findPendingWithDeadline.mockResolvedValueOnce(fullBatch).mockResolvedValueOnce(lastBatch);
+
+      const result = await service.processDeadlines(now);
+
+      expect(mockSignerRepository.findPendingWithDeadline).toHaveBeenCalledTimes(2);
+      expect(mockSignerRepository.findPendingWithDeadline).toHaveBeenLastCalledWith(hoursFromNow(48), { take: 500, afterId: "gds-499" });
+      expect(mockSignerRepository.markAsExpired).toHaveBeenCalledWith(["gds-900"]);
+      expect(result.expired).toBe(1);
+    });
+
+    it("Harus mengirim pengingat pertama saat tenggat dokumen kurang dari 48 jam", async () => {
+      mockSignerRepository.findPendingWithDeadline.mockResolvedValue([buildSigner()]);
+
+      const result = await service.processDeadlines(now);
+
+      expect(mockSendNotification).toHaveBeenCalledWith("08123", expect.stringContaining("Kontrak"));
+      expect(mockSignerRepository.markReminderSent).toHaveBeenCalledWith("gds-1", 1);
+      expect(result).toEqual({ reminded: 1, expired: 0, failed: 0 });
+    });
+
+    it("Harus tidak mengingatkan signer di tahap yang belum aktif pada tanda tangan berurutan", async () => {
+      mockSignerRepository.findPendingWithDeadline.mockResolvedValue([
+        buildSigner({ id: "gds-1", order: 1 }),
+        buildSigner({ id: "gds-2", userId: "user-2", order: 2, user: { id: "user-2", name: "Sari", phoneNumber: "08456" } }),
+        buildSigner({ id: "gds-3", userId: "user-3", order: 2, user: { id: "user-3", name: "Andi", phoneNumber: "08789" } }),
+      ]);
+      mockSignerRepository.countPendingBeforeOrder.mockResolvedValue(1);
+
+      const result = await service.processDeadlines(now);
+
+      expect(mockSignerRepository.countPendingBeforeOrder).toHaveBeenCalledTimes(1);
+      expect(mockSignerRepository.countPendingBeforeOrder).toHaveBeenCalledWith("doc-1", 2);
+      expect(mockSendNotification).toHaveBeenCalledTimes(1);
+      expect(mockSendNotification).toHaveBeenCalledWith("08123", expect.any(String));
+      expect(mockSignerRepository.markReminderSent).not.toHaveBeenCalledWith("gds-2", expect.anything());
+      expect(result).toEqual({ reminded: 1, expired: 0, failed: 0 });
+    });
+
+    it("Harus mengingatkan signer di tahap berikutnya setelah tahap sebelumnya selesai", async () => {
+      mockSignerRepository.findPendingWithDeadline.mockResolvedValue([buildSigner({ order: 2 })]);
+
+      const result = await service.processDeadlines(now);
+
+      expect(mockSendNotification).toHaveBeenCalledWith("08123", expect.stringContaining("Kontrak"));
+      expect(result.reminded).toBe(1);
+    });
+
+    it("Harus tidak mengirim ulang pengingat yang sudah terkirim", async () => {
+      mockSignerRepository.findPendingWithDeadline.mockResolvedValue([buildSigner({ remindersSent: 1 })]);
+
+      const result = await service.processDeadlines(now);
+
+      expect(mockSendNotification).not.toHaveBeenCalled();
+      expect(result.reminded).toBe(0);
+    });
+
+    it("Harus memakai tenggat signer dibanding tenggat dokumen", async () => {
+      mockSignerRepository.findPendingWithDeadline.mockResolvedValue([buildSigner({ deadline: hoursFromNow(72) })]);
+
+      await service.processDeadlines(now);
+
+      expect(mockSendNotification).not.toHaveBeenCalled();
+    });
+
+    it("Harus menandai permintaan yang lewat tenggat sebagai EXPIRED dan memberi tahu room grup", async () => {
+      mockSignerRepository.findPendingWithDeadline.mockResolvedValue([
+        buildSigner({ deadline: hoursFromNow(-1) }),
+        buildSigner({ id: "gds-2", userId: "user-2", deadline: hoursFromNow(-2) }),
+      ]);
+
+      const result = await service.processDeadlines(now);
+
+      expect(mockSignerRepository.markAsExpired).toHaveBeenCalledWith(["gds-1", "gds-2"]);
+      expect(mockSendNotification).not.toHaveBeenCalled();
+      expect(mockIo.to).toHaveBeenCalledWith("group_7");
+      expect(mockEmit).toHaveBeenCalledTimes(1);
+      expect(mockEmit).toHaveBeenCalledWith("group_document_update", expect.objectContaining({ action: "signers_expired", documentId: "doc-1", userIds: ["user-1", "user-2"] }));
+      expect(result).toEqual({ reminded: 0, expired: 2, failed: 0 });
+    });
+
+    it("Harus melanjutkan signer lain jika pengiriman pengingat gagal", async () => {
+      mockSendNotification.mockRejectedValueOnce(new Error("WA down"));
+      mockSignerRepository.findPendingWithDeadline.mockResolvedValue([buildSigner(), buildSigner({ id: "gds-2", userId: "user-2" })]);
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const result = await service.processDeadlines(now);
+
+      expect(mockSignerRepository.markReminderSent).toHaveBeenCalledTimes(1);
+      expect(mockSignerRepository.markReminderSent).toHaveBeenCalledWith("gds-2", 1);
+      expect(result).toEqual({ reminded: 1, expired: 0, failed: 1 });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { jest } from "@jest/globals";
+import { TagService } from "../../src/services/tagService.js";
+import TagError from "../../src/errors/TagError.js";
+import CommonError from "../../src/errors/CommonError.js";
+
+describe("TagService", () => {
+  let service;
+  let mockTagRepository;
+  let mockDocumentRepository;
+  let mockGroupMemberRepository;
+
+  const userId = "user-1";
+  const tags = [
+    { id: "tag-1", name: "Urgent", color: "#E53935", userId, groupId: null },
+    { id: "tag-2", name: "Review", color: null, userId, groupId: null },
+    { id: "tag-g", name: "Legal", color: null, userId: "user-2", groupId: 7 },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockTagRepository = {
+      create: jest.fn((data) => Promise.resolve({ id: "tag-new", ...data })),
+      findById: jest.fn((id) => Promise.resolve(tags.find((tag) => tag.id === id) || null)),
+      findManyByIds: jest.fn((ids) => Promise.resolve(tags.filter((tag) => ids.includes(tag.id)))),
+      findAllByScope: jest.fn().mockResolvedValue(tags.slice(0, 2).map((tag) => ({ ...tag, _count: { documents: 3 } }))),
+      update: jest.fn((id, data) => Promise.resolve({ id, ...data })),
+      deleteById: jest.fn().mockResolvedValue(),
+      addToDocuments: jest.fn().mockResolvedValue(2),
+      removeFromDocuments: jest.fn().mockResolvedValue(1),
+    };
+    mockDocumentRepository = {
+      findManyByIds: jest.fn().mockResolvedValue([{ id: "doc-1", userId, groupId: null }]),
+    };
+    mockGroupMemberRepository = {
+      findByGroupAndUser: jest.fn(),
+    };
+
+    service = new TagService(mockTagRepository, mockDocumentRepository, mockGroupMemberRepository);
+  });
+
+  describe("constructor", () => {
+    it("Harus throw error jika dependency tidak lengkap", () => {
+      expect(() => new TagService()).toThrow("Tag repository, document repository, dan group member repository harus disediakan.");
+    });
+  });
+
+  describe("listTags", () => {
+    it("Harus mengembalikan tag personal beserta jumlah dokumennya", async () => {
+      const result = await service.listTags(userId);
+
+      expect(mockTagRepository.findAllByScope).toHaveBeenCalledWith({ userId, groupId: null });
+      expect(result[0]).toEqual({ ...tags[0], documentCount: 3 });
+      expect(result[0]).not.toHaveProperty("_count");
+    });
+  });
+
+  describe("createTag", () => {
+    it("Harus membuat tag personal", async () => {
+      await service.createTag(userId, { name: " Kontrak ", color: "#1E88E5" });
+
+      expect(mockTagRepository.create).toHaveBeenCalledWith({ name: "Kontrak", color: "#1E88E5", userId, groupId: null });
+    });
+
+    it("Harus throw DuplicateName jika nama tag sudah ada (case-insensitive)", async () => {
+      await expect(service.createTag(userId, { name: "urgent" })).rejects.toMatchObject({ code: "TAG_NAME_EXISTS", statusCode: 409 });
+    });
+
+    it("Harus menolak signer membuat tag grup", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(service.createTag(userId, { name: "Legal", groupId: 7 })).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe("updateTag & deleteTag", () => {
+    it("Harus mengizinkan mengganti nama tag menjadi nama yang sama dengan huruf berbeda", async () => {
+      await service.updateTag(userId, "tag-1", { name: "URGENT", color: null });
+
+      expect(mockTagRepository.update).toHaveBeenCalledWith("tag-1", { name: "URGENT", color: null });
+    });
+
+    it("Harus menganggap tag personal milik user lain tidak ditemukan", async () => {
+      await expect(service.deleteTag("user-3", "tag-1")).rejects.toThrow(TagError);
+      expect(mockTagRepository.deleteById).not.toHaveBeenCalled();
+    });
+
+    it("Harus mengizinkan admin_group menghapus tag grup", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "admin_group" });
+
+      await service.deleteTag(userId, "tag-g");
+
+      expect(mockTagRepository.deleteById).toHaveBeenCalledWith("tag-g");
+    });
+  });
+
+  describe("assignTags & unassignTags", () => {
+    it("Harus memasang tag personal ke dokumen personal", async () => {
+      const result = await service.assignTags(userId, { documentIds: ["doc-1"], tagIds: ["tag-1", "tag-2", "tag-1"] });
+
+      expect(mockTagRepository.addToDocuments).toHaveBeenCalledWith(["doc-1"], ["tag-1", "tag-2"]);
+      expect(result).toEqual({ documentCount: 1, tagCount: 2, affected: 2 });
+    });
+
+    it("Harus throw NotFound jika ada tag yang tidak ditemukan", async () => {
+      await expect(service.assignTags(userId, { documentIds: ["doc-1"], tagIds: ["tag-x"] })).rejects.toMatchObject({ code: "TAG_NOT_FOUND" });
+    });
+
+    it("Harus menolak campuran tag personal dan tag grup", async () => {
+      await expect(service.assignTags(userId, { documentIds: ["doc-1"], tagIds: ["tag-1", "tag-g"] })).rejects.toMatchObject({ code: "TAG_SCOPE_MISMATCH" });
+    });
+
+    it("Harus menolak tag grup dipasang ke dokumen personal", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+
+      await expect(service.assignTags(userId, { documentIds: ["doc-1"], tagIds: ["tag-g"] })).rejects.toMatchObject({ code: "TAG_SCOPE_MISMATCH" });
+      expect(mockTagRepository.addToDocuments).not.toHaveBeenCalled();
+    });
+
+    it("Harus melepas tag grup dari dokumen grup untuk role signer", async () => {
+      mockGroupMemberRepository.findByGroupAndUser.mockResolvedValue({ role: "signer" });
+      mockDocumentRepository.findManyByIds.mockResolvedValue([{ id: "doc-g", userId: "user-2", groupId: 7 }]);
+
+      const result = await service.unassignTags(userId, { documentIds: ["doc-g"], tagIds: ["tag-g"] });
+
+      expect(mockTagRepository.removeFromDocuments).toHaveBeenCalledWith(["doc-g"], ["tag-g"]);
+      expect(result.affected).toBe(1);
+    });
+
+    it("Harus throw BadRequest jika daftar tag kosong", async () => {
+      await expect(service.unassignTags(userId, { documentIds: ["doc-1"], tagIds: [] })).rejects.toThrow(CommonError);
+    });
+  });
+});
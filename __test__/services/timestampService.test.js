@@ -0,0 +1,268 @@
+import crypto from "crypto";
+import axios from "axios";
+import forge from "node-forge";
+import { PDFDocument, PDFName } from "pdf-lib";
+import { SignPdf } from "node-signpdf";
+import { plainAddPlaceholder } from "node-signpdf/dist/helpers/index.js";
+import { TimestampService, LocalTimestampAuthority, HttpTimestampAuthority, createTimestampAuthority, buildTimestampRequest, parseTimestampResponse } from "../../src/services/timestampService.js";
+import { CertificateService } from "../../src/services/certificateService.js";
+import { findPdfSignatures, parseCms, getCmsAttribute, OID_SIGNATURE_TIMESTAMP_TOKEN } from "../../src/utils/pdfSignatureHelper.js";
+import CommonError from "../../src/errors/CommonError.js";
+
+jest.mock("axios");
+
+const { asn1 } = forge;
+
+/**
+ * Membuat P12 CA sistem (self-signed) untuk kebutuhan test.
+ */
+const createSystemP12 = (passphrase) => {
+  const { privateKey: privateKeyPem, publicKey: publicKeyPem } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  });
+  const privateKey = forge.pki.privateKeyFromPem(privateKeyPem);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+  cert.serialNumber = "01";
+  cert.validity.notBefore = new Date(Date.now() - 1000);
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const attrs = [{ name: "commonName", value: "Signify System" }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.setExtensions([{ name: "basicConstraints", cA: true }]);
+  cert.sign(privateKey, forge.md.sha256.create());
+
+  const p12Asn1 = forge.pkcs12.toPkcs12Asn1(privateKey, [cert], passphrase, { algorithm: "3des" });
+  return { p12Buffer: Buffer.from(asn1.toDer(p12Asn1).getBytes(), "binary"), cert };
+};
+
+/** Membaca TSTInfo dari TimeStampToken. */
+const readTstInfo = (tokenDer) => {
+  const { signedData } = parseCms(tokenDer);
+  const eContent = signedData.value[2].value[1].value[0].value;
+  return asn1.fromDer(forge.util.createBuffer(eContent));
+};
+
+/** Membuat PDF 1 halaman yang sudah ditandatangani (tanpa timestamp). */
+const createSignedPdf = async (certificateService, p12Buffer) => {
+  const doc = await PDFDocument.create();
+  doc.addPage();
+  const pdf = Buffer.from(await doc.save({ useObjectStreams: false }));
+
+  const issued = certificateService.issueSignerCertificate(p12Buffer, "secret", { name: "Budi", email: "budi@mail.com" });
+  const withPlaceholder = plainAddPlaceholder({ pdfBuffer: pdf, reason: "Test", name: "Budi", location: "Bandung", signatureLength: 32768 });
+  return new SignPdf().sign(withPlaceholder, issued.p12Buffer, { passphrase: "secret" });
+};
+
+describe("TimestampService", () => {
+  let systemP12;
+  let certificateService;
+  let localTsa;
+  const originalEnv = { ...process.env };
+
+  beforeAll(() => {
+    systemP12 = createSystemP12("secret");
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CERT_FILE_PATH = "./tidak-ada.p12";
+    process.env.CERT_BASE64 = systemP12.p12Buffer.toString("base64");
+    process.env.CERT_PASSWORD = "secret";
+    delete process.env.TSA_URL;
+
+    certificateService = new CertificateService();
+    localTsa = new LocalTimestampAuthority(certificateService);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe("LocalTimestampAuthority", () => {
+    it("Harus menghasilkan timestamp token dengan message imprint sesuai digest", async () => {
+      const digest = crypto.createHash("sha256").update("data").digest();
+
+      const token = await localTsa.timestamp(digest);
+
+      const tstInfo = readTstInfo(token);
+      expect(asn1.derToOid(tstInfo.value[1].value)).toBe("0.4.0.2023.1.1");
+      expect(Buffer.from(tstInfo.value[2].value[1].value, "binary").equals(digest)).toBe(true);
+      expect(tstInfo.value[4].type).toBe(asn1.Type.GENERALIZEDTIME);
+    });
+
+    it("Harus menandatangani token dengan sertifikat TSA yang diterbitkan CA sistem", async () => {
+      const token = await localTsa.timestamp(crypto.createHash("sha256").update("data").digest());
+
+      const { certificates, signerInfo } = parseCms(token);
+      const tsaCert = forge.pki.certificateFromAsn1(asn1.fromDer(asn1.toDer(certificates[0])));
+      expect(tsaCert.subject.getField("CN").value).toBe("Signify Local TSA");
+      expect(tsaCert.getExtension("extKeyUsage").timeStamping).toBe(true);
+      expect(systemP12.cert.verify(tsaCert)).toBe(true);
+
+      // Signature atas signedAttrs (di-encode sebagai SET) valid
+      const signedAttrs = signerInfo.value.find((node) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+      const signedAttrsSet = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttrs.value);
+      const signatureValue = signerInfo.value.find((node) => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.OCTETSTRING).value;
+      const verified = crypto.verify("sha256", Buffer.from(asn1.toDer(signedAttrsSet).getBytes(), "binary"), forge.pki.certificateToPem(tsaCert), Buffer.from(signatureValue, "binary"));
+      expect(verified).toBe(true);
+    });
+
+    it("Harus menerbitkan sertifikat TSA sekali saja (di-cache)", async () => {
+      const spy = jest.spyOn(certificateService, "issueTimestampCertificate");
+      const digest = crypto.createHash("sha256").update("data").digest();
+
+      await localTsa.timestamp(digest);
+      await localTsa.timestamp(digest);
+
+      expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    it("Harus menolak request dengan algoritma hash selain SHA-256", () => {
+      const sha1Request = asn1.toDer(
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer("1.3.14.3.2.26").getBytes())]),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, "x".repeat(20)),
+          ]),
+        ])
+      ).getBytes();
+
+      const response = localTsa.handleRequest(Buffer.from(sha1Request, "binary"));
+
+      expect(() => parseTimestampResponse(response, Buffer.alloc(20), "n")).toThrow("ditolak TSA (status 2: Algoritma hash tidak didukung)");
+    });
+  });
+
+  describe("parseTimestampResponse", () => {
+    it("Harus throw jika nonce token tidak cocok dengan request", () => {
+      const digest = crypto.createHash("sha256").update("data").digest();
+      const response = localTsa.handleRequest(buildTimestampRequest(digest, "\x01\x02"));
+
+      expect(() => parseTimestampResponse(response, digest, "\x01\x03")).toThrow("Nonce timestamp token tidak cocok");
+    });
+
+    it("Harus throw jika imprint token tidak sesuai digest", () => {
+      const digest = crypto.createHash("sha256").update("data").digest();
+      const response = localTsa.handleRequest(buildTimestampRequest(digest, "\x01\x02"));
+
+      expect(() => parseTimestampResponse(response, crypto.createHash("sha256").update("lain").digest(), "\x01\x02")).toThrow("tidak sesuai dengan data");
+    });
+
+    it("Harus throw InternalServerError jika respons bukan DER", () => {
+      expect(() => parseTimestampResponse(Buffer.from("bukan-der"), Buffer.alloc(32), "\x01")).toThrow(CommonError);
+    });
+  });
+
+  describe("HttpTimestampAuthority", () => {
+    it("Harus mengirim TimeStampReq ke TSA_URL dan mengembalikan token", async () => {
+      axios.post.mockImplementation(async (url, body) => ({ data: localTsa.handleRequest(body) }));
+      const httpTsa = new HttpTimestampAuthority("https://tsa.example.com", { username: "u", password: "p" });
+      const digest = crypto.createHash("sha256").update("data").digest();
+
+      const token = await httpTsa.timestamp(digest);
+
+      expect(axios.post).toHaveBeenCalledWith(
+        "https://tsa.example.com",
+        expect.any(Buffer),
+        expect.objectContaining({
+          headers: { "Content-Type": "application/timestamp-query" },
+          responseType: "arraybuffer",
+          auth: { username: "u", password: "p" },
+        })
+      );
+      expect(Buffer.from(readTstInfo(token).value[2].value[1].value, "binary").equals(digest)).toBe(true);
+    });
+
+    it("Harus throw ServiceUnavailable jika TSA tidak bisa dihubungi", async () => {
+      axios.post.mockRejectedValue(new Error("ECONNREFUSED"));
+      const httpTsa = new HttpTimestampAuthority("https://tsa.example.com");
+
+      await expect(httpTsa.timestamp(Buffer.alloc(32))).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe("createTimestampAuthority", () => {
+    it("Harus memakai TSA lokal jika TSA_URL tidak diset", () => {
+      expect(createTimestampAuthority(certificateService)).toBeInstanceOf(LocalTimestampAuthority);
+    });
+
+    it("Harus memakai TSA HTTP jika TSA_URL diset", () => {
+      process.env.TSA_URL = "https://tsa.example.com";
+
+      const tsa = createTimestampAuthority(certificateService);
+
+      expect(tsa).toBeInstanceOf(HttpTimestampAuthority);
+      expect(tsa.url).toBe("https://tsa.example.com");
+    });
+  });
+
+  describe("stampLatestSignature", () => {
+    it("Harus menyisipkan signature-time-stamp token tanpa mengubah ByteRange", async () => {
+      const signedPdf = await createSignedPdf(certificateService, systemP12.p12Buffer);
+      const [before] = findPdfSignatures(signedPdf);
+      const timestampService = new TimestampService(localTsa);
+
+      const result = await timestampService.stampLatestSignature(signedPdf);
+
+      const [after] = findPdfSignatures(result);
+      expect(result.length).toBe(signedPdf.length);
+      expect(after.byteRange).toEqual(before.byteRange);
+      // Byte yang ditandatangani tetap sama
+      expect(result.subarray(0, before.byteRange[1]).equals(signedPdf.subarray(0, before.byteRange[1]))).toBe(true);
+      expect(result.subarray(before.byteRange[2]).equals(signedPdf.subarray(before.byteRange[2]))).toBe(true);
+
+      // Token dibuat atas nilai signature
+      const { signerInfo } = parseCms(after.cms);
+      const token = getCmsAttribute(signerInfo, 1, OID_SIGNATURE_TIMESTAMP_TOKEN);
+      expect(token).not.toBeNull();
+      const signatureValue = signerInfo.value.find((node) => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.OCTETSTRING).value;
+      const tstInfo = readTstInfo(Buffer.from(asn1.toDer(token).getBytes(), "binary"));
+      expect(Buffer.from(tstInfo.value[2].value[1].value, "binary").equals(crypto.createHash("sha256").update(Buffer.from(signatureValue, "binary")).digest())).toBe(true);
+    });
+
+    it("Harus throw InternalServerError jika PDF belum ditandatangani", async () => {
+      const doc = await PDFDocument.create();
+      doc.addPage();
+      const timestampService = new TimestampService(localTsa);
+
+      await expect(timestampService.stampLatestSignature(Buffer.from(await doc.save()))).rejects.toThrow("Signature PDF tidak ditemukan");
+    });
+
+    it("Harus meneruskan error dari TSA", async () => {
+      const signedPdf = await createSignedPdf(certificateService, systemP12.p12Buffer);
+      const timestampService = new TimestampService({ timestamp: jest.fn().mockRejectedValue(CommonError.ServiceUnavailable("TSA down")) });
+
+      await expect(timestampService.stampLatestSignature(signedPdf)).rejects.toThrow("TSA down");
+    });
+  });
+
+  describe("appendValidationData", () => {
+    it("Harus menambahkan DSS berisi sertifikat dan CRL sebagai incremental update", async () => {
+      const timestampService = new TimestampService(localTsa);
+      const signedPdf = await timestampService.stampLatestSignature(await createSignedPdf(certificateService, systemP12.p12Buffer));
+      const crl = certificateService.createCrl(systemP12.p12Buffer, "secret");
+
+      const result = timestampService.appendValidationData(signedPdf, { crls: [crl] });
+
+      // Revisi sebelumnya utuh
+      expect(result.subarray(0, signedPdf.length).equals(signedPdf)).toBe(true);
+
+      const doc = await PDFDocument.load(result);
+      const dss = doc.context.lookup(doc.catalog.get(PDFName.of("DSS")));
+      // Signer + CA sistem + TSA (duplikat CA sistem dihapus)
+      expect(dss.lookup(PDFName.of("Certs")).size()).toBe(3);
+      expect(dss.lookup(PDFName.of("CRLs")).size()).toBe(1);
+      expect(doc.getPageCount()).toBe(1);
+    });
+
+    it("Harus throw InternalServerError jika trailer PDF tidak valid", () => {
+      const timestampService = new TimestampService(localTsa);
+
+      expect(() => timestampService.appendValidationData(Buffer.from("bukan pdf"))).toThrow("Gagal menambahkan DSS");
+    });
+  });
+});
@@ -41,12 +41,23 @@ import { PrismaPackageRepository } from "./repository/prisma/PrismaPackageReposi
 import { PrismaHistoryRepository } from "./repository/prisma/PrismaHistoryRepository.js";
 import { PrismaAuditLogRepository } from "./repository/prisma/PrismaAuditLogRepository.js";
 import { PrismaGroupSignatureRepository } from "./repository/prisma/PrismaGroupSignatureRepository.js";
+import { PrismaSignatureFieldRepository } from "./repository/prisma/PrismaSignatureFieldRepository.js";
+import { PrismaFolderRepository } from "./repository/prisma/PrismaFolderRepository.js";
+import { PrismaTagRepository } from "./repository/prisma/PrismaTagRepository.js";
+import { PrismaExternalSigningTokenRepository } from "./repository/prisma/PrismaExternalSigningTokenRepository.js";
 
 import { AuthService } from "./services/authService.js";
 import { UserService } from "./services/userService.js";
 import { DocumentService } from "./services/documentService.js";
 import { SignatureService } from "./services/signatureService.js";
 import { PDFService } from "./services/pdfService.js";
+import { CertificateService } from "./services/certificateService.js";
+import { TimestampService, createTimestampAuthority } from "./services/timestampService.js";
+import { SignatureValidationService, loadTrustStore } from "./services/signatureValidationService.js";
+import { DocumentConversionService } from "./services/documentConversionService.js";
+import { DocumentPreviewService } from "./services/documentPreviewService.js";
+import { DocumentCompareService } from "./services/documentCompareService.js";
+import { DocumentSearchService } from "./services/documentSearchService.js";
 import { AdminService } from "./services/adminService.js";
 import { GroupService } from "./services/groupService.js";
 import { PackageService } from "./services/packageService.js";
@@ -56,6 +67,11 @@ import { AuditService } from "./services/auditService.js";
 import { aiService } from "./services/aiService.js";
 import { GroupSignatureService } from "./services/groupSignatureService.js";
 import { PaymentService } from "./services/paymentService.js";
+import { FolderService } from "./services/folderService.js";
+import { TagService } from "./services/tagService.js";
+import { DocumentTrashService } from "./services/documentTrashService.js";
+import { SigningDeadlineService } from "./services/signingDeadlineService.js";
+import { ExternalSigningService } from "./services/externalSigningService.js";
 
 import { createAuthController } from "./controllers/authController.js";
 import { createUserController } from "./controllers/userController.js";
@@ -68,6 +84,10 @@ import { createDashboardController } from "./controllers/dashboardController.js"
 import { createHistoryController } from "./controllers/historyController.js";
 import { createGroupSignatureController } from "./controllers/groupSignatureController.js";
 import { createPaymentController } from "./controllers/paymentController.js";
+import { createFolderController } from "./controllers/folderController.js";
+import { createTagController } from "./controllers/tagController.js";
+import { createTrashController } from "./controllers/trashController.js";
+import { createExternalSigningController } from "./controllers/externalSigningController.js";
 
 import createAuthRoutes from "./routes/authRoutes.js";
 import createUserRoutes from "./routes/userRoutes.js";
@@ -80,6 +100,10 @@ import { createPackageRoutes } from "./routes/packageRoutes.js";
 import createDashboardRoutes from "./routes/dashboardRoutes.js";
 import { createHistoryRoutes } from "./routes/historyRoutes.js";
 import createPaymentRoutes from "./routes/paymentRoutes.js";
+import createFolderRoutes from "./routes/folderRoutes.js";
+import createTagRoutes from "./routes/tagRoutes.js";
+import createTrashRoutes from "./routes/trashRoutes.js";
+import createExternalSigningRoutes from "./routes/externalSigningRoutes.js";
 
 // Cron Jobs
 import { initAllCronJobs } from "./cron/index.js";
@@ -156,6 +180,7 @@ const corsOptions = {
     "Cache-Control",
     "Set-Cookie", // ✅ PENTING: Allow Set-Cookie header
     "Cookie", // ✅ PENTING: Allow Cookie header
+    "X-Signing-Session", // Sesi penanda tangan eksternal
   ],
   exposedHeaders: [
     "Set-Cookie", // ✅ PENTING: Expose Set-Cookie header ke frontend
@@ -248,6 +273,10 @@ const dashboardRepository = new PrismaDashboardRepository(prisma);
 const historyRepository = new PrismaHistoryRepository(prisma);
 const auditRepository = new PrismaAuditLogRepository(prisma);
 const prismaGroupSignatureRepository = new PrismaGroupSignatureRepository(prisma);
+const signatureFieldRepository = new PrismaSignatureFieldRepository(prisma);
+const folderRepository = new PrismaFolderRepository(prisma);
+const tagRepository = new PrismaTagRepository(prisma);
+const externalSigningTokenRepository = new PrismaExternalSigningTokenRepository(prisma);
 
 const dashboardService = new DashboardService(dashboardRepository, groupDocumentSignerRepository);
 const authService = new AuthService(authRepository);
@@ -256,13 +285,20 @@ const adminService = new AdminService(adminRepository, auditService);
 const historyService = new HistoryService(historyRepository);
 const userService = new UserService(userRepository, avatarStorage);
 
-const pdfService = new PDFService(versionRepository, signatureRepository, fileStorage);
+const certificateService = new CertificateService();
+const timestampService = new TimestampService(createTimestampAuthority(certificateService));
+const pdfService = new PDFService(versionRepository, signatureRepository, fileStorage, certificateService, timestampService);
+const signatureValidationService = new SignatureValidationService(loadTrustStore(certificateService));
+const documentSearchService = new DocumentSearchService(versionRepository, documentRepository);
 
-const signatureService = new SignatureService(signatureRepository, documentRepository, versionRepository, pdfService, auditService, userService);
+const signatureService = new SignatureService(signatureRepository, documentRepository, versionRepository, pdfService, auditService, userService, signatureFieldRepository, documentSearchService);
 
-const groupSignatureService = new GroupSignatureService(prismaGroupSignatureRepository, groupDocumentSignerRepository, documentRepository, versionRepository, groupMemberRepository, pdfService, auditService);
+const groupSignatureService = new GroupSignatureService(prismaGroupSignatureRepository, groupDocumentSignerRepository, documentRepository, versionRepository, groupMemberRepository, pdfService, auditService, signatureFieldRepository);
 
-const documentService = new DocumentService(documentRepository, versionRepository, signatureRepository, fileStorage, pdfService, groupMemberRepository, groupDocumentSignerRepository, aiService, prismaGroupSignatureRepository, userService);
+const documentConversionService = new DocumentConversionService();
+const documentPreviewService = new DocumentPreviewService(fileStorage);
+const documentCompareService = new DocumentCompareService(fileStorage);
+const documentService = new DocumentService(documentRepository, versionRepository, signatureRepository, fileStorage, pdfService, groupMemberRepository, groupDocumentSignerRepository, aiService, prismaGroupSignatureRepository, userService, documentConversionService, documentPreviewService, documentCompareService, documentSearchService);
 const groupService = new GroupService(
   groupRepository,
   groupMemberRepository,
@@ -274,12 +310,21 @@ const groupService = new GroupService(
   pdfService,
   prismaGroupSignatureRepository,
   io,
-  userService
+  userService,
+  documentConversionService,
+  signatureFieldRepository,
+  documentService,
+  documentSearchService
 );
 
-const packageService = new PackageService(packageRepository, documentRepository, versionRepository, pdfService, auditService, userService);
+const packageService = new PackageService(packageRepository, documentRepository, versionRepository, pdfService, auditService, userService, signatureFieldRepository, documentSearchService);
 
 const paymentService = new PaymentService();
+const folderService = new FolderService(folderRepository, documentRepository, groupMemberRepository);
+const tagService = new TagService(tagRepository, documentRepository, groupMemberRepository);
+const documentTrashService = new DocumentTrashService(documentRepository, versionRepository, fileStorage, groupMemberRepository, auditService);
+const signingDeadlineService = new SigningDeadlineService(groupDocumentSignerRepository, io);
+const externalSigningService = new ExternalSigningService(groupDocumentSignerRepository, externalSigningTokenRepository, prismaGroupSignatureRepository, documentRepository, groupMemberRepository, fileStorage, auditService, io, signatureFieldRepository);
 
 /**
  * Controllers
@@ -289,12 +334,16 @@ const userController = createUserController(userService);
 const adminController = createAdminController(adminService);
 const documentController = createDocumentController(documentService, signatureRepository, fileStorage, io);
 const groupSignatureController = createGroupSignatureController(groupSignatureService, groupService, io);
-const signatureController = createSignatureController(documentService, signatureService, packageService, groupSignatureService);
+const signatureController = createSignatureController(documentService, signatureService, packageService, groupSignatureService, signatureValidationService);
 const groupController = createGroupController(groupService);
 const packageController = createPackageController(packageService);
 const dashboardController = createDashboardController(dashboardService);
 const historyController = createHistoryController(historyService);
 const paymentController = createPaymentController(paymentService);
+const folderController = createFolderController(folderService);
+const tagController = createTagController(tagService);
+const trashController = createTrashController(documentTrashService);
+const externalSigningController = createExternalSigningController(externalSigningService, groupService, io);
 
 /**
  * ======================================================
@@ -324,12 +373,16 @@ app.use("/api/users", createUserRoutes(userController, adminController));
 app.use("/api/admin", createAdminRoutes(adminController));
 app.use("/api/documents", createDocumentRoutes(documentController));
 app.use("/api/signatures", createSignatureRoutes(signatureController));
-app.use("/api/groups", createGroupRoutes(groupController));
+app.use("/api/groups", createGroupRoutes(groupController, externalSigningController));
 app.use("/api/packages", createPackageRoutes(packageController));
 app.use("/api/dashboard", createDashboardRoutes(dashboardController));
 app.use("/api/history", createHistoryRoutes(historyController));
 app.use("/api/group-signatures", createGroupSignatureRoutes(groupSignatureController));
 app.use("/api/payments", createPaymentRoutes(paymentController));
+app.use("/api/folders", createFolderRoutes(folderController));
+app.use("/api/tags", createTagRoutes(tagController));
+app.use("/api/trash", createTrashRoutes(trashController));
+app.use("/api/external-signing", createExternalSigningRoutes(externalSigningController));
 app.use("/api/health", (req, res) => {
   res.status(200).json({ status: "ok", timestamp: new Date() });
 });
@@ -357,7 +410,7 @@ const port = process.env.PORT || 3000;
 const server = httpServer.listen(port, () => {
   logger.info(`Server berjalan pada http://localhost:${port} (WebSocket Ready)`);
   // Initialize all cron jobs after server starts
-  initAllCronJobs();
+  initAllCronJobs({ documentTrashService, documentService, signingDeadlineService });
 });
 
 server.keepAliveTimeout = 65000;
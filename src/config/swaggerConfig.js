@@ -121,11 +121,15 @@ const swaggerConfig = {
     "./src/docs/swagger/signature.swagger.js",
     "./src/docs/swagger/group.swagger.js",
     "./src/docs/swagger/groupSignature.swagger.js",
+    "./src/docs/swagger/externalSigning.swagger.js",
     "./src/docs/swagger/package.swagger.js",
     "./src/docs/swagger/payment.swagger.js",
     "./src/docs/swagger/admin.swagger.js",
     "./src/docs/swagger/dashboard.swagger.js",
     "./src/docs/swagger/history.swagger.js",
+    "./src/docs/swagger/folder.swagger.js",
+    "./src/docs/swagger/tag.swagger.js",
+    "./src/docs/swagger/trash.swagger.js",
   ],
 };
 
@@ -1,5 +1,20 @@
 import asyncHandler from "../utils/asyncHandler.js";
 import { runPremiumExpiryCheck } from "../cron/premiumExpiryJob.js";
+import { parseListQuery, setPaginationHeaders } from "../utils/pagination.js";
+
+const USER_LIST_QUERY = {
+  sortFields: ["createdAt", "updatedAt", "name", "email"],
+  defaultSortBy: "createdAt",
+  filters: ["status", "dateFrom", "dateTo"],
+  allowedValues: { status: ["FREE", "PREMIUM"] },
+};
+
+const ADMIN_DOCUMENT_LIST_QUERY = {
+  sortFields: ["createdAt", "updatedAt", "title", "status"],
+  defaultSortBy: "createdAt",
+  filters: ["status", "type", "groupId", "dateFrom", "dateTo", "trashed"],
+  allowedValues: { status: ["draft", "pending", "finalizing", "completed", "archived"], trashed: ["true", "false"] },
+};
 
 /**
  * Membuat instance AdminController dengan dependency injection.
@@ -8,25 +23,37 @@ import { runPremiumExpiryCheck } from "../cron/premiumExpiryJob.js";
 export const createAdminController = (adminService) => {
   return {
     /**
-     * @description Mengambil daftar semua user di sistem
+     * @description Mengambil daftar user di sistem per halaman
      * Proses:
-     * 1. Query semua user dari database
-     * 2. Return list dengan count total
-     * 3. Tidak ada filter/search (basic list)
+     * 1. Validasi query pagination, sorting, dan filter
+     * 2. Query user dari database sesuai filter
+     * 3. Return list dengan count total & metadata pagination (juga di header X-Total-Count & X-Page-Count)
      * @route GET /api/admin/users
      * @access Admin only
      * @security cookieAuth: []
-     * @returns {200} Daftar semua user dengan count
+     * @param {number} [page=1] - Nomor halaman (query)
+     * @param {number} [limit=20] - Jumlah data per halaman, maks. 100 (query)
+     * @param {string} [sortBy=createdAt] - createdAt, updatedAt, name, email (query)
+     * @param {string} [sortOrder=desc] - asc | desc (query)
+     * @param {string} [status] - Filter status langganan: FREE | PREMIUM (query)
+     * @param {string} [dateFrom] - Tanggal daftar paling awal, ISO 8601 (query)
+     * @param {string} [dateTo] - Tanggal daftar paling akhir, ISO 8601 (query)
+     * @returns {200} Daftar user dengan count total
+     * @error {400} Parameter query tidak valid
      * @error {401} User tidak authenticated
      * @error {403} User bukan admin
      * @error {500} Server error
      */
     getAllUsers: asyncHandler(async (req, res) => {
-      const users = await adminService.getAllUsers();
+      const listOptions = parseListQuery(req.query, USER_LIST_QUERY);
+      const { data, meta } = await adminService.getAllUsers(listOptions);
+
+      setPaginationHeaders(res, meta);
       res.status(200).json({
         success: true,
-        count: users.length,
-        data: users,
+        count: meta.total,
+        data,
+        pagination: meta,
       });
     }),
 
@@ -191,26 +218,40 @@ export const createAdminController = (adminService) => {
     }),
 
     /**
-     * @description Mengambil semua dokumen di sistem untuk moderasi
+     * @description Mengambil dokumen di sistem untuk moderasi per halaman
      * Proses:
-     * 1. Query semua dokumen dari database (dengan owner info)
-     * 2. Return list dokumen dengan metadata
-     * 3. Tidak ada filter, fetch semua untuk moderation review
+     * 1. Validasi query pagination, sorting, dan filter
+     * 2. Query dokumen dari database (dengan owner info)
+     * 3. Return list dokumen dengan count total & metadata pagination (juga di header X-Total-Count & X-Page-Count)
      * @route GET /api/admin/documents
      * @access Admin only
      * @security cookieAuth: []
-     * @returns {200} Daftar semua dokumen dengan count
+     * @param {number} [page=1] - Nomor halaman (query)
+     * @param {number} [limit=20] - Jumlah data per halaman, maks. 100 (query)
+     * @param {string} [sortBy=createdAt] - createdAt, updatedAt, title, status (query)
+     * @param {string} [sortOrder=desc] - asc | desc (query)
+     * @param {string} [status] - Filter status dokumen (query)
+     * @param {string} [type] - Filter tipe dokumen (query)
+     * @param {string} [groupId] - Filter ID grup, atau `personal` untuk dokumen non-grup (query)
+     * @param {string} [dateFrom] - Tanggal dibuat paling awal, ISO 8601 (query)
+     * @param {string} [dateTo] - Tanggal dibuat paling akhir, ISO 8601 (query)
+     * @param {string} [trashed=false] - `true` untuk menampilkan dokumen di tempat sampah (query)
+     * @returns {200} Daftar dokumen dengan count total
+     * @error {400} Parameter query tidak valid
      * @error {401} User tidak authenticated
      * @error {403} User bukan admin
      * @error {500} Server error
      */
     getAllDocuments: asyncHandler(async (req, res) => {
-      const documents = await adminService.getAllDocuments();
+      const listOptions = parseListQuery(req.query, ADMIN_DOCUMENT_LIST_QUERY);
+      const { data, meta } = await adminService.getAllDocuments(listOptions);
 
+      setPaginationHeaders(res, meta);
       res.status(200).json({
         success: true,
-        count: documents.length,
-        data: documents,
+        count: meta.total,
+        data,
+        pagination: meta,
       });
     }),
 
@@ -249,6 +290,36 @@ export const createAdminController = (adminService) => {
       });
     }),
 
+    /**
+     * @description Admin memulihkan dokumen dari tempat sampah
+     * Proses:
+     * 1. Validasi documentId parameter
+     * 2. Pulihkan dokumen yang masih dalam masa retensi tempat sampah (termasuk hasil force delete)
+     * 3. Create Audit Log RESTORE_DOCUMENT
+     * 4. Return success message
+     * @route POST /api/admin/documents/:documentId/restore
+     * @access Admin only
+     * @security cookieAuth: []
+     * @param {string} documentId - ID dokumen yang akan dipulihkan (path param)
+     * @returns {200} Dokumen berhasil dipulihkan
+     * @error {401} User tidak authenticated
+     * @error {403} User bukan admin
+     * @error {404} Dokumen tidak ada di tempat sampah (belum dihapus atau sudah dihapus permanen)
+     * @error {500} Server error
+     */
+    restoreDocument: asyncHandler(async (req, res) => {
+      const { documentId } = req.params;
+      const adminId = req.user.id;
+
+      const result = await adminService.restoreDocument(adminId, documentId, req);
+
+      res.status(200).json({
+        success: true,
+        message: "Dokumen berhasil dipulihkan dari tempat sampah.",
+        data: result,
+      });
+    }),
+
     /**
      * @description Admin manually trigger premium expiry cron job (untuk testing/emergency)
      * Proses:
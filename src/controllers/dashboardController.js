@@ -1,5 +1,8 @@
 import asyncHandler from "../utils/asyncHandler.js";
 import CommonError from "../errors/CommonError.js";
+import { parseFilterQuery } from "../utils/pagination.js";
+
+const DASHBOARD_FILTERS = ["folderId", "tagId"];
 
 /**
  * Membuat instance DashboardController.
@@ -20,10 +23,13 @@ export const createDashboardController = (dashboardService) => {
      *    - Pending signatures: Tanda tangan yang menunggu action
      *    - Statistics: Total dokumen, signature, completion rate, dll
      * 4. Return dashboard summary dalam format terstruktur
+     * Query opsional `folderId` (UUID atau `root`) dan `tagId` (UUID dipisah koma) membatasi ringkasan
+     * pada dokumen di folder / dengan tag tersebut.
      * @route GET /api/dashboard
      * @access Private - Require cookie authentication
      * @security cookieAuth: []
      * @returns {200} Dashboard summary dengan recentDocuments, pendingSignatures, statistics
+     * @error {400} Parameter folderId / tagId tidak valid
      * @error {401} User tidak terautentikasi
      * @error {500} Server error
      */
@@ -35,8 +41,10 @@ export const createDashboardController = (dashboardService) => {
         throw CommonError.Unauthorized("User tidak terautentikasi.");
       }
 
+      const filters = parseFilterQuery(req.query, DASHBOARD_FILTERS);
+
       // Panggil Service
-      const summary = await dashboardService.getDashboardSummary(userId);
+      const summary = await dashboardService.getDashboardSummary(userId, filters);
 
       // Kirim Response Standar
       res.status(200).json({
@@ -1,6 +1,15 @@
 import asyncHandler from "../utils/asyncHandler.js";
 import { aiService } from "../services/aiService.js";
 import { PDFDocument } from "pdf-lib";
+import { parseListQuery, setPaginationHeaders } from "../utils/pagination.js";
+
+/** Konfigurasi sorting & filter daftar dokumen user (GET /api/documents). */
+const DOCUMENT_LIST_QUERY = {
+  sortFields: ["relevance", "createdAt", "updatedAt", "title", "status"],
+  defaultSortBy: "createdAt",
+  filters: ["status", "type", "groupId", "dateFrom", "dateTo", "folderId", "tagId"],
+  allowedValues: { status: ["draft", "pending", "finalizing", "completed", "archived"] },
+};
 
 /**
  * Membuat instance Document Controller.
@@ -26,16 +35,42 @@ export const createDocumentController = (documentService, signatureRepository, f
       });
     }),
 
-    // ... triggers: getAllDocuments ...
+    /**
+     * @description Mengambil daftar dokumen personal & grup user per halaman
+     * Proses:
+     * 1. Validasi query pagination, sorting, dan filter
+     * 2. Service mengambil dokumen (termasuk hasil full-text search jika `search` diisi)
+     * 3. Return data + metadata pagination (juga di header X-Total-Count & X-Page-Count)
+     * @route GET /api/documents
+     * @access Private - Require cookie authentication
+     * @security cookieAuth: []
+     * @param {string} [search] - Kata kunci judul, tipe, atau isi dokumen (query)
+     * @param {number} [page=1] - Nomor halaman (query)
+     * @param {number} [limit=20] - Jumlah data per halaman, maks. 100 (query)
+     * @param {string} [sortBy] - relevance (default jika search diisi), createdAt, updatedAt, title, status (query)
+     * @param {string} [sortOrder=desc] - asc | desc (query)
+     * @param {string} [status] - Filter status dokumen (query)
+     * @param {string} [type] - Filter tipe dokumen (query)
+     * @param {string} [groupId] - Filter ID grup, atau `personal` untuk dokumen non-grup (query)
+     * @param {string} [dateFrom] - Tanggal dibuat paling awal, ISO 8601 (query)
+     * @param {string} [dateTo] - Tanggal dibuat paling akhir, ISO 8601 (query)
+     * @param {string} [folderId] - Filter ID folder, atau `root` untuk dokumen di luar folder (query)
+     * @param {string} [tagId] - Filter ID tag, dipisah koma; dokumen harus memiliki semua tag (query)
+     * @returns {200} Daftar dokumen
+     * @error {400} Parameter query tidak valid
+     */
     getAllDocuments: asyncHandler(async (req, res, next) => {
       const userId = req.user?.id;
       const search = req.query.search || "";
+      const listOptions = parseListQuery(req.query, { ...DOCUMENT_LIST_QUERY, defaultSortBy: search ? "relevance" : "createdAt" });
 
-      const documents = await documentService.getAllDocuments(userId, search);
+      const { data, meta } = await documentService.getAllDocuments(userId, search, listOptions);
 
+      setPaginationHeaders(res, meta);
       return res.status(200).json({
         status: "success",
-        data: documents,
+        data,
+        pagination: meta,
       });
     }),
 
@@ -83,7 +118,35 @@ export const createDocumentController = (documentService, signatureRepository, f
 
       return res.status(200).json({
         status: "success",
-        message: "Dokumen dan semua riwayatnya berhasil dihapus.",
+        message: "Dokumen berhasil dipindahkan ke tempat sampah.",
+      });
+    }),
+
+    // ... triggers: archiveDocument ...
+    archiveDocument: asyncHandler(async (req, res, next) => {
+      const { documentId } = req.params;
+      const userId = req.user?.id;
+
+      const document = await documentService.archiveDocument(documentId, userId);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Dokumen berhasil diarsipkan.",
+        data: document,
+      });
+    }),
+
+    // ... triggers: unarchiveDocument ...
+    unarchiveDocument: asyncHandler(async (req, res, next) => {
+      const { documentId } = req.params;
+      const userId = req.user?.id;
+
+      const document = await documentService.unarchiveDocument(documentId, userId);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Dokumen berhasil dikeluarkan dari arsip.",
+        data: document,
       });
     }),
 
@@ -151,21 +214,63 @@ export const createDocumentController = (documentService, signatureRepository, f
     }),
 
     /**
-     * @description Menghapus satu versi spesifik dari riwayat dokumen
+     * @description Mengunggah file revisi sebagai versi baru dari dokumen yang sama
+     * Proses:
+     * 1. Ambil documentId dari URL parameter, file dari Multer, dan keterangan perubahan dari body
+     * 2. Service memvalidasi akses, kuota versi, dan duplikasi file
+     * 3. File disimpan sebagai versi aktif baru (draft tanda tangan grup di versi lama dihapus)
+     * 4. Jika dokumen grup, kirim event socket ke room grup
+     * @route POST /api/documents/:documentId/versions
+     * @access Private - Require cookie authentication
+     * @security cookieAuth: []
+     * @param {string} documentId - Document ID (path parameter)
+     * @param {File} documentFile - File revisi PDF/Word (multipart)
+     * @param {string} description - Keterangan perubahan (multipart field)
+     * @returns {201} Dokumen dengan versi aktif yang baru
+     * @error {400} File/keterangan tidak valid atau dokumen terkunci
+     * @error {403} Bukan pemilik/Admin Grup atau batas versi tercapai
+     * @error {404} Dokumen tidak ditemukan
+     * @error {409} File identik dengan versi yang sudah ada
+     */
+    uploadNewVersion: asyncHandler(async (req, res, next) => {
+      const { documentId } = req.params;
+      const userId = req.user?.id;
+
+      const updatedDocument = await documentService.uploadNewVersion(documentId, userId, req.file, req.body.description);
+
+      if (updatedDocument.groupId && io) {
+        io.to(`group_${updatedDocument.groupId}`).emit("group_document_update", {
+          action: "new_version",
+          documentId: updatedDocument.id,
+          document: updatedDocument,
+          message: "Revisi baru dokumen telah diunggah.",
+          actorId: userId,
+          uploaderName: req.user?.name || "Admin",
+        });
+      }
+
+      return res.status(201).json({
+        status: "success",
+        message: "Revisi dokumen berhasil diunggah sebagai versi baru.",
+        data: updatedDocument,
+      });
+    }),
+
+    /**
+     * @description Memindahkan satu versi spesifik dari riwayat dokumen ke tempat sampah
      * Proses:
      * 1. Ambil documentId dan versionId dari URL parameter
      * 2. Ambil userId dari middleware authentication
      * 3. Validasi ownership dan version exists
      * 4. Prevent deleting current active version
-     * 5. Delete version file dari cloud storage
-     * 6. Delete version record dari database
-     * 7. Return success message
+     * 5. Tandai versi sebagai terhapus (file dihapus permanen oleh cron setelah masa retensi)
+     * 6. Return success message
      * @route DELETE /api/documents/:documentId/versions/:versionId
      * @access Private - Require cookie authentication
      * @security cookieAuth: []
      * @param {string} documentId - Document ID (path parameter)
      * @param {string} versionId - Version ID yang akan dihapus (path parameter)
-     * @returns {200} Versi dokumen berhasil dihapus
+     * @returns {200} Versi dokumen berhasil dipindahkan ke tempat sampah
      * @error {400} Tidak bisa menghapus current active version
      * @error {401} User tidak authenticated
      * @error {403} Akses ditolak
@@ -180,7 +285,7 @@ export const createDocumentController = (documentService, signatureRepository, f
 
       return res.status(200).json({
         status: "success",
-        message: "Versi dokumen berhasil dihapus.",
+        message: "Versi dokumen berhasil dipindahkan ke tempat sampah.",
       });
     }),
 
@@ -253,6 +358,155 @@ export const createDocumentController = (documentService, signatureRepository, f
       });
     }),
 
+    /**
+     * @description Mengambil gambar preview satu halaman dari versi dokumen
+     * Proses:
+     * 1. Ambil documentId, versionId, dan nomor halaman dari URL parameter
+     * 2. Ambil ukuran & format dari query (size, format)
+     * 3. Service memvalidasi akses, lalu mengambil preview dari cache atau me-render halaman
+     * 4. Kirim gambar biner; versi dokumen immutable sehingga boleh di-cache browser
+     * @route GET /api/documents/:documentId/versions/:versionId/pages/:page/preview
+     * @access Private - Require cookie authentication
+     * @security cookieAuth: []
+     * @param {string} documentId - Document ID (path parameter)
+     * @param {string} versionId - Version ID (path parameter)
+     * @param {number} page - Nomor halaman, mulai dari 1 (path parameter)
+     * @param {string} [size] - thumbnail, small, medium, atau large (query param)
+     * @param {string} [format] - webp atau png (query param)
+     * @returns {200} Gambar preview (image/webp atau image/png)
+     * @error {400} Ukuran atau format tidak valid
+     * @error {401} User tidak authenticated
+     * @error {404} Dokumen, versi, atau halaman tidak ditemukan
+     * @error {422} Halaman gagal di-render
+     */
+    getPagePreview: asyncHandler(async (req, res, next) => {
+      const { documentId, versionId, page } = req.params;
+      const userId = req.user?.id;
+      const { size, format } = req.query;
+
+      const preview = await documentService.getPagePreview(documentId, versionId, userId, page, { size, format });
+
+      res.set({
+        "Content-Type": preview.contentType,
+        "Cache-Control": "private, max-age=86400, immutable",
+        "X-Preview-Cache": preview.cached ? "HIT" : "MISS",
+      });
+      return res.status(200).send(preview.buffer);
+    }),
+
+    /**
+     * @description Membandingkan dua versi dokumen untuk melihat perubahan sebelum menandatangani
+     * Proses:
+     * 1. Ambil documentId dari URL parameter, ID versi & opsi visual dari query string
+     * 2. Service memvalidasi akses dan kepemilikan kedua versi
+     * 3. Return diff teks per halaman (dan overlay pixel-diff jika `visual=true`)
+     * @route GET /api/documents/:documentId/versions/compare
+     * @access Private - Require cookie authentication
+     * @security cookieAuth: []
+     * @param {string} documentId - Document ID (path parameter)
+     * @param {string} from - ID versi lama (query)
+     * @param {string} to - ID versi baru (query)
+     * @param {boolean} [visual] - Sertakan overlay pixel-diff (query)
+     * @param {string} [size] - Ukuran gambar overlay: thumbnail, small, medium, large (query)
+     * @param {string} [pages] - Halaman untuk diff visual, dipisah koma (query)
+     * @returns {200} Hasil perbandingan versi
+     * @error {400} Parameter perbandingan tidak valid
+     * @error {404} Dokumen atau versi tidak ditemukan
+     * @error {422} Versi gagal dibaca
+     */
+    compareVersions: asyncHandler(async (req, res, next) => {
+      const { documentId } = req.params;
+      const userId = req.user?.id;
+      const { from, to, visual, size, pages } = req.query;
+
+      const options = {
+        visual: visual === "true" || visual === "1",
+        size,
+        pages: pages ? String(pages).split(",").map((page) => page.trim()) : undefined,
+      };
+
+      const comparison = await documentService.compareVersions(documentId, userId, from, to, options);
+
+      return res.status(200).json({
+        status: "success",
+        data: comparison,
+      });
+    }),
+
+    /**
+     * @description Menerapkan operasi halaman ke versi aktif dokumen dan menyimpannya sebagai versi baru
+     * Proses:
+     * 1. Ambil documentId dari URL parameter, operasi & keterangan dari body
+     * 2. Service memvalidasi akses, status tanda tangan, dan batas versi
+     * 3. Operasi (delete, rotate, reorder, merge) diterapkan berurutan
+     * 4. Return dokumen dengan versi aktif yang baru
+     * @route POST /api/documents/:documentId/pages
+     * @access Private - Require cookie authentication
+     * @security cookieAuth: []
+     * @param {string} documentId - Document ID (path parameter)
+     * @param {object[]} operations - Daftar operasi halaman (request body)
+     * @param {string} [description] - Keterangan perubahan (request body)
+     * @returns {201} Dokumen dengan versi baru
+     * @error {400} Operasi tidak valid
+     * @error {403} Bukan pemilik/Admin Grup atau batas versi tercapai
+     * @error {404} Dokumen tidak ditemukan
+     * @error {409} Dokumen sudah ditandatangani
+     */
+    applyPageOperations: asyncHandler(async (req, res, next) => {
+      const { documentId } = req.params;
+      const userId = req.user?.id;
+      const { operations, description } = req.body;
+
+      const document = await documentService.applyPageOperations(documentId, userId, operations, description);
+
+      if (document.groupId && io) {
+        io.to(`group_${document.groupId}`).emit("group_document_update", {
+          action: "update_pages",
+          documentId: document.id,
+          document,
+          message: "Halaman dokumen diperbarui.",
+          actorId: userId,
+          uploaderName: req.user?.name || "Admin",
+        });
+      }
+
+      return res.status(201).json({
+        status: "success",
+        message: "Halaman dokumen berhasil diperbarui sebagai versi baru.",
+        data: document,
+      });
+    }),
+
+    /**
+     * @description Memecah dokumen menjadi beberapa dokumen baru berdasarkan rentang halaman
+     * Proses:
+     * 1. Ambil documentId dari URL parameter dan daftar rentang dari body
+     * 2. Service memvalidasi akses & status tanda tangan
+     * 3. Setiap rentang disimpan sebagai dokumen pribadi baru (dokumen asal tidak berubah)
+     * @route POST /api/documents/:documentId/split
+     * @access Private - Require cookie authentication
+     * @security cookieAuth: []
+     * @param {string} documentId - Document ID (path parameter)
+     * @param {object[]} parts - Rentang halaman { fromPage, toPage, title? } (request body)
+     * @returns {201} Daftar dokumen baru
+     * @error {400} Rentang tidak valid atau judul duplikat
+     * @error {403} Bukan pemilik/Admin Grup
+     * @error {404} Dokumen tidak ditemukan
+     * @error {409} Dokumen sudah ditandatangani
+     */
+    splitDocument: asyncHandler(async (req, res, next) => {
+      const { documentId } = req.params;
+      const userId = req.user?.id;
+
+      const documents = await documentService.splitDocument(documentId, userId, req.body.parts);
+
+      return res.status(201).json({
+        status: "success",
+        message: `Dokumen berhasil dipecah menjadi ${documents.length} dokumen.`,
+        data: documents,
+      });
+    }),
+
     /**
      * @description Menganalisis konten dokumen menggunakan AI
      * Proses:
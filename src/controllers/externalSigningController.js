@@ -0,0 +1,224 @@
+import asyncHandler from "../utils/asyncHandler.js";
+
+/**
+ * Helper IP Address
+ */
+const getRealIpAddress = (req) => {
+  const forwardedFor = req.headers["x-forwarded-for"];
+  if (forwardedFor && typeof forwardedFor === "string") {
+    return forwardedFor.split(",")[0].trim();
+  }
+  return req.ip || req.connection.remoteAddress;
+};
+
+/** Token sesi tanda tangan eksternal dikirim lewat header `X-Signing-Session`. */
+const getSessionToken = (req) => req.headers["x-signing-session"];
+
+/**
+ * @description Membuat controller penanda tangan eksternal (tanpa akun) untuk dokumen grup.
+ * @param {import("../services/externalSigningService.js").ExternalSigningService} externalSigningService
+ * @param {Object} groupService - Dipakai untuk finalisasi otomatis setelah penanda tangan terakhir.
+ * @param {Object} [io] - Socket.IO instance.
+ */
+export const createExternalSigningController = (externalSigningService, groupService, io) => {
+  return {
+    /**
+     * @description Mengundang penanda tangan eksternal ke dokumen grup.
+     * * **Proses Kode:**
+     * 1. Validasi `groupId` dan `documentId` dari parameter URL.
+     * 2. Mengambil `name`, `email` dan/atau `phoneNumber`, serta `deadline` (opsional) dari body.
+     * 3. Service memverifikasi bahwa requestor adalah admin grup atau pemilik dokumen.
+     * 4. Link tanda tangan sekali pakai dikirim lewat WhatsApp (jika ada nomor HP) atau email, dan dikembalikan di response.
+     * * @route   POST /groups/:groupId/documents/:documentId/external-signers
+     * @param {import("express").Request} req - Params: groupId, documentId. Body: { name, email?, phoneNumber?, deadline? }.
+     * @param {import("express").Response} res - Response object.
+     */
+    inviteExternalSigner: asyncHandler(async (req, res) => {
+      const groupId = parseInt(req.params.groupId, 10);
+      const { documentId } = req.params;
+      const { name, email, phoneNumber, deadline } = req.body;
+
+      const result = await externalSigningService.inviteExternalSigner(groupId, documentId, req.user.id, { name, email, phoneNumber, deadline }, req);
+
+      return res.status(201).json({
+        status: "success",
+        message: result.delivered ? "Penanda tangan eksternal diundang. Link tanda tangan telah dikirim." : "Penanda tangan eksternal diundang. Link gagal dikirim otomatis, bagikan link secara manual.",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description Mengirim ulang link tanda tangan ke penanda tangan eksternal (link & sesi lama dicabut).
+     * * @route   POST /groups/:groupId/documents/:documentId/external-signers/:signerId/resend
+     * @param {import("express").Request} req - Params: groupId, documentId, signerId.
+     * @param {import("express").Response} res - Response object.
+     */
+    resendSigningLink: asyncHandler(async (req, res) => {
+      const groupId = parseInt(req.params.groupId, 10);
+      const { documentId, signerId } = req.params;
+
+      const result = await externalSigningService.resendSigningLink(groupId, documentId, signerId, req.user.id);
+
+      return res.status(200).json({
+        status: "success",
+        message: result.delivered ? "Link tanda tangan baru telah dikirim." : "Link tanda tangan baru dibuat. Link gagal dikirim otomatis, bagikan link secara manual.",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description Menghapus penanda tangan eksternal yang belum menandatangani.
+     * * @route   DELETE /groups/:groupId/documents/:documentId/external-signers/:signerId
+     * @param {import("express").Request} req - Params: groupId, documentId, signerId.
+     * @param {import("express").Response} res - Response object.
+     */
+    removeExternalSigner: asyncHandler(async (req, res) => {
+      const groupId = parseInt(req.params.groupId, 10);
+      const { documentId, signerId } = req.params;
+
+      const document = await externalSigningService.removeExternalSigner(groupId, documentId, signerId, req.user.id);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Penanda tangan eksternal dihapus.",
+        data: document,
+      });
+    }),
+
+    /**
+     * @description [PUBLIC] Membuka sesi tanda tangan dari link sekali pakai dan mengirim kode OTP.
+     * @route POST /api/external-signing/session
+     * @param {string} token - Token dari link tanda tangan (body).
+     * @returns {201} Token sesi (kirim di header `X-Signing-Session`) dan tujuan OTP yang disamarkan
+     */
+    openSession: asyncHandler(async (req, res) => {
+      const auditData = {
+        ipAddress: getRealIpAddress(req),
+        userAgent: req.headers["user-agent"],
+      };
+
+      const result = await externalSigningService.openSession(req.body.token, auditData);
+
+      return res.status(201).json({
+        status: "success",
+        message: result.otpDelivered ? "Kode OTP telah dikirim." : "Sesi tanda tangan dibuka, tetapi kode OTP gagal dikirim. Silakan minta kode OTP baru.",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description [PUBLIC] Mengirim ulang kode OTP sesi tanda tangan.
+     * @route POST /api/external-signing/session/otp
+     */
+    requestOtp: asyncHandler(async (req, res) => {
+      const result = await externalSigningService.requestOtp(getSessionToken(req));
+
+      return res.status(200).json({
+        status: "success",
+        message: "Kode OTP baru telah dikirim.",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description [PUBLIC] Memverifikasi kode OTP sesi tanda tangan.
+     * @route POST /api/external-signing/session/verify-otp
+     * @param {string} code - Kode OTP 6 digit (body).
+     */
+    verifyOtp: asyncHandler(async (req, res) => {
+      const result = await externalSigningService.verifyOtp(getSessionToken(req), req.body.code);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Kode OTP terverifikasi.",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description [PUBLIC] Mengambil dokumen sesi tanda tangan (butuh OTP terverifikasi).
+     * @route GET /api/external-signing/session/document
+     */
+    getSigningDocument: asyncHandler(async (req, res) => {
+      const result = await externalSigningService.getSigningDocument(getSessionToken(req));
+
+      return res.status(200).json({
+        status: "success",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description [PUBLIC] Penanda tangan eksternal menandatangani dokumen sesi.
+     * Proses:
+     * 1. Ambil token sesi dari header `X-Signing-Session` (OTP harus sudah terverifikasi)
+     * 2. Validasi signature data (image, position, page number)
+     * 3. Simpan tanda tangan beserta IP, user agent, data verifikasi OTP, dan field (tanggal, paraf, teks, checkbox)
+     * 4. Beri tahu anggota grup lewat socket room `group_{groupId}` (action `signature_added`); jika tahap urutan selesai, emit `signing_turn` untuk tahap berikutnya
+     * 5. Jika semua signer selesai dan finalisasi otomatis aktif, jalankan finalisasi di background
+     * @route POST /api/external-signing/session/sign
+     */
+    signDocument: asyncHandler(async (req, res) => {
+      const { signatureImageUrl, typedText, typedFont, appearanceTemplate, reason, location, timezone, positionX, positionY, pageNumber, width, height, method, fields, repeatInitials } = req.body;
+
+      if (!signatureImageUrl && method !== "typed") return res.status(400).json({ status: "fail", message: "Data gambar tanda tangan wajib diisi." });
+
+      const auditData = {
+        ipAddress: getRealIpAddress(req),
+        userAgent: req.headers["user-agent"],
+      };
+
+      const signatureData = {
+        signatureImageUrl,
+        typedText,
+        typedFont,
+        appearanceTemplate,
+        reason,
+        location,
+        timezone,
+        positionX,
+        positionY,
+        pageNumber,
+        width,
+        height,
+        method,
+        fields,
+        repeatInitials,
+      };
+
+      const result = await externalSigningService.signDocument(getSessionToken(req), signatureData, auditData, req);
+
+      if (result.groupId && io) {
+        io.to(`group_${result.groupId}`).emit("group_document_update", {
+          action: "signature_added",
+          documentId: result.documentId,
+          actorId: null,
+          message: `${result.signerName} (penanda tangan eksternal) telah menandatangani dokumen.`,
+        });
+
+        if (result.nextStage) {
+          io.to(`group_${result.groupId}`).emit("group_document_update", {
+            action: "signing_turn",
+            documentId: result.documentId,
+            order: result.nextStage.order,
+            signerIds: result.nextStage.signerIds,
+            message: `Tahap ${result.nextStage.order} sekarang dapat menandatangani dokumen.`,
+          });
+        }
+      }
+
+      // Finalisasi otomatis (jika diaktifkan untuk dokumen/grup) berjalan di background; hasilnya dikirim lewat socket
+      const autoFinalizing = result.readyToFinalize ? await groupService.scheduleAutoFinalize(result.documentId) : false;
+
+      return res.status(200).json({
+        status: "success",
+        message: result.message,
+        data: {
+          remainingSigners: result.remainingSigners,
+          readyToFinalize: result.readyToFinalize,
+          autoFinalizing,
+        },
+      });
+    }),
+  };
+};
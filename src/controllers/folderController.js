@@ -0,0 +1,105 @@
+import asyncHandler from "../utils/asyncHandler.js";
+
+/**
+ * Membuat instance FolderController.
+ * @param {import('../services/folderService.js').FolderService} folderService - Service folder dokumen.
+ * @returns {object} Kumpulan method controller untuk folder.
+ */
+export const createFolderController = (folderService) => {
+  return {
+    /**
+     * @description Mengambil pohon folder personal user, atau folder grup jika query `groupId` diisi.
+     * @route   GET /api/folders
+     * @param {import("express").Request} req - Query: groupId (opsional).
+     * @param {import("express").Response} res - Response object.
+     */
+    getFolders: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const groupId = req.query.groupId ? Number(req.query.groupId) : null;
+
+      const folders = await folderService.listFolders(userId, groupId);
+
+      return res.status(200).json({
+        status: "success",
+        data: folders,
+      });
+    }),
+
+    /**
+     * @description Membuat folder baru (personal, grup, atau sub-folder dari `parentId`).
+     * @route   POST /api/folders
+     * @param {import("express").Request} req - Body: name, parentId (opsional), groupId (opsional).
+     * @param {import("express").Response} res - Response object.
+     */
+    createFolder: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { name, parentId = null, groupId = null } = req.body;
+
+      const folder = await folderService.createFolder(userId, { name, parentId, groupId });
+
+      return res.status(201).json({
+        status: "success",
+        message: "Folder berhasil dibuat.",
+        data: folder,
+      });
+    }),
+
+    /**
+     * @description Mengganti nama folder dan/atau memindahkannya ke parent lain (`parentId: null` = root).
+     * @route   PATCH /api/folders/:folderId
+     * @param {import("express").Request} req - Params: folderId, Body: name, parentId.
+     * @param {import("express").Response} res - Response object.
+     */
+    updateFolder: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { folderId } = req.params;
+      const { name, parentId } = req.body;
+
+      const folder = await folderService.updateFolder(userId, folderId, { name, parentId });
+
+      return res.status(200).json({
+        status: "success",
+        message: "Folder berhasil diperbarui.",
+        data: folder,
+      });
+    }),
+
+    /**
+     * @description Menghapus folder. Isi folder (sub-folder & dokumen) dipindah ke parent-nya.
+     * @route   DELETE /api/folders/:folderId
+     * @param {import("express").Request} req - Params: folderId.
+     * @param {import("express").Response} res - Response object.
+     */
+    deleteFolder: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { folderId } = req.params;
+
+      const result = await folderService.deleteFolder(userId, folderId);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Folder berhasil dihapus. Isi folder dipindahkan ke folder induknya.",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description Memindahkan banyak dokumen sekaligus ke sebuah folder (atau keluar dari folder jika `folderId` null).
+     * @route   POST /api/folders/move-documents
+     * @param {import("express").Request} req - Body: documentIds, folderId, groupId (untuk folderId null pada dokumen grup).
+     * @param {import("express").Response} res - Response object.
+     */
+    moveDocuments: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentIds, folderId = null, groupId = null } = req.body;
+
+      const result = await folderService.moveDocuments(userId, { documentIds, folderId, groupId });
+
+      return res.status(200).json({
+        status: "success",
+        message: `${result.movedCount} dokumen berhasil dipindahkan.`,
+        data: result,
+      });
+    }),
+  };
+};
@@ -1,5 +1,12 @@
 import asyncHandler from "../utils/asyncHandler.js";
 import GroupError from "../errors/GroupError.js";
+import { parseListQuery, setPaginationHeaders } from "../utils/pagination.js";
+
+const GROUP_LIST_QUERY = {
+  sortFields: ["createdAt", "updatedAt", "name"],
+  defaultSortBy: "createdAt",
+  filters: ["dateFrom", "dateTo"],
+};
 
 /**
  * @description Helper internal untuk memvalidasi dan mengonversi ID Grup dari string (params) ke integer.
@@ -47,22 +54,26 @@ export const createGroupController = (groupService) => {
     }),
 
     /**
-     * @description Mengambil daftar semua grup di mana user terdaftar sebagai anggota.
+     * @description Mengambil daftar grup di mana user terdaftar sebagai anggota, per halaman.
      * * **Proses Kode:**
      * 1. Mengambil `userId` dari token sesi.
-     * 2. Memanggil `groupService.getAllUserGroups` untuk query daftar grup terkait.
-     * 3. Mengembalikan array data grup.
+     * 2. Memvalidasi query `page`, `limit`, `sortBy` (createdAt | updatedAt | name), `sortOrder`, `dateFrom`, `dateTo`.
+     * 3. Memanggil `groupService.getAllUserGroups` untuk query daftar grup terkait.
+     * 4. Mengembalikan array data grup + metadata pagination (juga di header `X-Total-Count` & `X-Page-Count`).
      * * @route   GET /groups
-     * @param {import("express").Request} req - User ID dari token.
+     * @param {import("express").Request} req - User ID dari token, query pagination.
      * @param {import("express").Response} res - Response object.
      */
     getAllUserGroups: asyncHandler(async (req, res, next) => {
       const userId = req.user?.id;
-      const groups = await groupService.getAllUserGroups(userId);
+      const listOptions = parseListQuery(req.query, GROUP_LIST_QUERY);
+      const { data, meta } = await groupService.getAllUserGroups(userId, listOptions);
 
+      setPaginationHeaders(res, meta);
       return res.status(200).json({
         status: "success",
-        data: groups,
+        data,
+        pagination: meta,
       });
     }),
 
@@ -116,6 +127,29 @@ export const createGroupController = (groupService) => {
       });
     }),
 
+    /**
+     * @description Mengaktifkan atau menonaktifkan finalisasi otomatis untuk seluruh dokumen grup.
+     * * **Proses Kode:**
+     * 1. Validasi `groupId` dan ambil `autoFinalize` (boolean) dari body.
+     * 2. Memanggil `groupService.updateGroupAutoFinalize`. Hanya Admin Grup yang diizinkan.
+     * 3. Dokumen yang punya pengaturan sendiri tetap memakai pengaturannya.
+     * * @route   PUT /groups/:groupId/auto-finalize
+     * @param {import("express").Request} req - Params: groupId. Body: { autoFinalize }.
+     * @param {import("express").Response} res - Response object.
+     */
+    updateGroupAutoFinalize: asyncHandler(async (req, res) => {
+      const groupId = validateAndParseGroupId(req.params.groupId);
+      const { autoFinalize } = req.body;
+
+      const updatedGroup = await groupService.updateGroupAutoFinalize(groupId, req.user.id, autoFinalize);
+
+      return res.status(200).json({
+        status: "success",
+        message: autoFinalize ? "Finalisasi otomatis grup diaktifkan." : "Finalisasi otomatis grup dinonaktifkan.",
+        data: updatedGroup,
+      });
+    }),
+
     /**
      * @description Menghapus grup secara permanen.
      * * **Proses Kode:**
@@ -323,29 +357,56 @@ export const createGroupController = (groupService) => {
       });
     }),
 
+    /**
+     * @description Upload file revisi sebagai versi baru dari dokumen grup yang sudah ada.
+     * * **Proses Kode:**
+     * 1. Validasi `groupId` dari parameter URL dan pastikan file ada.
+     * 2. Memanggil service `uploadGroupDocumentVersion` dengan keterangan perubahan.
+     * 3. Service memverifikasi admin/pemilik, kuota versi, lalu memberi tahu anggota via socket.
+     * * @route   POST /groups/:groupId/documents/:documentId/versions
+     */
+    uploadDocumentVersion: asyncHandler(async (req, res, next) => {
+      const groupId = validateAndParseGroupId(req.params.groupId);
+      const { documentId } = req.params;
+      const userId = req.user?.id;
+
+      if (!req.file) throw GroupError.BadRequest("File revisi wajib diunggah.");
+
+      const updatedDocument = await groupService.uploadGroupDocumentVersion(groupId, documentId, userId, req.file, req.body.description);
+
+      return res.status(201).json({
+        status: "success",
+        message: "Revisi dokumen grup berhasil diunggah sebagai versi baru.",
+        data: updatedDocument,
+      });
+    }),
+
     /**
      * @description Mengupdate list penanda tangan (tambah/hapus) di tengah proses signing.
      * * **Proses Kode:**
      * 1. Validasi `groupId` dan `documentId` dari parameter URL.
-     * 2. Mengambil daftar `signerUserIds` baru dari request body.
-     * 3. Memanggil service untuk memperbarui list penanda tangan dokumen.
+     * 2. Mengambil daftar `signerUserIds` baru dari request body (`sequential: true` = urutan sesuai posisi di array),
+     *    atau `signers` berisi `{ userId, order }` untuk tahap paralel (signer dengan `order` sama tanda tangan bersamaan).
+     * 3. Memanggil service untuk memperbarui list penanda tangan dokumen beserta urutannya.
      * 4. Service akan memverifikasi bahwa requestor adalah admin/owner grup.
      * 5. Mengembalikan dokumen yang sudah diupdate dengan list penanda tangan baru.
      * * @route   PATCH /groups/:groupId/documents/:documentId/signers
-     * @param {import("express").Request} req - Params: groupId, documentId, Body: signerUserIds.
+     * @param {import("express").Request} req - Params: groupId, documentId, Body: signerUserIds & sequential, atau signers.
      * @param {import("express").Response} res - Response object.
      */
     updateDocumentSigners: asyncHandler(async (req, res, next) => {
       const { groupId, documentId } = req.params;
-      const { signerUserIds } = req.body;
+      const { signerUserIds, signers, sequential } = req.body;
       const requestorId = req.user.id;
       const groupIdInt = parseInt(groupId);
 
-      if (!signerUserIds || (Array.isArray(signerUserIds) && signerUserIds.length === 0)) {
+      const signerList = Array.isArray(signers) ? signers : (signerUserIds || []).map((userId, index) => (sequential ? { userId, order: index + 1 } : userId));
+
+      if (signerList.length === 0) {
         throw GroupError.BadRequest("Properti 'signerUserIds' wajib diisi dan minimal 1 anggota.");
       }
 
-      const updatedDocument = await groupService.updateGroupDocumentSigners(groupIdInt, documentId, requestorId, signerUserIds);
+      const updatedDocument = await groupService.updateGroupDocumentSigners(groupIdInt, documentId, requestorId, signerList);
 
       return res.status(200).json({
         status: "success",
@@ -378,6 +439,81 @@ export const createGroupController = (groupService) => {
       });
     }),
 
+    /**
+     * @description Membatalkan putaran tanda tangan dokumen grup (misalnya setelah ada signer yang menolak).
+     * * **Proses Kode:**
+     * 1. Validasi `groupId` dan `documentId` dari parameter URL.
+     * 2. Memanggil service untuk menghapus semua tanda tangan & permintaan tanda tangan dokumen.
+     * 3. Service akan memverifikasi bahwa requestor adalah admin grup atau pemilik dokumen.
+     * 4. Mengembalikan dokumen yang sudah kembali berstatus draft.
+     * * @route   POST /groups/:groupId/documents/:documentId/cancel-signing
+     * @param {import("express").Request} req - Params: groupId, documentId.
+     * @param {import("express").Response} res - Response object.
+     */
+    cancelSigningRound: asyncHandler(async (req, res) => {
+      const groupId = validateAndParseGroupId(req.params.groupId);
+      const { documentId } = req.params;
+      const requestorId = req.user.id;
+
+      const document = await groupService.cancelSigningRound(groupId, documentId, requestorId);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Putaran tanda tangan dibatalkan. Dokumen kembali menjadi draft.",
+        data: document,
+      });
+    }),
+
+    /**
+     * @description Mengatur batas waktu tanda tangan dokumen grup (per dokumen dan/atau per penanda tangan).
+     * * **Proses Kode:**
+     * 1. Validasi `groupId` dan `documentId` dari parameter URL.
+     * 2. Mengambil `deadline` (tenggat dokumen) dan `signerDeadlines` (tenggat per signer) dari body; `null` menghapus tenggat.
+     * 3. Service akan memverifikasi bahwa requestor adalah admin grup atau pemilik dokumen.
+     * 4. Permintaan yang sudah kedaluwarsa dibuka kembali jika diberi tenggat baru.
+     * * @route   PUT /groups/:groupId/documents/:documentId/deadline
+     * @param {import("express").Request} req - Params: groupId, documentId. Body: { deadline?, signerDeadlines? }.
+     * @param {import("express").Response} res - Response object.
+     */
+    updateSigningDeadline: asyncHandler(async (req, res) => {
+      const groupId = validateAndParseGroupId(req.params.groupId);
+      const { documentId } = req.params;
+      const { deadline, signerDeadlines } = req.body;
+      const requestorId = req.user.id;
+
+      const document = await groupService.updateSigningDeadline(groupId, documentId, requestorId, { deadline, signerDeadlines });
+
+      return res.status(200).json({
+        status: "success",
+        message: "Batas waktu tanda tangan berhasil diperbarui.",
+        data: document,
+      });
+    }),
+
+    /**
+     * @description Mengatur finalisasi otomatis untuk satu dokumen grup.
+     * * **Proses Kode:**
+     * 1. Validasi `groupId` dan `documentId` dari parameter URL.
+     * 2. Mengambil `autoFinalize` dari body; `null` berarti mengikuti pengaturan grup.
+     * 3. Service akan memverifikasi bahwa requestor adalah admin grup atau pemilik dokumen.
+     * * @route   PUT /groups/:groupId/documents/:documentId/auto-finalize
+     * @param {import("express").Request} req - Params: groupId, documentId. Body: { autoFinalize }.
+     * @param {import("express").Response} res - Response object.
+     */
+    updateDocumentAutoFinalize: asyncHandler(async (req, res) => {
+      const groupId = validateAndParseGroupId(req.params.groupId);
+      const { documentId } = req.params;
+      const { autoFinalize } = req.body;
+
+      const document = await groupService.updateDocumentAutoFinalize(groupId, documentId, req.user.id, autoFinalize ?? null);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Pengaturan finalisasi otomatis dokumen berhasil diperbarui.",
+        data: document,
+      });
+    }),
+
     /**
      * @description Menyelesaikan proses signing dokumen grup dan menghasilkan final PDF.
      * * **Proses Kode:**
@@ -20,13 +20,20 @@ export const createGroupSignatureController = (groupSignatureService, groupServi
      * 2. Ambil documentId dari URL parameter
      * 3. Validasi signature data (image, position, page number)
      * 4. Save tanda tangan ke database
-     * 5. Cek apakah semua penandatangan sudah selesai
-     * 6. Return status completion dan remaining signers
+     * 5. Cek apakah semua penandatangan sudah selesai; jika tahap urutan selesai, emit `signing_turn` untuk tahap berikutnya
+     * 6. Jika semua signer selesai dan finalisasi otomatis aktif, jalankan finalisasi di background
+     * 7. Return status completion, remaining signers, dan `autoFinalizing`
      * @route POST /api/group-signatures/:documentId/sign
      * @access Private - Require cookie authentication
      * @security cookieAuth: []
      * @param {string} documentId - ID dokumen (path parameter)
-     * @param {string} signatureImageUrl - Base64 atau URL gambar tanda tangan (required)
+     * @param {string} signatureImageUrl - Base64 atau URL gambar tanda tangan (required, kecuali method 'typed')
+     * @param {string} [typedText] - Teks tanda tangan ketik (wajib untuk method 'typed')
+     * @param {string} [typedFont] - Gaya font tanda tangan ketik (dancing-script/great-vibes/caveat/sacramento)
+     * @param {string} [appearanceTemplate] - Template tampilan (image-only/standard/detailed)
+     * @param {string} [reason] - Alasan penandatanganan (ditampilkan pada template detailed)
+     * @param {string} [location] - Lokasi penandatanganan
+     * @param {string} [timezone] - Zona waktu signer (IANA), untuk waktu pada tampilan tanda tangan
      * @param {number} positionX - Posisi X pada halaman
      * @param {number} positionY - Posisi Y pada halaman
      * @param {integer} pageNumber - Nomor halaman tanda tangan
@@ -45,10 +52,10 @@ export const createGroupSignatureController = (groupSignatureService, groupServi
 
       console.log(`➡️ [Controller] signDocument hit. DocID: ${documentId}, User: ${userId}`);
 
-      const { id, signatureImageUrl, positionX, positionY, pageNumber, width, height, method } = req.body;
+      const { id, signatureImageUrl, typedText, typedFont, appearanceTemplate, reason, location, timezone, positionX, positionY, pageNumber, width, height, method, fields, repeatInitials } = req.body;
 
       if (!documentId) return res.status(400).json({ status: "fail", message: "documentId wajib diisi." });
-      if (!signatureImageUrl) return res.status(400).json({ status: "fail", message: "Data gambar tanda tangan wajib diisi." });
+      if (!signatureImageUrl && method !== "typed") return res.status(400).json({ status: "fail", message: "Data gambar tanda tangan wajib diisi." });
 
       const auditData = {
         ipAddress: getRealIpAddress(req),
@@ -58,12 +65,20 @@ export const createGroupSignatureController = (groupSignatureService, groupServi
       const signatureData = {
         id,
         signatureImageUrl,
+        typedText,
+        typedFont,
+        appearanceTemplate,
+        reason,
+        location,
+        timezone,
         positionX,
         positionY,
         pageNumber,
         width,
         height,
         method,
+        fields,
+        repeatInitials,
       };
 
       try {
@@ -85,15 +100,30 @@ export const createGroupSignatureController = (groupSignatureService, groupServi
             message: `${req.user?.name || "User"} telah menandatangani dokumen.`,
           });
           console.log(`📤 [Socket] Emitted group_document_update to room: ${roomName}`);
+
+          // Tahap urutan sebelumnya selesai: beri tahu signer di tahap berikutnya bahwa sekarang giliran mereka
+          if (result.nextStage) {
+            io.to(roomName).emit("group_document_update", {
+              action: "signing_turn",
+              documentId: document.id,
+              order: result.nextStage.order,
+              signerIds: result.nextStage.signerIds,
+              message: `Tahap ${result.nextStage.order} sekarang dapat menandatangani dokumen.`,
+            });
+          }
         }
 
+        // Finalisasi otomatis (jika diaktifkan untuk dokumen/grup) berjalan di background; hasilnya dikirim lewat socket
+        const autoFinalizing = result.readyToFinalize ? await groupService.scheduleAutoFinalize(documentId) : false;
+
         return res.status(200).json({
           status: "success",
-          message: result.message,
+          message: autoFinalizing ? "Tanda tangan berhasil. Dokumen sedang difinalisasi otomatis." : result.message,
           data: {
             isComplete: result.isComplete,
             remainingSigners: result.remainingSigners,
             readyToFinalize: result.readyToFinalize,
+            autoFinalizing,
           },
         });
       } catch (error) {
@@ -102,6 +132,98 @@ export const createGroupSignatureController = (groupSignatureService, groupServi
       }
     }),
 
+    /**
+     * @description User menolak menandatangani dokumen grup dengan alasan
+     * Proses:
+     * 1. Ambil userId dari middleware authentication
+     * 2. Ambil documentId dari URL parameter dan alasan dari body
+     * 3. Tandai status signer menjadi REJECTED (dicatat di audit log)
+     * 4. Beri tahu Admin Grup lewat socket room `group_{groupId}` (action `signature_declined`)
+     * @route POST /api/group-signatures/:documentId/decline
+     * @access Private - Require cookie authentication
+     * @security cookieAuth: []
+     * @param {string} documentId - ID dokumen (path parameter)
+     * @param {string} reason - Alasan penolakan (required, maksimal 500 karakter)
+     * @returns {200} Penolakan berhasil disimpan
+     * @error {400} Alasan kosong, bukan signer, atau sudah tanda tangan/menolak
+     * @error {401} User tidak authenticated
+     * @error {500} Server error
+     */
+    declineDocument: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentId } = req.params;
+      const { reason } = req.body;
+
+      if (!reason || !String(reason).trim()) return res.status(400).json({ status: "fail", message: "Alasan penolakan wajib diisi." });
+
+      const result = await groupSignatureService.declineDocument(userId, documentId, reason, req);
+
+      if (result.groupId && io) {
+        io.to(`group_${result.groupId}`).emit("group_document_update", {
+          action: "signature_declined",
+          documentId: result.documentId,
+          actorId: userId,
+          reason: result.reason,
+          message: `${req.user?.name || "User"} menolak menandatangani dokumen "${result.title}".`,
+        });
+      }
+
+      return res.status(200).json({
+        status: "success",
+        message: "Anda menolak menandatangani dokumen. Admin Grup telah diberi tahu.",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description Mendelegasikan slot tanda tangan PENDING ke anggota grup lain
+     * Proses:
+     * 1. Ambil userId dari middleware authentication
+     * 2. Ambil documentId dari URL parameter; toUserId, reason, dan fromUserId (opsional, khusus Admin Grup) dari body
+     * 3. Pindahkan slot & posisi draft tanda tangan ke penerima (dicatat di audit log)
+     * 4. Beri tahu anggota grup lewat socket room `group_{groupId}` (action `signature_delegated`)
+     * @route POST /api/group-signatures/:documentId/delegate
+     * @access Private - Require cookie authentication
+     * @security cookieAuth: []
+     * @param {string} documentId - ID dokumen (path parameter)
+     * @param {string} toUserId - ID anggota grup penerima delegasi (required)
+     * @param {string} reason - Alasan delegasi (required, maksimal 500 karakter)
+     * @param {string} [fromUserId] - Signer yang slotnya didelegasikan (default: user login; selain itu hanya Admin Grup)
+     * @returns {200} Delegasi berhasil
+     * @error {400} Data tidak lengkap, slot tidak PENDING, atau penerima tidak valid
+     * @error {401} User tidak authenticated
+     * @error {403} Bukan signer slot tersebut maupun Admin Grup
+     * @error {500} Server error
+     */
+    delegateSignature: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentId } = req.params;
+      const { toUserId, reason, fromUserId } = req.body;
+
+      if (!toUserId) return res.status(400).json({ status: "fail", message: "Penerima delegasi wajib diisi." });
+      if (!reason || !String(reason).trim()) return res.status(400).json({ status: "fail", message: "Alasan delegasi wajib diisi." });
+
+      const result = await groupSignatureService.delegateSignature(userId, documentId, { fromUserId, toUserId, reason }, req);
+
+      if (result.groupId && io) {
+        io.to(`group_${result.groupId}`).emit("group_document_update", {
+          action: "signature_delegated",
+          documentId: result.documentId,
+          actorId: userId,
+          fromUserId: result.fromUserId,
+          toUserId: result.toUserId,
+          reason: result.reason,
+          message: `Permintaan tanda tangan dokumen "${result.title}" didelegasikan.`,
+        });
+      }
+
+      return res.status(200).json({
+        status: "success",
+        message: "Permintaan tanda tangan berhasil didelegasikan.",
+        data: result,
+      });
+    }),
+
     /**
      * @description Simpan draft tanda tangan (drop awal sebelum finalisasi)
      * Proses:
@@ -115,7 +237,13 @@ export const createGroupSignatureController = (groupSignatureService, groupServi
      * @access Private - Require cookie authentication
      * @security cookieAuth: []
      * @param {string} documentId - ID dokumen (path parameter)
-     * @param {string} signatureImageUrl - Base64 atau URL gambar tanda tangan (required)
+     * @param {string} signatureImageUrl - Base64 atau URL gambar tanda tangan (required, kecuali method 'typed')
+     * @param {string} [typedText] - Teks tanda tangan ketik (wajib untuk method 'typed')
+     * @param {string} [typedFont] - Gaya font tanda tangan ketik
+     * @param {string} [appearanceTemplate] - Template tampilan (image-only/standard/detailed)
+     * @param {string} [reason] - Alasan penandatanganan
+     * @param {string} [location] - Lokasi penandatanganan
+     * @param {string} [timezone] - Zona waktu signer (IANA)
      * @param {integer} pageNumber - Nomor halaman
      * @param {number} positionX - Posisi X
      * @param {number} positionY - Posisi Y
@@ -135,7 +263,7 @@ export const createGroupSignatureController = (groupSignatureService, groupServi
       console.log(`   params.documentId: ${documentId}`);
       console.log(`   body.id (Signature UUID): ${req.body.id}`);
 
-      const { id, signatureImageUrl, pageNumber, positionX, positionY, width, height, method } = req.body;
+      const { id, signatureImageUrl, typedText, typedFont, appearanceTemplate, reason, location, timezone, pageNumber, positionX, positionY, width, height, method } = req.body;
 
       if (!documentId) {
         console.warn(`⚠️ [Controller] DocumentID missing in params`);
@@ -145,6 +273,12 @@ export const createGroupSignatureController = (groupSignatureService, groupServi
       const signatureData = {
         id,
         signatureImageUrl,
+        typedText,
+        typedFont,
+        appearanceTemplate,
+        reason,
+        location,
+        timezone,
         pageNumber,
         positionX,
         positionY,
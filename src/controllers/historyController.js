@@ -1,4 +1,13 @@
 import asyncHandler from "../utils/asyncHandler.js";
+import { parseListQuery, setPaginationHeaders } from "../utils/pagination.js";
+import { HISTORY_TYPES } from "../services/historyService.js";
+
+const HISTORY_LIST_QUERY = {
+  sortFields: ["signedAt"],
+  defaultSortBy: "signedAt",
+  filters: ["type", "dateFrom", "dateTo"],
+  allowedValues: { type: HISTORY_TYPES },
+};
 
 /**
  * Membuat instance HistoryController dengan dependency injection.
@@ -11,31 +20,41 @@ export const createHistoryController = (historyService) => {
 
   return {
     /**
-     * @description Mengambil riwayat aktivitas tanda tangan user
+     * @description Mengambil riwayat aktivitas tanda tangan user per halaman
      * Proses:
      * 1. Ambil userId dari middleware authentication
-     * 2. Query database untuk semua aktivitas tanda tangan:
+     * 2. Validasi query pagination & filter (type, dateFrom, dateTo)
+     * 3. Query database untuk aktivitas tanda tangan:
      *    - Personal signing (single document)
      *    - Group signing (group documents)
      *    - Package signing (package documents)
-     * 3. Aggregate data dari multiple sources
-     * 4. Sort berdasarkan timestamp (terbaru first)
-     * 5. Return history array dengan activity details
+     * 4. Aggregate data dari multiple sources, sort berdasarkan waktu tanda tangan
+     * 5. Return satu halaman history + metadata pagination (juga di header X-Total-Count & X-Page-Count)
      * @route GET /api/history
      * @access Private - Require cookie authentication
      * @security cookieAuth: []
+     * @param {number} [page=1] - Nomor halaman (query)
+     * @param {number} [limit=20] - Jumlah data per halaman, maks. 100 (query)
+     * @param {string} [sortOrder=desc] - asc | desc berdasarkan waktu tanda tangan (query)
+     * @param {string} [type] - PERSONAL | GROUP | PACKAGE (query)
+     * @param {string} [dateFrom] - Waktu tanda tangan paling awal, ISO 8601 (query)
+     * @param {string} [dateTo] - Waktu tanda tangan paling akhir, ISO 8601 (query)
      * @returns {200} Riwayat aktivitas tanda tangan user
+     * @error {400} Parameter query tidak valid
      * @error {401} User tidak authenticated
      * @error {500} Server error
      */
     getMyHistory: asyncHandler(async (req, res, next) => {
       const userId = req.user?.id;
+      const listOptions = parseListQuery(req.query, HISTORY_LIST_QUERY);
 
-      const historyData = await historyService.getUserSigningHistory(userId);
+      const { data, meta } = await historyService.getUserSigningHistory(userId, listOptions);
 
+      setPaginationHeaders(res, meta);
       return res.status(200).json({
         status: "success",
-        data: historyData,
+        data,
+        pagination: meta,
       });
     }),
   };
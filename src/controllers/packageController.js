@@ -1,5 +1,13 @@
 import asyncHandler from "../utils/asyncHandler.js";
 import CommonError from "../errors/CommonError.js";
+import { parseListQuery, setPaginationHeaders } from "../utils/pagination.js";
+
+const PACKAGE_LIST_QUERY = {
+  sortFields: ["createdAt", "title", "status"],
+  defaultSortBy: "createdAt",
+  filters: ["status", "dateFrom", "dateTo"],
+  allowedValues: { status: ["draft", "completed", "partial_failure"] },
+};
 
 /**
  * Membuat instance PackageController dengan dependency injection.
@@ -64,23 +72,28 @@ export const createPackageController = (packageService) => {
 
 
     /**
-     * @description Get a list of all packages for the logged-in user.
+     * @description Get a paginated list of packages for the logged-in user.
+     * Query: `page`, `limit` (maks. 100), `sortBy` (createdAt | title | status), `sortOrder` (asc | desc),
+     * filter `status`, `dateFrom`, `dateTo`. Total data juga dikirim lewat header `X-Total-Count` & `X-Page-Count`.
      * @route   GET /api/packages
      */
     getAllPackages: asyncHandler(async (req, res, next) => {
       const userId = req.user?.id;
-      const packages = await packageService.getAllPackages(userId);
+      const listOptions = parseListQuery(req.query, PACKAGE_LIST_QUERY);
+      const { data, meta } = await packageService.getAllPackages(userId, listOptions);
 
+      setPaginationHeaders(res, meta);
       return res.status(200).json({
         status: "success",
-        data: packages,
+        data,
+        pagination: meta,
       });
     }),
 
     /**
      * @description Memproses tanda tangan untuk semua dokumen di dalam paket sekaligus.
      * * **Proses Kode:**
-     * 1. Menerima data `signatures` (array objek tanda tangan) dari body request.
+     * 1. Menerima data `signatures` (array objek tanda tangan) serta opsional `fields` (date/initials/text/checkbox per `packageDocId`) dan `repeatInitials` (paraf di setiap halaman) dari body request.
      * 2. Mendeteksi **IP Address** pengguna secara akurat (mendukung proxy/load balancer via header `x-forwarded-for`).
      * 3. Memanggil `packageService.signPackage` untuk:
      * - Membubuhkan tanda tangan ke setiap dokumen PDF dalam paket.
@@ -93,7 +106,7 @@ export const createPackageController = (packageService) => {
     signPackage: asyncHandler(async (req, res, next) => {
         const userId = req.user?.id;
         const { packageId } = req.params;
-        const { signatures } = req.body;
+        const { signatures, fields, repeatInitials } = req.body;
 
         if (!signatures || !Array.isArray(signatures) || signatures.length === 0) {
             throw CommonError.BadRequest("Array 'signatures' (berisi data TTD) wajib diisi.");
@@ -113,7 +126,8 @@ export const createPackageController = (packageService) => {
             userId,
             signatures,
             userIpAddress,
-            req 
+            req,
+            { fields, repeatInitials }
         );
 
         return res.status(200).json({
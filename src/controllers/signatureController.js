@@ -1,6 +1,8 @@
 import asyncHandler from "../utils/asyncHandler.js";
 import SignatureError from "../errors/SignatureError.js";
 import CommonError from "../errors/CommonError.js";
+import { TYPED_SIGNATURE_FONTS, DEFAULT_TYPED_SIGNATURE_FONT, renderTypedSignature } from "../utils/typedSignatureRenderer.js";
+import { SIGNATURE_APPEARANCE_TEMPLATES, DEFAULT_APPEARANCE_TEMPLATE } from "../utils/signatureAppearance.js";
 
 /**
  * Helper IP Address
@@ -13,7 +15,7 @@ const getRealIpAddress = (req) => {
   return req.ip || req.connection.remoteAddress;
 };
 
-export const createSignatureController = (documentService, signatureService, packageService, groupSignatureService) => {
+export const createSignatureController = (documentService, signatureService, packageService, groupSignatureService, signatureValidationService = null) => {
   return {
     /**
      * @description [PERSONAL] Menambahkan tanda tangan digital ke dokumen secara mandiri.
@@ -21,7 +23,11 @@ export const createSignatureController = (documentService, signatureService, pac
      * 1. Menerima body dengan data signature (single atau batch array).
      * 2. Mendukung dua format input:
      * - Single signature: documentVersionId, method, signatureImageUrl, positionX, positionY, pageNumber, displayQrCode
+     * - Method `typed`: kirim typedText + typedFont (tanpa signatureImageUrl), gambar di-render di server.
+     * - Tampilan: appearanceTemplate (image-only/standard/detailed), reason, location, timezone (IANA) per tanda tangan.
      * - Batch signatures: array signatures dengan format sama.
+     * - Field non-tanda tangan (opsional): `fields` berisi date/initials/text/checkbox, di-burn-in ke PDF.
+     * - Paraf di setiap halaman (opsional): `repeatInitials` dengan anchor (mis. bottom-right) & rentang halaman.
      * 3. Mendeteksi IP Address pengguna untuk audit trail.
      * 4. Memanggil `signatureService.addPersonalSignature` untuk bubuhkan tanda tangan ke PDF.
      * 5. Mengembalikan dokumen yang sudah ditandatangani dengan signature metadata.
@@ -42,12 +48,18 @@ export const createSignatureController = (documentService, signatureService, pac
       if (req.body.signatures && Array.isArray(req.body.signatures)) {
         signaturesToProcess = req.body.signatures;
       } else {
-        const { documentVersionId, method, signatureImageUrl, positionX, positionY, pageNumber, width, height, displayQrCode } = req.body;
+        const { documentVersionId, method, signatureImageUrl, typedText, typedFont, appearanceTemplate, reason, location, timezone, positionX, positionY, pageNumber, width, height, displayQrCode } = req.body;
         if (documentVersionId) {
           signaturesToProcess.push({
             documentVersionId,
             method,
             signatureImageUrl,
+            typedText,
+            typedFont,
+            appearanceTemplate,
+            reason,
+            location,
+            timezone,
             positionX,
             positionY,
             pageNumber,
@@ -70,7 +82,7 @@ export const createSignatureController = (documentService, signatureService, pac
         userAgent: req.headers["user-agent"],
       };
 
-      const updatedDocument = await signatureService.addPersonalSignature(userId, documentVersionId, signaturesToProcess, auditData, { displayQrCode }, req);
+      const updatedDocument = await signatureService.addPersonalSignature(userId, documentVersionId, signaturesToProcess, auditData, { displayQrCode, fields: req.body.fields, repeatInitials: req.body.repeatInitials }, req);
 
       return res.status(200).json({
         status: "success",
@@ -79,6 +91,54 @@ export const createSignatureController = (documentService, signatureService, pac
       });
     }),
 
+    /**
+     * @description Daftar gaya font untuk tanda tangan ketik (method `typed`).
+     * * **Proses Kode:**
+     * 1. Mengembalikan key dan label setiap font tulisan tangan bawaan.
+     * 2. Jika query `text` dikirim, setiap gaya disertai preview PNG (data URL) hasil render server.
+     * * @route   GET /api/signatures/typed-fonts
+     * @param {import("express").Request} req - Query: text (opsional, teks preview).
+     * @param {import("express").Response} res - Response object.
+     * @throws {SignatureError.InvalidTypedSignature} Jika teks preview tidak valid.
+     */
+    getTypedSignatureFonts: asyncHandler(async (req, res, next) => {
+      const { text } = req.query;
+
+      const fonts = await Promise.all(
+        Object.entries(TYPED_SIGNATURE_FONTS).map(async ([key, font]) => ({
+          key,
+          label: font.label,
+          isDefault: key === DEFAULT_TYPED_SIGNATURE_FONT,
+          ...(text && { previewUrl: await renderTypedSignature(text, key) }),
+        }))
+      );
+
+      return res.status(200).json({
+        status: "success",
+        data: fonts,
+      });
+    }),
+
+    /**
+     * @description Daftar template tampilan tanda tangan (appearanceTemplate) yang bisa dipilih per tanda tangan.
+     * @route   GET /api/signatures/appearance-templates
+     * @param {import("express").Request} req - Request object.
+     * @param {import("express").Response} res - Response object.
+     */
+    getAppearanceTemplates: asyncHandler(async (req, res, next) => {
+      const templates = Object.entries(SIGNATURE_APPEARANCE_TEMPLATES).map(([key, template]) => ({
+        key,
+        label: template.label,
+        fields: template.fields,
+        isDefault: key === DEFAULT_APPEARANCE_TEMPLATE,
+      }));
+
+      return res.status(200).json({
+        status: "success",
+        data: templates,
+      });
+    }),
+
     /**
      * @description [PUBLIC] Verifikasi tanda tangan dengan QR Code scanning.
      * * **Proses Kode:**
@@ -259,10 +319,12 @@ export const createSignatureController = (documentService, signatureService, pac
      * - packageService.verifyUploadedPackageFile(...)
      * - groupSignatureService.verifyUploadedFile(...)
      * 4. Jika service return isLocked: true (PIN salah/belum input), return data dengan isLocked flag.
-     * 5. Jika tidak terkunci, bandingkan hash dokumen uploaded dengan arsip:
-     * - isValid/isHashMatch: true -> return success
-     * - isValid/isHashMatch: false -> return INVALID (Hash Mismatch)
-     * 6. Jika tidak ditemukan di semua service, throw NotFound error.
+     * 5. Jika tidak terkunci, validasi kriptografis tanda tangan di dalam PDF via `signatureValidationService.validatePdf`
+     * (digest ByteRange, rantai sertifikat ke trust store, dan perubahan setelah penandatanganan per revisi).
+     * 6. Bandingkan hash dokumen uploaded dengan arsip:
+     * - isValid/isHashMatch: true -> return success (+ signatureValidation)
+     * - isValid/isHashMatch: false -> return INVALID (Hash Mismatch) beserta alasan dari hasil validasi per revisi
+     * 7. Jika tidak ditemukan di semua service, throw NotFound error.
      * * @route   POST /api/signatures/verify-file
      * @param {import("express").Request} req - FormData: signatureId, accessCode, file (Buffer).
      * @param {import("express").Response} res - Response object.
@@ -321,7 +383,10 @@ export const createSignatureController = (documentService, signatureService, pac
         });
       }
 
-      // 4. Jika Tidak Terkunci (PIN Benar), Validasi Hash
+      // 4. Jika Tidak Terkunci (PIN Benar), Validasi Kriptografis Signature di PDF (per revisi)
+      const signatureValidation = signatureValidationService ? signatureValidationService.validatePdf(uploadedFileBuffer) : null;
+
+      // 5. Validasi Hash terhadap arsip sistem
       const isValid = verificationDetails.isValid || verificationDetails.isHashMatch;
 
       if (!isValid) {
@@ -332,6 +397,7 @@ export const createSignatureController = (documentService, signatureService, pac
             verificationStatus: "INVALID (Hash Mismatch)",
             message: "Dokumen berbeda dengan arsip sistem.",
             documentTitle: verificationDetails.documentTitle,
+            ...(signatureValidation && { reason: signatureValidation.message, signatureValidation }),
           },
         });
       }
@@ -339,7 +405,7 @@ export const createSignatureController = (documentService, signatureService, pac
       return res.status(200).json({
         status: "success",
         message: "Verifikasi Berhasil.",
-        data: verificationDetails,
+        data: signatureValidation ? { ...verificationDetails, signatureValidation } : verificationDetails,
       });
     }),
   };
@@ -0,0 +1,123 @@
+import asyncHandler from "../utils/asyncHandler.js";
+
+/**
+ * Membuat instance TagController.
+ * @param {import('../services/tagService.js').TagService} tagService - Service tag dokumen.
+ * @returns {object} Kumpulan method controller untuk tag.
+ */
+export const createTagController = (tagService) => {
+  return {
+    /**
+     * @description Mengambil tag personal user, atau tag grup jika query `groupId` diisi.
+     * @route   GET /api/tags
+     * @param {import("express").Request} req - Query: groupId (opsional).
+     * @param {import("express").Response} res - Response object.
+     */
+    getTags: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const groupId = req.query.groupId ? Number(req.query.groupId) : null;
+
+      const tags = await tagService.listTags(userId, groupId);
+
+      return res.status(200).json({
+        status: "success",
+        data: tags,
+      });
+    }),
+
+    /**
+     * @description Membuat tag baru (personal atau grup).
+     * @route   POST /api/tags
+     * @param {import("express").Request} req - Body: name, color (opsional, #RRGGBB), groupId (opsional).
+     * @param {import("express").Response} res - Response object.
+     */
+    createTag: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { name, color = null, groupId = null } = req.body;
+
+      const tag = await tagService.createTag(userId, { name, color, groupId });
+
+      return res.status(201).json({
+        status: "success",
+        message: "Tag berhasil dibuat.",
+        data: tag,
+      });
+    }),
+
+    /**
+     * @description Mengganti nama dan/atau warna tag.
+     * @route   PATCH /api/tags/:tagId
+     * @param {import("express").Request} req - Params: tagId, Body: name, color.
+     * @param {import("express").Response} res - Response object.
+     */
+    updateTag: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { tagId } = req.params;
+      const { name, color } = req.body;
+
+      const tag = await tagService.updateTag(userId, tagId, { name, color });
+
+      return res.status(200).json({
+        status: "success",
+        message: "Tag berhasil diperbarui.",
+        data: tag,
+      });
+    }),
+
+    /**
+     * @description Menghapus tag beserta seluruh pemasangannya pada dokumen.
+     * @route   DELETE /api/tags/:tagId
+     * @param {import("express").Request} req - Params: tagId.
+     * @param {import("express").Response} res - Response object.
+     */
+    deleteTag: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { tagId } = req.params;
+
+      await tagService.deleteTag(userId, tagId);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Tag berhasil dihapus.",
+      });
+    }),
+
+    /**
+     * @description Memasang tag ke banyak dokumen sekaligus.
+     * @route   POST /api/tags/assign
+     * @param {import("express").Request} req - Body: documentIds, tagIds.
+     * @param {import("express").Response} res - Response object.
+     */
+    assignTags: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentIds, tagIds } = req.body;
+
+      const result = await tagService.assignTags(userId, { documentIds, tagIds });
+
+      return res.status(200).json({
+        status: "success",
+        message: "Tag berhasil dipasang pada dokumen.",
+        data: result,
+      });
+    }),
+
+    /**
+     * @description Melepas tag dari banyak dokumen sekaligus.
+     * @route   POST /api/tags/unassign
+     * @param {import("express").Request} req - Body: documentIds, tagIds.
+     * @param {import("express").Response} res - Response object.
+     */
+    unassignTags: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentIds, tagIds } = req.body;
+
+      const result = await tagService.unassignTags(userId, { documentIds, tagIds });
+
+      return res.status(200).json({
+        status: "success",
+        message: "Tag berhasil dilepas dari dokumen.",
+        data: result,
+      });
+    }),
+  };
+};
@@ -0,0 +1,110 @@
+import asyncHandler from "../utils/asyncHandler.js";
+import { parseListQuery, setPaginationHeaders } from "../utils/pagination.js";
+
+const TRASH_LIST_QUERY = {
+  sortFields: ["deletedAt"],
+  defaultSortBy: "deletedAt",
+};
+
+/**
+ * Membuat instance TrashController.
+ * @param {import('../services/documentTrashService.js').DocumentTrashService} documentTrashService - Service tempat sampah dokumen.
+ * @returns {object} Kumpulan method controller untuk tempat sampah dokumen.
+ */
+export const createTrashController = (documentTrashService) => {
+  return {
+    /**
+     * @description Mengambil dokumen di tempat sampah (milik user atau grup yang dikelolanya) per halaman.
+     * @route   GET /api/trash
+     * @param {import("express").Request} req - Query: page, limit.
+     * @param {import("express").Response} res - Response object.
+     */
+    getTrash: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { page, limit } = parseListQuery(req.query, TRASH_LIST_QUERY);
+
+      const { data, meta } = await documentTrashService.listTrash(userId, { page, limit });
+
+      setPaginationHeaders(res, meta);
+      return res.status(200).json({
+        status: "success",
+        data,
+        pagination: meta,
+      });
+    }),
+
+    /**
+     * @description Mengambil versi dokumen yang berada di tempat sampah.
+     * @route   GET /api/trash/documents/:documentId/versions
+     * @param {import("express").Request} req - Params: documentId.
+     * @param {import("express").Response} res - Response object.
+     */
+    getTrashedVersions: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentId } = req.params;
+
+      const versions = await documentTrashService.listTrashedVersions(documentId, userId);
+
+      return res.status(200).json({
+        status: "success",
+        data: versions,
+      });
+    }),
+
+    /**
+     * @description Memulihkan dokumen dari tempat sampah.
+     * @route   POST /api/trash/documents/:documentId/restore
+     * @param {import("express").Request} req - Params: documentId.
+     * @param {import("express").Response} res - Response object.
+     */
+    restoreDocument: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentId } = req.params;
+
+      const document = await documentTrashService.restoreDocument(documentId, userId, req);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Dokumen berhasil dipulihkan.",
+        data: document,
+      });
+    }),
+
+    /**
+     * @description Memulihkan satu versi dokumen dari tempat sampah.
+     * @route   POST /api/trash/documents/:documentId/versions/:versionId/restore
+     * @param {import("express").Request} req - Params: documentId, versionId.
+     * @param {import("express").Response} res - Response object.
+     */
+    restoreVersion: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentId, versionId } = req.params;
+
+      const version = await documentTrashService.restoreVersion(documentId, versionId, userId);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Versi dokumen berhasil dipulihkan.",
+        data: version,
+      });
+    }),
+
+    /**
+     * @description Menghapus permanen dokumen dari tempat sampah beserta semua file-nya (tidak dapat dibatalkan).
+     * @route   DELETE /api/trash/documents/:documentId
+     * @param {import("express").Request} req - Params: documentId.
+     * @param {import("express").Response} res - Response object.
+     */
+    purgeDocument: asyncHandler(async (req, res, next) => {
+      const userId = req.user?.id;
+      const { documentId } = req.params;
+
+      await documentTrashService.purgeDocument(documentId, userId, req);
+
+      return res.status(200).json({
+        status: "success",
+        message: "Dokumen berhasil dihapus permanen.",
+      });
+    }),
+  };
+};
@@ -0,0 +1,52 @@
+import cron from "node-cron";
+import { AUTO_ARCHIVE_COMPLETED_DAYS } from "../services/documentService.js";
+
+/**
+ * Cron Job untuk mengarsipkan otomatis dokumen yang sudah selesai (completed).
+ * Dijalankan setiap hari jam 02:00, hanya jika AUTO_ARCHIVE_COMPLETED_DAYS diisi (> 0).
+ *
+ * - Dokumen `completed` yang tidak berubah selama N hari dipindah ke status `archived`
+ * - Dokumen di tempat sampah diabaikan
+ */
+
+/**
+ * @param {import("../services/documentService.js").DocumentService} documentService
+ */
+export const initAutoArchiveJob = (documentService) => {
+  if (AUTO_ARCHIVE_COMPLETED_DAYS <= 0) {
+    console.log("⏭️ [Cron] Auto Archive Job dinonaktifkan (AUTO_ARCHIVE_COMPLETED_DAYS tidak diisi).");
+    return;
+  }
+
+  // Jadwal: Setiap hari jam 02:00
+  cron.schedule("0 2 * * *", async () => {
+    console.log("🔄 [Cron] Memulai pengarsipan otomatis dokumen selesai...");
+
+    try {
+      const { archived } = await documentService.autoArchiveCompleted();
+      console.log(`✅ [Cron] ${archived} dokumen selesai diarsipkan otomatis.`);
+    } catch (error) {
+      console.error("❌ [Cron] Error saat mengarsipkan dokumen:", error.message);
+    }
+  });
+
+  console.log(`✅ [Cron] Auto Archive Job scheduled (setiap hari jam 02:00, dokumen selesai > ${AUTO_ARCHIVE_COMPLETED_DAYS} hari)`);
+};
+
+/**
+ * Manual trigger untuk testing (tanpa menunggu cron)
+ * @param {import("../services/documentService.js").DocumentService} documentService
+ */
+export const runAutoArchive = async (documentService) => {
+  console.log("🔄 [Manual] Menjalankan pengarsipan otomatis dokumen selesai...");
+
+  try {
+    const result = await documentService.autoArchiveCompleted();
+    return { success: true, message: `Berhasil mengarsipkan ${result.archived} dokumen.`, ...result };
+  } catch (error) {
+    console.error("❌ [Manual] Error:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+export default initAutoArchiveJob;
@@ -4,15 +4,33 @@
  */
 
 import { initPremiumExpiryJob } from "./premiumExpiryJob.js";
+import { initTrashPurgeJob } from "./trashPurgeJob.js";
+import { initAutoArchiveJob } from "./autoArchiveJob.js";
+import { initSigningDeadlineJob } from "./signingDeadlineJob.js";
 
-export const initAllCronJobs = () => {
+/**
+ * @param {{
+ *   documentTrashService?: import("../services/documentTrashService.js").DocumentTrashService,
+ *   documentService?: import("../services/documentService.js").DocumentService,
+ *   signingDeadlineService?: import("../services/signingDeadlineService.js").SigningDeadlineService
+ * }} [services] Service yang dibutuhkan cron job (di-inject dari app.js).
+ */
+export const initAllCronJobs = ({ documentTrashService, documentService, signingDeadlineService } = {}) => {
   console.log("🕐 [Cron] Initializing all cron jobs...");
 
   // 1. Premium Expiry Check - Setiap hari jam 00:05
   initPremiumExpiryJob();
 
+  // 2. Trash Purge - Setiap hari jam 01:00
+  if (documentTrashService) initTrashPurgeJob(documentTrashService);
+
+  // 3. Auto Archive dokumen selesai - Setiap hari jam 02:00 (opsional, AUTO_ARCHIVE_COMPLETED_DAYS)
+  if (documentService) initAutoArchiveJob(documentService);
+
+  // 4. Tenggat tanda tangan grup (pengingat & kedaluwarsa) - Setiap jam
+  if (signingDeadlineService) initSigningDeadlineJob(signingDeadlineService);
+
   // Tambahkan cron job lain di sini nanti
-  // initCleanupJob();
   // initReminderJob();
 
   console.log("✅ [Cron] All cron jobs initialized.");
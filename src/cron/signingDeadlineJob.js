@@ -0,0 +1,47 @@
+import cron from "node-cron";
+import { SIGNING_REMINDER_HOURS } from "../services/signingDeadlineService.js";
+
+/**
+ * Cron Job untuk tenggat tanda tangan dokumen grup.
+ * Dijalankan setiap jam (menit ke-0).
+ *
+ * - Mengirim pengingat WhatsApp ke signer sesuai SIGNING_REMINDER_HOURS (jam sebelum tenggat)
+ * - Menandai permintaan tanda tangan yang lewat tenggat sebagai EXPIRED dan memberi tahu room grup
+ */
+
+/**
+ * @param {import("../services/signingDeadlineService.js").SigningDeadlineService} signingDeadlineService
+ */
+export const initSigningDeadlineJob = (signingDeadlineService) => {
+  // Jadwal: Setiap jam
+  cron.schedule("0 * * * *", async () => {
+    console.log("🔄 [Cron] Memeriksa tenggat tanda tangan dokumen grup...");
+
+    try {
+      const { reminded, expired, failed } = await signingDeadlineService.processDeadlines();
+      console.log(`✅ [Cron] Tenggat tanda tangan: ${reminded} pengingat dikirim, ${expired} permintaan kedaluwarsa, ${failed} gagal.`);
+    } catch (error) {
+      console.error("❌ [Cron] Error saat memeriksa tenggat tanda tangan:", error.message);
+    }
+  });
+
+  console.log(`✅ [Cron] Signing Deadline Job scheduled (setiap jam, pengingat ${SIGNING_REMINDER_HOURS.join("/")} jam sebelum tenggat)`);
+};
+
+/**
+ * Manual trigger untuk testing (tanpa menunggu cron)
+ * @param {import("../services/signingDeadlineService.js").SigningDeadlineService} signingDeadlineService
+ */
+export const runSigningDeadlineCheck = async (signingDeadlineService) => {
+  console.log("🔄 [Manual] Menjalankan pemeriksaan tenggat tanda tangan...");
+
+  try {
+    const result = await signingDeadlineService.processDeadlines();
+    return { success: true, message: `Berhasil mengirim ${result.reminded} pengingat dan menandai ${result.expired} permintaan kedaluwarsa.`, ...result };
+  } catch (error) {
+    console.error("❌ [Manual] Error:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+export default initSigningDeadlineJob;
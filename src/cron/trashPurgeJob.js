@@ -0,0 +1,48 @@
+import cron from "node-cron";
+import { TRASH_RETENTION_DAYS } from "../services/documentTrashService.js";
+
+/**
+ * Cron Job untuk menghapus permanen dokumen & versi yang sudah melewati masa retensi tempat sampah.
+ * Dijalankan setiap hari jam 01:00.
+ *
+ * - Row database dihapus (cascade ke versi, tanda tangan, lampiran)
+ * - File fisik di storage ikut dihapus
+ * - Setiap penghapusan dicatat di audit log (PURGE_DOCUMENT / PURGE_DOCUMENT_VERSION)
+ */
+
+/**
+ * @param {import("../services/documentTrashService.js").DocumentTrashService} documentTrashService
+ */
+export const initTrashPurgeJob = (documentTrashService) => {
+  // Jadwal: Setiap hari jam 01:00
+  cron.schedule("0 1 * * *", async () => {
+    console.log("🔄 [Cron] Memulai penghapusan permanen tempat sampah dokumen...");
+
+    try {
+      const { purgedDocuments, purgedVersions, failed } = await documentTrashService.purgeExpired();
+      console.log(`✅ [Cron] Tempat sampah dibersihkan: ${purgedDocuments} dokumen, ${purgedVersions} versi dihapus permanen${failed ? `, ${failed} gagal` : ""}.`);
+    } catch (error) {
+      console.error("❌ [Cron] Error saat membersihkan tempat sampah dokumen:", error.message);
+    }
+  });
+
+  console.log(`✅ [Cron] Trash Purge Job scheduled (setiap hari jam 01:00, retensi ${TRASH_RETENTION_DAYS} hari)`);
+};
+
+/**
+ * Manual trigger untuk testing (tanpa menunggu cron)
+ * @param {import("../services/documentTrashService.js").DocumentTrashService} documentTrashService
+ */
+export const runTrashPurge = async (documentTrashService) => {
+  console.log("🔄 [Manual] Menjalankan penghapusan permanen tempat sampah dokumen...");
+
+  try {
+    const result = await documentTrashService.purgeExpired();
+    return { success: true, message: `Berhasil menghapus permanen ${result.purgedDocuments} dokumen dan ${result.purgedVersions} versi.`, ...result };
+  } catch (error) {
+    console.error("❌ [Manual] Error:", error.message);
+    return { success: false, message: error.message };
+  }
+};
+
+export default initTrashPurgeJob;
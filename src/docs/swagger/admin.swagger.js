@@ -8,13 +8,36 @@
  *   get:
  *     tags:
  *       - Admin
- *     summary: Ambil daftar semua user
- *     description: Mendapatkan daftar lengkap semua user di sistem
+ *     summary: Ambil daftar user
+ *     description: Mendapatkan daftar user di sistem per halaman, dengan sorting dan filter status langganan/tanggal daftar
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - name: sortBy
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, name, email]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/SortOrderParam'
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [FREE, PREMIUM]
+ *         description: Filter status langganan user
+ *       - $ref: '#/components/parameters/DateFromParam'
+ *       - $ref: '#/components/parameters/DateToParam'
  *     responses:
  *       200:
  *         description: Daftar user berhasil diambil
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           X-Page-Count:
+ *             $ref: '#/components/headers/XPageCount'
  *         content:
  *           application/json:
  *             schema:
@@ -26,6 +49,7 @@
  *                 count:
  *                   type: integer
  *                   example: 25
+ *                   description: Total user yang cocok dengan filter (semua halaman)
  *                 data:
  *                   type: array
  *                   items:
@@ -37,6 +61,13 @@
  *                         type: string
  *                       name:
  *                         type: string
+ *                       userStatus:
+ *                         type: string
+ *                         enum: [FREE, PREMIUM]
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Parameter pagination, sorting, atau filter tidak valid
  *       401:
  *         description: User tidak authenticated
  *       403:
@@ -299,13 +330,48 @@
  *   get:
  *     tags:
  *       - Admin
- *     summary: Ambil semua dokumen
- *     description: Mendapatkan daftar semua dokumen di sistem untuk moderasi content
+ *     summary: Ambil daftar dokumen
+ *     description: Mendapatkan daftar dokumen di sistem per halaman untuk moderasi content
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - name: sortBy
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, title, status]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/SortOrderParam'
+ *       - $ref: '#/components/parameters/FilterStatusParam'
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Filter tipe dokumen
+ *       - name: groupId
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Filter ID grup, atau `personal` untuk dokumen non-grup
+ *       - $ref: '#/components/parameters/DateFromParam'
+ *       - $ref: '#/components/parameters/DateToParam'
+ *       - name: trashed
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: ["true", "false"]
+ *           default: "false"
+ *         description: "`true` untuk menampilkan dokumen di tempat sampah"
  *     responses:
  *       200:
  *         description: Daftar dokumen berhasil diambil
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           X-Page-Count:
+ *             $ref: '#/components/headers/XPageCount'
  *         content:
  *           application/json:
  *             schema:
@@ -317,10 +383,15 @@
  *                 count:
  *                   type: integer
  *                   example: 150
+ *                   description: Total dokumen yang cocok dengan filter (semua halaman)
  *                 data:
  *                   type: array
  *                   items:
  *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Parameter pagination, sorting, atau filter tidak valid
  *       401:
  *         description: User tidak authenticated
  *       403:
@@ -333,7 +404,9 @@
  *     tags:
  *       - Admin
  *     summary: Hapus dokumen secara paksa
- *     description: Admin menghapus dokumen untuk content moderation/keamanan
+ *     description: |
+ *       Admin menghapus dokumen untuk content moderation/keamanan. Dokumen dipindah ke tempat sampah
+ *       (hanya admin yang dapat memulihkan) dan dihapus permanen otomatis setelah masa retensi.
  *     security:
  *       - cookieAuth: []
  *     parameters:
@@ -379,6 +452,48 @@
  *       500:
  *         description: Server error
  *
+ * /api/admin/documents/{documentId}/restore:
+ *   post:
+ *     tags:
+ *       - Admin
+ *     summary: Pulihkan dokumen dari tempat sampah
+ *     description: Admin memulihkan dokumen yang masih dalam masa retensi tempat sampah, termasuk dokumen hasil hapus paksa.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dokumen berhasil dipulihkan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Dokumen berhasil dipulihkan dari tempat sampah."
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *       401:
+ *         description: User tidak authenticated
+ *       403:
+ *         description: Akses ditolak
+ *       404:
+ *         description: Dokumen tidak ada di tempat sampah
+ *       500:
+ *         description: Server error
+ *
  * /api/admin/cron/premium-expiry:
  *   post:
  *     tags:
@@ -53,7 +53,7 @@
  *       required: false
  *       schema:
  *         type: string
- *         enum: [draft, pending, completed, archived]
+ *         enum: [draft, pending, finalizing, completed, archived]
  *
  *     DateFromParam:
  *       name: dateFrom
@@ -75,6 +75,48 @@
  *         format: date-time
  *         example: "2025-12-31T23:59:59Z"
  *
+ *     SortOrderParam:
+ *       name: sortOrder
+ *       in: query
+ *       description: Arah sorting untuk field pada `sortBy`
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: desc
+ *
+ *     FolderIdFilterParam:
+ *       name: folderId
+ *       in: query
+ *       description: Filter ID folder, atau `root` untuk dokumen yang belum masuk folder
+ *       required: false
+ *       schema:
+ *         type: string
+ *         example: "root"
+ *
+ *     TagIdFilterParam:
+ *       name: tagId
+ *       in: query
+ *       description: Filter ID tag (UUID, maks. 10, dipisah koma). Dokumen harus memiliki semua tag yang disebut.
+ *       required: false
+ *       schema:
+ *         type: string
+ *         example: "3f0c1c9e-8a53-4d8e-9d5b-1f7b2e6c9a10,7b9e2d4a-1c3f-4e5a-8b6d-2a4c6e8f0b12"
+ *
+ *   headers:
+ *
+ *     XTotalCount:
+ *       description: Total item yang cocok dengan filter (semua halaman)
+ *       schema:
+ *         type: integer
+ *         example: 150
+ *
+ *     XPageCount:
+ *       description: Total halaman untuk `limit` yang diminta
+ *       schema:
+ *         type: integer
+ *         example: 8
+ *
  *   responses:
  *
  *     # ========== SUCCESS RESPONSES ==========
@@ -363,14 +405,6 @@
  *           type: integer
  *           example: 8
  *           description: Total halaman
- *         hasNextPage:
- *           type: boolean
- *           example: true
- *           description: Apakah ada halaman berikutnya
- *         hasPrevPage:
- *           type: boolean
- *           example: false
- *           description: Apakah ada halaman sebelumnya
  *
  *     ErrorDetail:
  *       type: object
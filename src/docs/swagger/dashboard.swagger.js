@@ -9,9 +9,16 @@
  *     tags:
  *       - Dashboard
  *     summary: Ambil ringkasan data dashboard
- *     description: Mendapatkan ringkasan statistik dan data terbaru untuk dashboard user
+ *     description: |
+ *       Mendapatkan ringkasan statistik dan data terbaru untuk dashboard user. Bisa dibatasi pada dokumen di folder atau dengan tag tertentu.
+ *
+ *       Item tindakan grup menyertakan `deadline` (tenggat tanda tangan yang berlaku). Dokumen grup yang memiliki permintaan
+ *       tanda tangan kedaluwarsa tampil dengan status `SIGNING_OVERDUE` dan `overdueCount` untuk pemilik dokumen dan Admin Grup.
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/FolderIdFilterParam'
+ *       - $ref: '#/components/parameters/TagIdFilterParam'
  *     responses:
  *       200:
  *         description: Data dashboard berhasil diambil
@@ -39,6 +46,8 @@
  *                         type: object
  *                     statistics:
  *                       type: object
+ *       400:
+ *         description: Parameter folderId atau tagId tidak valid
  *       401:
  *         description: User tidak authenticated atau cookie tidak valid
  *       500:
@@ -70,7 +70,11 @@
  *     tags:
  *       - Documents
  *     summary: Ambil daftar dokumen user
- *     description: Mendapatkan daftar semua dokumen milik user dengan search filter
+ *     description: |
+ *       Mendapatkan daftar dokumen personal & grup milik user per halaman, dengan search, sorting, dan filter.
+ *       Kata kunci dicocokkan dengan judul, tipe, dan isi teks PDF (full-text search PostgreSQL, bahasa Indonesia & Inggris).
+ *       Jika `search` diisi, hasil secara default diurutkan berdasarkan relevansi dan disertai snippet isi dokumen.
+ *       Dokumen arsip (`archived`) tidak ditampilkan kecuali difilter dengan `status=archived`.
  *     security:
  *       - cookieAuth: []
  *     parameters:
@@ -78,10 +82,41 @@
  *         in: query
  *         schema:
  *           type: string
- *         description: Search dokumen berdasarkan title
+ *           maxLength: 200
+ *         description: Kata kunci judul, tipe, atau isi dokumen (mendukung "frasa", OR, dan -kata)
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - name: sortBy
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [relevance, createdAt, updatedAt, title, status]
+ *         description: Field sorting. Default `relevance` jika `search` diisi, selain itu `createdAt`.
+ *       - $ref: '#/components/parameters/SortOrderParam'
+ *       - $ref: '#/components/parameters/FilterStatusParam'
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Filter tipe dokumen (misal "Kontrak", "Invoice")
+ *       - name: groupId
+ *         in: query
+ *         schema:
+ *           type: string
+ *           example: "12"
+ *         description: Filter ID grup, atau `personal` untuk dokumen non-grup
+ *       - $ref: '#/components/parameters/DateFromParam'
+ *       - $ref: '#/components/parameters/DateToParam'
+ *       - $ref: '#/components/parameters/FolderIdFilterParam'
+ *       - $ref: '#/components/parameters/TagIdFilterParam'
  *     responses:
  *       200:
  *         description: Daftar dokumen berhasil diambil
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           X-Page-Count:
+ *             $ref: '#/components/headers/XPageCount'
  *         content:
  *           application/json:
  *             schema:
@@ -103,6 +138,46 @@
  *                         type: string
  *                       createdAt:
  *                         type: string
+ *                       folder:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             tag:
+ *                               type: object
+ *                               properties:
+ *                                 id:
+ *                                   type: string
+ *                                 name:
+ *                                   type: string
+ *                                 color:
+ *                                   type: string
+ *                                   nullable: true
+ *                       searchRank:
+ *                         type: number
+ *                         description: Relevansi hasil (hanya jika search diisi); +1 jika judul/tipe cocok
+ *                         example: 1.42
+ *                       searchSnippet:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Potongan isi dokumen (HTML ter-escape) dengan kata kunci ditandai <mark>
+ *                         example: "... pembayaran kepada <mark>PT Maju Jaya</mark> sesuai invoice ..."
+ *                       matchedVersionId:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Versi dokumen yang isinya paling cocok
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Parameter pagination, sorting, atau filter tidak valid
  *       401:
  *         description: User tidak authenticated
  *       500:
@@ -192,8 +267,10 @@
  *   delete:
  *     tags:
  *       - Documents
- *     summary: Hapus dokumen
- *     description: Menghapus dokumen dan semua versi serta riwayatnya
+ *     summary: Hapus dokumen (pindah ke tempat sampah)
+ *     description: |
+ *       Memindahkan dokumen beserta semua versinya ke tempat sampah. Dokumen dapat dipulihkan lewat
+ *       `POST /api/trash/documents/{documentId}/restore` dan dihapus permanen otomatis setelah masa retensi (default 30 hari).
  *     security:
  *       - cookieAuth: []
  *     parameters:
@@ -204,7 +281,7 @@
  *           type: string
  *     responses:
  *       200:
- *         description: Dokumen berhasil dihapus
+ *         description: Dokumen dipindahkan ke tempat sampah
  *         content:
  *           application/json:
  *             schema:
@@ -215,7 +292,7 @@
  *                   example: "success"
  *                 message:
  *                   type: string
- *                   example: "Dokumen dan semua riwayatnya berhasil dihapus."
+ *                   example: "Dokumen berhasil dipindahkan ke tempat sampah."
  *       404:
  *         description: Dokumen tidak ditemukan
  *       401:
@@ -223,6 +300,93 @@
  *       500:
  *         description: Server error
  *
+ * /api/documents/{documentId}/archive:
+ *   post:
+ *     tags:
+ *       - Documents
+ *     summary: Arsipkan dokumen
+ *     description: |
+ *       Memindahkan dokumen ke arsip (status `archived`). Dokumen arsip disembunyikan dari daftar dokumen default,
+ *       daftar dokumen grup, dan action item dashboard, serta tidak dapat diubah sampai dikeluarkan dari arsip.
+ *       Dokumen personal hanya dapat diarsipkan pemiliknya; dokumen grup hanya oleh Admin Grup.
+ *       Jika `AUTO_ARCHIVE_COMPLETED_DAYS` diisi, dokumen `completed` yang tidak berubah selama N hari diarsipkan otomatis oleh cron.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dokumen berhasil diarsipkan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Dokumen berhasil diarsipkan."
+ *                 data:
+ *                   type: object
+ *       401:
+ *         description: User tidak authenticated
+ *       403:
+ *         description: Bukan pemilik dokumen personal / bukan Admin Grup untuk dokumen grup
+ *       404:
+ *         description: Dokumen tidak ditemukan
+ *       409:
+ *         description: Dokumen sudah diarsipkan atau masih menunggu tanda tangan (INVALID_ARCHIVE_STATE)
+ *       500:
+ *         description: Server error *
+ * /api/documents/{documentId}/unarchive:
+ *   post:
+ *     tags:
+ *       - Documents
+ *     summary: Keluarkan dokumen dari arsip
+ *     description: |
+ *       Mengeluarkan dokumen dari arsip dan mengembalikan status sebelum diarsipkan (`draft` atau `completed`).
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dokumen berhasil dikeluarkan dari arsip
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Dokumen berhasil dikeluarkan dari arsip."
+ *                 data:
+ *                   type: object
+ *       401:
+ *         description: User tidak authenticated
+ *       403:
+ *         description: Bukan pemilik dokumen personal / bukan Admin Grup untuk dokumen grup
+ *       404:
+ *         description: Dokumen tidak ditemukan
+ *       409:
+ *         description: Dokumen tidak sedang diarsipkan (INVALID_ARCHIVE_STATE)
+ *       500:
+ *         description: Server error *
  * /api/documents/{documentId}/history:
  *   get:
  *     tags:
@@ -268,6 +432,50 @@
  *       500:
  *         description: Server error
  *
+ * /api/documents/{documentId}/versions:
+ *   post:
+ *     tags:
+ *       - Documents
+ *     summary: Upload revisi dokumen
+ *     description: |
+ *       Mengunggah file koreksi sebagai versi berikutnya dari dokumen yang sama (PDF atau Word, Word dikonversi ke PDF).
+ *       Tunduk pada batas versi; file yang identik dengan versi yang sudah ada ditolak. Untuk dokumen grup,
+ *       draft tanda tangan pada versi lama dihapus dan anggota diberi tahu lewat socket (`group_document_update`, action `new_version`).
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [documentFile, description]
+ *             properties:
+ *               documentFile:
+ *                 type: string
+ *                 format: binary
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Perbaikan nominal pada pasal 3"
+ *     responses:
+ *       201:
+ *         description: Revisi berhasil disimpan sebagai versi aktif
+ *       400:
+ *         description: File/keterangan tidak valid, atau dokumen sudah selesai/ditandatangani
+ *       403:
+ *         description: Bukan pemilik/Admin Grup atau batas versi tercapai
+ *       404:
+ *         description: Dokumen tidak ditemukan
+ *       409:
+ *         description: File identik dengan versi yang sudah ada
+ *
  * /api/documents/{documentId}/versions/{versionId}/restore:
  *   post:
  *     tags:
@@ -314,8 +522,10 @@
  *   delete:
  *     tags:
  *       - Documents
- *     summary: Hapus versi spesifik
- *     description: Menghapus satu versi tertentu dari riwayat dokumen
+ *     summary: Hapus versi spesifik (pindah ke tempat sampah)
+ *     description: |
+ *       Memindahkan satu versi dari riwayat dokumen ke tempat sampah. Versi aktif tidak dapat dihapus.
+ *       Versi dapat dipulihkan lewat `POST /api/trash/documents/{documentId}/versions/{versionId}/restore`.
  *     security:
  *       - cookieAuth: []
  *     parameters:
@@ -331,7 +541,7 @@
  *           type: string
  *     responses:
  *       200:
- *         description: Versi dokumen berhasil dihapus
+ *         description: Versi dokumen dipindahkan ke tempat sampah
  *         content:
  *           application/json:
  *             schema:
@@ -342,7 +552,9 @@
  *                   example: "success"
  *                 message:
  *                   type: string
- *                   example: "Versi dokumen berhasil dihapus."
+ *                   example: "Versi dokumen berhasil dipindahkan ke tempat sampah."
+ *       400:
+ *         description: Versi yang dihapus adalah versi aktif atau satu-satunya versi
  *       404:
  *         description: Dokumen atau versi tidak ditemukan
  *       401:
@@ -441,6 +653,328 @@
  *       500:
  *         description: Server error
  *
+ * /api/documents/{documentId}/versions/compare:
+ *   get:
+ *     tags:
+ *       - Documents
+ *     summary: Bandingkan dua versi dokumen
+ *     description: |
+ *       Mengekstrak teks setiap halaman kedua versi dan mengembalikan diff per kata (segmen `equal`, `added`, `removed`).
+ *       Halaman dipasangkan berdasarkan nomor halaman. Jika `visual=true`, setiap halaman yang ada di kedua versi
+ *       (maks. 10 halaman) disertai overlay pixel-diff berupa data URL PNG dengan area berubah ditandai merah.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID versi lama
+ *       - name: to
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID versi baru
+ *       - name: visual
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: size
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [thumbnail, small, medium, large]
+ *           default: small
+ *         description: Lebar gambar overlay
+ *       - name: pages
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "1,3"
+ *         description: Halaman yang dibuatkan overlay (dipisah koma, maks. 10)
+ *     responses:
+ *       200:
+ *         description: Hasil perbandingan versi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     fromVersionId:
+ *                       type: string
+ *                     toVersionId:
+ *                       type: string
+ *                     identical:
+ *                       type: boolean
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         fromPageCount:
+ *                           type: integer
+ *                         toPageCount:
+ *                           type: integer
+ *                         changedPages:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                         addedWords:
+ *                           type: integer
+ *                         removedWords:
+ *                           type: integer
+ *                     pages:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           pageNumber:
+ *                             type: integer
+ *                           status:
+ *                             type: string
+ *                             enum: [unchanged, modified, added, removed]
+ *                           added:
+ *                             type: integer
+ *                           removed:
+ *                             type: integer
+ *                           segments:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 type:
+ *                                   type: string
+ *                                   enum: [equal, added, removed]
+ *                                 value:
+ *                                   type: string
+ *                           visual:
+ *                             type: object
+ *                             properties:
+ *                               changedPixelRatio:
+ *                                 type: number
+ *                                 example: 0.0125
+ *                               image:
+ *                                 type: string
+ *                                 example: data:image/png;base64,iVBORw0KGgo...
+ *       400:
+ *         description: Parameter perbandingan tidak valid
+ *       401:
+ *         description: User tidak authenticated
+ *       404:
+ *         description: Dokumen atau versi tidak ditemukan
+ *       422:
+ *         description: Versi dokumen gagal dibaca
+ *
+ * /api/documents/{documentId}/versions/{versionId}/pages/{page}/preview:
+ *   get:
+ *     tags:
+ *       - Documents
+ *     summary: Ambil preview halaman
+ *     description: |
+ *       Mengembalikan gambar preview satu halaman dari versi dokumen (rotasi halaman sudah diterapkan).
+ *       Hasil render di-cache di storage, sehingga request berikutnya untuk halaman & ukuran yang sama jauh lebih cepat.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: versionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Nomor halaman (mulai dari 1)
+ *       - name: size
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [thumbnail, small, medium, large]
+ *           default: small
+ *         description: Lebar gambar (thumbnail 200px, small 480px, medium 960px, large 1600px)
+ *       - name: format
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [webp, png]
+ *           default: webp
+ *     responses:
+ *       200:
+ *         description: Gambar preview halaman
+ *         headers:
+ *           X-Preview-Cache:
+ *             schema:
+ *               type: string
+ *               enum: [HIT, MISS]
+ *         content:
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Ukuran atau format preview tidak valid
+ *       401:
+ *         description: User tidak authenticated
+ *       404:
+ *         description: Dokumen, versi, atau halaman tidak ditemukan
+ *       422:
+ *         description: Halaman gagal di-render
+ *
+ * /api/documents/{documentId}/pages:
+ *   post:
+ *     tags:
+ *       - Documents
+ *     summary: Operasi halaman (hapus, putar, urutkan, gabung)
+ *     description: |
+ *       Menerapkan operasi halaman secara berurutan ke versi aktif dan menyimpan hasilnya sebagai versi baru.
+ *       Nomor halaman pada setiap operasi mengacu pada susunan halaman setelah operasi sebelumnya.
+ *       Hanya pemilik dokumen (atau Admin Grup), tunduk pada batas versi, dan ditolak jika dokumen sudah memiliki tanda tangan.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [operations]
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required: [type]
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [delete, rotate, reorder, merge]
+ *                     pages:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: Halaman target (delete, rotate; untuk merge = halaman dari dokumen sumber)
+ *                     angle:
+ *                       type: integer
+ *                       enum: [90, 180, 270, -90]
+ *                       description: Rotasi searah jarum jam (rotate)
+ *                     order:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       description: Urutan baru semua halaman (reorder)
+ *                     documentId:
+ *                       type: string
+ *                       description: Dokumen milik sendiri yang digabungkan (merge)
+ *                     insertAfter:
+ *                       type: integer
+ *                       description: Sisipkan setelah halaman ke-N, 0 = di awal (merge, default di akhir)
+ *               description:
+ *                 type: string
+ *                 description: Keterangan perubahan untuk versi baru
+ *           example:
+ *             operations:
+ *               - { type: delete, pages: [1] }
+ *               - { type: merge, documentId: "b5a1c0de-0000-4000-8000-000000000001" }
+ *               - { type: rotate, pages: [2], angle: 90 }
+ *             description: Hapus cover & tambah lampiran
+ *     responses:
+ *       201:
+ *         description: Versi baru berhasil dibuat
+ *       400:
+ *         description: Operasi tidak valid
+ *       403:
+ *         description: Bukan pemilik/Admin Grup atau batas versi tercapai
+ *       404:
+ *         description: Dokumen tidak ditemukan
+ *       409:
+ *         description: Dokumen sudah memiliki tanda tangan
+ *
+ * /api/documents/{documentId}/split:
+ *   post:
+ *     tags:
+ *       - Documents
+ *     summary: Pecah dokumen
+ *     description: Memecah versi aktif menjadi beberapa dokumen pribadi baru per rentang halaman. Dokumen asal tidak berubah.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [parts]
+ *             properties:
+ *               parts:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 20
+ *                 items:
+ *                   type: object
+ *                   required: [fromPage, toPage]
+ *                   properties:
+ *                     fromPage:
+ *                       type: integer
+ *                       minimum: 1
+ *                     toPage:
+ *                       type: integer
+ *                     title:
+ *                       type: string
+ *                       description: Judul dokumen baru (default "{judul} (hal. X-Y)")
+ *     responses:
+ *       201:
+ *         description: Dokumen baru berhasil dibuat
+ *       400:
+ *         description: Rentang halaman tidak valid atau judul duplikat
+ *       403:
+ *         description: Bukan pemilik/Admin Grup
+ *       404:
+ *         description: Dokumen tidak ditemukan
+ *       409:
+ *         description: Dokumen sudah memiliki tanda tangan
+ *
  * /api/documents/{documentId}/analyze:
  *   post:
  *     tags:
@@ -10,6 +10,7 @@
  *       enum:
  *         - draft
  *         - pending
+ *         - finalizing
  *         - completed
  *         - archived
  *       description: |
@@ -17,6 +18,7 @@
  *
  *         - **draft**: Dokumen baru, belum di-upload atau belum siap untuk ditandatangani
  *         - **pending**: Dokumen di-upload dan menunggu proses signature (signer diminta menandatangani)
+ *         - **finalizing**: Dokumen grup sedang difinalisasi (burn-in tanda tangan); kembali ke pending jika gagal
  *         - **completed**: Semua tanda tangan sudah diterima, dokumen final
  *         - **archived**: Dokumen sudah disimpan ke archive storage (readonly)
  *       example: "pending"
@@ -93,12 +95,14 @@
  *         - PENDING
  *         - SIGNED
  *         - REJECTED
+ *         - EXPIRED
  *       description: |
  *         Status signature request (untuk group document signing):
  *
  *         - **PENDING**: Menunggu signer menandatangani
  *         - **SIGNED**: Sudah ditandatangani oleh signer
  *         - **REJECTED**: Ditolak oleh signer
+ *         - **EXPIRED**: Batas waktu tanda tangan lewat sebelum signer menandatangani
  *       example: "PENDING"
  *
  *     SigningMethod:
@@ -106,11 +110,13 @@
  *       enum:
  *         - canvas
  *         - qrcode
+ *         - typed
  *       description: |
  *         Metode pembuatan signature:
  *
  *         - **canvas**: Drawn signature (user menggambar di canvas/touchpad)
  *         - **qrcode**: QR Code verification (user scan QR code dari dokumen fisik untuk verification online)
+ *         - **typed**: Typed signature (user mengetik nama + memilih gaya font, gambar di-render server)
  *       example: "canvas"
  *
  *     SignatureDraftStatus:
@@ -184,6 +190,11 @@
  *         - SIGN_PACKAGE
  *         - TRANSACTION_SUCCESS
  *         - TRANSACTION_CANCELLED
+ *         - RESTORE_DOCUMENT
+ *         - PURGE_DOCUMENT
+ *         - PURGE_DOCUMENT_VERSION
+ *         - DECLINE_DOCUMENT_GROUP
+ *         - DELEGATE_SIGNATURE_GROUP
  *       description: |
  *         Tipe action yang di-audit untuk compliance tracking:
  *
@@ -199,6 +210,11 @@
  *         - **SIGN_PACKAGE**: User tandatangani package dokumen
  *         - **TRANSACTION_SUCCESS**: Transaksi pembayaran berhasil
  *         - **TRANSACTION_CANCELLED**: Transaksi pembayaran dibatalkan
+ *         - **RESTORE_DOCUMENT**: Dokumen dipulihkan dari tempat sampah (user/admin)
+ *         - **PURGE_DOCUMENT**: Dokumen dihapus permanen dari tempat sampah (manual atau cron retensi)
+ *         - **PURGE_DOCUMENT_VERSION**: Versi dokumen di tempat sampah dihapus permanen oleh cron retensi
+ *         - **DECLINE_DOCUMENT_GROUP**: Signer menolak menandatangani dokumen grup (beserta alasannya)
+ *         - **DELEGATE_SIGNATURE_GROUP**: Slot tanda tangan dokumen grup didelegasikan ke anggota lain (beserta alasannya)
  *       example: "SIGN_DOCUMENT_PERSONAL"
  *
  *     HttpMethod:
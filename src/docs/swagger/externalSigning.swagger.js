@@ -0,0 +1,484 @@
+/**
+ * @swagger
+ * tags:
+ *   - name: External Signing
+ *     description: |
+ *       Penanda tangan eksternal (tanpa akun) untuk dokumen grup. Admin Grup atau pemilik dokumen mengundang
+ *       penanda tangan lewat nama + email dan/atau nomor WhatsApp; link sekali pakai dikirim ke WhatsApp (jika ada
+ *       nomor HP) atau email. Link ditukar menjadi sesi yang hanya berlaku untuk satu dokumen, lalu penanda tangan
+ *       wajib memverifikasi kode OTP sebelum dapat membuka dan menandatangani dokumen.
+ *
+ * /api/groups/{groupId}/documents/{documentId}/external-signers:
+ *   post:
+ *     tags:
+ *       - External Signing
+ *     summary: Undang penanda tangan eksternal
+ *     description: |
+ *       Menambahkan penanda tangan tanpa akun ke dokumen grup dan mengirim link tanda tangan sekali pakai
+ *       (berlaku 72 jam, dapat diatur lewat `EXTERNAL_SIGNING_LINK_HOURS`). Link juga dikembalikan di response
+ *       agar dapat dibagikan manual jika pengiriman gagal (`delivered: false`). Dokumen draft otomatis menjadi `pending`.
+ *
+ *       Hanya Admin Grup atau pemilik dokumen. Anggota menerima event `group_document_update` (action `signer_update`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             description: Wajib mengisi salah satu dari `email` atau `phoneNumber`.
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Rina Wijaya"
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "rina@partner.com"
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "081234567890"
+ *               deadline:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Batas waktu tanda tangan khusus penanda tangan ini (opsional)
+ *     responses:
+ *       201:
+ *         description: Penanda tangan eksternal diundang
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Penanda tangan eksternal diundang. Link tanda tangan telah dikirim."
+ *                 data:
+ *                   $ref: '#/components/schemas/ExternalSigningLink'
+ *       400:
+ *         description: Data tidak valid, penanda tangan sudah diundang, atau dokumen sudah selesai
+ *       401:
+ *         description: Token tidak valid
+ *       403:
+ *         description: Bukan Admin Grup atau pemilik dokumen
+ *       404:
+ *         description: Dokumen tidak ditemukan di grup
+ *
+ * /api/groups/{groupId}/documents/{documentId}/external-signers/{signerId}/resend:
+ *   post:
+ *     tags:
+ *       - External Signing
+ *     summary: Kirim ulang link tanda tangan eksternal
+ *     description: |
+ *       Membuat link tanda tangan baru untuk penanda tangan eksternal yang masih `PENDING`.
+ *       Semua link dan sesi sebelumnya dicabut. Hanya Admin Grup atau pemilik dokumen.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: signerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID GroupDocumentSigner penanda tangan eksternal
+ *     responses:
+ *       200:
+ *         description: Link baru dibuat
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Link tanda tangan baru telah dikirim."
+ *                 data:
+ *                   $ref: '#/components/schemas/ExternalSigningLink'
+ *       400:
+ *         description: Penanda tangan sudah tidak PENDING
+ *       403:
+ *         description: Bukan Admin Grup atau pemilik dokumen
+ *       404:
+ *         description: Penanda tangan eksternal tidak ditemukan
+ *
+ * /api/groups/{groupId}/documents/{documentId}/external-signers/{signerId}:
+ *   delete:
+ *     tags:
+ *       - External Signing
+ *     summary: Hapus penanda tangan eksternal
+ *     description: |
+ *       Menghapus penanda tangan eksternal yang belum menandatangani beserta link & sesinya.
+ *       Dokumen kembali menjadi `draft` jika tidak ada penanda tangan lain. Hanya Admin Grup atau pemilik dokumen.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: signerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Penanda tangan eksternal dihapus
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Penanda tangan eksternal dihapus."
+ *                 data:
+ *                   $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Penanda tangan sudah menandatangani
+ *       403:
+ *         description: Bukan Admin Grup atau pemilik dokumen
+ *       404:
+ *         description: Penanda tangan eksternal tidak ditemukan
+ *
+ * /api/external-signing/session:
+ *   post:
+ *     tags:
+ *       - External Signing
+ *     summary: "[PUBLIC] Buka sesi tanda tangan dari link"
+ *     description: |
+ *       Menukar token link sekali pakai menjadi token sesi (berlaku 60 menit) dan mengirim kode OTP 6 digit
+ *       (berlaku 5 menit) ke WhatsApp atau email penanda tangan. Link tidak dapat dipakai lagi setelah ditukar.
+ *       Kirim token sesi di header `X-Signing-Session` untuk endpoint sesi lainnya.
+ *       Jika OTP gagal dikirim, sesi tetap dibuka dengan `otpDelivered: false`; minta kode baru lewat
+ *       `POST /api/external-signing/session/otp` tanpa menunggu jeda.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token dari link `/external-sign/{token}`
+ *     responses:
+ *       201:
+ *         description: Sesi dibuka (OTP dikirim, atau `otpDelivered` false jika pengiriman gagal)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Kode OTP telah dikirim."
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionToken:
+ *                       type: string
+ *                     sessionExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     otpChannel:
+ *                       type: string
+ *                       enum: [whatsapp, email]
+ *                     otpDestination:
+ *                       type: string
+ *                       example: "0812*****890"
+ *                     otpDelivered:
+ *                       type: boolean
+ *                       description: False jika kode OTP gagal dikirim; minta kode baru lewat endpoint kirim ulang OTP
+ *                     signerName:
+ *                       type: string
+ *                       example: "Rina Wijaya"
+ *                     document:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         title:
+ *                           type: string
+ *                         groupName:
+ *                           type: string
+ *       400:
+ *         description: Tenggat tanda tangan sudah lewat
+ *       401:
+ *         description: Link tidak valid, sudah dipakai, dicabut, atau kedaluwarsa (code `INVALID_SIGNING_LINK`)
+ *
+ * /api/external-signing/session/otp:
+ *   post:
+ *     tags:
+ *       - External Signing
+ *     summary: "[PUBLIC] Kirim ulang kode OTP"
+ *     description: Mengirim kode OTP baru untuk sesi aktif. Hanya dapat diminta sekali per 60 detik.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SigningSessionHeader'
+ *     responses:
+ *       200:
+ *         description: Kode OTP baru dikirim
+ *       400:
+ *         description: OTP sudah terverifikasi atau jeda pengiriman belum selesai
+ *       401:
+ *         description: Sesi tidak valid atau sudah berakhir (code `INVALID_SIGNING_LINK`)
+ *       503:
+ *         description: Kode OTP gagal dikirim (jeda kirim ulang tidak berlaku, dapat langsung dicoba lagi)
+ *
+ * /api/external-signing/session/verify-otp:
+ *   post:
+ *     tags:
+ *       - External Signing
+ *     summary: "[PUBLIC] Verifikasi kode OTP"
+ *     description: |
+ *       Memverifikasi kode OTP sesi. Setelah 5 kali salah, sesi dicabut dan penanda tangan harus meminta link baru.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SigningSessionHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^\d{6}$'
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Kode OTP terverifikasi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Kode OTP terverifikasi."
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     verified:
+ *                       type: boolean
+ *                       example: true
+ *                     otpVerifiedAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Kode OTP salah atau kedaluwarsa (code `INVALID_OTP`)
+ *       401:
+ *         description: Sesi tidak valid, sudah berakhir, atau dicabut karena terlalu banyak percobaan
+ *
+ * /api/external-signing/session/document:
+ *   get:
+ *     tags:
+ *       - External Signing
+ *     summary: "[PUBLIC] Ambil dokumen sesi"
+ *     description: Mengembalikan info dokumen sesi beserta signed URL file (berlaku 5 menit). OTP wajib terverifikasi.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SigningSessionHeader'
+ *     responses:
+ *       200:
+ *         description: Dokumen sesi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     documentId:
+ *                       type: string
+ *                     title:
+ *                       type: string
+ *                     groupName:
+ *                       type: string
+ *                     signerName:
+ *                       type: string
+ *                     deadline:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     fileUrl:
+ *                       type: string
+ *                       format: uri
+ *       401:
+ *         description: Sesi tidak valid atau sudah berakhir
+ *       403:
+ *         description: OTP belum diverifikasi (code `OTP_NOT_VERIFIED`)
+ *
+ * /api/external-signing/session/sign:
+ *   post:
+ *     tags:
+ *       - External Signing
+ *     summary: "[PUBLIC] Tanda tangani dokumen sesi"
+ *     description: |
+ *       Menyimpan tanda tangan penanda tangan eksternal (body sama dengan `POST /api/group-signatures/{documentId}/sign`).
+ *       IP, user agent, dan waktu verifikasi OTP dicatat dan ditampilkan di audit trail PDF. Sesi berakhir setelah
+ *       tanda tangan tersimpan. Anggota grup menerima event `group_document_update` (action `signature_added`);
+ *       jika semua signer selesai dan finalisasi otomatis aktif, dokumen difinalisasi di background.
+ *       Pada tanda tangan berurutan, jika tanda tangan ini menyelesaikan sebuah tahap, anggota grup menerima event
+ *       `group_document_update` (action `signing_turn`, beserta `order` & `signerIds`).
+ *     parameters:
+ *       - $ref: '#/components/parameters/SigningSessionHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [positionX, positionY, pageNumber]
+ *             properties:
+ *               signatureImageUrl:
+ *                 type: string
+ *                 description: Wajib kecuali `method` = `typed`
+ *               method:
+ *                 type: string
+ *                 enum: [canvas, qrcode, typed]
+ *               typedText:
+ *                 type: string
+ *               typedFont:
+ *                 type: string
+ *               appearanceTemplate:
+ *                 type: string
+ *                 enum: [image-only, standard, detailed]
+ *               positionX:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *               positionY:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *               pageNumber:
+ *                 type: integer
+ *                 minimum: 1
+ *               width:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *               height:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *               fields:
+ *                 type: array
+ *                 description: Field non-tanda tangan (tanggal, paraf, teks, checkbox), di-burn-in saat finalisasi
+ *                 items:
+ *                   $ref: '#/components/schemas/SignatureFieldInput'
+ *               repeatInitials:
+ *                 $ref: '#/components/schemas/RepeatInitialsInput'
+ *     responses:
+ *       200:
+ *         description: Tanda tangan tersimpan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Tanda tangan berhasil disimpan. Terima kasih."
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     remainingSigners:
+ *                       type: integer
+ *                       example: 0
+ *                     readyToFinalize:
+ *                       type: boolean
+ *                     autoFinalizing:
+ *                       type: boolean
+ *       400:
+ *         description: Data tanda tangan tidak valid atau tenggat sudah lewat
+ *       401:
+ *         description: Sesi tidak valid atau sudah berakhir
+ *       403:
+ *         description: |
+ *           OTP belum diverifikasi (code `OTP_NOT_VERIFIED`), atau belum gilirannya (code `NOT_YOUR_TURN`):
+ *           masih ada signer PENDING di tahap urutan sebelumnya.
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequestsResponse'
+ *
+ * components:
+ *   parameters:
+ *     SigningSessionHeader:
+ *       name: X-Signing-Session
+ *       in: header
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: Token sesi dari `POST /api/external-signing/session`
+ *   schemas:
+ *     ExternalSigningLink:
+ *       type: object
+ *       properties:
+ *         signer:
+ *           $ref: '#/components/schemas/GroupDocumentSigner'
+ *         signingLink:
+ *           type: string
+ *           format: uri
+ *           example: "https://app.wesign.com/external-sign/3f9c..."
+ *         linkExpiresAt:
+ *           type: string
+ *           format: date-time
+ *         delivered:
+ *           type: boolean
+ *           description: False jika link gagal dikirim otomatis lewat WhatsApp/email
+ */
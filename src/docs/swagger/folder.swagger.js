@@ -0,0 +1,257 @@
+/**
+ * @swagger
+ * tags:
+ *   - name: Folders
+ *     description: Folder bertingkat untuk mengelompokkan dokumen personal dan grup
+ *
+ * components:
+ *   schemas:
+ *     FolderNode:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: "Kontrak 2025"
+ *         parentId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         groupId:
+ *           type: integer
+ *           nullable: true
+ *         documentCount:
+ *           type: integer
+ *           example: 4
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FolderNode'
+ *
+ * /api/folders:
+ *   get:
+ *     tags:
+ *       - Folders
+ *     summary: Ambil pohon folder
+ *     description: Folder personal user, atau folder grup jika `groupId` diisi (semua anggota grup dapat melihat).
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: query
+ *         schema:
+ *           type: integer
+ *         description: ID grup; kosongkan untuk folder personal
+ *     responses:
+ *       200:
+ *         description: Pohon folder (root beserta children)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FolderNode'
+ *       403:
+ *         description: User bukan anggota grup
+ *
+ *   post:
+ *     tags:
+ *       - Folders
+ *     summary: Buat folder
+ *     description: |
+ *       Membuat folder personal, folder grup (hanya Admin Grup), atau sub-folder dari `parentId`
+ *       (cakupan mengikuti folder parent). Nama folder unik di antara folder se-parent, kedalaman maksimal 10 tingkat.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Kontrak 2025"
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               groupId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Folder berhasil dibuat
+ *       400:
+ *         description: Validasi gagal atau folder terlalu dalam (INVALID_FOLDER_MOVE)
+ *       403:
+ *         description: Bukan Admin Grup
+ *       404:
+ *         description: Folder parent tidak ditemukan
+ *       409:
+ *         description: Nama folder sudah ada di lokasi yang sama
+ *
+ * /api/folders/{folderId}:
+ *   patch:
+ *     tags:
+ *       - Folders
+ *     summary: Ganti nama / pindahkan folder
+ *     description: Mengganti nama folder dan/atau memindahkannya ke parent lain dalam cakupan yang sama (`parentId` null = root).
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: folderId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Folder berhasil diperbarui
+ *       400:
+ *         description: Pemindahan tidak valid (ke sub-folder sendiri atau terlalu dalam)
+ *       403:
+ *         description: Bukan Admin Grup
+ *       404:
+ *         description: Folder tidak ditemukan
+ *       409:
+ *         description: Nama folder sudah ada di lokasi tujuan
+ *
+ *   delete:
+ *     tags:
+ *       - Folders
+ *     summary: Hapus folder
+ *     description: Menghapus folder. Sub-folder dan dokumen di dalamnya dipindah ke folder induknya (atau root), tidak ikut terhapus.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: folderId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Folder berhasil dihapus
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     movedToFolderId:
+ *                       type: string
+ *                       nullable: true
+ *       403:
+ *         description: Bukan Admin Grup
+ *       404:
+ *         description: Folder tidak ditemukan
+ *
+ * /api/folders/move-documents:
+ *   post:
+ *     tags:
+ *       - Folders
+ *     summary: Pindahkan dokumen ke folder (bulk)
+ *     description: |
+ *       Memindahkan hingga 100 dokumen sekaligus ke folder. `folderId` null mengeluarkan dokumen dari folder;
+ *       untuk dokumen grup sertakan `groupId`. Dokumen harus berada pada cakupan yang sama dengan folder.
+ *       Pada folder grup, hanya Admin Grup dan Signer yang dapat memindahkan dokumen.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - documentIds
+ *             properties:
+ *               documentIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *               groupId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Dokumen berhasil dipindahkan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "3 dokumen berhasil dipindahkan."
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     folderId:
+ *                       type: string
+ *                       nullable: true
+ *                     movedCount:
+ *                       type: integer
+ *       400:
+ *         description: Dokumen di luar cakupan folder
+ *       403:
+ *         description: Role tidak diizinkan
+ *       404:
+ *         description: Folder atau dokumen tidak ditemukan
+ */
+
+export default {};
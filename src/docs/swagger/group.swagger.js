@@ -60,12 +60,29 @@
  *     tags:
  *       - Groups
  *     summary: Ambil daftar grup user
- *     description: Mendapatkan daftar semua grup yang diikuti user saat ini
+ *     description: Mendapatkan daftar grup yang diikuti user saat ini per halaman, dengan sorting dan filter tanggal grup dibuat
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - name: sortBy
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, name]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/SortOrderParam'
+ *       - $ref: '#/components/parameters/DateFromParam'
+ *       - $ref: '#/components/parameters/DateToParam'
  *     responses:
  *       200:
  *         description: Daftar grup berhasil diambil
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           X-Page-Count:
+ *             $ref: '#/components/headers/XPageCount'
  *         content:
  *           application/json:
  *             schema:
@@ -83,8 +100,25 @@
  *                         type: integer
  *                       name:
  *                         type: string
- *                       memberCount:
+ *                       docs_count:
  *                         type: integer
+ *                       members_count:
+ *                         type: integer
+ *                       adminStatus:
+ *                         type: string
+ *                         enum: [FREE, PREMIUM]
+ *                       ownerId:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Parameter pagination atau sorting tidak valid
  *       401:
  *         description: Token tidak valid
  *       500:
@@ -236,6 +270,63 @@
  *       500:
  *         description: Server error
  *
+ * /api/groups/{groupId}/auto-finalize:
+ *   put:
+ *     tags:
+ *       - Groups
+ *     summary: Atur finalisasi otomatis grup
+ *     description: |
+ *       Mengaktifkan atau menonaktifkan finalisasi otomatis untuk dokumen grup. Jika aktif, dokumen difinalisasi
+ *       di background begitu signer terakhir tanda tangan (proses yang sama dengan endpoint finalize), atas nama
+ *       pemilik dokumen atau Admin Grup jika pemilik sudah keluar. PIN dokumen dikirim lewat WhatsApp.
+ *       Dokumen dengan pengaturan sendiri (`Document.autoFinalize`) tidak terpengaruh.
+ *
+ *       Hanya Admin Grup. Anggota menerima event `group_info_update` (action `update_info`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [autoFinalize]
+ *             properties:
+ *               autoFinalize:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Pengaturan finalisasi otomatis grup diperbarui
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Finalisasi otomatis grup diaktifkan."
+ *                 data:
+ *                   $ref: '#/components/schemas/Group'
+ *       400:
+ *         description: autoFinalize bukan boolean
+ *       401:
+ *         description: Token tidak valid
+ *       403:
+ *         description: User bukan admin grup
+ *       500:
+ *         description: Server error
+ *
  * /api/groups/{groupId}/invitations:
  *   post:
  *     tags:
@@ -571,12 +662,68 @@
  *       500:
  *         description: Server error
  *
+ * /api/groups/{groupId}/documents/{documentId}/versions:
+ *   post:
+ *     tags:
+ *       - Groups
+ *     summary: Upload revisi dokumen grup
+ *     description: |
+ *       Mengunggah file koreksi sebagai versi baru dari dokumen grup (hanya Admin Grup atau pemilik dokumen).
+ *       Draft tanda tangan pada versi lama dihapus dan anggota menerima event `group_document_update` (action `new_version`) di room `group_{groupId}`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, description]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: File PDF/Word revisi
+ *               description:
+ *                 type: string
+ *                 example: "Perbaikan nama pihak kedua"
+ *     responses:
+ *       201:
+ *         description: Revisi berhasil disimpan sebagai versi aktif
+ *       400:
+ *         description: Validasi gagal, dokumen sudah selesai, atau sudah ada anggota yang menandatangani
+ *       403:
+ *         description: Bukan Admin Grup/pemilik dokumen atau batas versi tercapai
+ *       404:
+ *         description: Dokumen tidak ditemukan di grup
+ *       409:
+ *         description: File identik dengan versi yang sudah ada
+ *
  * /api/groups/{groupId}/documents/{documentId}/signers:
- *   patch:
+ *   put:
  *     tags:
  *       - Groups
  *     summary: Update penanda tangan dokumen
- *     description: Mengupdate list penanda tangan (tambah/hapus) di tengah proses signing
+ *     description: |
+ *       Mengupdate list penanda tangan (tambah/hapus) dan urutan tanda tangannya di tengah proses signing.
+ *
+ *       Signer dengan `order` yang sama membentuk satu tahap paralel; signer di tahap berikutnya baru dapat
+ *       menyimpan draft atau menandatangani setelah semua signer di tahap sebelumnya selesai.
+ *       Kirim `signerUserIds` saja untuk satu tahap paralel, `signerUserIds` + `sequential: true` untuk urutan
+ *       sesuai posisi array, atau `signers` untuk menentukan tahap masing-masing signer.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -598,8 +745,7 @@
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - signerUserIds
+ *             description: Wajib mengisi salah satu dari `signerUserIds` atau `signers`.
  *             properties:
  *               signerUserIds:
  *                 type: array
@@ -607,6 +753,23 @@
  *                   type: string
  *                 example: ["user_1", "user_2", "user_3"]
  *                 description: Daftar user ID penanda tangan yang baru
+ *               sequential:
+ *                 type: boolean
+ *                 example: true
+ *                 description: Jika true, setiap signer di `signerUserIds` menjadi tahap tersendiri sesuai urutan array
+ *               signers:
+ *                 type: array
+ *                 description: Signer beserta tahap urutannya (menggantikan `signerUserIds`)
+ *                 items:
+ *                   type: object
+ *                   required: [userId, order]
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     order:
+ *                       type: integer
+ *                       minimum: 1
+ *                 example: [{ "userId": "staff_1", "order": 1 }, { "userId": "manager_1", "order": 2 }, { "userId": "manager_2", "order": 2 }, { "userId": "director_1", "order": 3 }]
  *     responses:
  *       200:
  *         description: Daftar penanda tangan berhasil diperbarui
@@ -624,7 +787,7 @@
  *                 data:
  *                   type: object
  *       400:
- *         description: Validasi gagal (signerUserIds kosong atau format invalid)
+ *         description: Validasi gagal (signerUserIds kosong, format invalid, urutan tidak valid, atau signer duplikat)
  *       401:
  *         description: Token tidak valid
  *       403:
@@ -680,6 +843,206 @@
  *       500:
  *         description: Server error
  *
+ * /api/groups/{groupId}/documents/{documentId}/cancel-signing:
+ *   post:
+ *     tags:
+ *       - Groups
+ *     summary: Batalkan putaran tanda tangan
+ *     description: |
+ *       Membatalkan putaran tanda tangan dokumen grup yang berstatus `pending` (misalnya setelah ada signer yang menolak).
+ *       Semua tanda tangan pada versi aktif dan daftar penanda tangan dihapus, lalu dokumen kembali menjadi `draft`.
+ *       Hanya Admin Grup atau pemilik dokumen. Anggota menerima event `group_document_update` (action `signing_cancelled`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Putaran tanda tangan dibatalkan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Putaran tanda tangan dibatalkan. Dokumen kembali menjadi draft."
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Dokumen tidak sedang menunggu tanda tangan
+ *       401:
+ *         description: Token tidak valid
+ *       403:
+ *         description: User bukan owner dokumen atau admin grup
+ *       404:
+ *         description: Grup atau dokumen tidak ditemukan
+ *       500:
+ *         description: Server error
+ *
+ * /api/groups/{groupId}/documents/{documentId}/deadline:
+ *   put:
+ *     tags:
+ *       - Groups
+ *     summary: Atur batas waktu tanda tangan
+ *     description: |
+ *       Mengatur atau menghapus batas waktu tanda tangan dokumen grup, untuk seluruh dokumen (`deadline`)
+ *       dan/atau per penanda tangan (`signerDeadlines`). Tenggat signer menggantikan tenggat dokumen.
+ *       Kirim `null` untuk menghapus tenggat; field yang tidak dikirim tidak diubah.
+ *
+ *       Signer menerima pengingat WhatsApp sebelum tenggat (env `SIGNING_REMINDER_HOURS`, default `48,24` jam).
+ *       Setelah tenggat lewat, permintaan menjadi `EXPIRED`, dokumen tidak dapat difinalisasi, dan anggota menerima
+ *       event `group_document_update` (action `signers_expired`). Memberi tenggat baru membuka kembali permintaan yang `EXPIRED`.
+ *
+ *       Hanya Admin Grup atau pemilik dokumen. Anggota menerima event `group_document_update` (action `deadline_update`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deadline:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 example: "2025-07-01T17:00:00.000Z"
+ *               signerDeadlines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [userId]
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                       format: uuid
+ *                     deadline:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *     responses:
+ *       200:
+ *         description: Batas waktu tanda tangan diperbarui
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Batas waktu tanda tangan berhasil diperbarui."
+ *                 data:
+ *                   $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Format tanggal tidak valid, tenggat di masa lalu, user bukan penanda tangan, atau dokumen sudah selesai
+ *       401:
+ *         description: Token tidak valid
+ *       403:
+ *         description: User bukan owner dokumen atau admin grup
+ *       404:
+ *         description: Grup atau dokumen tidak ditemukan
+ *       500:
+ *         description: Server error
+ *
+ * /api/groups/{groupId}/documents/{documentId}/auto-finalize:
+ *   put:
+ *     tags:
+ *       - Groups
+ *     summary: Atur finalisasi otomatis dokumen
+ *     description: |
+ *       Mengaktifkan atau menonaktifkan finalisasi otomatis untuk satu dokumen grup, menggantikan pengaturan grup.
+ *       Kirim `null` (atau kosongkan) untuk kembali mengikuti pengaturan grup.
+ *
+ *       Saat finalisasi otomatis berjalan, anggota menerima event `group_document_update` dengan action
+ *       `auto_finalize_started`, lalu `auto_finalize_completed` (beserta `signedFileUrl`) atau `auto_finalize_failed`.
+ *       Jika gagal, dokumen tetap `pending` dan dapat difinalisasi manual.
+ *
+ *       Hanya Admin Grup atau pemilik dokumen. Anggota menerima event `group_document_update` (action `auto_finalize_update`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               autoFinalize:
+ *                 type: boolean
+ *                 nullable: true
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Pengaturan finalisasi otomatis dokumen diperbarui
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Pengaturan finalisasi otomatis dokumen berhasil diperbarui."
+ *                 data:
+ *                   $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: autoFinalize bukan boolean atau dokumen sudah selesai
+ *       401:
+ *         description: Token tidak valid
+ *       403:
+ *         description: User bukan owner dokumen atau admin grup
+ *       404:
+ *         description: Grup atau dokumen tidak ditemukan
+ *       500:
+ *         description: Server error
+ *
  * /api/groups/{groupId}/documents/{documentId}/finalize:
  *   post:
  *     tags:
@@ -729,7 +1092,7 @@
  *                       type: object
  *                       description: Data dokumen yang sudah difinalisasi
  *       400:
- *         description: Validasi gagal (ID invalid atau belum semua yang tanda tangan)
+ *         description: Validasi gagal (ID invalid, belum semua yang tanda tangan, ada signer yang menolak, atau dokumen sedang difinalisasi oleh proses lain)
  *       401:
  *         description: Token tidak valid
  *       403:
@@ -39,6 +39,31 @@
  *                 format: uri
  *                 example: "data:image/png;base64,..."
  *                 description: Base64 atau URL gambar tanda tangan
+ *               typedText:
+ *                 type: string
+ *                 description: Teks tanda tangan ketik (wajib untuk method typed, signatureImageUrl boleh kosong)
+ *               typedFont:
+ *                 type: string
+ *                 enum: [dancing-script, great-vibes, caveat, sacramento]
+ *                 default: dancing-script
+ *                 description: Gaya font tulisan tangan untuk method typed
+ *               appearanceTemplate:
+ *                 type: string
+ *                 enum: [image-only, standard, detailed]
+ *                 default: image-only
+ *                 description: Template tampilan tanda tangan (standard = gambar + nama & waktu, detailed = + alasan & lokasi)
+ *               reason:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Alasan penandatanganan (tampil pada template detailed & disimpan di signature PDF)
+ *               location:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Lokasi penandatanganan
+ *               timezone:
+ *                 type: string
+ *                 example: "Asia/Makassar"
+ *                 description: Zona waktu IANA signer untuk waktu pada tampilan tanda tangan (default Asia/Jakarta)
  *               positionX:
  *                 type: number
  *                 example: 100
@@ -56,7 +81,15 @@
  *                 example: 75
  *               method:
  *                 type: string
- *                 example: "draw"
+ *                 enum: [canvas, qrcode, typed]
+ *                 example: "canvas"
+ *               fields:
+ *                 type: array
+ *                 description: Field non-tanda tangan (tanggal, paraf, teks, checkbox), di-burn-in saat finalisasi
+ *                 items:
+ *                   $ref: '#/components/schemas/SignatureFieldInput'
+ *               repeatInitials:
+ *                 $ref: '#/components/schemas/RepeatInitialsInput'
  *     responses:
  *       200:
  *         description: Dokumen berhasil ditandatangani
@@ -82,12 +115,173 @@
  *                     readyToFinalize:
  *                       type: boolean
  *                       description: Siap untuk finalisasi
+ *                     autoFinalizing:
+ *                       type: boolean
+ *                       description: Finalisasi otomatis sudah dimulai di background (lihat event `auto_finalize_*`)
  *       400:
  *         description: Validasi gagal atau data tidak valid
  *       401:
  *         description: User tidak authenticated
  *       403:
- *         description: User tidak authorized untuk menandatangani dokumen ini
+ *         description: |
+ *           User tidak authorized untuk menandatangani dokumen ini, atau belum gilirannya (code `NOT_YOUR_TURN`):
+ *           masih ada signer PENDING di tahap urutan sebelumnya. Jika tanda tangan ini menyelesaikan sebuah tahap,
+ *           anggota grup menerima event `group_document_update` (action `signing_turn`, beserta `order` & `signerIds`)
+ *           dan signer di tahap berikutnya menerima notifikasi WhatsApp.
+ *       500:
+ *         description: Server error
+ *
+ * /api/group-signatures/{documentId}/decline:
+ *   post:
+ *     tags:
+ *       - Group Signatures
+ *     summary: Tolak menandatangani dokumen grup
+ *     description: |
+ *       Signer menolak menandatangani dokumen grup dengan alasan. Status signer menjadi `REJECTED`, draft tanda tangannya dihapus,
+ *       penolakan dicatat di audit log (`DECLINE_DOCUMENT_GROUP`), dan anggota grup menerima event `group_document_update`
+ *       (action `signature_declined`, berisi `reason`) di room `group_{groupId}`.
+ *
+ *       Dokumen tidak dapat difinalisasi selama ada signer yang menolak. Admin Grup dapat merevisi dokumen
+ *       (signer yang menolak diminta tanda tangan ulang), mengganti signer lewat `PUT /api/groups/{groupId}/documents/{documentId}/signers`,
+ *       atau membatalkan putaran lewat `POST /api/groups/{groupId}/documents/{documentId}/cancel-signing`.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Nilai kontrak pada pasal 3 belum sesuai kesepakatan."
+ *     responses:
+ *       200:
+ *         description: Penolakan tersimpan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Anda menolak menandatangani dokumen. Admin Grup telah diberi tahu."
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     documentId:
+ *                       type: string
+ *                       format: uuid
+ *                     groupId:
+ *                       type: integer
+ *                     title:
+ *                       type: string
+ *                     reason:
+ *                       type: string
+ *       400:
+ *         description: Alasan kosong/terlalu panjang, bukan signer, atau sudah tanda tangan/menolak
+ *       401:
+ *         description: User tidak authenticated
+ *       500:
+ *         description: Server error
+ *
+ * /api/group-signatures/{documentId}/delegate:
+ *   post:
+ *     tags:
+ *       - Group Signatures
+ *     summary: Delegasikan permintaan tanda tangan
+ *     description: |
+ *       Menyerahkan slot tanda tangan yang masih `PENDING` ke anggota grup lain (role `signer` atau `admin_group`)
+ *       yang belum menjadi penanda tangan dokumen, misalnya saat signer sedang cuti. Dapat dilakukan oleh signer itu sendiri,
+ *       atau oleh Admin Grup untuk slot signer lain (isi `fromUserId`).
+ *
+ *       Tenggat slot tetap, posisi draft tanda tangan ikut dipindahkan (gambar tanda tangan signer asli tidak dibawa),
+ *       delegasi dicatat di audit log (`DELEGATE_SIGNATURE_GROUP`), penerima mendapat notifikasi WhatsApp, dan anggota grup
+ *       menerima event `group_document_update` (action `signature_delegated`). Audit trail PDF final menampilkan
+ *       "X on behalf of Y"; pada delegasi berantai Y tetap signer asli.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [toUserId, reason]
+ *             properties:
+ *               toUserId:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Sedang cuti sampai akhir bulan."
+ *               fromUserId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Signer yang slotnya didelegasikan (default user login; selain itu khusus Admin Grup)
+ *     responses:
+ *       200:
+ *         description: Delegasi berhasil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 message:
+ *                   type: string
+ *                   example: "Permintaan tanda tangan berhasil didelegasikan."
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     documentId:
+ *                       type: string
+ *                       format: uuid
+ *                     groupId:
+ *                       type: integer
+ *                     title:
+ *                       type: string
+ *                     fromUserId:
+ *                       type: string
+ *                       format: uuid
+ *                     toUserId:
+ *                       type: string
+ *                       format: uuid
+ *                     onBehalfOfId:
+ *                       type: string
+ *                       format: uuid
+ *                       nullable: true
+ *                     reason:
+ *                       type: string
+ *       400:
+ *         description: Data tidak lengkap, dokumen tidak pending, slot tidak PENDING, atau penerima tidak valid
+ *       401:
+ *         description: User tidak authenticated
+ *       403:
+ *         description: Bukan signer slot tersebut maupun Admin Grup
  *       500:
  *         description: Server error
  *
@@ -124,6 +318,29 @@
  *               signatureImageUrl:
  *                 type: string
  *                 format: uri
+ *               typedText:
+ *                 type: string
+ *               typedFont:
+ *                 type: string
+ *                 enum: [dancing-script, great-vibes, caveat, sacramento]
+ *                 default: dancing-script
+ *               appearanceTemplate:
+ *                 type: string
+ *                 enum: [image-only, standard, detailed]
+ *                 default: image-only
+ *                 description: Template tampilan tanda tangan (standard = gambar + nama & waktu, detailed = + alasan & lokasi)
+ *               reason:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Alasan penandatanganan (tampil pada template detailed & disimpan di signature PDF)
+ *               location:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Lokasi penandatanganan
+ *               timezone:
+ *                 type: string
+ *                 example: "Asia/Makassar"
+ *                 description: Zona waktu IANA signer untuk waktu pada tampilan tanda tangan (default Asia/Jakarta)
  *               pageNumber:
  *                 type: integer
  *               positionX:
@@ -10,16 +10,33 @@
  *       - History
  *     summary: Ambil riwayat aktivitas tanda tangan user
  *     description: |
- *       Mendapatkan riwayat lengkap semua aktivitas tanda tangan user:
+ *       Mendapatkan riwayat aktivitas tanda tangan user per halaman:
  *       - Personal signing history
  *       - Group signing history
  *       - Package signing history
- *       - Semua aktivitas diurutkan berdasarkan waktu terbaru
+ *       - Semua aktivitas digabung lalu diurutkan berdasarkan waktu tanda tangan (default terbaru)
  *     security:
  *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/SortOrderParam'
+ *       - name: type
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [PERSONAL, GROUP, PACKAGE]
+ *         description: Filter sumber riwayat
+ *       - $ref: '#/components/parameters/DateFromParam'
+ *       - $ref: '#/components/parameters/DateToParam'
  *     responses:
  *       200:
  *         description: Riwayat aktivitas berhasil diambil
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           X-Page-Count:
+ *             $ref: '#/components/headers/XPageCount'
  *         content:
  *           application/json:
  *             schema:
@@ -37,28 +54,20 @@
  *                         type: string
  *                       type:
  *                         type: string
- *                         enum: [personal, group, package]
+ *                         enum: [PERSONAL, GROUP, PACKAGE]
  *                         description: Tipe aktivitas tanda tangan
- *                       documentName:
+ *                       documentTitle:
  *                         type: string
- *                       action:
- *                         type: string
- *                         enum: [created, signed, rejected, completed]
- *                       user:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: string
- *                           name:
- *                             type: string
- *                           email:
- *                             type: string
- *                       timestamp:
+ *                       signedAt:
  *                         type: string
  *                         format: date-time
- *                       status:
+ *                       ipAddress:
  *                         type: string
- *                         example: "completed"
+ *                         nullable: true
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Parameter pagination atau filter tidak valid
  *       401:
  *         description: User tidak authenticated
  *       500:
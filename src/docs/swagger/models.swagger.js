@@ -124,7 +124,7 @@
  *           description: Judul dokumen
  *         status:
  *           type: string
- *           enum: [draft, pending, completed, archived]
+ *           enum: [draft, pending, finalizing, completed, archived]
  *           example: "pending"
  *           description: Status dokumen (draft=belum upload, pending=waiting signature, dll)
  *         type:
@@ -149,6 +149,15 @@
  *           format: uri
  *           nullable: true
  *           description: URL file dokumen yang sudah ditandatangani (signed/final)
+ *         signingDeadline:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Batas waktu tanda tangan dokumen grup (berlaku untuk signer tanpa tenggat sendiri)
+ *         autoFinalize:
+ *           type: boolean
+ *           nullable: true
+ *           description: Finalisasi otomatis setelah signer terakhir tanda tangan (`null` mengikuti pengaturan grup)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -222,13 +231,40 @@
  *           description: Foreign key ke User (yang menandatangani)
  *         method:
  *           type: string
- *           enum: [canvas, qrcode]
+ *           enum: [canvas, qrcode, typed]
  *           example: "canvas"
- *           description: Metode pembuatan signature (canvas=drawn, qrcode=via QR scan)
+ *           description: Metode pembuatan signature (canvas=drawn, qrcode=via QR scan, typed=teks dengan font tulisan tangan)
  *         signatureImageUrl:
  *           type: string
  *           format: uri
- *           description: Base64 atau URL gambar tanda tangan
+ *           description: Data URL / Base64 gambar tanda tangan (PNG, JPEG, WebP, atau SVG)
+ *         typedText:
+ *           type: string
+ *           nullable: true
+ *           example: "Budi Santoso"
+ *           description: Teks yang diketik user (hanya untuk method typed)
+ *         typedFont:
+ *           type: string
+ *           nullable: true
+ *           enum: [dancing-script, great-vibes, caveat, sacramento]
+ *           description: Gaya font tanda tangan ketik (hanya untuk method typed)
+ *         appearanceTemplate:
+ *           type: string
+ *           nullable: true
+ *           enum: [image-only, standard, detailed]
+ *           description: Template tampilan tanda tangan pada PDF
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Alasan penandatanganan
+ *         location:
+ *           type: string
+ *           nullable: true
+ *           description: Lokasi penandatanganan
+ *         timezone:
+ *           type: string
+ *           nullable: true
+ *           description: Zona waktu IANA signer
  *         qrCodeDataUrl:
  *           type: string
  *           format: uri
@@ -310,15 +346,42 @@
  *         signerId:
  *           type: string
  *           format: uuid
- *           description: Foreign key ke User (penandatangan dalam group)
+ *           nullable: true
+ *           description: Foreign key ke User (penandatangan dalam group). Null untuk penanda tangan eksternal
  *         method:
  *           type: string
- *           enum: [canvas, qrcode]
+ *           enum: [canvas, qrcode, typed]
  *           description: Metode pembuatan signature
  *         signatureImageUrl:
  *           type: string
  *           format: uri
  *           description: URL gambar signature
+ *         typedText:
+ *           type: string
+ *           nullable: true
+ *           description: Teks yang diketik user (hanya untuk method typed)
+ *         typedFont:
+ *           type: string
+ *           nullable: true
+ *           enum: [dancing-script, great-vibes, caveat, sacramento]
+ *           description: Gaya font tanda tangan ketik (hanya untuk method typed)
+ *         appearanceTemplate:
+ *           type: string
+ *           nullable: true
+ *           enum: [image-only, standard, detailed]
+ *           description: Template tampilan tanda tangan pada PDF
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Alasan penandatanganan
+ *         location:
+ *           type: string
+ *           nullable: true
+ *           description: Lokasi penandatanganan
+ *         timezone:
+ *           type: string
+ *           nullable: true
+ *           description: Zona waktu IANA signer
  *         positionX:
  *           type: number
  *           description: Posisi X di halaman
@@ -354,6 +417,129 @@
  *         userAgent:
  *           type: string
  *           nullable: true
+ *         otpVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Waktu verifikasi OTP penanda tangan eksternal (ditampilkan di audit trail PDF)
+ *         otpChannel:
+ *           type: string
+ *           nullable: true
+ *           enum: [whatsapp, email]
+ *           description: Kanal pengiriman OTP penanda tangan eksternal
+ *
+ *     SignatureFieldInput:
+ *       type: object
+ *       description: Field non-tanda tangan yang di-burn-in ke PDF saat menandatangani
+ *       required: [type, pageNumber, positionX, positionY, width, height]
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [date, initials, text, checkbox]
+ *           description: date diisi otomatis dengan tanggal penandatanganan (zona waktu signer)
+ *         pageNumber:
+ *           type: integer
+ *           minimum: 1
+ *         positionX:
+ *           type: number
+ *           description: Posisi X ternormalisasi (0-1)
+ *         positionY:
+ *           type: number
+ *           description: Posisi Y ternormalisasi (0-1, dari atas)
+ *         width:
+ *           type: number
+ *           description: Lebar ternormalisasi (0-1)
+ *         height:
+ *           type: number
+ *           description: Tinggi ternormalisasi (0-1)
+ *         value:
+ *           oneOf:
+ *             - type: string
+ *             - type: boolean
+ *           description: text = teks (maks 500), checkbox = true/false, initials = data URL gambar atau teks maks 10 karakter (di-render dengan font tulisan tangan). Diabaikan untuk date.
+ *         label:
+ *           type: string
+ *           maxLength: 100
+ *           nullable: true
+ *         dateFormat:
+ *           type: string
+ *           enum: [short, long, iso]
+ *           default: long
+ *           description: Format tanggal untuk field date (19/10/2026, 19 Oktober 2026, 2026-10-19)
+ *         typedFont:
+ *           type: string
+ *           enum: [dancing-script, great-vibes, caveat, sacramento]
+ *           description: Gaya font untuk paraf berbentuk teks
+ *         packageDocId:
+ *           type: string
+ *           format: uuid
+ *           description: Hanya untuk signing package - dokumen tujuan field
+ *
+ *     RepeatInitialsInput:
+ *       type: object
+ *       description: Paraf yang ditempel otomatis di setiap halaman (atau rentang halaman). Ukuran & margin dalam point agar konsisten di halaman berbeda ukuran; anchor mengikuti halaman sebagaimana tampil (rotasi diperhitungkan).
+ *       required: [value]
+ *       properties:
+ *         value:
+ *           type: string
+ *           description: Data URL gambar paraf, atau teks maksimal 10 karakter (di-render dengan font tulisan tangan)
+ *         typedFont:
+ *           type: string
+ *           enum: [dancing-script, great-vibes, caveat, sacramento]
+ *         anchor:
+ *           type: string
+ *           enum: [bottom-right, bottom-center, bottom-left, top-right, top-center, top-left]
+ *           default: bottom-right
+ *         margin:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 144
+ *           default: 24
+ *           description: Jarak dari tepi halaman (pt)
+ *         width:
+ *           type: number
+ *           minimum: 8
+ *           maximum: 288
+ *           default: 72
+ *         height:
+ *           type: number
+ *           minimum: 8
+ *           maximum: 288
+ *           default: 36
+ *         fromPage:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         toPage:
+ *           type: integer
+ *           nullable: true
+ *           description: Halaman terakhir (default halaman terakhir dokumen)
+ *
+ *     SignatureField:
+ *       allOf:
+ *         - $ref: '#/components/schemas/SignatureFieldInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               format: uuid
+ *             value:
+ *               type: string
+ *               description: Nilai final yang di-burn-in (tanggal terformat, "true"/"false", data URL paraf, atau teks)
+ *             signerId:
+ *               type: string
+ *               format: uuid
+ *             documentVersionId:
+ *               type: string
+ *               format: uuid
+ *               nullable: true
+ *             packageDocumentId:
+ *               type: string
+ *               format: uuid
+ *               nullable: true
+ *             createdAt:
+ *               type: string
+ *               format: date-time
  *
  *     # ========== PACKAGES (BATCH SIGNING) ==========
  *
@@ -478,6 +664,10 @@
  *           type: string
  *           format: uuid
  *           description: Foreign key ke User (admin/owner group)
+ *         autoFinalize:
+ *           type: boolean
+ *           default: false
+ *           description: Finalisasi otomatis dokumen grup setelah signer terakhir tanda tangan
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -573,21 +763,68 @@
  *         userId:
  *           type: string
  *           format: uuid
- *           description: Foreign key ke User (signer)
+ *           nullable: true
+ *           description: Foreign key ke User (signer). Null untuk penanda tangan eksternal tanpa akun
+ *         externalName:
+ *           type: string
+ *           nullable: true
+ *           example: "Rina Wijaya"
+ *           description: Nama penanda tangan eksternal
+ *         externalEmail:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           description: Email penanda tangan eksternal (tujuan link & OTP jika tidak ada nomor HP)
+ *         externalPhone:
+ *           type: string
+ *           nullable: true
+ *           example: "081234567890"
+ *           description: Nomor WhatsApp penanda tangan eksternal (tujuan utama link & OTP)
  *         status:
  *           type: string
- *           enum: [PENDING, SIGNED, REJECTED]
+ *           enum: [PENDING, SIGNED, REJECTED, EXPIRED]
  *           example: "PENDING"
  *           description: Status signing request
  *         order:
  *           type: integer
  *           example: 1
- *           description: Urutan penandatangan (sequential signing)
+ *           description: Tahap urutan tanda tangan. Signer dengan order sama menandatangani paralel; tahap berikutnya menunggu semua signer di tahap sebelumnya
  *         signatureGroupId:
  *           type: string
  *           format: uuid
  *           nullable: true
  *           description: Foreign key ke SignatureGroup (hasil signature)
+ *         declineReason:
+ *           type: string
+ *           nullable: true
+ *           example: "Nilai kontrak pada pasal 3 belum sesuai kesepakatan."
+ *           description: Alasan penolakan (diisi jika status REJECTED)
+ *         declinedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deadline:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Batas waktu tanda tangan khusus signer ini (menggantikan tenggat dokumen)
+ *         remindersSent:
+ *           type: integer
+ *           example: 1
+ *           description: Jumlah pengingat WhatsApp yang sudah dikirim untuk tenggat saat ini
+ *         delegatedFromId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Signer asli yang diwakili jika slot ini didelegasikan (audit trail PDF menampilkan "on behalf of")
+ *         delegationReason:
+ *           type: string
+ *           nullable: true
+ *           example: "Sedang cuti sampai akhir bulan."
+ *         delegatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -661,7 +898,9 @@
  *             LOGIN, LOGOUT,
  *             UPDATE_GROUP,
  *             SIGN_DOCUMENT_PERSONAL, SIGN_DOCUMENT_GROUP, SIGN_PACKAGE,
- *             TRANSACTION_SUCCESS, TRANSACTION_CANCELLED
+ *             TRANSACTION_SUCCESS, TRANSACTION_CANCELLED,
+ *             RESTORE_DOCUMENT, PURGE_DOCUMENT, PURGE_DOCUMENT_VERSION,
+ *             DECLINE_DOCUMENT_GROUP, DELEGATE_SIGNATURE_GROUP
  *           ]
  *           example: "SIGN_DOCUMENT_PERSONAL"
  *           description: Tipe action yang dilakukan
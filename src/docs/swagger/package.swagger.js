@@ -70,6 +70,76 @@
  *       500:
  *         description: Server error
  *
+ *   get:
+ *     tags:
+ *       - Packages
+ *     summary: Ambil daftar paket user
+ *     description: Mendapatkan daftar paket tanda tangan milik user per halaman, dengan sorting dan filter status/tanggal dibuat.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - name: sortBy
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, title, status]
+ *           default: createdAt
+ *       - $ref: '#/components/parameters/SortOrderParam'
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [draft, completed, partial_failure]
+ *         description: Filter status paket
+ *       - $ref: '#/components/parameters/DateFromParam'
+ *       - $ref: '#/components/parameters/DateToParam'
+ *     responses:
+ *       200:
+ *         description: Daftar paket berhasil diambil
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           X-Page-Count:
+ *             $ref: '#/components/headers/XPageCount'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                         nullable: true
+ *                       status:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       documentCount:
+ *                         type: integer
+ *                       previewDoc:
+ *                         type: string
+ *                         description: Judul dokumen pertama di paket
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Parameter pagination, sorting, atau filter tidak valid
+ *       401:
+ *         description: User tidak authenticated
+ *       500:
+ *         description: Server error
+ *
  * /api/packages/{packageId}:
  *   get:
  *     tags:
@@ -172,7 +242,36 @@
  *                     signatureImageUrl:
  *                       type: string
  *                       format: uri
- *                       description: Base64 atau URL gambar tanda tangan
+ *                       description: Data URL / Base64 gambar tanda tangan (PNG, JPEG, WebP, atau SVG)
+ *                     method:
+ *                       type: string
+ *                       enum: [canvas, typed]
+ *                       default: canvas
+ *                     typedText:
+ *                       type: string
+ *                       description: Teks tanda tangan ketik (wajib untuk method typed, signatureImageUrl boleh kosong)
+ *                     typedFont:
+ *                       type: string
+ *                       enum: [dancing-script, great-vibes, caveat, sacramento]
+ *                       default: dancing-script
+ *                       description: Gaya font tulisan tangan untuk method typed
+ *                     appearanceTemplate:
+ *                       type: string
+ *                       enum: [image-only, standard, detailed]
+ *                       default: image-only
+ *                       description: Template tampilan tanda tangan (standard = gambar + nama & waktu, detailed = + alasan & lokasi)
+ *                     reason:
+ *                       type: string
+ *                       maxLength: 100
+ *                       description: Alasan penandatanganan (tampil pada template detailed & disimpan di signature PDF)
+ *                     location:
+ *                       type: string
+ *                       maxLength: 100
+ *                       description: Lokasi penandatanganan
+ *                     timezone:
+ *                       type: string
+ *                       example: "Asia/Makassar"
+ *                       description: Zona waktu IANA signer untuk waktu pada tampilan tanda tangan (default Asia/Jakarta)
  *                     positionX:
  *                       type: number
  *                     positionY:
@@ -183,6 +282,13 @@
  *                       type: number
  *                     height:
  *                       type: number
+ *               fields:
+ *                 type: array
+ *                 description: Field non-tanda tangan (tanggal, paraf, teks, checkbox); setiap field wajib menyertakan packageDocId
+ *                 items:
+ *                   $ref: '#/components/schemas/SignatureFieldInput'
+ *               repeatInitials:
+ *                 $ref: '#/components/schemas/RepeatInitialsInput'
  *     responses:
  *       200:
  *         description: Semua dokumen paket berhasil ditandatangani
@@ -12,6 +12,7 @@
  *     description: |
  *       Menambahkan tanda tangan digital ke dokumen secara mandiri (personal signature).
  *       Support single atau batch signatures untuk multiple documents.
+ *       Untuk method `typed`, kirim `typedText` + `typedFont`; gambar tanda tangan di-render server dari font tulisan tangan bawaan.
  *     security:
  *       - cookieAuth: []
  *     requestBody:
@@ -38,7 +39,32 @@
  *                   signatureImageUrl:
  *                     type: string
  *                     format: uri
- *                     description: Base64 atau URL gambar tanda tangan
+ *                     description: Data URL / Base64 gambar tanda tangan (PNG, JPEG, WebP, atau SVG)
+ *                   typedText:
+ *                     type: string
+ *                     description: Teks tanda tangan ketik (wajib untuk method typed, signatureImageUrl boleh kosong)
+ *                   typedFont:
+ *                     type: string
+ *                     enum: [dancing-script, great-vibes, caveat, sacramento]
+ *                     default: dancing-script
+ *                     description: Gaya font tulisan tangan untuk method typed
+ *                   appearanceTemplate:
+ *                     type: string
+ *                     enum: [image-only, standard, detailed]
+ *                     default: image-only
+ *                     description: Template tampilan tanda tangan (standard = gambar + nama & waktu, detailed = + alasan & lokasi)
+ *                   reason:
+ *                     type: string
+ *                     maxLength: 100
+ *                     description: Alasan penandatanganan (tampil pada template detailed & disimpan di signature PDF)
+ *                   location:
+ *                     type: string
+ *                     maxLength: 100
+ *                     description: Lokasi penandatanganan
+ *                   timezone:
+ *                     type: string
+ *                     example: "Asia/Makassar"
+ *                     description: Zona waktu IANA signer untuk waktu pada tampilan tanda tangan (default Asia/Jakarta)
  *                   positionX:
  *                     type: number
  *                   positionY:
@@ -52,6 +78,13 @@
  *                   displayQrCode:
  *                     type: boolean
  *                     default: true
+ *                   fields:
+ *                     type: array
+ *                     description: Field non-tanda tangan (tanggal, paraf, teks, checkbox) yang di-burn-in ke PDF
+ *                     items:
+ *                       $ref: '#/components/schemas/SignatureFieldInput'
+ *                   repeatInitials:
+ *                     $ref: '#/components/schemas/RepeatInitialsInput'
  *               - type: object
  *                 required:
  *                   - signatures
@@ -76,6 +109,29 @@
  *                         signatureImageUrl:
  *                           type: string
  *                           format: uri
+ *                         typedText:
+ *                           type: string
+ *                         typedFont:
+ *                           type: string
+ *                           enum: [dancing-script, great-vibes, caveat, sacramento]
+ *                           default: dancing-script
+ *                         appearanceTemplate:
+ *                           type: string
+ *                           enum: [image-only, standard, detailed]
+ *                           default: image-only
+ *                           description: Template tampilan tanda tangan (standard = gambar + nama & waktu, detailed = + alasan & lokasi)
+ *                         reason:
+ *                           type: string
+ *                           maxLength: 100
+ *                           description: Alasan penandatanganan (tampil pada template detailed & disimpan di signature PDF)
+ *                         location:
+ *                           type: string
+ *                           maxLength: 100
+ *                           description: Lokasi penandatanganan
+ *                         timezone:
+ *                           type: string
+ *                           example: "Asia/Makassar"
+ *                           description: Zona waktu IANA signer untuk waktu pada tampilan tanda tangan (default Asia/Jakarta)
  *                         positionX:
  *                           type: number
  *                         positionY:
@@ -89,6 +145,13 @@
  *                         displayQrCode:
  *                           type: boolean
  *                           default: true
+ *                   fields:
+ *                     type: array
+ *                     description: Field non-tanda tangan (tanggal, paraf, teks, checkbox) yang di-burn-in ke PDF
+ *                     items:
+ *                       $ref: '#/components/schemas/SignatureFieldInput'
+ *                   repeatInitials:
+ *                     $ref: '#/components/schemas/RepeatInitialsInput'
  *     responses:
  *       200:
  *         description: Dokumen berhasil ditandatangani
@@ -113,6 +176,91 @@
  *       500:
  *         description: Server error
  *
+ * /api/signatures/typed-fonts:
+ *   get:
+ *     tags:
+ *       - Signatures
+ *     summary: Daftar gaya font tanda tangan ketik
+ *     description: Mengembalikan gaya font tulisan tangan yang tersedia untuk method `typed`. Jika query `text` dikirim, setiap gaya disertai preview PNG.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: text
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Teks untuk preview (misal nama user)
+ *     responses:
+ *       200:
+ *         description: Daftar gaya font
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: "great-vibes"
+ *                       label:
+ *                         type: string
+ *                         example: "Great Vibes"
+ *                       isDefault:
+ *                         type: boolean
+ *                       previewUrl:
+ *                         type: string
+ *                         description: Data URL PNG (hanya jika query text dikirim)
+ *       400:
+ *         description: Teks preview tidak valid
+ *       401:
+ *         description: User tidak authenticated
+ *
+ * /api/signatures/appearance-templates:
+ *   get:
+ *     tags:
+ *       - Signatures
+ *     summary: Daftar template tampilan tanda tangan
+ *     description: Template yang dapat dipilih per tanda tangan lewat field `appearanceTemplate` pada payload personal, group, dan package.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Daftar template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                         example: "standard"
+ *                       label:
+ *                         type: string
+ *                       fields:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["name", "signedAt", "signatureId"]
+ *                       isDefault:
+ *                         type: boolean
+ *
  * /api/signatures/verify/{signatureId}:
  *   get:
  *     tags:
@@ -0,0 +1,257 @@
+/**
+ * @swagger
+ * tags:
+ *   - name: Tags
+ *     description: Tag (label) dokumen personal dan grup
+ *
+ * components:
+ *   schemas:
+ *     DocumentTagItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: "Urgent"
+ *         color:
+ *           type: string
+ *           nullable: true
+ *           example: "#E53935"
+ *         groupId:
+ *           type: integer
+ *           nullable: true
+ *         documentCount:
+ *           type: integer
+ *           example: 7
+ *
+ *     TagBulkRequest:
+ *       type: object
+ *       required:
+ *         - documentIds
+ *         - tagIds
+ *       properties:
+ *         documentIds:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 100
+ *           items:
+ *             type: string
+ *             format: uuid
+ *         tagIds:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 20
+ *           items:
+ *             type: string
+ *             format: uuid
+ *
+ *     TagBulkResponse:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           example: "success"
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             documentCount:
+ *               type: integer
+ *             tagCount:
+ *               type: integer
+ *             affected:
+ *               type: integer
+ *               description: Jumlah pasangan dokumen-tag yang ditambah / dihapus
+ *
+ * /api/tags:
+ *   get:
+ *     tags:
+ *       - Tags
+ *     summary: Ambil daftar tag
+ *     description: Tag personal user, atau tag grup jika `groupId` diisi (semua anggota grup dapat melihat).
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: groupId
+ *         in: query
+ *         schema:
+ *           type: integer
+ *         description: ID grup; kosongkan untuk tag personal
+ *     responses:
+ *       200:
+ *         description: Daftar tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DocumentTagItem'
+ *       403:
+ *         description: User bukan anggota grup
+ *
+ *   post:
+ *     tags:
+ *       - Tags
+ *     summary: Buat tag
+ *     description: Membuat tag personal atau tag grup (hanya Admin Grup). Nama tag unik per cakupan, tidak membedakan huruf besar/kecil.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Urgent"
+ *               color:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "#E53935"
+ *               groupId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Tag berhasil dibuat
+ *       400:
+ *         description: Validasi gagal
+ *       403:
+ *         description: Bukan Admin Grup
+ *       409:
+ *         description: Nama tag sudah ada
+ *
+ * /api/tags/{tagId}:
+ *   patch:
+ *     tags:
+ *       - Tags
+ *     summary: Ubah tag
+ *     description: Mengganti nama dan/atau warna tag.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: tagId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *               color:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Tag berhasil diperbarui
+ *       403:
+ *         description: Bukan Admin Grup
+ *       404:
+ *         description: Tag tidak ditemukan
+ *       409:
+ *         description: Nama tag sudah ada
+ *
+ *   delete:
+ *     tags:
+ *       - Tags
+ *     summary: Hapus tag
+ *     description: Menghapus tag beserta seluruh pemasangannya pada dokumen (dokumen tidak terhapus).
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: tagId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Tag berhasil dihapus
+ *       403:
+ *         description: Bukan Admin Grup
+ *       404:
+ *         description: Tag tidak ditemukan
+ *
+ * /api/tags/assign:
+ *   post:
+ *     tags:
+ *       - Tags
+ *     summary: Pasang tag ke dokumen (bulk)
+ *     description: |
+ *       Memasang setiap tag ke setiap dokumen. Semua tag harus dari cakupan yang sama dan dokumen harus berada
+ *       pada cakupan tersebut. Pada tag grup, hanya Admin Grup dan Signer yang dapat memasang tag.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagBulkRequest'
+ *     responses:
+ *       200:
+ *         description: Tag berhasil dipasang
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TagBulkResponse'
+ *       400:
+ *         description: Validasi gagal atau cakupan tag/dokumen berbeda (TAG_SCOPE_MISMATCH)
+ *       403:
+ *         description: Role tidak diizinkan
+ *       404:
+ *         description: Tag atau dokumen tidak ditemukan
+ *
+ * /api/tags/unassign:
+ *   post:
+ *     tags:
+ *       - Tags
+ *     summary: Lepas tag dari dokumen (bulk)
+ *     description: Melepas tag dari dokumen; aturan cakupan dan role sama dengan pemasangan tag.
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagBulkRequest'
+ *     responses:
+ *       200:
+ *         description: Tag berhasil dilepas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TagBulkResponse'
+ *       400:
+ *         description: Validasi gagal atau cakupan tag/dokumen berbeda
+ *       403:
+ *         description: Role tidak diizinkan
+ *       404:
+ *         description: Tag atau dokumen tidak ditemukan
+ */
+
+export default {};
@@ -0,0 +1,229 @@
+/**
+ * @swagger
+ * tags:
+ *   - name: Trash
+ *     description: |
+ *       Tempat sampah dokumen. Dokumen & versi yang dihapus disimpan selama masa retensi (default 30 hari,
+ *       `TRASH_RETENTION_DAYS`) lalu dihapus permanen beserta file-nya oleh cron harian; setiap penghapusan permanen
+ *       dicatat di audit log.
+ *
+ * components:
+ *   schemas:
+ *     TrashedDocument:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         title:
+ *           type: string
+ *           example: "Kontrak Kerja Sama"
+ *         type:
+ *           type: string
+ *         status:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           format: uuid
+ *         groupId:
+ *           type: integer
+ *           nullable: true
+ *         group:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *         deletedBy:
+ *           type: string
+ *           format: uuid
+ *         versionCount:
+ *           type: integer
+ *           example: 3
+ *         removedByAdmin:
+ *           type: boolean
+ *           description: Dihapus paksa oleh admin; hanya admin yang dapat memulihkan
+ *         purgeAt:
+ *           type: string
+ *           format: date-time
+ *           description: Waktu dokumen akan dihapus permanen
+ *
+ *     TrashedVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         documentId:
+ *           type: string
+ *           format: uuid
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *         deletedBy:
+ *           type: string
+ *           format: uuid
+ *         purgeAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /api/trash:
+ *   get:
+ *     tags:
+ *       - Trash
+ *     summary: Daftar dokumen di tempat sampah
+ *     description: Dokumen milik user, serta dokumen grup di mana user adalah Admin Grup. Terbaru dihapus lebih dulu.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *     responses:
+ *       200:
+ *         description: Daftar dokumen di tempat sampah
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
+ *           X-Page-Count:
+ *             $ref: '#/components/headers/XPageCount'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrashedDocument'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/PaginationMeta'
+ *       400:
+ *         description: Parameter query tidak valid
+ *       401:
+ *         description: User tidak authenticated
+ *
+ * /api/trash/documents/{documentId}/versions:
+ *   get:
+ *     tags:
+ *       - Trash
+ *     summary: Daftar versi dokumen di tempat sampah
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Versi yang sudah dihapus dari dokumen aktif
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "success"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TrashedVersion'
+ *       403:
+ *         description: Bukan pemilik dokumen atau Admin Grup
+ *       404:
+ *         description: Dokumen tidak ditemukan
+ *
+ * /api/trash/documents/{documentId}/restore:
+ *   post:
+ *     tags:
+ *       - Trash
+ *     summary: Pulihkan dokumen
+ *     description: Dokumen yang dihapus paksa oleh admin hanya dapat dipulihkan lewat `POST /api/admin/documents/{documentId}/restore`.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dokumen berhasil dipulihkan
+ *       403:
+ *         description: Bukan pemilik/Admin Grup, atau dokumen dihapus oleh admin
+ *       404:
+ *         description: Dokumen tidak ada di tempat sampah
+ *
+ * /api/trash/documents/{documentId}/versions/{versionId}/restore:
+ *   post:
+ *     tags:
+ *       - Trash
+ *     summary: Pulihkan versi dokumen
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - name: versionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Versi dokumen berhasil dipulihkan
+ *       403:
+ *         description: Bukan pemilik dokumen atau Admin Grup
+ *       404:
+ *         description: Dokumen tidak ditemukan atau versi tidak ada di tempat sampah
+ *
+ * /api/trash/documents/{documentId}:
+ *   delete:
+ *     tags:
+ *       - Trash
+ *     summary: Hapus permanen dokumen
+ *     description: Menghapus dokumen dari tempat sampah beserta semua versi & file-nya tanpa menunggu masa retensi. Tidak dapat dibatalkan.
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: documentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Dokumen berhasil dihapus permanen
+ *       403:
+ *         description: Bukan pemilik/Admin Grup, atau dokumen dihapus oleh admin
+ *       404:
+ *         description: Dokumen tidak ada di tempat sampah
+ */
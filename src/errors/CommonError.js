@@ -46,6 +46,10 @@ class CommonError extends BaseError {
   static Forbidden(message = "Akses ditolak. Anda tidak memiliki hak akses") {
     return new CommonError("FORBIDDEN", 403, message);
   }
+
+  static TooManyRequests(message = "Terlalu banyak permintaan. Silakan coba lagi nanti.") {
+    return new CommonError("TOO_MANY_REQUESTS", 429, message);
+  }
 }
 
 export default CommonError;
@@ -76,6 +76,107 @@ class DocumentError extends BaseError {
     const defaultMessage = "Anda tidak memiliki izin untuk melakukan aksi ini pada dokumen.";
     return new DocumentError("DOCUMENT_FORBIDDEN", 403, message || defaultMessage);
   }
+
+  /**
+   * @description Dilempar saat dokumen Word gagal dikonversi menjadi PDF.
+   * @param {string} [reason] - Detail penyebab kegagalan dari converter.
+   * @returns {DocumentError}
+   */
+  static ConversionFailed(reason) {
+    const message = reason ? `Gagal mengonversi dokumen ke PDF: ${reason}` : "Gagal mengonversi dokumen ke PDF.";
+    return new DocumentError("DOCUMENT_CONVERSION_FAILED", 422, message);
+  }
+
+  /**
+   * @description Dilempar saat converter dokumen (LibreOffice) tidak tersedia di server.
+   * @returns {DocumentError}
+   */
+  static ConverterUnavailable() {
+    return new DocumentError("DOCUMENT_CONVERTER_UNAVAILABLE", 503, "Layanan konversi dokumen Word sedang tidak tersedia. Silakan unggah file PDF.");
+  }
+
+  /**
+   * @description Dilempar saat nomor halaman yang diminta tidak ada pada dokumen.
+   * @param {number|string} pageNumber - Nomor halaman yang diminta.
+   * @param {number} [pageCount] - Jumlah halaman dokumen, jika diketahui.
+   * @returns {DocumentError}
+   */
+  static PageNotFound(pageNumber, pageCount) {
+    const suffix = pageCount ? ` Dokumen ini memiliki ${pageCount} halaman.` : "";
+    return new DocumentError("PAGE_NOT_FOUND", 404, `Halaman '${pageNumber}' tidak ditemukan.${suffix}`);
+  }
+
+  /**
+   * @description Dilempar saat parameter preview halaman (ukuran/format) tidak valid.
+   * @param {string} message - Pesan error.
+   * @returns {DocumentError}
+   */
+  static InvalidPreviewRequest(message) {
+    return new DocumentError("INVALID_PREVIEW_REQUEST", 400, message);
+  }
+
+  /**
+   * @description Dilempar saat halaman dokumen gagal di-render menjadi gambar preview.
+   * @param {string} [reason] - Detail penyebab kegagalan.
+   * @returns {DocumentError}
+   */
+  static PreviewFailed(reason) {
+    const message = reason ? `Gagal membuat preview halaman: ${reason}` : "Gagal membuat preview halaman.";
+    return new DocumentError("PAGE_PREVIEW_FAILED", 422, message);
+  }
+
+  /**
+   * @description Dilempar saat operasi halaman (hapus, putar, urutkan, gabung, pecah) tidak valid.
+   * @param {string} message - Pesan error.
+   * @returns {DocumentError}
+   */
+  static InvalidPageOperation(message) {
+    return new DocumentError("INVALID_PAGE_OPERATION", 400, message);
+  }
+
+  /**
+   * @description Dilempar saat halaman dokumen akan diubah padahal dokumen sudah ditandatangani.
+   * @returns {DocumentError}
+   */
+  static PagesLocked() {
+    return new DocumentError("DOCUMENT_PAGES_LOCKED", 409, "Halaman dokumen tidak dapat diubah karena dokumen sudah memiliki tanda tangan.");
+  }
+
+  /**
+   * @description Dilempar saat revisi yang diunggah identik dengan salah satu versi dokumen yang sudah ada.
+   * @returns {DocumentError}
+   */
+  static DuplicateVersion() {
+    return new DocumentError("DOCUMENT_VERSION_EXISTS", 409, "File ini identik dengan versi yang sudah ada pada dokumen. Gunakan fitur kembalikan versi.");
+  }
+
+  /**
+   * @description Dilempar saat parameter perbandingan versi dokumen tidak valid.
+   * @param {string} message - Pesan error.
+   * @returns {DocumentError}
+   */
+  static InvalidCompareRequest(message) {
+    return new DocumentError("INVALID_COMPARE_REQUEST", 400, message);
+  }
+
+  /**
+   * @description Dilempar saat isi versi dokumen gagal dibaca untuk dibandingkan.
+   * @param {string} [reason] - Detail penyebab kegagalan.
+   * @returns {DocumentError}
+   */
+  static CompareFailed(reason) {
+    const message = reason ? `Gagal membandingkan versi dokumen: ${reason}` : "Gagal membandingkan versi dokumen.";
+    return new DocumentError("VERSION_COMPARE_FAILED", 422, message);
+  }
+
+  /**
+   * @description Dilempar saat dokumen tidak dapat diarsipkan/dikeluarkan dari arsip karena statusnya.
+   * @param {string} message - Pesan error.
+   * @returns {DocumentError}
+   */
+  static InvalidArchiveState(message) {
+    return new DocumentError("INVALID_ARCHIVE_STATE", 409, message);
+  }
 }
 
 export default DocumentError;
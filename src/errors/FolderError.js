@@ -0,0 +1,36 @@
+import BaseError from "./BaseError.js";
+
+/**
+ * @description Kumpulan error spesifik untuk folder dokumen (personal maupun grup).
+ * @extends BaseError
+ */
+class FolderError extends BaseError {
+  /**
+   * @description Dilempar saat folder tidak ditemukan atau tidak dapat diakses oleh user.
+   * @param {string} folderId - ID folder yang dicari.
+   * @returns {FolderError}
+   */
+  static NotFound(folderId) {
+    return new FolderError("FOLDER_NOT_FOUND", 404, `Folder dengan ID '${folderId}' tidak ditemukan.`);
+  }
+
+  /**
+   * @description Dilempar saat sudah ada folder dengan nama yang sama di lokasi (parent) yang sama.
+   * @param {string} name - Nama folder yang duplikat.
+   * @returns {FolderError}
+   */
+  static DuplicateName(name) {
+    return new FolderError("FOLDER_NAME_EXISTS", 409, `Folder "${name}" sudah ada di lokasi ini. Gunakan nama lain.`);
+  }
+
+  /**
+   * @description Dilempar saat pemindahan folder tidak valid (ke dirinya sendiri, ke sub-foldernya, beda cakupan, atau terlalu dalam).
+   * @param {string} message - Pesan error.
+   * @returns {FolderError}
+   */
+  static InvalidMove(message) {
+    return new FolderError("INVALID_FOLDER_MOVE", 400, message);
+  }
+}
+
+export default FolderError;
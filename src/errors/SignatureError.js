@@ -46,6 +46,79 @@ class SignatureError extends BaseError {
   static VersionNotFound(versionId) {
     return new SignatureError("VERSION_FOR_SIGNATURE_NOT_FOUND", 404, `Versi dokumen dengan ID '${versionId}' untuk ditandatangani tidak ditemukan.`);
   }
+
+  /**
+   * @description Dilempar saat gambar tanda tangan bukan PNG, JPEG, WebP, atau SVG (atau rusak).
+   * @param {string} [mimeType] - Mimetype yang dikirim klien, jika diketahui.
+   * @param {string} [message] - Pesan error opsional.
+   * @returns {SignatureError}
+   */
+  static UnsupportedImageFormat(mimeType, message) {
+    const defaultMessage = `Format gambar tanda tangan${mimeType ? ` '${mimeType}'` : ""} tidak didukung. Gunakan PNG, JPEG, WebP, atau SVG.`;
+    return new SignatureError("UNSUPPORTED_SIGNATURE_IMAGE", 400, message || defaultMessage);
+  }
+
+  /**
+   * @description Dilempar saat tanda tangan ketik (method 'typed') tidak memiliki teks valid atau gaya font tidak dikenal.
+   * @param {string} message - Pesan error.
+   * @returns {SignatureError}
+   */
+  static InvalidTypedSignature(message) {
+    return new SignatureError("INVALID_TYPED_SIGNATURE", 400, message);
+  }
+
+  /**
+   * @description Dilempar saat pengaturan tampilan tanda tangan (template, zona waktu, alasan/lokasi) tidak valid.
+   * @param {string} message - Pesan error.
+   * @returns {SignatureError}
+   */
+  static InvalidAppearance(message) {
+    return new SignatureError("INVALID_SIGNATURE_APPEARANCE", 400, message);
+  }
+
+  /**
+   * @description Dilempar saat field non-tanda tangan (tanggal, paraf, teks, checkbox) tidak valid.
+   * @param {string} message - Pesan error.
+   * @returns {SignatureError}
+   */
+  static InvalidField(message) {
+    return new SignatureError("INVALID_SIGNATURE_FIELD", 400, message);
+  }
+
+  /**
+   * @description Dilempar saat signer mencoba tanda tangan sebelum tahap urutan sebelumnya selesai.
+   * @param {number} waitingCount - Jumlah signer PENDING di tahap sebelumnya.
+   * @returns {SignatureError}
+   */
+  static NotYourTurn(waitingCount) {
+    return new SignatureError("NOT_YOUR_TURN", 403, `Belum giliran Anda. Menunggu ${waitingCount} penanda tangan di tahap sebelumnya.`);
+  }
+
+  /**
+   * @description Dilempar saat link atau sesi tanda tangan eksternal tidak valid, sudah dipakai, dicabut, atau kedaluwarsa.
+   * @param {string} [message] - Pesan error.
+   * @returns {SignatureError}
+   */
+  static InvalidSigningLink(message = "Link tanda tangan tidak valid atau sudah kedaluwarsa.") {
+    return new SignatureError("INVALID_SIGNING_LINK", 401, message);
+  }
+
+  /**
+   * @description Dilempar saat penanda tangan eksternal belum memverifikasi OTP sesi tanda tangan.
+   * @returns {SignatureError}
+   */
+  static OtpNotVerified() {
+    return new SignatureError("OTP_NOT_VERIFIED", 403, "Verifikasi kode OTP terlebih dahulu.");
+  }
+
+  /**
+   * @description Dilempar saat kode OTP salah atau sudah kedaluwarsa.
+   * @param {string} message - Pesan error.
+   * @returns {SignatureError}
+   */
+  static InvalidOtp(message) {
+    return new SignatureError("INVALID_OTP", 400, message);
+  }
 }
 
 export default SignatureError;
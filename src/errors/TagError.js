@@ -0,0 +1,36 @@
+import BaseError from "./BaseError.js";
+
+/**
+ * @description Kumpulan error spesifik untuk tag dokumen (personal maupun grup).
+ * @extends BaseError
+ */
+class TagError extends BaseError {
+  /**
+   * @description Dilempar saat tag tidak ditemukan atau tidak dapat diakses oleh user.
+   * @param {string} tagId - ID tag yang dicari.
+   * @returns {TagError}
+   */
+  static NotFound(tagId) {
+    return new TagError("TAG_NOT_FOUND", 404, `Tag dengan ID '${tagId}' tidak ditemukan.`);
+  }
+
+  /**
+   * @description Dilempar saat sudah ada tag dengan nama yang sama pada cakupan yang sama.
+   * @param {string} name - Nama tag yang duplikat.
+   * @returns {TagError}
+   */
+  static DuplicateName(name) {
+    return new TagError("TAG_NAME_EXISTS", 409, `Tag "${name}" sudah ada. Gunakan nama lain.`);
+  }
+
+  /**
+   * @description Dilempar saat tag dan dokumen yang diberi tag tidak berada pada cakupan yang sama.
+   * @param {string} message - Pesan error.
+   * @returns {TagError}
+   */
+  static ScopeMismatch(message = "Tag hanya dapat dipasang pada dokumen dengan cakupan yang sama (personal atau grup yang sama).") {
+    return new TagError("TAG_SCOPE_MISMATCH", 400, message);
+  }
+}
+
+export default TagError;
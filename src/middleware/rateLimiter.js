@@ -0,0 +1,38 @@
+import CommonError from "../errors/CommonError.js";
+
+/** Jumlah klien yang dilacak sebelum entry yang sudah kedaluwarsa dibersihkan. */
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Membatasi jumlah request per klien (default: per IP) dalam satu jendela waktu.
+ * Penghitung disimpan di memori sehingga berlaku per instance server.
+ * @param {{ windowMs: number, max: number, keyGenerator?: (req: import("express").Request) => string, message?: string }} options
+ * @returns {import("express").RequestHandler} Middleware yang meneruskan CommonError.TooManyRequests (429) beserta header `Retry-After`.
+ */
+export const rateLimit = ({ windowMs, max, keyGenerator = (req) => req.ip, message }) => {
+  const hits = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req);
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      if (hits.size >= MAX_TRACKED_CLIENTS) {
+        for (const [trackedKey, tracked] of hits) {
+          if (tracked.resetAt <= now) hits.delete(trackedKey);
+        }
+      }
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    if (entry.count > max) {
+      res.set("Retry-After", String(Math.ceil((entry.resetAt - now) / 1000)));
+      return next(CommonError.TooManyRequests(message));
+    }
+
+    next();
+  };
+};
@@ -1 +1 @@
-/** * @interface AuditLogRepository * @description Kontrak dasar untuk repository Audit Log. * Semua Implementasu untuk PrismaAuditLogRepository harus memiliki method di file ini. */export class AuditLogRepository {    /**     * Mencatat aktivitas baru ke dalam sistem log.     *     * @param {Object} data - Objek data log.     * @param {string} data.action - Enum aksi (CREATE_USER, DELETE_USER, dll).     * @param {string} data.actorId - ID User/Admin yang melakukan aksi.     * @param {string|null} data.targetId - ID Objek yang terkena dampak.     * @param {string|null} data.description - Deskripsi detail.     * @param {string|null} data.ipAddress - Alamat IP pelaksana.     * @param {string|null} data.userAgent - Info browser/device pelaksana.     * @returns {Promise<Object>} Objek log yang berhasil disimpan.     * @throws {Error} Jika implementasi belum dibuat.     */    async createLog(data) {        throw new Error("Method 'createLog(data)' harus diimplmentasikan");    }    /**     * Mengambil daftar riwayat log untuk keperluan monitoring/dashboard.     *     * @param {number} [limit=100] - Batas jumlah log yang diambil (default 100).     * @returns {Promise<Array<Object>>} Daftar log aktivitas.     * @throws {Error} Jika implementasi belum dibuat.     */    async findAllLogs(limit) {        throw new Error("Method 'findAllLogs(limit)' harus diimplementasikan");    }}
\ No newline at end of file
+/** * @interface AuditLogRepository * @description Kontrak dasar untuk repository Audit Log. * Semua Implementasu untuk PrismaAuditLogRepository harus memiliki method di file ini. */export class AuditLogRepository {    /**     * Mencatat aktivitas baru ke dalam sistem log.     *     * @param {Object} data - Objek data log.     * @param {string} data.action - Enum aksi (CREATE_USER, DELETE_USER, dll).     * @param {string|null} data.actorId - ID User/Admin yang melakukan aksi (null untuk penanda tangan eksternal & aksi otomatis sistem).     * @param {string|null} data.targetId - ID Objek yang terkena dampak.     * @param {string|null} data.description - Deskripsi detail.     * @param {string|null} data.ipAddress - Alamat IP pelaksana.     * @param {string|null} data.userAgent - Info browser/device pelaksana.     * @returns {Promise<Object>} Objek log yang berhasil disimpan.     * @throws {Error} Jika implementasi belum dibuat.     */    async createLog(data) {        throw new Error("Method 'createLog(data)' harus diimplmentasikan");    }    /**     * Mengambil daftar riwayat log untuk keperluan monitoring/dashboard.     *     * @param {number} [limit=100] - Batas jumlah log yang diambil (default 100).     * @returns {Promise<Array<Object>>} Daftar log aktivitas.     * @throws {Error} Jika implementasi belum dibuat.     */    async findAllLogs(limit) {        throw new Error("Method 'findAllLogs(limit)' harus diimplementasikan");    }}
\ No newline at end of file
@@ -17,17 +17,59 @@ export class DocumentRepository {
     throw new Error("Metode createWithFirstVersion belum diimplementasikan.");
   }
 
+  /**
+   * Menyimpan lampiran dokumen (misal file Word asli dari dokumen hasil konversi).
+   * @abstract
+   * @param {string} documentId - ID dokumen.
+   * @param {object} attachment - Data lampiran (url, fileName, mimeType, size, kind).
+   * @returns {Promise<object>} Lampiran yang berhasil dibuat.
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async createAttachment(documentId, attachment) {
+    throw new Error("Metode createAttachment belum diimplementasikan.");
+  }
+
   /**
    * Menemukan semua dokumen milik seorang user.
    * @abstract
    * @param {string} userId - ID pengguna pemilik dokumen.
+   * @param {string} [search] - Kata kunci judul/tipe dokumen.
+   * @param {string[]} [contentMatchIds] - ID dokumen hasil full-text search isi yang ikut disertakan.
+   * @param {{ filters?: object, sortBy?: string, sortOrder?: string, skip?: number, take?: number }} [listOptions] - Filter, sorting & pagination.
    * @returns {Promise<object[]>} Array daftar dokumen.
    * @throws {Error} Jika metode belum diimplementasikan.
    */
-  async findAllByUserId(userId) {
+  async findAllByUserId(userId, search, contentMatchIds, listOptions) {
     throw new Error("Metode findAllByUserId belum diimplementasikan.");
   }
 
+  /**
+   * Menghitung jumlah dokumen milik user dengan filter yang sama seperti `findAllByUserId`.
+   * @abstract
+   * @param {string} userId - ID pengguna.
+   * @param {string} [search] - Kata kunci judul/tipe dokumen.
+   * @param {string[]} [contentMatchIds] - ID dokumen hasil full-text search isi yang ikut disertakan.
+   * @param {object} [filters] - Filter status, type, groupId, dateFrom, dateTo, folderId, tagIds.
+   * @returns {Promise<number>}
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async countByUserId(userId, search, contentMatchIds, filters) {
+    throw new Error("Metode countByUserId belum diimplementasikan.");
+  }
+
+  /**
+   * Full-text search isi dokumen yang dapat diakses user (personal & grup).
+   * @abstract
+   * @param {string} userId - ID pengguna.
+   * @param {string} query - Kata kunci pencarian.
+   * @param {{ limit?: number, highlightStart: string, highlightEnd: string }} options - Batas hasil & penanda highlight snippet.
+   * @returns {Promise<{ documentId: string, versionId: string, rank: number, snippet: string|null }[]>}
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async searchByContent(userId, query, options) {
+    throw new Error("Metode searchByContent belum diimplementasikan.");
+  }
+
   /**
    * Menemukan satu dokumen berdasarkan ID dokumen dan ID user.
    * @abstract
@@ -40,6 +82,17 @@ export class DocumentRepository {
     throw new Error("Metode findById belum diimplementasikan.");
   }
 
+  /**
+   * Menemukan beberapa dokumen sekaligus berdasarkan ID tanpa pengecekan akses.
+   * @abstract
+   * @param {string[]} documentIds - ID dokumen.
+   * @returns {Promise<object[]>} Dokumen yang ditemukan (id, userId, groupId, folderId, title).
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async findManyByIds(documentIds) {
+    throw new Error("Metode findManyByIds belum diimplementasikan.");
+  }
+
   /**
    * Memperbarui data pada record dokumen.
    * @abstract
@@ -53,7 +106,112 @@ export class DocumentRepository {
   }
 
   /**
-   * Menghapus dokumen berdasarkan ID.
+   * Memindahkan dokumen ke tempat sampah (soft delete).
+   * Dokumen di tempat sampah tidak ikut diambil oleh metode baca lain.
+   * @abstract
+   * @param {string} documentId - ID dokumen.
+   * @param {string} deletedBy - ID user/admin yang menghapus.
+   * @param {{ byAdmin?: boolean }} [options] - `byAdmin` menandai hapus paksa oleh admin.
+   * @returns {Promise<object>} Dokumen yang sudah ditandai terhapus.
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async softDeleteById(documentId, deletedBy, options) {
+    throw new Error("Metode softDeleteById belum diimplementasikan.");
+  }
+
+  /**
+   * Memulihkan dokumen dari tempat sampah.
+   * @abstract
+   * @param {string} documentId - ID dokumen.
+   * @returns {Promise<object>} Dokumen yang sudah dipulihkan.
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async restoreById(documentId) {
+    throw new Error("Metode restoreById belum diimplementasikan.");
+  }
+
+  /**
+   * Mengambil dokumen di tempat sampah milik user atau milik grup yang ia kelola.
+   * @abstract
+   * @param {string} userId - ID pengguna.
+   * @param {{ skip?: number, take?: number }} [pagination]
+   * @returns {Promise<object[]>}
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async findTrashed(userId, pagination) {
+    throw new Error("Metode findTrashed belum diimplementasikan.");
+  }
+
+  /**
+   * Menghitung dokumen di tempat sampah dengan cakupan yang sama seperti `findTrashed`.
+   * @abstract
+   * @param {string} userId - ID pengguna.
+   * @returns {Promise<number>}
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async countTrashed(userId) {
+    throw new Error("Metode countTrashed belum diimplementasikan.");
+  }
+
+  /**
+   * Menemukan satu dokumen di tempat sampah beserta path file versi & lampirannya.
+   * @abstract
+   * @param {string} documentId - ID dokumen.
+   * @returns {Promise<object|null>} null jika dokumen tidak sedang di tempat sampah.
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async findTrashedById(documentId) {
+    throw new Error("Metode findTrashedById belum diimplementasikan.");
+  }
+
+  /**
+   * Mengambil dokumen di tempat sampah yang masa retensinya sudah lewat.
+   * @abstract
+   * @param {Date} cutoff - Batas waktu penghapusan.
+   * @param {number} [limit] - Jumlah maksimal per batch.
+   * @param {string[]} [excludeIds] - ID dokumen yang dilewati (gagal dihapus pada batch sebelumnya).
+   * @returns {Promise<object[]>}
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async findExpiredTrash(cutoff, limit, excludeIds) {
+    throw new Error("Metode findExpiredTrash belum diimplementasikan.");
+  }
+
+  /**
+   * Mengarsipkan dokumen `completed` yang terakhir diubah sebelum `cutoff`.
+   * @abstract
+   * @param {Date} cutoff - Batas waktu perubahan terakhir.
+   * @returns {Promise<number>} Jumlah dokumen yang diarsipkan.
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async archiveCompletedBefore(cutoff) {
+    throw new Error("Metode archiveCompletedBefore belum diimplementasikan.");
+  }
+
+  /**
+   * Mengklaim dokumen `pending` untuk difinalisasi secara atomik (status menjadi `finalizing`).
+   * @abstract
+   * @param {string} documentId - ID dokumen.
+   * @returns {Promise<boolean>} True jika klaim berhasil, false jika dokumen sudah diklaim atau tidak lagi `pending`.
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async claimForFinalization(documentId) {
+    throw new Error("Metode claimForFinalization belum diimplementasikan.");
+  }
+
+  /**
+   * Mengembalikan dokumen `finalizing` ke `pending` setelah finalisasi gagal.
+   * @abstract
+   * @param {string} documentId - ID dokumen.
+   * @returns {Promise<boolean>} True jika status dikembalikan.
+   * @throws {Error} Jika metode belum diimplementasikan.
+   */
+  async releaseFinalization(documentId) {
+    throw new Error("Metode releaseFinalization belum diimplementasikan.");
+  }
+
+  /**
+   * Menghapus dokumen secara permanen berdasarkan ID.
    * @abstract
    * @param {string} documentId - ID dokumen yang akan dihapus.
    * @returns {Promise<void>} Konfirmasi penghapusan.
@@ -0,0 +1,62 @@
+/**
+ * @interface FolderRepository
+ * @description Kontrak untuk operasi data model Folder (folder dokumen personal & grup).
+ */
+export class FolderRepository {
+  constructor() {
+    if (this.constructor === FolderRepository) {
+      throw new Error("Kelas abstrak 'FolderRepository' tidak dapat diinstansiasi secara langsung.");
+    }
+  }
+
+  /**
+   * @param {{ name: string, userId: string, groupId?: number|null, parentId?: string|null }} data
+   * @returns {Promise<object>} Folder yang dibuat.
+   */
+  async create(data) {
+    throw new Error("Metode 'create' belum diimplementasi.");
+  }
+
+  /**
+   * @param {string} folderId
+   * @returns {Promise<object|null>}
+   */
+  async findById(folderId) {
+    throw new Error("Metode 'findById' belum diimplementasi.");
+  }
+
+  /**
+   * @param {{ userId: string, groupId: number|null }} scope - Cakupan personal atau grup.
+   * @returns {Promise<object[]>} Semua folder pada cakupan beserta jumlah dokumennya.
+   */
+  async findAllByScope(scope) {
+    throw new Error("Metode 'findAllByScope' belum diimplementasi.");
+  }
+
+  /**
+   * @param {string} folderId
+   * @param {{ name?: string, parentId?: string|null }} data
+   * @returns {Promise<object>}
+   */
+  async update(folderId, data) {
+    throw new Error("Metode 'update' belum diimplementasi.");
+  }
+
+  /**
+   * Menghapus folder; sub-folder dan dokumen di dalamnya dipindah ke parent folder tersebut.
+   * @param {{ id: string, parentId: string|null }} folder
+   * @returns {Promise<void>}
+   */
+  async deleteAndReparent(folder) {
+    throw new Error("Metode 'deleteAndReparent' belum diimplementasi.");
+  }
+
+  /**
+   * @param {string[]} documentIds
+   * @param {string|null} folderId - null berarti keluarkan dari folder (root).
+   * @returns {Promise<number>} Jumlah dokumen yang dipindahkan.
+   */
+  async moveDocuments(documentIds, folderId) {
+    throw new Error("Metode 'moveDocuments' belum diimplementasi.");
+  }
+}
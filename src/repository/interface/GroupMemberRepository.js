@@ -14,6 +14,9 @@ export class GroupMemberRepository {
   async findAllByUserId(userId, options) {
     throw new Error("Metode 'findAllByUserId' belum diimplementasi.");
   }
+  async countByUserId(userId, where) {
+    throw new Error("Metode 'countByUserId' belum diimplementasi.");
+  }
   async createFromInvitation(invitation, userId) {
     throw new Error("Metode 'createFromInvitation' belum diimplementasi.");
   }
@@ -1 +1 @@
-/** * @description Interface abstrak untuk history Repository */export class HistoryRepository {    constructor() {        if (this.constructor === HistoryRepository) {            throw new Error("Class abstrak tidak bisa di-instansiasi secara langsung.");        }    }    /**     * @description Mengambil riwayat tanda tanagn personal user.     * @param {string} userId     */    async findPersonalSignatures(userId) {        throw new Error(" Metode 'findPersonalSignatures' harus diimplementasi.");    }    /**     * @description Mengambil riwayat tanda tangan group user.     * @param {string} userId     */    async findGroupSignatures(userId) {        throw new Error("Metode 'findGroupSignatures' harus diimplementasikan");    }    /**     * @description Mengambil riwayat tanda tangan package user.     * @param {string} userId     */    async findPackageSignatures(userId) {        throw new Error("Metode 'findPackageSignatures' harus diimplementasikan");    }}
\ No newline at end of file
+/** * @description Interface abstrak untuk history Repository */export class HistoryRepository {    constructor() {        if (this.constructor === HistoryRepository) {            throw new Error("Class abstrak tidak bisa di-instansiasi secara langsung.");        }    }    /**     * @description Mengambil riwayat tanda tanagn personal user.     * @param {string} userId     * @param {{ dateFrom?: Date, dateTo?: Date, take?: number, sortOrder?: "asc"|"desc" }} [options]     */    async findPersonalSignatures(userId, options) {        throw new Error(" Metode 'findPersonalSignatures' harus diimplementasi.");    }    /**     * @description Mengambil riwayat tanda tangan group user.     * @param {string} userId     * @param {{ dateFrom?: Date, dateTo?: Date, take?: number, sortOrder?: "asc"|"desc" }} [options]     */    async findGroupSignatures(userId, options) {        throw new Error("Metode 'findGroupSignatures' harus diimplementasikan");    }    /**     * @description Mengambil riwayat tanda tangan package user.     * @param {string} userId     * @param {{ dateFrom?: Date, dateTo?: Date, take?: number, sortOrder?: "asc"|"desc" }} [options]     */    async findPackageSignatures(userId, options) {        throw new Error("Metode 'findPackageSignatures' harus diimplementasikan");    }    /**     * @description Menghitung jumlah riwayat tanda tangan user per tipe.     * @param {string} userId     * @param {{ type: "PERSONAL"|"GROUP"|"PACKAGE", dateFrom?: Date, dateTo?: Date }} options     * @returns {Promise<number>}     */    async countSignatures(userId, options) {        throw new Error("Metode 'countSignatures' harus diimplementasikan");    }}
\ No newline at end of file
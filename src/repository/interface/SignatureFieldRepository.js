@@ -0,0 +1,49 @@
+/**
+ * @description Abstraksi untuk operasi data pada entitas 'SignatureField'
+ * (field non-tanda tangan: tanggal, paraf, teks, checkbox).
+ */
+export class SignatureFieldRepository {
+  /**
+   * Menyimpan banyak field sekaligus.
+   * @param {object[]} fields - Data field (type, value, posisi, signerId, documentVersionId/packageDocumentId).
+   * @returns {Promise<object[]>} Field yang tersimpan.
+   * @throws {Error} Jika proses penyimpanan gagal.
+   */
+  async createMany(fields) {
+    throw new Error("Metode createMany belum diimplementasikan.");
+  }
+
+  /**
+   * Mengambil semua field pada satu versi dokumen.
+   * @param {string} documentVersionId - ID versi dokumen.
+   * @returns {Promise<object[]>}
+   * @throws {Error} Jika query database gagal.
+   */
+  async findAllByVersionId(documentVersionId) {
+    throw new Error("Metode findAllByVersionId belum diimplementasikan.");
+  }
+
+  /**
+   * Mengganti seluruh field milik signer pada satu versi dokumen (dipakai saat signer grup menandatangani ulang).
+   * @param {string} signerId - ID signer.
+   * @param {string} documentVersionId - ID versi dokumen.
+   * @param {object[]} fields - Field baru.
+   * @returns {Promise<object[]>} Field yang tersimpan.
+   * @throws {Error} Jika proses penyimpanan gagal.
+   */
+  async replaceForSigner(signerId, documentVersionId, fields) {
+    throw new Error("Metode replaceForSigner belum diimplementasikan.");
+  }
+
+  /**
+   * Mengganti seluruh field milik penanda tangan eksternal (tanpa akun) pada satu versi dokumen.
+   * @param {string} externalSignerId - ID GroupDocumentSigner eksternal.
+   * @param {string} documentVersionId - ID versi dokumen.
+   * @param {object[]} fields - Field baru.
+   * @returns {Promise<object[]>} Field yang tersimpan.
+   * @throws {Error} Jika proses penyimpanan gagal.
+   */
+  async replaceForExternalSigner(externalSignerId, documentVersionId, fields) {
+    throw new Error("Metode replaceForExternalSigner belum diimplementasikan.");
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * @interface TagRepository
+ * @description Kontrak untuk operasi data model Tag dan relasi DocumentTag.
+ */
+export class TagRepository {
+  constructor() {
+    if (this.constructor === TagRepository) {
+      throw new Error("Kelas abstrak 'TagRepository' tidak dapat diinstansiasi secara langsung.");
+    }
+  }
+
+  /**
+   * @param {{ name: string, color?: string|null, userId: string, groupId?: number|null }} data
+   * @returns {Promise<object>} Tag yang dibuat.
+   */
+  async create(data) {
+    throw new Error("Metode 'create' belum diimplementasi.");
+  }
+
+  /**
+   * @param {string} tagId
+   * @returns {Promise<object|null>}
+   */
+  async findById(tagId) {
+    throw new Error("Metode 'findById' belum diimplementasi.");
+  }
+
+  /**
+   * @param {string[]} tagIds
+   * @returns {Promise<object[]>}
+   */
+  async findManyByIds(tagIds) {
+    throw new Error("Metode 'findManyByIds' belum diimplementasi.");
+  }
+
+  /**
+   * @param {{ userId: string, groupId: number|null }} scope - Cakupan personal atau grup.
+   * @returns {Promise<object[]>} Semua tag pada cakupan beserta jumlah dokumennya.
+   */
+  async findAllByScope(scope) {
+    throw new Error("Metode 'findAllByScope' belum diimplementasi.");
+  }
+
+  /**
+   * @param {string} tagId
+   * @param {{ name?: string, color?: string|null }} data
+   * @returns {Promise<object>}
+   */
+  async update(tagId, data) {
+    throw new Error("Metode 'update' belum diimplementasi.");
+  }
+
+  /**
+   * @param {string} tagId
+   * @returns {Promise<void>}
+   */
+  async deleteById(tagId) {
+    throw new Error("Metode 'deleteById' belum diimplementasi.");
+  }
+
+  /**
+   * Memasang setiap tag ke setiap dokumen (pasangan yang sudah ada dilewati).
+   * @param {string[]} documentIds
+   * @param {string[]} tagIds
+   * @returns {Promise<number>} Jumlah relasi baru.
+   */
+  async addToDocuments(documentIds, tagIds) {
+    throw new Error("Metode 'addToDocuments' belum diimplementasi.");
+  }
+
+  /**
+   * @param {string[]} documentIds
+   * @param {string[]} tagIds
+   * @returns {Promise<number>} Jumlah relasi yang dihapus.
+   */
+  async removeFromDocuments(documentIds, tagIds) {
+    throw new Error("Metode 'removeFromDocuments' belum diimplementasi.");
+  }
+}
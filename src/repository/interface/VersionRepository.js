@@ -11,6 +11,7 @@ export class VersionRepository {
    * @param {string} data.userId - ID pengguna yang mengunggah versi ini.
    * @param {string} data.url - URL file versi dokumen.
    * @param {string} data.hash - Hash SHA256 file versi.
+   * @param {string} [data.description] - Keterangan perubahan pada versi ini.
    * @returns {Promise<object>} Objek versi dokumen yang berhasil dibuat.
    * @throws {Error} Jika proses penyimpanan gagal.
    */
@@ -18,6 +19,17 @@ export class VersionRepository {
     throw new Error("Metode create belum diimplementasikan.");
   }
 
+  /**
+   * Menyimpan teks hasil ekstraksi PDF sebuah versi dan memperbarui indeks full-text search-nya.
+   * @param {string} versionId - ID versi dokumen.
+   * @param {string} text - Teks isi dokumen.
+   * @returns {Promise<void>}
+   * @throws {Error} Jika query database gagal.
+   */
+  async updateSearchContent(versionId, text) {
+    throw new Error("Metode updateSearchContent belum diimplementasikan.");
+  }
+
   /**
    * Menemukan versi dokumen berdasarkan ID user dan hash file.
    * Digunakan untuk mencegah duplikasi file versi.
@@ -62,7 +74,49 @@ export class VersionRepository {
   }
 
   /**
-   * Menghapus satu versi dokumen berdasarkan ID.
+   * Memindahkan satu versi dokumen ke tempat sampah (soft delete).
+   * Versi di tempat sampah tidak ikut diambil oleh `findById`, `findAllByDocumentId`, maupun `countByDocumentId`.
+   * @param {string} versionId - ID versi dokumen.
+   * @param {string} deletedBy - ID pengguna yang menghapus.
+   * @returns {Promise<object>} Objek versi yang sudah ditandai terhapus.
+   * @throws {Error} Jika versi tidak ditemukan atau merupakan satu-satunya versi dokumen.
+   */
+  async softDeleteById(versionId, deletedBy) {
+    throw new Error("Metode softDeleteById belum diimplementasikan.");
+  }
+
+  /**
+   * Memulihkan versi dokumen dari tempat sampah.
+   * @param {string} versionId - ID versi dokumen.
+   * @returns {Promise<object>} Objek versi yang sudah dipulihkan.
+   * @throws {Error} Jika versi tidak ditemukan.
+   */
+  async restoreById(versionId) {
+    throw new Error("Metode restoreById belum diimplementasikan.");
+  }
+
+  /**
+   * Mengambil versi dokumen yang berada di tempat sampah.
+   * @param {string} documentId - ID dokumen induk.
+   * @returns {Promise<object[]>} Array versi, terbaru dihapus lebih dulu.
+   */
+  async findTrashedByDocumentId(documentId) {
+    throw new Error("Metode findTrashedByDocumentId belum diimplementasikan.");
+  }
+
+  /**
+   * Mengambil versi di tempat sampah yang masa retensinya sudah lewat (dokumen induknya tidak ikut terhapus).
+   * @param {Date} cutoff - Versi yang dihapus sebelum waktu ini dianggap kedaluwarsa.
+   * @param {number} [limit=100] - Jumlah maksimal versi per batch.
+   * @param {string[]} [excludeIds=[]] - ID versi yang dilewati (gagal dihapus pada batch sebelumnya).
+   * @returns {Promise<object[]>}
+   */
+  async findExpiredTrash(cutoff, limit = 100, excludeIds = []) {
+    throw new Error("Metode findExpiredTrash belum diimplementasikan.");
+  }
+
+  /**
+   * Menghapus satu versi dokumen secara permanen berdasarkan ID.
    * @param {string} versionId - ID versi dokumen.
    * @returns {Promise<void>} Tidak ada nilai kembali jika berhasil.
    * @throws {Error} Jika penghapusan gagal.
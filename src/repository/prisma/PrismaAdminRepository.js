@@ -1,26 +1,45 @@
 import supabaseAdmin from "../../config/supabaseAdmin.js";
 
 import CommonError from "../../errors/CommonError.js";
+import { DEFAULT_PAGE_SIZE, toDateRange } from "../../utils/pagination.js";
 
 export class PrismaAdminRepository {
   constructor(prisma) {
     this.prisma = prisma;
   }
 
-  async findAllUsers() {
-    return this.prisma.user.findMany({
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        profilePictureUrl: true,
-        isSuperAdmin: true,
-        createdAt: true,
-      },
-      orderBy: {
-        createdAt: "desc",
-      },
-    });
+  /**
+   * Mengambil daftar user per halaman.
+   * @param {{ filters?: { status?: string, dateFrom?: Date, dateTo?: Date }, sortBy?: string, sortOrder?: string, skip?: number, take?: number }} [listOptions]
+   * @returns {Promise<{ data: object[], total: number }>}
+   */
+  async findAllUsers({ filters = {}, sortBy = "createdAt", sortOrder = "desc", skip = 0, take = DEFAULT_PAGE_SIZE } = {}) {
+    const createdAt = toDateRange(filters);
+    const where = {
+      ...(filters.status && { userStatus: filters.status }),
+      ...(createdAt && { createdAt }),
+    };
+
+    const [data, total] = await this.prisma.$transaction([
+      this.prisma.user.findMany({
+        where,
+        skip,
+        take,
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          profilePictureUrl: true,
+          isSuperAdmin: true,
+          userStatus: true,
+          createdAt: true,
+        },
+        orderBy: [{ [sortBy]: sortOrder }, { id: "asc" }],
+      }),
+      this.prisma.user.count({ where }),
+    ]);
+
+    return { data, total };
   }
 
   async createUser({ email, password, name, isSuperAdmin = false }) {
@@ -105,7 +124,7 @@ export class PrismaAdminRepository {
     try {
       const [totalUsers, totalDocuments, totalGroups, totalSignatures] = await Promise.all([
         this.prisma.user.count(),
-        this.prisma.document.count(),
+        this.prisma.document.count({ where: { deletedAt: null } }),
         this.prisma.group.count(),
         this.prisma.signaturePersonal.count().then((c1) => this.prisma.signatureGroup.count().then((c2) => c1 + c2)),
       ]);
@@ -117,37 +136,80 @@ export class PrismaAdminRepository {
   }
 
   /**
-   * Menghapus dokumen secara paksa (Bypass permission check)
+   * Menghapus dokumen secara paksa (Bypass permission check).
+   * Dokumen dipindah ke tempat sampah dengan tanda `trashedByAdmin` sehingga hanya admin yang dapat memulihkannya;
+   * penghapusan permanen dilakukan cron setelah masa retensi.
    */
-  async forceDeleteDocument(documentId) {
+  async forceDeleteDocument(documentId, adminId) {
     try {
-      return await this.prisma.document.delete({
-        where: { id: documentId },
+      const { count } = await this.prisma.document.updateMany({
+        where: { id: documentId, deletedAt: null },
+        data: { deletedAt: new Date(), deletedBy: adminId, trashedByAdmin: true },
       });
-    } catch (error) {
-      if (error.code === "P2025") {
+      if (count === 0) {
         throw CommonError.NotFound("Dokumen tidak ditemukan.");
       }
+      return { id: documentId };
+    } catch (error) {
+      if (error instanceof CommonError) throw error;
       throw CommonError.DatabaseError(`Gagal menghapus dokumen secara paksa: ${error.message}`);
     }
   }
 
   /**
-   * Mengambil semua dokumen untuk keperluan moderasi admin.
+   * Memulihkan dokumen dari tempat sampah (termasuk dokumen yang dihapus paksa oleh admin).
    */
-  async findAllDocuments() {
-    return await this.prisma.document.findMany({
-      // Hapus 'take: limit' agar mengambil semua data
-      orderBy: { createdAt: "desc" },
-      include: {
-        owner: {
-          select: { name: true, email: true }
-        },
-        group: {
-          select: { name: true }
+  async restoreDocument(documentId) {
+    try {
+      const { count } = await this.prisma.document.updateMany({
+        where: { id: documentId, deletedAt: { not: null } },
+        data: { deletedAt: null, deletedBy: null, trashedByAdmin: false },
+      });
+      if (count === 0) {
+        throw CommonError.NotFound("Dokumen tidak ditemukan di tempat sampah.");
+      }
+      return { id: documentId };
+    } catch (error) {
+      if (error instanceof CommonError) throw error;
+      throw CommonError.DatabaseError(`Gagal memulihkan dokumen: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mengambil dokumen untuk keperluan moderasi admin, per halaman.
+   * `filters.trashed === "true"` menampilkan dokumen di tempat sampah; selain itu hanya dokumen aktif.
+   * @param {{ filters?: { status?: string, type?: string, groupId?: number|null, dateFrom?: Date, dateTo?: Date, trashed?: string }, sortBy?: string, sortOrder?: string, skip?: number, take?: number }} [listOptions]
+   * @returns {Promise<{ data: object[], total: number }>}
+   */
+  async findAllDocuments({ filters = {}, sortBy = "createdAt", sortOrder = "desc", skip = 0, take = DEFAULT_PAGE_SIZE } = {}) {
+    const createdAt = toDateRange(filters);
+    const where = {
+      ...(filters.status && { status: filters.status }),
+      ...(filters.type && { type: filters.type }),
+      ...(filters.groupId !== undefined && { groupId: filters.groupId }),
+      ...(createdAt && { createdAt }),
+      deletedAt: filters.trashed === "true" ? { not: null } : null,
+    };
+
+    const [data, total] = await this.prisma.$transaction([
+      this.prisma.document.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [{ [sortBy]: sortOrder }, { id: "asc" }],
+        include: {
+          owner: {
+            select: { name: true, email: true }
+          },
+          group: {
+            select: { name: true }
+          },
         },
-      },
-    });
+      }),
+      this.prisma.document.count({ where }),
+    ]);
+
+    return { data, total };
   }
 
   async getTrafficStats() {
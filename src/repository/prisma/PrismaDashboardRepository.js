@@ -21,13 +21,14 @@ export class PrismaDashboardRepository {
    * @function countAllStatuses
    * @description Menghitung jumlah dokumen yang dikelompokkan berdasarkan statusnya (draft, pending, completed).
    * @param {string} userId - ID pengguna.
+   * @param {object} [documentFilter={}] - Filter tambahan pada Document (folder/tag).
    * @returns {Promise<Object>} Object berisi jumlah count per status.
    */
-  async countAllStatuses(userId) {
+  async countAllStatuses(userId, documentFilter = {}) {
     try {
       const result = await this.prisma.document.groupBy({
         by: ["status"],
-        where: { userId: userId },
+        where: { ...documentFilter, userId: userId, deletedAt: null },
         _count: { status: true },
       });
 
@@ -48,8 +49,9 @@ export class PrismaDashboardRepository {
    * @description Mencari permintaan tanda tangan PERSONAL yang belum dikerjakan oleh user.
    * @param {string} userId - ID pengguna.
    * @param {number} limit - Batas jumlah data.
+   * @param {object} [documentFilter={}] - Filter tambahan pada Document (folder/tag).
    */
-  async findPendingSignatures(userId, limit = 3) {
+  async findPendingSignatures(userId, limit = 3, documentFilter = {}) {
     try {
       return await this.prisma.signaturePersonal.findMany({
         where: {
@@ -57,7 +59,9 @@ export class PrismaDashboardRepository {
           signatureImageUrl: "", // Belum ada tanda tangan
           documentVersion: {
             document: {
+              ...documentFilter,
               status: "pending", // Hanya dokumen yang masih aktif
+              deletedAt: null,
             },
           },
         },
@@ -87,12 +91,14 @@ export class PrismaDashboardRepository {
    * @function findActionRequiredDocuments
    * @description Mencari dokumen milik user sendiri yang masih draft atau pending (Action Required).
    */
-  async findActionRequiredDocuments(userId, limit = 3) {
+  async findActionRequiredDocuments(userId, limit = 3, documentFilter = {}) {
     try {
       return await this.prisma.document.findMany({
         where: {
+          ...documentFilter,
           userId: userId,
           status: { in: ["draft", "pending"] },
+          deletedAt: null,
         },
         take: limit,
         orderBy: { updatedAt: "desc" },
@@ -105,14 +111,50 @@ export class PrismaDashboardRepository {
     }
   }
 
+  /**
+   * @function findOverdueGroupDocuments
+   * @description Mencari dokumen grup yang memiliki permintaan tanda tangan kedaluwarsa (EXPIRED),
+   * untuk pemilik dokumen atau admin grup yang perlu menindaklanjutinya.
+   * @param {string} userId - ID pengguna.
+   * @param {number} limit - Batas jumlah data.
+   * @param {object} [documentFilter={}] - Filter tambahan pada Document (folder/tag).
+   */
+  async findOverdueGroupDocuments(userId, limit = 3, documentFilter = {}) {
+    try {
+      return await this.prisma.document.findMany({
+        where: {
+          ...documentFilter,
+          status: "pending",
+          deletedAt: null,
+          groupId: { not: null },
+          OR: [{ userId: userId }, { group: { members: { some: { userId: userId, role: "admin_group" } } } }],
+          signerRequests: { some: { status: "EXPIRED" } },
+        },
+        take: limit,
+        orderBy: { updatedAt: "desc" },
+        select: {
+          id: true,
+          title: true,
+          updatedAt: true,
+          groupId: true,
+          signingDeadline: true,
+          group: { select: { name: true } },
+          _count: { select: { signerRequests: { where: { status: "EXPIRED" } } } },
+        },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengambil dokumen grup yang melewati tenggat: ${err.message}`);
+    }
+  }
+
   /**
    * @function findRecentUpdatedDocuments
    * @description Mengambil dokumen yang baru saja diedit oleh user.
    */
-  async findRecentUpdatedDocuments(userId, limit = 5) {
+  async findRecentUpdatedDocuments(userId, limit = 5, documentFilter = {}) {
     try {
       return await this.prisma.document.findMany({
-        where: { userId: userId },
+        where: { ...documentFilter, userId: userId, deletedAt: null },
         take: limit,
         orderBy: { updatedAt: "desc" },
         select: { id: true, title: true, status: true, updatedAt: true, groupId: true},
@@ -126,12 +168,13 @@ export class PrismaDashboardRepository {
    * @function findRecentSignatures
    * @description Mengambil riwayat tanda tangan PERSONAL yang sudah selesai.
    */
-  async findRecentSignatures(userId, limit = 5) {
+  async findRecentSignatures(userId, limit = 5, documentFilter = {}) {
     try {
       return await this.prisma.signaturePersonal.findMany({
         where: {
           signerId: userId,
           signatureImageUrl: { not: "" }, // Sudah ada gambar tanda tangan
+          ...this._whereDocumentVersion(documentFilter),
         },
         take: limit,
         orderBy: { signedAt: "desc" },
@@ -155,13 +198,14 @@ export class PrismaDashboardRepository {
    * @function findRecentGroupSignatures
    * @description Mengambil riwayat tanda tangan GRUP yang sudah selesai.
    */
-  async findRecentGroupSignatures(userId, limit = 5) {
+  async findRecentGroupSignatures(userId, limit = 5, documentFilter = {}) {
     try {
       return await this.prisma.signatureGroup.findMany({
         where: {
           signerId: userId,
           // Biasanya signatureGroup row dibuat saat assign, status dicek lewat field status/img
           status: "signed", // Pastikan field ini sesuai schema Prisma Anda (misal: status='signed' atau check signatureImageUrl)
+          ...this._whereDocumentVersion(documentFilter),
         },
         take: limit,
         orderBy: { signedAt: "desc" },
@@ -184,10 +228,13 @@ export class PrismaDashboardRepository {
    * @function findRecentPackageSignatures
    * @description Mengambil riwayat tanda tangan PAKET yang sudah selesai.
    */
-  async findRecentPackageSignatures(userId, limit = 5) {
+  async findRecentPackageSignatures(userId, limit = 5, documentFilter = {}) {
     try {
       return await this.prisma.packageSignature.findMany({
-        where: { signerId: userId },
+        where: {
+          signerId: userId,
+          packageDocument: { docVersion: { document: { ...documentFilter, deletedAt: null } } },
+        },
         take: limit,
         orderBy: { createdAt: "desc" },
         include: {
@@ -211,4 +258,14 @@ export class PrismaDashboardRepository {
       throw CommonError.DatabaseError(`Gagal mengambil riwayat tanda tangan paket: ${err.message}`);
     }
   }
+
+  /**
+   * @private
+   * @function _whereDocumentVersion
+   * @description Membungkus filter Document (folder/tag) untuk query signature lewat relasi documentVersion.
+   * Dokumen di tempat sampah selalu dikecualikan.
+   */
+  _whereDocumentVersion(documentFilter) {
+    return { documentVersion: { document: { ...documentFilter, deletedAt: null } } };
+  }
 }
\ No newline at end of file
@@ -1,3 +1,6 @@
+import { toDateRange } from "../../utils/pagination.js";
+import { buildOrganizationWhere } from "../../utils/documentOrganization.js";
+
 /**
  * @description Implementasi Repository untuk model 'Document' menggunakan Prisma.
  */
@@ -46,24 +49,53 @@ export class PrismaDocumentRepository {
   }
 
   /**
-   * @description Mengambil semua dokumen milik user, beserta detail versi terkininya DAN tanda tangannya.
+   * @description Menyusun filter Prisma untuk daftar dokumen personal & grup milik user.
+   * @private
    */
-  async findAllByUserId(userId, search = "") {
+  _buildUserDocumentsWhere(userId, search, contentMatchIds, filters = {}) {
     const searchFilter = search
         ? {
-          OR: [{ title: { contains: search, mode: "insensitive" } }, { type: { contains: search, mode: "insensitive" } }],
+          OR: [
+            { title: { contains: search, mode: "insensitive" } },
+            { type: { contains: search, mode: "insensitive" } },
+            ...(contentMatchIds.length > 0 ? [{ id: { in: contentMatchIds } }] : []),
+          ],
         }
         : {};
 
+    const createdAt = toDateRange(filters);
+
+    return {
+      AND: [
+        {
+          OR: [{ userId: userId }, { group: { members: { some: { userId: userId } } } }],
+        },
+        { deletedAt: null },
+        searchFilter,
+        {
+          // Dokumen arsip hanya muncul jika difilter eksplisit dengan `status=archived`.
+          status: filters.status || { not: "archived" },
+          ...(filters.type && { type: filters.type }),
+          ...(filters.groupId !== undefined && { groupId: filters.groupId }),
+          ...(createdAt && { createdAt }),
+          ...buildOrganizationWhere(filters),
+        },
+      ],
+    };
+  }
+
+  /**
+   * @description Mengambil semua dokumen milik user, beserta detail versi terkininya DAN tanda tangannya.
+   * @param {string} userId - ID user.
+   * @param {string} [search] - Kata kunci judul/tipe dokumen.
+   * @param {string[]} [contentMatchIds] - ID dokumen yang cocok dari full-text search isi dokumen (ikut disertakan).
+   * @param {{ filters?: object, sortBy?: string, sortOrder?: string, skip?: number, take?: number }} [listOptions]
+   *   Filter (status, type, groupId, dateFrom, dateTo, folderId, tagIds), sorting, dan pagination. Tanpa `take` semua data dikembalikan.
+   */
+  async findAllByUserId(userId, search = "", contentMatchIds = [], { filters = {}, sortBy = "createdAt", sortOrder = "desc", skip, take } = {}) {
     return this.prisma.document.findMany({
-      where: {
-        AND: [
-          {
-            OR: [{ userId: userId }, { group: { members: { some: { userId: userId } } } }],
-          },
-          searchFilter,
-        ],
-      },
+      where: this._buildUserDocumentsWhere(userId, search, contentMatchIds, filters),
+      ...(take !== undefined && { skip, take }),
       include: {
         signerRequests: {
           where: { userId: userId },
@@ -87,15 +119,78 @@ export class PrismaDocumentRepository {
             }
           }
         },
+        folder: { select: { id: true, name: true } },
+        tags: { select: { tag: { select: { id: true, name: true, color: true } } } },
       },
-      orderBy: { createdAt: "desc" },
+      orderBy: [{ [sortBy]: sortOrder }, { id: "asc" }],
+    });
+  }
+
+  /**
+   * @description Menghitung jumlah dokumen milik user sesuai filter yang sama dengan `findAllByUserId`.
+   * @returns {Promise<number>}
+   */
+  async countByUserId(userId, search = "", contentMatchIds = [], filters = {}) {
+    return this.prisma.document.count({
+      where: this._buildUserDocumentsWhere(userId, search, contentMatchIds, filters),
     });
   }
 
+  /**
+   * @description Full-text search isi dokumen (tsvector indonesian + english) pada dokumen personal & grup milik user.
+   * Setiap dokumen diwakili versi dengan rank tertinggi; snippet dibuat dengan ts_headline memakai konfigurasi
+   * bahasa yang cocok dengan query.
+   * @param {string} userId - ID user.
+   * @param {string} query - Kata kunci (sintaks websearch_to_tsquery).
+   * @param {{ limit?: number, highlightStart: string, highlightEnd: string }} options - Batas hasil & penanda highlight.
+   * @returns {Promise<{ documentId: string, versionId: string, rank: number, snippet: string|null }[]>}
+   */
+  async searchByContent(userId, query, { limit = 100, highlightStart, highlightEnd }) {
+    const headlineOptions = `StartSel=${highlightStart}, StopSel=${highlightEnd}, MaxFragments=2, MinWords=5, MaxWords=20, FragmentDelimiter=" … "`;
+
+    return this.prisma.$queryRaw`
+      WITH "query" AS (
+        SELECT websearch_to_tsquery('indonesian', ${query}) AS "id", websearch_to_tsquery('english', ${query}) AS "en"
+      ),
+      "ranked" AS (
+        SELECT DISTINCT ON (d."id")
+          d."id" AS "documentId",
+          v."id" AS "versionId",
+          ts_rank_cd(v."search_vector", q."id" || q."en", 32) AS "rank"
+        FROM "documents" d
+        JOIN "document_versions" v ON v."document_id" = d."id"
+        CROSS JOIN "query" q
+        WHERE v."search_vector" @@ (q."id" || q."en")
+          AND d."deleted_at" IS NULL
+          AND v."deleted_at" IS NULL
+          AND (
+            d."user_id" = ${userId}::uuid
+            OR d."group_id" IN (SELECT gm."group_id" FROM "group_members" gm WHERE gm."user_id" = ${userId}::uuid)
+          )
+        ORDER BY d."id", "rank" DESC
+      )
+      SELECT
+        r."documentId",
+        r."versionId",
+        r."rank",
+        CASE
+          WHEN to_tsvector('indonesian', v."text_content") @@ q."id" THEN ts_headline('indonesian', v."text_content", q."id", ${headlineOptions})
+          ELSE ts_headline('english', v."text_content", q."en", ${headlineOptions})
+        END AS "snippet"
+      FROM "ranked" r
+      JOIN "document_versions" v ON v."id" = r."versionId"
+      CROSS JOIN "query" q
+      ORDER BY r."rank" DESC
+      LIMIT ${limit}
+    `;
+  }
+
   async findById(documentId, userId) {
     const doc = await this.prisma.document.findUnique({
       where: { id: documentId },
       include: {
+        folder: { select: { id: true, name: true } },
+        tags: { select: { tag: { select: { id: true, name: true, color: true } } } },
         group: {
           select: {
             id: true,
@@ -106,7 +201,7 @@ export class PrismaDocumentRepository {
             },
           },
         },
-        signerRequests: { include: { user: true } },
+        signerRequests: { include: { user: true, delegatedFrom: { select: { id: true, name: true, email: true } } }, orderBy: { order: "asc" } },
         currentVersion: {
           include: {
             signaturesPersonal: true,
@@ -124,7 +219,7 @@ export class PrismaDocumentRepository {
       },
     });
 
-    if (!doc) return null;
+    if (!doc || doc.deletedAt) return null;
 
     const isMember = doc.group && doc.group.members.length > 0;
     if (doc.userId === userId) return doc;
@@ -167,6 +262,7 @@ export class PrismaDocumentRepository {
         where: { id: document.id },
         data: { currentVersionId: version.id },
       });
+      document.currentVersionId = version.id;
 
       if (signerUserIds && signerUserIds.length > 0) {
         const signerData = signerUserIds.map((signerId) => ({
@@ -184,6 +280,18 @@ export class PrismaDocumentRepository {
     });
   }
 
+  /**
+   * @description Menyimpan lampiran dokumen (misal file Word asli dari dokumen hasil konversi).
+   * @param {string} documentId - ID dokumen.
+   * @param {{ url: string, fileName: string, mimeType: string, size?: number, kind?: string }} attachment
+   * @returns {Promise<object>}
+   */
+  async createAttachment(documentId, { url, fileName, mimeType, size, kind = "SOURCE" }) {
+    return this.prisma.documentAttachment.create({
+      data: { documentId, url, fileName, mimeType, size, kind },
+    });
+  }
+
   /**
    * @description Memperbarui data pada tabel Dokumen (misal: title atau currentVersionId).
    * [PERBAIKAN]: Fungsi ini sekarang menangani pembaruan relasi 'currentVersion'.
@@ -215,20 +323,21 @@ export class PrismaDocumentRepository {
   /**
    * @description Mencari satu dokumen berdasarkan kriteria 'where' kustom.
    * Ini dibutuhkan oleh GroupService untuk mencari berdasarkan { id, groupId }.
+   * Dokumen di tempat sampah tidak ikut dicari.
    * @param {object} query - Objek query Prisma findFirst (misal: { where: { ... } }).
    * @returns {Promise<object|null>}
    */
-  async findFirst(query) {
-    return this.prisma.document.findFirst(query);
+  async findFirst(query = {}) {
+    return this.prisma.document.findFirst({ ...query, where: { ...query.where, deletedAt: null } });
   }
 
   /**
    * [BARU] Mencari dokumen hanya berdasarkan ID tanpa cek kepemilikan.
-   * Digunakan oleh Service untuk validasi delete manual.
+   * Digunakan oleh Service untuk validasi delete manual. Dokumen di tempat sampah dianggap tidak ada.
    */
   async findByIdSimple(documentId) {
-    return this.prisma.document.findUnique({
-      where: { id: documentId },
+    return this.prisma.document.findFirst({
+      where: { id: documentId, deletedAt: null },
 
       include: {
         group: true,
@@ -236,10 +345,22 @@ export class PrismaDocumentRepository {
     });
   }
 
+  /**
+   * @description Mengambil beberapa dokumen sekaligus (tanpa cek akses) untuk validasi operasi bulk.
+   * @param {string[]} documentIds
+   * @returns {Promise<{ id: string, userId: string, groupId: number|null, folderId: string|null, title: string }[]>}
+   */
+  async findManyByIds(documentIds) {
+    return this.prisma.document.findMany({
+      where: { id: { in: documentIds }, deletedAt: null },
+      select: { id: true, userId: true, groupId: true, folderId: true, title: true },
+    });
+  }
+
   async countByGroupId(groupId) {
     try {
       return await this.prisma.document.count({
-        where: { groupId: groupId },
+        where: { groupId: groupId, deletedAt: null },
       });
     } catch (err) {
       throw CommonError.DatabaseError(`Gagal menghitung dokumen grup: ${err.message}`);
@@ -247,7 +368,162 @@ export class PrismaDocumentRepository {
   }
 
   /**
-   * [UPDATE/PASTIKAN] Menghapus dokumen murni berdasarkan ID.
+   * @description Memindahkan dokumen ke tempat sampah (soft delete). Versi & file fisik tetap disimpan
+   * sampai dokumen dipulihkan atau dihapus permanen.
+   * @param {string} documentId
+   * @param {string} deletedBy - ID user/admin yang menghapus.
+   * @param {{ byAdmin?: boolean }} [options] - `byAdmin` menandai hapus paksa oleh admin.
+   * @returns {Promise<object>}
+   */
+  async softDeleteById(documentId, deletedBy, { byAdmin = false } = {}) {
+    return this.prisma.document.update({
+      where: { id: documentId },
+      data: { deletedAt: new Date(), deletedBy, trashedByAdmin: byAdmin },
+    });
+  }
+
+  /**
+   * @description Memulihkan dokumen dari tempat sampah.
+   * @param {string} documentId
+   * @returns {Promise<object>}
+   */
+  async restoreById(documentId) {
+    return this.prisma.document.update({
+      where: { id: documentId },
+      data: { deletedAt: null, deletedBy: null, trashedByAdmin: false },
+    });
+  }
+
+  /**
+   * @description Menyusun filter dokumen di tempat sampah yang boleh dikelola user:
+   * dokumen miliknya sendiri, atau dokumen grup di mana user adalah admin grup.
+   * @private
+   */
+  _buildTrashWhere(userId) {
+    return {
+      deletedAt: { not: null },
+      OR: [{ userId }, { group: { members: { some: { userId, role: "admin_group" } } } }],
+    };
+  }
+
+  /**
+   * @description Mengambil dokumen di tempat sampah yang dapat dikelola user, terbaru dihapus lebih dulu.
+   * @param {string} userId
+   * @param {{ skip?: number, take?: number }} [pagination]
+   * @returns {Promise<object[]>}
+   */
+  async findTrashed(userId, { skip, take } = {}) {
+    return this.prisma.document.findMany({
+      where: this._buildTrashWhere(userId),
+      ...(take !== undefined && { skip, take }),
+      select: {
+        id: true,
+        title: true,
+        type: true,
+        status: true,
+        userId: true,
+        groupId: true,
+        createdAt: true,
+        deletedAt: true,
+        deletedBy: true,
+        trashedByAdmin: true,
+        group: { select: { id: true, name: true } },
+        _count: { select: { versions: true } },
+      },
+      orderBy: [{ deletedAt: "desc" }, { id: "asc" }],
+    });
+  }
+
+  /**
+   * @description Menghitung dokumen di tempat sampah yang dapat dikelola user.
+   * @param {string} userId
+   * @returns {Promise<number>}
+   */
+  async countTrashed(userId) {
+    return this.prisma.document.count({ where: this._buildTrashWhere(userId) });
+  }
+
+  /**
+   * @description Mengambil satu dokumen di tempat sampah beserta path file versi & lampirannya (tanpa cek akses).
+   * @param {string} documentId
+   * @returns {Promise<object|null>} null jika dokumen tidak ada atau tidak sedang di tempat sampah.
+   */
+  async findTrashedById(documentId) {
+    return this.prisma.document.findFirst({
+      where: { id: documentId, deletedAt: { not: null } },
+      include: {
+        versions: { select: { id: true, url: true } },
+        attachments: { select: { id: true, url: true } },
+      },
+    });
+  }
+
+  /**
+   * @description Mengambil dokumen di tempat sampah yang masa retensinya sudah lewat, untuk dihapus permanen.
+   * @param {Date} cutoff - Dokumen yang dihapus sebelum waktu ini dianggap kedaluwarsa.
+   * @param {number} [limit=100] - Jumlah maksimal dokumen per batch.
+   * @param {string[]} [excludeIds=[]] - ID dokumen yang dilewati (gagal dihapus pada batch sebelumnya).
+   * @returns {Promise<object[]>}
+   */
+  async findExpiredTrash(cutoff, limit = 100, excludeIds = []) {
+    return this.prisma.document.findMany({
+      where: { deletedAt: { lt: cutoff }, ...(excludeIds.length > 0 && { id: { notIn: excludeIds } }) },
+      orderBy: { deletedAt: "asc" },
+      take: limit,
+      include: {
+        versions: { select: { id: true, url: true } },
+        attachments: { select: { id: true, url: true } },
+      },
+    });
+  }
+
+  /**
+   * @description Mengarsipkan semua dokumen `completed` (bukan di tempat sampah) yang terakhir diubah sebelum `cutoff`.
+   * @param {Date} cutoff
+   * @returns {Promise<number>} Jumlah dokumen yang diarsipkan.
+   */
+  async archiveCompletedBefore(cutoff) {
+    const { count } = await this.prisma.document.updateMany({
+      where: { status: "completed", deletedAt: null, updatedAt: { lt: cutoff } },
+      data: { status: "archived", archivedAt: new Date(), statusBeforeArchive: "completed" },
+    });
+    return count;
+  }
+
+  /**
+   * @description Mengklaim dokumen `pending` untuk difinalisasi dengan mengubah statusnya menjadi `finalizing`
+   * dalam satu query atomik, sehingga hanya satu proses (antar instance) yang dapat melakukan burn-in.
+   * Klaim yang lebih lama dari `staleBefore` (proses finalisasi mati sebelum sempat melepas klaim) dapat diklaim ulang.
+   * @param {string} documentId
+   * @param {Date} staleBefore - Batas waktu klaim `finalizing` dianggap kedaluwarsa.
+   * @returns {Promise<boolean>} True jika klaim berhasil.
+   */
+  async claimForFinalization(documentId, staleBefore) {
+    const { count } = await this.prisma.document.updateMany({
+      where: {
+        id: documentId,
+        OR: [{ status: "pending" }, { status: "finalizing", finalizingAt: { lt: staleBefore } }],
+      },
+      data: { status: "finalizing", finalizingAt: new Date() },
+    });
+    return count > 0;
+  }
+
+  /**
+   * @description Mengembalikan dokumen `finalizing` ke `pending` setelah finalisasi gagal. Aman dipanggil berulang.
+   * @param {string} documentId
+   * @returns {Promise<boolean>} True jika status dikembalikan.
+   */
+  async releaseFinalization(documentId) {
+    const { count } = await this.prisma.document.updateMany({
+      where: { id: documentId, status: "finalizing" },
+      data: { status: "pending", finalizingAt: null },
+    });
+    return count > 0;
+  }
+
+  /**
+   * [UPDATE/PASTIKAN] Menghapus dokumen murni berdasarkan ID (permanen, termasuk semua versinya).
    */
   async deleteById(documentId) {
     return this.prisma.document.delete({
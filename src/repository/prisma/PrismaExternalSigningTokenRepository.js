@@ -0,0 +1,124 @@
+import CommonError from "../../errors/CommonError.js";
+
+/** Data permintaan tanda tangan & dokumen yang dibutuhkan sesi tanda tangan eksternal. */
+const SIGNER_REQUEST_INCLUDE = {
+  signerRequest: {
+    include: {
+      document: {
+        select: {
+          id: true,
+          title: true,
+          status: true,
+          groupId: true,
+          userId: true,
+          signingDeadline: true,
+          deletedAt: true,
+          currentVersionId: true,
+          currentVersion: { select: { id: true, url: true } },
+          group: { select: { name: true } },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * @description Repository untuk model 'ExternalSigningToken' (link tanda tangan & sesi penanda tangan eksternal).
+ */
+export class PrismaExternalSigningTokenRepository {
+  constructor(prisma) {
+    if (!prisma) throw CommonError.InternalServerError("Prisma Client required.");
+    this.prisma = prisma;
+  }
+
+  /**
+   * Membuat token link tanda tangan baru.
+   * @param {{ signerRequestId: string, tokenHash: string, expiresAt: Date }} data
+   */
+  async create(data) {
+    try {
+      return await this.prisma.externalSigningToken.create({ data });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal membuat link tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mencari token berdasarkan hash token link, beserta permintaan tanda tangan & dokumennya.
+   * @param {string} tokenHash
+   */
+  async findByTokenHash(tokenHash) {
+    try {
+      return await this.prisma.externalSigningToken.findUnique({
+        where: { tokenHash },
+        include: SIGNER_REQUEST_INCLUDE,
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mencari link tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mencari token berdasarkan hash token sesi, beserta permintaan tanda tangan & dokumennya.
+   * @param {string} sessionTokenHash
+   */
+  async findBySessionHash(sessionTokenHash) {
+    try {
+      return await this.prisma.externalSigningToken.findUnique({
+        where: { sessionTokenHash },
+        include: SIGNER_REQUEST_INCLUDE,
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mencari sesi tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menukar token link menjadi sesi. Hanya berhasil sekali: token yang sudah dipakai atau dicabut tidak berubah.
+   * @param {string} id
+   * @param {object} data - Data sesi (sessionTokenHash, sessionExpiresAt, ipAddress, userAgent).
+   * @returns {Promise<boolean>} True jika token berhasil ditukar.
+   */
+  async markAsUsed(id, data) {
+    try {
+      const { count } = await this.prisma.externalSigningToken.updateMany({
+        where: { id, usedAt: null, revokedAt: null },
+        data: { ...data, usedAt: new Date() },
+      });
+      return count > 0;
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal membuka sesi tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} data - Field yang diubah (OTP, percobaan, status sesi).
+   */
+  async update(id, data) {
+    try {
+      return await this.prisma.externalSigningToken.update({
+        where: { id },
+        data,
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal memperbarui sesi tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mencabut semua link & sesi yang masih aktif milik satu permintaan tanda tangan.
+   * @param {string} signerRequestId
+   * @returns {Promise<{ count: number }>}
+   */
+  async revokeBySignerRequest(signerRequestId) {
+    try {
+      return await this.prisma.externalSigningToken.updateMany({
+        where: { signerRequestId, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mencabut link tanda tangan: ${err.message}`);
+    }
+  }
+}
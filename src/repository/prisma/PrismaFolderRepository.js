@@ -0,0 +1,116 @@
+import { FolderRepository } from "../interface/FolderRepository.js";
+import CommonError from "../../errors/CommonError.js";
+import { toScopeWhere } from "../../utils/documentOrganization.js";
+
+/**
+ * @description Implementasi Repository untuk model 'Folder' menggunakan Prisma.
+ */
+export class PrismaFolderRepository extends FolderRepository {
+  constructor(prisma) {
+    super();
+    if (!prisma) {
+      throw CommonError.InternalServerError("Prisma client tidak ditemukan.");
+    }
+    this.prisma = prisma;
+  }
+
+  /**
+   * @description Membuat folder baru.
+   * @param {{ name: string, userId: string, groupId?: number|null, parentId?: string|null }} data
+   * @returns {Promise<object>}
+   */
+  async create({ name, userId, groupId = null, parentId = null }) {
+    try {
+      return await this.prisma.folder.create({
+        data: { name, userId, groupId, parentId },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal membuat folder: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Mencari folder berdasarkan ID.
+   * @param {string} folderId
+   * @returns {Promise<object|null>}
+   */
+  async findById(folderId) {
+    try {
+      return await this.prisma.folder.findUnique({
+        where: { id: folderId },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mencari folder: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Mengambil semua folder pada cakupan personal/grup (datar, diurutkan per nama) beserta jumlah dokumennya.
+   * @param {{ userId: string, groupId: number|null }} scope
+   * @returns {Promise<object[]>}
+   */
+  async findAllByScope(scope) {
+    try {
+      return await this.prisma.folder.findMany({
+        where: toScopeWhere(scope),
+        include: { _count: { select: { documents: true } } },
+        orderBy: [{ name: "asc" }, { id: "asc" }],
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengambil daftar folder: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Mengganti nama dan/atau parent folder.
+   * @param {string} folderId
+   * @param {{ name?: string, parentId?: string|null }} data
+   * @returns {Promise<object>}
+   */
+  async update(folderId, data) {
+    try {
+      return await this.prisma.folder.update({
+        where: { id: folderId },
+        data,
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal memperbarui folder: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Menghapus folder dalam satu transaksi: sub-folder dan dokumen di dalamnya
+   * dipindah satu tingkat ke atas (ke parent folder, atau root) agar tidak ikut terhapus.
+   * @param {{ id: string, parentId: string|null }} folder
+   * @returns {Promise<void>}
+   */
+  async deleteAndReparent(folder) {
+    try {
+      await this.prisma.$transaction([
+        this.prisma.folder.updateMany({ where: { parentId: folder.id }, data: { parentId: folder.parentId } }),
+        this.prisma.document.updateMany({ where: { folderId: folder.id }, data: { folderId: folder.parentId } }),
+        this.prisma.folder.delete({ where: { id: folder.id } }),
+      ]);
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal menghapus folder: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Memindahkan dokumen ke folder (atau ke root jika folderId null).
+   * @param {string[]} documentIds
+   * @param {string|null} folderId
+   * @returns {Promise<number>} Jumlah dokumen yang dipindahkan.
+   */
+  async moveDocuments(documentIds, folderId) {
+    try {
+      const result = await this.prisma.document.updateMany({
+        where: { id: { in: documentIds } },
+        data: { folderId },
+      });
+      return result.count;
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal memindahkan dokumen: ${err.message}`);
+    }
+  }
+}
@@ -8,12 +8,15 @@ export class PrismaGroupDocumentSignerRepository {
 
   /**
    * Membuat daftar penanda tangan (Bulk Create).
+   * @param {string} documentId
+   * @param {Array<string|{ userId: string, order: number }>} signers - ID user (tahap 1) atau user beserta tahap urutannya.
    */
-  async createSigners(documentId, userIds) {
+  async createSigners(documentId, signers) {
     try {
-      const data = userIds.map((userId) => ({
+      const data = signers.map((signer) => ({
         documentId,
-        userId,
+        userId: typeof signer === "string" ? signer : signer.userId,
+        order: typeof signer === "string" ? 1 : signer.order,
         status: "PENDING",
       }));
 
@@ -26,6 +29,128 @@ export class PrismaGroupDocumentSignerRepository {
     }
   }
 
+  /**
+   * Membuat permintaan tanda tangan untuk penanda tangan eksternal (tanpa akun).
+   * @param {string} documentId
+   * @param {{ name: string, email?: string|null, phoneNumber?: string|null, deadline?: Date|null }} data
+   */
+  async createExternalSigner(documentId, { name, email, phoneNumber, deadline }) {
+    try {
+      return await this.prisma.groupDocumentSigner.create({
+        data: {
+          documentId,
+          status: "PENDING",
+          externalName: name,
+          externalEmail: email || null,
+          externalPhone: phoneNumber || null,
+          deadline: deadline || null,
+        },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal membuat penanda tangan eksternal: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mencari permintaan tanda tangan eksternal di dokumen tertentu.
+   * @param {string} id - ID GroupDocumentSigner.
+   * @param {string} documentId
+   */
+  async findExternalById(id, documentId) {
+    try {
+      return await this.prisma.groupDocumentSigner.findFirst({
+        where: { id, documentId, userId: null },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mencari penanda tangan eksternal: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menandai permintaan tanda tangan (berdasarkan ID) sebagai SIGNED. Dipakai untuk penanda tangan eksternal.
+   * @returns {Promise<{ count: number }>}
+   */
+  async markAsSignedById(id, signatureGroupId) {
+    try {
+      return await this.prisma.groupDocumentSigner.updateMany({
+        where: { id, status: "PENDING" },
+        data: { status: "SIGNED", signatureGroupId },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal update status tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menghapus permintaan tanda tangan (berdasarkan ID) yang belum ditandatangani.
+   * @returns {Promise<{ count: number }>}
+   */
+  async deleteUnsignedById(id) {
+    try {
+      return await this.prisma.groupDocumentSigner.deleteMany({
+        where: { id, status: { in: ["PENDING", "REJECTED", "EXPIRED"] } },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal menghapus signer: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mengubah tahap urutan tanda tangan seorang signer.
+   * @param {string} documentId
+   * @param {string} userId
+   * @param {number} order
+   */
+  async updateSignerOrder(documentId, userId, order) {
+    try {
+      return await this.prisma.groupDocumentSigner.updateMany({
+        where: { documentId, userId },
+        data: { order },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengubah urutan penanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menghitung signer PENDING di tahap sebelum `order` (signer di tahap `order` harus menunggu mereka).
+   * @param {string} documentId
+   * @param {number} order
+   */
+  async countPendingBeforeOrder(documentId, order) {
+    try {
+      return await this.prisma.groupDocumentSigner.count({
+        where: { documentId, status: "PENDING", order: { lt: order } },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal memeriksa urutan tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mengambil tahap aktif (urutan terkecil yang masih memiliki signer PENDING) beserta signer-nya.
+   * @param {string} documentId
+   * @returns {Promise<{ order: number, signers: Array<Object> }|null>}
+   */
+  async findActiveStage(documentId) {
+    try {
+      const first = await this.prisma.groupDocumentSigner.findFirst({
+        where: { documentId, status: "PENDING" },
+        orderBy: { order: "asc" },
+        select: { order: true },
+      });
+      if (!first) return null;
+
+      const signers = await this.prisma.groupDocumentSigner.findMany({
+        where: { documentId, status: "PENDING", order: first.order },
+        include: { user: { select: { id: true, name: true, phoneNumber: true } } },
+      });
+      return { order: first.order, signers };
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengambil tahap tanda tangan aktif: ${err.message}`);
+    }
+  }
+
   /**
    * [DITAMBAHKAN] Mencari request tanda tangan spesifik user & dokumen yang masih PENDING.
    * Ini adalah fungsi yang error sebelumnya.
@@ -46,13 +171,16 @@ export class PrismaGroupDocumentSignerRepository {
 
   /**
    * Mencari dokumen yang PERLU ditandatangani oleh User tertentu (Untuk Dashboard).
+   * @param {string} userId
+   * @param {object} [documentFilter={}] - Filter tambahan pada Document (folder/tag).
    */
-  async findPendingByUser(userId) {
+  async findPendingByUser(userId, documentFilter = {}) {
     try {
       return await this.prisma.groupDocumentSigner.findMany({
         where: {
           userId,
           status: "PENDING",
+          document: { ...documentFilter, deletedAt: null, status: { not: "archived" } },
         },
         include: {
           document: {
@@ -105,6 +233,170 @@ export class PrismaGroupDocumentSignerRepository {
     });
   }
 
+  /**
+   * Menandai signer menolak menandatangani dokumen (PENDING -> REJECTED) beserta alasannya.
+   * @returns {Promise<{ count: number }>}
+   */
+  async markAsRejected(documentId, userId, reason) {
+    try {
+      return await this.prisma.groupDocumentSigner.updateMany({
+        where: { documentId, userId, status: "PENDING" },
+        data: { status: "REJECTED", declineReason: reason, declinedAt: new Date() },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal menyimpan penolakan tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menghitung berapa orang yang MENOLAK tanda tangan di dokumen ini.
+   */
+  async countRejectedSigners(documentId) {
+    return await this.prisma.groupDocumentSigner.count({
+      where: {
+        documentId,
+        status: "REJECTED",
+      },
+    });
+  }
+
+  /**
+   * Mengembalikan signer yang menolak ke PENDING (dipakai setelah dokumen direvisi).
+   */
+  async reopenRejectedSigners(documentId) {
+    try {
+      return await this.prisma.groupDocumentSigner.updateMany({
+        where: { documentId, status: "REJECTED" },
+        data: { status: "PENDING", declineReason: null, declinedAt: null },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal membuka kembali permintaan tanda tangan: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menghitung berapa orang yang melewati tenggat tanda tangan (EXPIRED) di dokumen ini.
+   */
+  async countExpiredSigners(documentId) {
+    return await this.prisma.groupDocumentSigner.count({
+      where: {
+        documentId,
+        status: "EXPIRED",
+      },
+    });
+  }
+
+  /**
+   * Mengambil permintaan tanda tangan PENDING yang tenggat efektifnya (milik signer, atau dokumen jika signer
+   * tidak punya tenggat sendiri) jatuh paling lambat `dueBefore`, untuk cron tenggat. Dibaca per batch (keyset by ID).
+   * @param {Date} dueBefore - Batas atas tenggat (sekarang + jam pengingat terjauh).
+   * @param {{ take?: number, afterId?: string|null }} [options] - Ukuran batch dan ID terakhir batch sebelumnya.
+   */
+  async findPendingWithDeadline(dueBefore, { take = 500, afterId = null } = {}) {
+    try {
+      return await this.prisma.groupDocumentSigner.findMany({
+        where: {
+          status: "PENDING",
+          document: { status: "pending", deletedAt: null },
+          OR: [{ deadline: { lte: dueBefore } }, { deadline: null, document: { signingDeadline: { lte: dueBefore } } }],
+          ...(afterId && { id: { gt: afterId } }),
+        },
+        take,
+        orderBy: { id: "asc" },
+        include: {
+          user: { select: { id: true, name: true, phoneNumber: true } },
+          document: { select: { id: true, title: true, groupId: true, signingDeadline: true, group: { select: { name: true } } } },
+        },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengambil permintaan tanda tangan bertenggat: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menyimpan jumlah pengingat tenggat yang sudah dikirim ke signer.
+   */
+  async markReminderSent(id, remindersSent) {
+    try {
+      return await this.prisma.groupDocumentSigner.update({
+        where: { id },
+        data: { remindersSent },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal menyimpan status pengingat: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menandai permintaan tanda tangan yang melewati tenggat (PENDING -> EXPIRED).
+   * @param {string[]} ids
+   * @returns {Promise<{ count: number }>}
+   */
+  async markAsExpired(ids) {
+    try {
+      return await this.prisma.groupDocumentSigner.updateMany({
+        where: { id: { in: ids }, status: "PENDING" },
+        data: { status: "EXPIRED" },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal menandai permintaan tanda tangan kedaluwarsa: ${err.message}`);
+    }
+  }
+
+  /**
+   * Mengatur tenggat khusus satu signer (null = ikut tenggat dokumen).
+   * Permintaan yang sudah EXPIRED dibuka kembali dan jadwal pengingat diulang dari awal.
+   */
+  async setSignerDeadline(documentId, userId, deadline) {
+    try {
+      return await this.prisma.groupDocumentSigner.updateMany({
+        where: { documentId, userId, status: { in: ["PENDING", "EXPIRED"] } },
+        data: { deadline, remindersSent: 0, status: "PENDING" },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengatur tenggat signer: ${err.message}`);
+    }
+  }
+
+  /**
+   * Dipanggil saat tenggat dokumen berubah: signer tanpa tenggat khusus dibuka kembali (EXPIRED -> PENDING)
+   * dan jadwal pengingatnya diulang dari awal.
+   */
+  async resetDocumentDeadline(documentId) {
+    try {
+      return await this.prisma.groupDocumentSigner.updateMany({
+        where: { documentId, deadline: null, status: { in: ["PENDING", "EXPIRED"] } },
+        data: { remindersSent: 0, status: "PENDING" },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mereset tenggat signer: ${err.message}`);
+    }
+  }
+
+  /**
+   * Memindahkan slot tanda tangan PENDING ke user lain (delegasi). Status, tenggat, dan urutan tetap;
+   * jadwal pengingat diulang dari awal untuk penerima delegasi.
+   * @param {string} id - ID GroupDocumentSigner.
+   * @param {{ userId: string, delegatedFromId: string|null, delegationReason: string }} data
+   * @returns {Promise<object|null>} Slot terbaru beserta user penerima, atau null jika slot sudah tidak PENDING.
+   */
+  async reassignSigner(id, { userId, delegatedFromId, delegationReason }) {
+    try {
+      const { count } = await this.prisma.groupDocumentSigner.updateMany({
+        where: { id, status: "PENDING" },
+        data: { userId, delegatedFromId, delegationReason, delegatedAt: new Date(), remindersSent: 0 },
+      });
+      if (count === 0) return null;
+
+      return await this.prisma.groupDocumentSigner.findUnique({
+        where: { id },
+        include: { user: { select: { id: true, name: true, phoneNumber: true } } },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mendelegasikan penanda tangan: ${err.message}`);
+    }
+  }
+
   async deleteByDocumentId(documentId) {
     try {
       return await this.prisma.groupDocumentSigner.deleteMany({
@@ -117,7 +409,7 @@ export class PrismaGroupDocumentSignerRepository {
 
   /**
    * [BARU] Menghapus satu signer dari dokumen tertentu.
-   * Digunakan saat Admin meng-uncheck user di menu Edit Signers.
+   * Digunakan saat Admin meng-uncheck user di menu Edit Signers (termasuk mengganti signer yang menolak/kedaluwarsa).
    */
   async deleteSpecificSigner(documentId, userId) {
     try {
@@ -125,7 +417,7 @@ export class PrismaGroupDocumentSignerRepository {
         where: {
           documentId: documentId,
           userId: userId,
-          status: "PENDING", // Safety check: Hanya hapus yang belum tanda tangan
+          status: { in: ["PENDING", "REJECTED", "EXPIRED"] }, // Safety check: Hanya hapus yang belum tanda tangan
         },
       });
     } catch (err) {
@@ -140,6 +432,8 @@ export class PrismaGroupDocumentSignerRepository {
         data: {
           status: "PENDING",
           signatureGroupId: null, // Putuskan hubungan dengan tanda tangan lama
+          declineReason: null,
+          declinedAt: null,
         },
       });
     } catch (err) {
@@ -35,20 +35,37 @@ export class PrismaGroupMemberRepository extends GroupMemberRepository {
   /**
    * @description Menemukan semua keanggotaan grup dari seorang user.
    * @param {string} userId - ID user (UUID String).
-   * @param {object} options - Opsi Prisma (misal: { include: { group: true } }).
+   * @param {object} options - Opsi Prisma (misal: { include: { group: true } }). `where` tambahan digabung dengan filter userId.
    * @returns {Promise<object[]>} Array keanggotaan.
    */
   async findAllByUserId(userId, options = {}) {
+    const { where, ...rest } = options;
     try {
       return await this.prisma.groupMember.findMany({
-        where: { userId },
-        ...options,
+        where: { ...where, userId },
+        ...rest,
       });
     } catch (err) {
       throw CommonError.DatabaseError(`Gagal mengambil daftar grup user: ${err.message}`);
     }
   }
 
+  /**
+   * @description Menghitung jumlah keanggotaan grup seorang user.
+   * @param {string} userId - ID user (UUID String).
+   * @param {object} [where={}] - Filter Prisma tambahan (misal: { group: { createdAt: { gte } } }).
+   * @returns {Promise<number>}
+   */
+  async countByUserId(userId, where = {}) {
+    try {
+      return await this.prisma.groupMember.count({
+        where: { ...where, userId },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal menghitung grup user: ${err.message}`);
+    }
+  }
+
   /**
    * @description Transaksi untuk menerima undangan:
    * 1. Membuat anggota baru.
@@ -86,6 +86,7 @@ export class PrismaGroupRepository extends GroupRepository {
 
           // 3. DOKUMEN GRUP
           documents: {
+            where: { deletedAt: null, status: { not: "archived" } },
             orderBy: { createdAt: "desc" },
             include: {
               currentVersion: true,
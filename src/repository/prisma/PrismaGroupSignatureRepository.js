@@ -15,7 +15,8 @@ export class PrismaGroupSignatureRepository {
             data: {
                 id: id,
                 documentVersion: { connect: { id: documentVersionId } },
-                signer: { connect: { id: userId } },
+                // Penanda tangan eksternal tidak punya akun (userId kosong)
+                ...(userId && { signer: { connect: { id: userId } } }),
 
                 // Data Visual
                 pageNumber: rest.pageNumber,
@@ -25,11 +26,20 @@ export class PrismaGroupSignatureRepository {
                 height: parseFloat(rest.height || 0),
                 signatureImageUrl: rest.signatureImageUrl || "",
                 method: rest.method || "canvas",
+                typedText: rest.typedText || null,
+                typedFont: rest.typedFont || null,
+                appearanceTemplate: rest.appearanceTemplate || null,
+                reason: rest.reason || null,
+                location: rest.location || null,
+                timezone: rest.timezone || null,
+                repeatInitials: rest.repeatInitials || undefined,
                 status: rest.status || "draft",
 
                 // [FIX] Data Audit & Security (PENTING)
                 ipAddress: rest.ipAddress || null,
                 userAgent: rest.userAgent || null,
+                otpVerifiedAt: rest.otpVerifiedAt || null,
+                otpChannel: rest.otpChannel || null,
                 accessCode: rest.accessCode || null,
 
                 // ✅ Use signedAt from payload if provided, otherwise use current time
@@ -81,6 +91,14 @@ export class PrismaGroupSignatureRepository {
             include: {
                 signer: {
                     select: { id: true, name: true, email: true }
+                },
+                requestData: {
+                    select: {
+                        delegatedFrom: { select: { id: true, name: true, email: true } },
+                        externalName: true,
+                        externalEmail: true,
+                        externalPhone: true,
+                    }
                 }
             },
         });
@@ -102,6 +120,14 @@ export class PrismaGroupSignatureRepository {
                     pageNumber: data.pageNumber,
                     signatureImageUrl: data.signatureImageUrl,
                     method: data.method,
+                    // Ganti method ke selain "typed" ikut mengosongkan teks & font ketikan sebelumnya
+                    typedText: data.method !== undefined ? data.typedText || null : data.typedText,
+                    typedFont: data.method !== undefined ? data.typedFont || null : data.typedFont,
+                    appearanceTemplate: data.appearanceTemplate,
+                    reason: data.reason,
+                    location: data.location,
+                    timezone: data.timezone,
+                    repeatInitials: data.repeatInitials || undefined,
                     status: data.status,
                     ipAddress: data.ipAddress,
                     userAgent: data.userAgent,
@@ -145,6 +171,29 @@ export class PrismaGroupSignatureRepository {
         });
     }
 
+    /**
+     * [DELEGASI] Pindahkan draft tanda tangan ke penerima delegasi.
+     * Hanya posisi & ukuran yang dibawa; gambar/teks tanda tangan milik signer asli dikosongkan.
+     */
+    async transferDrafts(documentVersionId, fromUserId, toUserId) {
+        return this.prisma.signatureGroup.updateMany({
+            where: {
+                documentVersionId: documentVersionId,
+                signerId: fromUserId,
+                status: "draft",
+            },
+            data: {
+                signerId: toUserId,
+                signatureImageUrl: "",
+                method: "canvas",
+                typedText: null,
+                typedFont: null,
+                reason: null,
+                location: null,
+            },
+        });
+    }
+
     /**
      * [BARU - REQUIRED FOR ROLLBACK]
      */
@@ -1,5 +1,6 @@
 import { HistoryRepository } from "../interface/HistoryRepository.js";
 import CommonError from "../../errors/CommonError.js";
+import { toDateRange } from "../../utils/pagination.js";
 
 export class PrismaHistoryRepository extends HistoryRepository {
   constructor(prisma) {
@@ -10,11 +11,13 @@ export class PrismaHistoryRepository extends HistoryRepository {
     this.prisma = prisma;
   }
 
-  async findPersonalSignatures(userId) {
+  async findPersonalSignatures(userId, { dateFrom, dateTo, take, sortOrder = "desc" } = {}) {
+    const signedAt = toDateRange({ dateFrom, dateTo });
     try {
       return await this.prisma.signaturePersonal.findMany({
-        where: { signerId: userId },
-        orderBy: { signedAt: "desc" },
+        where: { signerId: userId, ...(signedAt && { signedAt }) },
+        ...(take !== undefined && { take }),
+        orderBy: [{ signedAt: sortOrder }, { id: "asc" }],
         select: {
           id: true,
           signedAt: true,
@@ -31,11 +34,13 @@ export class PrismaHistoryRepository extends HistoryRepository {
     }
   }
 
-  async findGroupSignatures(userId) {
+  async findGroupSignatures(userId, { dateFrom, dateTo, take, sortOrder = "desc" } = {}) {
+    const signedAt = toDateRange({ dateFrom, dateTo });
     try {
       return await this.prisma.signatureGroup.findMany({
-        where: { signerId: userId },
-        orderBy: { signedAt: "desc" },
+        where: { signerId: userId, ...(signedAt && { signedAt }) },
+        ...(take !== undefined && { take }),
+        orderBy: [{ signedAt: sortOrder }, { id: "asc" }],
         select: {
           id: true,
           signedAt: true,
@@ -52,11 +57,13 @@ export class PrismaHistoryRepository extends HistoryRepository {
     }
   }
 
-  async findPackageSignatures(userId) {
+  async findPackageSignatures(userId, { dateFrom, dateTo, take, sortOrder = "desc" } = {}) {
+    const createdAt = toDateRange({ dateFrom, dateTo });
     try {
       return await this.prisma.packageSignature.findMany({
-        where: { signerId: userId },
-        orderBy: { createdAt: "desc" }, // Perhatikan fieldnya createdAt di schema paket
+        where: { signerId: userId, ...(createdAt && { createdAt }) },
+        ...(take !== undefined && { take }),
+        orderBy: [{ createdAt: sortOrder }, { id: "asc" }], // Perhatikan fieldnya createdAt di schema paket
         select: {
           id: true,
           createdAt: true,
@@ -76,4 +83,22 @@ export class PrismaHistoryRepository extends HistoryRepository {
       throw CommonError.DatabaseError(`Gagal mengambil history package: ${error.message}`);
     }
   }
+
+  async countSignatures(userId, { type, dateFrom, dateTo } = {}) {
+    const models = {
+      PERSONAL: { delegate: this.prisma.signaturePersonal, field: "signedAt" },
+      GROUP: { delegate: this.prisma.signatureGroup, field: "signedAt" },
+      PACKAGE: { delegate: this.prisma.packageSignature, field: "createdAt" },
+    };
+    const { delegate, field } = models[type];
+    const range = toDateRange({ dateFrom, dateTo });
+
+    try {
+      return await delegate.count({
+        where: { signerId: userId, ...(range && { [field]: range }) },
+      });
+    } catch (error) {
+      throw CommonError.DatabaseError(`Gagal menghitung history ${type.toLowerCase()}: ${error.message}`);
+    }
+  }
 }
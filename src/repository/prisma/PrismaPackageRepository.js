@@ -1,5 +1,6 @@
 import { PackageRepository } from "../interface/PackageRepository.js";
 import CommonError from "../../errors/CommonError.js";
+import { DEFAULT_PAGE_SIZE, toDateRange } from "../../utils/pagination.js";
 
 export class PrismaPackageRepository extends PackageRepository {
   constructor(prisma) {
@@ -189,31 +190,47 @@ export class PrismaPackageRepository extends PackageRepository {
 
 
   /**
-   * [NEW] Fetch all packages for a specific user.
+   * [UPDATED] Fetch packages for a specific user, paginated.
    * @param {string} userId
+   * @param {{ filters?: { status?: string, dateFrom?: Date, dateTo?: Date }, sortBy?: string, sortOrder?: string, skip?: number, take?: number }} [listOptions]
+   * @returns {Promise<{ data: object[], total: number }>}
    */
-  async findAllPackages(userId) {
+  async findAllPackages(userId, { filters = {}, sortBy = "createdAt", sortOrder = "desc", skip = 0, take = DEFAULT_PAGE_SIZE } = {}) {
+    const createdAt = toDateRange(filters);
+    const where = {
+      userId: userId,
+      ...(filters.status && { status: filters.status }),
+      ...(createdAt && { createdAt }),
+    };
+
     try {
-      return await this.prisma.signingPackage.findMany({
-        where: { userId: userId },
-        orderBy: { createdAt: 'desc' }, // Show newest packages first
-        include: {
-          documents: {
-            orderBy: { order: 'asc' },
-            take: 1, // Optimization: Only fetch the first document for preview/title
-            include: {
-              docVersion: {
-                include: {
-                  document: { select: { title: true } }
+      const [data, total] = await this.prisma.$transaction([
+        this.prisma.signingPackage.findMany({
+          where,
+          skip,
+          take,
+          orderBy: [{ [sortBy]: sortOrder }, { id: 'asc' }],
+          include: {
+            documents: {
+              orderBy: { order: 'asc' },
+              take: 1, // Optimization: Only fetch the first document for preview/title
+              include: {
+                docVersion: {
+                  include: {
+                    document: { select: { title: true } }
+                  }
                 }
               }
+            },
+            _count: {
+              select: { documents: true } // Efficiently count total documents in the package
             }
-          },
-          _count: {
-            select: { documents: true } // Efficiently count total documents in the package
           }
-        }
-      });
+        }),
+        this.prisma.signingPackage.count({ where }),
+      ]);
+
+      return { data, total };
     } catch (error) {
       throw CommonError.DatabaseError(`Failed to fetch package list: ${error.message}`);
     }
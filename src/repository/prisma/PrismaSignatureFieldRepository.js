@@ -0,0 +1,76 @@
+import { SignatureFieldRepository } from "../interface/SignatureFieldRepository.js";
+import CommonError from "../../errors/CommonError.js";
+
+const toRecord = (field) => ({
+  type: field.type,
+  label: field.label || null,
+  value: field.value,
+  pageNumber: field.pageNumber,
+  positionX: parseFloat(field.positionX),
+  positionY: parseFloat(field.positionY),
+  width: parseFloat(field.width),
+  height: parseFloat(field.height),
+  status: field.status || "final",
+  signerId: field.signerId || null,
+  externalSignerId: field.externalSignerId || null,
+  documentVersionId: field.documentVersionId || null,
+  packageDocumentId: field.packageDocumentId || null,
+});
+
+export class PrismaSignatureFieldRepository extends SignatureFieldRepository {
+  constructor(prisma) {
+    super();
+    if (!prisma) throw CommonError.InternalServerError("Prisma Client required.");
+    this.prisma = prisma;
+  }
+
+  async createMany(fields) {
+    if (!fields?.length) return [];
+    try {
+      return await this.prisma.$transaction(fields.map((field) => this.prisma.signatureField.create({ data: toRecord(field) })));
+    } catch (error) {
+      throw CommonError.DatabaseError(`Gagal menyimpan field dokumen: ${error.message}`);
+    }
+  }
+
+  async findAllByVersionId(documentVersionId) {
+    try {
+      return await this.prisma.signatureField.findMany({
+        where: { documentVersionId },
+        orderBy: { createdAt: "asc" },
+      });
+    } catch (error) {
+      throw CommonError.DatabaseError(`Gagal mengambil field dokumen: ${error.message}`);
+    }
+  }
+
+  async replaceForSigner(signerId, documentVersionId, fields) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.signatureField.deleteMany({ where: { signerId, documentVersionId } });
+        const created = [];
+        for (const field of fields) {
+          created.push(await tx.signatureField.create({ data: toRecord({ ...field, signerId, documentVersionId }) }));
+        }
+        return created;
+      });
+    } catch (error) {
+      throw CommonError.DatabaseError(`Gagal menyimpan field dokumen: ${error.message}`);
+    }
+  }
+
+  async replaceForExternalSigner(externalSignerId, documentVersionId, fields) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        await tx.signatureField.deleteMany({ where: { externalSignerId, documentVersionId } });
+        const created = [];
+        for (const field of fields) {
+          created.push(await tx.signatureField.create({ data: toRecord({ ...field, externalSignerId, documentVersionId }) }));
+        }
+        return created;
+      });
+    } catch (error) {
+      throw CommonError.DatabaseError(`Gagal menyimpan field dokumen: ${error.message}`);
+    }
+  }
+}
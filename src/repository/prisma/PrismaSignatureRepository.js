@@ -19,6 +19,12 @@ export class PrismaSignatureRepository extends SignatureRepository {
         height: parseFloat(rest.height || 0),
         signatureImageUrl: rest.signatureImageUrl || "",
         method: rest.method || "canvas",
+        typedText: rest.typedText || null,
+        typedFont: rest.typedFont || null,
+        appearanceTemplate: rest.appearanceTemplate || null,
+        reason: rest.reason || null,
+        location: rest.location || null,
+        timezone: rest.timezone || null,
         status: rest.status || "final",
 
         // Data Audit
@@ -60,10 +66,18 @@ export class PrismaSignatureRepository extends SignatureRepository {
           pageNumber: data.pageNumber,
           signatureImageUrl: data.signatureImageUrl,
           method: data.method,
+          // Ganti method ke selain "typed" ikut mengosongkan teks & font ketikan sebelumnya
+          typedText: data.method !== undefined ? data.typedText || null : data.typedText,
+          typedFont: data.method !== undefined ? data.typedFont || null : data.typedFont,
+          appearanceTemplate: data.appearanceTemplate,
+          reason: data.reason,
+          location: data.location,
+          timezone: data.timezone,
           status: data.status,
           accessCode: data.accessCode,
           retryCount: data.retryCount,
           lockedUntil: data.lockedUntil,
+          signerPublicKey: data.signerPublicKey,
         },
       });
     } catch (error) {
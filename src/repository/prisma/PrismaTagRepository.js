@@ -0,0 +1,145 @@
+import { TagRepository } from "../interface/TagRepository.js";
+import CommonError from "../../errors/CommonError.js";
+import { toScopeWhere } from "../../utils/documentOrganization.js";
+
+/**
+ * @description Implementasi Repository untuk model 'Tag' dan 'DocumentTag' menggunakan Prisma.
+ */
+export class PrismaTagRepository extends TagRepository {
+  constructor(prisma) {
+    super();
+    if (!prisma) {
+      throw CommonError.InternalServerError("Prisma client tidak ditemukan.");
+    }
+    this.prisma = prisma;
+  }
+
+  /**
+   * @description Membuat tag baru.
+   * @param {{ name: string, color?: string|null, userId: string, groupId?: number|null }} data
+   * @returns {Promise<object>}
+   */
+  async create({ name, color = null, userId, groupId = null }) {
+    try {
+      return await this.prisma.tag.create({
+        data: { name, color, userId, groupId },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal membuat tag: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Mencari tag berdasarkan ID.
+   * @param {string} tagId
+   * @returns {Promise<object|null>}
+   */
+  async findById(tagId) {
+    try {
+      return await this.prisma.tag.findUnique({
+        where: { id: tagId },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mencari tag: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Mencari beberapa tag sekaligus berdasarkan ID.
+   * @param {string[]} tagIds
+   * @returns {Promise<object[]>}
+   */
+  async findManyByIds(tagIds) {
+    try {
+      return await this.prisma.tag.findMany({
+        where: { id: { in: tagIds } },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mencari tag: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Mengambil semua tag pada cakupan personal/grup beserta jumlah dokumennya.
+   * @param {{ userId: string, groupId: number|null }} scope
+   * @returns {Promise<object[]>}
+   */
+  async findAllByScope(scope) {
+    try {
+      return await this.prisma.tag.findMany({
+        where: toScopeWhere(scope),
+        include: { _count: { select: { documents: true } } },
+        orderBy: [{ name: "asc" }, { id: "asc" }],
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengambil daftar tag: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Mengganti nama dan/atau warna tag.
+   * @param {string} tagId
+   * @param {{ name?: string, color?: string|null }} data
+   * @returns {Promise<object>}
+   */
+  async update(tagId, data) {
+    try {
+      return await this.prisma.tag.update({
+        where: { id: tagId },
+        data,
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal memperbarui tag: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Menghapus tag (relasi ke dokumen ikut terhapus lewat cascade).
+   * @param {string} tagId
+   * @returns {Promise<void>}
+   */
+  async deleteById(tagId) {
+    try {
+      await this.prisma.tag.delete({
+        where: { id: tagId },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal menghapus tag: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Memasang setiap tag ke setiap dokumen; pasangan yang sudah ada dilewati.
+   * @param {string[]} documentIds
+   * @param {string[]} tagIds
+   * @returns {Promise<number>} Jumlah relasi baru.
+   */
+  async addToDocuments(documentIds, tagIds) {
+    try {
+      const result = await this.prisma.documentTag.createMany({
+        data: documentIds.flatMap((documentId) => tagIds.map((tagId) => ({ documentId, tagId }))),
+        skipDuplicates: true,
+      });
+      return result.count;
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal memasang tag: ${err.message}`);
+    }
+  }
+
+  /**
+   * @description Melepas tag dari dokumen.
+   * @param {string[]} documentIds
+   * @param {string[]} tagIds
+   * @returns {Promise<number>} Jumlah relasi yang dihapus.
+   */
+  async removeFromDocuments(documentIds, tagIds) {
+    try {
+      const result = await this.prisma.documentTag.deleteMany({
+        where: { documentId: { in: documentIds }, tagId: { in: tagIds } },
+      });
+      return result.count;
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal melepas tag: ${err.message}`);
+    }
+  }
+}
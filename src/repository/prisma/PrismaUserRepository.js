@@ -209,6 +209,7 @@ class PrismaUserRepository extends UserRepository {
         where: {
           userId: userId,
           groupId: null, // Dokumen personal saja
+          deletedAt: null,
         },
       }),
     ]);
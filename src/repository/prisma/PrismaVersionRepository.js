@@ -20,6 +20,7 @@ export class PrismaVersionRepository extends VersionRepository {
           url: data.url,
           hash: data.hash,
           signedFileHash: data.signedFileHash || null,
+          description: data.description || null,
         },
       });
     } catch (err) {
@@ -28,18 +29,34 @@ export class PrismaVersionRepository extends VersionRepository {
         const existingVersion = await this.prisma.documentVersion.findFirst({
           where: { documentId: data.documentId, hash: data.hash },
         });
+        // File yang sama pernah diunggah lalu dibuang ke tempat sampah: pulihkan versi tersebut.
+        if (existingVersion?.deletedAt) return this.restoreById(existingVersion.id);
         if (existingVersion) return existingVersion;
       }
       throw CommonError.DatabaseError(`Gagal membuat versi baru: ${err.message}`);
     }
   }
 
+  async updateSearchContent(versionId, text) {
+    try {
+      await this.prisma.$executeRaw`
+        UPDATE "document_versions"
+        SET "text_content" = ${text},
+            "search_vector" = to_tsvector('indonesian', ${text}) || to_tsvector('english', ${text})
+        WHERE "id" = ${versionId}::uuid
+      `;
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal menyimpan indeks pencarian versi: ${err.message}`);
+    }
+  }
+
   async findByUserAndHash(userId, hash) {
     try {
       return await this.prisma.documentVersion.findFirst({
         where: {
           hash: hash,
-          document: { userId: userId },
+          deletedAt: null,
+          document: { userId: userId, deletedAt: null },
         },
         include: { document: true },
       });
@@ -50,8 +67,8 @@ export class PrismaVersionRepository extends VersionRepository {
 
   async findById(versionId) {
     try {
-      const version = await this.prisma.documentVersion.findUnique({
-        where: { id: versionId },
+      const version = await this.prisma.documentVersion.findFirst({
+        where: { id: versionId, deletedAt: null },
         include: {
           document: true,
           signaturesPersonal: {
@@ -84,7 +101,7 @@ export class PrismaVersionRepository extends VersionRepository {
   async findAllByDocumentId(documentId) {
     try {
       return await this.prisma.documentVersion.findMany({
-        where: { documentId },
+        where: { documentId, deletedAt: null },
         orderBy: { createdAt: "desc" },
         include: {
           document: true,
@@ -118,13 +135,83 @@ export class PrismaVersionRepository extends VersionRepository {
   async countByDocumentId(documentId) {
     try {
       return await this.prisma.documentVersion.count({
-        where: { documentId: documentId },
+        where: { documentId: documentId, deletedAt: null },
       });
     } catch (err) {
       throw CommonError.DatabaseError(`Gagal menghitung versi dokumen: ${err.message}`);
     }
   }
 
+  async softDeleteById(versionId, deletedBy) {
+    try {
+      const version = await this.prisma.documentVersion.findFirst({
+        where: { id: versionId, deletedAt: null },
+        select: { id: true, documentId: true },
+      });
+
+      if (!version) {
+        throw CommonError.NotFound("Versi dokumen tidak ditemukan.");
+      }
+
+      const activeVersions = await this.prisma.documentVersion.count({
+        where: { documentId: version.documentId, deletedAt: null },
+      });
+
+      if (activeVersions <= 1) {
+        throw CommonError.BadRequest("Anda tidak dapat menghapus versi asli (satu-satunya). Silakan hapus dokumen secara keseluruhan jika ingin menghapusnya.");
+      }
+
+      return await this.prisma.documentVersion.update({
+        where: { id: versionId },
+        data: { deletedAt: new Date(), deletedBy },
+      });
+    } catch (err) {
+      if (err instanceof CommonError) throw err;
+      throw CommonError.DatabaseError(`Gagal memindahkan versi dokumen ke tempat sampah: ${err.message}`);
+    }
+  }
+
+  async restoreById(versionId) {
+    try {
+      return await this.prisma.documentVersion.update({
+        where: { id: versionId },
+        data: { deletedAt: null, deletedBy: null },
+      });
+    } catch (err) {
+      if (err.code === "P2025") throw CommonError.NotFound("Versi dokumen tidak ditemukan.");
+      throw CommonError.DatabaseError(`Gagal memulihkan versi dokumen: ${err.message}`);
+    }
+  }
+
+  async findTrashedByDocumentId(documentId) {
+    try {
+      return await this.prisma.documentVersion.findMany({
+        where: { documentId, deletedAt: { not: null } },
+        orderBy: { deletedAt: "desc" },
+        select: { id: true, documentId: true, description: true, createdAt: true, deletedAt: true, deletedBy: true },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengambil versi dokumen di tempat sampah: ${err.message}`);
+    }
+  }
+
+  async findExpiredTrash(cutoff, limit = 100, excludeIds = []) {
+    try {
+      return await this.prisma.documentVersion.findMany({
+        where: {
+          deletedAt: { lt: cutoff },
+          document: { deletedAt: null },
+          ...(excludeIds.length > 0 && { id: { notIn: excludeIds } }),
+        },
+        orderBy: { deletedAt: "asc" },
+        take: limit,
+        select: { id: true, url: true, documentId: true, deletedAt: true, deletedBy: true, userId: true },
+      });
+    } catch (err) {
+      throw CommonError.DatabaseError(`Gagal mengambil versi dokumen kedaluwarsa di tempat sampah: ${err.message}`);
+    }
+  }
+
   async deleteById(versionId) {
     try {
       const versionToDelete = await this.prisma.documentVersion.findUnique({
@@ -95,6 +95,21 @@ class SupabaseFileStorage {
     return this._uploadWithRetry(filePath, file.buffer, contentType);
   }
 
+  /**
+   * @description Upload lampiran dokumen (misal file Word asli sebelum dikonversi ke PDF) + Retry.
+   * Berbeda dengan uploadDocument, mimetype asli dipertahankan.
+   */
+  async uploadAttachment(file, userId) {
+    if (!file || !userId) {
+      throw new Error("File dan User ID wajib disediakan.");
+    }
+
+    const ext = path.extname(file.originalname);
+    const filePath = `attachments/${userId}/${crypto.randomBytes(16).toString("hex")}${ext}`;
+
+    return this._uploadWithRetry(filePath, file.buffer, file.mimetype);
+  }
+
   /**
    * @description Upload foto profil user ke Supabase Storage + Retry.
    */
@@ -149,6 +164,33 @@ class SupabaseFileStorage {
       throw CommonError.SupabaseError(`Supabase gagal menghapus file: ${error.message}`);
     }
   }
+
+  /**
+   * @description Menghapus semua file langsung di dalam folder (misal cache preview `previews/{versionId}`).
+   */
+  async deleteFolder(folderPath) {
+    if (!folderPath || typeof folderPath !== "string") {
+      console.warn("deleteFolder dipanggil dengan folderPath yang tidak valid.");
+      return;
+    }
+
+    const folder = folderPath.replace(/\/+$/, "");
+    const LIST_LIMIT = 100;
+
+    for (;;) {
+      const { data, error } = await supabaseAdmin.storage.from(supabaseBucket).list(folder, { limit: LIST_LIMIT });
+      if (error) {
+        throw CommonError.SupabaseError(`Supabase gagal membaca isi folder: ${error.message}`);
+      }
+      if (!data?.length) return;
+
+      const { error: removeError } = await supabaseAdmin.storage.from(supabaseBucket).remove(data.map((file) => `${folder}/${file.name}`));
+      if (removeError) {
+        throw CommonError.SupabaseError(`Supabase gagal menghapus folder: ${removeError.message}`);
+      }
+      if (data.length < LIST_LIMIT) return;
+    }
+  }
 }
 
 export default SupabaseFileStorage;
\ No newline at end of file
@@ -40,6 +40,9 @@ export default (adminController) => {
     adminController.forceDeleteDocument
   );
 
+  // Memulihkan dokumen dari tempat sampah (termasuk hasil force delete) selama masa retensi
+  router.post("/documents/:documentId/restore", adminController.restoreDocument);
+
   // --- [BARU] Manual Cron Job Trigger ---
   // Endpoint untuk testing cron job tanpa menunggu jadwal
   router.post("/cron/premium-expiry", adminController.triggerPremiumExpiryCheck);
@@ -46,6 +46,20 @@ export default (documentController) => {
    */
   router.delete("/:id", authMiddleware, documentController.deleteDocument);
 
+  /**
+   * @route   POST /api/documents/:documentId/archive
+   * @desc    Memindahkan dokumen ke arsip (pemilik dokumen personal / Admin Grup untuk dokumen grup).
+   * @access  Private
+   */
+  router.post("/:documentId/archive", authMiddleware, documentController.archiveDocument);
+
+  /**
+   * @route   POST /api/documents/:documentId/unarchive
+   * @desc    Mengeluarkan dokumen dari arsip dan mengembalikan status sebelumnya.
+   * @access  Private
+   */
+  router.post("/:documentId/unarchive", authMiddleware, documentController.unarchiveDocument);
+
   // --- Document Version Routes ---
 
   /**
@@ -55,6 +69,13 @@ export default (documentController) => {
    */
   router.get("/:documentId/versions", authMiddleware, documentController.getDocumentHistory);
 
+  /**
+   * @route   GET /api/documents/:documentId/versions/compare
+   * @desc    Membandingkan dua versi dokumen (diff teks per halaman, opsional overlay pixel-diff).
+   * @access  Private
+   */
+  router.get("/:documentId/versions/compare", authMiddleware, documentController.compareVersions);
+
   /**
    * @route   POST /api/documents/:documentId/versions/:versionId/use
    * @desc    Menjadikan versi lama sebagai versi aktif (current version).
@@ -76,6 +97,13 @@ export default (documentController) => {
    */
   router.delete("/:documentId/versions/:versionId", authMiddleware, documentController.deleteVersion);
 
+  /**
+   * @route   POST /api/documents/:documentId/versions
+   * @desc    Mengunggah file revisi sebagai versi baru dari dokumen yang sama.
+   * @access  Private
+   */
+  router.post("/:documentId/versions", authMiddleware, uploadDocument.single("documentFile"), documentController.uploadNewVersion);
+
   /**
    * @route   GET /api/documents/:documentId/versions/:versionId/file
    * @desc    Menghasilkan signed URL untuk file dari versi SPESIFIK.
@@ -83,6 +111,27 @@ export default (documentController) => {
    */
   router.get("/:documentId/versions/:versionId/file", authMiddleware, documentController.getVersionFile);
 
+  /**
+   * @route   GET /api/documents/:documentId/versions/:versionId/pages/:page/preview
+   * @desc    Mengambil gambar preview (PNG/WebP) satu halaman dari versi dokumen.
+   * @access  Private
+   */
+  router.get("/:documentId/versions/:versionId/pages/:page/preview", authMiddleware, documentController.getPagePreview);
+
+  /**
+   * @route   POST /api/documents/:documentId/pages
+   * @desc    Menerapkan operasi halaman (hapus, putar, urutkan, gabung) dan menyimpan hasilnya sebagai versi baru.
+   * @access  Private
+   */
+  router.post("/:documentId/pages", authMiddleware, documentController.applyPageOperations);
+
+  /**
+   * @route   POST /api/documents/:documentId/split
+   * @desc    Memecah dokumen menjadi beberapa dokumen baru berdasarkan rentang halaman.
+   * @access  Private
+   */
+  router.post("/:documentId/split", authMiddleware, documentController.splitDocument);
+
   /**
    * @route   POST /api/documents/:documentId/analyze
    * @desc    Menganalisis isi dokumen (Ringkasan, Risiko, Pihak).
@@ -0,0 +1,64 @@
+import express from "express";
+import { body, header } from "express-validator";
+import { validate } from "../middleware/validate.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
+
+/** Batas request tanda tangan per IP (endpoint publik tanpa login). */
+const SIGN_RATE_LIMIT = { windowMs: 15 * 60 * 1000, max: 20, message: "Terlalu banyak percobaan tanda tangan. Silakan coba lagi dalam 15 menit." };
+
+/**
+ * @description Membuat routes publik untuk penanda tangan eksternal (tanpa akun).
+ * Tidak memakai authMiddleware: akses dibatasi oleh link sekali pakai dan token sesi (header `X-Signing-Session`)
+ * yang hanya berlaku untuk satu dokumen.
+ * @param {object} externalSigningController - Instance dari controller penanda tangan eksternal.
+ * @returns {express.Router} Router Express yang siap digunakan.
+ */
+export default (externalSigningController) => {
+    const router = express.Router();
+
+    const sessionHeader = header("x-signing-session").notEmpty().withMessage("Sesi tanda tangan tidak ditemukan.");
+
+    // Tukar link tanda tangan menjadi sesi & kirim OTP
+    router.post(
+        "/session",
+        body("token").isString().notEmpty().withMessage("Token link tanda tangan wajib diisi."),
+        validate,
+        externalSigningController.openSession
+    );
+
+    // Kirim ulang OTP
+    router.post("/session/otp", sessionHeader, validate, externalSigningController.requestOtp);
+
+    // Verifikasi OTP
+    router.post(
+        "/session/verify-otp",
+        [
+            sessionHeader,
+            body("code").isString().matches(/^\d{6}$/).withMessage("Kode OTP harus 6 digit angka."),
+        ],
+        validate,
+        externalSigningController.verifyOtp
+    );
+
+    // Dokumen yang akan ditandatangani (OTP wajib terverifikasi)
+    router.get("/session/document", sessionHeader, validate, externalSigningController.getSigningDocument);
+
+    // Tanda tangan dokumen (OTP wajib terverifikasi). Posisi & ukuran ternormalisasi 0-1 terhadap halaman.
+    router.post(
+        "/session/sign",
+        rateLimit(SIGN_RATE_LIMIT),
+        [
+            sessionHeader,
+            body("positionX").isFloat({ min: 0, max: 1 }).withMessage("positionX harus berupa angka 0-1.").toFloat(),
+            body("positionY").isFloat({ min: 0, max: 1 }).withMessage("positionY harus berupa angka 0-1.").toFloat(),
+            body("width").optional().isFloat({ min: 0, max: 1 }).withMessage("width harus berupa angka 0-1.").toFloat(),
+            body("height").optional().isFloat({ min: 0, max: 1 }).withMessage("height harus berupa angka 0-1.").toFloat(),
+            body("pageNumber").isInt({ min: 1 }).withMessage("pageNumber harus bilangan bulat minimal 1.").toInt(),
+            body("fields").optional().isArray().withMessage("fields harus berupa array."),
+        ],
+        validate,
+        externalSigningController.signDocument
+    );
+
+    return router;
+};
@@ -0,0 +1,69 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import authMiddleware from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { MAX_BULK_DOCUMENTS } from "../utils/documentOrganization.js";
+
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+/**
+ * @description Membuat routes Express untuk folder dokumen.
+ * @param {object} folderController - Instance dari controller folder.
+ * @returns {express.Router} Router Express yang siap digunakan.
+ */
+export default (folderController) => {
+    const router = express.Router();
+
+    router.use(authMiddleware);
+
+    router.route("/")
+        .get(
+            // Pohon folder personal / grup
+            query("groupId").optional().isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            validate,
+            folderController.getFolders
+        )
+        .post(
+            // Membuat folder / sub-folder
+            [
+                body("name").trim().notEmpty().withMessage("Nama folder tidak boleh kosong.")
+                    .isLength({ max: MAX_FOLDER_NAME_LENGTH }).withMessage(`Nama folder maksimal ${MAX_FOLDER_NAME_LENGTH} karakter.`),
+                body("parentId").optional({ values: "null" }).isUUID().withMessage("ID folder parent tidak valid."),
+                body("groupId").optional({ values: "null" }).isInt({ min: 1 }).withMessage("ID Grup harus berupa angka.").toInt(),
+            ],
+            validate,
+            folderController.createFolder
+        );
+
+    router.post(
+        "/move-documents",
+        [
+            body("documentIds").isArray({ min: 1, max: MAX_BULK_DOCUMENTS }).withMessage(`documentIds harus berupa array berisi 1-${MAX_BULK_DOCUMENTS} ID dokumen.`),
+            body("documentIds.*").isUUID().withMessage("ID Dokumen tidak valid."),
+            body("folderId").optional({ values: "null" }).isUUID().withMessage("ID folder tidak valid."),
+            body("groupId").optional({ values: "null" }).isInt({ min: 1 }).withMessage("ID Grup harus berupa angka.").toInt(),
+        ],
+        validate,
+        folderController.moveDocuments
+    );
+
+    router.route("/:folderId")
+        .patch(
+            // Ganti nama / pindah folder
+            [
+                param("folderId").isUUID().withMessage("ID folder tidak valid."),
+                body("name").optional().trim().notEmpty().withMessage("Nama folder tidak boleh kosong.")
+                    .isLength({ max: MAX_FOLDER_NAME_LENGTH }).withMessage(`Nama folder maksimal ${MAX_FOLDER_NAME_LENGTH} karakter.`),
+                body("parentId").optional({ values: "null" }).isUUID().withMessage("ID folder parent tidak valid."),
+            ],
+            validate,
+            folderController.updateFolder
+        )
+        .delete(
+            param("folderId").isUUID().withMessage("ID folder tidak valid."),
+            validate,
+            folderController.deleteFolder
+        );
+
+    return router;
+};
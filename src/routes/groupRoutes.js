@@ -7,9 +7,10 @@ import { uploadDocument } from "../middleware/uploadMiddleware.js";
 /**
  * @description Membuat routes Express untuk fitur Grup.
  * @param {object} groupController - Instance dari controller grup.
+ * @param {object} externalSigningController - Instance dari controller penanda tangan eksternal.
  * @returns {express.Router} Router Express yang siap digunakan.
  */
-export default (groupController) => {
+export default (groupController, externalSigningController) => {
     const router = express.Router();
 
     // 🔒 Middleware Auth berlaku untuk semua route di bawah ini
@@ -54,6 +55,17 @@ export default (groupController) => {
             groupController.deleteGroup
         );
 
+    // Pengaturan Finalisasi Otomatis Grup
+    router.put(
+        "/:groupId/auto-finalize",
+        [
+            param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            body("autoFinalize").isBoolean({ strict: true }).withMessage("autoFinalize harus berupa boolean."),
+        ],
+        validate,
+        groupController.updateGroupAutoFinalize
+    );
+
     // ==========================================
     // 2. MEMBER MANAGEMENT
     // ==========================================
@@ -108,6 +120,19 @@ export default (groupController) => {
         groupController.uploadGroupDocument
     );
 
+    // A2. Upload Revisi (Versi Baru) Dokumen Grup
+    router.post(
+        "/:groupId/documents/:documentId/versions",
+        [
+            param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+            uploadDocument.single("file"),
+            body("description").trim().notEmpty().withMessage("Keterangan perubahan wajib diisi."),
+        ],
+        validate,
+        groupController.uploadDocumentVersion
+    );
+
     // B. Assign (Pindahkan) Dokumen Draft ke Grup
     router.put(
         "/:groupId/documents",
@@ -147,12 +172,93 @@ export default (groupController) => {
         [
             param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
             param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
-            body("signerUserIds").isArray().withMessage("Data signer harus berupa array ID User."),
+            body("signerUserIds").optional().isArray().withMessage("Data signer harus berupa array ID User."),
+            body("sequential").optional().isBoolean({ strict: true }).withMessage("sequential harus berupa boolean."),
+            body("signers").optional().isArray({ min: 1 }).withMessage("signers harus berupa array { userId, order }."),
+            body("signers.*.userId").isString().notEmpty().withMessage("userId signer wajib diisi."),
+            body("signers.*.order").isInt({ min: 1 }).withMessage("order signer harus bilangan bulat minimal 1."),
+            body().custom((value) => Array.isArray(value?.signerUserIds) || Array.isArray(value?.signers)).withMessage("Data signer harus berupa array ID User."),
         ],
         validate,
         groupController.updateDocumentSigners
     );
 
+    // E2. Batalkan Putaran Tanda Tangan (misalnya setelah signer menolak)
+    router.post(
+        "/:groupId/documents/:documentId/cancel-signing",
+        [
+            param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+        ],
+        validate,
+        groupController.cancelSigningRound
+    );
+
+    // E3. Atur Batas Waktu Tanda Tangan (dokumen & per penanda tangan)
+    router.put(
+        "/:groupId/documents/:documentId/deadline",
+        [
+            param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+            body("deadline").optional({ values: "null" }).isISO8601().withMessage("Batas waktu harus berformat tanggal ISO 8601."),
+            body("signerDeadlines").optional().isArray().withMessage("signerDeadlines harus berupa array."),
+            body("signerDeadlines.*.userId").isUUID().withMessage("ID penanda tangan tidak valid."),
+            body("signerDeadlines.*.deadline").optional({ values: "null" }).isISO8601().withMessage("Batas waktu penanda tangan harus berformat tanggal ISO 8601."),
+        ],
+        validate,
+        groupController.updateSigningDeadline
+    );
+
+    // E4. Atur Finalisasi Otomatis Dokumen (null = ikuti pengaturan grup)
+    router.put(
+        "/:groupId/documents/:documentId/auto-finalize",
+        [
+            param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+            body("autoFinalize").optional({ values: "null" }).isBoolean({ strict: true }).withMessage("autoFinalize harus berupa boolean atau null."),
+        ],
+        validate,
+        groupController.updateDocumentAutoFinalize
+    );
+
+    // E5. Penanda Tangan Eksternal (tanpa akun, lewat link sekali pakai + OTP)
+    router.post(
+        "/:groupId/documents/:documentId/external-signers",
+        [
+            param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+            body("name").trim().notEmpty().withMessage("Nama penanda tangan wajib diisi.").isLength({ max: 100 }).withMessage("Nama maksimal 100 karakter."),
+            body("email").optional({ values: "falsy" }).trim().isEmail().withMessage("Format email tidak valid."),
+            body("phoneNumber").optional({ values: "falsy" }).trim().matches(/^\+?[0-9\s-]{8,20}$/).withMessage("Format nomor HP tidak valid."),
+            body().custom((value) => Boolean(value?.email || value?.phoneNumber)).withMessage("Email atau nomor HP wajib diisi."),
+            body("deadline").optional({ values: "null" }).isISO8601().withMessage("Batas waktu harus berformat tanggal ISO 8601."),
+        ],
+        validate,
+        externalSigningController.inviteExternalSigner
+    );
+
+    router.post(
+        "/:groupId/documents/:documentId/external-signers/:signerId/resend",
+        [
+            param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+            param("signerId").isUUID().withMessage("ID penanda tangan tidak valid."),
+        ],
+        validate,
+        externalSigningController.resendSigningLink
+    );
+
+    router.delete(
+        "/:groupId/documents/:documentId/external-signers/:signerId",
+        [
+            param("groupId").isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+            param("signerId").isUUID().withMessage("ID penanda tangan tidak valid."),
+        ],
+        validate,
+        externalSigningController.removeExternalSigner
+    );
+
     // F. Finalisasi Dokumen (Burn Signature)
     router.post(
         "/:groupId/documents/:documentId/finalize",
@@ -1 +1 @@
-import express from "express";import authMiddleware from "../middleware/authMiddleware.js";export const createGroupSignatureRoutes = (groupSignatureController) => {    const router = express.Router();    // =================================================================    //  👇 REALTIME DRAFT & DRAG-AND-DROP (GROUP) 👇    // =================================================================    /**     * @route   POST /api/group-signatures/draft/:documentId     * @desc    Simpan Draft Tanda Tangan Group (Saat Drop Awal).     * @access  Private     */    router.post(        "/draft/:documentId",        authMiddleware,        groupSignatureController.saveDraft    );    /**     * @route   PATCH /api/group-signatures/:signatureId/position     * @desc    Update posisi & ukuran tanda tangan (Saat Drag/Resize).     * @access  Private     */    router.patch(        "/:signatureId/position",        authMiddleware,        groupSignatureController.updateDraftPosition    );    /**     * @route   DELETE /api/group-signatures/:signatureId     * @desc    Hapus draft tanda tangan group.     * @access  Private     */    router.delete(        "/:signatureId",        authMiddleware,        groupSignatureController.deleteDraft    );    // =================================================================    //  👇 GROUP SIGNING ACTIONS 👇    // =================================================================    /**     * @route   POST /api/group-signatures/:documentId/sign     * @desc    [USER] Melakukan tanda tangan (Mengubah status Draft -> Final).     * @access  Private     */    router.post(        "/:documentId/sign",        authMiddleware,        groupSignatureController.signDocument    );    /**     * @route   POST /api/group-signatures     * @desc    [ADMIN] Finalisasi tanda tangan grup (Burn to PDF).     * Ini menggantikan route lama '/api/signatures/group'.     * @access  Private     */    router.post(        "/", // Menjadi base URL dari group-signatures        authMiddleware,        groupSignatureController.finalizeGroupDocument    );    return router;};
\ No newline at end of file
+import express from "express";import authMiddleware from "../middleware/authMiddleware.js";export const createGroupSignatureRoutes = (groupSignatureController) => {    const router = express.Router();    // =================================================================    //  👇 REALTIME DRAFT & DRAG-AND-DROP (GROUP) 👇    // =================================================================    /**     * @route   POST /api/group-signatures/draft/:documentId     * @desc    Simpan Draft Tanda Tangan Group (Saat Drop Awal).     * @access  Private     */    router.post(        "/draft/:documentId",        authMiddleware,        groupSignatureController.saveDraft    );    /**     * @route   PATCH /api/group-signatures/:signatureId/position     * @desc    Update posisi & ukuran tanda tangan (Saat Drag/Resize).     * @access  Private     */    router.patch(        "/:signatureId/position",        authMiddleware,        groupSignatureController.updateDraftPosition    );    /**     * @route   DELETE /api/group-signatures/:signatureId     * @desc    Hapus draft tanda tangan group.     * @access  Private     */    router.delete(        "/:signatureId",        authMiddleware,        groupSignatureController.deleteDraft    );    // =================================================================    //  👇 GROUP SIGNING ACTIONS 👇    // =================================================================    /**     * @route   POST /api/group-signatures/:documentId/sign     * @desc    [USER] Melakukan tanda tangan (Mengubah status Draft -> Final).     * @access  Private     */    router.post(        "/:documentId/sign",        authMiddleware,        groupSignatureController.signDocument    );    /**     * @route   POST /api/group-signatures/:documentId/decline     * @desc    [USER] Menolak menandatangani dokumen grup dengan alasan (status signer -> REJECTED).     * @access  Private     */    router.post(        "/:documentId/decline",        authMiddleware,        groupSignatureController.declineDocument    );    /**     * @route   POST /api/group-signatures/:documentId/delegate     * @desc    [USER/ADMIN] Mendelegasikan slot tanda tangan PENDING ke anggota grup lain dengan alasan.     * @access  Private     */    router.post(        "/:documentId/delegate",        authMiddleware,        groupSignatureController.delegateSignature    );    /**     * @route   POST /api/group-signatures     * @desc    [ADMIN] Finalisasi tanda tangan grup (Burn to PDF).     * Ini menggantikan route lama '/api/signatures/group'.     * @access  Private     */    router.post(        "/", // Menjadi base URL dari group-signatures        authMiddleware,        groupSignatureController.finalizeGroupDocument    );    return router;};
\ No newline at end of file
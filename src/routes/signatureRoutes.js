@@ -16,6 +16,28 @@ export default (signatureController) => {
         signatureController.addPersonalSignature
     );
 
+    /**
+     * @route   GET /api/signatures/typed-fonts
+     * @desc    Daftar gaya font tanda tangan ketik (+ preview jika query `text` dikirim).
+     * @access  Private
+     */
+    router.get(
+        "/typed-fonts",
+        authMiddleware,
+        signatureController.getTypedSignatureFonts
+    );
+
+    /**
+     * @route   GET /api/signatures/appearance-templates
+     * @desc    Daftar template tampilan tanda tangan (gambar saja / nama & waktu / lengkap).
+     * @access  Private
+     */
+    router.get(
+        "/appearance-templates",
+        authMiddleware,
+        signatureController.getAppearanceTemplates
+    );
+
     // =================================================================
     //  👇 PUBLIC VERIFICATION ROUTES 👇
     // =================================================================
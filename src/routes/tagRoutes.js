@@ -0,0 +1,67 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import authMiddleware from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+import { MAX_BULK_DOCUMENTS } from "../utils/documentOrganization.js";
+
+const MAX_TAG_NAME_LENGTH = 50;
+const MAX_TAGS_PER_REQUEST = 20;
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const bulkValidators = [
+    body("documentIds").isArray({ min: 1, max: MAX_BULK_DOCUMENTS }).withMessage(`documentIds harus berupa array berisi 1-${MAX_BULK_DOCUMENTS} ID dokumen.`),
+    body("documentIds.*").isUUID().withMessage("ID Dokumen tidak valid."),
+    body("tagIds").isArray({ min: 1, max: MAX_TAGS_PER_REQUEST }).withMessage(`tagIds harus berupa array berisi 1-${MAX_TAGS_PER_REQUEST} ID tag.`),
+    body("tagIds.*").isUUID().withMessage("ID tag tidak valid."),
+];
+
+/**
+ * @description Membuat routes Express untuk tag dokumen.
+ * @param {object} tagController - Instance dari controller tag.
+ * @returns {express.Router} Router Express yang siap digunakan.
+ */
+export default (tagController) => {
+    const router = express.Router();
+
+    router.use(authMiddleware);
+
+    router.route("/")
+        .get(
+            query("groupId").optional().isInt({ min: 1 }).withMessage("ID Grup harus berupa angka."),
+            validate,
+            tagController.getTags
+        )
+        .post(
+            [
+                body("name").trim().notEmpty().withMessage("Nama tag tidak boleh kosong.")
+                    .isLength({ max: MAX_TAG_NAME_LENGTH }).withMessage(`Nama tag maksimal ${MAX_TAG_NAME_LENGTH} karakter.`),
+                body("color").optional({ values: "null" }).matches(HEX_COLOR).withMessage("Warna tag harus berformat #RRGGBB."),
+                body("groupId").optional({ values: "null" }).isInt({ min: 1 }).withMessage("ID Grup harus berupa angka.").toInt(),
+            ],
+            validate,
+            tagController.createTag
+        );
+
+    // Pasang / lepas tag secara bulk
+    router.post("/assign", bulkValidators, validate, tagController.assignTags);
+    router.post("/unassign", bulkValidators, validate, tagController.unassignTags);
+
+    router.route("/:tagId")
+        .patch(
+            [
+                param("tagId").isUUID().withMessage("ID tag tidak valid."),
+                body("name").optional().trim().notEmpty().withMessage("Nama tag tidak boleh kosong.")
+                    .isLength({ max: MAX_TAG_NAME_LENGTH }).withMessage(`Nama tag maksimal ${MAX_TAG_NAME_LENGTH} karakter.`),
+                body("color").optional({ values: "null" }).matches(HEX_COLOR).withMessage("Warna tag harus berformat #RRGGBB."),
+            ],
+            validate,
+            tagController.updateTag
+        )
+        .delete(
+            param("tagId").isUUID().withMessage("ID tag tidak valid."),
+            validate,
+            tagController.deleteTag
+        );
+
+    return router;
+};
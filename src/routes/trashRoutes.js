@@ -0,0 +1,59 @@
+import express from "express";
+import { param, query } from "express-validator";
+import authMiddleware from "../middleware/authMiddleware.js";
+import { validate } from "../middleware/validate.js";
+
+/**
+ * @description Membuat routes Express untuk tempat sampah dokumen.
+ * @param {object} trashController - Instance dari controller tempat sampah.
+ * @returns {express.Router} Router Express yang siap digunakan.
+ */
+export default (trashController) => {
+    const router = express.Router();
+
+    router.use(authMiddleware);
+
+    router.get(
+        "/",
+        [
+            query("page").optional().isInt({ min: 1 }).withMessage("Parameter page harus berupa angka."),
+            query("limit").optional().isInt({ min: 1 }).withMessage("Parameter limit harus berupa angka."),
+        ],
+        validate,
+        trashController.getTrash
+    );
+
+    router.get(
+        "/documents/:documentId/versions",
+        param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+        validate,
+        trashController.getTrashedVersions
+    );
+
+    router.post(
+        "/documents/:documentId/restore",
+        param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+        validate,
+        trashController.restoreDocument
+    );
+
+    router.post(
+        "/documents/:documentId/versions/:versionId/restore",
+        [
+            param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+            param("versionId").isUUID().withMessage("ID Versi tidak valid."),
+        ],
+        validate,
+        trashController.restoreVersion
+    );
+
+    router.delete(
+        "/documents/:documentId",
+        // Hapus permanen (tanpa menunggu masa retensi)
+        param("documentId").isUUID().withMessage("ID Dokumen tidak valid."),
+        validate,
+        trashController.purgeDocument
+    );
+
+    return router;
+};
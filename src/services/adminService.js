@@ -1,11 +1,20 @@
+import { DEFAULT_PAGE_SIZE, buildPageMeta } from "../utils/pagination.js";
+
 export class AdminService {
   constructor(adminRepository, auditService) {
     this.adminRepository = adminRepository;
     this.auditService = auditService;
   }
 
-  async getAllUsers() {
-    return this.adminRepository.findAllUsers();
+  /**
+   * Mengambil daftar user per halaman.
+   * @param {{ page?: number, limit?: number, skip?: number, sortBy?: string, sortOrder?: string, filters?: object }} [listOptions] - Hasil `parseListQuery`.
+   * @returns {Promise<{ data: object[], meta: object }>}
+   */
+  async getAllUsers(listOptions = {}) {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE, sortBy, sortOrder, filters } = listOptions;
+    const { data, total } = await this.adminRepository.findAllUsers({ filters, sortBy, sortOrder, skip: (page - 1) * limit, take: limit });
+    return { data, meta: buildPageMeta(total, { page, limit }) };
   }
 
   async createNewUser(userData, adminId, req) {
@@ -82,8 +91,15 @@ export class AdminService {
     };
   }
 
-  async getAllDocuments() {
-    return this.adminRepository.findAllDocuments();
+  /**
+   * Mengambil daftar dokumen untuk moderasi per halaman.
+   * @param {{ page?: number, limit?: number, sortBy?: string, sortOrder?: string, filters?: object }} [listOptions] - Hasil `parseListQuery`.
+   * @returns {Promise<{ data: object[], meta: object }>}
+   */
+  async getAllDocuments(listOptions = {}) {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE, sortBy, sortOrder, filters } = listOptions;
+    const { data, total } = await this.adminRepository.findAllDocuments({ filters, sortBy, sortOrder, skip: (page - 1) * limit, take: limit });
+    return { data, meta: buildPageMeta(total, { page, limit }) };
   }
 
   async getAllAuditLogs(page, limit) {
@@ -91,13 +107,22 @@ export class AdminService {
   }
 
   async forceDeleteDocument(adminId, documentId, reason, req) {
-    const result = await this.adminRepository.forceDeleteDocument(documentId);
+    const result = await this.adminRepository.forceDeleteDocument(documentId, adminId);
 
     if (this.auditService) {
       await this.auditService.log("FORCE_DELETE_DOCUMENT", adminId, documentId, `Admin menghapus paksa dokumen. Alasan: ${reason || "_"}`, req);
     }
     return result;
   }
+
+  async restoreDocument(adminId, documentId, req) {
+    const result = await this.adminRepository.restoreDocument(documentId);
+
+    if (this.auditService) {
+      await this.auditService.log("RESTORE_DOCUMENT", adminId, documentId, "Admin memulihkan dokumen dari tempat sampah.", req);
+    }
+    return result;
+  }
   async getAllReports() {
     return this.adminRepository.findAllReports();
   }
@@ -6,7 +6,7 @@ export class AuditService {
   /**
    * Helper function praktis untuk mencatat log.
    * @param {string} action - Enum Action (CREATE_USER, DELETE_USER, dll)
-   * @param {string} actorId - ID Admin yang melakukan
+   * @param {string|null} actorId - ID Admin yang melakukan (null untuk penanda tangan eksternal & aksi otomatis sistem)
    * @param {string} targetId - ID User/Dokumen yang terkena dampak
    * @param {string} description - Pesan detail
    * @param {Object} req - Object Request Express (untuk ambil IP/UserAgent)
@@ -0,0 +1,189 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import forge from "node-forge";
+import CommonError from "../errors/CommonError.js";
+
+const SIGNER_CERT_VALIDITY_DAYS = 365;
+const CRL_VALIDITY_DAYS = 7;
+
+/**
+ * Memuat P12 sistem dari CERT_FILE_PATH, atau dari CERT_BASE64 (deployment tanpa file).
+ * @returns {Buffer}
+ * @throws {CommonError} Jika sertifikat tidak ditemukan.
+ */
+export const loadSystemP12 = () => {
+  const envCertPath = process.env.CERT_FILE_PATH || "./config/certificates/signer_cert.p12";
+  const p12Path = path.resolve(process.cwd(), envCertPath);
+
+  if (fs.existsSync(p12Path)) {
+    return fs.readFileSync(p12Path);
+  }
+  if (process.env.CERT_BASE64) {
+    return Buffer.from(process.env.CERT_BASE64, "base64");
+  }
+  throw CommonError.InternalServerError("Sertifikat Digital (P12) tidak ditemukan.");
+};
+
+/**
+ * Mengelola sertifikat X.509 untuk penandatanganan PDF.
+ * Sertifikat sistem (P12) dipakai sebagai Issuer/CA, lalu setiap penandatangan
+ * mendapat sertifikat sendiri sehingga setiap revisi tanda tangan di PDF atas nama signer tersebut.
+ */
+export class CertificateService {
+  /**
+   * Membaca isi P12 (private key + rantai sertifikat).
+   * @param {Buffer} p12Buffer - File P12 sistem.
+   * @param {string} passphrase - Password P12.
+   * @returns {{ privateKey: object, certificate: object, chain: object[] }}
+   */
+  parseP12(p12Buffer, passphrase) {
+    let p12;
+    try {
+      const p12Asn1 = forge.asn1.fromDer(forge.util.createBuffer(p12Buffer.toString("binary")));
+      p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, passphrase);
+    } catch (err) {
+      throw CommonError.InternalServerError(`Gagal membaca sertifikat P12: ${err.message}`);
+    }
+
+    const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [];
+    const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+    const privateKey = keyBags[0]?.key;
+    if (!privateKey) throw CommonError.InternalServerError("Private key tidak ditemukan di sertifikat P12.");
+
+    const chain = certBags.map((bag) => bag.cert);
+    const certificate = chain.find((cert) => cert.publicKey.n.compareTo(privateKey.n) === 0 && cert.publicKey.e.compareTo(privateKey.e) === 0);
+    if (!certificate) throw CommonError.InternalServerError("Sertifikat yang cocok dengan private key tidak ditemukan.");
+
+    return { privateKey, certificate, chain };
+  }
+
+  /**
+   * Membuat key pair RSA baru dan sertifikat yang diterbitkan oleh Issuer.
+   * @returns {{ cert: object, privateKey: object, publicKeyPem: string, privateKeyPem: string }}
+   */
+  _issueCertificate(issuer, subject, extensions) {
+    const { publicKey: publicKeyPem, privateKey: privateKeyPem } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: "spki", format: "pem" },
+      privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+
+    const cert = forge.pki.createCertificate();
+    cert.publicKey = forge.pki.publicKeyFromPem(publicKeyPem);
+    // Serial positif 16 byte (bit teratas dimatikan agar tidak dianggap negatif)
+    const serial = crypto.randomBytes(16);
+    serial[0] &= 0x7f;
+    cert.serialNumber = serial.toString("hex");
+    cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+    cert.validity.notAfter = new Date(Date.now() + SIGNER_CERT_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    cert.setSubject(subject);
+    cert.setIssuer(issuer.certificate.subject.attributes);
+    cert.setExtensions(extensions);
+    cert.sign(issuer.privateKey, forge.md.sha256.create());
+
+    return { cert, privateKey: forge.pki.privateKeyFromPem(privateKeyPem), publicKeyPem, privateKeyPem };
+  }
+
+  /**
+   * Menerbitkan sertifikat penandatangan (end-entity) yang diterbitkan oleh sertifikat sistem.
+   * Hasilnya dibungkus sebagai P12 dengan password yang sama dengan P12 sistem
+   * agar bisa langsung dipakai oleh node-signpdf.
+   * @param {Buffer} issuerP12Buffer - P12 sistem (Issuer).
+   * @param {string} passphrase - Password P12 sistem.
+   * @param {{ name: string, email?: string }} signer - Identitas penandatangan.
+   * @returns {{ p12Buffer: Buffer, passphrase: string, publicKey: string, certificate: string }} publicKey & certificate dalam format PEM.
+   */
+  issueSignerCertificate(issuerP12Buffer, passphrase, signer) {
+    const issuer = this.parseP12(issuerP12Buffer, passphrase);
+
+    const subject = [{ name: "commonName", value: signer.name || "Unknown Signer" }];
+    if (signer.email && signer.email !== "-") {
+      subject.push({ name: "emailAddress", value: signer.email });
+    }
+
+    const { cert, privateKey, publicKeyPem } = this._issueCertificate(issuer, subject, [
+      { name: "basicConstraints", cA: false },
+      { name: "keyUsage", critical: true, digitalSignature: true, nonRepudiation: true },
+      { name: "subjectKeyIdentifier" },
+    ]);
+
+    // Rantai: sertifikat signer + seluruh rantai sistem
+    const chain = [cert, ...issuer.chain];
+    const p12Asn1 = forge.pkcs12.toPkcs12Asn1(privateKey, chain, passphrase, { algorithm: "3des" });
+
+    return {
+      p12Buffer: Buffer.from(forge.asn1.toDer(p12Asn1).getBytes(), "binary"),
+      passphrase,
+      publicKey: publicKeyPem,
+      certificate: forge.pki.certificateToPem(cert),
+    };
+  }
+
+  /**
+   * Menerbitkan sertifikat Time Stamping Authority (TSA) lokal.
+   * Sesuai RFC 3161, sertifikat TSA wajib memiliki Extended Key Usage "timeStamping" (critical).
+   * @returns {{ certificate: object, privateKeyPem: string, chain: object[] }}
+   */
+  issueTimestampCertificate(issuerP12Buffer, passphrase) {
+    const issuer = this.parseP12(issuerP12Buffer, passphrase);
+
+    const { cert, privateKeyPem } = this._issueCertificate(issuer, [{ name: "commonName", value: "Signify Local TSA" }], [
+      { name: "basicConstraints", cA: false },
+      { name: "keyUsage", critical: true, digitalSignature: true },
+      { name: "extKeyUsage", critical: true, timeStamping: true },
+      { name: "subjectKeyIdentifier" },
+    ]);
+
+    return { certificate: cert, privateKeyPem, chain: [cert, ...issuer.chain] };
+  }
+
+  /**
+   * Membuat CRL (Certificate Revocation List) dari CA sistem sebagai data revokasi untuk DSS (PAdES-LT).
+   * Sertifikat signer tidak pernah dicabut, sehingga daftar revokasi kosong.
+   * @param {Buffer} issuerP12Buffer - P12 sistem (Issuer).
+   * @param {string} passphrase - Password P12 sistem.
+   * @returns {Buffer} CRL dalam format DER.
+   */
+  createCrl(issuerP12Buffer, passphrase) {
+    const issuer = this.parseP12(issuerP12Buffer, passphrase);
+    const { asn1 } = forge;
+
+    const thisUpdate = new Date();
+    const nextUpdate = new Date(thisUpdate.getTime() + CRL_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    const sha256WithRsa = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(forge.pki.oids.sha256WithRSAEncryption).getBytes()),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, ""),
+    ]);
+
+    const tbsCertList = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()), // v2
+      sha256WithRsa,
+      forge.pki.distinguishedNameToAsn1(issuer.certificate.subject),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(thisUpdate)),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(nextUpdate)),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+          // cRLNumber
+          asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer("2.5.29.20").getBytes()),
+            asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(Math.floor(thisUpdate.getTime() / 1000)).getBytes())).getBytes()),
+          ]),
+        ]),
+      ]),
+    ]);
+
+    const md = forge.md.sha256.create();
+    md.update(asn1.toDer(tbsCertList).getBytes());
+    const signature = issuer.privateKey.sign(md);
+
+    const crl = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      tbsCertList,
+      sha256WithRsa,
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BITSTRING, false, String.fromCharCode(0) + signature),
+    ]);
+
+    return Buffer.from(asn1.toDer(crl).getBytes(), "binary");
+  }
+}
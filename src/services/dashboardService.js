@@ -1,4 +1,5 @@
 import CommonError from "../errors/CommonError.js";
+import { buildOrganizationWhere } from "../utils/documentOrganization.js";
 
 const DASHBOARD_LIMIT = 5;
 
@@ -26,12 +27,14 @@ export class DashboardService {
    * @function getDashboardSummary
    * @description Mengambil ringkasan dashboard lengkap (Counts, Actions, Activities) untuk user tertentu.
    * @param {string} userId - ID pengguna.
+   * @param {{ folderId?: string|null, tagIds?: string[] }} [filters={}] - Batasi ringkasan pada dokumen di folder / dengan tag tertentu.
    * @returns {Promise<Object>} Objek berisi counts, actions, dan activities.
    */
-  async getDashboardSummary(userId) {
+  async getDashboardSummary(userId, filters = {}) {
     this._validateUserId(userId);
 
-    const results = await Promise.allSettled([this._getDocumentCounts(userId), this._getActionItems(userId), this._getRecentActivities(userId)]);
+    const documentFilter = buildOrganizationWhere(filters);
+    const results = await Promise.allSettled([this._getDocumentCounts(userId, documentFilter), this._getActionItems(userId, documentFilter), this._getRecentActivities(userId, documentFilter)]);
 
     const getValue = (result, defaultValue) => (result.status === "fulfilled" ? result.value : defaultValue);
 
@@ -64,8 +67,8 @@ export class DashboardService {
    * @function _getDocumentCounts
    * @description Menghitung jumlah dokumen berdasarkan status.
    */
-  async _getDocumentCounts(userId) {
-    const counts = await this.dashboardRepository.countAllStatuses(userId);
+  async _getDocumentCounts(userId, documentFilter) {
+    const counts = await this.dashboardRepository.countAllStatuses(userId, documentFilter);
     return {
       waiting: counts.draft || 0,
       process: counts.pending || 0,
@@ -76,21 +79,37 @@ export class DashboardService {
   /**
    * @private
    * @function _getActionItems
-   * @description Mengambil daftar tugas yang membutuhkan tindakan user (Personal, Group, Draft).
+   * @description Mengambil daftar tugas yang membutuhkan tindakan user (Personal, Group, Tenggat Lewat, Draft).
    */
-  async _getActionItems(userId) {
-    const [incomingRequests, myDrafts, groupPending] = await Promise.all([
-      this.dashboardRepository.findPendingSignatures(userId, DASHBOARD_LIMIT),
+  async _getActionItems(userId, documentFilter) {
+    const [incomingRequests, myDrafts, groupPending, overdueGroupDocs] = await Promise.all([
+      this.dashboardRepository.findPendingSignatures(userId, DASHBOARD_LIMIT, documentFilter),
 
-      this.dashboardRepository.findActionRequiredDocuments(userId, DASHBOARD_LIMIT),
+      this.dashboardRepository.findActionRequiredDocuments(userId, DASHBOARD_LIMIT, documentFilter),
 
-      this.groupDocumentSignerRepository ? this.groupDocumentSignerRepository.findPendingByUser(userId) : Promise.resolve([]),
+      this.groupDocumentSignerRepository ? this.groupDocumentSignerRepository.findPendingByUser(userId, documentFilter) : Promise.resolve([]),
+
+      this.dashboardRepository.findOverdueGroupDocuments(userId, DASHBOARD_LIMIT, documentFilter),
     ]);
 
     const actionMap = new Map();
 
+    overdueGroupDocs.forEach((doc) => {
+      actionMap.set(doc.id, {
+        id: doc.id,
+        title: doc.title,
+        ownerName: doc.group?.name ? `Grup: ${doc.group.name}` : "Group Request",
+        status: "SIGNING_OVERDUE",
+        type: "group",
+        updatedAt: doc.updatedAt,
+        groupId: doc.groupId,
+        overdueCount: doc._count?.signerRequests || 0,
+      });
+    });
+
     incomingRequests.forEach((sig) => {
       const doc = sig.documentVersion.document;
+      if (actionMap.has(doc.id)) return;
       actionMap.set(doc.id, {
         id: doc.id,
         title: doc.title,
@@ -111,6 +130,7 @@ export class DashboardService {
           type: "group",
           updatedAt: task.document.updatedAt,
           groupId: task.document.groupId,
+          deadline: task.deadline || task.document.signingDeadline || null,
         });
       }
     });
@@ -138,12 +158,12 @@ export class DashboardService {
    * @function _getRecentActivities
    * @description Mengambil histori aktivitas terbaru (Personal, Group, Package).
    */
-  async _getRecentActivities(userId) {
+  async _getRecentActivities(userId, documentFilter) {
     const [recentDocs, recentSignatures, recentGroupSignatures, recentPackageSignatures] = await Promise.all([
-      this.dashboardRepository.findRecentUpdatedDocuments(userId, 5),
-      this.dashboardRepository.findRecentSignatures(userId, 5),
-      this.dashboardRepository.findRecentGroupSignatures(userId, 5),
-      this.dashboardRepository.findRecentPackageSignatures(userId, 5),
+      this.dashboardRepository.findRecentUpdatedDocuments(userId, 5, documentFilter),
+      this.dashboardRepository.findRecentSignatures(userId, 5, documentFilter),
+      this.dashboardRepository.findRecentGroupSignatures(userId, 5, documentFilter),
+      this.dashboardRepository.findRecentPackageSignatures(userId, 5, documentFilter),
     ]);
 
     const formattedDocs = recentDocs.map((doc) => ({
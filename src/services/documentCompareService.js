@@ -0,0 +1,163 @@
+import DocumentError from "../errors/DocumentError.js";
+import BaseError from "../errors/BaseError.js";
+import { extractPdfText } from "../utils/pdfTextExtractor.js";
+import { renderPdfPage } from "../utils/pdfPageRenderer.js";
+import { diffWords } from "../utils/textDiff.js";
+import { createDiffOverlay } from "../utils/imageDiff.js";
+import { PREVIEW_SIZES } from "./documentPreviewService.js";
+
+/** Maksimal jumlah halaman yang dibuatkan overlay pixel-diff dalam satu permintaan. */
+export const MAX_VISUAL_DIFF_PAGES = 10;
+
+export const DEFAULT_VISUAL_DIFF_SIZE = "small";
+
+/**
+ * Membandingkan dua versi dokumen:
+ * - Diff teks per halaman (teks diekstrak dengan pdf.js, dibandingkan per kata).
+ * - Opsional: overlay pixel-diff per halaman untuk menandai area yang berubah secara visual
+ *   (misal stempel, gambar, atau tata letak yang tidak terbaca sebagai teks).
+ */
+export class DocumentCompareService {
+  /**
+   * @param {Object} fileStorage - Storage untuk mengunduh PDF versi.
+   * @param {{ extractText?: Function, renderPage?: Function, createOverlay?: Function }} [options]
+   *   `extractText(pdfBuffer)` → string[], `renderPage(pdfBuffer, pageNumber, width)` → { image, pageCount },
+   *   `createOverlay(beforePng, afterPng)` → { image, changedPixelRatio }.
+   */
+  constructor(fileStorage, { extractText = extractPdfText, renderPage = renderPdfPage, createOverlay = createDiffOverlay } = {}) {
+    if (!fileStorage) {
+      throw new Error("File storage harus disediakan.");
+    }
+    this.fileStorage = fileStorage;
+    this.extractText = extractText;
+    this.renderPage = renderPage;
+    this.createOverlay = createOverlay;
+  }
+
+  /**
+   * Validasi opsi perbandingan visual.
+   * @param {{ visual?: boolean, size?: string, pages?: number[] }} options
+   * @returns {{ visual: boolean, size: string, pages: number[]|null }}
+   * @throws {DocumentError} InvalidCompareRequest.
+   */
+  normalizeOptions({ visual = false, size, pages } = {}) {
+    const finalSize = size || DEFAULT_VISUAL_DIFF_SIZE;
+    if (!Object.prototype.hasOwnProperty.call(PREVIEW_SIZES, finalSize)) {
+      throw DocumentError.InvalidCompareRequest(`Ukuran gambar diff harus salah satu dari ${Object.keys(PREVIEW_SIZES).join(", ")}.`);
+    }
+
+    let finalPages = null;
+    if (pages !== undefined && pages !== null) {
+      finalPages = [...new Set((Array.isArray(pages) ? pages : [pages]).map(Number))];
+      if (finalPages.length === 0 || !finalPages.every((page) => Number.isInteger(page) && page >= 1)) {
+        throw DocumentError.InvalidCompareRequest("'pages' harus berupa daftar nomor halaman (mulai dari 1).");
+      }
+      if (finalPages.length > MAX_VISUAL_DIFF_PAGES) {
+        throw DocumentError.InvalidCompareRequest(`Maksimal ${MAX_VISUAL_DIFF_PAGES} halaman untuk diff visual.`);
+      }
+      finalPages.sort((a, b) => a - b);
+    }
+
+    return { visual: Boolean(visual), size: finalSize, pages: finalPages };
+  }
+
+  /**
+   * Membandingkan dua versi dokumen.
+   * Alur proses:
+   * 1. Validasi opsi, unduh PDF kedua versi.
+   * 2. Ekstrak teks per halaman dan hitung diff per kata; halaman dipasangkan berdasarkan nomor halaman.
+   * 3. Jika `visual` aktif: render halaman yang ada di kedua versi (maks. {@link MAX_VISUAL_DIFF_PAGES})
+   *    dan buat overlay pixel-diff dalam bentuk data URL PNG.
+   *
+   * @param {{ id: string, url: string, hash?: string }} fromVersion - Versi lama (akses sudah divalidasi pemanggil).
+   * @param {{ id: string, url: string, hash?: string }} toVersion - Versi baru.
+   * @param {{ visual?: boolean, size?: string, pages?: number[] }} [options]
+   * @returns {Promise<Object>} Ringkasan dan detail perubahan per halaman.
+   * @throws {DocumentError} InvalidCompareRequest atau CompareFailed.
+   */
+  async compareVersions(fromVersion, toVersion, options = {}) {
+    const { visual, size, pages: visualPages } = this.normalizeOptions(options);
+
+    const [fromBuffer, toBuffer] = await Promise.all([this.fileStorage.downloadFileAsBuffer(fromVersion.url), this.fileStorage.downloadFileAsBuffer(toVersion.url)]);
+
+    let fromTexts;
+    let toTexts;
+    try {
+      fromTexts = await this.extractText(fromBuffer);
+      toTexts = await this.extractText(toBuffer);
+    } catch (error) {
+      if (error instanceof BaseError) throw error;
+      throw DocumentError.CompareFailed(error.message);
+    }
+
+    const pageCount = Math.max(fromTexts.length, toTexts.length);
+    const pages = [];
+    let addedWords = 0;
+    let removedWords = 0;
+
+    for (let index = 0; index < pageCount; index++) {
+      const pageNumber = index + 1;
+      if (index >= fromTexts.length) {
+        const { segments, added } = diffWords("", toTexts[index]);
+        addedWords += added;
+        pages.push({ pageNumber, status: "added", added, removed: 0, segments });
+        continue;
+      }
+      if (index >= toTexts.length) {
+        const { segments, removed } = diffWords(fromTexts[index], "");
+        removedWords += removed;
+        pages.push({ pageNumber, status: "removed", added: 0, removed, segments });
+        continue;
+      }
+
+      const { segments, added, removed } = diffWords(fromTexts[index], toTexts[index]);
+      addedWords += added;
+      removedWords += removed;
+      const modified = added > 0 || removed > 0;
+      pages.push({ pageNumber, status: modified ? "modified" : "unchanged", added, removed, segments: modified ? segments : [] });
+    }
+
+    if (visual) {
+      const sharedPageCount = Math.min(fromTexts.length, toTexts.length);
+      const targets = (visualPages || Array.from({ length: sharedPageCount }, (_, index) => index + 1)).filter((page) => page <= sharedPageCount).slice(0, MAX_VISUAL_DIFF_PAGES);
+
+      for (const pageNumber of targets) {
+        pages[pageNumber - 1].visual = await this._createVisualDiff(fromBuffer, toBuffer, pageNumber, PREVIEW_SIZES[size]);
+      }
+    }
+
+    return {
+      fromVersionId: fromVersion.id,
+      toVersionId: toVersion.id,
+      identical: Boolean(fromVersion.hash && fromVersion.hash === toVersion.hash),
+      summary: {
+        fromPageCount: fromTexts.length,
+        toPageCount: toTexts.length,
+        changedPages: pages.filter((page) => page.status !== "unchanged").map((page) => page.pageNumber),
+        addedWords,
+        removedWords,
+      },
+      pages,
+    };
+  }
+
+  /**
+   * Render halaman yang sama dari kedua versi lalu buat overlay pixel-diff.
+   * @private
+   */
+  async _createVisualDiff(fromBuffer, toBuffer, pageNumber, width) {
+    try {
+      const { image: before } = await this.renderPage(fromBuffer, pageNumber, width);
+      const { image: after } = await this.renderPage(toBuffer, pageNumber, width);
+      const { image, changedPixelRatio } = await this.createOverlay(before, after);
+
+      return {
+        changedPixelRatio: Number(changedPixelRatio.toFixed(4)),
+        image: `data:image/png;base64,${image.toString("base64")}`,
+      };
+    } catch (error) {
+      if (error instanceof BaseError) throw error;
+      throw DocumentError.CompareFailed(error.message);
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import DocumentError from "../errors/DocumentError.js";
+
+const execFileAsync = promisify(execFile);
+
+/** Mimetype Word yang diterima `uploadDocument` dan dikonversi menjadi PDF. */
+export const WORD_MIME_TYPES = {
+  "application/msword": ".doc",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+};
+
+const DEFAULT_TIMEOUT_MS = 120 * 1000;
+
+/**
+ * Mengonversi dokumen Word (.doc/.docx) menjadi PDF menggunakan LibreOffice (headless) yang berjalan lokal di server.
+ * Binary dapat diatur lewat LIBREOFFICE_PATH (default: `soffice` dari PATH).
+ */
+export class DocumentConversionService {
+  /**
+   * @param {{ binaryPath?: string, timeoutMs?: number }} [options]
+   */
+  constructor({ binaryPath = process.env.LIBREOFFICE_PATH || "soffice", timeoutMs = parseInt(process.env.DOCUMENT_CONVERSION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS } = {}) {
+    this.binaryPath = binaryPath;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Mengecek apakah file perlu dikonversi (file Word).
+   * @param {object} file - File Multer.
+   * @returns {boolean}
+   */
+  isConvertible(file) {
+    return !!file && Object.prototype.hasOwnProperty.call(WORD_MIME_TYPES, file.mimetype);
+  }
+
+  /**
+   * Mengonversi file Word menjadi PDF.
+   * Alur proses:
+   * 1. Tulis file ke folder temporary (terisolasi per konversi, termasuk profil LibreOffice).
+   * 2. Jalankan `soffice --headless --convert-to pdf` dengan batas waktu.
+   * 3. Baca hasil PDF dan bungkus sebagai objek file seperti Multer.
+   * 4. Folder temporary selalu dihapus.
+   *
+   * @param {object} file - File Multer (buffer, mimetype, originalname).
+   * @returns {Promise<object>} File PDF hasil konversi.
+   * @throws {DocumentError} ConverterUnavailable jika LibreOffice tidak terpasang, ConversionFailed jika konversi gagal.
+   */
+  async convertToPdf(file) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "wesign-convert-"));
+
+    try {
+      const extension = WORD_MIME_TYPES[file.mimetype] || path.extname(file.originalname || "");
+      const inputPath = path.join(workDir, `source${extension}`);
+      await fs.writeFile(inputPath, file.buffer);
+
+      try {
+        await execFileAsync(this.binaryPath, ["--headless", "--norestore", `-env:UserInstallation=file://${path.join(workDir, "profile")}`, "--convert-to", "pdf", "--outdir", workDir, inputPath], { timeout: this.timeoutMs });
+      } catch (error) {
+        if (error.code === "ENOENT") throw DocumentError.ConverterUnavailable();
+        if (error.killed) throw DocumentError.ConversionFailed("Waktu konversi habis.");
+        throw DocumentError.ConversionFailed(error.stderr?.toString().trim() || error.message);
+      }
+
+      let pdfBuffer;
+      try {
+        pdfBuffer = await fs.readFile(path.join(workDir, "source.pdf"));
+      } catch (error) {
+        throw DocumentError.ConversionFailed("Converter tidak menghasilkan file PDF. Pastikan file Word tidak rusak.");
+      }
+
+      if (pdfBuffer.subarray(0, 5).toString("latin1") !== "%PDF-") {
+        throw DocumentError.ConversionFailed("Hasil konversi bukan file PDF yang valid.");
+      }
+
+      const baseName = path.basename(file.originalname || "document", path.extname(file.originalname || ""));
+      return {
+        fieldname: file.fieldname,
+        originalname: `${baseName}.pdf`,
+        mimetype: "application/pdf",
+        buffer: pdfBuffer,
+        size: pdfBuffer.length,
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Menyiapkan file upload: file Word dikonversi menjadi PDF, file PDF diteruskan apa adanya.
+   * @param {object} file - File Multer.
+   * @returns {Promise<{ file: object, sourceFile: object|null }>} `file` adalah PDF yang disimpan sebagai versi,
+   * `sourceFile` adalah file asli (Word) yang disimpan sebagai lampiran.
+   */
+  async prepareUpload(file) {
+    if (!this.isConvertible(file)) return { file, sourceFile: null };
+
+    console.log(`🔄 Converting "${file.originalname}" to PDF...`);
+    const pdfFile = await this.convertToPdf(file);
+    return { file: pdfFile, sourceFile: file };
+  }
+}
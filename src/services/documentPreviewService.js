@@ -0,0 +1,140 @@
+import DocumentError from "../errors/DocumentError.js";
+import BaseError from "../errors/BaseError.js";
+import { renderPdfPage } from "../utils/pdfPageRenderer.js";
+
+/** Preset ukuran preview: lebar gambar dalam pixel (tinggi mengikuti rasio halaman). */
+export const PREVIEW_SIZES = {
+  thumbnail: 200,
+  small: 480,
+  medium: 960,
+  large: 1600,
+};
+
+/** Format gambar preview yang didukung beserta content type-nya. */
+export const PREVIEW_FORMATS = {
+  png: "image/png",
+  webp: "image/webp",
+};
+
+export const DEFAULT_PREVIEW_SIZE = "small";
+export const DEFAULT_PREVIEW_FORMAT = "webp";
+
+/**
+ * Folder cache preview satu versi dokumen di storage.
+ * @param {string} versionId
+ * @returns {string}
+ */
+export const getPreviewFolder = (versionId) => `previews/${versionId}`;
+
+/**
+ * Membuat gambar preview per halaman untuk versi dokumen.
+ * Versi dokumen tidak pernah berubah setelah dibuat, sehingga hasil render di-cache permanen di storage
+ * (`previews/{versionId}/p{page}-{size}.{format}`) dan request berikutnya cukup mengunduh dari cache.
+ */
+export class DocumentPreviewService {
+  /**
+   * @param {Object} fileStorage - Storage untuk mengunduh PDF serta membaca/menyimpan cache preview.
+   * @param {{ renderPage?: Function }} [options] - `renderPage(pdfBuffer, pageNumber, width)` → { image, pageCount }.
+   */
+  constructor(fileStorage, { renderPage = renderPdfPage } = {}) {
+    if (!fileStorage) {
+      throw new Error("File storage harus disediakan.");
+    }
+    this.fileStorage = fileStorage;
+    this.renderPage = renderPage;
+  }
+
+  /**
+   * Validasi nomor halaman, ukuran, dan format preview.
+   * @param {number|string} pageNumber
+   * @param {{ size?: string, format?: string }} [options]
+   * @returns {{ pageNumber: number, size: string, format: string }}
+   * @throws {DocumentError} PageNotFound / InvalidPreviewRequest.
+   */
+  normalizeRequest(pageNumber, { size, format } = {}) {
+    const page = Number(pageNumber);
+    if (!Number.isInteger(page) || page < 1) {
+      throw DocumentError.PageNotFound(pageNumber);
+    }
+
+    const finalSize = size || DEFAULT_PREVIEW_SIZE;
+    if (!Object.prototype.hasOwnProperty.call(PREVIEW_SIZES, finalSize)) {
+      throw DocumentError.InvalidPreviewRequest(`Ukuran preview harus salah satu dari ${Object.keys(PREVIEW_SIZES).join(", ")}.`);
+    }
+
+    const finalFormat = format || DEFAULT_PREVIEW_FORMAT;
+    if (!Object.prototype.hasOwnProperty.call(PREVIEW_FORMATS, finalFormat)) {
+      throw DocumentError.InvalidPreviewRequest(`Format preview harus salah satu dari ${Object.keys(PREVIEW_FORMATS).join(", ")}.`);
+    }
+
+    return { pageNumber: page, size: finalSize, format: finalFormat };
+  }
+
+  /**
+   * Path cache preview di storage.
+   * @param {string} versionId
+   * @param {number} pageNumber
+   * @param {string} size
+   * @param {string} format
+   * @returns {string}
+   */
+  getCachePath(versionId, pageNumber, size, format) {
+    return `${getPreviewFolder(versionId)}/p${pageNumber}-${size}.${format}`;
+  }
+
+  /**
+   * Mengambil gambar preview satu halaman versi dokumen.
+   * Alur proses:
+   * 1. Validasi halaman, ukuran, dan format.
+   * 2. Coba ambil dari cache storage; jika ada langsung dikembalikan.
+   * 3. Jika belum ada: unduh PDF versi, render halaman ke PNG, konversi ke WebP bila diminta.
+   * 4. Simpan hasil ke cache (kegagalan menyimpan cache tidak menggagalkan request).
+   *
+   * @param {{ id: string, url: string }} version - Versi dokumen (akses sudah divalidasi pemanggil).
+   * @param {number|string} pageNumber - Nomor halaman (mulai dari 1).
+   * @param {{ size?: string, format?: string }} [options]
+   * @returns {Promise<{ buffer: Buffer, contentType: string, cached: boolean, pageNumber: number, size: string, format: string }>}
+   * @throws {DocumentError} PageNotFound, InvalidPreviewRequest, atau PreviewFailed.
+   */
+  async getPagePreview(version, pageNumber, options = {}) {
+    const request = this.normalizeRequest(pageNumber, options);
+    const { size, format } = request;
+    const contentType = PREVIEW_FORMATS[format];
+    const cachePath = this.getCachePath(version.id, request.pageNumber, size, format);
+
+    try {
+      const buffer = await this.fileStorage.downloadFileAsBuffer(cachePath);
+      if (buffer?.length) return { ...request, buffer, contentType, cached: true };
+    } catch {
+      // Cache belum ada, lanjut render.
+    }
+
+    const pdfBuffer = await this.fileStorage.downloadFileAsBuffer(version.url);
+
+    let buffer;
+    try {
+      const { image } = await this.renderPage(pdfBuffer, request.pageNumber, PREVIEW_SIZES[size]);
+      buffer = format === "webp" ? await this._toWebp(image) : image;
+    } catch (error) {
+      if (error instanceof BaseError) throw error;
+      throw DocumentError.PreviewFailed(error.message);
+    }
+
+    try {
+      await this.fileStorage.uploadFile(cachePath, buffer, contentType);
+    } catch (error) {
+      console.warn(`[DocumentPreviewService] Gagal menyimpan cache preview ${cachePath}: ${error.message}`);
+    }
+
+    return { ...request, buffer, contentType, cached: false };
+  }
+
+  /**
+   * Konversi PNG hasil render ke WebP.
+   * @private
+   */
+  async _toWebp(png) {
+    const { default: sharp } = await import("sharp");
+    return sharp(png).webp({ quality: 80 }).toBuffer();
+  }
+}
@@ -0,0 +1,95 @@
+import { extractPdfText } from "../utils/pdfTextExtractor.js";
+
+/** Batas panjang teks yang diindeks per versi (tsvector PostgreSQL maksimal 1MB). */
+export const MAX_INDEXED_TEXT_LENGTH = 200000;
+
+export const MAX_SEARCH_QUERY_LENGTH = 200;
+
+export const MAX_SEARCH_RESULTS = 100;
+
+// Penanda awal/akhir highlight dari ts_headline; diganti <mark> setelah teks di-escape.
+export const HIGHLIGHT_START = "\u0002";
+export const HIGHLIGHT_END = "\u0003";
+
+const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+
+/**
+ * Mengubah snippet hasil ts_headline menjadi HTML aman: isi dokumen di-escape,
+ * hanya penanda highlight yang diubah menjadi tag `<mark>`.
+ * @param {string|null} snippet
+ * @returns {string|null}
+ */
+export const toHighlightedHtml = (snippet) => {
+  if (!snippet) return null;
+  return escapeHtml(snippet).split(HIGHLIGHT_START).join("<mark>").split(HIGHLIGHT_END).join("</mark>");
+};
+
+/**
+ * Full-text search isi dokumen.
+ * Teks setiap versi PDF diekstrak saat versi dibuat (upload, revisi, tanda tangan) lalu disimpan
+ * sebagai tsvector gabungan konfigurasi `indonesian` + `english`, sehingga pencarian cocok untuk
+ * kontrak berbahasa Indonesia maupun Inggris.
+ */
+export class DocumentSearchService {
+  /**
+   * @param {Object} versionRepository - Repository versi (menyimpan teks & tsvector).
+   * @param {Object} documentRepository - Repository dokumen (query pencarian).
+   * @param {{ extractText?: Function }} [options] - `extractText(pdfBuffer)` → string[] per halaman.
+   */
+  constructor(versionRepository, documentRepository, { extractText = extractPdfText } = {}) {
+    if (!versionRepository || !documentRepository) {
+      throw new Error("Version repository dan document repository harus disediakan.");
+    }
+    this.versionRepository = versionRepository;
+    this.documentRepository = documentRepository;
+    this.extractText = extractText;
+  }
+
+  /**
+   * Mengekstrak teks PDF sebuah versi dan menyimpannya ke indeks pencarian.
+   * Tidak pernah melempar error: kegagalan indeks hanya dicatat agar tidak menggagalkan upload/tanda tangan.
+   *
+   * @param {string} versionId - ID versi dokumen.
+   * @param {Buffer} pdfBuffer - Isi PDF versi tersebut.
+   * @returns {Promise<boolean>} true jika berhasil diindeks.
+   */
+  async indexVersion(versionId, pdfBuffer) {
+    if (!versionId || !pdfBuffer?.length) return false;
+
+    try {
+      const pages = await this.extractText(pdfBuffer);
+      // PostgreSQL menolak karakter NUL di kolom teks.
+      const text = pages.join("\n\n").replace(/\u0000/g, "").slice(0, MAX_INDEXED_TEXT_LENGTH);
+      await this.versionRepository.updateSearchContent(versionId, text);
+      return true;
+    } catch (error) {
+      console.warn(`[DocumentSearchService] Gagal mengindeks isi versi ${versionId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Mencari dokumen (personal & grup yang bisa diakses user) berdasarkan isi teksnya.
+   * @param {string} userId - ID user yang mencari.
+   * @param {string} query - Kata kunci (mendukung sintaks websearch: "frasa", OR, -kata).
+   * @returns {Promise<{ documentId: string, versionId: string, rank: number, snippet: string|null }[]>}
+   *   Hasil terurut dari rank tertinggi, satu baris per dokumen (versi dengan rank terbaik).
+   */
+  async searchContent(userId, query) {
+    const keyword = (query || "").trim().slice(0, MAX_SEARCH_QUERY_LENGTH);
+    if (!keyword) return [];
+
+    const rows = await this.documentRepository.searchByContent(userId, keyword, {
+      limit: MAX_SEARCH_RESULTS,
+      highlightStart: HIGHLIGHT_START,
+      highlightEnd: HIGHLIGHT_END,
+    });
+
+    return rows.map((row) => ({
+      documentId: row.documentId,
+      versionId: row.versionId,
+      rank: Number(row.rank) || 0,
+      snippet: toHighlightedHtml(row.snippet),
+    }));
+  }
+}
@@ -0,0 +1,259 @@
+import DocumentError from "../errors/DocumentError.js";
+import { getPreviewFolder } from "./documentPreviewService.js";
+import { DEFAULT_PAGE_SIZE, buildPageMeta } from "../utils/pagination.js";
+
+/** Lama dokumen/versi disimpan di tempat sampah sebelum dihapus permanen oleh cron (hari). */
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/** Jumlah dokumen/versi yang diambil per batch saat cron menghapus permanen. */
+const PURGE_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Actor audit log untuk penghapusan otomatis oleh cron (`actorId` kosong = aksi sistem). */
+const SYSTEM_ACTOR_ID = null;
+
+/**
+ * Service tempat sampah dokumen.
+ * Dokumen & versi yang dihapus user (atau dihapus paksa admin) hanya ditandai `deletedAt`; file fisik tetap disimpan
+ * sampai dipulihkan, dihapus permanen oleh pemiliknya, atau dibersihkan cron setelah {@link TRASH_RETENTION_DAYS} hari.
+ * Setiap penghapusan permanen dicatat di audit log.
+ */
+export class DocumentTrashService {
+  /**
+   * @param {Object} documentRepository - Repository dokumen.
+   * @param {Object} versionRepository - Repository versi dokumen.
+   * @param {Object} fileStorage - Storage file (hapus file fisik & folder cache preview saat purge).
+   * @param {Object} groupMemberRepository - Repository anggota grup (validasi admin grup).
+   * @param {Object} [auditService] - Service audit log untuk mencatat pemulihan & penghapusan permanen.
+   */
+  constructor(documentRepository, versionRepository, fileStorage, groupMemberRepository, auditService = null) {
+    if (!documentRepository || !versionRepository || !fileStorage || !groupMemberRepository) {
+      throw new Error("Document repository, version repository, file storage, dan group member repository harus disediakan.");
+    }
+    this.documentRepository = documentRepository;
+    this.versionRepository = versionRepository;
+    this.fileStorage = fileStorage;
+    this.groupMemberRepository = groupMemberRepository;
+    this.auditService = auditService;
+  }
+
+  /**
+   * Mengambil dokumen di tempat sampah milik user, atau dokumen grup di mana user adalah admin grup.
+   * @param {string} userId
+   * @param {{ page?: number, limit?: number }} [pagination]
+   * @returns {Promise<{ data: object[], meta: object }>} Setiap item berisi `purgeAt` dan `removedByAdmin`.
+   */
+  async listTrash(userId, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const [documents, total] = await Promise.all([this.documentRepository.findTrashed(userId, { skip: (page - 1) * limit, take: limit }), this.documentRepository.countTrashed(userId)]);
+
+    const data = documents.map(({ _count, trashedByAdmin, ...document }) => ({
+      ...document,
+      versionCount: _count?.versions || 0,
+      removedByAdmin: trashedByAdmin,
+      purgeAt: this._purgeAt(document.deletedAt),
+    }));
+
+    return { data, meta: buildPageMeta(total, { page, limit }) };
+  }
+
+  /**
+   * Mengambil versi dokumen (aktif) yang berada di tempat sampah.
+   * @param {string} documentId
+   * @param {string} userId
+   * @returns {Promise<object[]>}
+   */
+  async listTrashedVersions(documentId, userId) {
+    const document = await this.documentRepository.findByIdSimple(documentId);
+    if (!document) throw DocumentError.NotFound(documentId);
+    await this._assertCanManage(document, userId);
+
+    const versions = await this.versionRepository.findTrashedByDocumentId(documentId);
+    return versions.map((version) => ({ ...version, purgeAt: this._purgeAt(version.deletedAt) }));
+  }
+
+  /**
+   * Memulihkan dokumen dari tempat sampah. Dokumen yang dihapus paksa oleh admin hanya dapat dipulihkan admin.
+   * @param {string} documentId
+   * @param {string} userId
+   * @param {Object} [req] - Request Express untuk audit log.
+   * @returns {Promise<object>}
+   * @throws {DocumentError} NotFound jika dokumen tidak ada di tempat sampah, Forbidden jika tidak berhak.
+   */
+  async restoreDocument(documentId, userId, req = null) {
+    const document = await this._getTrashedDocument(documentId, userId);
+    if (document.trashedByAdmin) {
+      throw DocumentError.Forbidden("Dokumen ini dihapus oleh admin karena moderasi dan hanya dapat dipulihkan oleh admin.");
+    }
+
+    const restored = await this.documentRepository.restoreById(documentId);
+    await this._audit("RESTORE_DOCUMENT", userId, documentId, `Dokumen "${document.title}" dipulihkan dari tempat sampah.`, req);
+    return restored;
+  }
+
+  /**
+   * Memulihkan satu versi dokumen dari tempat sampah.
+   * @param {string} documentId
+   * @param {string} versionId
+   * @param {string} userId
+   * @returns {Promise<object>}
+   */
+  async restoreVersion(documentId, versionId, userId) {
+    const document = await this.documentRepository.findByIdSimple(documentId);
+    if (!document) throw DocumentError.NotFound(documentId);
+    await this._assertCanManage(document, userId);
+
+    const trashed = await this.versionRepository.findTrashedByDocumentId(documentId);
+    if (!trashed.some((version) => version.id === versionId)) {
+      throw DocumentError.InvalidVersion(versionId, documentId);
+    }
+
+    return this.versionRepository.restoreById(versionId);
+  }
+
+  /**
+   * Menghapus permanen dokumen dari tempat sampah tanpa menunggu masa retensi (beserta semua file fisiknya).
+   * @param {string} documentId
+   * @param {string} userId
+   * @param {Object} [req] - Request Express untuk audit log.
+   * @returns {Promise<{ id: string }>}
+   */
+  async purgeDocument(documentId, userId, req = null) {
+    const document = await this._getTrashedDocument(documentId, userId);
+    if (document.trashedByAdmin) {
+      throw DocumentError.Forbidden("Dokumen ini dihapus oleh admin dan akan dihapus permanen otomatis setelah masa retensi.");
+    }
+
+    await this._purgeDocument(document, userId, "Dokumen dihapus permanen dari tempat sampah oleh pengguna.", req);
+    return { id: documentId };
+  }
+
+  /**
+   * Menghapus permanen dokumen & versi yang sudah melewati masa retensi. Dipanggil oleh cron.
+   * Diproses per batch sampai batch yang diambil kurang dari {@link PURGE_BATCH_SIZE}.
+   * Kegagalan satu item tidak menghentikan item lainnya; item yang gagal tidak diambil ulang pada eksekusi yang sama.
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<{ purgedDocuments: number, purgedVersions: number, failed: number }>}
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+    const summary = { purgedDocuments: 0, purgedVersions: 0, failed: 0 };
+
+    const failedDocumentIds = [];
+    let documents;
+    do {
+      documents = await this.documentRepository.findExpiredTrash(cutoff, PURGE_BATCH_SIZE, [...failedDocumentIds]);
+      for (const document of documents) {
+        try {
+          await this._purgeDocument(document, SYSTEM_ACTOR_ID, `Dokumen "${document.title}" dihapus permanen otomatis setelah ${TRASH_RETENTION_DAYS} hari di tempat sampah.`);
+          summary.purgedDocuments += 1;
+        } catch (error) {
+          summary.failed += 1;
+          failedDocumentIds.push(document.id);
+          console.error(`[DocumentTrashService] Gagal menghapus permanen dokumen ${document.id}:`, error.message);
+        }
+      }
+    } while (documents.length === PURGE_BATCH_SIZE);
+
+    const failedVersionIds = [];
+    let versions;
+    do {
+      versions = await this.versionRepository.findExpiredTrash(cutoff, PURGE_BATCH_SIZE, [...failedVersionIds]);
+      for (const version of versions) {
+        try {
+          await this.versionRepository.deleteById(version.id);
+          await this._deleteFiles([version.url]);
+          await this._deletePreviews([version.id]);
+          await this._audit("PURGE_DOCUMENT_VERSION", SYSTEM_ACTOR_ID, version.documentId, `Versi ${version.id} dihapus permanen otomatis setelah ${TRASH_RETENTION_DAYS} hari di tempat sampah.`);
+          summary.purgedVersions += 1;
+        } catch (error) {
+          summary.failed += 1;
+          failedVersionIds.push(version.id);
+          console.error(`[DocumentTrashService] Gagal menghapus permanen versi ${version.id}:`, error.message);
+        }
+      }
+    } while (versions.length === PURGE_BATCH_SIZE);
+
+    return summary;
+  }
+
+  /**
+   * Hapus row dokumen (cascade ke versi) lalu file fisik versi & lampirannya serta cache preview tiap versi.
+   * @private
+   */
+  async _purgeDocument(document, actorId, description, req = null) {
+    await this.documentRepository.deleteById(document.id);
+    await this._deleteFiles([...(document.versions || []), ...(document.attachments || [])].map((file) => file.url));
+    await this._deletePreviews((document.versions || []).map((version) => version.id));
+    await this._audit("PURGE_DOCUMENT", actorId, document.id, description, req);
+  }
+
+  /**
+   * Menghapus file fisik. Kegagalan hanya dicatat karena row database sudah terhapus.
+   * @private
+   */
+  async _deleteFiles(urls) {
+    for (const url of urls) {
+      if (!url) continue;
+      try {
+        await this.fileStorage.deleteFile(url);
+      } catch (err) {
+        console.warn(`[Warning] Gagal menghapus file fisik ${url}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Menghapus cache gambar preview (`previews/{versionId}/…`) versi yang dihapus permanen.
+   * @private
+   */
+  async _deletePreviews(versionIds) {
+    for (const versionId of versionIds) {
+      if (!versionId) continue;
+      const folder = getPreviewFolder(versionId);
+      try {
+        await this.fileStorage.deleteFolder(folder);
+      } catch (err) {
+        console.warn(`[Warning] Gagal menghapus cache preview ${folder}:`, err.message);
+      }
+    }
+  }
+
+  /** @private */
+  async _audit(action, actorId, targetId, description, req = null) {
+    if (!this.auditService) return;
+    try {
+      await this.auditService.log(action, actorId, targetId, description, req);
+    } catch (err) {
+      console.error(`[DocumentTrashService] Gagal mencatat audit log ${action}:`, err.message);
+    }
+  }
+
+  /**
+   * Mengambil dokumen di tempat sampah dan memvalidasi hak user (pemilik atau admin grup).
+   * @private
+   */
+  async _getTrashedDocument(documentId, userId) {
+    const document = await this.documentRepository.findTrashedById(documentId);
+    if (!document) throw DocumentError.NotFound(documentId);
+    await this._assertCanManage(document, userId);
+    return document;
+  }
+
+  /** @private */
+  async _assertCanManage(document, userId) {
+    if (document.userId === userId) return;
+
+    if (document.groupId) {
+      const member = await this.groupMemberRepository.findByGroupAndUser(document.groupId, userId);
+      if (member?.role === "admin_group") return;
+    }
+
+    throw DocumentError.Forbidden("Hanya pemilik dokumen atau admin grup yang dapat mengelola tempat sampah dokumen ini.");
+  }
+
+  /** @private */
+  _purgeAt(deletedAt) {
+    return deletedAt ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+  }
+}
@@ -0,0 +1,576 @@
+import crypto from "crypto";
+import CommonError from "../errors/CommonError.js";
+import GroupError from "../errors/GroupError.js";
+import SignatureError from "../errors/SignatureError.js";
+import { sendWhatsappNotification } from "../utils/whatsappSender.js";
+import { sendEmailNotification } from "../utils/emailSender.js";
+import { resolveTypedSignature } from "../utils/typedSignatureRenderer.js";
+import { resolveSignatureAppearance } from "../utils/signatureAppearance.js";
+import { resolveSignatureFields, resolveRepeatedInitials } from "../utils/signatureFieldHelper.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/** Masa berlaku link tanda tangan eksternal (jam). Default: 72 jam. */
+export const EXTERNAL_LINK_TTL_HOURS = Number(process.env.EXTERNAL_SIGNING_LINK_HOURS) || 72;
+
+/** Masa berlaku sesi tanda tangan setelah link dibuka (menit). */
+const SESSION_TTL_MINUTES = 60;
+/** Masa berlaku kode OTP (menit). */
+const OTP_TTL_MINUTES = 5;
+/** Jeda minimal sebelum kode OTP baru boleh diminta (detik). */
+const OTP_RESEND_COOLDOWN_SECONDS = 60;
+/** Jumlah maksimal percobaan OTP salah sebelum sesi dicabut. */
+const OTP_MAX_ATTEMPTS = 5;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (value) => crypto.createHash("sha256").update(String(value)).digest("hex");
+
+/** Fonnte membalas `{ status: false }` (bukan error) jika pesan gagal dikirim. */
+const isDelivered = (result) => Boolean(result) && result.status !== false;
+
+const maskPhone = (phone) => (phone.length > 6 ? `${phone.slice(0, 4)}${"*".repeat(phone.length - 7)}${phone.slice(-3)}` : "***");
+
+const maskEmail = (email) => {
+  const [local, domain] = email.split("@");
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+/**
+ * Service penanda tangan eksternal (tanpa akun) untuk dokumen grup.
+ * Admin Grup atau pemilik dokumen mengundang penanda tangan lewat email/nomor HP; penanda tangan menerima link
+ * sekali pakai yang ditukar menjadi sesi tanda tangan untuk satu dokumen. Sesi harus diverifikasi dengan OTP
+ * (WhatsApp jika ada nomor HP, selain itu email) sebelum dokumen dapat dilihat dan ditandatangani.
+ * Tanda tangan disimpan seperti tanda tangan anggota (IP, user agent) ditambah waktu & kanal verifikasi OTP.
+ */
+export class ExternalSigningService {
+  /**
+   * @param {Object} groupDocumentSignerRepository - Repository permintaan tanda tangan grup.
+   * @param {Object} externalSigningTokenRepository - Repository link & sesi tanda tangan eksternal.
+   * @param {Object} groupSignatureRepository - Repository tanda tangan grup.
+   * @param {Object} documentRepository - Repository dokumen.
+   * @param {Object} groupMemberRepository - Repository anggota grup.
+   * @param {Object} fileStorage - Storage untuk membuat signed URL file dokumen.
+   * @param {Object} [auditService] - Pencatat audit log.
+   * @param {Object} [io] - Socket.IO instance untuk memberi tahu room grup.
+   * @param {Object} [signatureFieldRepository] - Repository field non-tanda tangan (tanggal, paraf, teks, checkbox).
+   * @param {{ whatsapp?: Function, email?: Function }} [senders] - Pengirim pesan WhatsApp `(phone, message)` & email `(to, subject, text)`.
+   */
+  constructor(
+    groupDocumentSignerRepository,
+    externalSigningTokenRepository,
+    groupSignatureRepository,
+    documentRepository,
+    groupMemberRepository,
+    fileStorage,
+    auditService = null,
+    io = null,
+    signatureFieldRepository = null,
+    { whatsapp = sendWhatsappNotification, email = sendEmailNotification } = {}
+  ) {
+    if (!groupDocumentSignerRepository || !externalSigningTokenRepository) {
+      throw new Error("Repository penanda tangan eksternal harus disediakan.");
+    }
+    this.groupDocumentSignerRepository = groupDocumentSignerRepository;
+    this.externalSigningTokenRepository = externalSigningTokenRepository;
+    this.groupSignatureRepository = groupSignatureRepository;
+    this.documentRepository = documentRepository;
+    this.groupMemberRepository = groupMemberRepository;
+    this.fileStorage = fileStorage;
+    this.auditService = auditService;
+    this.io = io;
+    this.signatureFieldRepository = signatureFieldRepository;
+    this.sendWhatsapp = whatsapp;
+    this.sendEmail = email;
+  }
+
+  /**
+   * [ADMIN/OWNER] Mengundang penanda tangan eksternal ke dokumen grup dan mengirim link tanda tangan.
+   * Link juga dikembalikan agar dapat dibagikan manual jika pengiriman gagal.
+   * @param {number} groupId
+   * @param {string} documentId
+   * @param {string} requestorId - Admin Grup atau pemilik dokumen.
+   * @param {{ name: string, email?: string, phoneNumber?: string, deadline?: string }} data - Minimal salah satu email/nomor HP.
+   * @param {Object} [req] - Request Express untuk audit log.
+   * @returns {Promise<{ signer: Object, signingLink: string, linkExpiresAt: Date, delivered: boolean }>}
+   * @throws {GroupError} Jika requestor bukan admin/pemilik atau dokumen tidak ada di grup.
+   * @throws {CommonError} BadRequest jika data tidak valid, dokumen sudah selesai, atau penanda tangan sudah diundang.
+   */
+  async inviteExternalSigner(groupId, documentId, requestorId, { name, email, phoneNumber, deadline } = {}, req = null) {
+    const document = await this._authorizeManager(groupId, documentId, requestorId);
+
+    const signerName = typeof name === "string" ? name.trim() : "";
+    if (!signerName || signerName.length > 100) {
+      throw CommonError.BadRequest("Nama penanda tangan eksternal wajib diisi (maksimal 100 karakter).");
+    }
+
+    const normalizedEmail = email ? String(email).trim().toLowerCase() : null;
+    const normalizedPhone = phoneNumber ? String(phoneNumber).replace(/[\s-]/g, "") : null;
+    if (!normalizedEmail && !normalizedPhone) {
+      throw CommonError.BadRequest("Email atau nomor HP penanda tangan eksternal wajib diisi.");
+    }
+    if (normalizedEmail && !EMAIL_PATTERN.test(normalizedEmail)) {
+      throw CommonError.BadRequest("Format email tidak valid.");
+    }
+
+    const alreadyInvited = (document.signerRequests || []).some(
+      (signer) => !signer.userId && ((normalizedEmail && signer.externalEmail === normalizedEmail) || (normalizedPhone && signer.externalPhone === normalizedPhone))
+    );
+    if (alreadyInvited) {
+      throw CommonError.BadRequest("Penanda tangan eksternal ini sudah diundang ke dokumen ini.");
+    }
+
+    let signerDeadline = null;
+    if (deadline) {
+      signerDeadline = new Date(deadline);
+      if (Number.isNaN(signerDeadline.getTime()) || signerDeadline <= new Date()) {
+        throw CommonError.BadRequest("Batas waktu harus berupa tanggal di masa depan.");
+      }
+    }
+
+    const signer = await this.groupDocumentSignerRepository.createExternalSigner(documentId, {
+      name: signerName,
+      email: normalizedEmail,
+      phoneNumber: normalizedPhone,
+      deadline: signerDeadline,
+    });
+
+    if (document.status === "draft") {
+      await this.documentRepository.update(documentId, { status: "pending" });
+    }
+
+    const link = await this._issueLink(signer, document);
+
+    if (this.auditService) {
+      await this.auditService.log("INVITE_EXTERNAL_SIGNER", requestorId, documentId, `Mengundang penanda tangan eksternal ${signerName} (${normalizedEmail || normalizedPhone}) untuk dokumen grup: ${document.title}`, req);
+    }
+
+    this._emitSignerUpdate(groupId, documentId, `${signerName} diundang sebagai penanda tangan eksternal.`);
+
+    return { signer, ...link };
+  }
+
+  /**
+   * [ADMIN/OWNER] Membuat link tanda tangan baru untuk penanda tangan eksternal; link & sesi sebelumnya dicabut.
+   * @returns {Promise<{ signer: Object, signingLink: string, linkExpiresAt: Date, delivered: boolean }>}
+   * @throws {CommonError} NotFound jika penanda tangan tidak ada, BadRequest jika tidak lagi PENDING.
+   */
+  async resendSigningLink(groupId, documentId, signerRequestId, requestorId) {
+    const document = await this._authorizeManager(groupId, documentId, requestorId);
+
+    const signer = await this.groupDocumentSignerRepository.findExternalById(signerRequestId, documentId);
+    if (!signer) throw CommonError.NotFound("Penanda tangan eksternal tidak ditemukan di dokumen ini.");
+    if (signer.status !== "PENDING") {
+      throw CommonError.BadRequest("Link hanya dapat dikirim ulang untuk permintaan tanda tangan yang masih menunggu (PENDING).");
+    }
+
+    await this.externalSigningTokenRepository.revokeBySignerRequest(signer.id);
+    const link = await this._issueLink(signer, document);
+
+    return { signer, ...link };
+  }
+
+  /**
+   * [ADMIN/OWNER] Menghapus penanda tangan eksternal yang belum menandatangani. Link & sesinya ikut terhapus.
+   * @returns {Promise<Object>} Dokumen terbaru.
+   * @throws {CommonError} NotFound jika penanda tangan tidak ada, BadRequest jika sudah menandatangani.
+   */
+  async removeExternalSigner(groupId, documentId, signerRequestId, requestorId) {
+    const document = await this._authorizeManager(groupId, documentId, requestorId);
+
+    const signer = await this.groupDocumentSignerRepository.findExternalById(signerRequestId, documentId);
+    if (!signer) throw CommonError.NotFound("Penanda tangan eksternal tidak ditemukan di dokumen ini.");
+
+    const { count } = await this.groupDocumentSignerRepository.deleteUnsignedById(signer.id);
+    if (count === 0) {
+      throw CommonError.BadRequest(`${signer.externalName} sudah tanda tangan, tidak bisa dihapus.`);
+    }
+
+    const remainingSigners = (document.signerRequests || []).filter((item) => item.id !== signer.id);
+    if (remainingSigners.length === 0 && document.status === "pending") {
+      await this.documentRepository.update(documentId, { status: "draft" });
+    }
+
+    this._emitSignerUpdate(groupId, documentId, "Daftar penanda tangan diperbarui.");
+
+    return this.documentRepository.findById(documentId, requestorId);
+  }
+
+  /**
+   * [PUBLIC] Menukar link tanda tangan (sekali pakai) menjadi sesi tanda tangan dan mengirim kode OTP.
+   * Link sudah terpakai saat OTP dikirim, jadi kegagalan pengiriman tidak melempar error: sesi tetap dikembalikan
+   * dengan `otpDelivered: false` agar penanda tangan dapat langsung meminta kode baru lewat {@link requestOtp}.
+   * @param {string} token - Token dari link tanda tangan.
+   * @param {{ ipAddress?: string, userAgent?: string }} auditData
+   * @returns {Promise<{ sessionToken: string, sessionExpiresAt: Date, otpChannel: string, otpDestination: string, otpDelivered: boolean, signerName: string, document: Object }>}
+   * @throws {SignatureError} InvalidSigningLink jika link tidak valid, sudah dipakai, dicabut, atau kedaluwarsa.
+   */
+  async openSession(token, auditData = {}) {
+    const record = token ? await this.externalSigningTokenRepository.findByTokenHash(hashToken(token)) : null;
+    if (!record || record.usedAt || record.revokedAt || new Date(record.expiresAt) <= new Date()) {
+      throw SignatureError.InvalidSigningLink("Link tanda tangan tidak valid, sudah digunakan, atau sudah kedaluwarsa. Minta link baru ke pengirim dokumen.");
+    }
+
+    const { signerRequest } = record;
+    this._assertCanSign(signerRequest);
+
+    const sessionToken = crypto.randomBytes(32).toString("hex");
+    const sessionExpiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * MINUTE_MS);
+    const opened = await this.externalSigningTokenRepository.markAsUsed(record.id, {
+      sessionTokenHash: hashToken(sessionToken),
+      sessionExpiresAt,
+      ipAddress: auditData.ipAddress || null,
+      userAgent: auditData.userAgent || null,
+    });
+    if (!opened) throw SignatureError.InvalidSigningLink("Link tanda tangan sudah digunakan.");
+
+    const otp = await this._sendOtp(record);
+
+    return {
+      sessionToken,
+      sessionExpiresAt,
+      ...otp,
+      signerName: signerRequest.externalName,
+      document: { id: signerRequest.document.id, title: signerRequest.document.title, groupName: signerRequest.document.group?.name || null },
+    };
+  }
+
+  /**
+   * [PUBLIC] Mengirim ulang kode OTP untuk sesi yang belum terverifikasi.
+   * @param {string} sessionToken
+   * @returns {Promise<{ otpChannel: string, otpDestination: string }>}
+   * @throws {CommonError} BadRequest jika sesi sudah terverifikasi atau kode diminta terlalu cepat, ServiceUnavailable jika kode gagal dikirim.
+   */
+  async requestOtp(sessionToken) {
+    const session = await this._resolveSession(sessionToken, { requireOtp: false });
+    if (session.otpVerifiedAt) throw CommonError.BadRequest("Kode OTP sudah terverifikasi.");
+
+    if (session.otpSentAt) {
+      const waitSeconds = Math.ceil((new Date(session.otpSentAt).getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000);
+      if (waitSeconds > 0) throw CommonError.BadRequest(`Tunggu ${waitSeconds} detik sebelum meminta kode OTP baru.`);
+    }
+
+    const { otpDelivered, ...otp } = await this._sendOtp(session);
+    if (!otpDelivered) throw CommonError.ServiceUnavailable("Kode OTP gagal dikirim. Coba lagi beberapa saat.");
+
+    return otp;
+  }
+
+  /**
+   * [PUBLIC] Memverifikasi kode OTP sesi tanda tangan. Setelah terlalu banyak percobaan salah, sesi dicabut.
+   * @param {string} sessionToken
+   * @param {string} code - Kode OTP 6 digit.
+   * @returns {Promise<{ verified: true, otpVerifiedAt: Date }>}
+   * @throws {SignatureError} InvalidOtp jika kode salah/kedaluwarsa, InvalidSigningLink jika sesi dicabut.
+   */
+  async verifyOtp(sessionToken, code) {
+    const session = await this._resolveSession(sessionToken, { requireOtp: false });
+    if (session.otpVerifiedAt) return { verified: true, otpVerifiedAt: session.otpVerifiedAt };
+
+    if (!session.otpHash || new Date(session.otpExpiresAt) <= new Date()) {
+      throw SignatureError.InvalidOtp("Kode OTP sudah kedaluwarsa. Minta kode baru.");
+    }
+
+    const expected = Buffer.from(session.otpHash, "hex");
+    const received = Buffer.from(hashToken(String(code || "").trim()), "hex");
+    if (!crypto.timingSafeEqual(expected, received)) {
+      const attempts = (session.otpAttempts || 0) + 1;
+      if (attempts >= OTP_MAX_ATTEMPTS) {
+        await this.externalSigningTokenRepository.update(session.id, { otpAttempts: attempts, revokedAt: new Date() });
+        throw SignatureError.InvalidSigningLink("Terlalu banyak percobaan OTP salah. Sesi dibatalkan, minta link baru ke pengirim dokumen.");
+      }
+      await this.externalSigningTokenRepository.update(session.id, { otpAttempts: attempts });
+      throw SignatureError.InvalidOtp(`Kode OTP salah. Sisa percobaan: ${OTP_MAX_ATTEMPTS - attempts} kali.`);
+    }
+
+    const otpVerifiedAt = new Date();
+    await this.externalSigningTokenRepository.update(session.id, { otpVerifiedAt, otpHash: null });
+
+    return { verified: true, otpVerifiedAt };
+  }
+
+  /**
+   * [PUBLIC] Mengambil dokumen yang akan ditandatangani (hanya dokumen milik sesi ini).
+   * @param {string} sessionToken
+   * @returns {Promise<Object>} Info dokumen beserta signed URL file (berlaku 5 menit).
+   * @throws {SignatureError} OtpNotVerified jika OTP belum diverifikasi.
+   */
+  async getSigningDocument(sessionToken) {
+    const session = await this._resolveSession(sessionToken);
+    const { signerRequest } = session;
+    const { document } = signerRequest;
+
+    const fileUrl = await this.fileStorage.getSignedUrl(document.currentVersion.url, 300);
+
+    return {
+      documentId: document.id,
+      title: document.title,
+      groupName: document.group?.name || null,
+      signerName: signerRequest.externalName,
+      deadline: signerRequest.deadline || document.signingDeadline || null,
+      fileUrl,
+    };
+  }
+
+  /**
+   * [PUBLIC] Menandatangani dokumen dari sesi tanda tangan eksternal yang sudah diverifikasi OTP.
+   * Field yang ditempatkan signer (tanggal, paraf, teks, checkbox) disimpan seperti milik anggota grup.
+   * Sesi berakhir setelah tanda tangan tersimpan.
+   * @param {string} sessionToken
+   * @param {Object} signatureData - Data tanda tangan (gambar/ketik, posisi, tampilan, field, paraf berulang).
+   * @param {{ ipAddress?: string, userAgent?: string }} auditData
+   * @param {Object} [req] - Request Express untuk audit log.
+   * @returns {Promise<{ documentId: string, groupId: number, title: string, signerName: string, message: string, readyToFinalize: boolean, remainingSigners: number, nextStage: { order: number, signerIds: string[] }|null }>}
+   */
+  async signDocument(sessionToken, signatureData, auditData = {}, req = null) {
+    const session = await this._resolveSession(sessionToken);
+    const { signerRequest } = session;
+    const { document } = signerRequest;
+    await this._assertSigningTurn(document.id, signerRequest);
+
+    const { fields: rawFields, repeatInitials: rawRepeatInitials, ...rawSignatureData } = signatureData;
+    const resolvedSignature = await resolveTypedSignature(resolveSignatureAppearance(rawSignatureData));
+    const signedAt = new Date();
+    const fields = await resolveSignatureFields(rawFields, { signedAt, timezone: resolvedSignature.timezone });
+    const repeatInitials = await resolveRepeatedInitials(rawRepeatInitials);
+
+    const signature = await this.groupSignatureRepository.create({
+      ...resolvedSignature,
+      ...(repeatInitials && { repeatInitials }),
+      userId: null,
+      documentVersionId: document.currentVersionId,
+      status: "final",
+      ipAddress: auditData.ipAddress,
+      userAgent: auditData.userAgent,
+      otpVerifiedAt: session.otpVerifiedAt,
+      otpChannel: session.otpChannel,
+      signedAt,
+    });
+
+    const { count } = await this.groupDocumentSignerRepository.markAsSignedById(signerRequest.id, signature.id);
+    if (count === 0) {
+      await this.groupSignatureRepository.delete(signature.id);
+      throw CommonError.BadRequest("Permintaan tanda tangan sudah tidak aktif.");
+    }
+
+    if (fields.length > 0 && this.signatureFieldRepository) {
+      await this.signatureFieldRepository.replaceForExternalSigner(signerRequest.id, document.currentVersionId, fields);
+    }
+
+    await this.externalSigningTokenRepository.update(session.id, { sessionExpiresAt: new Date() });
+
+    if (this.auditService) {
+      const contact = signerRequest.externalEmail || signerRequest.externalPhone;
+      await this.auditService.log("SIGN_DOCUMENT_GROUP", null, document.id, `Penanda tangan eksternal ${signerRequest.externalName} (${contact}) menandatangani dokumen grup: ${document.title}`, req);
+    }
+
+    const pendingCount = await this.groupDocumentSignerRepository.countPendingSigners(document.id);
+    const rejectedCount = await this.groupDocumentSignerRepository.countRejectedSigners(document.id);
+    const expiredCount = await this.groupDocumentSignerRepository.countExpiredSigners(document.id);
+    const readyToFinalize = pendingCount === 0 && rejectedCount === 0 && expiredCount === 0;
+    const nextStage = pendingCount > 0 ? await this._startNextStage(document.id, signerRequest.order ?? 1, document.title) : null;
+
+    return {
+      documentId: document.id,
+      groupId: document.groupId,
+      title: document.title,
+      signerName: signerRequest.externalName,
+      message: "Tanda tangan berhasil disimpan. Terima kasih.",
+      readyToFinalize,
+      remainingSigners: pendingCount,
+      nextStage,
+    };
+  }
+
+  /**
+   * Tanda tangan berurutan: penanda tangan eksternal di tahap `order` menunggu semua signer PENDING di tahap sebelumnya.
+   * @private
+   * @throws {SignatureError} NotYourTurn jika tahap sebelumnya belum selesai.
+   */
+  async _assertSigningTurn(documentId, signerRequest) {
+    const order = signerRequest.order ?? 1;
+    if (order <= 1) return;
+
+    const waitingCount = await this.groupDocumentSignerRepository.countPendingBeforeOrder(documentId, order);
+    if (waitingCount > 0) throw SignatureError.NotYourTurn(waitingCount);
+  }
+
+  /**
+   * Jika tahap `completedOrder` sudah selesai, memberi tahu anggota di tahap aktif berikutnya lewat WhatsApp.
+   * Penanda tangan eksternal di tahap tersebut memakai link yang sudah dikirim saat diundang.
+   * @private
+   * @returns {Promise<{ order: number, signerIds: string[] }|null>} Tahap yang baru dimulai, atau null jika tahap belum selesai.
+   */
+  async _startNextStage(documentId, completedOrder, docTitle) {
+    const stage = await this.groupDocumentSignerRepository.findActiveStage(documentId);
+    if (!stage || stage.order <= completedOrder) return null;
+
+    for (const { user } of stage.signers) {
+      if (!user?.phoneNumber) continue;
+
+      const message = `Halo *${user.name}*! 👋
+
+Tahap sebelumnya sudah selesai. Sekarang giliran Anda menandatangani dokumen *${docTitle}*.
+
+Silakan buka aplikasi untuk meninjau dan menandatanganinya.
+
+Terima kasih.`;
+      this.sendWhatsapp(user.phoneNumber, message).catch((err) => console.error("[ExternalSigningService] Gagal mengirim notifikasi giliran tanda tangan:", err.message));
+    }
+
+    return { order: stage.order, signerIds: stage.signers.map((signer) => signer.userId).filter(Boolean) };
+  }
+
+  /**
+   * Memastikan requestor adalah Admin Grup atau pemilik dokumen grup yang belum selesai.
+   * @private
+   */
+  async _authorizeManager(groupId, documentId, requestorId) {
+    const member = await this.groupMemberRepository.findByGroupAndUser(groupId, requestorId);
+    if (!member) throw GroupError.UnauthorizedAccess("Anda bukan anggota grup ini.");
+
+    const document = await this.documentRepository.findById(documentId, requestorId);
+    if (!document || document.groupId !== groupId) {
+      throw GroupError.NotFound("Dokumen tidak ditemukan di dalam grup ini.");
+    }
+
+    if (member.role !== "admin_group" && document.userId !== requestorId) {
+      throw GroupError.UnauthorizedAccess("Hanya Admin atau Pemilik Dokumen yang dapat mengatur penanda tangan eksternal.");
+    }
+
+    if (document.status === "completed" || document.status === "archived") {
+      throw CommonError.BadRequest("Tidak dapat mengubah penanda tangan untuk dokumen yang sudah selesai.");
+    }
+
+    return document;
+  }
+
+  /**
+   * Mengambil sesi aktif dari token sesi (header `X-Signing-Session`).
+   * @private
+   */
+  async _resolveSession(sessionToken, { requireOtp = true } = {}) {
+    if (!sessionToken) throw SignatureError.InvalidSigningLink("Sesi tanda tangan tidak ditemukan.");
+
+    const session = await this.externalSigningTokenRepository.findBySessionHash(hashToken(sessionToken));
+    if (!session || session.revokedAt || !session.sessionExpiresAt || new Date(session.sessionExpiresAt) <= new Date()) {
+      throw SignatureError.InvalidSigningLink("Sesi tanda tangan sudah berakhir. Minta link baru ke pengirim dokumen.");
+    }
+
+    this._assertCanSign(session.signerRequest);
+    if (requireOtp && !session.otpVerifiedAt) throw SignatureError.OtpNotVerified();
+
+    return session;
+  }
+
+  /**
+   * Permintaan tanda tangan harus masih PENDING, dokumen masih menunggu tanda tangan, dan tenggat belum lewat.
+   * @private
+   */
+  _assertCanSign(signerRequest) {
+    const document = signerRequest?.document;
+    if (!signerRequest || signerRequest.userId || signerRequest.status !== "PENDING") {
+      throw SignatureError.InvalidSigningLink("Permintaan tanda tangan sudah tidak aktif.");
+    }
+    if (!document || document.deletedAt || document.status !== "pending" || !document.currentVersionId) {
+      throw SignatureError.InvalidSigningLink("Dokumen sudah tidak menunggu tanda tangan.");
+    }
+
+    // Tenggat bisa lewat sebelum cron sempat menandai permintaan sebagai EXPIRED
+    const deadline = signerRequest.deadline || document.signingDeadline;
+    if (deadline && new Date(deadline) <= new Date()) {
+      throw CommonError.BadRequest("Batas waktu tanda tangan sudah lewat. Hubungi pengirim dokumen untuk memperpanjang tenggat.");
+    }
+  }
+
+  /**
+   * Membuat token link baru (hanya hash yang disimpan) lalu mengirimkannya ke penanda tangan.
+   * @private
+   */
+  async _issueLink(signer, document) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const linkExpiresAt = new Date(Date.now() + EXTERNAL_LINK_TTL_HOURS * HOUR_MS);
+    await this.externalSigningTokenRepository.create({ signerRequestId: signer.id, tokenHash: hashToken(token), expiresAt: linkExpiresAt });
+
+    const appUrl = (process.env.SITE_URL || process.env.CLIENT_URL || "http://localhost:5173").replace(/\/$/, "");
+    const signingLink = `${appUrl}/external-sign/${token}`;
+
+    const expiryLabel = linkExpiresAt.toLocaleString("id-ID", { day: "numeric", month: "long", year: "numeric", hour: "2-digit", minute: "2-digit" });
+    const groupName = document.group?.name || "Signify Group";
+    const message = `Halo *${signer.externalName}*! 👋
+
+Anda diminta untuk menandatangani dokumen dari *${groupName}*.
+
+📄 Judul: *${document.title}*
+
+Buka link berikut untuk meninjau dan menandatangani dokumen (tanpa perlu membuat akun):
+👉 ${signingLink}
+
+Link hanya dapat dibuka satu kali dan berlaku sampai ${expiryLabel}.
+
+Terima kasih.`;
+
+    let delivered = false;
+    try {
+      const result = signer.externalPhone ? await this.sendWhatsapp(signer.externalPhone, message) : await this.sendEmail(signer.externalEmail, `Permintaan tanda tangan: ${document.title}`, message.replace(/\*/g, ""));
+      delivered = isDelivered(result);
+    } catch (error) {
+      console.error(`[ExternalSigningService] Gagal mengirim link tanda tangan ke signer ${signer.id}:`, error.message);
+    }
+
+    return { signingLink, linkExpiresAt, delivered };
+  }
+
+  /**
+   * Membuat kode OTP baru untuk sesi dan mengirimkannya lewat WhatsApp (jika ada nomor HP) atau email.
+   * Jika pengiriman gagal, kode dibuang dan jeda kirim ulang direset sehingga kode baru dapat langsung diminta.
+   * @private
+   */
+  async _sendOtp(session) {
+    const { signerRequest } = session;
+    const otpChannel = signerRequest.externalPhone ? "whatsapp" : "email";
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+    await this.externalSigningTokenRepository.update(session.id, {
+      otpHash: hashToken(code),
+      otpExpiresAt: new Date(Date.now() + OTP_TTL_MINUTES * MINUTE_MS),
+      otpSentAt: new Date(),
+      otpAttempts: 0,
+      otpChannel,
+    });
+
+    const message = `Kode OTP tanda tangan dokumen "${signerRequest.document.title}": ${code}
+
+Kode berlaku ${OTP_TTL_MINUTES} menit. Jangan bagikan kode ini kepada siapa pun.`;
+
+    let otpDelivered = false;
+    try {
+      const result =
+        otpChannel === "whatsapp" ? await this.sendWhatsapp(signerRequest.externalPhone, message) : await this.sendEmail(signerRequest.externalEmail, "Kode OTP tanda tangan dokumen", message);
+      otpDelivered = isDelivered(result);
+    } catch (error) {
+      console.error(`[ExternalSigningService] Gagal mengirim OTP untuk sesi ${session.id}:`, error.message);
+    }
+
+    if (!otpDelivered) {
+      await this.externalSigningTokenRepository.update(session.id, { otpHash: null, otpExpiresAt: null, otpSentAt: null });
+    }
+
+    return {
+      otpChannel,
+      otpDestination: otpChannel === "whatsapp" ? maskPhone(signerRequest.externalPhone) : maskEmail(signerRequest.externalEmail),
+      otpDelivered,
+    };
+  }
+
+  /** @private */
+  _emitSignerUpdate(groupId, documentId, message) {
+    if (!this.io) return;
+    this.io.to(`group_${groupId}`).emit("group_document_update", {
+      action: "signer_update",
+      documentId,
+      message,
+    });
+  }
+}
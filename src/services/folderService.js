@@ -0,0 +1,229 @@
+import CommonError from "../errors/CommonError.js";
+import FolderError from "../errors/FolderError.js";
+import { MAX_BULK_DOCUMENTS, assertDocumentsInScope, isOwnPersonalResource, resolveOrganizationScope } from "../utils/documentOrganization.js";
+
+/** Kedalaman maksimal folder bertingkat (folder root = kedalaman 1). */
+export const MAX_FOLDER_DEPTH = 10;
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Service folder dokumen bertingkat.
+ * Folder personal hanya dapat diakses pemiliknya; folder grup dipakai bersama oleh anggota grup:
+ * semua anggota dapat melihat, `signer` dan `admin_group` dapat memindahkan dokumen,
+ * dan hanya `admin_group` yang dapat membuat, mengganti nama, memindahkan, atau menghapus folder.
+ */
+export class FolderService {
+  /**
+   * @param {Object} folderRepository - Repository folder.
+   * @param {Object} documentRepository - Repository dokumen (validasi dokumen yang dipindahkan).
+   * @param {Object} groupMemberRepository - Repository anggota grup (validasi role).
+   */
+  constructor(folderRepository, documentRepository, groupMemberRepository) {
+    if (!folderRepository || !documentRepository || !groupMemberRepository) {
+      throw new Error("Folder repository, document repository, dan group member repository harus disediakan.");
+    }
+    this.folderRepository = folderRepository;
+    this.documentRepository = documentRepository;
+    this.groupMemberRepository = groupMemberRepository;
+  }
+
+  /**
+   * Mengambil pohon folder personal user atau folder grup.
+   * @param {string} userId
+   * @param {number|null} [groupId=null] - null untuk folder personal.
+   * @returns {Promise<object[]>} Folder root beserta `children` bertingkat dan `documentCount`.
+   */
+  async listFolders(userId, groupId = null) {
+    const scope = await resolveOrganizationScope(this.groupMemberRepository, userId, groupId, "view");
+    const folders = await this.folderRepository.findAllByScope(scope);
+    return this._buildTree(folders);
+  }
+
+  /**
+   * Membuat folder baru. Jika `parentId` diisi, cakupan (personal/grup) mengikuti folder parent.
+   * @param {string} userId
+   * @param {{ name: string, parentId?: string|null, groupId?: number|null }} data
+   * @returns {Promise<object>}
+   * @throws {FolderError} NotFound, DuplicateName, InvalidMove (terlalu dalam / beda grup).
+   */
+  async createFolder(userId, { name, parentId = null, groupId = null }) {
+    const folderName = name.trim();
+    let scope;
+    if (parentId) {
+      const { folder: parent, scope: parentScope } = await this._getAccessibleFolder(userId, parentId, "manage");
+      if (groupId !== null && groupId !== parent.groupId) {
+        throw FolderError.InvalidMove("Folder parent berada pada cakupan yang berbeda.");
+      }
+      scope = parentScope;
+    } else {
+      scope = await resolveOrganizationScope(this.groupMemberRepository, userId, groupId, "manage");
+    }
+
+    const folders = await this.folderRepository.findAllByScope(scope);
+    this._assertUniqueName(folders, folderName, parentId);
+    if (parentId && this._depthOf(folders, parentId) + 1 > MAX_FOLDER_DEPTH) {
+      throw FolderError.InvalidMove(`Kedalaman folder maksimal ${MAX_FOLDER_DEPTH} tingkat.`);
+    }
+
+    return this.folderRepository.create({ name: folderName, userId, groupId: scope.groupId, parentId });
+  }
+
+  /**
+   * Mengganti nama dan/atau memindahkan folder ke parent lain (`parentId: null` = ke root).
+   * @param {string} userId
+   * @param {string} folderId
+   * @param {{ name?: string, parentId?: string|null }} data
+   * @returns {Promise<object>}
+   * @throws {FolderError} NotFound, DuplicateName, InvalidMove (siklus, terlalu dalam).
+   */
+  async updateFolder(userId, folderId, { name, parentId } = {}) {
+    const { folder, scope } = await this._getAccessibleFolder(userId, folderId, "manage");
+    const folders = await this.folderRepository.findAllByScope(scope);
+
+    const data = {};
+    const nextName = name !== undefined ? name.trim() : folder.name;
+    const nextParentId = parentId !== undefined ? parentId : folder.parentId;
+
+    if (parentId !== undefined && parentId !== folder.parentId) {
+      if (parentId !== null) {
+        if (!folders.some((item) => item.id === parentId)) throw FolderError.NotFound(parentId);
+        if (parentId === folderId || this._ancestorIds(folders, parentId).includes(folderId)) {
+          throw FolderError.InvalidMove("Folder tidak dapat dipindahkan ke dalam dirinya sendiri atau sub-foldernya.");
+        }
+        if (this._depthOf(folders, parentId) + this._subtreeHeight(folders, folderId) > MAX_FOLDER_DEPTH) {
+          throw FolderError.InvalidMove(`Kedalaman folder maksimal ${MAX_FOLDER_DEPTH} tingkat.`);
+        }
+      }
+      data.parentId = parentId;
+    }
+    if (name !== undefined) data.name = nextName;
+
+    if (Object.keys(data).length === 0) return folder;
+
+    this._assertUniqueName(
+      folders.filter((item) => item.id !== folderId),
+      nextName,
+      nextParentId
+    );
+
+    return this.folderRepository.update(folderId, data);
+  }
+
+  /**
+   * Menghapus folder. Sub-folder dan dokumen di dalamnya dipindah ke parent folder (tidak ikut terhapus).
+   * @param {string} userId
+   * @param {string} folderId
+   * @returns {Promise<{ id: string, movedToFolderId: string|null }>}
+   */
+  async deleteFolder(userId, folderId) {
+    const { folder } = await this._getAccessibleFolder(userId, folderId, "manage");
+    await this.folderRepository.deleteAndReparent(folder);
+    return { id: folder.id, movedToFolderId: folder.parentId };
+  }
+
+  /**
+   * Memindahkan dokumen ke folder. `folderId: null` mengeluarkan dokumen dari folder;
+   * cakupannya diambil dari `groupId` (null = dokumen personal).
+   * @param {string} userId
+   * @param {{ documentIds: string[], folderId?: string|null, groupId?: number|null }} data
+   * @returns {Promise<{ folderId: string|null, movedCount: number }>}
+   * @throws {FolderError} InvalidMove jika ada dokumen di luar cakupan folder.
+   */
+  async moveDocuments(userId, { documentIds, folderId = null, groupId = null }) {
+    const ids = [...new Set(documentIds)];
+    if (ids.length === 0 || ids.length > MAX_BULK_DOCUMENTS) {
+      throw CommonError.BadRequest(`Jumlah dokumen harus antara 1 dan ${MAX_BULK_DOCUMENTS}.`);
+    }
+
+    const scope = folderId ? (await this._getAccessibleFolder(userId, folderId, "organize")).scope : await resolveOrganizationScope(this.groupMemberRepository, userId, groupId, "organize");
+
+    await assertDocumentsInScope(this.documentRepository, ids, scope, () =>
+      FolderError.InvalidMove(scope.groupId ? "Hanya dokumen grup ini yang dapat dipindahkan ke folder grup." : "Hanya dokumen personal milik Anda yang dapat dipindahkan ke folder personal.")
+    );
+
+    const movedCount = await this.folderRepository.moveDocuments(ids, folderId);
+    return { folderId, movedCount };
+  }
+
+  /**
+   * Mengambil folder dan memvalidasi akses user. Folder personal milik orang lain diperlakukan tidak ditemukan.
+   * @private
+   */
+  async _getAccessibleFolder(userId, folderId, action) {
+    const folder = await this.folderRepository.findById(folderId);
+    if (!folder) throw FolderError.NotFound(folderId);
+
+    if (!folder.groupId) {
+      if (!isOwnPersonalResource(folder, userId)) throw FolderError.NotFound(folderId);
+      return { folder, scope: { userId, groupId: null } };
+    }
+
+    const scope = await resolveOrganizationScope(this.groupMemberRepository, userId, folder.groupId, action);
+    return { folder, scope };
+  }
+
+  /** @private */
+  _assertUniqueName(folders, name, parentId) {
+    const siblings = folders.filter((item) => (item.parentId || null) === (parentId || null));
+    if (siblings.some((item) => sameName(item.name, name))) throw FolderError.DuplicateName(name);
+  }
+
+  /**
+   * ID leluhur folder, dari parent terdekat sampai root.
+   * @private
+   */
+  _ancestorIds(folders, folderId) {
+    const byId = new Map(folders.map((item) => [item.id, item]));
+    const ancestors = [];
+    let current = byId.get(folderId)?.parentId;
+    while (current && !ancestors.includes(current)) {
+      ancestors.push(current);
+      current = byId.get(current)?.parentId;
+    }
+    return ancestors;
+  }
+
+  /** @private */
+  _depthOf(folders, folderId) {
+    return this._ancestorIds(folders, folderId).length + 1;
+  }
+
+  /**
+   * Tinggi sub-pohon folder (folder tanpa anak = 1).
+   * @private
+   */
+  _subtreeHeight(folders, folderId) {
+    const children = folders.filter((item) => item.parentId === folderId);
+    return 1 + Math.max(0, ...children.map((child) => this._subtreeHeight(folders, child.id)));
+  }
+
+  /**
+   * Menyusun daftar folder datar menjadi pohon.
+   * @private
+   */
+  _buildTree(folders) {
+    const nodes = new Map(
+      folders.map((folder) => [
+        folder.id,
+        {
+          id: folder.id,
+          name: folder.name,
+          parentId: folder.parentId,
+          groupId: folder.groupId,
+          documentCount: folder._count?.documents || 0,
+          createdAt: folder.createdAt,
+          updatedAt: folder.updatedAt,
+          children: [],
+        },
+      ])
+    );
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId) : null;
+      (parent ? parent.children : roots).push(node);
+    }
+    return roots;
+  }
+}
@@ -3,6 +3,13 @@ import GroupError from "../errors/GroupError.js";
 import DocumentError from "../errors/DocumentError.js";
 import CommonError from "../errors/CommonError.js";
 import { sendWhatsappNotification } from "../utils/whatsappSender.js";
+import { DocumentConversionService } from "./documentConversionService.js";
+import { DEFAULT_PAGE_SIZE, buildPageMeta, toDateRange } from "../utils/pagination.js";
+
+/** Klaim finalisasi (status `finalizing`) yang lebih lama dari ini dianggap macet dan dapat diklaim ulang (menit). */
+export const FINALIZATION_CLAIM_TIMEOUT_MINUTES = Number(process.env.FINALIZATION_CLAIM_TIMEOUT_MINUTES) || 15;
+
+const staleClaimBefore = () => new Date(Date.now() - FINALIZATION_CLAIM_TIMEOUT_MINUTES * 60 * 1000);
 
 /**
  * Service class for handling business logic related to Groups, Members, Invitations, and Group Documents.
@@ -23,9 +30,13 @@ export class GroupService {
    * @param {Object} groupSignatureRepository - Repository for Group Signature entity.
    * @param {Object} [io] - Socket.IO instance for realtime communication.
    * @param {object} userService for user
+   * @param {DocumentConversionService} [documentConversionService] - Converter for Word -> PDF uploads.
+   * @param {Object} [signatureFieldRepository] - Repository for non-signature fields (date, initials, text, checkbox).
+   * @param {Object} [documentService] - Document service, used to store new revisions of group documents.
+   * @param {Object} [documentSearchService] - Full-text search indexer for document contents.
    * @throws {Error} Throws if mandatory repositories or services are missing.
    */
-  constructor(groupRepository, groupMemberRepository, groupInvitationRepository, documentRepository, fileStorage, groupDocumentSignerRepository, versionRepository, pdfService, groupSignatureRepository, io, userService) {
+  constructor(groupRepository, groupMemberRepository, groupInvitationRepository, documentRepository, fileStorage, groupDocumentSignerRepository, versionRepository, pdfService, groupSignatureRepository, io, userService, documentConversionService = new DocumentConversionService(), signatureFieldRepository = null, documentService = null, documentSearchService = null) {
     if (!groupRepository || !groupMemberRepository || !groupInvitationRepository || !documentRepository || !fileStorage || !versionRepository || !pdfService || !groupSignatureRepository || !userService) {
       throw new Error("Repository utama dan FileStorage harus disediakan.");
     }
@@ -41,6 +52,10 @@ export class GroupService {
     this.groupSignatureRepository = groupSignatureRepository;
     this.io = io;
     this.userService = userService;
+    this.documentConversionService = documentConversionService;
+    this.signatureFieldRepository = signatureFieldRepository;
+    this.documentService = documentService;
+    this.documentSearchService = documentSearchService;
   }
 
   async _isPremium(userId) {
@@ -364,15 +379,28 @@ export class GroupService {
   }
 
   /**
-   * Retrieves all groups where the user is a member.
+   * Retrieves a page of groups where the user is a member.
    * @param {string} userId - The ID of the user.
-   * @returns {Promise<Array<Object>>} List of group summaries including counts.
+   * @param {{ page?: number, limit?: number, sortBy?: string, sortOrder?: string, filters?: { dateFrom?: Date, dateTo?: Date } }} [listOptions] - Result of `parseListQuery`.
+   * @returns {Promise<{ data: Array<Object>, meta: Object }>} Group summaries including counts, plus pagination metadata.
    */
-  async getAllUserGroups(userId) {
-    const memberships = await this.groupMemberRepository.findAllByUserId(userId, {
-      include: { group: { include: { _count: { select: { members: true, documents: true } }, admin: { select: { userStatus: true } } } } },
-    });
-    return memberships
+  async getAllUserGroups(userId, listOptions = {}) {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE, sortBy = "createdAt", sortOrder = "desc", filters = {} } = listOptions;
+    const createdAt = toDateRange(filters);
+    const where = createdAt ? { group: { createdAt } } : {};
+
+    const [memberships, total] = await Promise.all([
+      this.groupMemberRepository.findAllByUserId(userId, {
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: [{ group: { [sortBy]: sortOrder } }, { groupId: "asc" }],
+        include: { group: { include: { _count: { select: { members: true, documents: true } }, admin: { select: { userStatus: true } } } } },
+      }),
+      this.groupMemberRepository.countByUserId(userId, where),
+    ]);
+
+    const data = memberships
       .map(
         (m) =>
           m.group && {
@@ -382,23 +410,28 @@ export class GroupService {
             members_count: m.group._count ? m.group._count.members : 0,
             adminStatus: m.group.admin ? m.group.admin.userStatus : "FREE",
             ownerId: m.group.adminId,
+            createdAt: m.group.createdAt,
+            updatedAt: m.group.updatedAt,
           }
       )
       .filter(Boolean);
+
+    return { data, meta: buildPageMeta(total, { page, limit }) };
   }
 
   /**
-   * Updates the list of signers for a specific group document.
+   * Updates the list of signers for a specific group document, including their signing order.
+   * Signers sharing the same `order` form a parallel stage; a stage can only sign after every earlier stage is done.
    * Emits a 'signer_update' socket event and returns the updated document object.
    * @param {number|string} groupId - The ID of the group.
    * @param {string} documentId - The ID of the document.
    * @param {string} adminId - The ID of the admin performing the update.
-   * @param {string[]} newUserIds - List of user IDs representing the new signers.
+   * @param {Array<string|{ userId: string, order: number }>} newSigners - User IDs (stage 1) or users with their stage order.
    * @returns {Promise<Object>} The updated document object.
    * @throws {GroupError} If access denied or document not found.
-   * @throws {CommonError} If attempting to modify a completed document or removing a user who has already signed.
+   * @throws {CommonError} If attempting to modify a completed document, removing a user who has already signed, or the order is invalid.
    */
-  async updateGroupDocumentSigners(groupId, documentId, requestorId, newUserIds) {
+  async updateGroupDocumentSigners(groupId, documentId, requestorId, newSigners) {
     // 1. Cek Membership
     const member = await this.groupMemberRepository.findByGroupAndUser(groupId, requestorId);
     if (!member) {
@@ -423,12 +456,25 @@ export class GroupService {
       throw CommonError.BadRequest("Tidak dapat mengubah penanda tangan untuk dokumen yang sudah selesai.");
     }
 
+    // Urutan tanda tangan: ID user saja = tahap 1 (paralel), atau { userId, order } untuk tahap berurutan
+    const signers = newSigners.map((signer) => (typeof signer === "string" ? { userId: signer, order: 1 } : { userId: signer.userId, order: Number(signer.order ?? 1) }));
+    if (signers.some((signer) => !Number.isInteger(signer.order) || signer.order < 1)) {
+      throw CommonError.BadRequest("Urutan penanda tangan harus berupa bilangan bulat minimal 1.");
+    }
+    const newUserIds = signers.map((signer) => signer.userId);
+    if (new Set(newUserIds).size !== newUserIds.length) {
+      throw CommonError.BadRequest("Penanda tangan tidak boleh duplikat.");
+    }
+
     // --- Proses Diffing (Tambah/Hapus Signer) ---
-    const currentSigners = document.signerRequests || [];
+    // Penanda tangan eksternal (tanpa akun) dikelola terpisah dan tidak ikut di-diff
+    const currentSigners = (document.signerRequests || []).filter((s) => s.userId);
+    const externalSignerCount = (document.signerRequests || []).length - currentSigners.length;
     const currentSignerIds = currentSigners.map((s) => s.userId);
 
-    const toAdd = newUserIds.filter((id) => !currentSignerIds.includes(id));
+    const toAdd = signers.filter((signer) => !currentSignerIds.includes(signer.userId));
     const toRemove = currentSignerIds.filter((id) => !newUserIds.includes(id));
+    const toReorder = signers.filter((signer) => currentSigners.some((s) => s.userId === signer.userId && (s.order ?? 1) !== signer.order));
 
     // Validasi: Jangan hapus user yang sudah 'SIGNED'
     for (const userId of toRemove) {
@@ -446,10 +492,13 @@ export class GroupService {
     if (toAdd.length > 0) {
       dbPromises.push(this.groupDocumentSignerRepository.createSigners(documentId, toAdd));
     }
+    for (const { userId, order } of toReorder) {
+      dbPromises.push(this.groupDocumentSignerRepository.updateSignerOrder(documentId, userId, order));
+    }
     await Promise.all(dbPromises);
 
     // Update Status Dokumen (Draft <-> Pending)
-    const allSignersCount = newUserIds.length;
+    const allSignersCount = newUserIds.length + externalSignerCount;
     let newStatus = document.status;
     if (allSignersCount > 0 && newStatus === "draft") {
       newStatus = "pending";
@@ -529,7 +578,8 @@ export class GroupService {
   }
 
   /**
-   * Uploads a new PDF document directly to the group and assigns signers.
+   * Uploads a new PDF (or Word, converted to PDF) document directly to the group and assigns signers.
+   * The original Word file is kept as a SOURCE attachment.
    * Emits a 'new_document' socket event and sends WhatsApp notifications.
    * @param {string} userId - The ID of the uploader.
    * @param {number|string} groupId - The ID of the group.
@@ -538,13 +588,16 @@ export class GroupService {
    * @param {string[]} signerUserIds - List of user IDs required to sign.
    * @returns {Promise<Object>} The newly created document object.
    * @throws {GroupError} If user is not a member.
-   * @throws {CommonError} If the file is not a PDF.
+   * @throws {CommonError} If the file is not a PDF or Word document.
+   * @throws {DocumentError} If the Word to PDF conversion fails.
    */
   async uploadGroupDocument(userId, groupId, file, title, signerUserIds) {
     const member = await this.groupMemberRepository.findByGroupAndUser(groupId, userId);
     if (!member) throw GroupError.UnauthorizedAccess("Anda bukan anggota grup ini.");
 
-    if (file.mimetype !== "application/pdf") throw CommonError.BadRequest("Hanya file PDF yang diizinkan.");
+    if (file.mimetype !== "application/pdf" && !this.documentConversionService.isConvertible(file)) {
+      throw CommonError.BadRequest("Hanya file PDF atau Word yang diizinkan.");
+    }
 
     // 1. [LIMIT] Cek Size File (Berdasarkan User Pengupload)
     const isUploaderPremium = await this._isPremium(userId);
@@ -565,8 +618,11 @@ export class GroupService {
       throw CommonError.Forbidden(`Penyimpanan grup penuh (${maxFiles} dokumen). ${!isAdminPremium ? "Upgrade Admin Grup ke Premium untuk kapasitas 100 dokumen." : ""}`);
     }
 
-    const filePath = await this.fileStorage.uploadDocument(file, userId);
-    const hash = crypto.createHash("sha256").update(file.buffer).digest("hex");
+    // 3. Konversi Word -> PDF (file asli disimpan sebagai lampiran)
+    const { file: pdfFile, sourceFile } = await this.documentConversionService.prepareUpload(file);
+
+    const filePath = await this.fileStorage.uploadDocument(pdfFile, userId);
+    const hash = crypto.createHash("sha256").update(pdfFile.buffer).digest("hex");
 
     // [NEW] Cek Duplikasi File di dalam Grup (Same Hash + Same Group)
     // Menggunakan prisma instance dari repository jika tersedia
@@ -597,6 +653,19 @@ export class GroupService {
     }
 
     const newDoc = await this.documentRepository.createGroupDocument(userId, groupId, title, filePath, hash, signerUserIds);
+    // Indeks full-text search berjalan di background (tidak menggagalkan upload)
+    this.documentSearchService?.indexVersion(newDoc.currentVersionId, pdfFile.buffer);
+
+    if (sourceFile) {
+      const attachmentUrl = await this.fileStorage.uploadAttachment(sourceFile, userId);
+      await this.documentRepository.createAttachment(newDoc.id, {
+        url: attachmentUrl,
+        fileName: sourceFile.originalname,
+        mimeType: sourceFile.mimetype,
+        size: sourceFile.size,
+        kind: "SOURCE",
+      });
+    }
 
     if (signerUserIds && signerUserIds.length > 0) {
       const groupName = member.group ? member.group.name : "Grup Dokumen";
@@ -622,6 +691,174 @@ export class GroupService {
     return newDoc;
   }
 
+  /**
+   * Uploads a corrected file as the next version of an existing group document.
+   * Only the group admin or the document owner may upload a revision. Pending signature drafts on the
+   * previous version are discarded, signers who declined are asked to sign again (REJECTED -> PENDING),
+   * and members are notified via a 'new_version' socket event.
+   * @param {number|string} groupId - The ID of the group.
+   * @param {string} documentId - The ID of the document.
+   * @param {string} userId - The ID of the uploader.
+   * @param {Object} file - The file object (from Multer).
+   * @param {string} description - Description of the changes in this revision.
+   * @returns {Promise<Object>} The updated document object.
+   * @throws {GroupError} If user is not a member, not admin/owner, or the document is not in the group.
+   * @throws {CommonError} If the document is locked, already signed, or the version limit is reached.
+   * @throws {DocumentError} If the file is identical to an existing version or conversion fails.
+   */
+  async uploadGroupDocumentVersion(groupId, documentId, userId, file, description) {
+    if (!this.documentService) {
+      throw CommonError.InternalServerError("Layanan dokumen belum dikonfigurasi.");
+    }
+
+    const member = await this.groupMemberRepository.findByGroupAndUser(groupId, userId);
+    if (!member) throw GroupError.UnauthorizedAccess("Anda bukan anggota grup ini.");
+
+    const document = await this.documentRepository.findById(documentId, userId);
+    if (!document || document.groupId !== groupId) {
+      throw GroupError.NotFound("Dokumen tidak ditemukan di dalam grup ini.");
+    }
+
+    if (member.role !== "admin_group" && document.userId !== userId) {
+      throw GroupError.UnauthorizedAccess("Hanya Admin atau Pemilik Dokumen yang dapat mengunggah revisi dokumen.");
+    }
+
+    const updatedDocument = await this.documentService.uploadNewVersion(documentId, userId, file, description);
+
+    // Signer yang menolak versi lama diminta meninjau ulang revisi ini
+    if (this.groupDocumentSignerRepository) {
+      await this.groupDocumentSignerRepository.reopenRejectedSigners(documentId);
+    }
+
+    if (this.io) {
+      this.io.to(`group_${groupId}`).emit("group_document_update", {
+        action: "new_version",
+        actorId: userId,
+        documentId,
+        document: updatedDocument,
+        uploaderName: member.user?.name || "Anggota Grup",
+        message: `Revisi baru untuk dokumen "${document.title}" telah diunggah.`,
+      });
+    }
+
+    return updatedDocument;
+  }
+
+  /**
+   * Cancels the current signing round of a group document, e.g. after a signer declined.
+   * All signatures on the current version and all signer requests are removed and the document returns to draft,
+   * so it can be revised and sent for signing again. Emits a 'signing_cancelled' socket event.
+   * @param {number|string} groupId - The ID of the group.
+   * @param {string} documentId - The ID of the document.
+   * @param {string} requestorId - The ID of the group admin or document owner.
+   * @returns {Promise<Object>} The updated document object.
+   * @throws {GroupError} If user is not admin/owner or the document is not in the group.
+   * @throws {CommonError} If the document is not waiting for signatures.
+   */
+  async cancelSigningRound(groupId, documentId, requestorId) {
+    const member = await this.groupMemberRepository.findByGroupAndUser(groupId, requestorId);
+    if (!member) throw GroupError.UnauthorizedAccess("Anda bukan anggota grup ini.");
+
+    const document = await this.documentRepository.findFirst({ where: { id: documentId, groupId } });
+    if (!document) throw GroupError.NotFound("Dokumen tidak ditemukan di dalam grup ini.");
+
+    if (member.role !== "admin_group" && document.userId !== requestorId) {
+      throw GroupError.UnauthorizedAccess("Hanya Admin atau Pemilik Dokumen yang dapat membatalkan putaran tanda tangan.");
+    }
+
+    if (document.status !== "pending") {
+      throw CommonError.BadRequest("Hanya dokumen yang sedang menunggu tanda tangan yang dapat dibatalkan.");
+    }
+
+    if (document.currentVersionId) {
+      await this.groupSignatureRepository.deleteBySignerAndVersion(null, document.currentVersionId);
+    }
+    await this.groupDocumentSignerRepository.deleteByDocumentId(documentId);
+    await this.documentRepository.update(documentId, { status: "draft" });
+
+    if (this.io) {
+      this.io.to(`group_${groupId}`).emit("group_document_update", {
+        action: "signing_cancelled",
+        actorId: requestorId,
+        documentId,
+        message: `Putaran tanda tangan dokumen "${document.title}" dibatalkan.`,
+      });
+    }
+
+    return this.documentRepository.findById(documentId, requestorId);
+  }
+
+  /**
+   * Sets or clears the signing deadline of a group document and/or of individual signers.
+   * A signer deadline overrides the document deadline. Expired signer requests that receive a new deadline
+   * are reopened (PENDING) and their reminders start over. Emits a 'deadline_update' socket event.
+   * @param {number|string} groupId - The ID of the group.
+   * @param {string} documentId - The ID of the document.
+   * @param {string} requestorId - The ID of the group admin or document owner.
+   * @param {{ deadline?: string|null, signerDeadlines?: { userId: string, deadline: string|null }[] }} data
+   *   `deadline` undefined = tidak diubah, null = dihapus.
+   * @returns {Promise<Object>} The updated document object.
+   * @throws {GroupError} If user is not admin/owner or the document is not in the group.
+   * @throws {CommonError} If the document is already completed, a date is invalid/past, or a user is not a signer.
+   */
+  async updateSigningDeadline(groupId, documentId, requestorId, { deadline, signerDeadlines = [] } = {}) {
+    const member = await this.groupMemberRepository.findByGroupAndUser(groupId, requestorId);
+    if (!member) throw GroupError.UnauthorizedAccess("Anda bukan anggota grup ini.");
+
+    const document = await this.documentRepository.findById(documentId, requestorId);
+    if (!document || document.groupId !== groupId) {
+      throw GroupError.NotFound("Dokumen tidak ditemukan di dalam grup ini.");
+    }
+
+    if (member.role !== "admin_group" && document.userId !== requestorId) {
+      throw GroupError.UnauthorizedAccess("Hanya Admin atau Pemilik Dokumen yang dapat mengatur batas waktu tanda tangan.");
+    }
+
+    if (document.status === "completed" || document.status === "archived") {
+      throw CommonError.BadRequest("Tidak dapat mengatur batas waktu untuk dokumen yang sudah selesai.");
+    }
+
+    const signerIds = new Set((document.signerRequests || []).map((signer) => signer.userId));
+    const signerUpdates = signerDeadlines.map((item) => {
+      if (!signerIds.has(item.userId)) {
+        throw CommonError.BadRequest(`User ${item.userId} bukan penanda tangan dokumen ini.`);
+      }
+      return { userId: item.userId, deadline: this._parseDeadline(item.deadline) };
+    });
+
+    if (deadline !== undefined) {
+      await this.documentRepository.update(documentId, { signingDeadline: this._parseDeadline(deadline) });
+      await this.groupDocumentSignerRepository.resetDocumentDeadline(documentId);
+    }
+    for (const item of signerUpdates) {
+      await this.groupDocumentSignerRepository.setSignerDeadline(documentId, item.userId, item.deadline);
+    }
+
+    if (this.io) {
+      this.io.to(`group_${groupId}`).emit("group_document_update", {
+        action: "deadline_update",
+        actorId: requestorId,
+        documentId,
+        message: `Batas waktu tanda tangan dokumen "${document.title}" diperbarui.`,
+      });
+    }
+
+    return this.documentRepository.findById(documentId, requestorId);
+  }
+
+  /**
+   * Mengubah input tenggat menjadi Date. `null` berarti tenggat dihapus; tenggat harus di masa depan.
+   * @private
+   */
+  _parseDeadline(value) {
+    if (value === null) return null;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw CommonError.BadRequest("Format batas waktu tidak valid.");
+    if (date <= new Date()) throw CommonError.BadRequest("Batas waktu tanda tangan harus di masa depan.");
+    return date;
+  }
+
   /**
    * Finalizes a group document by burning signatures into a PDF and locking the document.
    * Emits 'finalized' and 'document_status_update' socket events.
@@ -634,8 +871,12 @@ export class GroupService {
    /**
    * Finalizes a group document.
    * [UPDATED] Mengembalikan accessCode agar bisa ditampilkan di Controller.
+   * Dokumen diklaim secara atomik (status `finalizing`) sebelum burn-in sehingga finalisasi manual dan otomatis
+   * dari instance mana pun tidak berjalan ganda; status dikembalikan ke `pending` jika finalisasi gagal.
+   * Klaim yang macet lebih dari {@link FINALIZATION_CLAIM_TIMEOUT_MINUTES} menit (proses mati) dapat diklaim ulang.
+   * @param {{ claimed?: boolean }} [options] - `claimed` jika pemanggil sudah mengklaim dokumen (finalisasi otomatis).
    */
-  async finalizeGroupDocument(groupId, documentId, requestorId) {
+  async finalizeGroupDocument(groupId, documentId, requestorId, { claimed = false } = {}) {
     const member = await this.groupMemberRepository.findByGroupAndUser(groupId, requestorId);
     if (!member) throw GroupError.UnauthorizedAccess("Anda bukan anggota grup ini.");
 
@@ -651,10 +892,38 @@ export class GroupService {
 
     if (!isAdmin && !isOwner) throw GroupError.UnauthorizedAccess("Akses ditolak.");
 
+    if (document.status === "completed") throw CommonError.BadRequest("Dokumen sudah difinalisasi.");
+
+    if (!claimed && !(await this.documentRepository.claimForFinalization(documentId, staleClaimBefore()))) {
+      throw CommonError.BadRequest("Dokumen sedang difinalisasi atau tidak lagi menunggu tanda tangan.");
+    }
+
+    try {
+      return await this._burnGroupDocument(groupId, documentId, document, requestorId);
+    } catch (error) {
+      await this.documentRepository.releaseFinalization(documentId);
+      throw error;
+    }
+  }
+
+  /**
+   * Memeriksa kelengkapan tanda tangan lalu membuat versi final yang sudah di-burn-in.
+   * Hanya dipanggil setelah dokumen diklaim oleh {@link finalizeGroupDocument}.
+   * @private
+   */
+  async _burnGroupDocument(groupId, documentId, document, requestorId) {
     const pendingCount = await this.groupDocumentSignerRepository.countPendingSigners(documentId);
     if (pendingCount > 0) throw CommonError.BadRequest(`Masih ada ${pendingCount} orang yang belum tanda tangan.`);
 
-    if (document.status === "completed") throw CommonError.BadRequest("Dokumen sudah difinalisasi.");
+    const rejectedCount = await this.groupDocumentSignerRepository.countRejectedSigners(documentId);
+    if (rejectedCount > 0) {
+      throw CommonError.BadRequest(`${rejectedCount} penanda tangan menolak dokumen ini. Revisi dokumen, ganti penanda tangan, atau batalkan putaran tanda tangan.`);
+    }
+
+    const expiredCount = await this.groupDocumentSignerRepository.countExpiredSigners(documentId);
+    if (expiredCount > 0) {
+      throw CommonError.BadRequest(`${expiredCount} permintaan tanda tangan melewati batas waktu. Perpanjang tenggat, ganti penanda tangan, atau batalkan putaran tanda tangan.`);
+    }
 
     // [LIMIT CHECK] Cek apakah sudah mencapai batas versi
     const group = await this.groupRepository.findById(groupId);
@@ -686,16 +955,29 @@ export class GroupService {
       positionY: sig.positionY,
       width: sig.width,
       height: sig.height,
+      appearanceTemplate: sig.appearanceTemplate,
+      reason: sig.reason,
+      location: sig.location,
+      timezone: sig.timezone,
 
-      // Data Audit (Dari relasi signer)
+      // Data Audit (Dari relasi signer; penanda tangan eksternal dari data permintaan tanda tangan)
       id: sig.id,
-      signerName: sig.signer ? sig.signer.name : "Unknown",
-      signerEmail: sig.signer ? sig.signer.email : "-",
+      signerName: sig.signer ? sig.signer.name : sig.requestData?.externalName || "Unknown",
+      signerEmail: sig.signer ? sig.signer.email : sig.requestData?.externalEmail || sig.requestData?.externalPhone || "-",
+      onBehalfOf: sig.requestData?.delegatedFrom?.name || null,
       ipAddress: sig.ipAddress || "-",
+      userAgent: sig.userAgent || null,
+      otpVerifiedAt: sig.otpVerifiedAt || null,
+      otpChannel: sig.otpChannel || null,
       signedAt: sig.signedAt || sig.createdAt,
     }));
 
-    const { signedFileBuffer, publicUrl, accessCode } = await this.pdfService.generateSignedPdf(currentVersion.id, signaturesPayload, { displayQrCode: true, verificationUrl });
+    // Field non-tanda tangan (tanggal, paraf, teks, checkbox) dari semua signer ikut di-burn-in
+    const fields = this.signatureFieldRepository ? await this.signatureFieldRepository.findAllByVersionId(currentVersion.id) : [];
+
+    const repeatInitials = allSignatures.map((sig) => sig.repeatInitials).filter(Boolean);
+
+    const { signedFileBuffer, publicUrl, accessCode } = await this.pdfService.generateSignedPdf(currentVersion.id, signaturesPayload, { displayQrCode: true, verificationUrl, fields, repeatInitials });
 
     // Simpan PIN
     if (accessCode) {
@@ -711,6 +993,7 @@ export class GroupService {
       hash: newHash,
       signedFileHash: newHash,
     });
+    this.documentSearchService?.indexVersion(newVersion.id, signedFileBuffer);
 
     await this.documentRepository.update(documentId, {
       currentVersionId: newVersion.id,
@@ -738,6 +1021,171 @@ export class GroupService {
     };
   }
 
+  /**
+   * Turns automatic finalization on or off for the documents of a group. Documents can override it individually.
+   * Emits an 'update_info' socket event.
+   * @param {number|string} groupId - The ID of the group.
+   * @param {string} userId - The ID of the group admin.
+   * @param {boolean} enabled - Whether documents are finalized automatically once the last signer signs.
+   * @returns {Promise<Object>} The updated group object.
+   * @throws {GroupError} If the user is not a group admin.
+   */
+  async updateGroupAutoFinalize(groupId, userId, enabled) {
+    const member = await this.groupMemberRepository.findByGroupAndUser(groupId, userId);
+    if (!member || member.role !== "admin_group") throw GroupError.UnauthorizedAccess("Hanya admin yang bisa mengubah pengaturan finalisasi otomatis.");
+
+    const updatedGroup = await this.groupRepository.update(groupId, { autoFinalize: enabled });
+
+    if (this.io) {
+      this.io.to(`group_${groupId}`).emit("group_info_update", {
+        action: "update_info",
+        group: updatedGroup,
+        message: `Finalisasi otomatis dokumen grup ${enabled ? "diaktifkan" : "dinonaktifkan"}.`,
+      });
+    }
+
+    return updatedGroup;
+  }
+
+  /**
+   * Overrides the group's automatic finalization setting for one document (`null` follows the group again).
+   * Emits an 'auto_finalize_update' socket event.
+   * @param {number|string} groupId - The ID of the group.
+   * @param {string} documentId - The ID of the document.
+   * @param {string} requestorId - The ID of the group admin or document owner.
+   * @param {boolean|null} enabled
+   * @returns {Promise<Object>} The updated document object.
+   * @throws {GroupError} If user is not admin/owner or the document is not in the group.
+   * @throws {CommonError} If the document is already completed.
+   */
+  async updateDocumentAutoFinalize(groupId, documentId, requestorId, enabled) {
+    const member = await this.groupMemberRepository.findByGroupAndUser(groupId, requestorId);
+    if (!member) throw GroupError.UnauthorizedAccess("Anda bukan anggota grup ini.");
+
+    const document = await this.documentRepository.findFirst({ where: { id: documentId, groupId } });
+    if (!document) throw GroupError.NotFound("Dokumen tidak ditemukan di dalam grup ini.");
+
+    if (member.role !== "admin_group" && document.userId !== requestorId) {
+      throw GroupError.UnauthorizedAccess("Hanya Admin atau Pemilik Dokumen yang dapat mengubah pengaturan finalisasi otomatis.");
+    }
+
+    if (document.status === "completed" || document.status === "archived") {
+      throw CommonError.BadRequest("Dokumen sudah selesai.");
+    }
+
+    await this.documentRepository.update(documentId, { autoFinalize: enabled });
+
+    if (this.io) {
+      this.io.to(`group_${groupId}`).emit("group_document_update", {
+        action: "auto_finalize_update",
+        actorId: requestorId,
+        documentId,
+        autoFinalize: enabled,
+        message: `Pengaturan finalisasi otomatis dokumen "${document.title}" diperbarui.`,
+      });
+    }
+
+    return this.documentRepository.findById(documentId, requestorId);
+  }
+
+  /**
+   * Starts finalization in the background when automatic finalization is enabled for the document (or its group).
+   * Called after a signer signs and no signer is left pending. The document is claimed atomically first, so only one
+   * instance finalizes it even when the last signers sign at the same time. Finalization runs through
+   * {@link finalizeGroupDocument} on behalf of the document owner (or the group admin if the owner left the group);
+   * progress and the result are pushed to the group room as 'auto_finalize_started', 'auto_finalize_completed' or 'auto_finalize_failed'.
+   * @param {string} documentId - The ID of the document.
+   * @returns {Promise<boolean>} True if finalization was started.
+   */
+  async scheduleAutoFinalize(documentId) {
+    const document = await this.documentRepository.findFirst({
+      where: { id: documentId },
+      include: { group: { select: { id: true, adminId: true, autoFinalize: true } } },
+    });
+    if (!document?.groupId || document.status !== "pending") return false;
+    if (!(document.autoFinalize ?? document.group?.autoFinalize)) return false;
+    if (!(await this.documentRepository.claimForFinalization(documentId, staleClaimBefore()))) return false;
+
+    try {
+      const ownerMember = await this.groupMemberRepository.findByGroupAndUser(document.groupId, document.userId);
+      const requestorId = ownerMember ? document.userId : document.group.adminId;
+
+      if (this.io) {
+        this.io.to(`group_${document.groupId}`).emit("group_document_update", {
+          action: "auto_finalize_started",
+          documentId,
+          message: `Semua penanda tangan selesai. Dokumen "${document.title}" sedang difinalisasi otomatis...`,
+        });
+      }
+
+      this._runAutoFinalize(document, requestorId);
+      return true;
+    } catch (error) {
+      await this.documentRepository.releaseFinalization(documentId);
+      throw error;
+    }
+  }
+
+  /**
+   * Menjalankan finalisasi otomatis dan mengirim hasilnya ke room grup. Error tidak dilempar ulang
+   * karena berjalan di background; Admin tetap dapat memfinalisasi manual jika gagal.
+   * @private
+   */
+  async _runAutoFinalize(document, requestorId) {
+    const roomName = `group_${document.groupId}`;
+    try {
+      const result = await this.finalizeGroupDocument(document.groupId, document.id, requestorId, { claimed: true });
+
+      if (this.io) {
+        this.io.to(roomName).emit("group_document_update", {
+          action: "auto_finalize_completed",
+          documentId: document.id,
+          status: "completed",
+          signedFileUrl: result.url,
+          message: `Dokumen "${document.title}" berhasil difinalisasi otomatis.`,
+        });
+      }
+
+      this._notifyAutoFinalized(requestorId, document.title, result.accessCode).catch((err) => console.error("[GroupService] Gagal mengirim PIN finalisasi otomatis:", err.message));
+    } catch (error) {
+      console.error(`[GroupService] Finalisasi otomatis dokumen ${document.id} gagal:`, error.message);
+      // Klaim juga dilepas di sini karena pemeriksaan akses sebelum burn-in bisa gagal setelah dokumen diklaim
+      await this.documentRepository.releaseFinalization(document.id).catch(() => {});
+      if (this.io) {
+        this.io.to(roomName).emit("group_document_update", {
+          action: "auto_finalize_failed",
+          documentId: document.id,
+          message: `Finalisasi otomatis dokumen "${document.title}" gagal: ${error.message} Admin dapat memfinalisasi secara manual.`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Mengirim PIN (access code) hasil finalisasi otomatis ke user yang tercatat sebagai finalisator,
+   * karena tidak ada Admin yang menerima PIN lewat response API.
+   * @private
+   */
+  async _notifyAutoFinalized(userId, docTitle, accessCode) {
+    const prisma = this.groupRepository.prisma;
+    if (!prisma || !accessCode) return;
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { name: true, phoneNumber: true } });
+    if (!user?.phoneNumber) return;
+
+    const message = `Halo *${user.name}*! ✅
+
+Semua penanda tangan telah menandatangani dokumen *${docTitle}* dan dokumen telah difinalisasi otomatis.
+
+🔐 PIN verifikasi dokumen: *${accessCode}*
+
+Simpan PIN ini untuk membuka detail verifikasi tanda tangan.
+
+Terima kasih.`;
+
+    await sendWhatsappNotification(user.phoneNumber, message);
+  }
+
   /**
    * Helper method to send WhatsApp notifications to a list of signers asynchronously.
    * * @private
@@ -789,7 +1237,7 @@ Terima kasih.`;
   }
 
   /**
-   * Menghapus dokumen grup secara permanen (Hard Delete).
+   * Memindahkan dokumen grup ke tempat sampah (soft delete). Dapat dipulihkan sampai masa retensi habis.
    * [REALTIME] Mengirim sinyal 'removed_document' ke grup.
    * @param {number|string} groupId - ID Grup.
    * @param {string} documentId - ID Dokumen.
@@ -821,17 +1269,8 @@ Terima kasih.`;
 
     const docTitle = document.title;
 
-    // ... Lanjutkan proses delete ...
-    if (typeof this.documentRepository.deleteById === "function") {
-      await this.documentRepository.deleteById(documentId);
-    } else {
-      // Fallback jika method deleteById belum ada/berbeda nama
-      if (this.documentRepository.prisma) {
-        await this.documentRepository.prisma.document.delete({ where: { id: documentId } });
-      } else {
-        await this.documentRepository.delete(documentId);
-      }
-    }
+    // Dokumen dipindah ke tempat sampah; file & versi baru dihapus permanen setelah masa retensi.
+    await this.documentRepository.softDeleteById(documentId, requestorId);
 
     if (this.io) {
       const roomName = `group_${groupId}`;
@@ -842,7 +1281,7 @@ Terima kasih.`;
         actorId: requestorId,
         uploaderName: actorName,
         document: { id: documentId, title: docTitle },
-        message: `Dokumen "${docTitle}" telah dihapus.`,
+        message: `Dokumen "${docTitle}" telah dipindahkan ke tempat sampah.`,
       });
     }
   }
@@ -1,5 +1,11 @@
 import CommonError from "../errors/CommonError.js";
+import GroupError from "../errors/GroupError.js";
+import SignatureError from "../errors/SignatureError.js";
 import crypto from "crypto";
+import { sendWhatsappNotification } from "../utils/whatsappSender.js";
+import { resolveTypedSignature } from "../utils/typedSignatureRenderer.js";
+import { resolveSignatureAppearance } from "../utils/signatureAppearance.js";
+import { resolveSignatureFields, resolveRepeatedInitials } from "../utils/signatureFieldHelper.js";
 
 export class GroupSignatureService {
     constructor(
@@ -9,7 +15,8 @@ export class GroupSignatureService {
         versionRepository,
         groupMemberRepository,
         pdfService,
-        auditService
+        auditService,
+        signatureFieldRepository = null
     ) {
         this.groupSignatureRepository = groupSignatureRepository;
         this.groupDocumentSignerRepository = groupDocumentSignerRepository;
@@ -18,19 +25,29 @@ export class GroupSignatureService {
         this.groupMemberRepository = groupMemberRepository;
         this.pdfService = pdfService;
         this.auditService = auditService;
+        this.signatureFieldRepository = signatureFieldRepository;
     }
 
     /**
      * [DRAFT] Menyimpan Draft Tanda Tangan Group (Auto-save Drag & Drop).
      * [IMPROVED] Mencegah duplikat draft jika Frontend generate ID baru secara tidak sengaja.
      */
-    async saveDraft(userId, documentId, signatureData) {
+    async saveDraft(userId, documentId, rawSignatureData) {
         // [FIX TIPE DATA] Pastikan userId adalah String agar konsisten dengan Frontend
         const safeUserId = String(userId);
 
         const document = await this.documentRepository.findById(documentId, safeUserId);
         if (!document) throw CommonError.NotFound(documentId);
 
+        // Signer di tahap urutan berikutnya belum boleh menempatkan tanda tangan
+        const signerRequest = await this.groupDocumentSignerRepository.findPendingByUserAndDoc(safeUserId, documentId);
+        if (signerRequest?.status === "PENDING") {
+            await this._assertSigningTurn(documentId, signerRequest);
+        }
+
+        // Validasi template tampilan & render tanda tangan ketik (method "typed") dari font bawaan
+        const signatureData = await resolveTypedSignature(resolveSignatureAppearance(rawSignatureData));
+
         // Cek apakah user sudah memiliki draft di versi dokumen ini?
         // Ini langkah pengamanan: Jika frontend refresh dan generate UUID baru,
         // Backend harus cukup pintar untuk tahu "Oh, ini orang lama, update aja yg lama".
@@ -50,6 +67,12 @@ export class GroupSignatureService {
             status: "draft",
             method: signatureData.method || "canvas",
             signatureImageUrl: signatureData.signatureImageUrl,
+            typedText: signatureData.typedText,
+            typedFont: signatureData.typedFont,
+            appearanceTemplate: signatureData.appearanceTemplate,
+            reason: signatureData.reason,
+            location: signatureData.location,
+            timezone: signatureData.timezone,
             positionX: signatureData.positionX,
             positionY: signatureData.positionY,
             pageNumber: signatureData.pageNumber,
@@ -109,21 +132,46 @@ export class GroupSignatureService {
             throw CommonError.BadRequest("Anda tidak memiliki akses atau sudah tanda tangan.");
         }
 
+        if (signerRequest.status === "REJECTED") {
+            throw CommonError.BadRequest("Anda sudah menolak menandatangani dokumen ini.");
+        }
+
+        if (signerRequest.status === "EXPIRED") {
+            throw CommonError.BadRequest("Batas waktu tanda tangan sudah lewat. Hubungi Admin Grup untuk memperpanjang tenggat.");
+        }
+
+        await this._assertSigningTurn(documentId, signerRequest);
+
         const document = await this.documentRepository.findById(documentId, safeUserId);
         const currentVersion = document.currentVersion;
 
+        // Tenggat bisa lewat sebelum cron sempat menandai permintaan sebagai EXPIRED
+        const deadline = signerRequest.deadline || document.signingDeadline;
+        if (signerRequest.status === "PENDING" && deadline && new Date(deadline) <= new Date()) {
+            throw CommonError.BadRequest("Batas waktu tanda tangan sudah lewat. Hubungi Admin Grup untuk memperpanjang tenggat.");
+        }
+
         // 2. Cek Draft Existing
         const existingSignature = await this.groupSignatureRepository.findBySignerAndVersion(safeUserId, currentVersion.id);
         let finalSignature;
 
+        // Field non-tanda tangan (tanggal, paraf, teks, checkbox) disimpan terpisah dari record tanda tangan;
+        // paraf di setiap halaman disimpan bersama tanda tangan dan baru di-burn-in saat finalisasi
+        const { fields: rawFields, repeatInitials: rawRepeatInitials, ...rawSignatureData } = signatureData;
+        const resolvedSignature = await resolveTypedSignature(resolveSignatureAppearance(rawSignatureData));
+        const signedAt = new Date(); // ✅ Record exact time of signing
+        const fields = await resolveSignatureFields(rawFields, { signedAt, timezone: resolvedSignature.timezone });
+        const repeatInitials = await resolveRepeatedInitials(rawRepeatInitials);
+
         const payload = {
-            ...signatureData,
+            ...resolvedSignature,
+            ...(repeatInitials && { repeatInitials }),
             userId: safeUserId,
             documentVersionId: currentVersion.id,
             status: "final", // FINAL
             ipAddress: auditData.ipAddress,
             userAgent: auditData.userAgent,
-            signedAt: new Date(), // ✅ Record exact time of signing
+            signedAt,
         };
 
         if (existingSignature) {
@@ -132,6 +180,10 @@ export class GroupSignatureService {
             finalSignature = await this.groupSignatureRepository.create(payload);
         }
 
+        if (fields.length > 0 && this.signatureFieldRepository) {
+            await this.signatureFieldRepository.replaceForSigner(safeUserId, currentVersion.id, fields);
+        }
+
         // 3. Update Status Checklist
         await this.groupDocumentSignerRepository.updateStatusToSigned(documentId, safeUserId, finalSignature.id);
 
@@ -140,18 +192,194 @@ export class GroupSignatureService {
             await this.auditService.log("SIGN_DOCUMENT_GROUP", safeUserId, documentId, `User menandatangani dokumen grup: ${document.title}`, req);
         }
 
-        // 5. Cek Sisa Signer
+        // 5. Cek Sisa Signer (dokumen belum bisa difinalisasi selama ada signer yang menolak atau kedaluwarsa)
         const pendingCount = await this.groupDocumentSignerRepository.countPendingSigners(documentId);
+        const rejectedCount = await this.groupDocumentSignerRepository.countRejectedSigners(documentId);
+        const expiredCount = await this.groupDocumentSignerRepository.countExpiredSigners(documentId);
+        const readyToFinalize = pendingCount === 0 && rejectedCount === 0 && expiredCount === 0;
+
+        // 6. Tahap urutan selesai -> giliran signer di tahap berikutnya
+        const nextStage = pendingCount > 0 ? await this._startNextStage(documentId, signerRequest.order ?? 1, document.title) : null;
 
         return {
             ...finalSignature,
-            message: pendingCount === 0 ? "Tanda tangan berhasil. Menunggu finalisasi Admin." : "Tanda tangan disimpan.",
+            message: readyToFinalize ? "Tanda tangan berhasil. Menunggu finalisasi Admin." : "Tanda tangan disimpan.",
             isComplete: false,
-            readyToFinalize: pendingCount === 0,
+            readyToFinalize,
             remainingSigners: pendingCount,
+            nextStage,
         };
     }
 
+    /**
+     * Menolak signer yang belum gilirannya: signer di tahap `order` harus menunggu semua signer PENDING
+     * di tahap sebelumnya. Signer dengan urutan yang sama menandatangani paralel.
+     * @private
+     * @throws {SignatureError} NotYourTurn jika tahap sebelumnya belum selesai.
+     */
+    async _assertSigningTurn(documentId, signerRequest) {
+        const order = signerRequest.order ?? 1;
+        if (order <= 1) return;
+
+        const waitingCount = await this.groupDocumentSignerRepository.countPendingBeforeOrder(documentId, order);
+        if (waitingCount > 0) throw SignatureError.NotYourTurn(waitingCount);
+    }
+
+    /**
+     * Jika tahap `completedOrder` sudah selesai, mengirim notifikasi WhatsApp ke signer di tahap aktif berikutnya.
+     * @private
+     * @returns {Promise<{ order: number, signerIds: string[] }|null>} Tahap yang baru dimulai, atau null jika tahap belum selesai.
+     */
+    async _startNextStage(documentId, completedOrder, docTitle) {
+        const stage = await this.groupDocumentSignerRepository.findActiveStage(documentId);
+        if (!stage || stage.order <= completedOrder) return null;
+
+        for (const signer of stage.signers) {
+            this._notifySigningTurn(signer.user, docTitle).catch((err) => console.error("[GroupSignatureService] Gagal mengirim notifikasi giliran tanda tangan:", err.message));
+        }
+
+        return { order: stage.order, signerIds: stage.signers.map((signer) => signer.userId).filter(Boolean) };
+    }
+
+    /**
+     * [USER ACTION] Menolak menandatangani dokumen grup dengan alasan.
+     * Status signer menjadi REJECTED dan draft tanda tangannya dihapus. Dokumen tidak dapat difinalisasi
+     * sampai Admin merevisi dokumen, mengganti signer, atau membatalkan putaran tanda tangan.
+     * @param {string} userId
+     * @param {string} documentId
+     * @param {string} reason - Alasan penolakan (wajib, maksimal 500 karakter).
+     * @param {Object} [req] - Request Express untuk audit log.
+     * @returns {Promise<{ documentId: string, groupId: number, title: string, reason: string }>}
+     * @throws {CommonError} BadRequest jika alasan kosong, user bukan signer, atau sudah tanda tangan/menolak.
+     */
+    async declineDocument(userId, documentId, reason, req = null) {
+        const safeUserId = String(userId);
+        const declineReason = typeof reason === "string" ? reason.trim() : "";
+        if (!declineReason || declineReason.length > 500) {
+            throw CommonError.BadRequest("Alasan penolakan wajib diisi (maksimal 500 karakter).");
+        }
+
+        const signerRequest = await this.groupDocumentSignerRepository.findPendingByUserAndDoc(safeUserId, documentId);
+        if (!signerRequest || signerRequest.status !== "PENDING") {
+            throw CommonError.BadRequest("Anda tidak memiliki akses, sudah tanda tangan, atau sudah menolak dokumen ini.");
+        }
+
+        const document = await this.documentRepository.findById(documentId, safeUserId);
+        if (!document) throw CommonError.NotFound(documentId);
+
+        await this.groupSignatureRepository.deleteDrafts(documentId, safeUserId);
+        await this.groupDocumentSignerRepository.markAsRejected(documentId, safeUserId, declineReason);
+
+        if (this.auditService) {
+            await this.auditService.log("DECLINE_DOCUMENT_GROUP", safeUserId, documentId, `User menolak menandatangani dokumen grup: ${document.title}. Alasan: ${declineReason}`, req);
+        }
+
+        return { documentId, groupId: document.groupId, title: document.title, reason: declineReason };
+    }
+
+    /**
+     * [DELEGASI] Menyerahkan slot tanda tangan PENDING ke anggota grup lain (misalnya signer sedang cuti).
+     * Dapat dilakukan oleh signer itu sendiri atau Admin Grup. Posisi draft tanda tangan ikut dipindahkan,
+     * dan audit trail PDF final mencatat penerima delegasi menandatangani "atas nama" signer asli.
+     * @param {string} requestorId - User yang melakukan delegasi (signer atau Admin Grup).
+     * @param {string} documentId
+     * @param {{ fromUserId?: string, toUserId: string, reason: string }} data - `fromUserId` default: requestor.
+     * @param {Object} [req] - Request Express untuk audit log.
+     * @returns {Promise<{ documentId: string, groupId: number, title: string, fromUserId: string, toUserId: string, onBehalfOfId: string|null, reason: string }>}
+     * @throws {CommonError} BadRequest jika alasan kosong, slot tidak PENDING, atau penerima tidak valid.
+     * @throws {GroupError} UnauthorizedAccess jika requestor bukan signer slot tersebut maupun Admin Grup.
+     */
+    async delegateSignature(requestorId, documentId, { fromUserId, toUserId, reason } = {}, req = null) {
+        const safeRequestorId = String(requestorId);
+        const safeFromUserId = String(fromUserId || safeRequestorId);
+        const delegationReason = typeof reason === "string" ? reason.trim() : "";
+        if (!delegationReason || delegationReason.length > 500) {
+            throw CommonError.BadRequest("Alasan delegasi wajib diisi (maksimal 500 karakter).");
+        }
+        if (!toUserId || toUserId === safeFromUserId) {
+            throw CommonError.BadRequest("Penerima delegasi harus anggota lain di grup.");
+        }
+
+        const document = await this.documentRepository.findById(documentId, safeRequestorId);
+        if (!document || !document.groupId) throw CommonError.NotFound(documentId);
+        if (document.status !== "pending") {
+            throw CommonError.BadRequest("Hanya dokumen yang sedang menunggu tanda tangan yang dapat didelegasikan.");
+        }
+
+        const requestor = await this.groupMemberRepository.findByGroupAndUser(document.groupId, safeRequestorId);
+        if (!requestor) throw GroupError.UnauthorizedAccess("Anda bukan anggota grup ini.");
+        if (safeFromUserId !== safeRequestorId && requestor.role !== "admin_group") {
+            throw GroupError.UnauthorizedAccess("Hanya Admin Grup yang dapat mendelegasikan slot tanda tangan anggota lain.");
+        }
+
+        const signerRequests = document.signerRequests || [];
+        const slot = signerRequests.find((signer) => signer.userId === safeFromUserId);
+        if (!slot || slot.status !== "PENDING") {
+            throw CommonError.BadRequest("Hanya permintaan tanda tangan yang masih menunggu (PENDING) yang dapat didelegasikan.");
+        }
+        if (signerRequests.some((signer) => signer.userId === toUserId)) {
+            throw CommonError.BadRequest("Penerima delegasi sudah menjadi penanda tangan dokumen ini.");
+        }
+
+        const delegate = await this.groupMemberRepository.findByGroupAndUser(document.groupId, toUserId);
+        if (!delegate || delegate.role === "viewer") {
+            throw CommonError.BadRequest("Penerima delegasi harus anggota grup dengan role signer atau admin.");
+        }
+
+        // Signer asli tetap dicatat walaupun slot didelegasikan berantai; kembali ke signer asli menghapus catatan delegasi
+        const originalSignerId = slot.delegatedFromId || safeFromUserId;
+        const onBehalfOfId = originalSignerId === toUserId ? null : originalSignerId;
+
+        // Slot dipindahkan lebih dulu (atomik pada status PENDING); draft hanya ikut pindah jika slot berhasil dipindahkan
+        const updatedSlot = await this.groupDocumentSignerRepository.reassignSigner(slot.id, {
+            userId: toUserId,
+            delegatedFromId: onBehalfOfId,
+            delegationReason,
+        });
+        if (!updatedSlot) {
+            throw CommonError.BadRequest("Permintaan tanda tangan sudah tidak menunggu (PENDING).");
+        }
+        await this.groupSignatureRepository.transferDrafts(document.currentVersionId, safeFromUserId, toUserId);
+
+        if (this.auditService) {
+            await this.auditService.log("DELEGATE_SIGNATURE_GROUP", safeRequestorId, documentId, `Slot tanda tangan dokumen grup "${document.title}" didelegasikan dari user ${safeFromUserId} ke user ${toUserId}. Alasan: ${delegationReason}`, req);
+        }
+
+        this._notifyDelegate(updatedSlot.user, document.title).catch((err) => console.error("[GroupSignatureService] Gagal mengirim notifikasi delegasi:", err.message));
+
+        return { documentId, groupId: document.groupId, title: document.title, fromUserId: safeFromUserId, toUserId, onBehalfOfId, reason: delegationReason };
+    }
+
+    /** @private */
+    async _notifyDelegate(user, docTitle) {
+        if (!user?.phoneNumber) return;
+
+        const message = `Halo *${user.name}*! 👋
+
+Anda menerima delegasi untuk menandatangani dokumen *${docTitle}*.
+
+Silakan buka aplikasi untuk meninjau dan menandatanganinya.
+
+Terima kasih.`;
+
+        await sendWhatsappNotification(user.phoneNumber, message);
+    }
+
+    /** @private */
+    async _notifySigningTurn(user, docTitle) {
+        if (!user?.phoneNumber) return;
+
+        const message = `Halo *${user.name}*! 👋
+
+Tahap sebelumnya sudah selesai. Sekarang giliran Anda menandatangani dokumen *${docTitle}*.
+
+Silakan buka aplikasi untuk meninjau dan menandatanganinya.
+
+Terima kasih.`;
+
+        await sendWhatsappNotification(user.phoneNumber, message);
+    }
+
     // --- (Metode GET Verification & Unlock tidak perlu diubah, sudah aman) ---
 
     async getVerificationDetails(signatureId) {
@@ -197,8 +425,8 @@ export class GroupSignatureService {
         const groupSigners = allSignatures
             .filter(s => s.status === 'final')
             .map(s => ({
-                name: s.signer.name,
-                email: s.signer.email,
+                name: s.signer ? s.signer.name : s.requestData?.externalName,
+                email: s.signer ? s.signer.email : s.requestData?.externalEmail || s.requestData?.externalPhone,
                 signedAt: s.signedAt || s.createdAt,
                 ipAddress: s.ipAddress || "-"
             }));
@@ -319,8 +547,8 @@ export class GroupSignatureService {
             const groupSigners = allSignatures
                 .filter(s => s.status === 'final')
                 .map(s => ({
-                    name: s.signer.name,
-                    email: s.signer.email,
+                    name: s.signer ? s.signer.name : s.requestData?.externalName,
+                    email: s.signer ? s.signer.email : s.requestData?.externalEmail || s.requestData?.externalPhone,
                     signedAt: s.signedAt || s.createdAt,
                     ipAddress: s.ipAddress || "-"
                 }));
@@ -1,4 +1,8 @@
 import CommonError from "../errors/CommonError.js";
+import { DEFAULT_PAGE_SIZE, buildPageMeta } from "../utils/pagination.js";
+
+/** Sumber riwayat tanda tangan yang bisa difilter lewat query `type`. */
+export const HISTORY_TYPES = ["PERSONAL", "GROUP", "PACKAGE"];
 
 export class HistoryService {
   /**
@@ -18,26 +22,37 @@ export class HistoryService {
   }
 
   /**
-   * Mengambil seluruh riwayat aktivitas tanda tangan dokumen berdasarkan userId.
+   * Mengambil riwayat aktivitas tanda tangan dokumen berdasarkan userId, per halaman.
    *
    * **Alur kerja:**
-   * 1. Service melakukan query paralel untuk mengambil:
-   *    - Riwayat tanda tangan personal
-   *    - Riwayat tanda tangan dokumen grup
-   *    - Riwayat tanda tangan paket
-   * 2. Hasil dari tiap tipe tanda tangan kemudian diformat ke struktur data seragam.
-   * 3. Semua hasil digabung menjadi satu array.
-   * 4. Data diurutkan berdasarkan tanggal terbaru.
+   * 1. Tentukan sumber yang di-query sesuai filter `type` (PERSONAL, GROUP, PACKAGE; default semua).
+   * 2. Dari tiap sumber ambil `skip + limit` data teratas (sesuai urutan & rentang tanggal)
+   *    beserta jumlah totalnya, secara paralel.
+   * 3. Hasil tiap tipe diformat ke struktur data seragam lalu digabung.
+   * 4. Data diurutkan berdasarkan tanggal, kemudian dipotong sesuai halaman yang diminta.
    *
    * @async
    * @param {string} userId ID user yang ingin diambil histori tanda tangannya.
-   * @returns {Promise<Array<Object>>} Daftar aktivitas tanda tangan dalam urutan terbaru → terlama.
+   * @param {{ page?: number, limit?: number, sortOrder?: "asc"|"desc", filters?: { type?: string, dateFrom?: Date, dateTo?: Date } }} [listOptions]
+   *   Hasil `parseListQuery`.
+   * @returns {Promise<{ data: Array<Object>, meta: Object }>} Aktivitas tanda tangan pada halaman tersebut dan metadata pagination.
    *
    * @example
-   * const history = await historyService.getUserSigningHistory("USER123");
+   * const { data, meta } = await historyService.getUserSigningHistory("USER123", { page: 2, limit: 20 });
    */
-  async getUserSigningHistory(userId) {
-    const [personalSigs, groupSigs, packageSigs] = await Promise.all([this.historyRepository.findPersonalSignatures(userId), this.historyRepository.findGroupSignatures(userId), this.historyRepository.findPackageSignatures(userId)]);
+  async getUserSigningHistory(userId, listOptions = {}) {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE, sortOrder = "desc", filters = {} } = listOptions;
+    const { type, dateFrom, dateTo } = filters;
+    const types = type ? [type] : HISTORY_TYPES;
+    const findOptions = { dateFrom, dateTo, sortOrder, take: page * limit };
+
+    const fetchOrEmpty = (historyType, fetch) => (types.includes(historyType) ? fetch() : Promise.resolve([]));
+    const [personalSigs, groupSigs, packageSigs, counts] = await Promise.all([
+      fetchOrEmpty("PERSONAL", () => this.historyRepository.findPersonalSignatures(userId, findOptions)),
+      fetchOrEmpty("GROUP", () => this.historyRepository.findGroupSignatures(userId, findOptions)),
+      fetchOrEmpty("PACKAGE", () => this.historyRepository.findPackageSignatures(userId, findOptions)),
+      Promise.all(types.map((historyType) => this.historyRepository.countSignatures(userId, { type: historyType, dateFrom, dateTo }))),
+    ]);
 
     const formattedPersonal = personalSigs.map((sig) => ({
       id: sig.id,
@@ -64,8 +79,13 @@ export class HistoryService {
     }));
 
     const allHistory = [...formattedPersonal, ...formattedGroup, ...formattedPackage];
-    allHistory.sort((a, b) => new Date(b.signedAt) - new Date(a.signedAt));
+    const direction = sortOrder === "asc" ? 1 : -1;
+    allHistory.sort((a, b) => direction * (new Date(a.signedAt) - new Date(b.signedAt)));
 
-    return allHistory;
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    return {
+      data: allHistory.slice((page - 1) * limit, page * limit),
+      meta: buildPageMeta(total, { page, limit }),
+    };
   }
 }
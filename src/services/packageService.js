@@ -1,6 +1,10 @@
 import crypto from "crypto";
 import CommonError from "../errors/CommonError.js";
 import DocumentError from "../errors/DocumentError.js";
+import { resolveTypedSignature } from "../utils/typedSignatureRenderer.js";
+import { resolveSignatureAppearance } from "../utils/signatureAppearance.js";
+import { DEFAULT_PAGE_SIZE, buildPageMeta } from "../utils/pagination.js";
+import { resolveSignatureFields, resolveRepeatedInitials } from "../utils/signatureFieldHelper.js";
 
 import PaymentError from "../errors/PaymentError.js";
 
@@ -11,7 +15,7 @@ export class PackageService {
   /**
    * [UPDATED] Menambahkan userService di constructor
    */
-  constructor(packageRepository, documentRepository, versionRepository, pdfService, auditService, userService) {
+  constructor(packageRepository, documentRepository, versionRepository, pdfService, auditService, userService, signatureFieldRepository = null, documentSearchService = null) {
     if (!packageRepository || !documentRepository || !versionRepository || !pdfService || !auditService || !userService) {
       throw CommonError.InternalServerError("PackageService: Repository, Services, dan UserService wajib diberikan.");
     }
@@ -21,6 +25,8 @@ export class PackageService {
     this.pdfService = pdfService;
     this.auditService = auditService;
     this.userService = userService;
+    this.signatureFieldRepository = signatureFieldRepository;
+    this.documentSearchService = documentSearchService;
   }
 
   /**
@@ -66,8 +72,10 @@ export class PackageService {
   /**
    * Eksekusi signing untuk seluruh dokumen dalam paket.
    * [FITUR] Menangkap Access Code (PIN) dan menyimpannya ke DB.
+   * `options.fields` berisi field non-tanda tangan (tanggal, paraf, teks, checkbox), masing-masing dengan `packageDocId`;
+   * `options.repeatInitials` menempelkan paraf di setiap halaman (atau rentang halaman) semua dokumen paket.
    */
-  async signPackage(packageId, userId, signaturesPayload, userIpAddress, req = null) {
+  async signPackage(packageId, userId, signaturesPayload, userIpAddress, req = null, options = {}) {
     const pkg = await this.getPackageDetails(packageId, userId);
     if (pkg.status === "completed") throw CommonError.BadRequest("Paket ini sudah selesai & tidak dapat diproses ulang.");
 
@@ -82,6 +90,12 @@ export class PackageService {
       }
     }
 
+    // Validasi appearance & render tanda tangan ketik sekali di awal agar input tidak valid langsung ditolak (bukan gagal per dokumen)
+    const resolvedPayload = await Promise.all(signaturesPayload.map((sig) => resolveTypedSignature(resolveSignatureAppearance(sig))));
+    const signedAt = new Date();
+    const resolvedFields = await resolveSignatureFields(options.fields, { signedAt, timezone: resolvedPayload[0]?.timezone });
+    const repeatInitials = await resolveRepeatedInitials(options.repeatInitials);
+
     const results = { success: [], failed: [] };
 
     for (const packageDoc of pkg.documents) {
@@ -103,13 +117,20 @@ export class PackageService {
           throw CommonError.Forbidden(`Dokumen "${docTitle}" sudah mencapai batas revisi (${versionLimit} versi). ${!isPremium ? "Upgrade ke Premium untuk batas 20 versi." : ""}`);
         }
 
-        const signaturesForThisDoc = signaturesPayload.filter((sig) => sig.packageDocId === packageDoc.id);
+        const signaturesForThisDoc = resolvedPayload.filter((sig) => sig.packageDocId === packageDoc.id);
         if (signaturesForThisDoc.length === 0) throw new Error("Tidak ada konfigurasi tanda tangan untuk dokumen ini.");
 
         const signaturesToCreate = signaturesForThisDoc.map((sig) => ({
           packageDocumentId: packageDoc.id,
           signerId: userId,
+          method: sig.method || "canvas",
           signatureImageUrl: sig.signatureImageUrl,
+          typedText: sig.typedText || null,
+          typedFont: sig.typedFont || null,
+          appearanceTemplate: sig.appearanceTemplate,
+          reason: sig.reason,
+          location: sig.location,
+          timezone: sig.timezone,
           pageNumber: sig.pageNumber,
           positionX: sig.positionX,
           positionY: sig.positionY,
@@ -134,10 +155,16 @@ export class PackageService {
           signerName: signerName,
           signerEmail: signerEmail,
           ipAddress: userIpAddress,
-          signedAt: new Date(),
+          signedAt,
         }));
+        const fieldsForThisDoc = resolvedFields.filter((field) => field.packageDocId === packageDoc.id);
 
-        const pdfResult = await this.pdfService.generateSignedPdf(originalVersionId, signaturesForPdf, { displayQrCode, verificationUrl });
+        const pdfResult = await this.pdfService.generateSignedPdf(originalVersionId, signaturesForPdf, {
+          displayQrCode,
+          verificationUrl,
+          fields: fieldsForThisDoc,
+          repeatInitials: repeatInitials ? [repeatInitials] : [],
+        });
 
         signedFileBuffer = pdfResult.signedFileBuffer;
         const publicUrl = pdfResult.publicUrl;
@@ -157,6 +184,9 @@ export class PackageService {
           signedFileHash: hash,
         });
 
+        // Indeks full-text search berjalan di background (tidak menggagalkan penandatanganan)
+        this.documentSearchService?.indexVersion(newVersion.id, signedFileBuffer);
+
         await this.packageRepository.updatePackageDocumentVersion(packageId, originalVersionId, newVersion.id);
         await this.documentRepository.update(originalDocId, {
           currentVersionId: newVersion.id,
@@ -164,6 +194,12 @@ export class PackageService {
           signedFileUrl: publicUrl,
         });
 
+        if (fieldsForThisDoc.length > 0 && this.signatureFieldRepository) {
+          await this.signatureFieldRepository.createMany(
+            fieldsForThisDoc.map(({ packageDocId, ...field }) => ({ ...field, signerId: userId, packageDocumentId: packageDoc.id, documentVersionId: newVersion.id }))
+          );
+        }
+
         console.log(`[PackageService] ✅ Success: ${docTitle}`);
         results.success.push(originalDocId);
       } catch (error) {
@@ -188,13 +224,17 @@ export class PackageService {
 
 
   /**
-   * [NEW] Get all packages for a user.
+   * [UPDATED] Get packages for a user, paginated.
+   * @param {string} userId
+   * @param {{ page?: number, limit?: number, sortBy?: string, sortOrder?: string, filters?: object }} [listOptions] - Hasil `parseListQuery`.
+   * @returns {Promise<{ data: object[], meta: object }>}
    */
-  async getAllPackages(userId) {
-    const packages = await this.packageRepository.findAllPackages(userId);
+  async getAllPackages(userId, listOptions = {}) {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE, sortBy, sortOrder, filters } = listOptions;
+    const { data: packages, total } = await this.packageRepository.findAllPackages(userId, { filters, sortBy, sortOrder, skip: (page - 1) * limit, take: limit });
 
     // Optional: Format the data for the frontend
-    return packages.map(pkg => ({
+    const data = packages.map(pkg => ({
       id: pkg.id,
       title: pkg.title,
       status: pkg.status,
@@ -203,6 +243,8 @@ export class PackageService {
       // Get the title of the first document as a preview, or fallback to the package title
       previewDoc: pkg.documents[0]?.docVersion?.document?.title || pkg.title || "Untitled Package"
     }));
+
+    return { data, meta: buildPageMeta(total, { page, limit }) };
   }
 
   /**
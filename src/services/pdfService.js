@@ -1,11 +1,10 @@
 import { fileURLToPath } from "url";
 import { dirname } from "path";
 import pkg from "pdf-lib";
-const { PDFDocument, PDFName, PDFNumber, PDFString, rgb, StandardFonts } = pkg;
+const { PDFDocument, PDFName, PDFNumber, PDFString, rgb, degrees, StandardFonts } = pkg;
 import QRCode from "qrcode";
 import crypto from "crypto";
 import path from "path";
-import fs from "fs";
 import signerPkg from "node-signpdf";
 const signer = signerPkg.default;
 import { plainAddPlaceholder } from "node-signpdf/dist/helpers/index.js";
@@ -13,25 +12,59 @@ import { plainAddPlaceholder } from "node-signpdf/dist/helpers/index.js";
 import DocumentError from "../errors/DocumentError.js";
 import SignatureError from "../errors/SignatureError.js";
 import CommonError from "../errors/CommonError.js";
-
-
-function createLockedStampAnnotation(pdfDoc, page, embeddedImage, x, y, width, height) {
+import { CertificateService, loadSystemP12 } from "./certificateService.js";
+import { normalizeSignatureImage } from "../utils/signatureImageHelper.js";
+import { SIGNATURE_APPEARANCE_TEMPLATES, buildAppearanceLines, layoutSignatureAppearance } from "../utils/signatureAppearance.js";
+import { getPageGeometry, getPageRotation, normalizedToVisualBox, visualBoxToPageRect, visualToPagePoint } from "../utils/pageGeometry.js";
+
+
+/**
+ * Membuat annotation Stamp (terkunci) berisi tampilan tanda tangan.
+ * `x`, `y`, `width`, `height` adalah kotak pada halaman sebagaimana tampil (lihat `pageGeometry`); /Rect dipetakan
+ * ke koordinat asli halaman dan appearance diputar balik (/Matrix) agar tetap tegak di halaman ber-/Rotate.
+ * Tanpa `appearance`, gambar mengisi seluruh kotak; dengan `appearance`, gambar dan baris teks
+ * (nama, waktu, dll) diletakkan sesuai hasil `layoutSignatureAppearance`.
+ * @param {{ image: object, text: object[], fonts: { regular: object, bold: object } }|null} [appearance]
+ */
+function createLockedStampAnnotation(pdfDoc, page, embeddedImage, x, y, width, height, appearance = null) {
   const bbox = pdfDoc.context.obj([PDFNumber.of(0), PDFNumber.of(0), PDFNumber.of(width), PDFNumber.of(height)]);
+  const rect = visualBoxToPageRect(page, { x, y, width, height });
+  const rotation = getPageRotation(page);
   const xObjectMap = pdfDoc.context.obj({ Im0: embeddedImage.ref });
-  const resources = pdfDoc.context.obj({ XObject: xObjectMap });
-  const content = `q\n${width} 0 0 ${height} 0 0 cm /Im0 Do\nQ\n`;
-  const formStream = pdfDoc.context.flateStream(Buffer.from(content), {
+  const resourceMap = { XObject: xObjectMap };
+
+  let content;
+  if (appearance) {
+    const { image, text, fonts } = appearance;
+    resourceMap.Font = pdfDoc.context.obj({ F0: fonts.regular.ref, F1: fonts.bold.ref });
+    content = `q\n${image.width} 0 0 ${image.height} ${image.x} ${image.y} cm /Im0 Do\nQ\n`;
+    for (const line of text) {
+      const font = line.bold ? fonts.bold : fonts.regular;
+      content += `BT\n0.2 0.2 0.2 rg\n/${line.bold ? "F1" : "F0"} ${line.size} Tf\n1 0 0 1 ${line.x} ${line.y} Tm\n${font.encodeText(line.text).toString()} Tj\nET\n`;
+    }
+  } else {
+    content = `q\n${width} 0 0 ${height} 0 0 cm /Im0 Do\nQ\n`;
+  }
+
+  const resources = pdfDoc.context.obj(resourceMap);
+  const formDict = {
     Type: PDFName.of("XObject"),
     Subtype: PDFName.of("Form"),
     BBox: bbox,
     Resources: resources,
-  });
+  };
+  if (rotation) {
+    const cos = Math.round(Math.cos((rotation * Math.PI) / 180));
+    const sin = Math.round(Math.sin((rotation * Math.PI) / 180));
+    formDict.Matrix = pdfDoc.context.obj([cos, sin, -sin, cos, 0, 0].map((value) => PDFNumber.of(value)));
+  }
+  const formStream = pdfDoc.context.flateStream(Buffer.from(content), formDict);
   const formRef = pdfDoc.context.register(formStream);
   const apDict = pdfDoc.context.obj({ N: formRef });
   const annotDict = pdfDoc.context.obj({
     Type: PDFName.of("Annot"),
     Subtype: PDFName.of("Stamp"),
-    Rect: pdfDoc.context.obj([PDFNumber.of(x), PDFNumber.of(y), PDFNumber.of(x + width), PDFNumber.of(y + height)]),
+    Rect: pdfDoc.context.obj([PDFNumber.of(rect.x), PDFNumber.of(rect.y), PDFNumber.of(rect.x + rect.width), PDFNumber.of(rect.y + rect.height)]),
     AP: apDict,
     F: PDFNumber.of(196),
   });
@@ -44,11 +77,318 @@ function createLockedStampAnnotation(pdfDoc, page, embeddedImage, x, y, width, h
   }
 }
 
+/**
+ * Mengganti karakter yang tidak tersedia di font standar PDF (WinAnsi, misal aksara non-Latin) dengan "?".
+ */
+function toFontSafeText(font, text) {
+  try {
+    font.encodeText(text);
+    return text;
+  } catch {
+    return [...text]
+      .map((char) => {
+        try {
+          font.encodeText(char);
+          return char;
+        } catch {
+          return "?";
+        }
+      })
+      .join("");
+  }
+}
+
+/**
+ * Burn-in field non-tanda tangan (tanggal, paraf, teks, checkbox) langsung ke konten halaman.
+ * Posisi & ukuran field ternormalisasi (0-1) terhadap halaman tampil seperti tanda tangan; field di luar halaman dilewati.
+ * @param {PDFDocument} pdfDoc
+ * @param {object[]} fields - Field yang sudah di-resolve (`value` berupa string final).
+ */
+async function drawSignatureFields(pdfDoc, fields) {
+  let font = null;
+
+  for (const field of fields) {
+    const pageIndex = field.pageNumber - 1;
+    if (pageIndex < 0 || pageIndex >= pdfDoc.getPageCount()) continue;
+
+    const page = pdfDoc.getPage(pageIndex);
+    const { x, y, width: boxWidth, height: boxHeight } = normalizedToVisualBox(page, field);
+    // Koordinat dihitung pada halaman tampil lalu dipetakan; konten diputar agar tegak di halaman ber-/Rotate
+    const at = (vx, vy) => visualToPagePoint(page, vx, vy);
+    const rotate = degrees(getPageRotation(page));
+
+    if (field.type === "initials") {
+      const initialsImage = await normalizeSignatureImage(field.value);
+      const embedded = initialsImage.format === "jpeg" ? await pdfDoc.embedJpg(initialsImage.bytes) : await pdfDoc.embedPng(initialsImage.bytes);
+      const { width: imgWidth, height: imgHeight } = embedded.size();
+      const scale = Math.min(boxWidth / imgWidth, boxHeight / imgHeight);
+      page.drawImage(embedded, {
+        ...at(x + (boxWidth - imgWidth * scale) / 2, y + (boxHeight - imgHeight * scale) / 2),
+        width: imgWidth * scale,
+        height: imgHeight * scale,
+        rotate,
+      });
+    } else if (field.type === "checkbox") {
+      const size = Math.min(boxWidth, boxHeight);
+      const boxY = y + (boxHeight - size) / 2;
+      const thickness = Math.max(size * 0.08, 0.5);
+      page.drawRectangle({ ...at(x, boxY), width: size, height: size, rotate, borderWidth: thickness, borderColor: rgb(0, 0, 0) });
+      if (field.value === "true") {
+        const checkThickness = thickness * 1.5;
+        page.drawLine({ start: at(x + size * 0.2, boxY + size * 0.5), end: at(x + size * 0.42, boxY + size * 0.25), thickness: checkThickness, color: rgb(0, 0, 0) });
+        page.drawLine({ start: at(x + size * 0.42, boxY + size * 0.25), end: at(x + size * 0.8, boxY + size * 0.78), thickness: checkThickness, color: rgb(0, 0, 0) });
+      }
+    } else {
+      font = font || (await pdfDoc.embedFont(StandardFonts.Helvetica));
+      const text = toFontSafeText(font, String(field.value).replace(/\s+/g, " "));
+      const size = Math.min(boxHeight * 0.7, boxWidth / font.widthOfTextAtSize(text, 1));
+      page.drawText(text, { ...at(x, y + (boxHeight - size) / 2 + size * 0.2), size, font, color: rgb(0, 0, 0), rotate });
+    }
+  }
+}
+
+const REPEATED_INITIALS_GAP = 8;
+
+/**
+ * Menempelkan paraf di setiap halaman (atau rentang halaman) pada anchor yang dipilih.
+ * Ukuran & margin dalam point (dikonversi lewat /UserUnit) sehingga paraf sama besar di halaman berbeda ukuran,
+ * dan anchor dihitung terhadap halaman sebagaimana tampil (CropBox & /Rotate diperhitungkan, paraf tetap tegak).
+ * Beberapa signer dengan anchor sama disusun berjajar ke arah dalam halaman agar tidak saling menimpa.
+ * @param {PDFDocument} pdfDoc
+ * @param {object[]} entries - Hasil `resolveRepeatedInitials` (satu per signer).
+ */
+async function drawRepeatedInitials(pdfDoc, entries) {
+  const pageCount = pdfDoc.getPageCount();
+  const offsetByAnchor = {};
+  const rowWidthByAnchor = {};
+  for (const entry of entries) {
+    rowWidthByAnchor[entry.anchor] = (rowWidthByAnchor[entry.anchor] ?? -REPEATED_INITIALS_GAP) + entry.width + REPEATED_INITIALS_GAP;
+  }
+
+  for (const entry of entries) {
+    const [vertical, horizontal] = entry.anchor.split("-");
+    const offset = offsetByAnchor[entry.anchor] ?? 0;
+    offsetByAnchor[entry.anchor] = offset + entry.width + REPEATED_INITIALS_GAP;
+
+    const initialsImage = await normalizeSignatureImage(entry.value);
+    const embedded = initialsImage.format === "jpeg" ? await pdfDoc.embedJpg(initialsImage.bytes) : await pdfDoc.embedPng(initialsImage.bytes);
+    const { width: imgWidth, height: imgHeight } = embedded.size();
+    const scale = Math.min(entry.width / imgWidth, entry.height / imgHeight);
+    const drawWidth = imgWidth * scale;
+    const drawHeight = imgHeight * scale;
+
+    const lastPage = Math.min(entry.toPage ?? pageCount, pageCount);
+    for (let pageNumber = entry.fromPage; pageNumber <= lastPage; pageNumber++) {
+      const page = pdfDoc.getPage(pageNumber - 1);
+      const { width: vw, height: vh, rotation, userUnit } = getPageGeometry(page);
+      // point -> satuan user space halaman
+      const unit = (points) => points / userUnit;
+
+      let boxX;
+      if (horizontal === "left") boxX = unit(entry.margin + offset);
+      else if (horizontal === "right") boxX = vw - unit(entry.margin + offset + entry.width);
+      else boxX = (vw - unit(rowWidthByAnchor[entry.anchor])) / 2 + unit(offset);
+      const boxY = vertical === "top" ? vh - unit(entry.margin + entry.height) : unit(entry.margin);
+
+      // Gambar di tengah kotak, lalu titik kiri-bawahnya dipetakan ke koordinat asli halaman
+      const { x, y } = visualToPagePoint(page, boxX + unit(entry.width - drawWidth) / 2, boxY + unit(entry.height - drawHeight) / 2);
+      page.drawImage(embedded, { x, y, width: unit(drawWidth), height: unit(drawHeight), rotate: degrees(rotation) });
+    }
+  }
+}
+
+/**
+ * Mengelompokkan tanda tangan per penandatangan (satu signer bisa punya beberapa posisi tanda tangan).
+ * Urutan mengikuti kemunculan pertama, sehingga revisi PDF mengikuti urutan tanda tangan.
+ * Alasan/lokasi revisi diambil dari tanda tangan pertama signer yang mengisinya.
+ * @returns {{ signerName: string, signerEmail: string, onBehalfOf: string|null, reason: string|null, location: string|null, signatureIds: string[] }[]}
+ */
+function groupSignersForRevision(signatures) {
+  const signers = new Map();
+  for (const sig of signatures) {
+    const key = sig.signerEmail && sig.signerEmail !== "-" ? sig.signerEmail : sig.signerName || "unknown";
+    if (!signers.has(key)) {
+      signers.set(key, {
+        signerName: sig.signerName || "Unknown Signer",
+        signerEmail: sig.signerEmail || "-",
+        onBehalfOf: sig.onBehalfOf || null,
+        reason: null,
+        location: null,
+        signatureIds: [],
+      });
+    }
+    const entry = signers.get(key);
+    if (sig.id) entry.signatureIds.push(sig.id);
+    entry.reason = entry.reason || sig.reason || null;
+    entry.location = entry.location || sig.location || null;
+  }
+  return [...signers.values()];
+}
+
+const AUDIT_MARGIN = 50;
+const AUDIT_FOOTER_Y = 30;
+const AUDIT_BOTTOM_LIMIT = 70; // Batas bawah baris log agar tidak menabrak footer
+const AUDIT_ROW_HEIGHT = 40;
+const AUDIT_DETAIL_HEIGHT = 15; // Baris tambahan untuk verifikasi OTP penanda tangan eksternal
+const OTP_CHANNEL_LABELS = { whatsapp: "WhatsApp", email: "email" };
+
+/**
+ * Keterangan verifikasi penanda tangan eksternal (tanpa akun): kanal & waktu OTP serta user agent.
+ * User agent dipotong dan dibatasi ke ASCII agar dapat ditulis dengan font standar PDF.
+ * @returns {string|null} null untuk penanda tangan yang login dengan akun.
+ */
+function describeOtpVerification(sig) {
+  if (!sig.otpVerifiedAt) return null;
+
+  const channel = OTP_CHANNEL_LABELS[sig.otpChannel] || sig.otpChannel || "-";
+  const verifiedAt = new Date(sig.otpVerifiedAt).toLocaleString("id-ID");
+  const parts = ["Penanda tangan eksternal", `OTP ${channel} terverifikasi ${verifiedAt}`];
+  if (sig.userAgent) {
+    const userAgent = sig.userAgent.replace(/[^\x20-\x7E]/g, "?");
+    parts.push(userAgent.length > 60 ? `${userAgent.slice(0, 57)}...` : userAgent);
+  }
+  return parts.join("  •  ");
+}
+
+/**
+ * Menggambar header tabel "RIWAYAT PENANDATANGANAN" (diulang di setiap halaman audit).
+ * @returns {number} Posisi Y baris pertama setelah header.
+ */
+function drawAuditTableHeader(page, fonts, yPos) {
+  const { width } = page.getSize();
+  page.drawText("RIWAYAT PENANDATANGANAN", { x: AUDIT_MARGIN, y: yPos, size: 14, font: fonts.bold });
+  yPos -= 20;
+  page.drawLine({ start: { x: AUDIT_MARGIN, y: yPos }, end: { x: width - AUDIT_MARGIN, y: yPos }, thickness: 1, color: rgb(0, 0, 0) });
+  return yPos - 20;
+}
+
+/**
+ * Membuat halaman lanjutan audit trail beserta judul dan header tabelnya.
+ * @returns {{ page: object, yPos: number }}
+ */
+function addAuditContinuationPage(pdfDoc, fonts) {
+  const page = pdfDoc.addPage();
+  const { height } = page.getSize();
+  let yPos = height - AUDIT_MARGIN;
+
+  page.drawText("DIGITAL SIGNATURE AUDIT TRAIL (LANJUTAN)", { x: AUDIT_MARGIN, y: yPos, size: 14, font: fonts.bold, color: rgb(0, 0, 0) });
+  yPos -= 30;
+
+  return { page, yPos: drawAuditTableHeader(page, fonts, yPos) };
+}
+
+/**
+ * Menambahkan lembar Audit Trail di akhir dokumen.
+ * Baris log mengalir ke halaman lanjutan jika tidak muat, sehingga dokumen dengan banyak signer
+ * (grup / paket) tetap memiliki catatan lengkap. Setiap halaman diberi nomor "Halaman X dari Y"
+ * dan footer Document ID.
+ * @param {PDFDocument} pdfDoc
+ * @param {object[]} signatures - Data audit (signerName, signerEmail, onBehalfOf, ipAddress, signedAt, id; otpVerifiedAt, otpChannel, userAgent untuk penanda tangan eksternal).
+ * @param {{ verificationUrl: string, accessCode: string, documentId: string }} meta
+ * @returns {Promise<object[]>} Daftar halaman audit yang ditambahkan.
+ */
+async function drawAuditTrail(pdfDoc, signatures, { verificationUrl, accessCode, documentId }) {
+  const fonts = {
+    regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+    bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+  };
+
+  // Buat halaman baru di akhir
+  let auditPage = pdfDoc.addPage();
+  const auditPages = [auditPage];
+  const { height } = auditPage.getSize();
+
+  let yPos = height - AUDIT_MARGIN;
+
+  // HEADER
+  auditPage.drawText("DIGITAL SIGNATURE AUDIT TRAIL", { x: AUDIT_MARGIN, y: yPos, size: 18, font: fonts.bold, color: rgb(0, 0, 0) });
+  yPos -= 25;
+  auditPage.drawText("Lembar ini adalah bagian tak terpisahkan dari dokumen ini.", { x: AUDIT_MARGIN, y: yPos, size: 10, font: fonts.regular, color: rgb(0.5, 0.5, 0.5) });
+  yPos -= 40;
+
+  // QR CODE & PIN SECTION
+  try {
+    const qrDataUrl = await QRCode.toDataURL(verificationUrl);
+    const qrBytes = Buffer.from(qrDataUrl.split(",")[1], "base64");
+    const embeddedQr = await pdfDoc.embedPng(qrBytes);
+
+    // Kita taruh di bawah header kiri
+    const qrSize = 100;
+    auditPage.drawImage(embeddedQr, { x: AUDIT_MARGIN, y: yPos - qrSize, width: qrSize, height: qrSize });
+
+    // Tulis Info Verifikasi di sebelah QR
+    const textX = 170;
+    let textY = yPos - 15;
+
+    auditPage.drawText("VERIFIKASI DOKUMEN", { x: textX, y: textY, size: 12, font: fonts.bold });
+    textY -= 20;
+    auditPage.drawText("Scan QR Code di samping untuk memverifikasi keaslian", { x: textX, y: textY, size: 10, font: fonts.regular });
+    textY -= 15;
+    auditPage.drawText("dan integritas dokumen ini secara digital.", { x: textX, y: textY, size: 10, font: fonts.regular });
+
+    textY -= 30;
+    auditPage.drawText(`ACCESS CODE (PIN):  ${accessCode}`, { x: textX, y: textY, size: 14, font: fonts.bold, color: rgb(0, 0, 0) });
+
+    yPos -= qrSize + 40; // Geser cursor ke bawah QR
+  } catch (err) {
+    console.error("Gagal render QR Audit:", err);
+  }
+
+  // TABEL LOG SIGNATURE
+  yPos = drawAuditTableHeader(auditPage, fonts, yPos);
+
+  for (const sig of signatures) {
+    const signerName = sig.signerName || "Unknown Signer";
+    // Tanda tangan hasil delegasi: "X on behalf of Y"
+    const name = sig.onBehalfOf ? `${signerName} on behalf of ${sig.onBehalfOf}` : signerName;
+    const email = sig.signerEmail || "-";
+    const ip = sig.ipAddress || "IP tidak tercatat";
+    const dateStr = sig.signedAt ? new Date(sig.signedAt).toLocaleString("id-ID") : "Waktu tidak tercatat";
+    const sigId = sig.id ? `ID: ${sig.id.substring(0, 8)}...` : "";
+    const verification = describeOtpVerification(sig);
+
+    // Cek overflow halaman: satu baris log butuh AUDIT_ROW_HEIGHT (+ baris verifikasi OTP)
+    if (yPos - AUDIT_ROW_HEIGHT - (verification ? AUDIT_DETAIL_HEIGHT : 0) < AUDIT_BOTTOM_LIMIT) {
+      const continuation = addAuditContinuationPage(pdfDoc, fonts);
+      auditPage = continuation.page;
+      yPos = continuation.yPos;
+      auditPages.push(auditPage);
+    }
+
+    const { width: rowPageWidth } = auditPage.getSize();
+    auditPage.drawText(name, { x: AUDIT_MARGIN, y: yPos, size: 12, font: fonts.bold });
+    auditPage.drawText(dateStr, { x: rowPageWidth - 200, y: yPos, size: 10, font: fonts.regular, color: rgb(0.3, 0.3, 0.3) });
+
+    yPos -= 15;
+    auditPage.drawText(`${email}  •  ${ip}  •  ${sigId}`, { x: AUDIT_MARGIN, y: yPos, size: 10, font: fonts.regular, color: rgb(0.4, 0.4, 0.4) });
+
+    if (verification) {
+      yPos -= AUDIT_DETAIL_HEIGHT;
+      auditPage.drawText(verification, { x: AUDIT_MARGIN, y: yPos, size: 9, font: fonts.regular, color: rgb(0.4, 0.4, 0.4) });
+    }
+
+    yPos -= 25; // Spasi antar item
+  }
+
+  // Footer Dokumen ID + Nomor Halaman (baru bisa ditulis setelah total halaman diketahui)
+  const totalPages = auditPages.length;
+  auditPages.forEach((page, index) => {
+    const { width: pageWidth } = page.getSize();
+    const docIdText = `Document ID: ${documentId}  •  Generated by WeSign System`;
+    page.drawText(docIdText, { x: AUDIT_MARGIN, y: AUDIT_FOOTER_Y, size: 8, font: fonts.regular, color: rgb(0.6, 0.6, 0.6) });
+    page.drawText(`Halaman ${index + 1} dari ${totalPages}`, { x: pageWidth - AUDIT_MARGIN - 70, y: AUDIT_FOOTER_Y, size: 8, font: fonts.regular, color: rgb(0.6, 0.6, 0.6) });
+  });
+
+  return auditPages;
+}
+
 export class PDFService {
-  constructor(versionRepository, signatureRepository, fileStorage) {
+  constructor(versionRepository, signatureRepository, fileStorage, certificateService = new CertificateService(), timestampService = null) {
     this.versionRepository = versionRepository;
     this.signatureRepository = signatureRepository;
     this.fileStorage = fileStorage;
+    this.certificateService = certificateService;
+    this.timestampService = timestampService;
   }
 
   async generateSignedPdf(documentVersionId, signaturesToEmbed, options = {}) {
@@ -76,26 +416,50 @@ export class PDFService {
     }
 
     // 3. Embed Visual Signatures (Di Halaman Asli)
+    let appearanceFonts = null;
     for (const sig of signaturesToEmbed) {
       if (!sig.signatureImageUrl) continue;
 
       // Skip jika koordinat 0 (artinya mungkin hanya untuk audit log, tidak visual)
       if (!sig.width || !sig.height) continue;
 
-      const base64Data = sig.signatureImageUrl.replace(/^data:image\/png;base64,/, "");
-      const imageBytes = Buffer.from(base64Data, "base64");
-      const embeddedImage = await pdfDoc.embedPng(imageBytes);
+      // Deteksi format (PNG/JPEG/WebP/SVG) & normalisasi ukuran sebelum embed
+      const signatureImage = await normalizeSignatureImage(sig.signatureImageUrl);
+      const embeddedImage = signatureImage.format === "jpeg" ? await pdfDoc.embedJpg(signatureImage.bytes) : await pdfDoc.embedPng(signatureImage.bytes);
 
       const pageIndex = sig.pageNumber - 1;
       if (pageIndex < 0 || pageIndex >= pdfDoc.getPageCount()) continue;
 
       const page = pdfDoc.getPage(pageIndex);
-      const { width: pw, height: ph } = page.getSize();
-
-      const boxWidth = sig.width * pw;
-      const boxHeight = sig.height * ph;
+      // Kotak pada halaman sebagaimana tampil di viewer (CropBox & /Rotate diperhitungkan)
+      const signatureBox = normalizedToVisualBox(page, sig);
+      const boxWidth = signatureBox.width;
+      const boxHeight = signatureBox.height;
 
       const { width: imgWidth, height: imgHeight } = embeddedImage.size();
+
+      // Template appearance (nama, waktu, alasan, lokasi): annotation mengisi seluruh kotak tanda tangan
+      if (SIGNATURE_APPEARANCE_TEMPLATES[sig.appearanceTemplate]?.layout) {
+        appearanceFonts = appearanceFonts || {
+          regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+          bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+        };
+        const fonts = appearanceFonts;
+        const lines = buildAppearanceLines(sig).map((line) => ({ ...line, text: toFontSafeText(line.bold ? fonts.bold : fonts.regular, line.text) }));
+        const layout = layoutSignatureAppearance({
+          template: sig.appearanceTemplate,
+          boxWidth,
+          boxHeight,
+          imageWidth: imgWidth,
+          imageHeight: imgHeight,
+          lines,
+          measure: (text, bold) => (bold ? fonts.bold : fonts.regular).widthOfTextAtSize(text, 1),
+        });
+
+        createLockedStampAnnotation(pdfDoc, page, embeddedImage, signatureBox.x, signatureBox.y, boxWidth, boxHeight, { ...layout, fonts });
+        continue;
+      }
+
       const imgRatio = imgWidth / imgHeight;
       const boxRatio = boxWidth / boxHeight;
 
@@ -111,130 +475,81 @@ export class PDFService {
       const xPadding = (boxWidth - finalWidth) / 2;
       const yPadding = (boxHeight - finalHeight) / 2;
 
-      const x = sig.positionX * pw + xPadding;
-      const y_from_top = sig.positionY * ph + yPadding;
-      const y = ph - y_from_top - finalHeight;
+      const x = signatureBox.x + xPadding;
+      const y = signatureBox.y + yPadding;
 
       createLockedStampAnnotation(pdfDoc, page, embeddedImage, x, y, finalWidth, finalHeight);
     }
 
+    // 3b. Burn-in field non-tanda tangan (tanggal, paraf, teks, checkbox) & paraf di setiap halaman
+    if (options.fields?.length) {
+      await drawSignatureFields(pdfDoc, options.fields);
+    }
+    if (options.repeatInitials?.length) {
+      await drawRepeatedInitials(pdfDoc, options.repeatInitials);
+    }
+
     // 4. [BARU] GENERATE HALAMAN AUDIT TRAIL
     let accessCode = null;
     if (options.displayQrCode && options.verificationUrl) {
       accessCode = crypto.randomBytes(3).toString("hex").toUpperCase();
+      await drawAuditTrail(pdfDoc, signaturesToEmbed, {
+        verificationUrl: options.verificationUrl,
+        accessCode,
+        documentId: version.document?.id,
+      });
+    }
 
-      // Buat halaman baru di akhir
-      const auditPage = pdfDoc.addPage();
-      const { width, height } = auditPage.getSize();
-
-      // Font
-      const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica);
-      const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-      let yPos = height - 50;
-
-      // HEADER
-      auditPage.drawText("DIGITAL SIGNATURE AUDIT TRAIL", { x: 50, y: yPos, size: 18, font: fontBold, color: rgb(0, 0, 0) });
-      yPos -= 25;
-      auditPage.drawText("Lembar ini adalah bagian tak terpisahkan dari dokumen ini.", { x: 50, y: yPos, size: 10, font: fontRegular, color: rgb(0.5, 0.5, 0.5) });
-      yPos -= 40;
-
-      // QR CODE & PIN SECTION
-      try {
-        const qrDataUrl = await QRCode.toDataURL(options.verificationUrl);
-        const qrBytes = Buffer.from(qrDataUrl.split(",")[1], "base64");
-        const embeddedQr = await pdfDoc.embedPng(qrBytes);
+    // 5. Digital Signing (Crypto)
+    // Setiap penandatangan mendapat revisi (incremental update) tanda tangan sendiri,
+    // sehingga revisi sebelumnya tetap utuh dan PDF reader menampilkan rantai tanda tangan lengkap.
+    const pdfVisualBytes = await pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false });
 
-        // Gambar QR di sebelah kanan atas (opsional) atau di bawah header
-        // Kita taruh di bawah header kiri
-        const qrSize = 100;
-        auditPage.drawImage(embeddedQr, { x: 50, y: yPos - qrSize, width: qrSize, height: qrSize });
+    const p12Buffer = loadSystemP12();
 
-        // Tulis Info Verifikasi di sebelah QR
-        const textX = 170;
-        let textY = yPos - 15;
+    let signedPdfBuffer = Buffer.from(pdfVisualBytes);
+    const signerCertificates = [];
 
-        auditPage.drawText("VERIFIKASI DOKUMEN", { x: textX, y: textY, size: 12, font: fontBold });
-        textY -= 20;
-        auditPage.drawText("Scan QR Code di samping untuk memverifikasi keaslian", { x: textX, y: textY, size: 10, font: fontRegular });
-        textY -= 15;
-        auditPage.drawText("dan integritas dokumen ini secara digital.", { x: textX, y: textY, size: 10, font: fontRegular });
+    for (const signerIdentity of groupSignersForRevision(signaturesToEmbed)) {
+      const issued = this.certificateService.issueSignerCertificate(p12Buffer, certPassword, {
+        name: signerIdentity.signerName,
+        email: signerIdentity.signerEmail,
+      });
 
-        textY -= 30;
-        auditPage.drawText(`ACCESS CODE (PIN):  ${accessCode}`, { x: textX, y: textY, size: 14, font: fontBold, color: rgb(0, 0, 0) });
+      const pdfWithPlaceholder = plainAddPlaceholder({
+        pdfBuffer: signedPdfBuffer,
+        reason: signerIdentity.reason || `Ditandatangani secara digital oleh ${signerIdentity.signerName}${signerIdentity.onBehalfOf ? ` atas nama ${signerIdentity.onBehalfOf}` : ""}`,
+        contactInfo: signerIdentity.signerEmail,
+        name: signerIdentity.signerName,
+        location: signerIdentity.location || "Bandung, Indonesia",
+        signatureLength: 32768,
+      });
 
-        yPos -= qrSize + 40; // Geser cursor ke bawah QR
+      try {
+        signedPdfBuffer = signer.sign(pdfWithPlaceholder, issued.p12Buffer, { passphrase: issued.passphrase });
       } catch (err) {
-        console.error("Gagal render QR Audit:", err);
+        throw CommonError.InternalServerError(`Gagal signing: ${err.message}`);
       }
 
-      // TABEL LOG SIGNATURE
-      auditPage.drawText("RIWAYAT PENANDATANGANAN", { x: 50, y: yPos, size: 14, font: fontBold });
-      yPos -= 20;
-
-      // Garis Header
-      auditPage.drawLine({ start: { x: 50, y: yPos }, end: { x: width - 50, y: yPos }, thickness: 1, color: rgb(0, 0, 0) });
-      yPos -= 20;
-
-      // Loop Data Signature (Audit Log)
-      for (const sig of signaturesToEmbed) {
-        // Pastikan data ini dikirim dari Service!
-        const name = sig.signerName || "Unknown Signer";
-        const email = sig.signerEmail || "-";
-        const ip = sig.ipAddress || "IP tidak tercatat";
-        const dateStr = sig.signedAt ? new Date(sig.signedAt).toLocaleString("id-ID") : "Waktu tidak tercatat";
-        const sigId = sig.id ? `ID: ${sig.id.substring(0, 8)}...` : "";
-
-        // Cek overflow halaman
-        if (yPos < 50) {
-          // Buat halaman baru jika penuh (simple logic)
-          // (Untuk implementasi robust butuh recursive, tapi ini cukup untuk ~10 signer)
-          // auditPage = pdfDoc.addPage(); ...reset yPos...
-        }
-
-        auditPage.drawText(name, { x: 50, y: yPos, size: 12, font: fontBold });
-        auditPage.drawText(dateStr, { x: width - 200, y: yPos, size: 10, font: fontRegular, color: rgb(0.3, 0.3, 0.3) });
-
-        yPos -= 15;
-        auditPage.drawText(`${email}  •  ${ip}  •  ${sigId}`, { x: 50, y: yPos, size: 10, font: fontRegular, color: rgb(0.4, 0.4, 0.4) });
-
-        yPos -= 25; // Spasi antar item
+      // PAdES-B-T: timestamp RFC 3161 atas signature revisi ini
+      if (this.timestampService) {
+        signedPdfBuffer = await this.timestampService.stampLatestSignature(signedPdfBuffer);
       }
 
-      // Footer Dokumen ID
-      const footerY = 30;
-      const docIdText = `Document ID: ${version.document.id}  •  Generated by WeSign System`;
-      auditPage.drawText(docIdText, { x: 50, y: footerY, size: 8, font: fontRegular, color: rgb(0.6, 0.6, 0.6) });
+      signerCertificates.push({
+        signerName: signerIdentity.signerName,
+        signerEmail: signerIdentity.signerEmail,
+        signatureIds: signerIdentity.signatureIds,
+        publicKey: issued.publicKey,
+        certificate: issued.certificate,
+      });
     }
 
-    // 5. Digital Signing (Crypto)
-    const pdfVisualBytes = await pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false });
-    const pdfWithPlaceholder = plainAddPlaceholder({
-      pdfBuffer: Buffer.from(pdfVisualBytes),
-      reason: "Digitally Signed by Signify System",
-      contactInfo: "admin@signify.com",
-      name: "Signify System",
-      location: "Bandung, Indonesia",
-      signatureLength: 32768,
-    });
-
-    const envCertPath = process.env.CERT_FILE_PATH || "./config/certificates/signer_cert.p12";
-    const p12Path = path.resolve(process.cwd(), envCertPath);
-    let p12Buffer;
-
-    if (fs.existsSync(p12Path)) {
-      p12Buffer = fs.readFileSync(p12Path);
-    } else if (process.env.CERT_BASE64) {
-      p12Buffer = Buffer.from(process.env.CERT_BASE64, "base64");
-    } else {
-      throw CommonError.InternalServerError("Sertifikat Digital (P12) tidak ditemukan.");
-    }
-
-    let signedPdfBuffer;
-    try {
-      signedPdfBuffer = signer.sign(pdfWithPlaceholder, p12Buffer, { passphrase: certPassword });
-    } catch (err) {
-      throw CommonError.InternalServerError(`Gagal signing: ${err.message}`);
+    // PAdES-LT: rantai sertifikat + CRL disimpan di DSS agar tetap bisa divalidasi jangka panjang
+    if (this.timestampService) {
+      signedPdfBuffer = this.timestampService.appendValidationData(signedPdfBuffer, {
+        crls: [this.certificateService.createCrl(p12Buffer, certPassword)],
+      });
     }
 
     const documentOwnerId = version.userId;
@@ -248,6 +563,7 @@ export class PDFService {
       signedFileBuffer: Buffer.from(signedPdfBuffer),
       publicUrl: finalUrl,
       accessCode: accessCode,
+      signerCertificates,
     };
   }
 }
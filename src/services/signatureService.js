@@ -1,15 +1,20 @@
 import crypto from "crypto";
 import SignatureError from "../errors/SignatureError.js";
 import CommonError from "../errors/CommonError.js";
+import { resolveTypedSignature } from "../utils/typedSignatureRenderer.js";
+import { resolveSignatureAppearance } from "../utils/signatureAppearance.js";
+import { resolveSignatureFields, resolveRepeatedInitials } from "../utils/signatureFieldHelper.js";
 
 export class SignatureService {
-  constructor(signatureRepository, documentRepository, versionRepository, pdfService, auditService, userService) {
+  constructor(signatureRepository, documentRepository, versionRepository, pdfService, auditService, userService, signatureFieldRepository = null, documentSearchService = null) {
     this.signatureRepository = signatureRepository;
     this.documentRepository = documentRepository;
     this.versionRepository = versionRepository;
     this.pdfService = pdfService;
     this.auditService = auditService;
     this.userService = userService;
+    this.signatureFieldRepository = signatureFieldRepository;
+    this.documentSearchService = documentSearchService;
   }
 
   /**
@@ -58,6 +63,14 @@ export class SignatureService {
       }
     }
 
+    // Validasi template tampilan & render tanda tangan ketik (method "typed") sebelum versi baru dibuat
+    const payloadArray = await Promise.all((Array.isArray(signaturesData) ? signaturesData : [signaturesData]).map((sig) => resolveTypedSignature(resolveSignatureAppearance(sig))));
+
+    // Field non-tanda tangan (tanggal, paraf, teks, checkbox); field tanggal memakai zona waktu signer
+    const signedAt = new Date();
+    const fields = await resolveSignatureFields(options.fields, { signedAt, timezone: payloadArray[0]?.timezone });
+    const repeatInitials = await resolveRepeatedInitials(options.repeatInitials);
+
     let newVersionId = null;
 
     try {
@@ -68,7 +81,6 @@ export class SignatureService {
       });
       newVersionId = newVersion.id;
 
-      const payloadArray = Array.isArray(signaturesData) ? signaturesData : [signaturesData];
       const savedSignatures = [];
 
       for (const sigData of payloadArray) {
@@ -77,6 +89,12 @@ export class SignatureService {
           documentVersionId: newVersion.id,
           method: sigData.method || "canvas",
           signatureImageUrl: sigData.signatureImageUrl,
+          typedText: sigData.typedText,
+          typedFont: sigData.typedFont,
+          appearanceTemplate: sigData.appearanceTemplate,
+          reason: sigData.reason,
+          location: sigData.location,
+          timezone: sigData.timezone,
           positionX: sigData.positionX,
           positionY: sigData.positionY,
           pageNumber: sigData.pageNumber,
@@ -88,6 +106,10 @@ export class SignatureService {
         savedSignatures.push(savedSig);
       }
 
+      if (fields.length > 0 && this.signatureFieldRepository) {
+        await this.signatureFieldRepository.createMany(fields.map((field) => ({ ...field, signerId: userId, documentVersionId: newVersion.id })));
+      }
+
       const firstSignatureId = savedSignatures[0]?.id;
       const BASE_VERIFY_URL = process.env.VERIFICATION_URL || "http://localhost:5173";
       const verificationUrl = `${BASE_VERIFY_URL.replace(/\/$/, "")}/verify/${firstSignatureId}`;
@@ -99,15 +121,28 @@ export class SignatureService {
         signerName: signerName,
         signerEmail: signerEmail,
         ipAddress: auditData.ipAddress,
-        signedAt: new Date(),
+        signedAt,
       }));
 
-      const { signedFileBuffer, publicUrl, accessCode } = await this.pdfService.generateSignedPdf(originalVersionId, signaturesForPdf, { displayQrCode: options.displayQrCode, verificationUrl });
+      const { signedFileBuffer, publicUrl, accessCode, signerCertificates } = await this.pdfService.generateSignedPdf(originalVersionId, signaturesForPdf, {
+        displayQrCode: options.displayQrCode,
+        verificationUrl,
+        fields,
+        repeatInitials: repeatInitials ? [repeatInitials] : [],
+      });
 
       if (accessCode && firstSignatureId) {
         await this.signatureRepository.update(firstSignatureId, { accessCode });
       }
 
+      // Simpan public key sertifikat signer (revisi tanda tangan PDF milik signer ini)
+      const signerPublicKey = signerCertificates?.[0]?.publicKey;
+      if (signerPublicKey) {
+        for (const savedSig of savedSignatures) {
+          await this.signatureRepository.update(savedSig.id, { signerPublicKey });
+        }
+      }
+
       const signedHash = crypto.createHash("sha256").update(signedFileBuffer).digest("hex");
 
       await this.versionRepository.update(newVersion.id, {
@@ -115,6 +150,9 @@ export class SignatureService {
         signedFileHash: signedHash,
       });
 
+      // Indeks full-text search berjalan di background (tidak menggagalkan penandatanganan)
+      this.documentSearchService?.indexVersion(newVersion.id, signedFileBuffer);
+
       const result = await this.documentRepository.update(originalVersion.documentId, {
         currentVersionId: newVersion.id,
         status: "completed",
@@ -0,0 +1,173 @@
+import { sendWhatsappNotification } from "../utils/whatsappSender.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Mengurai daftar jam pengingat sebelum tenggat, misalnya "72,24,2".
+ * @param {string} [value]
+ * @returns {number[]} Jam unik, positif, urut dari yang terjauh.
+ */
+export const parseReminderHours = (value) => {
+  const hours = String(value || "")
+    .split(",")
+    .map((item) => Number(item.trim()))
+    .filter((hour) => Number.isFinite(hour) && hour > 0);
+  return [...new Set(hours)].sort((a, b) => b - a);
+};
+
+/** Pengingat dikirim N jam sebelum tenggat tanda tangan. Default: 48 dan 24 jam sebelumnya. */
+export const SIGNING_REMINDER_HOURS = parseReminderHours(process.env.SIGNING_REMINDER_HOURS || "48,24");
+
+/** Jumlah permintaan tanda tangan yang dibaca per batch; cron memproses semua batch hingga habis. */
+const DEADLINE_BATCH_SIZE = 500;
+
+/**
+ * Service tenggat tanda tangan dokumen grup.
+ * Tenggat berlaku per signer (`GroupDocumentSigner.deadline`) atau per dokumen (`Document.signingDeadline`).
+ * Dijalankan berkala oleh cron: mengirim pengingat WhatsApp sebelum tenggat dan menandai permintaan
+ * yang lewat tenggat sebagai EXPIRED (Admin Grup diberi tahu lewat socket).
+ */
+export class SigningDeadlineService {
+  /**
+   * @param {Object} groupDocumentSignerRepository - Repository permintaan tanda tangan grup.
+   * @param {Object} [io] - Socket.IO instance untuk memberi tahu room grup.
+   * @param {Function} [sendNotification] - Pengirim pesan WhatsApp `(phoneNumber, message)`.
+   * @param {number[]} [reminderHours] - Jam pengingat sebelum tenggat.
+   */
+  constructor(groupDocumentSignerRepository, io = null, sendNotification = sendWhatsappNotification, reminderHours = SIGNING_REMINDER_HOURS) {
+    if (!groupDocumentSignerRepository) {
+      throw new Error("Group document signer repository harus disediakan.");
+    }
+    this.groupDocumentSignerRepository = groupDocumentSignerRepository;
+    this.io = io;
+    this.sendNotification = sendNotification;
+    this.reminderHours = reminderHours;
+  }
+
+  /**
+   * Mengirim pengingat yang jatuh tempo dan menandai permintaan yang lewat tenggat. Dipanggil oleh cron.
+   * Setiap signer hanya menerima satu pengingat per jadwal; kegagalan satu pengingat tidak menghentikan yang lain.
+   * Pada tanda tangan berurutan, pengingat hanya dikirim ke signer di tahap yang sudah aktif.
+   * @param {Date} [now=new Date()]
+   * @returns {Promise<{ reminded: number, expired: number, failed: number }>}
+   */
+  async processDeadlines(now = new Date()) {
+    const summary = { reminded: 0, expired: 0, failed: 0 };
+    // Hanya tenggat yang sudah masuk jendela pengingat terjauh yang perlu diproses
+    const dueBefore = new Date(now.getTime() + Math.max(0, ...this.reminderHours) * HOUR_MS);
+
+    const overdue = [];
+    const activeStages = new Map();
+    let afterId = null;
+    let signers;
+    do {
+      signers = await this.groupDocumentSignerRepository.findPendingWithDeadline(dueBefore, { take: DEADLINE_BATCH_SIZE, afterId });
+
+      for (const signer of signers) {
+        const deadline = this.getEffectiveDeadline(signer);
+        if (!deadline) continue;
+
+        if (deadline <= now) {
+          overdue.push(signer);
+          continue;
+        }
+
+        const dueReminders = this.reminderHours.filter((hours) => now.getTime() >= deadline.getTime() - hours * HOUR_MS).length;
+        if (dueReminders <= (signer.remindersSent || 0)) continue;
+
+        try {
+          // Tanda tangan berurutan: signer di tahap yang belum aktif belum bisa menandatangani, jadi belum diingatkan
+          if (!(await this._isStageActive(signer, activeStages))) continue;
+
+          await this._sendReminder(signer, deadline);
+          await this.groupDocumentSignerRepository.markReminderSent(signer.id, dueReminders);
+          summary.reminded += 1;
+        } catch (error) {
+          summary.failed += 1;
+          console.error(`[SigningDeadlineService] Gagal mengirim pengingat ke signer ${signer.id}:`, error.message);
+        }
+      }
+
+      afterId = signers.length > 0 ? signers[signers.length - 1].id : null;
+    } while (signers.length === DEADLINE_BATCH_SIZE);
+
+    if (overdue.length > 0) {
+      const { count } = await this.groupDocumentSignerRepository.markAsExpired(overdue.map((signer) => signer.id));
+      summary.expired = count;
+      this._notifyExpired(overdue);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Tenggat yang berlaku untuk satu permintaan tanda tangan: tenggat signer, atau tenggat dokumen.
+   * @param {{ deadline?: Date|string|null, document?: { signingDeadline?: Date|string|null } }} signer
+   * @returns {Date|null}
+   */
+  getEffectiveDeadline(signer) {
+    const value = signer.deadline || signer.document?.signingDeadline;
+    return value ? new Date(value) : null;
+  }
+
+  /**
+   * Apakah tahap signer sudah aktif (tidak ada signer PENDING di tahap sebelumnya). Hasil di-cache per dokumen & urutan.
+   * @private
+   */
+  async _isStageActive(signer, cache) {
+    const order = signer.order ?? 1;
+    if (order <= 1) return true;
+
+    const key = `${signer.document.id}:${order}`;
+    if (!cache.has(key)) {
+      const waitingCount = await this.groupDocumentSignerRepository.countPendingBeforeOrder(signer.document.id, order);
+      cache.set(key, waitingCount === 0);
+    }
+    return cache.get(key);
+  }
+
+  /** @private */
+  async _sendReminder(signer, deadline) {
+    // Penanda tangan eksternal (tanpa akun) diingatkan lewat nomor HP yang didaftarkan saat diundang
+    const recipient = signer.user || { name: signer.externalName, phoneNumber: signer.externalPhone };
+    if (!recipient.phoneNumber) return;
+
+    const deadlineLabel = deadline.toLocaleString("id-ID", { day: "numeric", month: "long", year: "numeric", hour: "2-digit", minute: "2-digit" });
+    const message = `Halo *${recipient.name}*! ⏰
+
+Pengingat: dokumen *${signer.document.title}* di *${signer.document.group?.name || "Signify Group"}* masih menunggu tanda tangan Anda.
+
+🗓️ Batas waktu: *${deadlineLabel}*
+
+Setelah batas waktu lewat, permintaan tanda tangan akan kedaluwarsa.
+
+Terima kasih.`;
+
+    await this.sendNotification(recipient.phoneNumber, message);
+  }
+
+  /**
+   * Memberi tahu room grup bahwa ada permintaan tanda tangan yang kedaluwarsa (per dokumen).
+   * @private
+   */
+  _notifyExpired(signers) {
+    if (!this.io) return;
+
+    const byDocument = new Map();
+    for (const signer of signers) {
+      const entry = byDocument.get(signer.document.id) || { document: signer.document, userIds: [] };
+      entry.userIds.push(signer.userId);
+      byDocument.set(signer.document.id, entry);
+    }
+
+    for (const { document, userIds } of byDocument.values()) {
+      if (!document.groupId) continue;
+      this.io.to(`group_${document.groupId}`).emit("group_document_update", {
+        action: "signers_expired",
+        documentId: document.id,
+        userIds,
+        message: `${userIds.length} permintaan tanda tangan dokumen "${document.title}" melewati batas waktu.`,
+      });
+    }
+  }
+}
@@ -0,0 +1,165 @@
+import CommonError from "../errors/CommonError.js";
+import TagError from "../errors/TagError.js";
+import { MAX_BULK_DOCUMENTS, assertDocumentsInScope, isOwnPersonalResource, resolveOrganizationScope } from "../utils/documentOrganization.js";
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Service tag dokumen (many-to-many).
+ * Cakupan dan hak akses sama seperti folder: tag personal hanya milik pembuatnya, tag grup dipakai
+ * bersama anggota grup (`signer`/`admin_group` boleh memasang tag, hanya `admin_group` yang mengelola tag).
+ */
+export class TagService {
+  /**
+   * @param {Object} tagRepository - Repository tag.
+   * @param {Object} documentRepository - Repository dokumen (validasi dokumen yang diberi tag).
+   * @param {Object} groupMemberRepository - Repository anggota grup (validasi role).
+   */
+  constructor(tagRepository, documentRepository, groupMemberRepository) {
+    if (!tagRepository || !documentRepository || !groupMemberRepository) {
+      throw new Error("Tag repository, document repository, dan group member repository harus disediakan.");
+    }
+    this.tagRepository = tagRepository;
+    this.documentRepository = documentRepository;
+    this.groupMemberRepository = groupMemberRepository;
+  }
+
+  /**
+   * Mengambil tag personal user atau tag grup.
+   * @param {string} userId
+   * @param {number|null} [groupId=null]
+   * @returns {Promise<object[]>} Tag beserta `documentCount`.
+   */
+  async listTags(userId, groupId = null) {
+    const scope = await resolveOrganizationScope(this.groupMemberRepository, userId, groupId, "view");
+    const tags = await this.tagRepository.findAllByScope(scope);
+    return tags.map(({ _count, ...tag }) => ({ ...tag, documentCount: _count?.documents || 0 }));
+  }
+
+  /**
+   * Membuat tag baru. Nama tag unik per cakupan (tanpa membedakan huruf besar/kecil).
+   * @param {string} userId
+   * @param {{ name: string, color?: string|null, groupId?: number|null }} data
+   * @returns {Promise<object>}
+   * @throws {TagError} DuplicateName.
+   */
+  async createTag(userId, { name, color = null, groupId = null }) {
+    const tagName = name.trim();
+    const scope = await resolveOrganizationScope(this.groupMemberRepository, userId, groupId, "manage");
+    await this._assertUniqueName(scope, tagName);
+    return this.tagRepository.create({ name: tagName, color, userId, groupId: scope.groupId });
+  }
+
+  /**
+   * Mengganti nama dan/atau warna tag.
+   * @param {string} userId
+   * @param {string} tagId
+   * @param {{ name?: string, color?: string|null }} data
+   * @returns {Promise<object>}
+   */
+  async updateTag(userId, tagId, { name, color } = {}) {
+    const { tag, scope } = await this._getAccessibleTag(userId, tagId, "manage");
+
+    const data = {};
+    if (name !== undefined) {
+      data.name = name.trim();
+      await this._assertUniqueName(scope, data.name, tagId);
+    }
+    if (color !== undefined) data.color = color;
+
+    if (Object.keys(data).length === 0) return tag;
+    return this.tagRepository.update(tagId, data);
+  }
+
+  /**
+   * Menghapus tag beserta seluruh pemasangannya pada dokumen.
+   * @param {string} userId
+   * @param {string} tagId
+   * @returns {Promise<void>}
+   */
+  async deleteTag(userId, tagId) {
+    await this._getAccessibleTag(userId, tagId, "manage");
+    await this.tagRepository.deleteById(tagId);
+  }
+
+  /**
+   * Memasang tag ke banyak dokumen sekaligus.
+   * @param {string} userId
+   * @param {{ documentIds: string[], tagIds: string[] }} data
+   * @returns {Promise<{ documentCount: number, tagCount: number, affected: number }>} `affected` = jumlah relasi baru.
+   * @throws {TagError} NotFound atau ScopeMismatch.
+   */
+  async assignTags(userId, { documentIds, tagIds }) {
+    const { documentIds: docs, tagIds: tags } = await this._prepareBulk(userId, documentIds, tagIds);
+    const affected = await this.tagRepository.addToDocuments(docs, tags);
+    return { documentCount: docs.length, tagCount: tags.length, affected };
+  }
+
+  /**
+   * Melepas tag dari banyak dokumen sekaligus.
+   * @param {string} userId
+   * @param {{ documentIds: string[], tagIds: string[] }} data
+   * @returns {Promise<{ documentCount: number, tagCount: number, affected: number }>} `affected` = jumlah relasi yang dihapus.
+   */
+  async unassignTags(userId, { documentIds, tagIds }) {
+    const { documentIds: docs, tagIds: tags } = await this._prepareBulk(userId, documentIds, tagIds);
+    const affected = await this.tagRepository.removeFromDocuments(docs, tags);
+    return { documentCount: docs.length, tagCount: tags.length, affected };
+  }
+
+  /**
+   * Validasi operasi bulk: semua tag harus ada, berada pada satu cakupan yang dapat diatur user,
+   * dan semua dokumen berada pada cakupan yang sama dengan tag.
+   * @private
+   */
+  async _prepareBulk(userId, documentIds, tagIds) {
+    const uniqueDocumentIds = [...new Set(documentIds)];
+    const uniqueTagIds = [...new Set(tagIds)];
+    if (uniqueDocumentIds.length === 0 || uniqueDocumentIds.length > MAX_BULK_DOCUMENTS) {
+      throw CommonError.BadRequest(`Jumlah dokumen harus antara 1 dan ${MAX_BULK_DOCUMENTS}.`);
+    }
+    if (uniqueTagIds.length === 0) throw CommonError.BadRequest("Minimal satu tag harus dipilih.");
+
+    const tags = await this.tagRepository.findManyByIds(uniqueTagIds);
+    const found = new Set(tags.map((tag) => tag.id));
+    const missingId = uniqueTagIds.find((id) => !found.has(id));
+    if (missingId) throw TagError.NotFound(missingId);
+
+    const groupId = tags[0].groupId || null;
+    if (tags.some((tag) => (tag.groupId || null) !== groupId)) {
+      throw TagError.ScopeMismatch("Semua tag harus berasal dari cakupan yang sama (personal atau grup yang sama).");
+    }
+    if (!groupId) {
+      const foreign = tags.find((tag) => !isOwnPersonalResource(tag, userId));
+      if (foreign) throw TagError.NotFound(foreign.id);
+    }
+
+    const scope = await resolveOrganizationScope(this.groupMemberRepository, userId, groupId, "organize");
+    await assertDocumentsInScope(this.documentRepository, uniqueDocumentIds, scope, () => TagError.ScopeMismatch());
+
+    return { documentIds: uniqueDocumentIds, tagIds: uniqueTagIds };
+  }
+
+  /**
+   * Mengambil tag dan memvalidasi akses user. Tag personal milik orang lain diperlakukan tidak ditemukan.
+   * @private
+   */
+  async _getAccessibleTag(userId, tagId, action) {
+    const tag = await this.tagRepository.findById(tagId);
+    if (!tag) throw TagError.NotFound(tagId);
+
+    if (!tag.groupId) {
+      if (!isOwnPersonalResource(tag, userId)) throw TagError.NotFound(tagId);
+      return { tag, scope: { userId, groupId: null } };
+    }
+
+    const scope = await resolveOrganizationScope(this.groupMemberRepository, userId, tag.groupId, action);
+    return { tag, scope };
+  }
+
+  /** @private */
+  async _assertUniqueName(scope, name, excludeTagId = null) {
+    const tags = await this.tagRepository.findAllByScope(scope);
+    if (tags.some((tag) => tag.id !== excludeTagId && sameName(tag.name, name))) throw TagError.DuplicateName(name);
+  }
+}
@@ -0,0 +1,308 @@
+import crypto from "crypto";
+import axios from "axios";
+import forge from "node-forge";
+import CommonError from "../errors/CommonError.js";
+import { loadSystemP12 } from "./certificateService.js";
+import { findPdfSignatures, replaceSignatureContents, parseCms, extractCmsCertificates, appendDssDictionary, OID_SIGNATURE_TIMESTAMP_TOKEN } from "../utils/pdfSignatureHelper.js";
+
+const { asn1 } = forge;
+
+const OID = {
+  sha256: "2.16.840.1.101.3.4.2.1",
+  rsaEncryption: "1.2.840.113549.1.1.1",
+  signedData: "1.2.840.113549.1.7.2",
+  contentType: "1.2.840.113549.1.9.3",
+  messageDigest: "1.2.840.113549.1.9.4",
+  signingTime: "1.2.840.113549.1.9.5",
+  tstInfo: "1.2.840.113549.1.9.16.1.4",
+  signingCertificateV2: "1.2.840.113549.1.9.16.2.47",
+  // ETSI EN 319 421 - best practices time-stamp policy
+  bestPracticesTsPolicy: "0.4.0.2023.1.1",
+};
+
+const PKI_STATUS = { GRANTED: 0, GRANTED_WITH_MODS: 1, REJECTION: 2 };
+
+// --- Helper ASN.1 ---
+const seq = (items) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, items);
+const set = (items) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, items);
+const oid = (value) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(value).getBytes());
+const int = (value) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, typeof value === "number" ? asn1.integerToDer(value).getBytes() : value);
+const octet = (buffer) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, buffer.toString("binary"));
+const toBuffer = (node) => Buffer.from(asn1.toDer(node).getBytes(), "binary");
+const fromBuffer = (buffer) => asn1.fromDer(forge.util.createBuffer(buffer.toString("binary")), { decodeBitStrings: false });
+const attribute = (type, value) => seq([oid(type), set([value])]);
+
+/** Angka acak positif (bit teratas dimatikan) dalam bentuk byte string untuk INTEGER. */
+const randomPositiveInteger = (size) => {
+  const bytes = crypto.randomBytes(size);
+  bytes[0] = (bytes[0] & 0x7f) | 0x01;
+  return bytes.toString("binary");
+};
+
+/**
+ * Membuat TimeStampReq (RFC 3161) untuk digest SHA-256.
+ * @returns {Buffer} DER
+ */
+export const buildTimestampRequest = (digest, nonce) =>
+  toBuffer(
+    seq([
+      int(1),
+      seq([seq([oid(OID.sha256)]), octet(digest)]),
+      int(nonce),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.BOOLEAN, false, String.fromCharCode(0xff)), // certReq
+    ])
+  );
+
+/**
+ * Membaca TimeStampResp (RFC 3161), memastikan status granted dan token sesuai dengan request.
+ * @returns {Buffer} TimeStampToken (CMS SignedData) dalam DER.
+ * @throws {CommonError} Jika TSA menolak atau token tidak cocok.
+ */
+export const parseTimestampResponse = (responseDer, digest, nonce) => {
+  let response;
+  try {
+    response = fromBuffer(responseDer);
+  } catch (err) {
+    throw CommonError.InternalServerError(`Respons TSA tidak valid: ${err.message}`);
+  }
+
+  const statusInfo = response.value[0];
+  const status = asn1.derToInteger(statusInfo.value[0].value);
+  if (status !== PKI_STATUS.GRANTED && status !== PKI_STATUS.GRANTED_WITH_MODS) {
+    const statusText = statusInfo.value[1]?.value?.map((text) => text.value).join(", ") || "tanpa keterangan";
+    throw CommonError.InternalServerError(`Permintaan timestamp ditolak TSA (status ${status}: ${statusText}).`);
+  }
+
+  const token = response.value[1];
+  if (!token) throw CommonError.InternalServerError("Respons TSA tidak berisi timestamp token.");
+
+  // TSTInfo ada di encapContentInfo -> [0] -> OCTET STRING
+  const { signedData } = parseCms(toBuffer(token));
+  const tstInfo = fromBuffer(Buffer.from(signedData.value[2].value[1].value[0].value, "binary"));
+  const imprint = Buffer.from(tstInfo.value[2].value[1].value, "binary");
+  if (!imprint.equals(digest)) {
+    throw CommonError.InternalServerError("Timestamp token tidak sesuai dengan data yang diminta.");
+  }
+
+  const tokenNonce = tstInfo.value.find((node, index) => index > 4 && node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.INTEGER);
+  if (!tokenNonce || tokenNonce.value !== nonce) {
+    throw CommonError.InternalServerError("Nonce timestamp token tidak cocok.");
+  }
+
+  return toBuffer(token);
+};
+
+/**
+ * TSA lokal (built-in) sesuai RFC 3161.
+ * Sertifikat TSA diterbitkan oleh sertifikat sistem, sehingga fitur timestamp tetap berjalan tanpa akses jaringan.
+ */
+export class LocalTimestampAuthority {
+  constructor(certificateService, options = {}) {
+    this.certificateService = certificateService;
+    this.policyOid = options.policyOid || OID.bestPracticesTsPolicy;
+    this.signingMaterial = null;
+  }
+
+  _getSigningMaterial() {
+    if (!this.signingMaterial) {
+      this.signingMaterial = this.certificateService.issueTimestampCertificate(loadSystemP12(), process.env.CERT_PASSWORD);
+    }
+    return this.signingMaterial;
+  }
+
+  /**
+   * Memproses TimeStampReq dan mengembalikan TimeStampResp (seperti endpoint TSA via HTTP).
+   * @param {Buffer} requestDer
+   * @returns {Buffer} DER
+   */
+  handleRequest(requestDer) {
+    const request = fromBuffer(requestDer);
+    const messageImprint = request.value[1];
+    const hashAlgorithm = asn1.derToOid(messageImprint.value[0].value[0].value);
+
+    if (hashAlgorithm !== OID.sha256) {
+      const freeText = seq([asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTF8, false, "Algoritma hash tidak didukung")]);
+      return toBuffer(seq([seq([int(PKI_STATUS.REJECTION), freeText])]));
+    }
+
+    const optional = request.value.slice(2);
+    const nonce = optional.find((node) => node.type === asn1.Type.INTEGER);
+    const certReq = optional.find((node) => node.type === asn1.Type.BOOLEAN);
+    const includeCertificates = certReq ? certReq.value !== String.fromCharCode(0) : false;
+
+    const tstInfoItems = [
+      int(1),
+      oid(this.policyOid),
+      messageImprint,
+      int(randomPositiveInteger(16)),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(new Date())),
+      seq([int(1)]), // accuracy: 1 detik
+    ];
+    if (nonce) tstInfoItems.push(int(nonce.value));
+
+    const token = this._buildToken(toBuffer(seq(tstInfoItems)), includeCertificates);
+    return toBuffer(seq([seq([int(PKI_STATUS.GRANTED)]), fromBuffer(token)]));
+  }
+
+  /**
+   * Membungkus TSTInfo sebagai CMS SignedData yang ditandatangani sertifikat TSA.
+   */
+  _buildToken(tstInfoDer, includeCertificates) {
+    const { certificate, privateKeyPem, chain } = this._getSigningMaterial();
+    const certificateDer = toBuffer(forge.pki.certificateToAsn1(certificate));
+
+    const signedAttrs = [
+      attribute(OID.contentType, oid(OID.tstInfo)),
+      attribute(OID.signingTime, asn1.create(asn1.Class.UNIVERSAL, asn1.Type.UTCTIME, false, asn1.dateToUtcTime(new Date()))),
+      attribute(OID.messageDigest, octet(crypto.createHash("sha256").update(tstInfoDer).digest())),
+      // ESS signing-certificate-v2 (RFC 5816), hashAlgorithm default SHA-256
+      attribute(OID.signingCertificateV2, seq([seq([seq([octet(crypto.createHash("sha256").update(certificateDer).digest())])])])),
+    ].sort((a, b) => Buffer.compare(toBuffer(a), toBuffer(b))); // DER: SET OF harus terurut
+
+    const signature = crypto.sign("sha256", toBuffer(set(signedAttrs)), privateKeyPem);
+
+    const signerInfo = seq([
+      int(1),
+      seq([forge.pki.distinguishedNameToAsn1(certificate.issuer), int(forge.util.hexToBytes(certificate.serialNumber))]),
+      seq([oid(OID.sha256)]),
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, signedAttrs),
+      seq([oid(OID.rsaEncryption), asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, "")]),
+      octet(signature),
+    ]);
+
+    const signedDataItems = [int(3), set([seq([oid(OID.sha256)])]), seq([oid(OID.tstInfo), asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [octet(tstInfoDer)])])];
+    if (includeCertificates) {
+      signedDataItems.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, chain.map((cert) => forge.pki.certificateToAsn1(cert))));
+    }
+    signedDataItems.push(set([signerInfo]));
+
+    return toBuffer(seq([oid(OID.signedData), asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [seq(signedDataItems)])]));
+  }
+
+  /**
+   * @param {Buffer} digest - SHA-256 dari data yang di-timestamp.
+   * @returns {Promise<Buffer>} TimeStampToken (DER).
+   */
+  async timestamp(digest) {
+    const nonce = randomPositiveInteger(8);
+    const response = this.handleRequest(buildTimestampRequest(digest, nonce));
+    return parseTimestampResponse(response, digest, nonce);
+  }
+}
+
+/**
+ * Client TSA eksternal via HTTP (RFC 3161 "application/timestamp-query").
+ */
+export class HttpTimestampAuthority {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.username = options.username;
+    this.password = options.password;
+    this.timeout = options.timeout || 10000;
+  }
+
+  async timestamp(digest) {
+    const nonce = randomPositiveInteger(8);
+
+    let response;
+    try {
+      response = await axios.post(this.url, buildTimestampRequest(digest, nonce), {
+        headers: { "Content-Type": "application/timestamp-query" },
+        responseType: "arraybuffer",
+        timeout: this.timeout,
+        auth: this.username ? { username: this.username, password: this.password } : undefined,
+      });
+    } catch (err) {
+      throw CommonError.ServiceUnavailable(`Gagal menghubungi TSA: ${err.message}`);
+    }
+
+    return parseTimestampResponse(Buffer.from(response.data), digest, nonce);
+  }
+}
+
+/**
+ * Memilih TSA sesuai konfigurasi: TSA_URL (eksternal) atau TSA lokal bawaan.
+ */
+export const createTimestampAuthority = (certificateService) => {
+  if (process.env.TSA_URL) {
+    return new HttpTimestampAuthority(process.env.TSA_URL, {
+      username: process.env.TSA_USERNAME,
+      password: process.env.TSA_PASSWORD,
+    });
+  }
+  return new LocalTimestampAuthority(certificateService);
+};
+
+/**
+ * Menambahkan timestamp RFC 3161 ke signature PDF (PAdES-B-T) dan menyimpan
+ * material validasi ke DSS (PAdES-LT).
+ */
+export class TimestampService {
+  constructor(timestampAuthority) {
+    this.timestampAuthority = timestampAuthority;
+  }
+
+  /**
+   * Menyisipkan signature-time-stamp token sebagai unsigned attribute pada SignerInfo.
+   * Token dibuat atas nilai signature (bukan dokumen), sesuai RFC 3161 Appendix A.
+   * @param {Buffer} cmsDer
+   * @returns {Promise<Buffer>}
+   */
+  async stampCms(cmsDer) {
+    const { contentInfo, signerInfo } = parseCms(cmsDer);
+    const signatureNode = signerInfo.value.find((node) => node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.OCTETSTRING);
+    const digest = crypto.createHash("sha256").update(Buffer.from(signatureNode.value, "binary")).digest();
+
+    const token = await this.timestampAuthority.timestamp(digest);
+    const tokenAttribute = attribute(OID_SIGNATURE_TIMESTAMP_TOKEN, fromBuffer(token));
+
+    const unsignedAttrs = signerInfo.value.find((node) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 1);
+    if (unsignedAttrs) {
+      unsignedAttrs.value.push(tokenAttribute);
+    } else {
+      signerInfo.value.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [tokenAttribute]));
+    }
+
+    return toBuffer(contentInfo);
+  }
+
+  /**
+   * Memberi timestamp pada revisi tanda tangan terbaru di PDF (tanpa mengubah ByteRange).
+   * @param {Buffer} pdfBuffer
+   * @returns {Promise<Buffer>}
+   */
+  async stampLatestSignature(pdfBuffer) {
+    const signatures = findPdfSignatures(pdfBuffer);
+    const latest = signatures[signatures.length - 1];
+    if (!latest?.cms) throw CommonError.InternalServerError("Signature PDF tidak ditemukan untuk diberi timestamp.");
+
+    try {
+      return replaceSignatureContents(pdfBuffer, latest, await this.stampCms(latest.cms));
+    } catch (err) {
+      if (err instanceof CommonError) throw err;
+      throw CommonError.InternalServerError(`Gagal menambahkan timestamp: ${err.message}`);
+    }
+  }
+
+  /**
+   * Menyimpan rantai sertifikat seluruh signature (termasuk TSA) dan data revokasi ke DSS.
+   * @param {Buffer} pdfBuffer
+   * @param {{ crls?: Buffer[], ocsps?: Buffer[] }} revocationData
+   * @returns {Buffer}
+   */
+  appendValidationData(pdfBuffer, { crls = [], ocsps = [] } = {}) {
+    const certificates = new Map();
+    for (const signature of findPdfSignatures(pdfBuffer)) {
+      if (!signature.cms) continue;
+      for (const cert of extractCmsCertificates(signature.cms)) {
+        certificates.set(crypto.createHash("sha256").update(cert).digest("hex"), cert);
+      }
+    }
+
+    try {
+      return appendDssDictionary(pdfBuffer, { certs: [...certificates.values()], crls, ocsps });
+    } catch (err) {
+      throw CommonError.InternalServerError(`Gagal menambahkan DSS: ${err.message}`);
+    }
+  }
+}
@@ -0,0 +1,90 @@
+import GroupError from "../errors/GroupError.js";
+import DocumentError from "../errors/DocumentError.js";
+
+/**
+ * Hak akses folder & tag grup per role anggota.
+ * - `view`: melihat folder/tag grup.
+ * - `organize`: memindahkan dokumen antar folder dan memasang/melepas tag.
+ * - `manage`: membuat, mengganti nama, memindahkan, dan menghapus folder/tag.
+ */
+export const ORGANIZE_ROLE_PERMISSIONS = {
+  admin_group: ["view", "organize", "manage"],
+  signer: ["view", "organize"],
+  viewer: ["view"],
+};
+
+/** Maksimal dokumen per permintaan bulk (pindah folder, pasang/lepas tag). */
+export const MAX_BULK_DOCUMENTS = 100;
+
+const ACTION_DENIED_MESSAGES = {
+  view: "Anda bukan anggota grup ini.",
+  organize: "Role Anda di grup ini tidak diizinkan mengatur folder dan tag dokumen.",
+  manage: "Hanya Admin Grup yang dapat mengelola folder dan tag grup.",
+};
+
+/**
+ * Menentukan cakupan folder/tag (personal atau grup) sekaligus memvalidasi hak akses user.
+ * @param {Object} groupMemberRepository - Repository anggota grup.
+ * @param {string} userId - ID user yang melakukan aksi.
+ * @param {number|null} [groupId=null] - ID grup; null berarti cakupan personal milik user.
+ * @param {"view"|"organize"|"manage"} [action="view"]
+ * @returns {Promise<{ userId: string, groupId: number|null }>}
+ * @throws {GroupError} UnauthorizedAccess jika user bukan anggota grup atau role-nya tidak cukup.
+ */
+export const resolveOrganizationScope = async (groupMemberRepository, userId, groupId = null, action = "view") => {
+  if (groupId === null || groupId === undefined) return { userId, groupId: null };
+
+  const member = await groupMemberRepository.findByGroupAndUser(groupId, userId);
+  if (!member) throw GroupError.UnauthorizedAccess(ACTION_DENIED_MESSAGES.view);
+  if (!(ORGANIZE_ROLE_PERMISSIONS[member.role] || []).includes(action)) {
+    throw GroupError.UnauthorizedAccess(ACTION_DENIED_MESSAGES[action]);
+  }
+  return { userId, groupId };
+};
+
+/**
+ * Filter Prisma untuk folder/tag pada sebuah cakupan: personal (milik user, tanpa grup) atau seluruh milik grup.
+ * @param {{ userId: string, groupId: number|null }} scope
+ * @returns {object}
+ */
+export const toScopeWhere = ({ userId, groupId }) => (groupId ? { groupId } : { userId, groupId: null });
+
+/**
+ * Memastikan folder/tag personal hanya diakses pemiliknya. Folder/tag grup divalidasi lewat {@link resolveOrganizationScope}.
+ * @param {{ userId: string, groupId: number|null }} resource - Folder atau tag.
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export const isOwnPersonalResource = (resource, userId) => !resource.groupId && resource.userId === userId;
+
+/**
+ * Memastikan semua dokumen ada dan berada pada cakupan yang sama dengan folder/tag tujuan.
+ * @param {Object} documentRepository - Repository dokumen (butuh `findManyByIds`).
+ * @param {string[]} documentIds - ID dokumen (sudah unik).
+ * @param {{ userId: string, groupId: number|null }} scope
+ * @param {() => Error} mismatchError - Factory error untuk dokumen di luar cakupan.
+ * @returns {Promise<object[]>} Dokumen yang divalidasi.
+ * @throws {DocumentError} NotFound jika ada dokumen yang tidak ditemukan.
+ */
+export const assertDocumentsInScope = async (documentRepository, documentIds, scope, mismatchError) => {
+  const documents = await documentRepository.findManyByIds(documentIds);
+  const found = new Set(documents.map((document) => document.id));
+  const missingId = documentIds.find((id) => !found.has(id));
+  if (missingId) throw DocumentError.NotFound(missingId);
+
+  const inScope = (document) => (scope.groupId ? document.groupId === scope.groupId : !document.groupId && document.userId === scope.userId);
+  if (!documents.every(inScope)) throw mismatchError();
+
+  return documents;
+};
+
+/**
+ * Potongan filter Prisma `Document` untuk folder & tag.
+ * `folderId: null` berarti dokumen yang belum masuk folder; `tagIds` memakai semantik AND (dokumen harus punya semua tag).
+ * @param {{ folderId?: string|null, tagIds?: string[] }} [filters]
+ * @returns {object}
+ */
+export const buildOrganizationWhere = ({ folderId, tagIds } = {}) => ({
+  ...(folderId !== undefined && { folderId }),
+  ...(tagIds?.length > 0 && { AND: tagIds.map((tagId) => ({ tags: { some: { tagId } } })) }),
+});
@@ -0,0 +1,38 @@
+import axios from "axios";
+
+/**
+ * Mengirim email teks menggunakan Resend (HTTP API)
+ * @param {string} to - Alamat email tujuan.
+ * @param {string} subject - Subjek email.
+ * @param {string} text - Isi email (teks biasa).
+ * @returns {Promise<object>|null} Response data dari Resend atau null jika gagal.
+ */
+export const sendEmailNotification = async (to, subject, text) => {
+    if (!process.env.RESEND_API_KEY || !process.env.EMAIL_FROM) {
+        console.warn("[Email] RESEND_API_KEY atau EMAIL_FROM belum di set di .env. Email tidak dikirim.");
+        return null;
+    }
+
+    try {
+        const response = await axios.post(
+            "https://api.resend.com/emails",
+            {
+                from: process.env.EMAIL_FROM,
+                to: [to],
+                subject: subject,
+                text: text,
+            },
+            {
+                headers: {
+                    Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+                },
+            }
+        );
+
+        console.log(`[Email] Sukses kirim ke ${to}`);
+        return response.data;
+    } catch (error) {
+        console.error("[Email] Error Network/API:", error.response?.data?.message || error.message);
+        return null;
+    }
+};
@@ -0,0 +1,45 @@
+/** Selisih warna minimum (0-255, per channel) agar sebuah pixel dianggap berubah. */
+export const PIXEL_DIFF_THRESHOLD = 32;
+
+const HIGHLIGHT = [220, 38, 38];
+
+/**
+ * Membandingkan dua gambar halaman pixel demi pixel dan membuat gambar overlay:
+ * halaman versi baru ditampilkan pudar (grayscale) dan pixel yang berubah diberi warna merah.
+ * Jika ukuran berbeda, gambar versi lama diskalakan ke ukuran gambar versi baru.
+ *
+ * @param {Buffer} beforeImage - Gambar halaman versi lama (PNG).
+ * @param {Buffer} afterImage - Gambar halaman versi baru (PNG).
+ * @returns {Promise<{ image: Buffer, changedPixelRatio: number, width: number, height: number }>}
+ *   Overlay PNG dan rasio pixel yang berubah (0-1).
+ */
+export const createDiffOverlay = async (beforeImage, afterImage) => {
+  const { default: sharp } = await import("sharp");
+
+  const after = await sharp(afterImage).flatten({ background: "#ffffff" }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = after.info;
+  const before = await sharp(beforeImage).flatten({ background: "#ffffff" }).removeAlpha().resize(width, height, { fit: "fill" }).raw().toBuffer();
+
+  const output = Buffer.alloc(width * height * 3);
+  let changed = 0;
+
+  for (let offset = 0; offset < output.length; offset += 3) {
+    const delta = Math.max(Math.abs(after.data[offset] - before[offset]), Math.abs(after.data[offset + 1] - before[offset + 1]), Math.abs(after.data[offset + 2] - before[offset + 2]));
+
+    if (delta > PIXEL_DIFF_THRESHOLD) {
+      changed++;
+      output[offset] = HIGHLIGHT[0];
+      output[offset + 1] = HIGHLIGHT[1];
+      output[offset + 2] = HIGHLIGHT[2];
+    } else {
+      const gray = 0.299 * after.data[offset] + 0.587 * after.data[offset + 1] + 0.114 * after.data[offset + 2];
+      const faded = Math.round(255 - (255 - gray) * 0.35);
+      output[offset] = faded;
+      output[offset + 1] = faded;
+      output[offset + 2] = faded;
+    }
+  }
+
+  const image = await sharp(output, { raw: { width, height, channels: 3 } }).png().toBuffer();
+  return { image, changedPixelRatio: changed / (width * height), width, height };
+};
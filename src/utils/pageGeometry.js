@@ -0,0 +1,96 @@
+import { PDFName, PDFNumber } from "pdf-lib";
+
+/**
+ * Konversi koordinat antara halaman "sebagaimana tampil" di viewer dan ruang koordinat asli halaman PDF.
+ * Viewer (pdf.js di frontend) hanya menampilkan area CropBox, memutarnya sesuai /Rotate, dan menskalakan
+ * dengan /UserUnit. Koordinat ternormalisasi (0-1) dari frontend selalu relatif terhadap halaman tampil itu,
+ * sehingga harus dipetakan balik sebelum di-burn-in.
+ */
+
+/**
+ * Rotasi tampilan halaman (/Rotate), dinormalisasi ke 0, 90, 180, atau 270 derajat searah jarum jam.
+ * @param {import("pdf-lib").PDFPage} page
+ * @returns {0|90|180|270}
+ */
+export const getPageRotation = (page) => {
+  const angle = page.getRotation().angle;
+  return (((Math.round(angle / 90) * 90) % 360) + 360) % 360;
+};
+
+/**
+ * Nilai /UserUnit halaman (ukuran satu unit user space dalam kelipatan 1/72 inci, default 1).
+ * @param {import("pdf-lib").PDFPage} page
+ * @returns {number}
+ */
+export const getPageUserUnit = (page) => {
+  const userUnit = page.node.get(PDFName.of("UserUnit"));
+  return userUnit instanceof PDFNumber && userUnit.asNumber() > 0 ? userUnit.asNumber() : 1;
+};
+
+/**
+ * Geometri halaman tampil: area terlihat (CropBox, fallback MediaBox), rotasi, UserUnit,
+ * serta lebar & tinggi sebagaimana tampil (tertukar untuk rotasi 90/270) dalam satuan user space.
+ * @param {import("pdf-lib").PDFPage} page
+ * @returns {{ box: { x: number, y: number, width: number, height: number }, rotation: number, userUnit: number, width: number, height: number }}
+ */
+export const getPageGeometry = (page) => {
+  const box = page.getCropBox();
+  const rotation = getPageRotation(page);
+  const upright = rotation % 180 === 0;
+  return {
+    box,
+    rotation,
+    userUnit: getPageUserUnit(page),
+    width: upright ? box.width : box.height,
+    height: upright ? box.height : box.width,
+  };
+};
+
+/**
+ * Memetakan titik pada halaman tampil (origin kiri-bawah area terlihat) ke koordinat asli halaman.
+ * Konten yang digambar di titik ini perlu diputar `getPageRotation(page)` derajat berlawanan jarum jam
+ * agar tampil tegak.
+ * @param {import("pdf-lib").PDFPage} page
+ * @param {number} x - Koordinat X pada halaman tampil.
+ * @param {number} y - Koordinat Y pada halaman tampil.
+ * @returns {{ x: number, y: number }}
+ */
+export const visualToPagePoint = (page, x, y) => {
+  const { box, rotation } = getPageGeometry(page);
+  switch (rotation) {
+    case 90:
+      return { x: box.x + box.width - y, y: box.y + x };
+    case 180:
+      return { x: box.x + box.width - x, y: box.y + box.height - y };
+    case 270:
+      return { x: box.x + y, y: box.y + box.height - x };
+    default:
+      return { x: box.x + x, y: box.y + y };
+  }
+};
+
+/**
+ * Memetakan kotak ternormalisasi (positionX/positionY dari kiri-atas, width/height; semua 0-1 terhadap halaman tampil)
+ * ke kotak pada halaman tampil dengan origin kiri-bawah, dalam satuan user space.
+ * @param {import("pdf-lib").PDFPage} page
+ * @param {{ positionX: number, positionY: number, width: number, height: number }} normalized
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export const normalizedToVisualBox = (page, { positionX, positionY, width, height }) => {
+  const { width: vw, height: vh } = getPageGeometry(page);
+  const boxWidth = width * vw;
+  const boxHeight = height * vh;
+  return { x: positionX * vw, y: vh - positionY * vh - boxHeight, width: boxWidth, height: boxHeight };
+};
+
+/**
+ * Persegi panjang pada koordinat asli halaman yang menutupi kotak di halaman tampil (untuk /Rect annotation).
+ * @param {import("pdf-lib").PDFPage} page
+ * @param {{ x: number, y: number, width: number, height: number }} visualBox
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+export const visualBoxToPageRect = (page, { x, y, width, height }) => {
+  const a = visualToPagePoint(page, x, y);
+  const b = visualToPagePoint(page, x + width, y + height);
+  return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), width: Math.abs(b.x - a.x), height: Math.abs(b.y - a.y) };
+};
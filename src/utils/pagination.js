@@ -0,0 +1,158 @@
+import CommonError from "../errors/CommonError.js";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const SORT_ORDERS = ["asc", "desc"];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_TAG_FILTERS = 10;
+
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw CommonError.BadRequest(`Parameter '${name}' harus berupa bilangan bulat positif.`);
+  }
+  return number;
+};
+
+const parseDate = (value, name, endOfDay = false) => {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw CommonError.BadRequest(`Parameter '${name}' harus berupa tanggal ISO 8601 (misal 2025-01-31).`);
+  }
+  // Tanggal tanpa jam pada batas akhir dianggap inklusif sampai akhir hari (UTC).
+  if (endOfDay && DATE_ONLY.test(String(value))) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+const parseUuid = (value, name) => {
+  const text = String(value).trim();
+  if (!UUID.test(text)) {
+    throw CommonError.BadRequest(`Parameter '${name}' harus berupa UUID.`);
+  }
+  return text;
+};
+
+const parseTagIds = (value) => {
+  const ids = [...new Set((Array.isArray(value) ? value : String(value).split(",")).filter((id) => String(id).trim() !== "").map((id) => parseUuid(id, "tagId")))];
+  if (ids.length > MAX_TAG_FILTERS) {
+    throw CommonError.BadRequest(`Parameter 'tagId' maksimal ${MAX_TAG_FILTERS} tag.`);
+  }
+  return ids;
+};
+
+/**
+ * Parsing filter dari query string tanpa pagination/sorting (dipakai juga oleh endpoint non-list, misal dashboard).
+ * Format filter sama dengan {@link parseListQuery}.
+ *
+ * @param {object} query - `req.query`.
+ * @param {string[]} [filters=[]] - Nama filter yang diizinkan.
+ * @param {Object<string, string[]>} [allowedValues={}] - Nilai yang valid per filter string.
+ * @returns {object} Filter yang sudah tervalidasi.
+ * @throws {CommonError} BadRequest jika parameter tidak valid.
+ */
+export const parseFilterQuery = (query = {}, filters = [], allowedValues = {}) => {
+  const parsedFilters = {};
+  for (const name of filters) {
+    const value = query[name];
+    if (value === undefined || value === "") continue;
+
+    if (name === "dateFrom" || name === "dateTo") {
+      parsedFilters[name] = parseDate(value, name, name === "dateTo");
+    } else if (name === "groupId") {
+      parsedFilters.groupId = value === "personal" ? null : parsePositiveInt(value, "groupId");
+    } else if (name === "folderId") {
+      parsedFilters.folderId = value === "root" ? null : parseUuid(value, "folderId");
+    } else if (name === "tagId") {
+      const tagIds = parseTagIds(value);
+      if (tagIds.length > 0) parsedFilters.tagIds = tagIds;
+    } else {
+      const text = String(value);
+      if (allowedValues[name] && !allowedValues[name].includes(text)) {
+        throw CommonError.BadRequest(`Parameter '${name}' harus salah satu dari: ${allowedValues[name].join(", ")}.`);
+      }
+      parsedFilters[name] = text;
+    }
+  }
+
+  if (parsedFilters.dateFrom && parsedFilters.dateTo && parsedFilters.dateFrom > parsedFilters.dateTo) {
+    throw CommonError.BadRequest("Parameter 'dateFrom' tidak boleh setelah 'dateTo'.");
+  }
+
+  return parsedFilters;
+};
+
+/**
+ * Parsing query string list endpoint menjadi opsi pagination, sorting, dan filter yang sudah tervalidasi.
+ * Query yang didukung: `page`, `limit`, `sortBy`, `sortOrder`, serta filter yang diizinkan:
+ * `status`, `type`, `groupId` (angka atau `personal`), `dateFrom`, `dateTo`, `folderId` (UUID atau `root`),
+ * `tagId` (satu atau beberapa UUID dipisah koma, disimpan sebagai `filters.tagIds`).
+ *
+ * @param {object} query - `req.query`.
+ * @param {object} config
+ * @param {string[]} config.sortFields - Field yang boleh dipakai untuk sorting.
+ * @param {string} config.defaultSortBy - Field sorting default.
+ * @param {"asc"|"desc"} [config.defaultSortOrder="desc"]
+ * @param {string[]} [config.filters=[]] - Nama filter yang diizinkan untuk endpoint ini.
+ * @param {Object<string, string[]>} [config.allowedValues={}] - Nilai yang valid per filter string (misal status).
+ * @returns {{ page: number, limit: number, skip: number, sortBy: string, sortOrder: "asc"|"desc", filters: object }}
+ * @throws {CommonError} BadRequest jika parameter tidak valid.
+ */
+export const parseListQuery = (query = {}, { sortFields, defaultSortBy, defaultSortOrder = "desc", filters = [], allowedValues = {} }) => {
+  const page = parsePositiveInt(query.page, "page", 1);
+  const limit = parsePositiveInt(query.limit, "limit", DEFAULT_PAGE_SIZE);
+  if (limit > MAX_PAGE_SIZE) {
+    throw CommonError.BadRequest(`Parameter 'limit' maksimal ${MAX_PAGE_SIZE}.`);
+  }
+
+  const sortBy = query.sortBy || defaultSortBy;
+  if (!sortFields.includes(sortBy)) {
+    throw CommonError.BadRequest(`Parameter 'sortBy' harus salah satu dari: ${sortFields.join(", ")}.`);
+  }
+  const sortOrder = String(query.sortOrder || defaultSortOrder).toLowerCase();
+  if (!SORT_ORDERS.includes(sortOrder)) {
+    throw CommonError.BadRequest("Parameter 'sortOrder' harus 'asc' atau 'desc'.");
+  }
+
+  const parsedFilters = parseFilterQuery(query, filters, allowedValues);
+
+  return { page, limit, skip: (page - 1) * limit, sortBy, sortOrder, filters: parsedFilters };
+};
+
+/**
+ * Membuat filter Prisma untuk rentang tanggal.
+ * @param {{ dateFrom?: Date, dateTo?: Date }} filters
+ * @returns {{ gte?: Date, lte?: Date }|undefined}
+ */
+export const toDateRange = ({ dateFrom, dateTo } = {}) => {
+  if (!dateFrom && !dateTo) return undefined;
+  return { ...(dateFrom && { gte: dateFrom }), ...(dateTo && { lte: dateTo }) };
+};
+
+/**
+ * Metadata pagination, format sama dengan audit log admin.
+ * @param {number} total - Jumlah seluruh data yang cocok dengan filter.
+ * @param {{ page: number, limit: number }} options
+ * @returns {{ total: number, page: number, limit: number, totalPages: number }}
+ */
+export const buildPageMeta = (total, { page, limit }) => ({
+  total,
+  page,
+  limit,
+  totalPages: Math.ceil(total / limit),
+});
+
+/**
+ * Mengisi header `X-Total-Count` dan `X-Page-Count` (sudah di-expose lewat CORS di app.js).
+ * @param {import("express").Response} res
+ * @param {{ total: number, totalPages: number }} meta
+ */
+export const setPaginationHeaders = (res, meta) => {
+  res.set({
+    "X-Total-Count": String(meta.total),
+    "X-Page-Count": String(meta.totalPages),
+  });
+};
@@ -0,0 +1,177 @@
+import { PDFDocument, degrees } from "pdf-lib";
+import DocumentError from "../errors/DocumentError.js";
+import { getPageRotation } from "./pageGeometry.js";
+
+/** Jenis operasi halaman yang didukung `applyPageOperations`. */
+export const PAGE_OPERATION_TYPES = ["delete", "rotate", "reorder", "merge"];
+
+export const MAX_PAGE_OPERATIONS = 50;
+
+const ROTATION_ANGLES = [90, 180, 270, -90];
+
+const loadPdf = async (buffer, label) => {
+  try {
+    return await PDFDocument.load(buffer);
+  } catch (error) {
+    throw DocumentError.InvalidPageOperation(`${label} tidak dapat dibaca sebagai PDF: ${error.message}`);
+  }
+};
+
+/**
+ * Validasi daftar nomor halaman (mulai dari 1) terhadap jumlah halaman saat ini.
+ * @returns {number[]} Index halaman (mulai dari 0), tanpa duplikat.
+ */
+const toPageIndexes = (pages, pageCount, position) => {
+  if (!Array.isArray(pages) || pages.length === 0) {
+    throw DocumentError.InvalidPageOperation(`${position}: 'pages' harus berupa array nomor halaman.`);
+  }
+  const indexes = [...new Set(pages.map(Number))];
+  if (!indexes.every((page) => Number.isInteger(page) && page >= 1 && page <= pageCount)) {
+    throw DocumentError.InvalidPageOperation(`${position}: nomor halaman harus antara 1 dan ${pageCount}.`);
+  }
+  return indexes.map((page) => page - 1);
+};
+
+/**
+ * Menyusun PDF baru dari daftar halaman. Halaman disalin ke dokumen kosong (bukan diedit di tempat),
+ * sehingga isi halaman yang dihapus tidak ikut tersimpan di file hasil.
+ * @param {Object<string, import("pdf-lib").PDFDocument>} sources
+ * @param {{ source: string, index: number, rotation: number }[]} pages
+ * @returns {Promise<Buffer>}
+ */
+const buildPdf = async (sources, pages) => {
+  const output = await PDFDocument.create();
+  const copied = new Map();
+
+  for (const [key, sourceDoc] of Object.entries(sources)) {
+    const indexes = [...new Set(pages.filter((page) => page.source === key).map((page) => page.index))];
+    if (indexes.length === 0) continue;
+    const copies = await output.copyPages(sourceDoc, indexes);
+    indexes.forEach((index, i) => copied.set(`${key}:${index}`, copies[i]));
+  }
+
+  for (const page of pages) {
+    const cacheKey = `${page.source}:${page.index}`;
+    let pdfPage = copied.get(cacheKey);
+    if (pdfPage) {
+      copied.delete(cacheKey);
+    } else {
+      // Halaman yang sama dipakai lebih dari sekali (misal merge dokumen yang sama dua kali).
+      [pdfPage] = await output.copyPages(sources[page.source], [page.index]);
+    }
+    pdfPage.setRotation(degrees(page.rotation));
+    output.addPage(pdfPage);
+  }
+
+  return Buffer.from(await output.save());
+};
+
+/**
+ * Menerapkan operasi halaman secara berurutan ke sebuah PDF. Nomor halaman pada setiap operasi
+ * mengacu pada susunan halaman setelah operasi sebelumnya.
+ * - `{ type: "delete", pages: [2, 3] }`
+ * - `{ type: "rotate", pages?: [1], angle: 90 }` (searah jarum jam, ditambahkan ke rotasi sekarang; tanpa `pages` = semua halaman)
+ * - `{ type: "reorder", order: [3, 1, 2] }` (harus memuat semua halaman tepat sekali)
+ * - `{ type: "merge", documentId, pages?: [1, 2], insertAfter?: 0 }` (default disisipkan di akhir)
+ *
+ * @param {Buffer} pdfBuffer - PDF versi saat ini.
+ * @param {object[]} operations - Daftar operasi.
+ * @param {Object<string, Buffer>} [mergeSources] - PDF dokumen lain untuk operasi merge, per documentId.
+ * @returns {Promise<{ buffer: Buffer, pageCount: number }>}
+ * @throws {DocumentError} InvalidPageOperation jika operasi tidak valid.
+ */
+export const applyPageOperations = async (pdfBuffer, operations, mergeSources = {}) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw DocumentError.InvalidPageOperation("'operations' harus berupa array dan tidak boleh kosong.");
+  }
+  if (operations.length > MAX_PAGE_OPERATIONS) {
+    throw DocumentError.InvalidPageOperation(`Maksimal ${MAX_PAGE_OPERATIONS} operasi dalam satu permintaan.`);
+  }
+
+  const sources = { base: await loadPdf(pdfBuffer, "Dokumen") };
+  let pages = sources.base.getPages().map((page, index) => ({ source: "base", index, rotation: getPageRotation(page) }));
+
+  for (const [i, operation] of operations.entries()) {
+    const position = `Operasi #${i + 1}`;
+
+    switch (operation?.type) {
+      case "delete": {
+        const removed = new Set(toPageIndexes(operation.pages, pages.length, position));
+        if (removed.size >= pages.length) {
+          throw DocumentError.InvalidPageOperation(`${position}: dokumen harus menyisakan minimal satu halaman.`);
+        }
+        pages = pages.filter((_, index) => !removed.has(index));
+        break;
+      }
+      case "rotate": {
+        const angle = Number(operation.angle);
+        if (!ROTATION_ANGLES.includes(angle)) {
+          throw DocumentError.InvalidPageOperation(`${position}: sudut rotasi harus salah satu dari ${ROTATION_ANGLES.join(", ")}.`);
+        }
+        const targets = new Set(operation.pages === undefined ? pages.map((_, index) => index) : toPageIndexes(operation.pages, pages.length, position));
+        pages = pages.map((page, index) => (targets.has(index) ? { ...page, rotation: (page.rotation + angle + 360) % 360 } : page));
+        break;
+      }
+      case "reorder": {
+        const order = Array.isArray(operation.order) ? operation.order.map(Number) : [];
+        const isPermutation = order.length === pages.length && new Set(order).size === pages.length && order.every((page) => Number.isInteger(page) && page >= 1 && page <= pages.length);
+        if (!isPermutation) {
+          throw DocumentError.InvalidPageOperation(`${position}: 'order' harus memuat setiap halaman 1-${pages.length} tepat satu kali.`);
+        }
+        pages = order.map((page) => pages[page - 1]);
+        break;
+      }
+      case "merge": {
+        const sourceBuffer = mergeSources[operation.documentId];
+        if (!sourceBuffer) {
+          throw DocumentError.InvalidPageOperation(`${position}: dokumen sumber untuk merge tidak ditemukan.`);
+        }
+        const key = `merge:${operation.documentId}`;
+        sources[key] ??= await loadPdf(sourceBuffer, `${position}: dokumen sumber`);
+        const sourcePages = sources[key].getPages();
+        const indexes = operation.pages === undefined ? sourcePages.map((_, index) => index) : toPageIndexes(operation.pages, sourcePages.length, position);
+
+        const insertAfter = operation.insertAfter === undefined ? pages.length : Number(operation.insertAfter);
+        if (!Number.isInteger(insertAfter) || insertAfter < 0 || insertAfter > pages.length) {
+          throw DocumentError.InvalidPageOperation(`${position}: 'insertAfter' harus antara 0 dan ${pages.length}.`);
+        }
+
+        const inserted = indexes.map((index) => ({ source: key, index, rotation: getPageRotation(sourcePages[index]) }));
+        pages = [...pages.slice(0, insertAfter), ...inserted, ...pages.slice(insertAfter)];
+        break;
+      }
+      default:
+        throw DocumentError.InvalidPageOperation(`${position}: tipe operasi harus salah satu dari ${PAGE_OPERATION_TYPES.join(", ")}.`);
+    }
+  }
+
+  return { buffer: await buildPdf(sources, pages), pageCount: pages.length };
+};
+
+/**
+ * Memecah PDF menjadi beberapa PDF baru berdasarkan rentang halaman.
+ * @param {Buffer} pdfBuffer - PDF sumber.
+ * @param {{ fromPage: number, toPage: number }[]} ranges - Rentang halaman (inklusif, mulai dari 1).
+ * @returns {Promise<Buffer[]>} Satu PDF per rentang, sesuai urutan `ranges`.
+ * @throws {DocumentError} InvalidPageOperation jika rentang tidak valid.
+ */
+export const splitPdf = async (pdfBuffer, ranges) => {
+  const source = await loadPdf(pdfBuffer, "Dokumen");
+  const sourcePages = source.getPages();
+  const pageCount = sourcePages.length;
+
+  const results = [];
+  for (const [i, range] of ranges.entries()) {
+    const fromPage = Number(range?.fromPage);
+    const toPage = Number(range?.toPage);
+    if (!Number.isInteger(fromPage) || !Number.isInteger(toPage) || fromPage < 1 || toPage < fromPage || toPage > pageCount) {
+      throw DocumentError.InvalidPageOperation(`Bagian #${i + 1}: rentang halaman harus 1 <= fromPage <= toPage <= ${pageCount}.`);
+    }
+    const pages = [];
+    for (let index = fromPage - 1; index < toPage; index++) {
+      pages.push({ source: "base", index, rotation: getPageRotation(sourcePages[index]) });
+    }
+    results.push(await buildPdf({ base: source }, pages));
+  }
+  return results;
+};
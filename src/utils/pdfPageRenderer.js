@@ -0,0 +1,83 @@
+import path from "path";
+import DocumentError from "../errors/DocumentError.js";
+
+// Babel (Jest) tidak mendukung import.meta, jadi path aset pdf.js dihitung dari root project.
+const PDFJS_ASSET_DIR = path.join(process.cwd(), "node_modules", "pdfjs-dist");
+
+/** Batas tinggi gambar hasil render (pixel), mencegah halaman sangat panjang menghabiskan memori. */
+export const MAX_RENDER_HEIGHT = 8000;
+
+/** Batas total pixel gambar hasil render (lebar × tinggi). */
+export const MAX_RENDER_PIXELS = 16_000_000;
+
+/**
+ * Menghitung skala render agar lebar mendekati `targetWidth` tanpa melewati {@link MAX_RENDER_HEIGHT}
+ * maupun {@link MAX_RENDER_PIXELS}. Halaman berukuran tidak valid atau yang menyusut di bawah 1 pixel ditolak.
+ *
+ * @param {number} pageWidth - Lebar halaman pada skala 1.
+ * @param {number} pageHeight - Tinggi halaman pada skala 1.
+ * @param {number} targetWidth - Lebar gambar yang diminta (pixel).
+ * @returns {number} Skala untuk `page.getViewport`.
+ * @throws {DocumentError} PreviewFailed jika ukuran halaman tidak dapat di-render dalam batas.
+ */
+export const resolveRenderScale = (pageWidth, pageHeight, targetWidth) => {
+  if (!(pageWidth > 0) || !(pageHeight > 0) || !Number.isFinite(pageWidth) || !Number.isFinite(pageHeight)) {
+    throw DocumentError.PreviewFailed("Ukuran halaman tidak valid.");
+  }
+
+  const scale = Math.min(targetWidth / pageWidth, MAX_RENDER_HEIGHT / pageHeight, Math.sqrt(MAX_RENDER_PIXELS / (pageWidth * pageHeight)));
+
+  // Halaman dengan rasio ekstrem bisa menyusut di bawah 1 pixel setelah dibatasi; tidak ada yang bisa ditampilkan.
+  if (pageWidth * scale < 1 || pageHeight * scale < 1) {
+    throw DocumentError.PreviewFailed("Ukuran halaman melebihi batas yang dapat di-render.");
+  }
+
+  return scale;
+};
+
+/**
+ * Me-render satu halaman PDF menjadi PNG menggunakan pdf.js + node-canvas.
+ * Lebar gambar mengikuti `targetWidth` (tinggi proporsional, diperkecil bila melewati batas {@link resolveRenderScale})
+ * dan rotasi halaman (/Rotate) ikut diterapkan, sehingga hasilnya sama dengan yang tampil di viewer.
+ * Modul pdf.js & canvas di-import saat dipakai agar service lain tidak ikut memuat binary native.
+ *
+ * @param {Buffer} pdfBuffer - Isi file PDF.
+ * @param {number} pageNumber - Nomor halaman (mulai dari 1).
+ * @param {number} targetWidth - Lebar gambar dalam pixel.
+ * @returns {Promise<{ image: Buffer, pageCount: number }>} PNG halaman & jumlah halaman dokumen.
+ * @throws {DocumentError} PageNotFound jika nomor halaman melebihi jumlah halaman, PreviewFailed jika halaman terlalu besar.
+ */
+export const renderPdfPage = async (pdfBuffer, pageNumber, targetWidth) => {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const { createCanvas } = await import("canvas");
+
+  const pdf = await getDocument({
+    data: new Uint8Array(pdfBuffer),
+    standardFontDataUrl: `${path.join(PDFJS_ASSET_DIR, "standard_fonts")}/`,
+    cMapUrl: `${path.join(PDFJS_ASSET_DIR, "cmaps")}/`,
+    cMapPacked: true,
+    isEvalSupported: false,
+    disableFontFace: true,
+  }).promise;
+
+  try {
+    if (pageNumber > pdf.numPages) throw DocumentError.PageNotFound(pageNumber, pdf.numPages);
+
+    const page = await pdf.getPage(pageNumber);
+    const baseViewport = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: resolveRenderScale(baseViewport.width, baseViewport.height, targetWidth) });
+
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext("2d");
+    // Latar putih agar halaman tanpa background tidak tampil transparan.
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport }).promise;
+    page.cleanup();
+
+    return { image: canvas.toBuffer("image/png"), pageCount: pdf.numPages };
+  } finally {
+    await pdf.destroy();
+  }
+};
@@ -0,0 +1,235 @@
+import forge from "node-forge";
+
+const { asn1 } = forge;
+
+export const OID_SIGNATURE_TIMESTAMP_TOKEN = "1.2.840.113549.1.9.16.2.14";
+
+/**
+ * Menghitung panjang total satu elemen DER (tag + length + value).
+ * Dipakai untuk membuang padding nol di /Contents signature PDF.
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+export const getDerLength = (buffer) => {
+  const lengthByte = buffer[1];
+  if (lengthByte < 0x80) return 2 + lengthByte;
+
+  const lengthOfLength = lengthByte & 0x7f;
+  let length = 0;
+  for (let i = 0; i < lengthOfLength; i++) {
+    length = length * 256 + buffer[2 + i];
+  }
+  return 2 + lengthOfLength + length;
+};
+
+/**
+ * Mengambil nilai string sederhana dari dictionary PDF, misal /Name (Budi) atau /SubFilter /adbe.pkcs7.detached.
+ */
+const readDictionaryValue = (dictionary, key) => {
+  const literal = new RegExp(`\\/${key}\\s*\\(((?:\\\\.|[^\\\\)])*)\\)`).exec(dictionary);
+  if (literal) return literal[1].replace(/\\(.)/g, "$1");
+
+  const name = new RegExp(`\\/${key}\\s*\\/([^\\s/<>\\[\\]()]+)`).exec(dictionary);
+  return name ? name[1] : null;
+};
+
+/**
+ * Mencari seluruh signature dictionary yang sudah ditandatangani (ByteRange terisi) di dalam PDF.
+ * Parsing dilakukan dengan operasi string sederhana (seperti node-signpdf), diurutkan sesuai posisi di file
+ * sehingga elemen terakhir adalah revisi tanda tangan terbaru.
+ * @param {Buffer} pdfBuffer
+ * @returns {{ byteRange: number[], contentsStart: number, contentsEnd: number, cms: Buffer|null, name: string|null, reason: string|null, location: string|null, contactInfo: string|null, signingTime: string|null, subFilter: string|null }[]}
+ */
+export const findPdfSignatures = (pdfBuffer) => {
+  const text = pdfBuffer.toString("latin1");
+  const byteRangeRegex = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+  const signatures = [];
+
+  let match;
+  while ((match = byteRangeRegex.exec(text)) !== null) {
+    const byteRange = match.slice(1, 5).map(Number);
+    const contentsStart = byteRange[0] + byteRange[1] + 1; // setelah '<'
+    const contentsEnd = byteRange[2] - 1; // posisi '>'
+
+    let cms = null;
+    if (text[contentsStart - 1] === "<" && text[contentsEnd] === ">") {
+      const padded = Buffer.from(text.slice(contentsStart, contentsEnd), "hex");
+      cms = padded.length > 2 ? padded.subarray(0, Math.min(getDerLength(padded), padded.length)) : null;
+    }
+
+    // Dictionary tanpa isi /Contents (hex yang besar)
+    const objStart = text.lastIndexOf(" obj", Math.min(match.index, contentsStart));
+    const objEnd = text.indexOf("endobj", Math.max(match.index, contentsEnd));
+    const dictionary = contentsStart > objStart && contentsEnd < objEnd ? text.slice(objStart, contentsStart - 1) + text.slice(contentsEnd + 1, objEnd) : text.slice(objStart, objEnd);
+
+    signatures.push({
+      byteRange,
+      contentsStart,
+      contentsEnd,
+      cms,
+      name: readDictionaryValue(dictionary, "Name"),
+      reason: readDictionaryValue(dictionary, "Reason"),
+      location: readDictionaryValue(dictionary, "Location"),
+      contactInfo: readDictionaryValue(dictionary, "ContactInfo"),
+      signingTime: readDictionaryValue(dictionary, "M"),
+      subFilter: readDictionaryValue(dictionary, "SubFilter"),
+    });
+  }
+
+  return signatures.sort((a, b) => a.contentsStart - b.contentsStart);
+};
+
+/**
+ * Menulis ulang isi /Contents sebuah signature tanpa mengubah panjang file
+ * (ByteRange dan revisi lain tetap valid).
+ * @param {Buffer} pdfBuffer
+ * @param {{ contentsStart: number, contentsEnd: number }} signature - Hasil dari findPdfSignatures.
+ * @param {Buffer} cmsDer - CMS baru.
+ * @returns {Buffer}
+ */
+export const replaceSignatureContents = (pdfBuffer, signature, cmsDer) => {
+  const available = signature.contentsEnd - signature.contentsStart;
+  const hex = cmsDer.toString("hex");
+  if (hex.length > available) {
+    throw new Error(`Ukuran signature (${hex.length}) melebihi placeholder (${available}).`);
+  }
+
+  return Buffer.concat([pdfBuffer.subarray(0, signature.contentsStart), Buffer.from(hex.padEnd(available, "0"), "latin1"), pdfBuffer.subarray(signature.contentsEnd)]);
+};
+
+/**
+ * Parsing CMS SignedData (PKCS#7) menjadi node ASN.1 forge.
+ * BIT STRING tidak di-decode agar encoding ulang tidak mengubah byte sertifikat.
+ * @param {Buffer} cmsDer
+ * @returns {{ contentInfo: object, signedData: object, signerInfo: object, certificates: object[] }}
+ */
+export const parseCms = (cmsDer) => {
+  const contentInfo = asn1.fromDer(forge.util.createBuffer(cmsDer.toString("binary")), { decodeBitStrings: false });
+  const signedData = contentInfo.value[1].value[0];
+  const signerInfos = signedData.value[signedData.value.length - 1];
+  const certificatesNode = signedData.value.find((node) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+
+  return {
+    contentInfo,
+    signedData,
+    signerInfo: signerInfos.value[0],
+    certificates: certificatesNode ? certificatesNode.value : [],
+  };
+};
+
+/**
+ * Mengambil nilai attribute (signed / unsigned) dari SignerInfo berdasarkan OID.
+ * @param {object} signerInfo - Node ASN.1 SignerInfo.
+ * @param {number} tag - 0 untuk signedAttrs, 1 untuk unsignedAttrs.
+ * @param {string} oid
+ * @returns {object|null} Node ASN.1 nilai pertama attribute.
+ */
+export const getCmsAttribute = (signerInfo, tag, oid) => {
+  const attrs = signerInfo.value.find((node) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag);
+  if (!attrs) return null;
+
+  const attr = attrs.value.find((node) => asn1.derToOid(node.value[0].value) === oid);
+  return attr ? attr.value[1].value[0] : null;
+};
+
+/**
+ * Mengumpulkan seluruh sertifikat (DER) dari CMS, termasuk sertifikat TSA di dalam timestamp token.
+ * @param {Buffer} cmsDer
+ * @returns {Buffer[]}
+ */
+export const extractCmsCertificates = (cmsDer) => {
+  const { certificates, signerInfo } = parseCms(cmsDer);
+  const result = certificates.map((cert) => Buffer.from(asn1.toDer(cert).getBytes(), "binary"));
+
+  const token = getCmsAttribute(signerInfo, 1, OID_SIGNATURE_TIMESTAMP_TOKEN);
+  if (token) {
+    result.push(...extractCmsCertificates(Buffer.from(asn1.toDer(token).getBytes(), "binary")));
+  }
+  return result;
+};
+
+/**
+ * Menambahkan Document Security Store (DSS) sebagai incremental update (PAdES-LT).
+ * Objek Catalog ditulis ulang dengan entry /DSS, sedangkan revisi sebelumnya tetap utuh.
+ * @param {Buffer} pdfBuffer
+ * @param {{ certs?: Buffer[], crls?: Buffer[], ocsps?: Buffer[] }} validationData - Material validasi dalam DER.
+ * @returns {Buffer}
+ */
+export const appendDssDictionary = (pdfBuffer, { certs = [], crls = [], ocsps = [] }) => {
+  const text = pdfBuffer.toString("latin1");
+  const trailer = text.slice(text.lastIndexOf("trailer"));
+
+  const rootMatch = /\/Root\s+(\d+)\s+(\d+)\s+R/.exec(trailer);
+  const sizeMatch = /\/Size\s+(\d+)/.exec(trailer);
+  const startXrefMatch = /startxref\s+(\d+)/.exec(text.slice(text.lastIndexOf("startxref")));
+  if (!rootMatch || !sizeMatch || !startXrefMatch) {
+    throw new Error("Trailer PDF tidak valid, DSS tidak dapat ditambahkan.");
+  }
+
+  const rootNumber = Number(rootMatch[1]);
+  const rootGeneration = Number(rootMatch[2]);
+  const infoMatch = /\/Info\s+(\d+\s+\d+\s+R)/.exec(trailer);
+  const idMatch = /\/ID\s*(\[[^\]]*\])/.exec(trailer);
+
+  // Definisi Catalog terbaru (revisi terakhir berada paling akhir di file)
+  const rootRegex = new RegExp(`(?:^|\\s)${rootNumber}\\s+${rootGeneration}\\s+obj\\b`, "g");
+  let rootStart = -1;
+  let rootMatchIter;
+  while ((rootMatchIter = rootRegex.exec(text)) !== null) rootStart = rootMatchIter.index;
+  if (rootStart === -1) throw new Error("Objek Catalog tidak ditemukan.");
+
+  const rootObject = text.slice(rootStart, text.indexOf("endobj", rootStart));
+  const rootBody = rootObject
+    .slice(rootObject.indexOf("<<") + 2, rootObject.lastIndexOf(">>"))
+    .replace(/\/DSS\s+\d+\s+\d+\s+R/, "")
+    .trim();
+
+  let nextObjectNumber = Number(sizeMatch[1]);
+  const chunks = [pdfBuffer];
+  let offset = pdfBuffer.length;
+  const xrefEntries = new Map();
+
+  const writeObject = (objectNumber, generation, body) => {
+    const chunk = Buffer.concat([Buffer.from(`\n${objectNumber} ${generation} obj\n`, "latin1"), body, Buffer.from("\nendobj\n", "latin1")]);
+    xrefEntries.set(objectNumber, { offset: offset + 1, generation }); // +1 newline
+    chunks.push(chunk);
+    offset += chunk.length;
+  };
+
+  const writeStreams = (items) =>
+    items.map((item) => {
+      const objectNumber = nextObjectNumber++;
+      writeObject(objectNumber, 0, Buffer.concat([Buffer.from(`<< /Length ${item.length} >>\nstream\n`, "latin1"), item, Buffer.from("\nendstream", "latin1")]));
+      return `${objectNumber} 0 R`;
+    });
+
+  const certRefs = writeStreams(certs);
+  const crlRefs = writeStreams(crls);
+  const ocspRefs = writeStreams(ocsps);
+
+  const dssNumber = nextObjectNumber++;
+  const dssEntries = [`/Type /DSS`, `/Certs [${certRefs.join(" ")}]`];
+  if (crlRefs.length) dssEntries.push(`/CRLs [${crlRefs.join(" ")}]`);
+  if (ocspRefs.length) dssEntries.push(`/OCSPs [${ocspRefs.join(" ")}]`);
+  writeObject(dssNumber, 0, Buffer.from(`<< ${dssEntries.join(" ")} >>`, "latin1"));
+
+  writeObject(rootNumber, rootGeneration, Buffer.from(`<<\n${rootBody}\n/DSS ${dssNumber} 0 R\n>>`, "latin1"));
+
+  // Xref: satu subsection per objek (setiap entry tepat 20 byte)
+  const xrefOffset = offset + 1;
+  const xrefRows = ["xref", "0 1", "0000000000 65535 f "];
+  [...xrefEntries.entries()]
+    .sort(([a], [b]) => a - b)
+    .forEach(([objectNumber, entry]) => {
+      xrefRows.push(`${objectNumber} 1`);
+      xrefRows.push(`${String(entry.offset).padStart(10, "0")} ${String(entry.generation).padStart(5, "0")} n `);
+    });
+
+  const trailerEntries = [`/Size ${nextObjectNumber}`, `/Root ${rootNumber} ${rootGeneration} R`];
+  if (infoMatch) trailerEntries.push(`/Info ${infoMatch[1]}`);
+  if (idMatch) trailerEntries.push(`/ID ${idMatch[1]}`);
+  trailerEntries.push(`/Prev ${startXrefMatch[1]}`);
+
+  chunks.push(Buffer.from(`\n${xrefRows.join("\n")}\ntrailer\n<<\n${trailerEntries.join("\n")}\n>>\nstartxref\n${xrefOffset}\n%%EOF`, "latin1"));
+  return Buffer.concat(chunks);
+};
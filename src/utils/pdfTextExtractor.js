@@ -0,0 +1,51 @@
+import path from "path";
+
+// Babel (Jest) tidak mendukung import.meta, jadi path aset pdf.js dihitung dari root project.
+const PDFJS_ASSET_DIR = path.join(process.cwd(), "node_modules", "pdfjs-dist");
+
+/**
+ * Mengekstrak teks setiap halaman PDF menggunakan pdf.js (tanpa canvas).
+ * Potongan teks digabung per baris mengikuti penanda akhir baris (`hasEOL`) dari pdf.js,
+ * lalu spasi berlebih dirapikan agar hasilnya stabil untuk dibandingkan.
+ *
+ * @param {Buffer} pdfBuffer - Isi file PDF.
+ * @returns {Promise<string[]>} Teks per halaman (index 0 = halaman 1).
+ */
+export const extractPdfText = async (pdfBuffer) => {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+
+  const pdf = await getDocument({
+    data: new Uint8Array(pdfBuffer),
+    standardFontDataUrl: `${path.join(PDFJS_ASSET_DIR, "standard_fonts")}/`,
+    cMapUrl: `${path.join(PDFJS_ASSET_DIR, "cmaps")}/`,
+    cMapPacked: true,
+    isEvalSupported: false,
+    disableFontFace: true,
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { items } = await page.getTextContent();
+
+      let text = "";
+      for (const item of items) {
+        if (typeof item.str !== "string") continue;
+        text += item.str + (item.hasEOL ? "\n" : "");
+      }
+
+      pages.push(
+        text
+          .split("\n")
+          .map((line) => line.replace(/\s+/g, " ").trim())
+          .filter(Boolean)
+          .join("\n")
+      );
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
@@ -0,0 +1,169 @@
+import SignatureError from "../errors/SignatureError.js";
+
+/**
+ * Template tampilan (appearance) tanda tangan pada halaman PDF.
+ * - `image-only`: hanya gambar tanda tangan (perilaku lama).
+ * - `standard`: gambar di atas, nama + waktu + ID singkat di bawahnya.
+ * - `detailed`: gambar di kiri, blok teks di kanan (nama, waktu, alasan, lokasi, ID singkat).
+ */
+export const SIGNATURE_APPEARANCE_TEMPLATES = {
+  "image-only": { label: "Gambar saja", layout: null, fields: [] },
+  standard: { label: "Standar (nama & waktu)", layout: "stacked", fields: ["name", "signedAt", "signatureId"] },
+  detailed: { label: "Lengkap (nama, waktu, alasan, lokasi)", layout: "side", fields: ["name", "signedAt", "reason", "location", "signatureId"] },
+};
+
+export const DEFAULT_APPEARANCE_TEMPLATE = "image-only";
+
+/** Zona waktu yang dipakai jika signer tidak mengirim `timezone` (IANA, misal "Asia/Makassar"). */
+export const DEFAULT_SIGNER_TIMEZONE = process.env.DEFAULT_SIGNER_TIMEZONE || "Asia/Jakarta";
+
+const MAX_APPEARANCE_TEXT_LENGTH = 100;
+const MAX_FONT_SIZE = 9;
+const LINE_HEIGHT = 1.25;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("id-ID", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const normalizeText = (value, fieldLabel) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, " ").trim();
+  if (text.length > MAX_APPEARANCE_TEXT_LENGTH) {
+    throw SignatureError.InvalidAppearance(`${fieldLabel} tanda tangan maksimal ${MAX_APPEARANCE_TEXT_LENGTH} karakter.`);
+  }
+  return text || null;
+};
+
+/**
+ * Memformat waktu penandatanganan pada zona waktu signer, misal "19 Okt 2026, 18.13 WIB".
+ * @param {Date|string} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export const formatSigningTime = (date, timeZone = DEFAULT_SIGNER_TIMEZONE) => {
+  const formatted = new Intl.DateTimeFormat("id-ID", {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : DEFAULT_SIGNER_TIMEZONE,
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZoneName: "short",
+  }).format(new Date(date));
+  // Intl bisa menghasilkan spasi khusus (NBSP/narrow NBSP) yang tidak ada di font standar PDF
+  return formatted.replace(/\s+/g, " ");
+};
+
+/**
+ * Validasi & normalisasi pengaturan tampilan tanda tangan dari payload klien.
+ * @param {object} sigData - Payload tanda tangan (appearanceTemplate, reason, location, timezone).
+ * @returns {object} Payload dengan field appearance yang sudah dinormalisasi.
+ * @throws {SignatureError} Jika template atau zona waktu tidak dikenal, atau teks terlalu panjang.
+ */
+export const resolveSignatureAppearance = (sigData) => {
+  if (!sigData) return sigData;
+
+  const appearanceTemplate = sigData.appearanceTemplate || DEFAULT_APPEARANCE_TEMPLATE;
+  if (!SIGNATURE_APPEARANCE_TEMPLATES[appearanceTemplate]) {
+    throw SignatureError.InvalidAppearance(`Template tampilan '${appearanceTemplate}' tidak tersedia. Pilihan: ${Object.keys(SIGNATURE_APPEARANCE_TEMPLATES).join(", ")}.`);
+  }
+
+  const timezone = sigData.timezone || null;
+  if (timezone && !isValidTimeZone(timezone)) {
+    throw SignatureError.InvalidAppearance(`Zona waktu '${timezone}' tidak valid. Gunakan format IANA, misal "Asia/Jakarta".`);
+  }
+
+  return {
+    ...sigData,
+    appearanceTemplate,
+    reason: normalizeText(sigData.reason, "Alasan"),
+    location: normalizeText(sigData.location, "Lokasi"),
+    timezone,
+  };
+};
+
+/**
+ * Menyusun baris teks appearance sesuai template.
+ * @param {object} sig - Data tanda tangan untuk PDF (signerName, signedAt, reason, location, timezone, id).
+ * @returns {{ text: string, bold: boolean }[]}
+ */
+export const buildAppearanceLines = (sig) => {
+  const template = SIGNATURE_APPEARANCE_TEMPLATES[sig.appearanceTemplate] || SIGNATURE_APPEARANCE_TEMPLATES[DEFAULT_APPEARANCE_TEMPLATE];
+
+  const values = {
+    name: sig.signerName ? { text: sig.signerName, bold: true } : null,
+    signedAt: { text: formatSigningTime(sig.signedAt || new Date(), sig.timezone || undefined), bold: false },
+    reason: sig.reason ? { text: `Alasan: ${sig.reason}`, bold: false } : null,
+    location: sig.location ? { text: `Lokasi: ${sig.location}`, bold: false } : null,
+    signatureId: sig.id ? { text: `ID: ${sig.id.substring(0, 8).toUpperCase()}`, bold: false } : null,
+  };
+
+  return template.fields.map((field) => values[field]).filter(Boolean);
+};
+
+/**
+ * Menghitung tata letak gambar dan teks di dalam kotak tanda tangan (koordinat relatif terhadap kotak, origin kiri-bawah).
+ * Ukuran font mengecil otomatis agar seluruh baris muat di dalam kotak.
+ *
+ * @param {object} params
+ * @param {string} params.template - Key template appearance.
+ * @param {number} params.boxWidth
+ * @param {number} params.boxHeight
+ * @param {number} params.imageWidth - Lebar asli gambar tanda tangan.
+ * @param {number} params.imageHeight - Tinggi asli gambar tanda tangan.
+ * @param {{ text: string, bold: boolean }[]} params.lines
+ * @param {(text: string, bold: boolean) => number} params.measure - Lebar teks pada ukuran font 1.
+ * @returns {{ image: { x: number, y: number, width: number, height: number }, text: { text: string, bold: boolean, x: number, y: number, size: number }[] }}
+ */
+export const layoutSignatureAppearance = ({ template, boxWidth, boxHeight, imageWidth, imageHeight, lines, measure }) => {
+  const fitImage = (areaX, areaY, areaWidth, areaHeight) => {
+    const scale = Math.min(areaWidth / imageWidth, areaHeight / imageHeight);
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+    return { x: areaX + (areaWidth - width) / 2, y: areaY + (areaHeight - height) / 2, width, height };
+  };
+
+  const layout = SIGNATURE_APPEARANCE_TEMPLATES[template]?.layout;
+  if (!layout || lines.length === 0) {
+    return { image: fitImage(0, 0, boxWidth, boxHeight), text: [] };
+  }
+
+  const padding = Math.min(boxWidth, boxHeight) * 0.04;
+  const widestLine = Math.max(...lines.map((line) => measure(line.text, line.bold)));
+  const fontSizeFor = (areaWidth, areaHeight) => Math.max(Math.min(MAX_FONT_SIZE, areaHeight / (lines.length * LINE_HEIGHT), areaWidth / widestLine), 1);
+
+  if (layout === "side") {
+    const imageAreaWidth = boxWidth * 0.4;
+    const textX = imageAreaWidth + padding;
+    const size = fontSizeFor(boxWidth - textX - padding, boxHeight - padding * 2);
+    const blockHeight = lines.length * size * LINE_HEIGHT;
+    let y = (boxHeight + blockHeight) / 2 - size;
+
+    return {
+      image: fitImage(padding, padding, imageAreaWidth - padding * 2, boxHeight - padding * 2),
+      text: lines.map((line) => {
+        const positioned = { ...line, x: textX, y, size };
+        y -= size * LINE_HEIGHT;
+        return positioned;
+      }),
+    };
+  }
+
+  // stacked: teks di bagian bawah (maksimal 45% tinggi kotak), gambar mengisi sisanya
+  const size = fontSizeFor(boxWidth - padding * 2, boxHeight * 0.45 - padding);
+  const blockHeight = lines.length * size * LINE_HEIGHT;
+  let y = padding + blockHeight - size;
+  const text = lines.map((line) => {
+    const positioned = { ...line, x: (boxWidth - measure(line.text, line.bold) * size) / 2, y, size };
+    y -= size * LINE_HEIGHT;
+    return positioned;
+  });
+
+  const imageY = padding + blockHeight;
+  return { image: fitImage(padding, imageY, boxWidth - padding * 2, boxHeight - imageY - padding), text };
+};
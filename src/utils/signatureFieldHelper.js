@@ -0,0 +1,182 @@
+import SignatureError from "../errors/SignatureError.js";
+import { DEFAULT_SIGNER_TIMEZONE } from "./signatureAppearance.js";
+import { renderTypedSignature } from "./typedSignatureRenderer.js";
+
+/**
+ * Jenis field non-tanda tangan yang bisa ditempatkan di halaman.
+ * - `date`: tanggal penandatanganan, diisi otomatis oleh server (zona waktu signer).
+ * - `initials`: paraf, berupa gambar (data URL) atau teks singkat yang di-render dengan font tulisan tangan.
+ * - `text`: teks bebas (jabatan, nomor identitas, dll).
+ * - `checkbox`: kotak centang.
+ */
+export const SIGNATURE_FIELD_TYPES = ["date", "initials", "text", "checkbox"];
+
+/** Format tanggal untuk field `date`. */
+export const DATE_FIELD_FORMATS = {
+  short: { day: "2-digit", month: "2-digit", year: "numeric" }, // 19/10/2026
+  long: { day: "numeric", month: "long", year: "numeric" }, // 19 Oktober 2026
+  iso: null, // 2026-10-19
+};
+
+const MAX_TEXT_FIELD_LENGTH = 500;
+const MAX_LABEL_LENGTH = 100;
+const MAX_TYPED_INITIALS_LENGTH = 10;
+
+const isNormalized = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * Paraf berupa gambar (data URL) dipakai apa adanya; teks singkat di-render dengan font tulisan tangan.
+ * @returns {Promise<string|null>} Data URL gambar paraf, atau null jika nilai tidak valid.
+ */
+const resolveInitialsImage = async (rawValue, typedFont) => {
+  const raw = typeof rawValue === "string" ? rawValue.trim() : "";
+  if (raw.startsWith("data:image/")) return raw;
+  if (raw && raw.length <= MAX_TYPED_INITIALS_LENGTH) return await renderTypedSignature(raw, typedFont || undefined);
+  return null;
+};
+
+/**
+ * Memformat tanggal penandatanganan untuk field `date`.
+ * @param {Date} date
+ * @param {keyof DATE_FIELD_FORMATS} format
+ * @param {string} timeZone
+ * @returns {string}
+ */
+export const formatDateFieldValue = (date, format, timeZone) => {
+  if (format === "iso") {
+    // en-CA menghasilkan YYYY-MM-DD
+    return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+  }
+  return new Intl.DateTimeFormat("id-ID", { timeZone, ...DATE_FIELD_FORMATS[format] }).format(date);
+};
+
+const parseCheckboxValue = (value) => {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false" || value === undefined || value === null) return false;
+  return null;
+};
+
+/**
+ * Validasi & normalisasi field non-tanda tangan dari payload klien, sekaligus mengisi nilai otomatis.
+ * Nilai akhir selalu berupa string (`value`) agar bisa disimpan dan di-burn-in apa adanya:
+ * - date: tanggal terformat, checkbox: "true"/"false", initials: data URL gambar, text: teks.
+ *
+ * @param {object[]} fields - Field dari payload (type, pageNumber, positionX, positionY, width, height, value, label, dateFormat, typedFont).
+ * @param {{ signedAt?: Date, timezone?: string|null }} [context] - Waktu penandatanganan & zona waktu signer (untuk field date).
+ * @returns {Promise<object[]>}
+ * @throws {SignatureError} InvalidField jika ada field yang tidak valid.
+ */
+export const resolveSignatureFields = async (fields, { signedAt = new Date(), timezone = null } = {}) => {
+  if (fields === undefined || fields === null) return [];
+  if (!Array.isArray(fields)) throw SignatureError.InvalidField("'fields' harus berupa array.");
+
+  const resolved = [];
+  for (const [index, field] of fields.entries()) {
+    const position = `Field #${index + 1}`;
+
+    if (!field || !SIGNATURE_FIELD_TYPES.includes(field.type)) {
+      throw SignatureError.InvalidField(`${position}: tipe field harus salah satu dari ${SIGNATURE_FIELD_TYPES.join(", ")}.`);
+    }
+
+    const pageNumber = Number(field.pageNumber);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      throw SignatureError.InvalidField(`${position}: pageNumber harus bilangan bulat mulai dari 1.`);
+    }
+
+    const [positionX, positionY, width, height] = [field.positionX, field.positionY, field.width, field.height].map(Number);
+    if (![positionX, positionY, width, height].every(isNormalized) || width === 0 || height === 0 || positionX + width > 1 || positionY + height > 1) {
+      throw SignatureError.InvalidField(`${position}: posisi & ukuran harus ternormalisasi (0-1) dan berada di dalam halaman.`);
+    }
+
+    const label = field.label ? String(field.label).trim().slice(0, MAX_LABEL_LENGTH) : null;
+    let value;
+
+    switch (field.type) {
+      case "date": {
+        const dateFormat = field.dateFormat || "long";
+        if (!Object.prototype.hasOwnProperty.call(DATE_FIELD_FORMATS, dateFormat)) {
+          throw SignatureError.InvalidField(`${position}: dateFormat harus salah satu dari ${Object.keys(DATE_FIELD_FORMATS).join(", ")}.`);
+        }
+        value = formatDateFieldValue(signedAt, dateFormat, timezone || DEFAULT_SIGNER_TIMEZONE);
+        break;
+      }
+      case "checkbox": {
+        const checked = parseCheckboxValue(field.value);
+        if (checked === null) throw SignatureError.InvalidField(`${position}: nilai checkbox harus true atau false.`);
+        value = String(checked);
+        break;
+      }
+      case "text": {
+        value = typeof field.value === "string" ? field.value.trim() : "";
+        if (!value || value.length > MAX_TEXT_FIELD_LENGTH) {
+          throw SignatureError.InvalidField(`${position}: teks wajib diisi (maksimal ${MAX_TEXT_FIELD_LENGTH} karakter).`);
+        }
+        break;
+      }
+      case "initials": {
+        value = await resolveInitialsImage(field.value, field.typedFont);
+        if (!value) {
+          throw SignatureError.InvalidField(`${position}: paraf harus berupa gambar (data URL) atau teks maksimal ${MAX_TYPED_INITIALS_LENGTH} karakter.`);
+        }
+        break;
+      }
+    }
+
+    resolved.push({
+      type: field.type,
+      label,
+      value,
+      pageNumber,
+      positionX,
+      positionY,
+      width,
+      height,
+      ...(field.packageDocId && { packageDocId: field.packageDocId }),
+    });
+  }
+
+  return resolved;
+};
+
+/** Posisi paraf berulang relatif terhadap halaman sebagaimana tampil di viewer (setelah rotasi). */
+export const INITIALS_ANCHORS = ["bottom-right", "bottom-center", "bottom-left", "top-right", "top-center", "top-left"];
+
+/** Ukuran & margin default paraf berulang, dalam point (1/72 inci) agar sama besar di semua ukuran halaman. */
+export const DEFAULT_REPEAT_INITIALS = { anchor: "bottom-right", margin: 24, width: 72, height: 36 };
+
+const isPointsInRange = (value, min, max) => typeof value === "number" && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Validasi & normalisasi opsi paraf di setiap halaman (`repeatInitials`).
+ *
+ * @param {object|null|undefined} config - { value, typedFont, anchor, margin, width, height, fromPage, toPage }.
+ * @returns {Promise<object|null>} Konfigurasi final (value berupa data URL gambar), atau null jika tidak diminta.
+ * @throws {SignatureError} InvalidField jika konfigurasi tidak valid.
+ */
+export const resolveRepeatedInitials = async (config) => {
+  if (config === undefined || config === null) return null;
+  if (typeof config !== "object" || Array.isArray(config)) throw SignatureError.InvalidField("'repeatInitials' harus berupa objek.");
+
+  const value = await resolveInitialsImage(config.value, config.typedFont);
+  if (!value) {
+    throw SignatureError.InvalidField(`Paraf berulang harus berupa gambar (data URL) atau teks maksimal ${MAX_TYPED_INITIALS_LENGTH} karakter.`);
+  }
+
+  const anchor = config.anchor || DEFAULT_REPEAT_INITIALS.anchor;
+  if (!INITIALS_ANCHORS.includes(anchor)) {
+    throw SignatureError.InvalidField(`Posisi paraf berulang harus salah satu dari ${INITIALS_ANCHORS.join(", ")}.`);
+  }
+
+  const [margin, width, height] = ["margin", "width", "height"].map((key) => (config[key] === undefined ? DEFAULT_REPEAT_INITIALS[key] : Number(config[key])));
+  if (!isPointsInRange(margin, 0, 144) || !isPointsInRange(width, 8, 288) || !isPointsInRange(height, 8, 288)) {
+    throw SignatureError.InvalidField("Ukuran paraf berulang harus 8-288 pt dan margin 0-144 pt.");
+  }
+
+  const fromPage = config.fromPage === undefined ? 1 : Number(config.fromPage);
+  const toPage = config.toPage === undefined || config.toPage === null ? null : Number(config.toPage);
+  if (!Number.isInteger(fromPage) || fromPage < 1 || (toPage !== null && (!Number.isInteger(toPage) || toPage < fromPage))) {
+    throw SignatureError.InvalidField("Rentang halaman paraf berulang tidak valid (fromPage >= 1, toPage >= fromPage).");
+  }
+
+  return { value, anchor, margin, width, height, fromPage, toPage };
+};
@@ -0,0 +1,144 @@
+import SignatureError from "../errors/SignatureError.js";
+
+/** Sisi terpanjang maksimal (px) gambar tanda tangan sebelum di-embed ke PDF. */
+export const MAX_SIGNATURE_IMAGE_DIMENSION = 1200;
+
+/** Piksel dengan nilai RGB di atas batas ini dianggap latar putih (hasil scan/foto) dan dibuat transparan. */
+const WHITE_BACKGROUND_THRESHOLD = 235;
+
+const DATA_URL_REGEX = /^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,(.*)$/s;
+
+const MIME_FORMATS = {
+  "image/png": "png",
+  "image/jpeg": "jpeg",
+  "image/jpg": "jpeg",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+};
+
+/**
+ * Memecah data URL (atau base64 mentah tanpa prefix) menjadi mimetype dan buffer.
+ * Mendukung `;base64` maupun data URL teks (misal `data:image/svg+xml;utf8,<svg ...>`).
+ * @param {string} signatureImageUrl
+ * @returns {{ mimeType: string|null, buffer: Buffer }}
+ * @throws {SignatureError} UnsupportedImageFormat jika percent-encoding data URL teks tidak valid.
+ */
+export const parseImageDataUrl = (signatureImageUrl) => {
+  const match = DATA_URL_REGEX.exec(signatureImageUrl.trim());
+  if (!match) return { mimeType: null, buffer: Buffer.from(signatureImageUrl, "base64") };
+
+  const [, mimeType, , isBase64, data] = match;
+  const normalizedMimeType = mimeType ? mimeType.toLowerCase() : null;
+  if (isBase64) return { mimeType: normalizedMimeType, buffer: Buffer.from(data, "base64") };
+
+  let text;
+  try {
+    text = decodeURIComponent(data);
+  } catch {
+    throw SignatureError.UnsupportedImageFormat(null, "Gambar tanda tangan rusak: data URL berisi percent-encoding yang tidak valid.");
+  }
+  return { mimeType: normalizedMimeType, buffer: Buffer.from(text, "utf8") };
+};
+
+/**
+ * Mendeteksi format gambar dari magic bytes, fallback ke mimetype data URL.
+ * @param {Buffer} buffer
+ * @param {string|null} [mimeType]
+ * @returns {"png"|"jpeg"|"webp"|"svg"|null}
+ */
+export const detectImageFormat = (buffer, mimeType = null) => {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return "png";
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") return "webp";
+
+  const head = buffer.subarray(0, 1024).toString("utf8").replace(/^\uFEFF/, "").trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return "svg";
+
+  // Magic bytes tidak dikenali: hanya percaya mimetype jika bukan format raster (buffer rusak tetap ditolak)
+  return mimeType === "image/svg+xml" && head.includes("<svg") ? "svg" : null;
+};
+
+/**
+ * Membaca dimensi PNG/JPEG langsung dari header (tanpa decode penuh).
+ * @returns {{ width: number, height: number }|null}
+ */
+const readRasterDimensions = (buffer, format) => {
+  if (format === "png" && buffer.length >= 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (format === "jpeg") {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      // SOF0..SOF15 kecuali DHT (C4), JPG (C8), DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+/**
+ * Membuat latar putih menjadi transparan (untuk gambar tanpa alpha seperti JPEG hasil scan).
+ * @param {Function} sharp - Modul sharp.
+ * @param {import("sharp").Sharp} image - Pipeline sharp.
+ * @returns {Promise<Buffer>} PNG dengan alpha.
+ */
+const keyOutWhiteBackground = async (sharp, image) => {
+  const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] > WHITE_BACKGROUND_THRESHOLD && data[i + 1] > WHITE_BACKGROUND_THRESHOLD && data[i + 2] > WHITE_BACKGROUND_THRESHOLD) {
+      data[i + 3] = 0;
+    }
+  }
+  return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+};
+
+/**
+ * Menyiapkan gambar tanda tangan agar bisa di-embed ke PDF.
+ * - PNG / JPEG berukuran wajar: di-embed apa adanya (JPEG native via embedJpg).
+ * - WebP / SVG: di-rasterisasi menjadi PNG (alpha dipertahankan).
+ * - Gambar terlalu besar: di-resize ke MAX_SIGNATURE_IMAGE_DIMENSION; gambar tanpa alpha dibuat berlatar transparan.
+ *
+ * @param {string} signatureImageUrl - Data URL / base64 gambar tanda tangan.
+ * @returns {Promise<{ format: "png"|"jpeg", bytes: Buffer }>}
+ * @throws {SignatureError} Jika format tidak didukung atau gambar rusak.
+ */
+export const normalizeSignatureImage = async (signatureImageUrl) => {
+  const { mimeType, buffer } = parseImageDataUrl(signatureImageUrl);
+  const format = detectImageFormat(buffer, mimeType);
+
+  if (!format) {
+    throw SignatureError.UnsupportedImageFormat(mimeType && !MIME_FORMATS[mimeType] ? mimeType : null);
+  }
+
+  const dimensions = readRasterDimensions(buffer, format);
+  if (dimensions && Math.max(dimensions.width, dimensions.height) <= MAX_SIGNATURE_IMAGE_DIMENSION) {
+    return { format, bytes: buffer };
+  }
+
+  const { default: sharp } = await import("sharp");
+  try {
+    let image;
+    if (format === "svg") {
+      // Rasterisasi dengan density yang cukup agar garis tetap tajam setelah di-fit ke ukuran maksimal
+      const { width = 300, height = 150 } = await sharp(buffer).metadata();
+      const density = Math.min(72 * (MAX_SIGNATURE_IMAGE_DIMENSION / Math.max(width, height)), 2400);
+      image = sharp(buffer, { density });
+    } else {
+      image = sharp(buffer);
+    }
+
+    const { hasAlpha } = await image.metadata();
+    image = image.resize({ width: MAX_SIGNATURE_IMAGE_DIMENSION, height: MAX_SIGNATURE_IMAGE_DIMENSION, fit: "inside", withoutEnlargement: true });
+
+    const bytes = hasAlpha ? await image.png().toBuffer() : await keyOutWhiteBackground(sharp, image);
+    return { format: "png", bytes };
+  } catch (error) {
+    throw SignatureError.UnsupportedImageFormat(null, `Gambar tanda tangan (${format}) rusak atau tidak dapat dibaca: ${error.message}`);
+  }
+};
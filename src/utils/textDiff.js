@@ -0,0 +1,96 @@
+/**
+ * Batas jumlah edit yang ditelusuri algoritma diff. Jika perbedaan lebih besar dari ini,
+ * teks dianggap diganti seluruhnya agar perbandingan dokumen besar tetap cepat.
+ */
+export const MAX_DIFF_EDITS = 2000;
+
+/**
+ * Memecah teks menjadi token kata. Baris baru dipertahankan sebagai token tersendiri
+ * sehingga hasil diff masih bisa disusun ulang per baris.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => (text || "").match(/\n|[^\s]+/g) || [];
+
+const joinTokens = (tokens) => tokens.join(" ").replace(/ ?\n ?/g, "\n");
+
+/**
+ * Menggabungkan token berurutan dengan tipe sama menjadi satu segmen.
+ * @returns {{ type: "equal"|"added"|"removed", value: string }[]}
+ */
+const toSegments = (edits) => {
+  const segments = [];
+  for (const { type, token } of edits) {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.tokens.push(token);
+    else segments.push({ type, tokens: [token] });
+  }
+  return segments.map(({ type, tokens }) => ({ type, value: joinTokens(tokens) }));
+};
+
+/**
+ * Diff per kata antara dua teks menggunakan algoritma Myers (O((N+M)·D)).
+ *
+ * @param {string} oldText - Teks versi lama.
+ * @param {string} newText - Teks versi baru.
+ * @returns {{ segments: { type: "equal"|"added"|"removed", value: string }[], added: number, removed: number }}
+ *   Segmen berurutan beserta jumlah kata yang ditambah/dihapus.
+ */
+export const diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_DIFF_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = n === 0 && m === 0;
+
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  let edits;
+  if (!found) {
+    // Terlalu banyak perbedaan: anggap seluruh teks diganti.
+    edits = [...a.map((token) => ({ type: "removed", token })), ...b.map((token) => ({ type: "added", token }))];
+  } else {
+    edits = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+      const prev = trace[d];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1]) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : prev[offset + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        edits.push({ type: "equal", token: a[--x] });
+        y--;
+      }
+      if (d > 0) {
+        if (x === prevX) edits.push({ type: "added", token: b[--y] });
+        else edits.push({ type: "removed", token: a[--x] });
+      }
+    }
+    edits.reverse();
+  }
+
+  const countWords = (type) => edits.filter((edit) => edit.type === type && edit.token !== "\n").length;
+  return { segments: toSegments(edits), added: countWords("added"), removed: countWords("removed") };
+};
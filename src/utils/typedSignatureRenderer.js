@@ -0,0 +1,78 @@
+import path from "path";
+import SignatureError from "../errors/SignatureError.js";
+
+/** Folder font tulisan tangan bawaan (lisensi SIL OFL, lihat file *-OFL.txt di folder yang sama). */
+const FONT_DIR = path.resolve(process.cwd(), process.env.SIGNATURE_FONTS_PATH || "src/assets/fonts/handwriting");
+
+/**
+ * Daftar gaya tanda tangan ketik yang dapat dipilih user.
+ * Key dipakai sebagai `typedFont` pada payload dan disimpan di record tanda tangan.
+ */
+export const TYPED_SIGNATURE_FONTS = {
+  "dancing-script": { label: "Dancing Script", family: "Dancing Script", file: "DancingScript-Regular.ttf" },
+  "great-vibes": { label: "Great Vibes", family: "Great Vibes", file: "GreatVibes-Regular.ttf" },
+  caveat: { label: "Caveat", family: "Caveat", file: "Caveat-Regular.ttf" },
+  sacramento: { label: "Sacramento", family: "Sacramento", file: "Sacramento-Regular.ttf" },
+};
+
+export const DEFAULT_TYPED_SIGNATURE_FONT = "dancing-script";
+
+/** Panjang maksimal teks tanda tangan ketik (nama lengkap + gelar). */
+export const MAX_TYPED_SIGNATURE_LENGTH = 100;
+
+/** Ukuran font (pt Pango) saat render; hasil PNG di-scale oleh PDFService sesuai kotak tanda tangan. */
+const RENDER_FONT_SIZE = 64;
+
+const escapeMarkup = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+
+/**
+ * Me-render teks tanda tangan menjadi PNG transparan menggunakan font tulisan tangan bawaan.
+ * @param {string} text - Nama / teks yang diketik user.
+ * @param {string} [fontKey] - Key dari TYPED_SIGNATURE_FONTS.
+ * @returns {Promise<string>} Data URL PNG (`data:image/png;base64,...`).
+ * @throws {SignatureError} Jika teks kosong/terlalu panjang atau font tidak dikenal.
+ */
+export const renderTypedSignature = async (text, fontKey = DEFAULT_TYPED_SIGNATURE_FONT) => {
+  const normalizedText = typeof text === "string" ? text.replace(/\s+/g, " ").trim() : "";
+  if (!normalizedText || normalizedText.length > MAX_TYPED_SIGNATURE_LENGTH) {
+    throw SignatureError.InvalidTypedSignature(`Teks tanda tangan wajib diisi (maksimal ${MAX_TYPED_SIGNATURE_LENGTH} karakter).`);
+  }
+
+  const font = TYPED_SIGNATURE_FONTS[fontKey];
+  if (!font) {
+    throw SignatureError.InvalidTypedSignature(`Gaya tanda tangan '${fontKey}' tidak tersedia. Pilihan: ${Object.keys(TYPED_SIGNATURE_FONTS).join(", ")}.`);
+  }
+
+  const { default: sharp } = await import("sharp");
+  const png = await sharp({
+    text: {
+      text: `<span foreground="#000000">${escapeMarkup(normalizedText)}</span>`,
+      font: `${font.family} ${RENDER_FONT_SIZE}`,
+      fontfile: path.join(FONT_DIR, font.file),
+      rgba: true,
+      dpi: 72,
+    },
+  })
+    .png()
+    .toBuffer();
+
+  return `data:image/png;base64,${png.toString("base64")}`;
+};
+
+/**
+ * Menyiapkan data tanda tangan sebelum disimpan/di-embed.
+ * Untuk method `typed`, gambar tanda tangan di-render di server dari `typedText` + `typedFont`
+ * (gambar dari klien diabaikan). Method lain dikembalikan apa adanya.
+ *
+ * @param {object} sigData - Payload tanda tangan dari klien.
+ * @returns {Promise<object>} Payload dengan `signatureImageUrl`, `typedText`, dan `typedFont` terisi untuk method `typed`.
+ */
+export const resolveTypedSignature = async (sigData) => {
+  if (sigData?.method !== "typed") return sigData;
+
+  const typedFont = sigData.typedFont || DEFAULT_TYPED_SIGNATURE_FONT;
+  const typedText = typeof sigData.typedText === "string" ? sigData.typedText.replace(/\s+/g, " ").trim() : sigData.typedText;
+  const signatureImageUrl = await renderTypedSignature(typedText, typedFont);
+
+  return { ...sigData, typedText, typedFont, signatureImageUrl };
+};